@@ -0,0 +1,149 @@
+// Third-party libraries
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { fetchData } from "../src/utils/APIUtils";
+import { shareAbsencesAsIcs } from "../src/utils/AbsenceCalendarUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+jest.mock("expo-calendar", () => ({
+  Availability: { BUSY: "busy" },
+}));
+
+// Mock the file system to record the written .ics file
+jest.mock("expo-file-system", () => ({
+  cacheDirectory: "cache/",
+  EncodingType: { UTF8: "utf8" },
+  deleteAsync: jest.fn(),
+  writeAsStringAsync: jest.fn(),
+}));
+
+jest.mock("expo-sharing", () => ({
+  isAvailableAsync: jest.fn(),
+  shareAsync: jest.fn(),
+}));
+
+describe("Exporting absences as .ics", () => {
+  const employeeInfo = { dailyStdHours: 8 * 3600000 };
+  const t = (key) => key;
+
+  const vacation = (id, start, end, overrides = {}) => ({
+    "Absence-id": id,
+    "Absence-type:AbsenceType-name": "Vacation",
+    "Absence-start": start.toISOString(),
+    "Absence-end": end.toISOString(),
+    "Absence-startHalfDay": "1",
+    "Absence-endHalfDay": "1",
+    "Absence-extStatus-statusID": "approved",
+    "Absence-extStatus-processTemplateID:ProcessTemplate-steps": [
+      { extID: "submitted" },
+      { extID: "approved" },
+    ],
+    ...overrides,
+  });
+
+  // Formats a date-time in UTC, as the timed events are written
+  const toIcsDateTime = (date) =>
+    date
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .replace(/\.\d{3}/, "");
+
+  // Exports the given absences and returns the lines of the written file
+  const exportAbsences = async (absences) => {
+    fetchData.mockResolvedValue({ success: true, data: absences });
+
+    expect(await shareAbsencesAsIcs(null, employeeInfo, "absences", t)).toBe(
+      true
+    );
+
+    return FileSystem.writeAsStringAsync.mock.calls[0][1].split("\r\n");
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Sharing.isAvailableAsync.mockResolvedValue(true);
+  });
+
+  it("should export absences of whole days as all-day events", async () => {
+    const lines = await exportAbsences([
+      vacation("1", new Date(2026, 9, 20), new Date(2026, 9, 21), {
+        "Absence-remark:text": "Trip; family, friends\nand more",
+      }),
+    ]);
+
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        "UID:absence-1@ibe-mobile",
+        "DTSTART;VALUE=DATE:20261020",
+        "DTEND;VALUE=DATE:20261022",
+        "SUMMARY:Vacation",
+        "DESCRIPTION:Trip\\; family\\, friends\\nand more",
+      ])
+    );
+    expect(lines[0]).toBe("BEGIN:VCALENDAR");
+    expect(lines.slice(-2)).toEqual(["END:VCALENDAR", ""]);
+    expect(FileSystem.deleteAsync).toHaveBeenCalledWith("cache/absences.ics", {
+      idempotent: true,
+    });
+  });
+
+  it("should place absences of part of a day in the working day", async () => {
+    const lines = await exportAbsences([
+      vacation("1", new Date(2026, 9, 20), new Date(2026, 9, 20), {
+        "Absence-startHalfDay": "0.5",
+      }),
+    ]);
+
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        `DTSTART:${toIcsDateTime(new Date(2026, 9, 20, 13))}`,
+        `DTEND:${toIcsDateTime(new Date(2026, 9, 20, 17))}`,
+      ])
+    );
+    expect(lines).not.toContainEqual(expect.stringMatching(/^DESCRIPTION/));
+  });
+
+  it("should fold long lines into lines of at most 75 octets", async () => {
+    const name = "Ü".repeat(60);
+    const lines = await exportAbsences([
+      vacation("1", new Date(2026, 9, 20), new Date(2026, 9, 20), {
+        "Absence-type:AbsenceType-name": name,
+      }),
+    ]);
+
+    const summaryIndex = lines.findIndex((line) => line.startsWith("SUMMARY"));
+    const summaryLines = [lines[summaryIndex]];
+    while (lines[summaryIndex + summaryLines.length].startsWith(" ")) {
+      summaryLines.push(lines[summaryIndex + summaryLines.length]);
+    }
+
+    expect(summaryLines.length).toBeGreaterThan(1);
+    summaryLines.forEach((line) =>
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75)
+    );
+    expect(
+      summaryLines.map((line, index) => (index ? line.slice(1) : line)).join("")
+    ).toBe(`SUMMARY:${name}`);
+  });
+
+  it("should not export absences that are not approved", async () => {
+    fetchData.mockResolvedValue({
+      success: true,
+      data: [
+        vacation("1", new Date(2026, 9, 20), new Date(2026, 9, 20), {
+          "Absence-extStatus-statusID": "submitted",
+        }),
+      ],
+    });
+
+    expect(await shareAbsencesAsIcs("1", employeeInfo, "absence", t)).toBe(
+      false
+    );
+    expect(FileSystem.writeAsStringAsync).not.toHaveBeenCalled();
+  });
+});
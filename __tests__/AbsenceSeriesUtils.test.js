@@ -0,0 +1,234 @@
+// Third-party libraries
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { ABSENCE_SERIES } from "../src/constants";
+import {
+  OCCURRENCE_STATUS,
+  RECURRENCE_FREQUENCY,
+  cancelAbsenceSeries,
+  createAbsenceSeries,
+  expandRecurrence,
+  getAbsenceSeries,
+} from "../src/utils/AbsenceSeriesUtils";
+import { fetchData } from "../src/utils/APIUtils";
+import { checkNetworkConnectivity } from "../src/utils/OfflineUtils";
+import updateFields from "../src/utils/UpdateUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+jest.mock("../src/utils/APIUtils", () => ({
+  ...jest.requireActual("../src/utils/APIUtils"),
+  fetchData: jest.fn(),
+}));
+
+jest.mock("../src/utils/AbsenceCalendarUtils", () => ({
+  removeAbsenceFromCalendar: jest.fn(),
+}));
+
+jest.mock("../src/utils/OfflineUtils", () => ({
+  checkNetworkConnectivity: jest.fn(),
+}));
+
+// Only the cancellation goes through updateFields, the absences are created with direct requests
+jest.mock("../src/utils/UpdateUtils", () => jest.fn());
+
+describe("Recurrence rules of absence series", () => {
+  const buildRule = (day, overrides = {}) => ({
+    absenceType: "vacation",
+    frequency: RECURRENCE_FREQUENCY.WEEKLY,
+    start: new Date(2026, 9, day),
+    interval: 1,
+    count: 3,
+    dayFraction: "0.5",
+    remark: "",
+    ...overrides,
+  });
+
+  it("should repeat weekly rules every given number of weeks", () => {
+    expect(expandRecurrence(buildRule(23, { interval: 2 }))).toEqual([
+      new Date(2026, 9, 23),
+      new Date(2026, 10, 6),
+      new Date(2026, 10, 20),
+    ]);
+  });
+
+  it("should repeat monthly rules on the same weekday of the same week", () => {
+    // The first Monday of October 2026
+    expect(
+      expandRecurrence(
+        buildRule(5, { frequency: RECURRENCE_FREQUENCY.MONTHLY })
+      )
+    ).toEqual([
+      new Date(2026, 9, 5),
+      new Date(2026, 10, 2),
+      new Date(2026, 11, 7),
+    ]);
+  });
+
+  it("should repeat the fifth week of the month on the last weekday", () => {
+    // The last Thursday of each month, whether the month has four or five Thursdays
+    expect(
+      expandRecurrence(
+        buildRule(29, { frequency: RECURRENCE_FREQUENCY.MONTHLY, count: 4 })
+      )
+    ).toEqual([
+      new Date(2026, 9, 29),
+      new Date(2026, 10, 26),
+      new Date(2026, 11, 31),
+      new Date(2027, 0, 28),
+    ]);
+  });
+
+  it("should bound the number of occurrences", () => {
+    expect(expandRecurrence(buildRule(23, { count: 1000 }))).toHaveLength(
+      ABSENCE_SERIES.MAX_OCCURRENCES
+    );
+    expect(expandRecurrence(buildRule(23, { count: "" }))).toEqual([]);
+  });
+});
+
+describe("Creating and cancelling an absence series", () => {
+  const employeeInfo = { nonWorkingDays: [0, 6], nonWorkingDates: [] };
+  const absenceType = { "AbsenceType-name": "Vacation" };
+  const t = (key) => key;
+
+  const rule = {
+    absenceType: "vacation",
+    frequency: RECURRENCE_FREQUENCY.WEEKLY,
+    start: new Date(2026, 9, 23),
+    interval: 1,
+    count: 3,
+    dayFraction: "1",
+    remark: "",
+  };
+
+  const occurrences = expandRecurrence(rule).map((date) => ({
+    date,
+    status: OCCURRENCE_STATUS.VALID,
+    reason: null,
+  }));
+
+  const created = (id) => ({
+    success: true,
+    details: [{ success: true, data: { ids: [id] } }],
+  });
+
+  let storage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    storage = {};
+    AsyncStorage.getItem.mockImplementation(
+      async (key) => storage[key] ?? null
+    );
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      storage[key] = value;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should link the created absences as a series", async () => {
+    checkNetworkConnectivity.mockResolvedValue(true);
+    fetchData
+      .mockResolvedValueOnce(created("1"))
+      .mockResolvedValueOnce({ success: true, details: [{ success: false }] })
+      .mockResolvedValueOnce(created("3"));
+
+    const { series, occurrences: results } = await createAbsenceSeries(
+      rule,
+      occurrences,
+      absenceType,
+      employeeInfo,
+      t
+    );
+
+    expect(results.map((result) => result.status)).toEqual([
+      OCCURRENCE_STATUS.CREATED,
+      OCCURRENCE_STATUS.FAILED,
+      OCCURRENCE_STATUS.CREATED,
+    ]);
+    expect(series.absences.map((absence) => absence.id)).toEqual(["1", "3"]);
+    expect(await getAbsenceSeries()).toEqual([series]);
+  });
+
+  it("should not create absences while offline", async () => {
+    checkNetworkConnectivity.mockResolvedValue(false);
+
+    const { series, occurrences: results } = await createAbsenceSeries(
+      rule,
+      occurrences,
+      absenceType,
+      employeeInfo,
+      t
+    );
+
+    expect(fetchData).not.toHaveBeenCalled();
+    expect(series).toBeNull();
+    expect(results.map((result) => result.reason)).toEqual([
+      "absence_series_offline",
+      "absence_series_offline",
+      "absence_series_offline",
+    ]);
+  });
+
+  it("should not queue the absences when the connection is lost", async () => {
+    checkNetworkConnectivity
+      .mockResolvedValueOnce(true)
+      .mockResolvedValueOnce(true)
+      .mockResolvedValue(false);
+    fetchData
+      .mockResolvedValueOnce(created("1"))
+      .mockRejectedValueOnce(new Error("Network request failed"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const { series, occurrences: results } = await createAbsenceSeries(
+      rule,
+      occurrences,
+      absenceType,
+      employeeInfo,
+      t
+    );
+
+    expect(fetchData).toHaveBeenCalledTimes(2);
+    expect(updateFields).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith(
+      "Error creating an absence of the series:",
+      expect.any(Error)
+    );
+    expect(results.map((result) => result.reason)).toEqual([
+      null,
+      "absence_series_create_failed",
+      "absence_series_offline",
+    ]);
+    expect(series.absences.map((absence) => absence.id)).toEqual(["1"]);
+  });
+
+  it("should keep the absences that could not be deleted in the series", async () => {
+    const series = {
+      id: "series",
+      absences: [
+        { id: "1", start: "2026-10-23T00:00:00.000Z" },
+        { id: "2", start: "2026-10-30T00:00:00.000Z" },
+      ],
+    };
+    storage[ABSENCE_SERIES.STORAGE_KEY] = JSON.stringify([series]);
+    updateFields
+      .mockResolvedValueOnce({ success: true })
+      .mockResolvedValueOnce({ success: false });
+
+    expect(await cancelAbsenceSeries(series)).toEqual({
+      deleted: 1,
+      failed: [series.absences[1]],
+    });
+    expect(await getAbsenceSeries()).toEqual([
+      { ...series, absences: [series.absences[1]] },
+    ]);
+  });
+});
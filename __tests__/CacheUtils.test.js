@@ -0,0 +1,134 @@
+// Third-party libraries
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { QUERY_CACHE } from "../src/constants";
+import {
+  fetchQueryWithCache,
+  getCachedQuery,
+  saveCachedQuery,
+} from "../src/utils/CacheUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+describe("Query cache", () => {
+  const maxEntries = QUERY_CACHE.MAX_ENTRIES;
+  let storage;
+
+  const getCacheKeys = () =>
+    Object.keys(storage).filter((key) =>
+      key.startsWith(QUERY_CACHE.STORAGE_KEY_PREFIX)
+    );
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2026-10-19T08:00:00.000Z") });
+
+    storage = {};
+    AsyncStorage.getItem.mockImplementation(
+      async (key) => storage[key] ?? null
+    );
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      storage[key] = value;
+    });
+    AsyncStorage.multiRemove = jest.fn(async (keys) =>
+      keys.forEach((key) => delete storage[key])
+    );
+
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    QUERY_CACHE.MAX_ENTRIES = maxEntries;
+    delete AsyncStorage.multiRemove;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("returns the last synced result while the query fails", async () => {
+    const query = { where: [{ fieldName: "Absence-id" }] };
+
+    await fetchQueryWithCache("Absence", query, async () => ({
+      success: true,
+      data: [{ "Absence-id": "1" }],
+      TOTAL_RECORD_COUNT: 1,
+    }));
+    jest.advanceTimersByTime(60000);
+
+    expect(
+      await fetchQueryWithCache("Absence", query, async () => {
+        throw new Error("Network request failed");
+      })
+    ).toEqual({
+      success: true,
+      data: [{ "Absence-id": "1" }],
+      TOTAL_RECORD_COUNT: 1,
+      fromCache: true,
+      syncedAt: "2026-10-19T08:00:00.000Z",
+    });
+    expect(console.log).toHaveBeenCalledWith(
+      "Query for Absence failed, using the result synced at 2026-10-19T08:00:00.000Z"
+    );
+  });
+
+  it("fails when the query was never synced", async () => {
+    await expect(
+      fetchQueryWithCache("Absence", {}, async () => {
+        throw new Error("Network request failed");
+      })
+    ).rejects.toThrow("Network request failed");
+  });
+
+  it("does not cache unsuccessful responses", async () => {
+    const response = { success: false, message: "Not allowed" };
+
+    expect(await fetchQueryWithCache("Absence", {}, async () => response)).toBe(
+      response
+    );
+    expect(getCacheKeys()).toEqual([]);
+  });
+
+  it("keeps the results of queries apart by category and parameters", async () => {
+    await saveCachedQuery("Absence", { page: 1 }, ["absence"]);
+    await saveCachedQuery("Timesheet", { page: 1 }, ["timesheet"]);
+    await saveCachedQuery("Timesheet", { page: 2 }, ["next timesheet"]);
+
+    expect(getCacheKeys()).toHaveLength(3);
+    expect(getCacheKeys()).toContainEqual(
+      expect.stringMatching(/^queryCache:Timesheet:/)
+    );
+    expect((await getCachedQuery("Timesheet", { page: 1 })).data).toEqual([
+      "timesheet",
+    ]);
+    expect(await getCachedQuery("Timesheet", { page: 3 })).toBeNull();
+  });
+
+  it("ignores a cached result stored for another query under the same key", async () => {
+    await saveCachedQuery("Absence", { page: 1 }, ["absence"]);
+
+    const [cacheKey] = getCacheKeys();
+    storage[cacheKey] = JSON.stringify({
+      ...JSON.parse(storage[cacheKey]),
+      query: JSON.stringify({ page: 2 }),
+    });
+
+    expect(await getCachedQuery("Absence", { page: 1 })).toBeNull();
+  });
+
+  it("drops the least recently synced results once the limit is exceeded", async () => {
+    QUERY_CACHE.MAX_ENTRIES = 2;
+
+    for (const page of [1, 2, 3]) {
+      jest.advanceTimersByTime(1000);
+      await saveCachedQuery("Absence", { page }, [page]);
+    }
+
+    expect(getCacheKeys()).toHaveLength(2);
+    expect(await getCachedQuery("Absence", { page: 1 })).toBeNull();
+    expect((await getCachedQuery("Absence", { page: 3 })).data).toEqual([3]);
+    expect(
+      Object.keys(JSON.parse(storage[QUERY_CACHE.INDEX_STORAGE_KEY]))
+    ).toEqual(getCacheKeys());
+  });
+});
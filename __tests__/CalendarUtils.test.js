@@ -0,0 +1,167 @@
+// Setup and mocks
+import "./config/setupTests.js";
+
+import {
+  buildCalendarDays,
+  getAbsenceApprovalState,
+} from "../src/utils/CalendarUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+describe("Calendar", () => {
+  const hour = 3600000;
+  const steps = [
+    { extID: "submitted" },
+    { extID: "cancelled", eventID: "SUBMISSIONCANCELLEDAPI" },
+    { extID: "approved" },
+  ];
+
+  const absence = (id, statusID, day, hours) => ({
+    "Absence-id": id,
+    "Absence-type:AbsenceType-name": "Vacation",
+    "Absence-extStatus-processTemplateID": "absence-approval",
+    "Absence-extStatus-statusID": statusID,
+    "Absence-extStatus-processTemplateID:ProcessTemplate-steps": steps,
+    "Absence-hoursByDay": [
+      { splitDate: new Date(2026, 9, day).toISOString(), hours },
+    ],
+  });
+
+  describe("getAbsenceApprovalState", () => {
+    it("is approved in the last step of the approval", () => {
+      expect(getAbsenceApprovalState(absence("1", "approved", 5, hour))).toBe(
+        "approved"
+      );
+    });
+
+    it("is pending in an earlier step or without steps", () => {
+      expect(getAbsenceApprovalState(absence("1", "submitted", 5, hour))).toBe(
+        "pending"
+      );
+      expect(
+        getAbsenceApprovalState({
+          ...absence("1", "approved", 5, hour),
+          "Absence-extStatus-processTemplateID:ProcessTemplate-steps": [],
+        })
+      ).toBe("pending");
+    });
+
+    it("is not shown once the submission was cancelled", () => {
+      expect(
+        getAbsenceApprovalState(absence("1", "cancelled", 5, hour))
+      ).toBeNull();
+    });
+  });
+
+  describe("buildCalendarDays", () => {
+    const employeeInfo = {
+      dailyStdHours: 8 * hour,
+      nonWorkingDays: [0, 6],
+      startOfWeek: 1,
+    };
+
+    const timesheets = [
+      {
+        "TimeConfirmation-tasks": [
+          {
+            items: [
+              {
+                start: new Date(2026, 9, 5, 9).toISOString(),
+                actualTime: 8 * hour,
+              },
+              {
+                start: new Date(2026, 9, 6, 9).toISOString(),
+                actualTime: 4 * hour,
+              },
+            ],
+          },
+        ],
+      },
+    ];
+
+    const buildDays = () =>
+      buildCalendarDays(
+        new Date(2026, 9, 15),
+        timesheets,
+        [
+          absence("1", "approved", 6, 4 * hour),
+          absence("2", "cancelled", 7, 8 * hour),
+        ],
+        [{ date: new Date(2026, 9, 8).toISOString(), name: "Holiday" }],
+        employeeInfo
+      );
+
+    const getDay = (days, key) => days.find((day) => day.key === key);
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date(2026, 9, 19, 12) });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it("shows the full weeks of the month", () => {
+      const days = buildDays();
+
+      expect(days).toHaveLength(35);
+      expect(days[0]).toMatchObject({ key: "2026-09-28", isInMonth: false });
+      expect(days[34]).toMatchObject({ key: "2026-11-01", isInMonth: false });
+    });
+
+    it("adds the logged time, absences and holidays to the days", () => {
+      const days = buildDays();
+
+      expect(getDay(days, "2026-10-05")).toMatchObject({
+        loggedTime: 8 * hour,
+        scheduledTime: 8 * hour,
+        hasGap: false,
+      });
+      expect(getDay(days, "2026-10-06")).toMatchObject({
+        loggedTime: 4 * hour,
+        absenceTime: 4 * hour,
+        absences: [
+          {
+            id: "1",
+            name: "Vacation",
+            approvalState: "approved",
+            statusTemplateExtId: "absence-approval",
+            hours: 4 * hour,
+          },
+        ],
+        hasGap: false,
+      });
+      expect(getDay(days, "2026-10-08")).toMatchObject({
+        holidayName: "Holiday",
+        scheduledTime: 0,
+        hasGap: false,
+      });
+    });
+
+    it("marks past scheduled days without enough time as gaps", () => {
+      const days = buildDays();
+
+      expect(getDay(days, "2026-10-07")).toMatchObject({
+        absences: [],
+        hasGap: true,
+      });
+      expect(getDay(days, "2026-10-10")).toMatchObject({
+        scheduledTime: 0,
+        hasGap: false,
+      });
+      expect(getDay(days, "2026-10-19").hasGap).toBe(false);
+    });
+
+    it("reads the scheduled time from the work schedule patterns", () => {
+      const days = buildCalendarDays(new Date(2026, 9, 15), [], [], [], {
+        ...employeeInfo,
+        patterns: [
+          { intStatus: 0, details: [{ daySeq: 1, stdWorkHours: 6 * hour }] },
+        ],
+      });
+
+      expect(getDay(days, "2026-10-05").scheduledTime).toBe(6 * hour);
+      expect(getDay(days, "2026-10-06").scheduledTime).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+// Setup and mocks
+import "./config/setupTests.js";
+
+import {
+  calculateClockEntry,
+  findOverlappingClockEntries,
+  getClockEntry,
+  isClockEntry,
+} from "../src/utils/ClockEntryUtils";
+
+describe("Clock entries of timesheet items", () => {
+  const day = new Date(2026, 9, 19);
+  const hour = 3600000;
+
+  // Items recorded as a duration start and end at the beginning of their day
+  const durationItem = { start: day, end: day, actualTime: hour };
+
+  it("should subtract the breaks from the time between start and end", () => {
+    const entry = calculateClockEntry(day, "8:00", "17:30", ["30", 15]);
+
+    expect(entry.start).toEqual(new Date(2026, 9, 19, 8));
+    expect(entry.end).toEqual(new Date(2026, 9, 19, 17, 30));
+    expect(entry.actualTime).toBe(8.75 * hour);
+  });
+
+  it("should reject invalid entries", () => {
+    expect(calculateClockEntry(day, "8:00", "24:00", [])).toEqual({
+      error: "clock_entry_invalid_time",
+    });
+    expect(calculateClockEntry(day, "17:00", "8:00", [])).toEqual({
+      error: "clock_entry_end_before_start",
+    });
+    expect(calculateClockEntry(day, "8:00", "17:00", ["0"])).toEqual({
+      error: "clock_entry_invalid_break",
+    });
+    expect(calculateClockEntry(day, "8:00", "9:00", ["60"])).toEqual({
+      error: "clock_entry_breaks_exceed",
+    });
+  });
+
+  it("should tell clock entries from durations", () => {
+    expect(isClockEntry(calculateClockEntry(day, "8:00", "17:00", []))).toBe(
+      true
+    );
+    expect(isClockEntry(durationItem)).toBe(false);
+    expect(isClockEntry({})).toBe(false);
+  });
+
+  it("should rebuild the breaks of a loaded item from the time not booked", () => {
+    const item = calculateClockEntry(day, "8:00", "17:00", ["45", "15"]);
+
+    expect(getClockEntry(item)).toEqual({
+      startTime: "08:00",
+      endTime: "17:00",
+      breaks: ["60"],
+    });
+    expect(getClockEntry({ ...item, breaks: ["45", "15"] }).breaks).toEqual([
+      "45",
+      "15",
+    ]);
+    expect(getClockEntry(durationItem)).toEqual({
+      startTime: "",
+      endTime: "",
+      breaks: [],
+    });
+  });
+
+  it("should find the overlapping clock entries of the day", () => {
+    const morning = calculateClockEntry(day, "8:00", "12:00", []);
+    const afternoon = calculateClockEntry(day, "13:00", "17:00", []);
+    const { start, end } = calculateClockEntry(day, "11:00", "13:00", []);
+
+    expect(
+      findOverlappingClockEntries(start, end, [
+        morning,
+        afternoon,
+        durationItem,
+      ])
+    ).toEqual([morning]);
+  });
+});
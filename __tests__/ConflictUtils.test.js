@@ -0,0 +1,189 @@
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { INTSTATUS } from "../src/constants";
+import { fetchData } from "../src/utils/APIUtils";
+import {
+  CONFLICT_RESOLUTION,
+  buildMergedRequestBody,
+  detectConflicts,
+} from "../src/utils/ConflictUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+describe("Conflict detection of queued saves", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const queuedSave = (data, baselineData) => ({
+    busObjCat: "TimeConfirmation",
+    busObjId: "42",
+    body: JSON.stringify({
+      data: { "TimeConfirmation-id": "42", ...data },
+    }),
+    baseline: {
+      fields: [
+        "TimeConfirmation-id",
+        "TimeConfirmation-extStatus",
+        "TimeConfirmation-remark",
+        "TimeConfirmation-tasks",
+      ],
+      data: baselineData,
+    },
+  });
+
+  it("should load while the constants are not available yet", () => {
+    jest.isolateModules(() => {
+      jest.doMock("../src/constants", () => ({ APP: {} }));
+      expect(() => require("../src/utils/ConflictUtils")).not.toThrow();
+    });
+  });
+
+  it("should report the queued fields changed on the server", async () => {
+    fetchData.mockResolvedValue({
+      success: true,
+      data: [{ "TimeConfirmation-remark": "theirs" }],
+    });
+
+    const conflicts = await detectConflicts(
+      queuedSave(
+        { "TimeConfirmation-remark:text": "mine" },
+        { "TimeConfirmation-remark": "baseline" }
+      )
+    );
+
+    expect(conflicts).toEqual([
+      {
+        field: "TimeConfirmation-remark",
+        baseline: "baseline",
+        theirs: "theirs",
+        mine: "mine",
+        isQueued: true,
+      },
+    ]);
+  });
+
+  it("should compare the path fields held by the snapshot with their full key", async () => {
+    fetchData.mockResolvedValue({
+      success: true,
+      data: [{ "TimeConfirmation-remark:text": "theirs" }],
+    });
+
+    const request = queuedSave(
+      { "TimeConfirmation-remark:text": "mine" },
+      { "TimeConfirmation-remark:text": "baseline" }
+    );
+    request.baseline.fields = [
+      "TimeConfirmation-extStatus",
+      "TimeConfirmation-remark:text",
+    ];
+
+    const conflicts = await detectConflicts(request);
+
+    expect(conflicts).toEqual([
+      {
+        field: "TimeConfirmation-remark:text",
+        baseline: "baseline",
+        theirs: "theirs",
+        mine: "mine",
+        isQueued: true,
+      },
+    ]);
+    expect(
+      buildMergedRequestBody(request, {
+        "TimeConfirmation-remark:text": CONFLICT_RESOLUTION.THEIRS,
+      })
+    ).toBeNull();
+  });
+
+  it("should ignore server changes of fields the save does not touch", async () => {
+    fetchData.mockResolvedValue({
+      success: true,
+      data: [
+        {
+          "TimeConfirmation-remark": "baseline",
+          "TimeConfirmation-tasks": ["changed"],
+        },
+      ],
+    });
+
+    const conflicts = await detectConflicts(
+      queuedSave(
+        { "TimeConfirmation-remark": "mine" },
+        {
+          "TimeConfirmation-remark": "baseline",
+          "TimeConfirmation-tasks": [],
+        }
+      )
+    );
+
+    expect(conflicts).toEqual([]);
+  });
+
+  it("should report a document deleted on the server", async () => {
+    fetchData.mockResolvedValue({ success: true, data: [] });
+
+    const conflicts = await detectConflicts(
+      queuedSave({ "TimeConfirmation-remark": "mine" }, {})
+    );
+
+    expect(conflicts).toEqual([
+      expect.objectContaining({
+        field: "TimeConfirmation-intStatus",
+        theirs: INTSTATUS.DELETED,
+        isQueued: false,
+      }),
+    ]);
+  });
+
+  it("should not check categories without conflict detection", async () => {
+    const conflicts = await detectConflicts({
+      ...queuedSave({}, {}),
+      busObjCat: "Comment",
+    });
+
+    expect(conflicts).toEqual([]);
+    expect(fetchData).not.toHaveBeenCalled();
+  });
+
+  it("should fail when the server copy cannot be queried", async () => {
+    fetchData.mockResolvedValue({ success: false });
+
+    await expect(
+      detectConflicts(queuedSave({ "TimeConfirmation-remark": "mine" }, {}))
+    ).rejects.toThrow();
+  });
+
+  it("should drop the fields for which the server version was chosen", () => {
+    const body = buildMergedRequestBody(
+      queuedSave(
+        {
+          "TimeConfirmation-remark:text": "mine",
+          "TimeConfirmation-tasks": ["mine"],
+        },
+        {}
+      ),
+      {
+        "TimeConfirmation-remark": CONFLICT_RESOLUTION.THEIRS,
+        "TimeConfirmation-tasks": CONFLICT_RESOLUTION.MINE,
+      }
+    );
+
+    expect(JSON.parse(body)).toEqual({
+      data: {
+        "TimeConfirmation-id": "42",
+        "TimeConfirmation-tasks": ["mine"],
+      },
+    });
+  });
+
+  it("should leave nothing to send when the server version wins everywhere", () => {
+    const body = buildMergedRequestBody(
+      queuedSave({ "TimeConfirmation-remark": "mine" }, {}),
+      { "TimeConfirmation-remark": CONFLICT_RESOLUTION.THEIRS }
+    );
+
+    expect(body).toBeNull();
+  });
+});
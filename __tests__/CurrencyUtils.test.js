@@ -0,0 +1,202 @@
+// Third-party libraries
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { EXCHANGE_RATES } from "../src/constants";
+import { fetchData } from "../src/utils/APIUtils";
+import {
+  calculateTotalInCurrency,
+  convertAmount,
+  findExchangeRate,
+  isAmountInRange,
+  syncExchangeRates,
+} from "../src/utils/CurrencyUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+describe("Currency conversion", () => {
+  const backendRate = (fromCurrency, toCurrency, rate, date) => ({
+    fromCurrency,
+    toCurrency,
+    rate,
+    date,
+    source: EXCHANGE_RATES.SOURCE_BACKEND,
+  });
+
+  const rates = [
+    backendRate("USD", "EUR", 0.9, "2026-01-01"),
+    backendRate("USD", "EUR", 0.8, "2026-03-01"),
+    backendRate("GBP", "EUR", 1.2, "2026-01-01"),
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should take the latest rate on or before the day", () => {
+    expect(findExchangeRate(rates, "USD", "EUR", "2026-02-15")).toMatchObject({
+      rate: 0.9,
+      date: "2026-01-01",
+    });
+    expect(findExchangeRate(rates, "USD", "EUR", "2026-03-01").rate).toBe(0.8);
+  });
+
+  it("should take the earliest rate for a day before all rates", () => {
+    expect(findExchangeRate(rates, "USD", "EUR", "2025-06-01").rate).toBe(0.9);
+  });
+
+  it("should invert a rate known only in the opposite direction", () => {
+    expect(findExchangeRate(rates, "EUR", "GBP", "2026-02-01").rate).toBe(
+      1 / 1.2
+    );
+  });
+
+  it("should prefer the rate of the user on the same day", () => {
+    const userRate = {
+      ...backendRate("USD", "EUR", 0.85, "2026-03-01"),
+      source: EXCHANGE_RATES.SOURCE_USER,
+    };
+
+    expect(
+      findExchangeRate([...rates, userRate], "USD", "EUR", "2026-03-02").rate
+    ).toBe(0.85);
+  });
+
+  it("should not convert without a known rate", () => {
+    expect(
+      convertAmount({ amount: 10, currency: "JPY" }, "EUR", rates, "2026-01-01")
+    ).toBeNull();
+    expect(
+      convertAmount(
+        { amount: "10", currency: "USD" },
+        "EUR",
+        rates,
+        "2026-01-01"
+      )
+    ).toMatchObject({ amount: 9, currency: "EUR", rateDate: "2026-01-01" });
+  });
+
+  it("should leave out the amounts without a known rate from a total", () => {
+    const total = calculateTotalInCurrency(
+      [
+        { amount: 10, currency: "EUR", date: "2026-01-01" },
+        { amount: 10, currency: "USD", date: "2026-01-01" },
+        { amount: 10, currency: "JPY", date: "2026-01-01" },
+      ],
+      "EUR",
+      rates
+    );
+
+    expect(total).toEqual({
+      amount: 19,
+      currency: "EUR",
+      missingCurrencies: ["JPY"],
+    });
+  });
+
+  it("should compare amounts in the currency of the range", () => {
+    const range = { greaterThanValue: 8, lessThanValue: 9, currency: "EUR" };
+
+    expect(
+      isAmountInRange(
+        { amount: 10, currency: "USD" },
+        range,
+        rates,
+        "2026-01-01"
+      )
+    ).toBe(true);
+    expect(
+      isAmountInRange(
+        { amount: 10, currency: "GBP" },
+        range,
+        rates,
+        "2026-01-01"
+      )
+    ).toBe(false);
+  });
+
+  it("should keep only the amounts in the currency of a range without bounds", () => {
+    const range = {
+      greaterThanValue: null,
+      lessThanValue: null,
+      currency: "USD",
+    };
+
+    expect(isAmountInRange({ amount: 10, currency: "USD" }, range, rates)).toBe(
+      true
+    );
+    expect(isAmountInRange({ amount: 9, currency: "EUR" }, range, rates)).toBe(
+      false
+    );
+  });
+
+  it("should page through the backend rates and keep the rates of the user", async () => {
+    const storage = {
+      [EXCHANGE_RATES.STORAGE_KEY]: JSON.stringify([
+        {
+          ...backendRate("USD", "EUR", 0.85, "2026-03-01"),
+          source: EXCHANGE_RATES.SOURCE_USER,
+        },
+      ]),
+    };
+    AsyncStorage.getItem.mockImplementation(
+      async (key) => storage[key] ?? null
+    );
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      storage[key] = value;
+    });
+
+    // A full first page followed by a short second page
+    const buildRecord = (index) => ({
+      "ExchangeRate-fromCurrency": "USD",
+      "ExchangeRate-toCurrency": "EUR",
+      "ExchangeRate-rate": "0.9",
+      "ExchangeRate-date": new Date(Date.UTC(2026, 0, 1) - index * 864e5),
+    });
+    fetchData
+      .mockResolvedValueOnce({
+        success: true,
+        data: Array.from({ length: EXCHANGE_RATES.PAGE_SIZE }, (_, index) =>
+          buildRecord(index)
+        ),
+      })
+      .mockResolvedValueOnce({ success: true, data: [buildRecord(0)] });
+
+    const syncedRates = await syncExchangeRates();
+
+    expect(fetchData).toHaveBeenCalledTimes(2);
+    const secondQuery = new URLSearchParams(fetchData.mock.calls[1][3]);
+    expect(secondQuery.get("start")).toBe(String(EXCHANGE_RATES.PAGE_SIZE));
+    expect(JSON.parse(secondQuery.get("query")).where).toEqual([
+      expect.objectContaining({ fieldName: "ExchangeRate-date" }),
+    ]);
+
+    // The rate of the second page is a duplicate of the same day
+    expect(syncedRates).toHaveLength(EXCHANGE_RATES.PAGE_SIZE + 1);
+    expect(syncedRates[syncedRates.length - 1].source).toBe(
+      EXCHANGE_RATES.SOURCE_USER
+    );
+    expect(JSON.parse(storage[EXCHANGE_RATES.STORAGE_KEY])).toEqual(
+      syncedRates
+    );
+  });
+
+  it("should keep the stored rates when the backend cannot be reached", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    AsyncStorage.getItem.mockResolvedValue(JSON.stringify(rates));
+    fetchData.mockResolvedValue({ success: false });
+
+    expect(await syncExchangeRates()).toEqual(rates);
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith(
+      "Error in syncing exchange rates:",
+      new Error("Unexpected response format for exchange rates.")
+    );
+  });
+});
@@ -0,0 +1,105 @@
+// Third-party libraries
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { APP } from "../src/constants";
+import {
+  createLocalId,
+  findLocalIds,
+  getLocalDraft,
+  getLocalDrafts,
+  isLocalId,
+  promoteLocalDraft,
+  saveLocalDraft,
+  subscribeToDraftPromotion,
+  supportsLocalDrafts,
+} from "../src/utils/DraftUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+describe("Drafts created while offline", () => {
+  // In-memory content of AsyncStorage
+  let storage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    storage = {};
+    AsyncStorage.getItem.mockImplementation(
+      async (key) => storage[key] ?? null
+    );
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      storage[key] = value;
+    });
+
+    APP.LOGIN_USER_LANGUAGE = "en";
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should load while the constants are not available yet", () => {
+    jest.isolateModules(() => {
+      jest.doMock("../src/constants", () => ({ APP: {} }));
+      expect(() => require("../src/utils/DraftUtils")).not.toThrow();
+    });
+  });
+
+  it("should only draft timesheets", () => {
+    expect(supportsLocalDrafts("TimeConfirmation")).toBe(true);
+    expect(supportsLocalDrafts("Absence")).toBe(false);
+  });
+
+  it("should find the temporary IDs in a request body", () => {
+    const firstId = createLocalId();
+    const secondId = createLocalId();
+
+    expect(isLocalId(firstId)).toBe(true);
+    expect(isLocalId("12345")).toBe(false);
+    expect(
+      findLocalIds(JSON.stringify({ ids: [firstId, "12345", secondId] }))
+    ).toEqual([firstId, secondId]);
+    expect(findLocalIds(undefined)).toEqual([]);
+  });
+
+  it("should store a draft in the shape of a queried document", async () => {
+    const localId = createLocalId();
+
+    await saveLocalDraft("TimeConfirmation", localId, {
+      "TimeConfirmation-start": "2026-10-19T00:00:00.000Z",
+    });
+    await saveLocalDraft("TimeConfirmation", localId, {
+      "TimeConfirmation-remark:text": "Offline",
+    });
+
+    const draft = await getLocalDraft("TimeConfirmation", localId);
+    expect(draft).toMatchObject({
+      "TimeConfirmation-id": localId,
+      "TimeConfirmation-start": "2026-10-19T00:00:00.000Z",
+      "TimeConfirmation-remark:text": "Offline",
+    });
+    expect(draft["TimeConfirmation-remark"]).toBeTruthy();
+    expect(await getLocalDraft("Absence", localId)).toBeNull();
+    expect(await getLocalDrafts("TimeConfirmation")).toEqual([draft]);
+  });
+
+  it("should remove a promoted draft and notify the listeners", async () => {
+    const localId = createLocalId();
+    const listener = jest.fn();
+    const unsubscribe = subscribeToDraftPromotion(listener);
+
+    await saveLocalDraft("TimeConfirmation", localId, {});
+    await promoteLocalDraft(localId, "42");
+    unsubscribe();
+
+    expect(console.log).toHaveBeenCalledWith(
+      `Local draft ${localId} was created as 42`
+    );
+    expect(listener).toHaveBeenCalledWith(localId, "42");
+    expect(await getLocalDraft("TimeConfirmation", localId)).toBeNull();
+  });
+});
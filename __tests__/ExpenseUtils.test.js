@@ -0,0 +1,160 @@
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { fetchData } from "../src/utils/APIUtils";
+import {
+  calculateExpenseTotals,
+  convertExpensesToItems,
+  convertItemsToExpenses,
+  fetchCurrencies,
+  fetchExpenseTypes,
+  getExpenseFields,
+  validateExpenseItem,
+} from "../src/utils/ExpenseUtils";
+import { showToast } from "../src/utils/MessageUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+jest.mock("../src/utils/APIUtils", () => ({
+  ...jest.requireActual("../src/utils/APIUtils"),
+  fetchData: jest.fn(),
+}));
+
+jest.mock("../src/utils/CacheUtils", () => ({
+  fetchQueryWithCache: jest.fn((busObjCat, formData, query) => query()),
+}));
+
+describe("Expense claims", () => {
+  const t = (key) => key;
+
+  const item = {
+    subID: "1",
+    date: "2026-10-19T00:00:00.000Z",
+    expenseTypeId: "HOTEL",
+    expenseTypeText: "Hotel",
+    amount: "120.5",
+    currency: "EUR",
+    projectId: "p1",
+    projectExtId: "P-1",
+    projectText: "Website",
+    remark: [{ language: "en", text: "Two nights" }],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("does not read the categories when it is imported", () => {
+    jest.isolateModules(() => {
+      jest.doMock("../src/constants", () => ({ APP: {} }));
+
+      expect(() => require("../src/utils/ExpenseUtils")).not.toThrow();
+    });
+  });
+
+  it("queries the header and the line items of a claim", () => {
+    const fields = getExpenseFields();
+
+    expect(fields).toContain("ExpenseClaim-id");
+    expect(fields).toContain("ExpenseClaim-expenses-amount");
+    expect(fields.every((field) => field.startsWith("ExpenseClaim-"))).toBe(
+      true
+    );
+  });
+
+  it("converts the line items to the server format and back", () => {
+    const [expense] = convertItemsToExpenses([item]);
+
+    expect(expense).toEqual({
+      subID: "1",
+      date: item.date,
+      expenseType: "HOTEL",
+      amount: { amount: 120.5, currency: "EUR" },
+      projectWbsID: "p1",
+      remark: item.remark,
+    });
+    expect(
+      convertExpensesToItems([
+        {
+          ...expense,
+          "expenseType:ExpenseType-name": "Hotel",
+          "projectWbsID:ProjectWBS-extID": "P-1",
+          "projectWbsID:ProjectWBS-text-text": "Website",
+        },
+      ])
+    ).toEqual([item]);
+  });
+
+  it("does not send the ID of new line items", () => {
+    const [expense] = convertItemsToExpenses([
+      { ...item, subID: null, projectId: "", amount: "" },
+    ]);
+
+    expect(expense).not.toHaveProperty("subID");
+    expect(expense.projectWbsID).toBeNull();
+    expect(expense.amount.amount).toBe(0);
+  });
+
+  it("sums up the line items per currency", () => {
+    expect(
+      calculateExpenseTotals([
+        { amount: "10.50", currency: "USD" },
+        { amount: "4", currency: "EUR" },
+        { amount: "2.25", currency: "USD" },
+        { amount: "99", currency: "" },
+      ])
+    ).toEqual([
+      { amount: 12.75, currency: "USD" },
+      { amount: 4, currency: "EUR" },
+    ]);
+  });
+
+  it("reports the first invalid field of a line item", () => {
+    expect(validateExpenseItem(item, t)).toBe(true);
+    expect(showToast).not.toHaveBeenCalled();
+
+    expect(
+      validateExpenseItem({ ...item, expenseTypeId: "", amount: "0" }, t)
+    ).toBe(false);
+    expect(showToast).toHaveBeenCalledTimes(1);
+    expect(showToast).toHaveBeenCalledWith(
+      "expense_type_required_message",
+      "error"
+    );
+
+    expect(validateExpenseItem({ ...item, amount: "-5" }, t)).toBe(false);
+    expect(showToast).toHaveBeenLastCalledWith(
+      "expense_amount_invalid_message",
+      "error"
+    );
+  });
+
+  it("maps the expense types by their external ID", async () => {
+    fetchData.mockResolvedValue({
+      success: true,
+      data: [
+        { "ExpenseType-extID": "HOTEL", "ExpenseType-name": "Hotel" },
+        { "ExpenseType-extID": "", "ExpenseType-name": "Unnamed" },
+      ],
+    });
+
+    expect(await fetchExpenseTypes()).toEqual({
+      HOTEL: { "ExpenseType-extID": "HOTEL", "ExpenseType-name": "Hotel" },
+    });
+  });
+
+  it("returns no master data when the query fails", async () => {
+    fetchData.mockRejectedValue(new Error("Network request failed"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(await fetchCurrencies()).toEqual([]);
+    expect(console.error).toHaveBeenCalledWith(
+      "Error in fetching Currency data:",
+      expect.any(Error)
+    );
+  });
+});
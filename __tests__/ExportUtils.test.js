@@ -0,0 +1,191 @@
+// Third-party libraries
+import * as FileSystem from "expo-file-system";
+
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { APP, EXPORT_FORMAT } from "../src/constants";
+import { fetchBusObjCatData } from "../src/utils/APIUtils";
+import {
+  buildCsv,
+  buildTimesheetExport,
+  exportTimesheets,
+} from "../src/utils/ExportUtils";
+import { shareAndDelete } from "../src/utils/FileUtils";
+import { showToast } from "../src/utils/MessageUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+jest.mock("../src/utils/APIUtils", () => ({
+  ...jest.requireActual("../src/utils/APIUtils"),
+  fetchBusObjCatData: jest.fn(),
+}));
+
+jest.mock("../src/utils/FileUtils", () => ({
+  shareAndDelete: jest.fn(),
+}));
+
+jest.mock("expo-file-system", () => ({
+  cacheDirectory: "cache/",
+  EncodingType: { UTF8: "utf8" },
+  moveAsync: jest.fn(),
+  writeAsStringAsync: jest.fn(),
+}));
+
+jest.mock("expo-print", () => ({
+  printToFileAsync: jest.fn(),
+}));
+
+describe("Exporting timesheets", () => {
+  const t = (key, options) =>
+    options?.hours !== undefined ? `${key} ${options.hours}` : key;
+
+  const timesheet = {
+    "TimeConfirmation-start": new Date(2026, 9, 19).toISOString(),
+    "TimeConfirmation-end": new Date(2026, 9, 25).toISOString(),
+    "TimeConfirmation-extStatus-statusID": "submitted",
+    "TimeConfirmation-extStatus-processTemplateID:ProcessTemplate-steps": [
+      { extID: "open", statusLabel: "Open" },
+      { extID: "submitted", statusLabel: "Submitted" },
+    ],
+    "TimeConfirmation-totalTime": 5.5 * 3600000,
+    "TimeConfirmation-billableTime": 4 * 3600000,
+    "TimeConfirmation-totalOvertime": 0,
+    "TimeConfirmation-tasks": [
+      {
+        "customerID:Customer-name-text": "Acme, Inc.",
+        "projectWbsID:ProjectWBS-text-text": "Website",
+        "taskID:Task-text-text": "Design",
+        billable: true,
+        items: [
+          {
+            start: new Date(2026, 9, 21, 9).toISOString(),
+            actualTime: 4 * 3600000,
+            "remark:text": 'Review "final" mockups\nwith the team',
+          },
+        ],
+      },
+      {
+        "customerID:Customer-name-text": "Internal",
+        "projectWbsID:ProjectWBS-text-text": "Admin",
+        "taskID:Task-text-text": "Meetings",
+        billable: false,
+        items: [
+          {
+            start: new Date(2026, 9, 20, 9).toISOString(),
+            actualTime: 1.5 * 3600000,
+          },
+        ],
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    APP.LOGIN_USER_DATE_FORMAT = "dd/mm/yy";
+  });
+
+  it("lists the time of every timesheet by day and task, followed by its totals", () => {
+    const { sectionHeaders, headers, sections } = buildTimesheetExport(
+      [timesheet],
+      t
+    );
+
+    expect(sectionHeaders).toEqual(["export_period", "status"]);
+    expect(headers).toHaveLength(8);
+    expect(sections).toEqual([
+      {
+        heading: "19/10/2026 - 25/10/2026 (Submitted)",
+        sectionValues: ["19/10/2026 - 25/10/2026", "Submitted"],
+        rows: [
+          [
+            "20/10/2026",
+            "Internal",
+            "Admin",
+            "Meetings",
+            "1.50",
+            "0.00",
+            "1.50",
+            "",
+          ],
+          [
+            "21/10/2026",
+            "Acme, Inc.",
+            "Website",
+            "Design",
+            "4.00",
+            "4.00",
+            "0.00",
+            'Review "final" mockups\nwith the team',
+          ],
+        ],
+        totals: [
+          "total",
+          "",
+          "",
+          "",
+          "5.50",
+          "4.00",
+          "1.50",
+          "export_overtime 0.00",
+        ],
+      },
+    ]);
+  });
+
+  it("quotes CSV values with separators, quotes or line breaks", () => {
+    const csv = buildCsv({
+      sectionHeaders: ["Period"],
+      headers: ["Customer", "Remark"],
+      sections: [
+        {
+          sectionValues: ["Week 43"],
+          rows: [
+            ["Acme, Inc.", 'Review "final" mockups\nwith the team'],
+            ["Internal", null],
+          ],
+          totals: ["Total", ""],
+        },
+      ],
+    });
+
+    expect(csv.startsWith("\uFEFF")).toBe(true);
+    expect(csv.slice(1).split("\r\n")).toEqual([
+      "Period,Customer,Remark",
+      'Week 43,"Acme, Inc.","Review ""final"" mockups\nwith the team"',
+      "Week 43,Internal,",
+      "Week 43,Total,",
+    ]);
+  });
+
+  it("resolves to whether the export was shared", async () => {
+    fetchBusObjCatData.mockResolvedValue({ data: [timesheet] });
+    shareAndDelete.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    const exportCsv = () =>
+      exportTimesheets(EXPORT_FORMAT.CSV, [], [], [], "timesheets", t);
+
+    expect(await exportCsv()).toBe(true);
+    expect(await exportCsv()).toBe(false);
+    expect(FileSystem.writeAsStringAsync).toHaveBeenCalledWith(
+      "cache/timesheets.csv",
+      expect.stringContaining("Acme"),
+      { encoding: "utf8" }
+    );
+    expect(shareAndDelete).toHaveBeenCalledWith(
+      "cache/timesheets.csv",
+      { name: "timesheets.csv", mimeType: "text/csv" },
+      t
+    );
+  });
+
+  it("does not share an empty export", async () => {
+    fetchBusObjCatData.mockResolvedValue({ data: [] });
+
+    expect(
+      await exportTimesheets(EXPORT_FORMAT.CSV, [], [], [], "timesheets", t)
+    ).toBe(false);
+    expect(shareAndDelete).not.toHaveBeenCalled();
+    expect(showToast).toHaveBeenCalledWith("export_no_data", "warning");
+  });
+});
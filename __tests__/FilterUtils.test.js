@@ -0,0 +1,88 @@
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { BUSOBJCAT } from "../src/constants";
+import {
+  convertFiltersToWhereConditions,
+  filtersMap,
+  handleAmountFilter,
+} from "../src/utils/FilterUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+describe("handleAmountFilter", () => {
+  let appliedFilters;
+  let unsavedChanges;
+
+  // Applies the state updates the way React would
+  const setAppliedFilters = (update) => {
+    appliedFilters = update(appliedFilters);
+  };
+  const setUnsavedChanges = (update) => {
+    unsavedChanges = update(unsavedChanges);
+  };
+
+  const changeAmount = (value, initialFilters = {}) =>
+    handleAmountFilter(
+      "amount",
+      value,
+      initialFilters,
+      appliedFilters,
+      setAppliedFilters,
+      setUnsavedChanges
+    );
+
+  beforeEach(() => {
+    appliedFilters = { remark: "taxi" };
+    unsavedChanges = {};
+  });
+
+  it("keeps a filter that only selects a currency", () => {
+    changeAmount({
+      greaterThanValue: null,
+      lessThanValue: null,
+      currency: "USD",
+    });
+
+    expect(appliedFilters.amount).toEqual({
+      greaterThanValue: null,
+      lessThanValue: null,
+      currency: "USD",
+    });
+    expect(unsavedChanges.amount).toBe(true);
+  });
+
+  it("removes the filter once it is cleared, leaving the other filters", () => {
+    appliedFilters.amount = {
+      greaterThanValue: 5,
+      lessThanValue: null,
+      currency: "",
+    };
+
+    changeAmount(
+      { greaterThanValue: null, lessThanValue: null, currency: "" },
+      { amount: appliedFilters.amount }
+    );
+
+    expect(appliedFilters).toEqual({ remark: "taxi" });
+    expect(unsavedChanges.amount).toBe(true);
+  });
+
+  it("is not an unsaved change when it matches the initial filter", () => {
+    const range = { greaterThanValue: 5, lessThanValue: 50, currency: "EUR" };
+
+    changeAmount(range, { amount: range });
+
+    expect(unsavedChanges.amount).toBe(false);
+  });
+
+  it("is applied on the device rather than in the query", () => {
+    expect(
+      convertFiltersToWhereConditions(
+        { amount: { greaterThanValue: 5, lessThanValue: 50, currency: "EUR" } },
+        filtersMap[BUSOBJCAT.EXPENSE],
+        BUSOBJCAT.EXPENSE
+      )
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,116 @@
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { fetchData } from "../src/utils/APIUtils";
+import {
+  BALANCE_DATE,
+  buildLeaveBalances,
+  fetchBalanceAbsences,
+  getBalanceDate,
+} from "../src/utils/LeaveBalanceUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+jest.mock("../src/utils/APIUtils", () => ({
+  ...jest.requireActual("../src/utils/APIUtils"),
+  fetchData: jest.fn(),
+}));
+
+describe("Leave balances", () => {
+  const steps = [
+    { extID: "submitted" },
+    { extID: "cancelled", eventID: "SUBMISSIONCANCELLEDAPI" },
+    { extID: "approved" },
+  ];
+
+  const vacation = (id, month, plannedDays, statusID = "approved") => ({
+    "Absence-id": id,
+    "Absence-type:AbsenceType-extID": "VAC",
+    "Absence-start": new Date(2026, month, 1).toISOString(),
+    "Absence-end": new Date(2026, month, plannedDays).toISOString(),
+    "Absence-plannedDays": plannedDays,
+    "Absence-extStatus-processTemplateID": "absence-approval",
+    "Absence-extStatus-statusID": statusID,
+    "Absence-extStatus-processTemplateID:ProcessTemplate-steps": steps,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("splits the absences into taken and planned as of the balance date", () => {
+    const [balance] = buildLeaveBalances(
+      { VAC: { "AbsenceType-name": "Vacation" } },
+      { VAC: { projectedNextYear: 12 } },
+      [
+        vacation("1", 2, 5),
+        vacation("2", 11, 3),
+        vacation("3", 4, 2, "submitted"),
+        vacation("4", 5, 4, "cancelled"),
+        { ...vacation("5", 6, 9), "Absence-type:AbsenceType-extID": "SICK" },
+      ],
+      new Date(2026, 9, 19)
+    );
+
+    expect(balance).toMatchObject({
+      extId: "VAC",
+      name: "Vacation",
+      hourly: false,
+      taken: 5,
+      planned: 5,
+      remaining: 12,
+      derivedEntitlement: 22,
+    });
+    expect(balance.absences.map((absence) => absence.id)).toEqual([
+      "1",
+      "2",
+      "3",
+    ]);
+    expect(balance.absences[2]).toMatchObject({
+      approvalState: "pending",
+      statusTemplateExtId: "absence-approval",
+      taken: false,
+    });
+  });
+
+  it("does not count absences pending approval as taken", () => {
+    const [balance] = buildLeaveBalances(
+      {},
+      { VAC: {} },
+      [vacation("1", 2, 5, "submitted")],
+      new Date(2026, 9, 19)
+    );
+
+    expect(balance).toMatchObject({
+      name: "VAC",
+      taken: 0,
+      planned: 5,
+      remaining: 0,
+      derivedEntitlement: 5,
+    });
+  });
+
+  it("shows hourly absence types in hours", () => {
+    const [balance] = buildLeaveBalances(
+      { VAC: { "AbsenceType-displayInHours": true } },
+      { VAC: { projectedNextYear: 16 } },
+      [],
+      new Date(2026, 9, 19)
+    );
+
+    expect(balance).toMatchObject({ hourly: true, derivedEntitlement: 16 });
+  });
+
+  it("reads the balances today or at the end of the year", () => {
+    expect(getBalanceDate(BALANCE_DATE.YEAR_END)).toEqual(
+      new Date(new Date().getFullYear(), 11, 31)
+    );
+    expect(getBalanceDate(BALANCE_DATE.TODAY).getHours()).toBe(0);
+  });
+
+  it("fails when the absences cannot be read", async () => {
+    fetchData.mockResolvedValue({ success: false });
+
+    await expect(fetchBalanceAbsences("1")).rejects.toThrow();
+  });
+});
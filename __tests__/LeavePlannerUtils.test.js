@@ -0,0 +1,132 @@
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { APP } from "../src/constants";
+import { fetchData } from "../src/utils/APIUtils";
+import {
+  createLeaveScenario,
+  evaluateLeaveScenario,
+} from "../src/utils/LeavePlannerUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+jest.mock("../src/utils/APIUtils", () => ({
+  ...jest.requireActual("../src/utils/APIUtils"),
+  fetchData: jest.fn(),
+}));
+
+describe("Leave planner", () => {
+  const t = (key) => key;
+  const holiday = { date: new Date(2026, 9, 21) };
+  const employeeInfo = {
+    dailyStdHours: 8 * 3600000,
+    nonWorkingDays: [0, 6],
+    nonWorkingDates: [holiday],
+  };
+  const vacation = {
+    "AbsenceType-displayInHours": false,
+    "AbsenceType-hourlyLeave": false,
+    "AbsenceType-allowedInProbation": true,
+    "AbsenceType-allowedInTermination": false,
+  };
+
+  let updateKPIs;
+  let setIsKPIUpdating;
+
+  const evaluate = (start, end, info = employeeInfo, absences = []) =>
+    evaluateLeaveScenario(
+      {
+        ...createLeaveScenario(1, "VAC"),
+        start,
+        end,
+        endDayFraction: "1",
+      },
+      vacation,
+      info,
+      absences,
+      t,
+      updateKPIs,
+      setIsKPIUpdating
+    );
+
+  beforeAll(() => {
+    APP.LOGIN_USER_EMPLOYEE_ID = "employee";
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    updateKPIs = jest.fn();
+    setIsKPIUpdating = jest.fn();
+
+    fetchData.mockResolvedValue({
+      success: true,
+      retVal: { data: [{ projectedNextYear: 20, maxCarryForwards: 5 }] },
+    });
+
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should count the working days of the scenario without the holidays", () => {
+    const overlappingAbsence = {
+      "Absence-start": new Date(2026, 9, 22).toISOString(),
+      "Absence-end": new Date(2026, 9, 22).toISOString(),
+    };
+
+    expect(
+      evaluate(new Date(2026, 9, 19), new Date(2026, 9, 23), employeeInfo, [
+        overlappingAbsence,
+        {
+          "Absence-start": new Date(2026, 9, 26).toISOString(),
+          "Absence-end": new Date(2026, 9, 27).toISOString(),
+        },
+      ])
+    ).toEqual({
+      duration: 4,
+      workingDays: 4,
+      holidays: [holiday],
+      overlappingAbsences: [overlappingAbsence],
+      allowedInEmploymentPeriod: true,
+    });
+  });
+
+  it("should read the balance after the leave", async () => {
+    evaluate(new Date(2026, 9, 19), new Date(2026, 9, 20));
+
+    await new Promise(setImmediate);
+
+    expect(JSON.parse(fetchData.mock.calls[0][3]).paramsMap).toMatchObject({
+      employeeId: "employee",
+      absenceTypeExtId: "VAC",
+      absenceDuration: 2,
+    });
+    expect(updateKPIs).toHaveBeenCalledWith({
+      balanceBefore: 20,
+      balanceAfter: 18,
+      projectedBalance: 20,
+      projectedCarryForward: 5,
+    });
+  });
+
+  it("should not allow a leave in the notice period of the employee", () => {
+    const result = evaluate(new Date(2026, 9, 19), new Date(2026, 9, 20), {
+      ...employeeInfo,
+      noticePeriod: 30,
+      termDate: new Date(Date.now() + 30 * 86400000),
+    });
+
+    expect(result.allowedInEmploymentPeriod).toBe(false);
+  });
+
+  it("should not evaluate a scenario ending before it starts", () => {
+    expect(evaluate(new Date(2026, 9, 23), new Date(2026, 9, 19))).toBeNull();
+    expect(console.error).toHaveBeenCalledWith(
+      "Start date cannot be after end date."
+    );
+    expect(fetchData).not.toHaveBeenCalled();
+  });
+});
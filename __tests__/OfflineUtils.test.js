@@ -0,0 +1,280 @@
+// Third-party libraries
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import NetInfo from "@react-native-community/netinfo";
+
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { REQUEST_QUEUE, REQUEST_QUEUE_ACTION } from "../src/constants";
+import { fetchData, uploadBinaryResource } from "../src/utils/APIUtils";
+import {
+  addToRequestQueue,
+  getRequestQueue,
+  processRequestQueue,
+  queueFileUpload,
+  removeFromRequestQueue,
+} from "../src/utils/OfflineUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+// Mock the upload of files next to the requests
+jest.mock("../src/utils/APIUtils", () => ({
+  ...jest.requireActual("../src/utils/APIUtils"),
+  fetchData: jest.fn(),
+  uploadBinaryResource: jest.fn(),
+}));
+
+// Mock NetInfo to simulate the connectivity of the device
+jest.mock("@react-native-community/netinfo", () => ({
+  fetch: jest.fn(),
+}));
+
+describe("Offline request queue", () => {
+  // In-memory content of AsyncStorage
+  let storage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    storage = {};
+    AsyncStorage.getItem.mockImplementation(
+      async (key) => storage[key] ?? null
+    );
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      storage[key] = value;
+    });
+
+    NetInfo.fetch.mockResolvedValue({ isConnected: true });
+
+    // The queue logs every step of a replay
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const timesheetSave = (busObjId) => ({
+    endpoint: "/api/updatefields",
+    method: "POST",
+    body: JSON.stringify({ data: { "TimeConfirmation-id": busObjId } }),
+    busObjCat: "TimeConfirmation",
+    busObjId,
+  });
+
+  it("should keep all requests added at the same time", async () => {
+    await Promise.all([
+      addToRequestQueue(timesheetSave("1")),
+      addToRequestQueue(timesheetSave("2")),
+      addToRequestQueue(timesheetSave("3")),
+    ]);
+
+    const queue = await getRequestQueue();
+    expect(queue.map((request) => request.busObjId)).toEqual(["1", "2", "3"]);
+    expect(queue[0]).toMatchObject({
+      actionType: REQUEST_QUEUE_ACTION.SAVE,
+      retryCount: 0,
+      nextAttemptAt: null,
+    });
+  });
+
+  it("should not lose a request added while another one is removed", async () => {
+    await addToRequestQueue(timesheetSave("1"));
+    const [firstRequest] = await getRequestQueue();
+
+    await Promise.all([
+      removeFromRequestQueue(firstRequest.id),
+      addToRequestQueue(timesheetSave("2")),
+    ]);
+
+    const queue = await getRequestQueue();
+    expect(queue.map((request) => request.busObjId)).toEqual(["2"]);
+  });
+
+  it("should report a request that cannot be stored", async () => {
+    AsyncStorage.setItem.mockRejectedValueOnce(new Error("Storage full"));
+
+    await expect(addToRequestQueue(timesheetSave("1"))).rejects.toThrow(
+      "Storage full"
+    );
+
+    // The following changes of the queue still run
+    await addToRequestQueue(timesheetSave("2"));
+    expect((await getRequestQueue()).length).toBe(1);
+  });
+
+  it("should not overwrite a queue that cannot be read", async () => {
+    storage[REQUEST_QUEUE.STORAGE_KEY] = "not json";
+
+    await expect(addToRequestQueue(timesheetSave("1"))).rejects.toThrow();
+    expect(storage[REQUEST_QUEUE.STORAGE_KEY]).toBe("not json");
+  });
+
+  it("should remove the replayed requests from the queue", async () => {
+    fetchData.mockResolvedValue({ success: true, details: [] });
+
+    await addToRequestQueue(timesheetSave("1"));
+    await addToRequestQueue(timesheetSave("2"));
+
+    const summary = await processRequestQueue();
+
+    expect(fetchData).toHaveBeenCalledTimes(2);
+    expect(summary).toMatchObject({ succeeded: 2, failed: 0, remaining: 0 });
+    expect(await getRequestQueue()).toEqual([]);
+  });
+
+  it("should back off after a failure and hold back later requests of the document", async () => {
+    fetchData.mockResolvedValue({ success: false, errorMessage: "Locked" });
+
+    await addToRequestQueue(timesheetSave("1"));
+    await addToRequestQueue(timesheetSave("1"));
+
+    const before = Date.now();
+    const summary = await processRequestQueue();
+
+    // The second save of the document is not sent before the first one
+    expect(fetchData).toHaveBeenCalledTimes(1);
+    expect(summary).toMatchObject({ succeeded: 0, failed: 1, remaining: 2 });
+
+    const [failedRequest, heldBackRequest] = await getRequestQueue();
+    expect(failedRequest).toMatchObject({ retryCount: 1, lastError: "Locked" });
+    expect(
+      new Date(failedRequest.nextAttemptAt).getTime() - before
+    ).toBeGreaterThanOrEqual(REQUEST_QUEUE.BASE_RETRY_DELAY);
+    expect(heldBackRequest.retryCount).toBe(0);
+    expect(summary.nextAttemptAt).toBe(
+      new Date(failedRequest.nextAttemptAt).getTime()
+    );
+  });
+
+  it("should double the delay with every failure up to the maximum", async () => {
+    fetchData.mockResolvedValue({ success: false });
+
+    await addToRequestQueue(timesheetSave("1"));
+
+    const delays = [];
+    for (let attempt = 0; attempt < REQUEST_QUEUE.MAX_RETRIES; attempt++) {
+      const before = Date.now();
+      await processRequestQueue({ force: true });
+      const [request] = await getRequestQueue();
+      delays.push(
+        Math.round(
+          (new Date(request.nextAttemptAt).getTime() - before) / 1000
+        ) * 1000
+      );
+    }
+
+    expect(delays).toEqual(
+      delays.map((_, index) =>
+        Math.min(
+          REQUEST_QUEUE.BASE_RETRY_DELAY * 2 ** index,
+          REQUEST_QUEUE.MAX_RETRY_DELAY
+        )
+      )
+    );
+  });
+
+  it("should wait for a manual retry once the retries are exhausted", async () => {
+    fetchData.mockResolvedValue({ success: true, details: [] });
+
+    await addToRequestQueue(timesheetSave("1"));
+    const [request] = await getRequestQueue();
+    storage[REQUEST_QUEUE.STORAGE_KEY] = JSON.stringify([
+      { ...request, retryCount: REQUEST_QUEUE.MAX_RETRIES },
+    ]);
+
+    await processRequestQueue();
+    expect(fetchData).not.toHaveBeenCalled();
+
+    await processRequestQueue({ force: true, requestIds: [request.id] });
+    expect(fetchData).toHaveBeenCalledTimes(1);
+    expect(await getRequestQueue()).toEqual([]);
+  });
+
+  it("should replay the requests queued while a replay is running", async () => {
+    let resolveFirstRequest;
+    fetchData
+      .mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            resolveFirstRequest = resolve;
+          })
+      )
+      .mockResolvedValue({ success: true, details: [] });
+
+    await addToRequestQueue(timesheetSave("1"));
+    const firstReplay = processRequestQueue();
+
+    // The second request is queued and replayed while the first one is still being sent
+    await addToRequestQueue(timesheetSave("2"));
+    const secondReplay = processRequestQueue();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    resolveFirstRequest({ success: true, details: [] });
+
+    expect(await firstReplay).toMatchObject({ succeeded: 1 });
+    expect(await secondReplay).toMatchObject({ succeeded: 1, remaining: 0 });
+    expect(fetchData).toHaveBeenCalledTimes(2);
+  });
+
+  it("should not replay while the device is offline", async () => {
+    NetInfo.fetch.mockResolvedValue({ isConnected: false });
+
+    await addToRequestQueue(timesheetSave("1"));
+    const summary = await processRequestQueue();
+
+    expect(fetchData).not.toHaveBeenCalled();
+    expect(summary.remaining).toBe(1);
+  });
+
+  it("should upload a queued file once its document was created", async () => {
+    storage.isRequestQueueEnabled = "true";
+
+    await addToRequestQueue({
+      ...timesheetSave(""),
+      busObjId: "local-1-abc",
+      localId: "local-1-abc",
+    });
+    await queueFileUpload(
+      {
+        busObjCat: "TimeConfirmation",
+        busObjId: "local-1-abc",
+        file: { uri: "file:///receipt.pdf", name: "receipt.pdf" },
+      },
+      { client: "1" }
+    );
+
+    expect((await getRequestQueue())[1]).toMatchObject({
+      actionType: REQUEST_QUEUE_ACTION.UPLOAD,
+      fileName: "receipt.pdf",
+    });
+
+    uploadBinaryResource.mockResolvedValue({ attachmentId: "att-1" });
+    fetchData
+      // The creation of the timesheet
+      .mockResolvedValueOnce({
+        success: true,
+        details: [{ success: true, data: { ids: ["ts-1"] } }],
+      })
+      // The attachment, the current files of the timesheet and the updated files
+      .mockResolvedValueOnce({ success: true, details: [] })
+      .mockResolvedValueOnce({
+        success: true,
+        data: [{ "TimeConfirmation-files": ["att-0"] }],
+      })
+      .mockResolvedValueOnce({ success: true, details: [] });
+
+    const summary = await processRequestQueue();
+
+    expect(summary).toMatchObject({ succeeded: 2, failed: 0, remaining: 0 });
+    expect(uploadBinaryResource.mock.calls[0][0]).toBe("file:///receipt.pdf");
+    expect(JSON.parse(fetchData.mock.calls[1][3]).data).toMatchObject({
+      "Attachment-id": "att-1",
+      "Attachment-busObjs": { busObjCat: "TimeConfirmation", iD: "ts-1" },
+    });
+    expect(JSON.parse(fetchData.mock.calls[3][3]).data).toEqual({
+      "TimeConfirmation-id": "ts-1",
+      "TimeConfirmation-files": ["att-0", "att-1"],
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// Third-party libraries
+import TextRecognition from "@react-native-ml-kit/text-recognition";
+
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { APP } from "../src/constants";
+import {
+  checkNetworkConnectivity,
+  queueFileUpload,
+  requestQueueReplay,
+} from "../src/utils/OfflineUtils";
+import {
+  attachReceipts,
+  convertReceiptToExpenseItem,
+  parseReceiptText,
+  scanReceipt,
+} from "../src/utils/ReceiptUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+jest.mock("../src/utils/APIUtils", () => ({
+  ...jest.requireActual("../src/utils/APIUtils"),
+  fetchData: jest.fn(),
+}));
+
+jest.mock("@react-native-ml-kit/text-recognition", () => ({
+  recognize: jest.fn(),
+}));
+
+jest.mock("../src/utils/OfflineUtils", () => ({
+  checkNetworkConnectivity: jest.fn(),
+  queueFileUpload: jest.fn(),
+  requestQueueReplay: jest.fn(),
+}));
+
+describe("Reading receipts", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    APP.LOGIN_USER_DATE_FORMAT = "dd.MM.yyyy";
+  });
+
+  it("reads the merchant, date, total and currency", () => {
+    expect(
+      parseReceiptText(
+        [
+          "Café Central",
+          "Hauptstr. 12",
+          "15.03.2024 12:41",
+          "Coffee 3,50",
+          "Cake 4,20",
+          "Subtotal 7,70",
+          "VAT 19% 1,23",
+          "Total",
+          "8,93 EUR",
+        ].join("\n"),
+        ["EUR", "USD"]
+      )
+    ).toEqual({
+      merchant: "Café Central",
+      date: "2024-03-15T12:00:00.000Z",
+      amount: "8.93",
+      currency: "EUR",
+    });
+  });
+
+  it("takes the total labelled with its tax", () => {
+    const { amount } = parseReceiptText(
+      "Diner\nSubtotal 40.00\nTax 3.20\nTotal incl. tax 43.20\nCash 50.00"
+    );
+
+    expect(amount).toBe("43.20");
+  });
+
+  it("reads ambiguous dates in the order of the user's date format", () => {
+    APP.LOGIN_USER_DATE_FORMAT = "MM/dd/yyyy";
+
+    expect(parseReceiptText("Taxi\n03/04/24\nTotal $12.00").date).toBe(
+      "2024-03-04T12:00:00.000Z"
+    );
+    expect(parseReceiptText("Taxi\n31/01/2024\nTotal $12.00").date).toBe(
+      "2024-01-31T12:00:00.000Z"
+    );
+  });
+
+  it("takes the highest amount without a total line", () => {
+    expect(parseReceiptText("Parking\n1,234.56\n12.50\n2024-02-30")).toEqual({
+      merchant: "Parking",
+      date: null,
+      amount: "1234.56",
+      currency: "",
+    });
+  });
+
+  it("does not propose a currency that cannot be selected", () => {
+    expect(parseReceiptText("Pub\nTotal £9.99", ["EUR"]).currency).toBe("");
+  });
+
+  it("keeps the photo of a scanned receipt for its line item", async () => {
+    TextRecognition.recognize.mockResolvedValue({
+      text: "Bakery\n2024-03-15\nTotal 6.40 EUR",
+    });
+
+    const receipt = await scanReceipt("file:///receipt.jpg", ["EUR"]);
+    expect(receipt.imageUri).toBe("file:///receipt.jpg");
+
+    const item = convertReceiptToExpenseItem(receipt, new Date(), "USD", "en");
+    expect(item).toMatchObject({
+      amount: "6.40",
+      currency: "EUR",
+      receiptUri: "file:///receipt.jpg",
+    });
+    expect(new Date(item.date).toISOString()).toBe(receipt.date);
+  });
+
+  it("does not propose anything for unreadable receipts", async () => {
+    TextRecognition.recognize.mockRejectedValue(new Error("No text"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(await scanReceipt("file:///blurred.jpg")).toBeNull();
+    expect(console.error).toHaveBeenCalledWith(
+      "Error in recognizing the receipt text:",
+      expect.any(Error)
+    );
+  });
+
+  it("attaches the photos of the scanned receipts to the claim", async () => {
+    checkNetworkConnectivity.mockResolvedValue(true);
+
+    expect(
+      await attachReceipts("42", [
+        { amount: "6.40", receiptUri: "file:///cache/receipt.png" },
+        { amount: "3.00", receiptUri: null },
+      ])
+    ).toBe(1);
+
+    expect(queueFileUpload).toHaveBeenCalledTimes(1);
+    expect(queueFileUpload.mock.calls[0][0]).toEqual({
+      busObjCat: "ExpenseClaim",
+      busObjId: "42",
+      file: {
+        uri: "file:///cache/receipt.png",
+        name: "receipt.png",
+        mimeType: "image/png",
+      },
+    });
+    expect(requestQueueReplay).toHaveBeenCalledTimes(1);
+  });
+
+  it("leaves the uploads of claims saved offline queued", async () => {
+    checkNetworkConnectivity.mockResolvedValue(false);
+
+    await attachReceipts("local-1", [{ receiptUri: "file:///receipt.jpg" }]);
+
+    expect(queueFileUpload.mock.calls[0][0].file.mimeType).toBe("image/jpeg");
+    expect(requestQueueReplay).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,149 @@
+// Third-party libraries
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { addDays } from "date-fns";
+import * as Notifications from "expo-notifications";
+
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { APP, TIMESHEET_REMINDERS } from "../src/constants";
+import { fetchBusObjCatData } from "../src/utils/APIUtils";
+import { scheduleTimesheetReminders } from "../src/utils/ReminderUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+// Mock the timesheet query the reminders are computed from
+jest.mock("../src/utils/APIUtils", () => ({
+  fetchBusObjCatData: jest.fn(),
+}));
+
+// Mock expo-notifications to record the scheduled reminders
+jest.mock("expo-notifications", () => ({
+  AndroidImportance: { DEFAULT: 3 },
+  cancelScheduledNotificationAsync: jest.fn(),
+  getAllScheduledNotificationsAsync: jest.fn(),
+  getPermissionsAsync: jest.fn(),
+  scheduleNotificationAsync: jest.fn(),
+  setNotificationChannelAsync: jest.fn(),
+}));
+
+describe("Timesheet reminders", () => {
+  // Monday to Friday, without work schedule patterns or holidays
+  const employeeInfo = {
+    startOfWeek: 1,
+    patterns: [],
+    nonWorkingDays: [0, 6],
+    nonWorkingDates: [],
+  };
+
+  const t = (key) => key;
+
+  // Stores the reminder preferences of the user, without drafts created offline
+  const mockSettings = (settings) => {
+    AsyncStorage.getItem.mockImplementation(async (key) =>
+      key === TIMESHEET_REMINDERS.STORAGE_KEY ? JSON.stringify(settings) : null
+    );
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Wednesday, October 14, 2026
+    jest.useFakeTimers({
+      now: new Date(2026, 9, 14, 8),
+      doNotFake: ["nextTick", "setImmediate", "queueMicrotask"],
+    });
+
+    mockSettings({ enabled: true, day: "5", time: "16:00" });
+    APP.LOGIN_USER_DATE_FORMAT = "dd.MM.yyyy";
+    Notifications.getPermissionsAsync.mockResolvedValue({ granted: true });
+    Notifications.getAllScheduledNotificationsAsync.mockResolvedValue([
+      {
+        identifier: "old",
+        content: { data: { type: TIMESHEET_REMINDERS.NOTIFICATION_TYPE } },
+      },
+    ]);
+
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const weeklyTimesheet = (id, start, statusID) => ({
+    "TimeConfirmation-id": id,
+    "TimeConfirmation-start": start.toISOString(),
+    "TimeConfirmation-end": addDays(start, 6).toISOString(),
+    "TimeConfirmation-extStatus-statusID": statusID,
+    "TimeConfirmation-extStatus-processTemplateID:ProcessTemplate-steps": [
+      { extID: "draft" },
+      { extID: "submitted" },
+    ],
+  });
+
+  it("should remind of missing and draft timesheets only", async () => {
+    fetchBusObjCatData.mockResolvedValue({
+      data: [
+        weeklyTimesheet("1", new Date(2026, 9, 12), "submitted"),
+        weeklyTimesheet("2", new Date(2026, 9, 19), "draft"),
+      ],
+    });
+
+    await scheduleTimesheetReminders(employeeInfo, t);
+
+    expect(Notifications.cancelScheduledNotificationAsync).toHaveBeenCalledWith(
+      "old"
+    );
+
+    const reminders = Notifications.scheduleNotificationAsync.mock.calls.map(
+      ([notification]) => notification
+    );
+    expect(
+      reminders.map((reminder) => reminder.trigger.date.getDate())
+    ).toEqual([23, 30, 6]);
+    expect(reminders[0].content).toMatchObject({
+      body: "timesheet_reminder_draft",
+      data: { timesheetId: "2" },
+    });
+    expect(reminders[1].content).toMatchObject({
+      body: "timesheet_reminder_missing",
+      data: { timesheetId: null },
+    });
+    expect(reminders[0].trigger.date.getHours()).toBe(16);
+    expect(console.log).toHaveBeenCalledWith(
+      `Timesheet reminder scheduled for ${reminders[0].trigger.date}`
+    );
+  });
+
+  it("should remind on the last working day of the week", async () => {
+    mockSettings({
+      enabled: true,
+      day: TIMESHEET_REMINDERS.LAST_WORKING_DAY,
+      time: "16:00",
+    });
+    fetchBusObjCatData.mockResolvedValue({ data: [] });
+
+    await scheduleTimesheetReminders(
+      { ...employeeInfo, nonWorkingDates: [{ date: new Date(2026, 9, 16) }] },
+      t
+    );
+
+    expect(
+      Notifications.scheduleNotificationAsync.mock.calls.map(([notification]) =>
+        notification.trigger.date.getDate()
+      )
+    ).toEqual([15, 23, 30, 6]);
+  });
+
+  it("should only cancel the reminders when they are disabled", async () => {
+    mockSettings({ enabled: false });
+
+    await scheduleTimesheetReminders(employeeInfo, t);
+
+    expect(Notifications.cancelScheduledNotificationAsync).toHaveBeenCalled();
+    expect(fetchBusObjCatData).not.toHaveBeenCalled();
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,103 @@
+// Third-party libraries
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { TASK_COMBINATIONS } from "../src/constants";
+import {
+  addRecentTaskCombination,
+  getTaskCombinations,
+  removeTaskCombination,
+  toggleFavoriteTaskCombination,
+} from "../src/utils/TaskCombinationUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+describe("Recently used task combinations", () => {
+  let storage;
+
+  const task = (taskId) => ({
+    customerId: "customer",
+    projectId: "project",
+    taskId,
+    taskText: `Task ${taskId}`,
+  });
+
+  const getTaskIds = async () =>
+    (await getTaskCombinations()).map((combination) => combination.taskId);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date("2026-10-19T08:00:00.000Z") });
+
+    storage = {};
+    AsyncStorage.getItem.mockImplementation(
+      async (key) => storage[key] ?? null
+    );
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      storage[key] = value;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("keeps combinations recorded in quick succession", async () => {
+    await Promise.all([
+      addRecentTaskCombination(task("1")),
+      addRecentTaskCombination(task("2")),
+      toggleFavoriteTaskCombination("customer|project|1||"),
+    ]);
+
+    expect(await getTaskCombinations()).toEqual([
+      expect.objectContaining({ taskId: "1", favorite: true }),
+      expect.objectContaining({ taskId: "2", favorite: false }),
+    ]);
+  });
+
+  it("keeps the favorites and the most recently used combinations", async () => {
+    await addRecentTaskCombination(task("favorite"));
+    await toggleFavoriteTaskCombination("customer|project|favorite||");
+
+    for (let index = 0; index <= TASK_COMBINATIONS.MAX_RECENT; index++) {
+      jest.advanceTimersByTime(1000);
+      await addRecentTaskCombination(task(String(index)));
+    }
+
+    const taskIds = await getTaskIds();
+    expect(taskIds).toHaveLength(TASK_COMBINATIONS.MAX_RECENT + 1);
+    expect(taskIds[0]).toBe("favorite");
+    expect(taskIds[1]).toBe(String(TASK_COMBINATIONS.MAX_RECENT));
+    expect(taskIds).not.toContain("0");
+  });
+
+  it("moves a combination used again to the top", async () => {
+    await addRecentTaskCombination(task("1"));
+    jest.advanceTimersByTime(1000);
+    await addRecentTaskCombination(task("2"));
+    jest.advanceTimersByTime(1000);
+    await addRecentTaskCombination({ ...task("1"), remark: "Again" });
+
+    expect(await getTaskIds()).toEqual(["1", "2"]);
+  });
+
+  it("ignores items without a task or department", async () => {
+    expect(await addRecentTaskCombination({ customerId: "customer" })).toEqual(
+      []
+    );
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+  });
+
+  it("removes a combination", async () => {
+    await addRecentTaskCombination(task("1"));
+    await addRecentTaskCombination(task("2"));
+
+    expect(
+      (await removeTaskCombination("customer|project|1||")).map(
+        (combination) => combination.taskId
+      )
+    ).toEqual(["2"]);
+  });
+});
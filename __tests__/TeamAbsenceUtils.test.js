@@ -0,0 +1,120 @@
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { TEAM_ABSENCES } from "../src/constants";
+import { fetchData } from "../src/utils/APIUtils";
+import {
+  fetchTeamAbsences,
+  findOverlappingTeammates,
+} from "../src/utils/TeamAbsenceUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+jest.mock("../src/utils/APIUtils", () => ({
+  ...jest.requireActual("../src/utils/APIUtils"),
+  fetchData: jest.fn(),
+}));
+
+describe("Absences of the team", () => {
+  const t = (key) => key;
+
+  const teammateAbsence = (employeeId, name, start, end) => ({
+    "Absence-employeeID": employeeId,
+    "Absence-employeeID:Resource-core-name-knownAs": name,
+    "Absence-start": start.toISOString(),
+    "Absence-end": end.toISOString(),
+    "Absence-extStatus-statusID": "approved",
+    "Absence-extStatus-processTemplateID:ProcessTemplate-steps": [
+      { extID: "submitted" },
+      { extID: "approved" },
+    ],
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should find each absent teammate once, without the requesting employee", () => {
+    const absences = [
+      teammateAbsence(
+        "1",
+        "Alex",
+        new Date(2026, 9, 19),
+        new Date(2026, 9, 20)
+      ),
+      teammateAbsence(
+        "1",
+        "Alex",
+        new Date(2026, 9, 22),
+        new Date(2026, 9, 22)
+      ),
+      teammateAbsence("2", "Sam", new Date(2026, 9, 21), new Date(2026, 9, 23)),
+      teammateAbsence("3", "Kim", new Date(2026, 9, 26), new Date(2026, 9, 30)),
+      teammateAbsence(
+        "4",
+        "Robin",
+        new Date(2026, 9, 20),
+        new Date(2026, 9, 20)
+      ),
+    ];
+
+    expect(
+      findOverlappingTeammates(
+        new Date(2026, 9, 20),
+        new Date(2026, 9, 22),
+        absences,
+        "4",
+        t
+      )
+    ).toEqual(["Alex", "Sam"]);
+  });
+
+  it("should query a bounded number of absences of the team", async () => {
+    fetchData.mockResolvedValue({
+      success: true,
+      data: [
+        teammateAbsence(
+          "1",
+          "Alex",
+          new Date(2026, 9, 19),
+          new Date(2026, 9, 20)
+        ),
+      ],
+    });
+
+    const absences = await fetchTeamAbsences(
+      new Date(2026, 9, 19),
+      new Date(2026, 9, 25),
+      { teamId: "team" }
+    );
+
+    expect(absences).toHaveLength(1);
+
+    const formData = new URLSearchParams(fetchData.mock.calls[0][3]);
+    expect(formData.get("limit")).toBe(String(TEAM_ABSENCES.MAX_ABSENCES));
+    expect(JSON.parse(formData.get("query")).where).toContainEqual({
+      fieldName: `Absence-employeeID:${TEAM_ABSENCES.TEAM_FIELD}`,
+      operator: "=",
+      value: "team",
+    });
+  });
+
+  it("should not query the absences without a team", async () => {
+    expect(
+      await fetchTeamAbsences(new Date(2026, 9, 19), new Date(2026, 9, 25), {
+        teamId: null,
+      })
+    ).toEqual([]);
+    expect(fetchData).not.toHaveBeenCalled();
+  });
+
+  it("should fail when the absences of the team cannot be read", async () => {
+    fetchData.mockResolvedValue({ success: false });
+
+    await expect(
+      fetchTeamAbsences(new Date(2026, 9, 19), new Date(2026, 9, 25), {
+        employeeIds: ["1", "2"],
+      })
+    ).rejects.toThrow();
+  });
+});
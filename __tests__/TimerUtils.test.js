@@ -0,0 +1,110 @@
+// Third-party libraries
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// Setup and mocks
+import "./config/setupTests.js";
+
+import {
+  completeTimer,
+  convertTimerToTimesheetItem,
+  getElapsedTime,
+  getTimer,
+  pauseTimer,
+  resumeTimer,
+  startTimer,
+  stopTimer,
+} from "../src/utils/TimerUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+describe("Timesheet timer", () => {
+  let storage;
+
+  const advanceMinutes = (minutes) =>
+    jest.setSystemTime(Date.now() + minutes * 60 * 1000);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2026-10-19T08:00:00.000Z") });
+
+    storage = {};
+    AsyncStorage.getItem.mockImplementation(
+      async (key) => storage[key] ?? null
+    );
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      storage[key] = value;
+    });
+    AsyncStorage.removeItem.mockImplementation(async (key) => {
+      delete storage[key];
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("keeps the recorded time across pauses and restarts of the app", async () => {
+    await startTimer({ taskId: "task", taskText: "Development" });
+    advanceMinutes(30);
+    await pauseTimer();
+    advanceMinutes(60);
+
+    expect(getElapsedTime(await getTimer())).toBe(30 * 60 * 1000);
+
+    await resumeTimer();
+    advanceMinutes(15);
+
+    const timer = await getTimer();
+    expect(timer).toMatchObject({
+      taskId: "task",
+      startedOn: "2026-10-19T08:00:00.000Z",
+      recordedTime: 30 * 60 * 1000,
+    });
+    expect(getElapsedTime(timer)).toBe(45 * 60 * 1000);
+  });
+
+  it("does not count time before the timer was resumed", () => {
+    expect(
+      getElapsedTime(
+        { recordedTime: 1000, runningSince: "2026-10-19T09:00:00.000Z" },
+        new Date("2026-10-19T08:00:00.000Z")
+      )
+    ).toBe(1000);
+    expect(getElapsedTime(null)).toBe(0);
+  });
+
+  it("keeps a stopped timer until its time is booked", async () => {
+    await startTimer({ taskId: "task" });
+    advanceMinutes(20);
+
+    const stoppedTimer = await stopTimer();
+    advanceMinutes(20);
+
+    expect(await stopTimer()).toEqual(stoppedTimer);
+    expect(getElapsedTime(stoppedTimer)).toBe(20 * 60 * 1000);
+
+    await completeTimer("2026-10-19T07:00:00.000Z");
+    expect(await getTimer()).toEqual(stoppedTimer);
+
+    await completeTimer(stoppedTimer.startedOn);
+    expect(await getTimer()).toBeNull();
+  });
+
+  it("books the recorded time in full minutes on the day the timer was started", () => {
+    const { date, item } = convertTimerToTimesheetItem({
+      startedOn: "2026-10-19T08:00:00.000Z",
+      recordedTime: 90 * 1000,
+      taskId: "task",
+      billable: true,
+    });
+
+    expect(date).toBe("2026-10-19T08:00:00.000Z");
+    expect(item).toMatchObject({
+      taskId: "task",
+      billable: true,
+      actualTime: 2 * 60 * 1000,
+    });
+    expect(
+      convertTimerToTimesheetItem({ recordedTime: 0 }).item.actualTime
+    ).toBe(60 * 1000);
+  });
+});
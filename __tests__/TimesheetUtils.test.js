@@ -0,0 +1,268 @@
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { fetchData } from "../src/utils/APIUtils";
+import {
+  autoFillTimesheetItems,
+  copyTimesheetTasks,
+  retrieveBillableStatus,
+} from "../src/utils/TimesheetUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+jest.mock("../src/utils/APIUtils", () => ({
+  ...jest.requireActual("../src/utils/APIUtils"),
+  fetchData: jest.fn(),
+}));
+
+describe("Copying the tasks of an earlier timesheet", () => {
+  // The new timesheet covers the week after the copied one, Monday to Sunday
+  const period = {
+    start: new Date(2026, 9, 12),
+    end: new Date(2026, 9, 18),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const sourceTask = (taskID, days, overrides = {}) => ({
+    taskID,
+    "taskID:Task-extID": taskID.toUpperCase(),
+    "taskID:Task-text-text": `Task ${taskID}`,
+    billable: true,
+    items: days.map((day) => ({
+      start: new Date(2026, 9, day, 9).toISOString(),
+      end: new Date(2026, 9, day, 17).toISOString(),
+      actualTime: 8 * 3600000,
+      "remark:text": "Remark",
+    })),
+    ...overrides,
+  });
+
+  const billableTaskState = (taskId) => ({
+    "Task-id": taskId,
+    "Task-intStatus": 0,
+    "Task-billable": true,
+    "Task-resources": [{ personID: "person", billable: true }],
+  });
+
+  // Mocks the queries of the copied timesheet and of the current state of its tasks
+  const mockQueries = (
+    sourceTasks,
+    taskStates,
+    sourcePeriod = { start: new Date(2026, 9, 5), end: new Date(2026, 9, 11) }
+  ) => {
+    fetchData
+      .mockResolvedValueOnce({
+        success: true,
+        data: [
+          {
+            "TimeConfirmation-start": sourcePeriod.start.toISOString(),
+            "TimeConfirmation-end": sourcePeriod.end.toISOString(),
+            "TimeConfirmation-tasks": sourceTasks,
+          },
+        ],
+      })
+      .mockResolvedValueOnce({ success: true, data: taskStates });
+  };
+
+  it("should keep the items on the same weekday without hours and remarks", async () => {
+    mockQueries([sourceTask("a", [5, 9])], [billableTaskState("a")]);
+
+    const result = await copyTimesheetTasks("1", period, "person");
+
+    expect(result.tasks).toHaveLength(1);
+    expect(
+      result.tasks[0].items.map((item) => new Date(item.start).getUTCDate())
+    ).toEqual([12, 16]);
+    expect(result.tasks[0].items[0]).toMatchObject({
+      actualTime: 0,
+      "remark:text": "",
+    });
+    expect(result.totalTime).toBe(0);
+  });
+
+  it("should copy the hours and remarks on request", async () => {
+    mockQueries([sourceTask("a", [6])], [billableTaskState("a")]);
+
+    const result = await copyTimesheetTasks("1", period, "person", {
+      copyHours: true,
+      copyRemarks: true,
+    });
+
+    expect(result.tasks[0].items[0]).toMatchObject({
+      actualTime: 8 * 3600000,
+      billableTime: 8 * 3600000,
+      "remark:text": "Remark",
+    });
+    expect(result.totalTime).toBe(8 * 3600000);
+    expect(result.billableTime).toBe(8 * 3600000);
+  });
+
+  it("should skip closed tasks and flag tasks that are no longer billable", async () => {
+    mockQueries(
+      [sourceTask("a", [5]), sourceTask("b", [5]), sourceTask("c", [5])],
+      [
+        { "Task-id": "a", "Task-intStatus": 0, "Task-billable": false },
+        { "Task-id": "b", "Task-intStatus": 0, "Task-percentComplete": 100 },
+      ]
+    );
+
+    const result = await copyTimesheetTasks("1", period, "person", {
+      copyHours: true,
+    });
+
+    expect(result.tasks.map((task) => task.taskID)).toEqual(["a"]);
+    expect(result.tasks[0].billable).toBe(false);
+    expect(result.billableTime).toBe(0);
+    expect(result.unbillableTasks).toEqual(["Task a (A)"]);
+    expect(result.skippedTasks).toEqual(["Task b (B)", "Task c (C)"]);
+  });
+
+  it("should move the items of a monthly period to the same weekday of the same week", async () => {
+    // September 2026 starts on a Tuesday and has five Tuesdays and Wednesdays, October 2026 starts on a Thursday
+    const septemberItem = (day) => ({
+      start: new Date(2026, 8, day, 9).toISOString(),
+      end: new Date(2026, 8, day, 17).toISOString(),
+      actualTime: 8 * 3600000,
+    });
+
+    mockQueries(
+      [
+        sourceTask("a", [], {
+          items: [1, 3, 25, 29].map(septemberItem),
+        }),
+        sourceTask("b", [], { items: [septemberItem(30)] }),
+      ],
+      [billableTaskState("a"), billableTaskState("b")],
+      { start: new Date(2026, 8, 1), end: new Date(2026, 8, 30) }
+    );
+
+    const result = await copyTimesheetTasks(
+      "1",
+      { start: new Date(2026, 9, 1), end: new Date(2026, 9, 31) },
+      "person",
+      { copyHours: true }
+    );
+
+    // The first Tuesday, the first Thursday and the fourth Friday
+    expect(
+      result.tasks[0].items.map((item) => new Date(item.start).getDate())
+    ).toEqual([6, 1, 23]);
+    expect(new Date(result.tasks[0].items[0].start).getHours()).toBe(9);
+
+    // October has no fifth Tuesday and no fifth Wednesday
+    expect(result.tasks).toHaveLength(1);
+    expect(result.droppedItems).toEqual([
+      { task: "Task a (A)", day: new Date(2026, 8, 29, 9) },
+      { task: "Task b (B)", day: new Date(2026, 8, 30, 9) },
+    ]);
+    expect(result.totalTime).toBe(3 * 8 * 3600000);
+  });
+
+  it("should fail when the timesheet to copy from is not found", async () => {
+    fetchData.mockResolvedValueOnce({ success: true, data: [] });
+
+    await expect(copyTimesheetTasks("1", period, "person")).rejects.toThrow();
+  });
+});
+
+describe("Billable status of a task", () => {
+  const resources = [
+    { personID: "1", billable: true },
+    { personID: "2", billable: false },
+  ];
+
+  it("should be billable for quantity-based tasks", () => {
+    expect(retrieveBillableStatus(false, true, [], "1")).toBe(true);
+  });
+
+  it("should not be billable for tasks that are not billable", () => {
+    expect(retrieveBillableStatus(false, false, resources, "1")).toBe(false);
+  });
+
+  it("should follow the resource of the person on billable tasks", () => {
+    expect(retrieveBillableStatus(true, false, resources, "1")).toBe(true);
+    expect(retrieveBillableStatus(true, false, resources, "2")).toBe(false);
+    expect(retrieveBillableStatus(true, false, resources, "3")).toBe(false);
+  });
+});
+
+describe("Auto-filling a timesheet", () => {
+  const hour = 3600000;
+  const dates = ["2026-10-19", "2026-10-20", "2026-10-21", "2026-10-24"];
+  const selection = { taskId: "task", taskText: "Development", billable: true };
+
+  // Monday to Friday are scheduled with 8 hours
+  const getScheduledTime = (date) =>
+    date.getDay() === 0 || date.getDay() === 6 ? 0 : 8 * hour;
+
+  it("should fill the scheduled time left after absences and booked items", () => {
+    const timesheetItemsMap = new Map([
+      ["2026-10-20", [{ taskId: "other", actualTime: 3 * hour }]],
+      ["2026-10-21", [{ taskId: "task", billable: true, actualTime: hour }]],
+    ]);
+
+    const result = autoFillTimesheetItems(
+      timesheetItemsMap,
+      dates,
+      selection,
+      getScheduledTime,
+      new Map([["2026-10-19", 4 * hour]])
+    );
+
+    expect(result.filledDays).toBe(3);
+    expect(result.filledTime).toBe(16 * hour);
+    expect(result.timesheetItemsMap.get("2026-10-19")).toEqual([
+      expect.objectContaining({
+        taskId: "task",
+        actualTime: 4 * hour,
+        billableTime: 4 * hour,
+        isDirty: true,
+      }),
+    ]);
+    expect(result.timesheetItemsMap.get("2026-10-20")).toEqual([
+      { taskId: "other", actualTime: 3 * hour },
+      expect.objectContaining({ taskId: "task", actualTime: 5 * hour }),
+    ]);
+    expect(result.timesheetItemsMap.get("2026-10-21")).toEqual([
+      expect.objectContaining({ taskId: "task", actualTime: 8 * hour }),
+    ]);
+    expect(result.timesheetItemsMap.has("2026-10-24")).toBe(false);
+    expect(timesheetItemsMap.get("2026-10-21")[0].actualTime).toBe(hour);
+  });
+
+  it("should round the time down to the minimum increment", () => {
+    const result = autoFillTimesheetItems(
+      new Map([["2026-10-19", [{ taskId: "other", actualTime: 0.4 * hour }]]]),
+      ["2026-10-19"],
+      { ...selection, billable: false },
+      getScheduledTime,
+      new Map(),
+      "15"
+    );
+
+    expect(result.filledTime).toBe(7.5 * hour);
+    expect(result.timesheetItemsMap.get("2026-10-19")[1]).toMatchObject({
+      actualTime: 7.5 * hour,
+      billableTime: 0,
+    });
+  });
+
+  it("should not fill days that are fully booked", () => {
+    const result = autoFillTimesheetItems(
+      new Map(),
+      ["2026-10-19"],
+      selection,
+      getScheduledTime,
+      new Map([["2026-10-19", 8 * hour]])
+    );
+
+    expect(result).toEqual({
+      timesheetItemsMap: new Map(),
+      filledDays: 0,
+      filledTime: 0,
+    });
+  });
+});
@@ -0,0 +1,241 @@
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { APP } from "../src/constants";
+import {
+  VALIDATION_SEVERITY,
+  buildLeaveDays,
+  buildTimesheetValidationReport,
+  hasValidationErrors,
+} from "../src/utils/TimesheetValidationUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+describe("Timesheet validation report", () => {
+  const hour = 3600000;
+  const t = (key) => key;
+  const remark = [{ language: "en", text: "Done" }];
+
+  const item = (day, hours, overrides = {}) => ({
+    start: new Date(2026, 9, day, 9).toISOString(),
+    actualTime: hours * hour,
+    remark,
+    ...overrides,
+  });
+
+  const timesheet = (tasks, overrides = {}) => ({
+    start: new Date(2026, 9, 19),
+    end: new Date(2026, 9, 25),
+    remark,
+    tasks,
+    ...overrides,
+  });
+
+  beforeAll(() => {
+    APP.LOGIN_USER_DATE_FORMAT = "dd/mm/yy";
+  });
+
+  const validate = (
+    data,
+    settings,
+    employeeInfo = {},
+    leaveDates = [],
+    absenceDateHoursMap = {}
+  ) =>
+    buildTimesheetValidationReport(
+      data,
+      settings,
+      employeeInfo,
+      leaveDates,
+      absenceDateHoursMap,
+      "en",
+      t
+    );
+
+  it("reports missing comments, errors first", () => {
+    const violations = validate(
+      timesheet(
+        [
+          {
+            taskID: "1",
+            "taskID:Task-text-text": "Design",
+            "taskID:Task-extID": "T-1",
+            billable: true,
+            items: [item(19, 8, { remark: [] })],
+          },
+          {
+            taskID: "2",
+            billable: false,
+            items: [item(20, 8, { remark: [] }), item(21, 8)],
+          },
+        ],
+        { remark: [] }
+      ),
+      {
+        headerCommentRequired: VALIDATION_SEVERITY.WARNING,
+        itemCommentRequired: VALIDATION_SEVERITY.WARNING,
+        nonBillableComments: true,
+      }
+    );
+
+    expect(violations).toEqual([
+      expect.objectContaining({
+        key: "non-billable-remark-2026-10-20-2",
+        severity: VALIDATION_SEVERITY.ERROR,
+        item: { taskId: "2", departmentId: "" },
+      }),
+      expect.objectContaining({
+        key: "header-remark",
+        severity: VALIDATION_SEVERITY.WARNING,
+        message: "timesheet_header_remark_recommended_message",
+        headerRemark: true,
+      }),
+      expect.objectContaining({
+        key: "remark-2026-10-19-1",
+        severity: VALIDATION_SEVERITY.WARNING,
+        subject: expect.stringMatching(/^Design \(T-1\) · /),
+      }),
+    ]);
+    expect(hasValidationErrors(violations)).toBe(true);
+  });
+
+  it("reports times that are not a multiple of the minimum increment", () => {
+    const violations = validate(
+      timesheet([
+        {
+          department: "D-1",
+          "department:BusUnit-name-text": "Support",
+          items: [item(19, 0.5), item(20, 1 / 3)],
+        },
+      ]),
+      {
+        minTimeIncrement: "15",
+        validateIncrement: VALIDATION_SEVERITY.WARNING,
+      }
+    );
+
+    expect(violations).toEqual([
+      expect.objectContaining({
+        key: "increment-2026-10-20-D-1",
+        severity: VALIDATION_SEVERITY.WARNING,
+        message: "validation_warning_min_increment",
+      }),
+    ]);
+    expect(hasValidationErrors(violations)).toBe(false);
+  });
+
+  it("compares the booked days with the work schedule patterns, counting absences", () => {
+    const patterns = [
+      {
+        intStatus: 0,
+        details: [
+          { daySeq: 1, stdWorkHours: 8 * hour },
+          { daySeq: 2, stdWorkHours: 8 * hour },
+          { daySeq: 3, stdWorkHours: 8 * hour, intStatus: 3 },
+        ],
+      },
+      { intStatus: 3, details: [{ daySeq: 4, stdWorkHours: 8 * hour }] },
+    ];
+    const monday = new Date(2026, 9, 19).toDateString();
+
+    const violations = validate(
+      timesheet([
+        {
+          taskID: "1",
+          items: [item(19, 6), item(20, 6), item(21, 6), item(22, 6)],
+        },
+      ]),
+      { validateWorkSchedule: VALIDATION_SEVERITY.ERROR },
+      { patterns },
+      [monday],
+      { [monday]: 2 * hour }
+    );
+
+    expect(violations.map((violation) => violation.key)).toEqual([
+      "schedule-2026-10-20",
+    ]);
+  });
+
+  it("checks the minimum and maximum hours of every booked day", () => {
+    const wednesday = new Date(2026, 9, 21).toDateString();
+
+    const violations = validate(
+      timesheet([
+        {
+          taskID: "1",
+          items: [item(19, 2), item(20, 11), item(21, 2), item(22, 8)],
+        },
+      ]),
+      { validateWorkSchedule: VALIDATION_SEVERITY.WARNING },
+      {
+        minWorkHours: 4 * hour,
+        maxWorkHours: 10 * hour,
+        workHoursInterval: "day",
+      },
+      [wednesday]
+    );
+
+    expect(violations).toEqual([
+      expect.objectContaining({
+        key: "schedule-2026-10-19",
+        message: "timesheet_min_hours_day_validation_message",
+      }),
+      expect.objectContaining({
+        key: "schedule-2026-10-20",
+        message: "timesheet_max_hours_day_validation_message",
+      }),
+    ]);
+  });
+
+  it("checks the minimum hours of every week, counting holidays with the daily standard hours", () => {
+    const employeeInfo = {
+      dailyStdHours: 8 * hour,
+      minWorkHours: 40 * hour,
+      maxWorkHours: 48 * hour,
+      workHoursInterval: "week",
+    };
+    const data = timesheet([
+      { taskID: "1", items: [19, 20, 21, 22].map((day) => item(day, 8)) },
+    ]);
+    const settings = { validateWorkSchedule: VALIDATION_SEVERITY.ERROR };
+
+    expect(
+      validate(data, settings, employeeInfo, [
+        new Date(2026, 9, 23).toDateString(),
+      ])
+    ).toEqual([]);
+    expect(validate(data, settings, employeeInfo)).toEqual([
+      expect.objectContaining({
+        key: "schedule-2026-10-19",
+        severity: VALIDATION_SEVERITY.ERROR,
+        message: "timesheet_min_hours_period_validation_message",
+      }),
+    ]);
+  });
+
+  it("collects the holidays and absence hours of the period", () => {
+    expect(
+      buildLeaveDays(
+        [
+          { date: new Date(2026, 9, 20).toISOString() },
+          { date: new Date(2026, 9, 30).toISOString() },
+        ],
+        [
+          {
+            "Absence-hoursByDay": [
+              { splitDate: new Date(2026, 9, 21).toISOString(), hours: hour },
+            ],
+          },
+        ],
+        new Date(2026, 9, 19),
+        new Date(2026, 9, 25)
+      )
+    ).toEqual({
+      leaveDates: [
+        new Date(2026, 9, 20).toDateString(),
+        new Date(2026, 9, 21).toDateString(),
+      ],
+      absenceDateHoursMap: { [new Date(2026, 9, 21).toDateString()]: hour },
+    });
+  });
+});
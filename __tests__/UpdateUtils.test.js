@@ -0,0 +1,85 @@
+// Third-party libraries
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import NetInfo from "@react-native-community/netinfo";
+
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { REQUEST_QUEUE } from "../src/constants";
+import { fetchData } from "../src/utils/APIUtils";
+import { isLocalId } from "../src/utils/DraftUtils";
+import { showToast } from "../src/utils/MessageUtils";
+import {
+  getRequestQueue,
+  subscribeToReplayRequests,
+} from "../src/utils/OfflineUtils";
+import updateFields from "../src/utils/UpdateUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+jest.mock("@react-native-community/netinfo", () => ({
+  fetch: jest.fn(),
+}));
+
+describe("Updating fields with the request queue", () => {
+  let storage;
+  let replayListener;
+  let unsubscribe;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    storage = { isRequestQueueEnabled: "true" };
+    AsyncStorage.getItem.mockImplementation(
+      async (key) => storage[key] ?? null
+    );
+    AsyncStorage.setItem.mockImplementation(async (key, value) => {
+      storage[key] = value;
+    });
+
+    replayListener = jest.fn();
+    unsubscribe = subscribeToReplayRequests(replayListener);
+
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    jest.restoreAllMocks();
+  });
+
+  it("should create a new timesheet as draft while offline", async () => {
+    NetInfo.fetch.mockResolvedValue({ isConnected: false });
+
+    const result = await updateFields({
+      data: { "TimeConfirmation-start": "2026-10-19T00:00:00.000Z" },
+    });
+
+    const localId = result.response.details[0].data.ids[0];
+    expect(result.queued).toBe(true);
+    expect(isLocalId(localId)).toBe(true);
+    expect(fetchData).not.toHaveBeenCalled();
+    expect(showToast).toHaveBeenCalledWith(expect.any(String), "warning");
+    expect(replayListener).not.toHaveBeenCalled();
+
+    const [request] = await getRequestQueue();
+    expect(request).toMatchObject({ busObjId: localId, localId });
+    expect(storage[REQUEST_QUEUE.DRAFT_STORAGE_KEY]).toContain(localId);
+  });
+
+  it("should queue changes of a draft and ask for a replay while online", async () => {
+    NetInfo.fetch.mockResolvedValue({ isConnected: true });
+
+    const result = await updateFields({
+      data: {
+        "TimeConfirmation-id": `${REQUEST_QUEUE.LOCAL_ID_PREFIX}1-abc`,
+        "TimeConfirmation-remark:text": "Offline",
+      },
+    });
+
+    expect(result.queued).toBe(true);
+    expect(fetchData).not.toHaveBeenCalled();
+    expect(replayListener).toHaveBeenCalledTimes(1);
+    expect(await getRequestQueue()).toHaveLength(1);
+  });
+});
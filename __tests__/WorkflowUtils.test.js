@@ -0,0 +1,122 @@
+// Setup and mocks
+import "./config/setupTests.js";
+
+import { API_ENDPOINTS, BUSOBJCAT } from "../src/constants";
+import { fetchData } from "../src/utils/APIUtils";
+import { clearLock, setLock } from "../src/utils/LockUtils";
+import { showToast } from "../src/utils/MessageUtils";
+import {
+  applyBulkStatusChange,
+  prepareBulkStatusChange,
+} from "../src/utils/WorkflowUtils";
+
+jest.mock("../src/constants", () => jest.requireActual("../src/constants"));
+
+jest.mock("../src/utils/APIUtils", () => ({
+  ...jest.requireActual("../src/utils/APIUtils"),
+  fetchData: jest.fn(),
+}));
+
+jest.mock("../src/utils/LockUtils", () => ({
+  clearLock: jest.fn(),
+  setLock: jest.fn(),
+}));
+
+describe("Bulk status change", () => {
+  const t = (key, options) => (options ? `${key} ${options.count}` : key);
+  const submitted = { extStatusID: "submitted", response: "Submitted" };
+
+  const timesheet = (id, remark) => ({
+    "TimeConfirmation-id": id,
+    "TimeConfirmation-type": "weekly",
+    "TimeConfirmation-extStatus": { statusID: "open" },
+    "TimeConfirmation-start": "2026-10-19T00:00:00.000Z",
+    "TimeConfirmation-end": "2026-10-25T00:00:00.000Z",
+    "TimeConfirmation-remark": remark,
+    "TimeConfirmation-tasks": [],
+    "TimeConfirmation-type:TimeConfType-headerCommentRequired": "E",
+  });
+
+  // Answers the document query, the absence query and the status checks
+  const mockServer = (documents) =>
+    fetchData.mockImplementation(async (url, method, headers, body) => {
+      if (url === API_ENDPOINTS.GET_DOCUMENT_STATUS) {
+        return {
+          success: true,
+          data: {
+            primaryStateUI: { extStatusID: "open" },
+            nextStatesUI: [submitted],
+          },
+        };
+      }
+
+      const query = JSON.parse(new URLSearchParams(body).get("query"));
+      return query.fields.includes("Absence-hoursByDay")
+        ? { success: true, data: [] }
+        : { success: true, data: documents };
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("does not change timesheets with validation errors", async () => {
+    mockServer([
+      timesheet("1", null),
+      timesheet("2", [{ language: "en", text: "Customer visit" }]),
+    ]);
+
+    const { documents, commonNextStatuses } = await prepareBulkStatusChange(
+      t,
+      BUSOBJCAT.TIMESHEET,
+      ["1", "2"],
+      { nonWorkingDates: [] }
+    );
+
+    expect(documents[0].error).toBe("bulk_status_validation_errors 1");
+    expect(documents[1].error).toBeUndefined();
+    expect(commonNextStatuses).toEqual([submitted]);
+  });
+
+  it("reports documents that cannot be locked in the results", async () => {
+    setLock
+      .mockResolvedValueOnce({ success: false, msg: "Locked by Kim" })
+      .mockRejectedValueOnce(new Error("Network request failed"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const documents = [
+      { id: "1", type: "weekly", currentStatus: {}, nextStatuses: [submitted] },
+      { id: "2", type: "weekly", currentStatus: {}, nextStatuses: [submitted] },
+    ];
+
+    expect(
+      await applyBulkStatusChange(t, BUSOBJCAT.TIMESHEET, documents, submitted)
+    ).toEqual([
+      { id: "1", success: false, message: "Locked by Kim" },
+      { id: "2", success: false, message: "bulk_status_locked" },
+    ]);
+    expect(fetchData).not.toHaveBeenCalled();
+    expect(clearLock).not.toHaveBeenCalled();
+    expect(showToast).not.toHaveBeenCalled();
+  });
+
+  it("unlocks every document after changing its status", async () => {
+    setLock.mockResolvedValue({ success: true });
+    fetchData.mockResolvedValue({ success: true });
+
+    const results = await applyBulkStatusChange(
+      t,
+      BUSOBJCAT.TIMESHEET,
+      [{ id: "1", type: "weekly", currentStatus: {}, nextStatuses: [] }],
+      submitted
+    );
+
+    expect(results).toEqual([{ id: "1", success: true, message: "Submitted" }]);
+    expect(clearLock).toHaveBeenCalledWith("TimeConfirmation", "1");
+  });
+});
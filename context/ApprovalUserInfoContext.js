@@ -39,9 +39,17 @@ export const ApprovalUserInfoProvider = ({ children }) => {
     // Add more fields as needed for approval users
   });
 
+  // State to hold the documents waiting in the approval inbox, whose employees form the team of the approver
+  const [approvalDocuments, setApprovalDocuments] = useState([]);
+
   return (
     <ApprovalUserInfoContext.Provider
-      value={{ approvalUserInfo, setApprovalUserInfo }}
+      value={{
+        approvalUserInfo,
+        setApprovalUserInfo,
+        approvalDocuments,
+        setApprovalDocuments,
+      }}
     >
       {children}
     </ApprovalUserInfoContext.Provider>
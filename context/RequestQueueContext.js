@@ -1,10 +1,39 @@
-import React, { createContext, useContext, useState } from "react";
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+import { useTranslation } from "react-i18next";
+
+import { useConnectivityContext } from "./ConnectivityContext";
+import useEmployeeInfo from "../src/hooks/useEmployeeInfo";
+import { showToast } from "../src/utils/MessageUtils";
+import {
+  discardLocalDocument,
+  getIsRequestQueueEnabled,
+  getRequestQueue,
+  processRequestQueue,
+  removeFromRequestQueue,
+  resolveRequestConflict,
+  subscribeToReplayRequests,
+  subscribeToRequestQueue,
+} from "../src/utils/OfflineUtils";
+import { scheduleTimesheetReminders } from "../src/utils/ReminderUtils";
 
 /**
  * Context for managing the request queue state.
  * @typedef {Object} RequestQueueContextType
  * @property {boolean} isRequestQueueEnabled - Indicates whether the request queue feature is enabled.
  * @property {Function} setIsRequestQueueEnabled - Function to set the state of the request queue feature.
+ * @property {boolean} isReplaying - Indicates whether the queued requests are currently being replayed.
+ * @property {Object|null} lastReplaySummary - The summary of the last replay ({ succeeded, failed, conflicts, remaining, nextAttemptAt }).
+ * @property {Function} replayRequestQueue - Function to replay the queued requests.
+ * @property {Array} requestQueue - The requests that are currently waiting in the queue.
+ * @property {Function} discardQueuedRequest - Function to remove a request from the queue without sending it.
+ * @property {Function} resolveConflict - Function to resolve the conflict of a queued request with the server copy.
  */
 
 // Create the RequestQueueContext
@@ -12,6 +41,10 @@ const RequestQueueContext = createContext();
 
 /**
  * Provider component for managing the request queue state.
+ * Replays the queued requests whenever the device comes back online and schedules
+ * the next automatic attempt for requests that are waiting for their backoff to expire.
+ * The timesheet reminders are scheduled again once queued requests reached the server, as they may have
+ * submitted a timesheet.
  * @param {Object} props - Component props.
  * @param {React.ReactNode} props.children - Child components wrapped by the provider.
  * @returns {JSX.Element} Provider component for managing request queue context.
@@ -19,11 +52,116 @@ const RequestQueueContext = createContext();
 export const RequestQueueProvider = ({ children }) => {
   // State variable to track if the request queue feature is enabled
   const [isRequestQueueEnabled, setIsRequestQueueEnabled] = useState(false);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const [lastReplaySummary, setLastReplaySummary] = useState(null);
+  const [requestQueue, setRequestQueue] = useState([]);
+
+  const { t } = useTranslation();
+
+  const { isConnected } = useConnectivityContext();
+  const employeeInfo = useEmployeeInfo();
+
+  // Timer for the next automatic retry of failed requests
+  const retryTimerRef = useRef(null);
+
+  // The employee the reminders are scheduled for, kept in a ref so that logging in does not start a replay
+  const employeeInfoRef = useRef(employeeInfo);
+  employeeInfoRef.current = employeeInfo;
+
+  /**
+   * Replays the queued requests and schedules the next automatic attempt if any request is still pending.
+   * @param {Object} [options] - Options passed to processRequestQueue (force, requestIds).
+   * @returns {Promise<Object>} - A promise resolving to the replay summary.
+   */
+  const replayRequestQueue = useCallback(
+    async (options = {}) => {
+      clearTimeout(retryTimerRef.current);
+
+      setIsReplaying(true);
+      const summary = await processRequestQueue(options);
+      setIsReplaying(false);
+      setLastReplaySummary(summary);
+
+      if (summary.succeeded > 0) {
+        showToast(t("request_queue_replayed", { count: summary.succeeded }));
+
+        // Nothing is scheduled before the login, it is done once the home screen is shown
+        if (employeeInfoRef.current?.personId) {
+          scheduleTimesheetReminders(employeeInfoRef.current, t);
+        }
+      }
+
+      if (summary.conflicts > 0) {
+        showToast(
+          t("request_queue_conflicts_detected", { count: summary.conflicts }),
+          "warning"
+        );
+      }
+
+      if (summary.nextAttemptAt !== null) {
+        const delay = Math.max(summary.nextAttemptAt - Date.now(), 0);
+        console.log(`Next request queue replay scheduled in ${delay} ms`);
+        retryTimerRef.current = setTimeout(() => replayRequestQueue(), delay);
+      }
+
+      return summary;
+    },
+    [t]
+  );
+
+  /**
+   * Removes a request from the queue without sending it.
+   * Discarding the creation of a document drafted offline also removes the draft and the queued requests that
+   * depend on it, as they could never be sent.
+   * @param {Object} request - The queued request.
+   * @returns {Promise<Array>} - A promise resolving to the remaining queue.
+   */
+  const discardQueuedRequest = useCallback(
+    (request) =>
+      request.localId
+        ? discardLocalDocument(request.localId)
+        : removeFromRequestQueue(request.id),
+    []
+  );
+
+  // Restore the stored preference, as the User screen is not necessarily opened before requests are queued
+  useEffect(() => {
+    getIsRequestQueueEnabled().then(setIsRequestQueueEnabled);
+  }, []);
+
+  // Keep the queue state in sync with the stored queue
+  useEffect(() => {
+    getRequestQueue().then(setRequestQueue);
+    return subscribeToRequestQueue(setRequestQueue);
+  }, []);
+
+  // Replay the queue when a change is queued while online, e.g. a change of a document created offline
+  useEffect(
+    () => subscribeToReplayRequests(() => replayRequestQueue()),
+    [replayRequestQueue]
+  );
+
+  // Replay the queue whenever the device is (back) online
+  useEffect(() => {
+    if (isConnected) {
+      replayRequestQueue();
+    } else {
+      clearTimeout(retryTimerRef.current);
+    }
+
+    return () => clearTimeout(retryTimerRef.current);
+  }, [isConnected, replayRequestQueue]);
 
   // Create the context value
   const contextValue = {
     isRequestQueueEnabled,
     setIsRequestQueueEnabled,
+    isReplaying,
+    lastReplaySummary,
+    replayRequestQueue,
+    requestQueue,
+    discardQueuedRequest,
+    resolveConflict: resolveRequestConflict,
   };
 
   // Provide the context value to the wrapped components
@@ -40,6 +178,12 @@ export const RequestQueueProvider = ({ children }) => {
  * @returns {Object} An object containing the request queue state and methods to update it.
  * @property {boolean} isRequestQueueEnabled - Indicates whether the request queue feature is enabled.
  * @property {Function} setIsRequestQueueEnabled - Function to set the state of the request queue feature.
+ * @property {boolean} isReplaying - Indicates whether the queued requests are currently being replayed.
+ * @property {Object|null} lastReplaySummary - The summary of the last replay.
+ * @property {Function} replayRequestQueue - Function to replay the queued requests.
+ * @property {Array} requestQueue - The requests that are currently waiting in the queue.
+ * @property {Function} discardQueuedRequest - Function to remove a request from the queue without sending it.
+ * @property {Function} resolveConflict - Function to resolve the conflict of a queued request with the server copy.
  */
 export const useRequestQueueContext = () => useContext(RequestQueueContext);
 
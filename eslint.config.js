@@ -43,6 +43,8 @@ export default [
         fetch: true,
         setTimeout: true,
         clearTimeout: true,
+        setInterval: true,
+        clearInterval: true,
         FileReader: true,
         FormData: true,
         Intl: true,
@@ -52,6 +54,8 @@ export default [
       semi: ["error", "always"],
       quotes: ["error", "double"],
       "no-unused-vars": "warn",
+      // Count components used in JSX (e.g. <Tab.Navigator>) as used variables
+      "react/jsx-uses-vars": "warn",
     },
     settings: {
       react: {
@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import {
   ScrollView,
   StyleSheet,
@@ -16,7 +16,8 @@ import { screenDimension } from "../utils/ScreenUtils";
  * @param {string} props.title - The title of the panel.
  * @param {JSX.Element} props.children - The content of the panel.
  * @param {boolean} [props.disabled] - Whether the panel is disabled or not.
- * @param {boolean} [props.initiallyCollapsed=true] - Whether the panel is initially collapsed or expanded.
+ * @param {boolean} [props.initiallyCollapsed=true] - Whether the panel is initially collapsed or expanded. Changing it
+ *   later collapses or expands the panel.
  * @param {function(boolean): void} [props.onCollapseChange] - Callback function to notify the parent about the collapsed state change.
  * @returns {JSX.Element} - Rendered component.
  */
@@ -30,6 +31,11 @@ const CollapsiblePanel = ({
   // State to manage the collapsed state of the panel
   const [collapsed, setCollapsed] = useState(initiallyCollapsed);
 
+  useEffect(() => {
+    // Follow the parent when it collapses or expands the panel itself
+    setCollapsed(initiallyCollapsed);
+  }, [initiallyCollapsed]);
+
   /**
    * Toggles the collapsed state of the panel.
    */
@@ -23,6 +23,7 @@ import {
 } from "../utils/APIUtils";
 import { changeDateToAPIFormat } from "../utils/FormatUtils";
 import { showToast } from "../utils/MessageUtils";
+import { scanReceipt } from "../utils/ReceiptUtils";
 import updateFields, { handleBackNavigation } from "../utils/UpdateUtils";
 
 import Loader from "./Loader";
@@ -66,6 +67,10 @@ const Button = ({ label, icon, accessibilityLabel, onPress }) => {
  * or take a photo using the device camera. It allows the user to preview
  * and upload the selected image.
  *
+ * In the receipt capture mode (`captureMode: "receipt"`), the selected photo is not uploaded.
+ * Its text is read on the device instead, and the proposed values of the receipt are passed back
+ * to the `returnScreen` as the `scannedReceipt` route parameter.
+ *
  * @param {object} route - The route object passed by React Navigation.
  * @param {object} navigation - The navigation object passed by React Navigation.
  *
@@ -74,7 +79,14 @@ const Button = ({ label, icon, accessibilityLabel, onPress }) => {
 
 const CustomImagePicker = ({ route, navigation }) => {
   // Destructure with fallback values from route parameters
-  const { linkBackToBusObjcat = "" } = route.params || {};
+  const {
+    linkBackToBusObjcat = "",
+    captureMode = "",
+    returnScreen = "",
+    knownCurrencies = [],
+  } = route.params || {};
+
+  const isReceiptMode = captureMode === "receipt";
 
   // Initialize useTranslation hook for internationalization
   const { t } = useTranslation();
@@ -82,7 +94,10 @@ const CustomImagePicker = ({ route, navigation }) => {
   // Access client paths from context
   const { clientPaths, setClientPaths } = useClientPaths();
 
-  const existingUserPhoto = clientPaths?.userPhotoPath || null;
+  // A receipt is always captured from scratch
+  const existingUserPhoto = isReceiptMode
+    ? null
+    : clientPaths?.userPhotoPath || null;
 
   // State variables for selected image, loading state, and change tracking
   const [selectedImage, setSelectedImage] = useState(existingUserPhoto);
@@ -115,7 +130,7 @@ const CustomImagePicker = ({ route, navigation }) => {
   useEffect(() => {
     // Set navigation options for the header buttons
     navigation.setOptions({
-      headerTitle: "",
+      headerTitle: isReceiptMode ? t("scan_receipt") : "",
       headerLeft: () => (
         <CustomBackButton
           navigation={navigation}
@@ -124,44 +139,65 @@ const CustomImagePicker = ({ route, navigation }) => {
           t={t}
         />
       ),
-      headerRight: () => (
-        <View style={styles.headerRightContainer}>
-          <CustomButton
-            onPress={onSave}
-            label={t("save")}
-            icon={{
-              name: "content-save",
-              library: "MaterialCommunityIcons",
-              size: 24,
-              color: "white",
-            }}
-            disabled={!hasChanged || isLoading}
-            backgroundColor={false}
-            style={{ icon: { marginRight: 0 } }}
-            labelStyle={styles.buttonLabelWhite}
-            accessibilityLabel={t("save_user_photo")}
-            accessibilityRole="button"
-            testID="save-user-photo-button"
-          />
-          <CustomButton
-            onPress={onDelete}
-            label={t("delete")}
-            icon={{
-              name: "image-remove",
-              library: "MaterialCommunityIcons",
-              size: 24,
-              color: "white",
-            }}
-            disabled={!existingUserPhoto || hasChanged || isLoading}
-            backgroundColor={false}
-            style={{ icon: { marginRight: 0 } }}
-            labelStyle={styles.buttonLabelWhite}
-            accessibilityLabel={t("delete_user_photo")}
-            accessibilityRole="button"
-            testID="delete-user-photo-button"
-          />
-        </View>
-      ),
+      headerRight: () =>
+        isReceiptMode ? (
+          <View style={styles.headerRightContainer}>
+            <CustomButton
+              onPress={onScanReceipt}
+              label={t("scan_receipt")}
+              icon={{
+                name: "text-recognition",
+                library: "MaterialCommunityIcons",
+                size: 24,
+                color: "white",
+              }}
+              disabled={!hasChanged || isLoading}
+              backgroundColor={false}
+              style={{ icon: { marginRight: 0 } }}
+              labelStyle={styles.buttonLabelWhite}
+              accessibilityLabel={t("scan_receipt")}
+              accessibilityRole="button"
+              testID="scan-receipt-button"
+            />
+          </View>
+        ) : (
+          <View style={styles.headerRightContainer}>
+            <CustomButton
+              onPress={onSave}
+              label={t("save")}
+              icon={{
+                name: "content-save",
+                library: "MaterialCommunityIcons",
+                size: 24,
+                color: "white",
+              }}
+              disabled={!hasChanged || isLoading}
+              backgroundColor={false}
+              style={{ icon: { marginRight: 0 } }}
+              labelStyle={styles.buttonLabelWhite}
+              accessibilityLabel={t("save_user_photo")}
+              accessibilityRole="button"
+              testID="save-user-photo-button"
+            />
+            <CustomButton
+              onPress={onDelete}
+              label={t("delete")}
+              icon={{
+                name: "image-remove",
+                library: "MaterialCommunityIcons",
+                size: 24,
+                color: "white",
+              }}
+              disabled={!existingUserPhoto || hasChanged || isLoading}
+              backgroundColor={false}
+              style={{ icon: { marginRight: 0 } }}
+              labelStyle={styles.buttonLabelWhite}
+              accessibilityLabel={t("delete_user_photo")}
+              accessibilityRole="button"
+              testID="delete-user-photo-button"
+            />
+          </View>
+        ),
     });
   }, [hasChanged, isLoading]);
 
@@ -394,6 +430,46 @@ const CustomImagePicker = ({ route, navigation }) => {
     }
   };
 
+  /**
+   * Function to handle the scan action of the receipt capture mode.
+   * It reads the selected receipt on the device and passes the proposed values back to the calling screen.
+   */
+  const onScanReceipt = async () => {
+    console.log("Scan receipt action triggered");
+    if (!selectedImage) {
+      Alert.alert(`${t("alert_title")}!`, t("no_image_selected"));
+      console.log("No receipt selected for scanning");
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+
+      const scannedReceipt = await scanReceipt(selectedImage, knownCurrencies);
+      console.log("Scanned receipt:", scannedReceipt);
+
+      if (!scannedReceipt) {
+        showToast(t("receipt_not_recognized"), "warning");
+        return;
+      }
+
+      setHasChanged(false);
+      navigation.navigate({
+        name: returnScreen,
+        params: { scannedReceipt },
+        merge: true,
+      });
+    } catch (error) {
+      console.error(
+        "Error in onScanReceipt method of CustomImagePicker:",
+        error
+      );
+      showToast(t("receipt_scan_error"), "error");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   /**
    * Function to handle delete action.
    * It deletes the current user photo and thumbnail if available.
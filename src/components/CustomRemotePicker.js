@@ -9,6 +9,7 @@ import {
   View,
 } from "react-native";
 import { fetchData } from "../utils/APIUtils";
+import { fetchQueryWithCache } from "../utils/CacheUtils";
 import { API_ENDPOINTS } from "../constants";
 import CustomTextInput from "./CustomTextInput";
 import CustomButton from "./CustomButton";
@@ -159,8 +160,8 @@ const CustomRemotePicker = ({
       sort: JSON.stringify(sort),
     };
 
-    try {
-      const response = await fetchData(
+    const sendQuery = () =>
+      fetchData(
         API_ENDPOINTS.QUERY,
         "POST",
         {
@@ -169,6 +170,19 @@ const CustomRemotePicker = ({
         new URLSearchParams(formData).toString()
       );
 
+    // Only the unfiltered first page is cached, so that searches do not evict the cached lists and documents
+    const isCacheable = page === 1 && (isSearchButtonHidden || !searchQuery);
+
+    try {
+      // Fall back to the last synced results (e.g., the task list) when offline
+      const response = isCacheable
+        ? await fetchQueryWithCache(
+            valueItemField.split("-")[0],
+            formData,
+            sendQuery
+          )
+        : await sendQuery();
+
       if (response.success === true && Array.isArray(response.data)) {
         const newData = response.data.map((item) => {
           const additionalData = additionalFields.reduce((acc, field) => {
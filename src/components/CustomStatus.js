@@ -5,22 +5,13 @@ import { useTranslation } from "react-i18next";
 import CustomButton from "./CustomButton";
 import EditDialog from "./dialogs/EditDialog";
 
-import {
-  fetchData,
-  getAppNameByCategory,
-  isDoNotReplaceAnyList,
-} from "../utils/APIUtils";
+import { getAppNameByCategory, isDoNotReplaceAnyList } from "../utils/APIUtils";
 import { showToast } from "../utils/MessageUtils";
 import updateFields from "../utils/UpdateUtils";
 import { hasContent } from "../utils/ApprovalUtils";
+import { setDocumentStatus } from "../utils/WorkflowUtils";
 
-import {
-  API_ENDPOINTS,
-  APP,
-  BUSOBJCAT,
-  BUSOBJCATMAP,
-  TEST_MODE,
-} from "../constants";
+import { APP, BUSOBJCAT, BUSOBJCATMAP, TEST_MODE } from "../constants";
 
 import { disableOpacity } from "../styles/common";
 
@@ -43,7 +34,8 @@ import {
  * @param {Array} props.listOfNextStatus - List of possible next statuses.
  * @param {Function} props.handleReload - Function to handle reloading of the parent detail screen.
  * @param {boolean} props.loading - Loading state flag.
- * @param {Function} [props.validate] - Optional validation function to be called before changing status.
+ * @param {Function} [props.validate] - Optional validation function to be called before changing status. It returns
+ *   whether the status can be changed, or a promise resolving to it.
  */
 const CustomStatus = ({
   busObjCat,
@@ -100,38 +92,15 @@ const CustomStatus = ({
    * @param {string} [remark=""] - An optional comment for the status change.
    */
   const updateStatusWithSetDocStatusAPI = async (nextStateId, remark = "") => {
-    // Prepare payload for API call
-    const payload = {
-      statusUIData: JSON.stringify({
-        busObjCat,
-        busObjID: busObjId,
-        busObjType,
-        subID: null,
-        multiSubProcessField: "",
-        sourceRefID: currentStatus.extStatusID,
-        userID: APP.LOGIN_USER_ID,
-        client: parseInt(APP.LOGIN_USER_CLIENT),
-        recepientsOverride: [],
-        extStatusIDs: null,
-        openPreviousGateways: null,
-        languageID: APP.LOGIN_USER_LANGUAGE,
-        extStatus: { statusID: nextStateId },
-        remark: remark,
-        messageLogID: "",
-      }),
-    };
-
-    const formData = new URLSearchParams(payload);
-
     try {
       // Make API call to update document status
-      const response = await fetchData(
-        API_ENDPOINTS.SET_DOCUMENT_STATUS,
-        "POST",
-        {
-          "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
-        },
-        formData.toString()
+      const response = await setDocumentStatus(
+        busObjCat,
+        busObjId,
+        busObjType,
+        currentStatus.extStatusID,
+        nextStateId,
+        remark
       );
 
       if (!response) {
@@ -206,7 +175,7 @@ const CustomStatus = ({
   const onClickStatus = async (status) => {
     try {
       // Check if validation is required and fails
-      if (validate && typeof validate === "function" && !validate()) {
+      if (validate && typeof validate === "function" && !(await validate())) {
         console.warn("Validation failed. Cannot proceed with status change.");
         return;
       }
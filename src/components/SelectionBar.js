@@ -0,0 +1,62 @@
+import React from "react";
+import { Button, StyleSheet, Text, View } from "react-native";
+import { useTranslation } from "react-i18next";
+
+/**
+ * SelectionBar component is shown at the bottom of a list while documents are being selected. It shows how many
+ * documents are selected and lets the user act on them or leave the selection.
+ *
+ * @param {Object} props - Component props.
+ * @param {number} props.count - The number of selected documents.
+ * @param {string} props.actionLabel - The label of the action button.
+ * @param {function} props.onAction - Function called when the action button is pressed.
+ * @param {function} props.onCancel - Function called when the selection is cancelled.
+ * @param {boolean} [props.disabled=false] - Whether the action is unavailable, e.g., while offline.
+ * @returns {JSX.Element} A React component.
+ */
+const SelectionBar = ({
+  count,
+  actionLabel,
+  onAction,
+  onCancel,
+  disabled = false,
+}) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.countText}>{t("selected_count", { count })}</Text>
+      <View style={styles.buttonContainer}>
+        <Button title={t("cancel")} onPress={onCancel} />
+        <Button
+          title={actionLabel}
+          onPress={onAction}
+          disabled={disabled || count === 0}
+        />
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    padding: 12,
+    borderTopWidth: 1,
+    borderColor: "#ccc",
+    backgroundColor: "#f5f5f5",
+  },
+  countText: {
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  buttonContainer: {
+    flexDirection: "row",
+    columnGap: 8,
+  },
+});
+
+export default SelectionBar;
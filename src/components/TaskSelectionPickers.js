@@ -0,0 +1,181 @@
+import React, { useState } from "react";
+import { StyleSheet, View } from "react-native";
+import { useTranslation } from "react-i18next";
+
+import {
+  customerPickerAdditionalFields,
+  emptyTaskSelection,
+  getItemPickerQueryParams,
+  projectPickerAdditionalFields,
+  retrieveBillableStatus,
+  taskPickerAdditionalFields,
+} from "../utils/TimesheetUtils";
+
+import CustomRemotePicker from "./CustomRemotePicker";
+
+/**
+ * TaskSelectionPickers component selects a customer, project and task with the same pickers as the timesheet item
+ * editor. Selecting a project or task fills a blank customer and project from it, and selecting a task also provides
+ * whether time booked on it is billable and its time type.
+ *
+ * @param {Object} props - Component props.
+ * @param {string} props.personId - The ID of the person the time is recorded for, to find the tasks assigned to them.
+ * @param {Object} props.selection - The current selection, with the IDs, texts and external IDs of the customer,
+ *   project and task as held by a timesheet item (see `emptyTaskSelection`).
+ * @param {Function} props.onChange - Callback function called with the updated selection.
+ * @param {Date} [props.date=new Date()] - The date the tasks need to be open on.
+ * @returns {JSX.Element} - Rendered component.
+ */
+const TaskSelectionPickers = ({
+  personId,
+  selection,
+  onChange,
+  date = new Date(),
+}) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  const [clearCustomerSearchData, setClearCustomerSearchData] = useState(false);
+  const [clearProjectSearchData, setClearProjectSearchData] = useState(false);
+  const [clearTaskSearchData, setClearTaskSearchData] = useState(false);
+
+  const {
+    commonQueryParams,
+    customerQueryParams,
+    projectQueryParams,
+    taskQueryParams,
+  } = getItemPickerQueryParams(personId, selection, date);
+
+  const handleCustomerChange = ({ value, label, additionalData }) => {
+    onChange({
+      ...emptyTaskSelection,
+      customerId: value ?? "",
+      customerText: label ?? "",
+      customerExtId: additionalData.extID ?? "",
+    });
+
+    setClearProjectSearchData([]);
+    setClearTaskSearchData([]);
+  };
+
+  const handleProjectChange = ({ value, label, additionalData }) => {
+    onChange({
+      ...emptyTaskSelection,
+      projectId: value ?? "",
+      projectText: label ?? "",
+      projectExtId: additionalData.extID ?? "",
+      // If customer is blank, set the project's corresponding customer details
+      customerId:
+        selection.customerId || additionalData.projectCustomerId || "",
+      customerText:
+        selection.customerText || additionalData.projectCustomerText || "",
+      customerExtId:
+        selection.customerExtId || additionalData.projectCustomerExtId || "",
+    });
+
+    setClearCustomerSearchData([]);
+    setClearTaskSearchData([]);
+  };
+
+  const handleTaskChange = ({ value, label, additionalData }) => {
+    onChange({
+      ...selection,
+      taskId: value ?? "",
+      taskText: label ?? "",
+      taskExtId: additionalData.extID ?? "",
+      billable: retrieveBillableStatus(
+        additionalData.taskBillable || false,
+        additionalData.taskQuantityAllowed || false,
+        additionalData.taskResources || [],
+        personId
+      ),
+      // If customer or project are blank, set the task's corresponding details
+      customerId: selection.customerId || additionalData.taskCustomerId || "",
+      customerText:
+        selection.customerText || additionalData.taskCustomerText || "",
+      customerExtId:
+        selection.customerExtId || additionalData.taskCustomerExtId || "",
+      projectId: selection.projectId || additionalData.taskProjectWBSId || "",
+      projectText:
+        selection.projectText || additionalData.taskProjectWBSText || "",
+      projectExtId:
+        selection.projectExtId || additionalData.taskProjectWBSExtId || "",
+      timeItemTypeExtId: additionalData.taskTimeItemTypes?.[0] || "",
+      timeItemTypeId: additionalData.taskTimeItemTypeId || "",
+      timeItemTypeText: additionalData.taskTimeItemTypeText || "",
+    });
+
+    setClearCustomerSearchData([]);
+    setClearProjectSearchData([]);
+  };
+
+  return (
+    <>
+      <View style={styles.inputContainer}>
+        <CustomRemotePicker
+          queryParams={{
+            queryFields: customerQueryParams,
+            commonQueryParams: commonQueryParams,
+          }}
+          pickerLabel={t("customer")}
+          initialAdditionalLabel={selection.customerExtId}
+          initialItemLabel={selection.customerText}
+          initialItemValue={selection.customerId}
+          labelItemField={"Customer-name:text"}
+          valueItemField={"Customer-id"}
+          additionalFields={customerPickerAdditionalFields}
+          searchFields={["Customer-name-text", "Customer-extID"]}
+          multiline={true}
+          onValueChange={handleCustomerChange}
+          clearSearchData={clearCustomerSearchData}
+        />
+      </View>
+      <View style={styles.inputContainer}>
+        <CustomRemotePicker
+          queryParams={{
+            queryFields: projectQueryParams,
+            commonQueryParams: commonQueryParams,
+          }}
+          pickerLabel={t("project")}
+          initialAdditionalLabel={selection.projectExtId}
+          initialItemLabel={selection.projectText}
+          initialItemValue={selection.projectId}
+          labelItemField={"ProjectWBS-text:text"}
+          valueItemField={"ProjectWBS-id"}
+          additionalFields={projectPickerAdditionalFields}
+          searchFields={["ProjectWBS-text-text", "ProjectWBS-extID"]}
+          multiline={true}
+          onValueChange={handleProjectChange}
+          clearSearchData={clearProjectSearchData}
+        />
+      </View>
+      <View style={styles.inputContainer}>
+        <CustomRemotePicker
+          queryParams={{
+            queryFields: taskQueryParams,
+            commonQueryParams: commonQueryParams,
+          }}
+          pickerLabel={t("task")}
+          initialAdditionalLabel={selection.taskExtId}
+          initialItemLabel={selection.taskText}
+          initialItemValue={selection.taskId}
+          labelItemField={"Task-text:text"}
+          valueItemField={"Task-id"}
+          additionalFields={taskPickerAdditionalFields}
+          searchFields={["Task-text-text", "Task-extID"]}
+          multiline={true}
+          onValueChange={handleTaskChange}
+          clearSearchData={clearTaskSearchData}
+        />
+      </View>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  inputContainer: {
+    marginBottom: "5%",
+  },
+});
+
+export default TaskSelectionPickers;
@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from "react";
+import {
+  Button,
+  Modal,
+  SafeAreaView,
+  ScrollView,
+  StyleSheet,
+  Text,
+  View,
+} from "react-native";
+import { useTranslation } from "react-i18next";
+
+import { showToast } from "../../utils/MessageUtils";
+import { emptyTaskSelection } from "../../utils/TimesheetUtils";
+
+import TaskSelectionPickers from "../TaskSelectionPickers";
+import TaskCombinations from "../favorites/TaskCombinations";
+
+/**
+ * Empty selection of the department, which is only set by selecting a task combination.
+ */
+const emptyDepartmentSelection = {
+  departmentId: "",
+  departmentText: "",
+  departmentExtId: "",
+};
+
+/**
+ * AutoFillDialog component displays a modal dialog to select the task or department that the scheduled hours of a
+ * timesheet period are booked on. The task can be selected with the item pickers or, together with a department,
+ * from the favorite and recently used task combinations.
+ *
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isVisible - Flag indicating whether the dialog is visible.
+ * @param {string} props.personId - The ID of the person the time is recorded for.
+ * @param {Date} props.date - The start of the period, the date the tasks need to be open on.
+ * @param {function} props.onClose - Function to handle closing the dialog.
+ * @param {function} props.onConfirm - Function called with the selected customer, project, task and department,
+ *   with their IDs, texts and external IDs as held by a timesheet item.
+ * @returns {JSX.Element} A React component.
+ */
+const AutoFillDialog = ({ isVisible, personId, date, onClose, onConfirm }) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  const [selection, setSelection] = useState({
+    ...emptyTaskSelection,
+    ...emptyDepartmentSelection,
+  });
+
+  useEffect(() => {
+    if (isVisible) {
+      setSelection({ ...emptyTaskSelection, ...emptyDepartmentSelection });
+    }
+  }, [isVisible]);
+
+  const handlePickerChange = (pickerSelection) => {
+    setSelection({ ...emptyDepartmentSelection, ...pickerSelection });
+  };
+
+  const handleTaskCombinationSelect = ({ combination, billable }) => {
+    setSelection({
+      customerId: combination.customerId,
+      customerText: combination.customerText,
+      customerExtId: combination.customerExtId,
+      projectId: combination.projectId,
+      projectText: combination.projectText,
+      projectExtId: combination.projectExtId,
+      taskId: combination.taskId,
+      taskText: combination.taskText,
+      taskExtId: combination.taskExtId,
+      departmentId: combination.departmentId,
+      departmentText: combination.departmentText,
+      departmentExtId: combination.departmentExtId,
+      timeItemTypeId: combination.timeItemTypeId,
+      timeItemTypeText: combination.timeItemTypeText,
+      timeItemTypeExtId: combination.timeItemTypeExtId,
+      billable: !combination.departmentId && (billable ?? false),
+    });
+  };
+
+  const handleConfirm = () => {
+    if (!selection.taskId && !selection.departmentId) {
+      showToast(t("auto_fill_task_required"), "error");
+      return;
+    }
+
+    onConfirm(selection);
+  };
+
+  return (
+    <Modal
+      visible={isVisible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <Text style={styles.title} numberOfLines={1} ellipsizeMode="tail">
+          {t("auto_fill")}
+        </Text>
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.message}>{t("auto_fill_message")}</Text>
+          <TaskCombinations
+            personId={personId}
+            date={date}
+            onSelect={handleTaskCombinationSelect}
+          />
+          <TaskSelectionPickers
+            personId={personId}
+            selection={selection}
+            onChange={handlePickerChange}
+            date={date}
+          />
+          {!!selection.departmentId && (
+            <Text style={styles.departmentText}>
+              {`${t("department")}: ${selection.departmentText}`}
+            </Text>
+          )}
+        </ScrollView>
+        <View style={styles.buttonContainer}>
+          <Button title={t("cancel")} onPress={onClose} />
+          <Button title={t("auto_fill")} onPress={handleConfirm} />
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: "4%",
+    justifyContent: "center",
+    backgroundColor: "rgba(0, 0, 0, 0.85)",
+  },
+  content: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: "4%",
+  },
+  title: {
+    color: "#fff",
+    fontSize: 18,
+    fontWeight: "bold",
+    marginBottom: "4%",
+    textAlign: "center",
+  },
+  message: {
+    marginBottom: "5%",
+  },
+  departmentText: {
+    fontWeight: "bold",
+  },
+  buttonContainer: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+    marginTop: "4%",
+  },
+});
+
+export default AutoFillDialog;
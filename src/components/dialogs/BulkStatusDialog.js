@@ -0,0 +1,304 @@
+import React, { useEffect, useState } from "react";
+import {
+  Button,
+  Modal,
+  SafeAreaView,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { useTranslation } from "react-i18next";
+
+import { MaterialCommunityIcons } from "@expo/vector-icons";
+
+import { showToast } from "../../utils/MessageUtils";
+import {
+  applyBulkStatusChange,
+  prepareBulkStatusChange,
+} from "../../utils/WorkflowUtils";
+
+import useEmployeeInfo from "../../hooks/useEmployeeInfo";
+
+import Loader from "../Loader";
+
+/**
+ * BulkStatusDialog component changes the workflow status of several documents at once. It checks the documents,
+ * offers the next statuses they have in common and, once the user picked one, changes the status of each document and
+ * shows whether it succeeded or failed for each of them.
+ *
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isVisible - Flag indicating whether the dialog is visible.
+ * @param {string} props.busObjCat - The business object category (`BUSOBJCAT.TIMESHEET` or `BUSOBJCAT.ABSENCE`).
+ * @param {Array<Object>} props.documents - The selected documents, each with its `id` and a `label` to show.
+ * @param {function} props.onClose - Function called when the dialog is closed, with whether any status was changed.
+ * @returns {JSX.Element} A React component.
+ */
+const BulkStatusDialog = ({ isVisible, busObjCat, documents, onClose }) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  const employeeInfo = useEmployeeInfo();
+
+  const [isLoading, setIsLoading] = useState(false);
+  const [checkedDocuments, setCheckedDocuments] = useState([]);
+  const [commonNextStatuses, setCommonNextStatuses] = useState([]);
+  const [selectedStatus, setSelectedStatus] = useState(null);
+  const [comment, setComment] = useState("");
+  const [results, setResults] = useState(null);
+
+  useEffect(() => {
+    if (!isVisible) {
+      return;
+    }
+
+    setCheckedDocuments([]);
+    setCommonNextStatuses([]);
+    setSelectedStatus(null);
+    setComment("");
+    setResults(null);
+
+    const prepare = async () => {
+      setIsLoading(true);
+
+      try {
+        const prepared = await prepareBulkStatusChange(
+          t,
+          busObjCat,
+          documents.map((document) => document.id),
+          employeeInfo
+        );
+
+        setCheckedDocuments(prepared.documents);
+        setCommonNextStatuses(
+          prepared.commonNextStatuses.sort((a, b) => b.preferred - a.preferred)
+        );
+      } catch (error) {
+        console.error("Error preparing the bulk status change:", error);
+        showToast(t("error_checking_document_status"), "error");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    prepare();
+  }, [isVisible]);
+
+  const getDocumentLabel = (id) =>
+    documents.find((document) => document.id === id)?.label || id;
+
+  const handleApply = async () => {
+    if (selectedStatus.comment && !comment.trim()) {
+      showToast(t("comment_required"), "error");
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      setResults(
+        await applyBulkStatusChange(
+          t,
+          busObjCat,
+          checkedDocuments,
+          selectedStatus,
+          comment.trim()
+        )
+      );
+    } catch (error) {
+      console.error("Error applying the bulk status change:", error);
+      showToast(t("error_in_update_document_status"), "error");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleClose = () => {
+    onClose(!!results?.some((result) => result.success));
+  };
+
+  const renderDocumentRow = (id, success, message) => (
+    <View key={id} style={styles.documentRow}>
+      <MaterialCommunityIcons
+        name={success ? "check-circle" : "alert-circle"}
+        size={22}
+        color={success ? "#5cb85c" : "#d9534f"}
+      />
+      <View style={styles.documentText}>
+        <Text style={styles.documentLabel}>{getDocumentLabel(id)}</Text>
+        {!!message && <Text>{message}</Text>}
+      </View>
+    </View>
+  );
+
+  const renderStatusSelection = () => {
+    const changeableCount = checkedDocuments.filter(
+      (document) => !document.error
+    ).length;
+
+    return (
+      <>
+        <Text style={styles.message}>
+          {commonNextStatuses.length > 0
+            ? t("bulk_status_select", {
+                count: changeableCount,
+                total: checkedDocuments.length,
+              })
+            : t("bulk_status_no_common_status")}
+        </Text>
+        {commonNextStatuses.map((status) => (
+          <TouchableOpacity
+            key={status.extStatusID}
+            style={[
+              styles.statusOption,
+              selectedStatus?.extStatusID === status.extStatusID &&
+                styles.selectedStatusOption,
+            ]}
+            onPress={() => setSelectedStatus(status)}
+            accessibilityLabel={status.response}
+            accessibilityRole="radio"
+            accessibilityState={{
+              checked: selectedStatus?.extStatusID === status.extStatusID,
+            }}
+          >
+            <Text style={styles.statusText}>{status.response}</Text>
+          </TouchableOpacity>
+        ))}
+        {selectedStatus?.comment && (
+          <TextInput
+            style={styles.commentInput}
+            value={comment}
+            onChangeText={setComment}
+            placeholder={t("add_comment")}
+            multiline={true}
+            accessibilityLabel={t("add_comment")}
+          />
+        )}
+        {checkedDocuments
+          .filter((document) => document.error)
+          .map((document) =>
+            renderDocumentRow(document.id, false, document.error)
+          )}
+      </>
+    );
+  };
+
+  return (
+    <Modal
+      visible={isVisible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={handleClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <Text style={styles.title} numberOfLines={1} ellipsizeMode="tail">
+          {t("bulk_status_change")}
+        </Text>
+        <ScrollView contentContainerStyle={styles.content}>
+          {isLoading ? (
+            <Loader size={"small"} />
+          ) : results ? (
+            <>
+              <Text style={styles.message}>
+                {t("bulk_status_summary", {
+                  succeeded: results.filter((result) => result.success).length,
+                  total: results.length,
+                })}
+              </Text>
+              {results.map((result) =>
+                renderDocumentRow(result.id, result.success, result.message)
+              )}
+            </>
+          ) : (
+            renderStatusSelection()
+          )}
+        </ScrollView>
+        <View style={styles.buttonContainer}>
+          <Button
+            title={results ? t("close") : t("cancel")}
+            onPress={handleClose}
+            disabled={isLoading}
+          />
+          {!results && (
+            <Button
+              title={t("bulk_status_apply")}
+              onPress={handleApply}
+              disabled={isLoading || !selectedStatus}
+            />
+          )}
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: "4%",
+    justifyContent: "center",
+    backgroundColor: "rgba(0, 0, 0, 0.85)",
+  },
+  content: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: "4%",
+  },
+  title: {
+    color: "#fff",
+    fontSize: 18,
+    fontWeight: "bold",
+    marginBottom: "4%",
+    textAlign: "center",
+  },
+  message: {
+    marginBottom: "4%",
+  },
+  statusOption: {
+    padding: 10,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: "#ccc",
+    borderRadius: 5,
+  },
+  selectedStatusOption: {
+    borderColor: "#005eb8",
+    backgroundColor: "#e6f0fa",
+  },
+  statusText: {
+    color: "#005eb8",
+    fontWeight: "bold",
+  },
+  commentInput: {
+    minHeight: 60,
+    padding: 8,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: "#ccc",
+    borderRadius: 5,
+    textAlignVertical: "top",
+  },
+  documentRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    columnGap: 8,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderColor: "#ccc",
+  },
+  documentText: {
+    flex: 1,
+  },
+  documentLabel: {
+    fontWeight: "bold",
+  },
+  buttonContainer: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+    marginTop: "4%",
+  },
+});
+
+export default BulkStatusDialog;
@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from "react";
+import {
+  Button,
+  Modal,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { useTranslation } from "react-i18next";
+
+import {
+  CONFLICT_RESOLUTION,
+  formatConflictValue,
+} from "../../utils/ConflictUtils";
+
+/**
+ * ConflictDialog component shows the fields of a queued change that were also changed on the server
+ * and lets the user keep their version, keep the server version or pick a version per field.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isVisible - Flag indicating whether the dialog is visible.
+ * @param {Array<Object>} props.conflicts - The conflicting fields ({ field, theirs, mine, isQueued }).
+ * @param {function} props.onClose - Function to handle closing the dialog.
+ * @param {function} props.onResolve - Function called with the resolution and the per-field choices.
+ * @returns {JSX.Element} A React component.
+ */
+const ConflictDialog = ({ isVisible, conflicts, onClose, onResolve }) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  const [choices, setChoices] = useState({});
+
+  // Prefer the user's own version for every field they changed
+  useEffect(() => {
+    setChoices(
+      Object.fromEntries(
+        (conflicts || []).map((conflict) => [
+          conflict.field,
+          conflict.isQueued
+            ? CONFLICT_RESOLUTION.MINE
+            : CONFLICT_RESOLUTION.THEIRS,
+        ])
+      )
+    );
+  }, [conflicts]);
+
+  /**
+   * Returns a readable label for a field name, e.g. "TimeConfirmation-remark" becomes "remark".
+   * @param {string} field - The field name.
+   * @returns {string} - The label.
+   */
+  const getFieldLabel = (field) => field.substring(field.indexOf("-") + 1);
+
+  /**
+   * Renders one selectable version of a conflicting field.
+   * @param {Object} conflict - The conflicting field.
+   * @param {string} version - CONFLICT_RESOLUTION.MINE or CONFLICT_RESOLUTION.THEIRS.
+   * @returns {JSX.Element} - The rendered option.
+   */
+  const renderVersion = (conflict, version) => {
+    const isSelected = choices[conflict.field] === version;
+    // Fields the user did not change can only keep the server version
+    const isDisabled =
+      version === CONFLICT_RESOLUTION.MINE && !conflict.isQueued;
+
+    return (
+      <TouchableOpacity
+        style={[
+          styles.version,
+          isSelected && styles.selectedVersion,
+          isDisabled && styles.disabledVersion,
+        ]}
+        onPress={() =>
+          setChoices((prevChoices) => ({
+            ...prevChoices,
+            [conflict.field]: version,
+          }))
+        }
+        disabled={isDisabled}
+        accessibilityRole="radio"
+        accessibilityState={{ selected: isSelected, disabled: isDisabled }}
+        testID={`conflict-${conflict.field}-${version}`}
+      >
+        <Text style={styles.versionLabel}>
+          {t(`conflict_version_${version}`)}
+        </Text>
+        <Text numberOfLines={4}>
+          {formatConflictValue(
+            version === CONFLICT_RESOLUTION.MINE
+              ? conflict.mine
+              : conflict.theirs
+          )}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal visible={isVisible} transparent={true} animationType="slide">
+      <View style={styles.container}>
+        <View style={styles.dialog}>
+          <Text style={styles.title}>{t("conflict_title")}</Text>
+          <Text>{t("conflict_message")}</Text>
+          <ScrollView style={styles.fieldList}>
+            {(conflicts || []).map((conflict) => (
+              <View key={conflict.field} style={styles.field}>
+                <Text style={styles.fieldLabel}>
+                  {getFieldLabel(conflict.field)}
+                </Text>
+                <View style={styles.versionContainer}>
+                  {renderVersion(conflict, CONFLICT_RESOLUTION.MINE)}
+                  {renderVersion(conflict, CONFLICT_RESOLUTION.THEIRS)}
+                </View>
+              </View>
+            ))}
+          </ScrollView>
+          <View style={styles.buttonContainer}>
+            <Button
+              title={t("conflict_keep_mine")}
+              onPress={() => onResolve(CONFLICT_RESOLUTION.MINE)}
+            />
+            <Button
+              title={t("conflict_keep_theirs")}
+              onPress={() => onResolve(CONFLICT_RESOLUTION.THEIRS)}
+            />
+            <Button
+              title={t("conflict_merge")}
+              onPress={() => onResolve(CONFLICT_RESOLUTION.MERGE, choices)}
+            />
+          </View>
+          <Button title={t("cancel")} onPress={onClose} />
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+  },
+  dialog: {
+    backgroundColor: "white",
+    padding: "5%",
+    borderRadius: 5,
+    width: "90%",
+    maxHeight: "80%",
+  },
+  title: {
+    fontWeight: "bold",
+    fontSize: 16,
+    marginBottom: 8,
+  },
+  fieldList: {
+    marginVertical: 10,
+  },
+  field: {
+    marginBottom: 10,
+  },
+  fieldLabel: {
+    fontWeight: "bold",
+    marginBottom: 4,
+  },
+  versionContainer: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  version: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: "#ccc",
+    borderRadius: 5,
+    padding: 6,
+    marginHorizontal: 2,
+  },
+  selectedVersion: {
+    borderColor: "#005eb8",
+    backgroundColor: "#e6f0fa",
+  },
+  disabledVersion: {
+    opacity: 0.5,
+  },
+  versionLabel: {
+    fontSize: 12,
+    color: "#34495e",
+    marginBottom: 2,
+  },
+  buttonContainer: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+    flexWrap: "wrap",
+    marginVertical: 10,
+  },
+});
+
+export default ConflictDialog;
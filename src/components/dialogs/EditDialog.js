@@ -187,6 +187,7 @@ const EditDialog = ({
             onChangeText={(text) => handleInputChange(config.id, text)}
             autoFocus={config.id === inputsConfigs[0]?.id}
             placeholder={config.placeholder}
+            keyboardType={config.keyboardType}
             containerStyle={[styles.input, error && styles.inputError]}
           />
         );
@@ -0,0 +1,150 @@
+import React from "react";
+import {
+  Button,
+  Modal,
+  SafeAreaView,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { useTranslation } from "react-i18next";
+
+import { MaterialCommunityIcons } from "@expo/vector-icons";
+
+import {
+  VALIDATION_SEVERITY,
+  hasValidationErrors,
+} from "../../utils/TimesheetValidationUtils";
+
+/**
+ * ValidationReportDialog component displays all violations found by a validation in one list, errors first.
+ * Tapping a violation closes the dialog and leads to the day or item it refers to. The user can only continue
+ * if the report contains warnings but no errors.
+ *
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isVisible - Flag indicating whether the dialog is visible.
+ * @param {Array<Object>} props.violations - The violations (see `buildTimesheetValidationReport`).
+ * @param {function} props.onSelect - Function called with the violation tapped by the user.
+ * @param {function} props.onClose - Function to handle closing the dialog without continuing.
+ * @param {function} props.onContinue - Function to handle continuing despite the warnings.
+ * @returns {JSX.Element} A React component.
+ */
+const ValidationReportDialog = ({
+  isVisible,
+  violations,
+  onSelect,
+  onClose,
+  onContinue,
+}) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  const hasErrors = hasValidationErrors(violations);
+
+  return (
+    <Modal
+      visible={isVisible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <Text style={styles.title} numberOfLines={1} ellipsizeMode="tail">
+          {t("validation_report")}
+        </Text>
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.summary}>
+            {hasErrors
+              ? t("validation_report_errors")
+              : t("validation_report_warnings")}
+          </Text>
+          {violations.map((violation) => {
+            const isError = violation.severity === VALIDATION_SEVERITY.ERROR;
+
+            return (
+              <TouchableOpacity
+                key={violation.key}
+                style={styles.violation}
+                onPress={() => onSelect(violation)}
+                accessibilityLabel={`${violation.subject}: ${violation.message}`}
+                accessibilityRole="button"
+                testID={`validation-violation-${violation.key}`}
+              >
+                <MaterialCommunityIcons
+                  name={isError ? "alert-circle" : "alert"}
+                  size={22}
+                  color={isError ? "#d9534f" : "#f0ad4e"}
+                />
+                <View style={styles.violationText}>
+                  <Text style={styles.subject}>{violation.subject}</Text>
+                  <Text>{violation.message}</Text>
+                </View>
+                <MaterialCommunityIcons
+                  name="chevron-right"
+                  size={22}
+                  color="#808080"
+                />
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+        <View style={styles.buttonContainer}>
+          <Button title={t("cancel")} onPress={onClose} />
+          {!hasErrors && (
+            <Button
+              title={t("validation_report_continue")}
+              onPress={onContinue}
+            />
+          )}
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: "4%",
+    justifyContent: "center",
+    backgroundColor: "rgba(0, 0, 0, 0.85)",
+  },
+  content: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: "4%",
+  },
+  title: {
+    color: "#fff",
+    fontSize: 18,
+    fontWeight: "bold",
+    marginBottom: "4%",
+    textAlign: "center",
+  },
+  summary: {
+    marginBottom: "4%",
+  },
+  violation: {
+    flexDirection: "row",
+    alignItems: "center",
+    columnGap: 8,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderColor: "#ccc",
+  },
+  violationText: {
+    flex: 1,
+  },
+  subject: {
+    fontWeight: "bold",
+  },
+  buttonContainer: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+    marginTop: "4%",
+  },
+});
+
+export default ValidationReportDialog;
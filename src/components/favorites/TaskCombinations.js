@@ -0,0 +1,302 @@
+import React, { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { useTranslation } from "react-i18next";
+
+import { MaterialCommunityIcons } from "@expo/vector-icons";
+
+import { showToast } from "../../utils/MessageUtils";
+import { checkNetworkConnectivity } from "../../utils/OfflineUtils";
+import {
+  getTaskCombinations,
+  removeTaskCombination,
+  toggleFavoriteTaskCombination,
+} from "../../utils/TaskCombinationUtils";
+import {
+  fetchTaskStates,
+  isTaskClosed,
+  retrieveBillableStatus,
+} from "../../utils/TimesheetUtils";
+
+/**
+ * Formats the label of a task combination, e.g., "Design (T-1) · Website · ACME".
+ * @param {Object} combination - The task combination.
+ * @returns {string} - The label.
+ */
+const getCombinationLabel = (combination) => {
+  const taskLabel = combination.taskExtId
+    ? `${combination.taskText} (${combination.taskExtId})`
+    : combination.taskText;
+
+  return [
+    taskLabel || combination.departmentText,
+    combination.projectText,
+    combination.customerText,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+};
+
+/**
+ * TaskCombinations component lists the favorite and recently used task combinations of the user, so that the
+ * customer, project, task, department and time type of a timesheet item can be filled with one tap.
+ * While online, every combination shows whether its task is still open and whether time booked on it is billable.
+ *
+ * @param {Object} props - Component props.
+ * @param {string} props.personId - The ID of the person the time is recorded for.
+ * @param {Date|string} props.date - The date of the item, to check whether the tasks are still open.
+ * @param {Function} props.onSelect - Callback function called with the selected combination and, if known, whether its
+ *   task is billable (`{ combination, billable }`).
+ * @param {boolean} [props.disabled=false] - Boolean indicating whether the combinations can be selected.
+ * @returns {JSX.Element|null} - Rendered component, or null if there are no combinations.
+ */
+const TaskCombinations = ({ personId, date, onSelect, disabled = false }) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  const [combinations, setCombinations] = useState([]);
+  const [taskPreviews, setTaskPreviews] = useState(null); // Task ID to { closed, billable }, null until loaded
+  const [isLoadingPreviews, setIsLoadingPreviews] = useState(false);
+
+  /**
+   * Checks for all tasks of the combinations whether they are still open and billable.
+   * The previews are left out while offline.
+   * @param {Array<Object>} loadedCombinations - The task combinations.
+   */
+  const loadTaskPreviews = async (loadedCombinations) => {
+    const taskIds = [
+      ...new Set(
+        loadedCombinations
+          .map((combination) => combination.taskId)
+          .filter(Boolean)
+      ),
+    ];
+
+    if (taskIds.length === 0 || !(await checkNetworkConnectivity())) {
+      return;
+    }
+
+    setIsLoadingPreviews(true);
+
+    try {
+      const taskStates = await fetchTaskStates(taskIds);
+
+      const previews = {};
+      taskIds.forEach((taskId) => {
+        const taskState = taskStates.get(taskId);
+
+        previews[taskId] = {
+          closed: isTaskClosed(taskState, date),
+          billable: retrieveBillableStatus(
+            taskState?.["Task-billable"] || false,
+            taskState?.["Task-type:TaskType-quantityAllowed"] || false,
+            taskState?.["Task-resources"] || [],
+            personId
+          ),
+        };
+      });
+
+      setTaskPreviews(previews);
+    } catch (error) {
+      console.error("Error loading task combination previews:", error);
+    } finally {
+      setIsLoadingPreviews(false);
+    }
+  };
+
+  useEffect(() => {
+    const loadCombinations = async () => {
+      const loadedCombinations = await getTaskCombinations();
+      setCombinations(loadedCombinations);
+      loadTaskPreviews(loadedCombinations);
+    };
+
+    loadCombinations();
+  }, []);
+
+  const handleSelect = (combination) => {
+    const preview = taskPreviews?.[combination.taskId];
+
+    if (preview?.closed) {
+      showToast(t("task_combination_closed"), "error");
+      return;
+    }
+
+    onSelect({ combination, billable: preview?.billable });
+  };
+
+  const handleToggleFavorite = async (key) => {
+    setCombinations(await toggleFavoriteTaskCombination(key));
+  };
+
+  const handleRemove = (combination) => {
+    Alert.alert(
+      t("task_combination_remove"),
+      t("task_combination_remove_confirmation", {
+        combination: getCombinationLabel(combination),
+      }),
+      [
+        { text: t("cancel"), style: "cancel" },
+        {
+          text: t("task_combination_remove"),
+          style: "destructive",
+          onPress: async () =>
+            setCombinations(await removeTaskCombination(combination.key)),
+        },
+      ],
+      { cancelable: false }
+    );
+  };
+
+  const renderPreview = (combination) => {
+    if (!combination.taskId) {
+      return null;
+    }
+
+    const preview = taskPreviews?.[combination.taskId];
+    if (!preview) {
+      return null;
+    }
+
+    if (preview.closed) {
+      return (
+        <Text style={[styles.badge, styles.closedBadge]}>
+          {t("task_combination_closed_badge")}
+        </Text>
+      );
+    }
+
+    return (
+      <Text
+        style={[
+          styles.badge,
+          preview.billable ? styles.billableBadge : styles.nonBillableBadge,
+        ]}
+      >
+        {preview.billable ? t("billable") : t("non_billable")}
+      </Text>
+    );
+  };
+
+  if (combinations.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{t("task_combinations")}</Text>
+        {isLoadingPreviews && (
+          <ActivityIndicator size="small" color="#0000ff" />
+        )}
+      </View>
+      {combinations.map((combination) => (
+        <View key={combination.key} style={styles.row}>
+          <TouchableOpacity
+            onPress={() => handleToggleFavorite(combination.key)}
+            disabled={disabled}
+            accessibilityLabel={
+              combination.favorite
+                ? t("task_combination_unstar")
+                : t("task_combination_star")
+            }
+            accessibilityRole="button"
+            testID={`task-combination-star-${combination.key}`}
+          >
+            <MaterialCommunityIcons
+              name={combination.favorite ? "star" : "star-outline"}
+              size={22}
+              color={combination.favorite ? "#f0ad4e" : "#808080"}
+            />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.combination}
+            onPress={() => handleSelect(combination)}
+            onLongPress={() => handleRemove(combination)}
+            disabled={disabled}
+            accessibilityLabel={getCombinationLabel(combination)}
+            accessibilityRole="button"
+            testID={`task-combination-${combination.key}`}
+          >
+            <Text
+              style={[
+                styles.combinationText,
+                taskPreviews?.[combination.taskId]?.closed && styles.closedText,
+              ]}
+              numberOfLines={2}
+              ellipsizeMode="tail"
+            >
+              {getCombinationLabel(combination)}
+            </Text>
+            {renderPreview(combination)}
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: "5%",
+    borderBottomWidth: 1,
+    borderColor: "#ccc",
+    paddingBottom: "2%",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    columnGap: 8,
+    marginBottom: "2%",
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    columnGap: 8,
+    paddingVertical: 4,
+  },
+  combination: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    columnGap: 8,
+  },
+  combinationText: {
+    flex: 1,
+    color: "#005eb8",
+  },
+  closedText: {
+    color: "#808080",
+    textDecorationLine: "line-through",
+  },
+  badge: {
+    fontSize: 12,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+    overflow: "hidden",
+    color: "#fff",
+  },
+  billableBadge: {
+    backgroundColor: "green",
+  },
+  nonBillableBadge: {
+    backgroundColor: "#808080",
+  },
+  closedBadge: {
+    backgroundColor: "#d9534f",
+  },
+});
+
+export default TaskCombinations;
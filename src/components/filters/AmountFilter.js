@@ -1,51 +1,137 @@
-import React, { useState } from "react";
-import { View, Text, Button } from "react-native";
+import React, { useEffect, useState } from "react";
+import { StyleSheet, Text, View } from "react-native";
+import { useTranslation } from "react-i18next";
+import CustomPicker from "../CustomPicker";
 import CustomTextInput from "../CustomTextInput";
 
-const AmountFilter = ({ onFilter }) => {
-  const [lessThan, setLessThan] = useState("");
-  const [greaterThan, setGreaterThan] = useState("");
-
-  const handleFilter = () => {
-    // Convert input values to numbers if needed
-    const lessThanValue = parseFloat(lessThan);
-    const greaterThanValue = parseFloat(greaterThan);
-
-    // Validate input values
-    if (!isNaN(lessThanValue) && !isNaN(greaterThanValue)) {
-      // Pass the filter values to the parent component
-      onFilter({ lessThan: lessThanValue, greaterThan: greaterThanValue });
-    } else {
-      alert("Please enter valid numbers");
+/**
+ * AmountFilter component renders a filter for an amount range.
+ * It consists of two text inputs for specifying a range (greater than and less than) and, if currencies are offered,
+ * a picker for the currency of the range, so that amounts in other currencies can be converted before comparing
+ * (see `isAmountInRange` in CurrencyUtils).
+ *
+ * @param {object} props - Component props.
+ * @param {string} props.label - The label for the filter.
+ * @param {string} props.placeholder - The placeholder text for text inputs.
+ * @param {Function} props.onFilter - Callback function triggered when the filter changes.
+ * @param {Object} props.initialValue - Initial values ({ greaterThanValue, lessThanValue, currency }).
+ * @param {boolean} props.clearValue - Boolean flag indicating whether to clear the filter value.
+ * @param {Array<Object>} props.currencyOptions - The selectable currencies ({ label, value }).
+ * @returns {JSX.Element} - The rendered AmountFilter component.
+ */
+const AmountFilter = ({
+  label,
+  placeholder,
+  onFilter,
+  initialValue,
+  clearValue,
+  currencyOptions = [],
+}) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  const [greaterThanValue, setGreaterThanValue] = useState(
+    initialValue?.greaterThanValue?.toString() ?? ""
+  );
+
+  const [lessThanValue, setLessThanValue] = useState(
+    initialValue?.lessThanValue?.toString() ?? ""
+  );
+
+  const [currency, setCurrency] = useState(initialValue?.currency ?? "");
+
+  /**
+   * Handle filter change event.
+   * Parses and validates the filter values, triggers the filter callback with valid values.
+   */
+  const handleFilterChange = () => {
+    // Parse the amounts, accepting a comma as decimal separator as well
+    const parsedGreaterThanValue = parseFloat(
+      greaterThanValue.replace(",", ".")
+    );
+    const parsedLessThanValue = parseFloat(lessThanValue.replace(",", "."));
+
+    // Trigger the filter callback with valid values
+    if (onFilter) {
+      onFilter({
+        greaterThanValue: isNaN(parsedGreaterThanValue)
+          ? null
+          : parsedGreaterThanValue,
+        lessThanValue: isNaN(parsedLessThanValue) ? null : parsedLessThanValue,
+        currency,
+      });
     }
   };
 
+  useEffect(() => {
+    handleFilterChange();
+  }, [greaterThanValue, lessThanValue, currency]);
+
+  useEffect(() => {
+    if (clearValue) {
+      setLessThanValue("");
+      setGreaterThanValue("");
+      setCurrency("");
+    }
+  }, [clearValue]);
+
   return (
     <View>
-      <Text>Amount Filter</Text>
-      <View>
-        <Text>Less Than:</Text>
+      <Text style={styles.label}>{label}</Text>
+      <View style={styles.inputContainer}>
         <CustomTextInput
-          keyboardType="numeric"
-          placeholder="Enter amount"
-          value={lessThan}
-          onChangeText={(text) => setLessThan(text)}
+          containerStyle={styles.input}
+          value={greaterThanValue}
+          onChangeText={setGreaterThanValue}
+          placeholder={placeholder || `${t("greater_than")}...`}
+          keyboardType="decimal-pad"
           showClearButton={false}
         />
-      </View>
-      <View>
-        <Text>Greater Than:</Text>
         <CustomTextInput
-          keyboardType="numeric"
-          placeholder="Enter amount"
-          value={greaterThan}
-          onChangeText={(text) => setGreaterThan(text)}
+          containerStyle={styles.input}
+          value={lessThanValue}
+          onChangeText={setLessThanValue}
+          placeholder={placeholder || `${t("less_than")}...`}
+          keyboardType="decimal-pad"
           showClearButton={false}
         />
+        {currencyOptions.length > 0 && (
+          <View style={styles.currencyPickerContainer}>
+            <CustomPicker
+              placeholder={t("currency")}
+              items={currencyOptions}
+              initialValue={currency}
+              onFilter={(value) => setCurrency(value ?? "")}
+              accessibilityLabel="Amount filter currency picker"
+              accessibilityRole="dropdownlist"
+              testID="amount-filter-currency-picker"
+            />
+          </View>
+        )}
       </View>
-      <Button title="Apply Filter" onPress={handleFilter} />
     </View>
   );
 };
 
+const styles = StyleSheet.create({
+  label: {
+    marginBottom: "2%",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  inputContainer: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    columnGap: 8,
+  },
+  input: {
+    flex: 1,
+    marginBottom: "4%",
+  },
+  currencyPickerContainer: {
+    width: "30%",
+    marginBottom: "4%",
+  },
+});
+
 export default AmountFilter;
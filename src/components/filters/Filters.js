@@ -10,6 +10,7 @@ import {
 } from "react-native";
 import { useTranslation } from "react-i18next";
 import { BUSOBJCATMAP } from "../../constants";
+import AmountFilter from "./AmountFilter";
 import DateFilter from "./DateFilter";
 import DurationFilter from "./DurationFilter";
 import PickerFilter from "./PickerFilter";
@@ -21,6 +22,7 @@ import {
   convertFiltersToWhereConditions,
   convertToBusObjCatFormat,
   filtersMap,
+  handleAmountFilter,
   handleDateFilter,
   handleDurationFilter,
   handlePickerFilter,
@@ -180,6 +182,26 @@ const Filters = ({ route, navigation }) => {
             convertToMillisecondsEnabled={filter.convertToMillisecondsEnabled}
           />
         );
+      case "amount":
+        return (
+          <AmountFilter
+            key={filter.id}
+            label={translatedLabel}
+            initialValue={appliedFilters[filter.id]} // Pass initial value to pre-populate the filter
+            onFilter={({ greaterThanValue, lessThanValue, currency }) =>
+              handleAmountFilter(
+                filter.id,
+                { greaterThanValue, lessThanValue, currency },
+                initialFilters,
+                appliedFilters,
+                setAppliedFilters,
+                setUnsavedChanges
+              )
+            }
+            clearValue={clearFilterValue}
+            currencyOptions={pickerOptions[filter.option] || []}
+          />
+        );
       case "date":
         return (
           <DateFilter
@@ -0,0 +1,60 @@
+import React from "react";
+import { StyleSheet, Text, View } from "react-native";
+import { useTranslation } from "react-i18next";
+
+import { format, isValid } from "date-fns";
+
+import { MaterialIcons } from "@expo/vector-icons";
+
+import { APP } from "../../constants";
+
+import { convertToDateFNSFormat } from "../../utils/FormatUtils";
+
+/**
+ * Banner shown above a list while it displays locally cached data, stating when the data was last synced.
+ * @param {Object} props - Component props.
+ * @param {string} props.syncedAt - The ISO timestamp of the last sync. Nothing is rendered when empty.
+ * @returns {JSX.Element|null} A React component.
+ */
+const LastSyncedBanner = ({ syncedAt }) => {
+  const { t } = useTranslation();
+
+  if (!syncedAt) {
+    return null;
+  }
+
+  const syncedDate = new Date(syncedAt);
+  const formattedSyncedAt = isValid(syncedDate)
+    ? format(
+        syncedDate,
+        convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT, true)
+      )
+    : "-";
+
+  return (
+    <View style={styles.container} testID="last-synced-banner">
+      <MaterialIcons name="cloud-off" size={18} color="#34495e" />
+      <Text style={styles.text} numberOfLines={1}>
+        {t("last_synced", { syncedAt: formattedSyncedAt })}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    backgroundColor: "#fff3cd",
+    borderBottomWidth: 1,
+    borderColor: "#ccc",
+  },
+  text: {
+    marginLeft: 6,
+    color: "#34495e",
+  },
+});
+
+export default LastSyncedBanner;
@@ -1,16 +1,26 @@
 import React, { useEffect, useState } from "react";
 import { View, Text, StyleSheet } from "react-native";
+import { useTranslation } from "react-i18next";
 import { useConnectivityContext } from "../../../context/ConnectivityContext";
+import { useRequestQueueContext } from "../../../context/RequestQueueContext";
 
 import { Image } from "expo-image";
 
+import CustomButton from "../CustomButton";
+import { navigate } from "../../navigation/NavigationService";
+
 /**
  * Component to display an offline notice when the device loses internet connectivity.
  * It listens for network status changes via the ConnectivityContext and shows the offline notice accordingly.
+ * The notice is a compact bar below the screens, so that the cached data of the screens stays visible while offline.
+ * If requests have been queued while offline, a link to the queued requests is shown as well.
  */
 const OfflineView = () => {
+  const { t } = useTranslation();
+
   // Use the hook to access the isConnected state from the context
   const { isConnected } = useConnectivityContext(); // Call the hook to get the context value
+  const { requestQueue = [] } = useRequestQueueContext() || {};
   const [isOffline, setIsOffline] = useState(false);
 
   useEffect(() => {
@@ -30,6 +40,25 @@ const OfflineView = () => {
         <Text style={styles.text} testID="offline-text">
           No Internet Connection
         </Text>
+        {requestQueue.length > 0 && (
+          <CustomButton
+            onPress={() => navigate("RequestQueue")}
+            label={t("request_queue_view", { count: requestQueue.length })}
+            icon={{
+              name: "playlist-check",
+              library: "MaterialCommunityIcons",
+              size: 24,
+              color: "#005eb8",
+            }}
+            backgroundColor={false}
+            labelStyle={styles.queueButtonText}
+            accessibilityLabel={t("request_queue_view", {
+              count: requestQueue.length,
+            })}
+            accessibilityRole="button"
+            testID="offline-request-queue-button"
+          />
+        )}
       </View>
     );
 
@@ -38,18 +67,26 @@ const OfflineView = () => {
 
 const styles = StyleSheet.create({
   container: {
+    flexDirection: "row",
+    flexWrap: "wrap",
     alignItems: "center",
     justifyContent: "center",
-    height: "100%",
     width: "100%",
+    paddingVertical: 6,
+    backgroundColor: "#fff3cd",
     zIndex: 1,
   },
   image: {
-    height: 200,
-    width: 200,
+    height: 32,
+    width: 32,
+    marginRight: 8,
   },
   text: {
-    fontSize: 25,
+    fontSize: 16,
+  },
+  queueButtonText: {
+    color: "#005eb8",
+    textDecorationLine: "underline",
   },
 });
 
@@ -0,0 +1,343 @@
+import React, { useEffect, useState } from "react";
+import {
+  Alert,
+  Button,
+  Modal,
+  SafeAreaView,
+  ScrollView,
+  StyleSheet,
+  Text,
+  View,
+} from "react-native";
+import { useTranslation } from "react-i18next";
+
+import { TIMESHEET_TIMER } from "../../constants";
+
+import { showToast } from "../../utils/MessageUtils";
+import { emptyTaskSelection } from "../../utils/TimesheetUtils";
+import {
+  discardTimer,
+  getElapsedTime,
+  getTimer,
+  pauseTimer,
+  resumeTimer,
+  startTimer,
+  stopTimer,
+} from "../../utils/TimerUtils";
+
+import CustomButton from "../CustomButton";
+import TaskSelectionPickers from "../TaskSelectionPickers";
+
+/**
+ * Formats a recorded time as a clock (e.g., "1:05:09").
+ * @param {number} milliseconds - The recorded time in milliseconds.
+ * @returns {string} - The formatted time.
+ */
+const formatElapsedTime = (milliseconds) => {
+  const totalSeconds = Math.floor(milliseconds / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  return `${hours}:${String(minutes).padStart(2, "0")}:${String(
+    seconds
+  ).padStart(2, "0")}`;
+};
+
+/**
+ * TimesheetTimer component records time for a task with a start/stop timer, so that it does not have to be
+ * typed in afterwards. The customer, project and task are selected with the same pickers as in the timesheet
+ * item editor. The timer is stored with its timestamps, so it keeps running while the app is closed.
+ * A stopped timer is shown until its time is saved in a timesheet, so that booking it can be retried or the
+ * timer discarded.
+ *
+ * @param {Object} props - Component props.
+ * @param {Object} props.navigation - The navigation object, used to reload the timer when the screen is shown again.
+ * @param {Object} props.employeeInfo - The info of the logged-in employee, providing the `personId`.
+ * @param {Function} props.onStop - Callback function called with the stopped timer, to book its time.
+ * @param {boolean} [props.disabled=false] - Boolean indicating whether the buttons are disabled.
+ * @returns {JSX.Element} - Rendered component.
+ */
+const TimesheetTimer = ({
+  navigation,
+  employeeInfo,
+  onStop,
+  disabled = false,
+}) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  const { personId } = employeeInfo || {};
+
+  const [timer, setTimer] = useState(null);
+  const [elapsedTime, setElapsedTime] = useState(0);
+  const [isSelectionVisible, setIsSelectionVisible] = useState(false);
+  const [selection, setSelection] = useState(emptyTaskSelection);
+
+  useEffect(() => {
+    // Pick up a timer started before the app was closed
+    getTimer().then(setTimer);
+
+    // Pick up the removal of a timer whose time was booked in the meantime
+    const unsubscribe = navigation?.addListener("focus", () => {
+      getTimer().then(setTimer);
+    });
+
+    return unsubscribe;
+  }, [navigation]);
+
+  useEffect(() => {
+    setElapsedTime(getElapsedTime(timer));
+
+    if (!timer?.runningSince) {
+      return;
+    }
+
+    const interval = setInterval(() => {
+      setElapsedTime(getElapsedTime(timer));
+    }, TIMESHEET_TIMER.TICK_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [timer]);
+
+  const openSelection = () => {
+    setSelection(emptyTaskSelection);
+    setIsSelectionVisible(true);
+  };
+
+  const closeSelection = () => {
+    setIsSelectionVisible(false);
+  };
+
+  const handleStart = async () => {
+    if (!selection.taskId) {
+      showToast(t("timer_task_required"), "error");
+      return;
+    }
+
+    setTimer(await startTimer(selection));
+    setIsSelectionVisible(false);
+  };
+
+  const handlePauseOrResume = async () => {
+    setTimer(timer?.runningSince ? await pauseTimer() : await resumeTimer());
+  };
+
+  const handleStop = async () => {
+    const stoppedTimer = await stopTimer();
+    setTimer(stoppedTimer);
+
+    if (stoppedTimer && onStop) {
+      onStop(stoppedTimer);
+    }
+  };
+
+  const handleDiscard = () => {
+    Alert.alert(
+      t("timer_discard"),
+      t("timer_discard_confirmation"),
+      [
+        { text: t("cancel"), style: "cancel" },
+        {
+          text: t("timer_discard"),
+          style: "destructive",
+          onPress: async () => {
+            await discardTimer();
+            setTimer(null);
+          },
+        },
+      ],
+      { cancelable: false }
+    );
+  };
+
+  const renderSelection = () => (
+    <Modal
+      visible={isSelectionVisible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={closeSelection}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <Text style={styles.modalTitle} numberOfLines={1} ellipsizeMode="tail">
+          {t("timer_start")}
+        </Text>
+        <ScrollView contentContainerStyle={styles.modalContent}>
+          <TaskSelectionPickers
+            personId={personId}
+            selection={selection}
+            onChange={setSelection}
+          />
+        </ScrollView>
+        <View style={styles.modalButtonsContainer}>
+          <Button title={t("timer_start")} onPress={handleStart} />
+          <Button title={t("cancel")} onPress={closeSelection} />
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+
+  if (!timer) {
+    return (
+      <View style={styles.container}>
+        <CustomButton
+          onPress={openSelection}
+          label={t("timer_start")}
+          icon={{
+            name: "timer-outline",
+            library: "MaterialCommunityIcons",
+            size: 20,
+            color: "white",
+          }}
+          disabled={disabled}
+          accessibilityLabel={t("timer_start")}
+          accessibilityRole="button"
+          testID="timer-start-button"
+        />
+        {isSelectionVisible && renderSelection()}
+      </View>
+    );
+  }
+
+  const isRunning = !!timer.runningSince;
+  const isStopped = !!timer.stoppedOn;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.timerInfo}>
+        <Text style={styles.taskText} numberOfLines={1} ellipsizeMode="tail">
+          {timer.taskText}
+        </Text>
+        {!!timer.projectText && (
+          <Text
+            style={styles.projectText}
+            numberOfLines={1}
+            ellipsizeMode="tail"
+          >
+            {timer.projectText}
+          </Text>
+        )}
+      </View>
+      <Text
+        style={[styles.elapsedTimeText, !isRunning && styles.pausedText]}
+        testID="timer-elapsed-time"
+      >
+        {formatElapsedTime(elapsedTime)}
+      </Text>
+      <View style={styles.timerButtons}>
+        {!isStopped && (
+          <CustomButton
+            onPress={handlePauseOrResume}
+            label=""
+            icon={{
+              name: isRunning ? "pause" : "play",
+              library: "MaterialCommunityIcons",
+              size: 24,
+              color: "#005eb8",
+            }}
+            backgroundColor={false}
+            disabled={disabled}
+            accessibilityLabel={
+              isRunning ? t("timer_pause") : t("timer_resume")
+            }
+            accessibilityRole="button"
+            testID="timer-pause-resume-button"
+          />
+        )}
+        <CustomButton
+          onPress={isStopped ? () => onStop?.(timer) : handleStop}
+          label=""
+          icon={{
+            name: isStopped ? "clipboard-clock-outline" : "stop",
+            library: "MaterialCommunityIcons",
+            size: 24,
+            color: "#005eb8",
+          }}
+          backgroundColor={false}
+          disabled={disabled}
+          accessibilityLabel={isStopped ? t("timer_book") : t("timer_stop")}
+          accessibilityRole="button"
+          testID="timer-stop-button"
+        />
+        <CustomButton
+          onPress={handleDiscard}
+          label=""
+          icon={{
+            name: "trash-can-outline",
+            library: "MaterialCommunityIcons",
+            size: 24,
+            color: "#d9534f",
+          }}
+          backgroundColor={false}
+          disabled={disabled}
+          accessibilityLabel={t("timer_discard")}
+          accessibilityRole="button"
+          testID="timer-discard-button"
+        />
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "flex-end",
+    columnGap: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderColor: "#ccc",
+    backgroundColor: "#e5eef7",
+  },
+  timerInfo: {
+    flex: 1,
+  },
+  taskText: {
+    fontWeight: "bold",
+    color: "#34495e",
+  },
+  projectText: {
+    fontSize: 12,
+    color: "#34495e",
+  },
+  elapsedTimeText: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "green",
+    fontVariant: ["tabular-nums"],
+  },
+  pausedText: {
+    color: "#808080",
+  },
+  timerButtons: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  modalContainer: {
+    flex: 1,
+    padding: "4%",
+    justifyContent: "center",
+    backgroundColor: "rgba(0, 0, 0, 0.85)",
+  },
+  modalContent: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: "4%",
+  },
+  modalTitle: {
+    color: "#fff",
+    fontSize: 18,
+    fontWeight: "bold",
+    marginBottom: "4%",
+    textAlign: "center",
+  },
+  modalButtonsContainer: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+    marginTop: "4%",
+  },
+});
+
+export default TimesheetTimer;
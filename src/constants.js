@@ -167,6 +167,18 @@ const BUSOBJCATMAP = {
  */
 const DOUBLE_CLICK_DELTA = 400;
 
+/**
+ * File formats timesheets and absences can be exported to.
+ * @constant
+ * @enum {string}
+ */
+const EXPORT_FORMAT = {
+  /** Comma-separated values, e.g., for spreadsheets. */
+  CSV: "csv",
+  /** Formatted document to send to clients. */
+  PDF: "pdf",
+};
+
 /**
  * This constant defines the maximum allowed size for images in bytes.
  * The application will reject image uploads that exceed this size limit
@@ -223,6 +235,168 @@ const PAGE_SIZE = 20;
  */
 const PREFERRED_LANGUAGES = ["en", "en_GB"];
 
+/**
+ * Configuration for the offline request queue.
+ * @constant
+ * @type {Object}
+ */
+const REQUEST_QUEUE = {
+  /** AsyncStorage key under which the queued requests are stored. */
+  STORAGE_KEY: "requestQueue",
+  /** Number of automatic replay attempts before a request waits for a manual retry. */
+  MAX_RETRIES: 5,
+  /** Delay in milliseconds before the first retry. Doubled on every further failure. */
+  BASE_RETRY_DELAY: 30000,
+  /** Upper bound in milliseconds for the retry delay. */
+  MAX_RETRY_DELAY: 30 * 60 * 1000,
+  /** AsyncStorage key under which the server state of recently opened documents is stored for conflict detection. */
+  SNAPSHOT_STORAGE_KEY: "documentSnapshots",
+  /** Maximum number of document snapshots kept in AsyncStorage. */
+  MAX_SNAPSHOTS: 50,
+  /** Prefix of the temporary IDs given to documents created while offline, until the server assigns their real ID. */
+  LOCAL_ID_PREFIX: "local-",
+  /** AsyncStorage key under which documents created while offline are stored until they are created on the server. */
+  DRAFT_STORAGE_KEY: "localDrafts",
+};
+
+/**
+ * Kinds of actions that can be held in the offline request queue.
+ * @constant
+ * @enum {string}
+ */
+const REQUEST_QUEUE_ACTION = {
+  /** Create or update of a document. */
+  SAVE: "save",
+  /** Deletion of a document. */
+  DELETE: "delete",
+  /** Workflow status change of a document. */
+  STATUS_CHANGE: "statusChange",
+  /** Upload of a file attached to a document. */
+  UPLOAD: "upload",
+};
+
+/**
+ * Settings of the local cache of query results, used to show lists and documents while offline.
+ * @constant
+ * @type {Object}
+ */
+const QUERY_CACHE = {
+  /** Prefix of the AsyncStorage keys under which query results are cached. */
+  STORAGE_KEY_PREFIX: "queryCache:",
+  /** AsyncStorage key of the index of cached queries and their sync times. */
+  INDEX_STORAGE_KEY: "queryCacheIndex",
+  /** Maximum number of cached query results. The least recently synced results are dropped first. */
+  MAX_ENTRIES: 100,
+};
+
+/**
+ * Settings of the local exchange rate table, used to convert expense amounts into the reimbursement currency.
+ * @constant
+ * @type {Object}
+ */
+const EXCHANGE_RATES = {
+  /** AsyncStorage key under which the exchange rate table is stored. */
+  STORAGE_KEY: "exchangeRates",
+  /** Source of a rate fetched from the backend. Replaced on every sync. */
+  SOURCE_BACKEND: "backend",
+  /** Source of a rate entered by the user. Kept on sync and preferred over a backend rate of the same date. */
+  SOURCE_USER: "user",
+  /** Number of days back from today for which the rates of the backend are synced. */
+  HISTORY_DAYS: 365,
+  /** Number of rates fetched from the backend per page. */
+  PAGE_SIZE: 500,
+  /** Maximum number of backend rates stored, so that the table fits into a single AsyncStorage entry. */
+  MAX_RATES: 2000,
+};
+
+/**
+ * Settings of the time tracking timer, which records time for a task and turns it into a timesheet item.
+ * @constant
+ * @type {Object}
+ */
+const TIMESHEET_TIMER = {
+  /** AsyncStorage key under which the running or paused timer is stored. */
+  STORAGE_KEY: "timesheetTimer",
+  /** Interval in milliseconds in which the elapsed time of a running timer is updated on screen. */
+  TICK_INTERVAL: 1000,
+};
+
+/**
+ * Settings of the favorite and recently used task combinations offered in the timesheet item editor.
+ * @constant
+ * @type {Object}
+ */
+const TASK_COMBINATIONS = {
+  /** AsyncStorage key under which the task combinations are stored. */
+  STORAGE_KEY: "taskCombinations",
+  /** Maximum number of recently used combinations kept besides the favorites. */
+  MAX_RECENT: 10,
+};
+
+/**
+ * Settings of the local notifications reminding the user of missing or draft timesheets.
+ * @constant
+ * @type {Object}
+ */
+const TIMESHEET_REMINDERS = {
+  /** AsyncStorage key under which the reminder preferences of the user are stored. */
+  STORAGE_KEY: "timesheetReminders",
+  /** Type in the data of the scheduled notifications, to tell them apart from other notifications. */
+  NOTIFICATION_TYPE: "timesheetReminder",
+  /** Android notification channel of the reminders. */
+  CHANNEL_ID: "timesheet-reminders",
+  /** Number of weeks, starting with the current one, for which reminders are scheduled. */
+  WEEKS_AHEAD: 4,
+  /** Day value reminding on the last working day of the week instead of a fixed weekday. */
+  LAST_WORKING_DAY: "last",
+  /** Preferences used until the user changes them. */
+  DEFAULT_SETTINGS: { enabled: false, day: "last", time: "16:00" },
+};
+
+/**
+ * Settings of the absences written into the calendar of the device.
+ * @constant
+ * @type {Object}
+ */
+const ABSENCE_CALENDAR = {
+  /** AsyncStorage key under which the calendar and the events of the absences are stored. */
+  STORAGE_KEY: "absenceCalendar",
+  /** Color of the calendar the absences are written into. */
+  COLOR: "#005eb8",
+  /** Hour the working day starts at, from which absences of part of a day are placed. */
+  WORKDAY_START_HOUR: 9,
+  /** Identifier of the app in the exported .ics files. */
+  ICS_PRODUCT_ID: "-//ibe//ibe-mobile//EN",
+};
+
+/**
+ * Settings of the recurring absence series created from a recurrence rule.
+ * @constant
+ * @type {Object}
+ */
+const ABSENCE_SERIES = {
+  /** AsyncStorage key under which the series created by the user are stored. */
+  STORAGE_KEY: "absenceSeries",
+  /** Maximum number of occurrences a series can have. */
+  MAX_OCCURRENCES: 52,
+};
+
+/**
+ * Settings of the team absence calendar and of the warning shown when requesting leave while teammates are absent.
+ * @constant
+ * @type {Object}
+ */
+const TEAM_ABSENCES = {
+  /** Number of weeks shown at once by the team absence calendar. */
+  WEEKS: 4,
+  /** Number of absent teammates above which a leave request asks for confirmation. */
+  OVERLAP_WARNING_THRESHOLD: 2,
+  /** Field of the employee holding the team (department) the employee belongs to. */
+  TEAM_FIELD: "Resource-core-department",
+  /** Maximum number of absences of the team loaded at once. */
+  MAX_ABSENCES: 500,
+};
+
 /**
  * Flag indicating whether the application is running in test mode.
  * @constant
@@ -259,6 +433,8 @@ const VALID_FILE_EXTENSIONS = [
 ];
 
 export {
+  ABSENCE_CALENDAR,
+  ABSENCE_SERIES,
   API_ENDPOINTS,
   API_TIMEOUT,
   APP,
@@ -267,12 +443,21 @@ export {
   BUSOBJCAT,
   BUSOBJCATMAP,
   DOUBLE_CLICK_DELTA,
+  EXCHANGE_RATES,
+  EXPORT_FORMAT,
   MAX_IMAGE_SIZE,
   INTSTATUS,
   LOGIN_INPUTS_MAXLENGTH,
   MAX_UPLOAD_FILE_SIZE,
   PAGE_SIZE,
   PREFERRED_LANGUAGES,
+  QUERY_CACHE,
+  REQUEST_QUEUE,
+  REQUEST_QUEUE_ACTION,
+  TASK_COMBINATIONS,
+  TEAM_ABSENCES,
   TEST_MODE,
+  TIMESHEET_REMINDERS,
+  TIMESHEET_TIMER,
   VALID_FILE_EXTENSIONS,
 };
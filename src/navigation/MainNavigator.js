@@ -1,22 +1,32 @@
 import React, { useEffect } from "react";
 import { NavigationContainer } from "@react-navigation/native";
 import { createNativeStackNavigator } from "@react-navigation/native-stack";
+import * as Notifications from "expo-notifications";
 
 import Absence from "../screens/Absence";
+import AbsenceSeries from "../screens/AbsenceSeries";
+import Calendar from "../screens/Calendar";
 import Expense from "../screens/Expense";
 import Home from "../screens/Home";
+import LeaveBalances from "../screens/LeaveBalances";
+import LeavePlanner from "../screens/LeavePlanner";
 import Login from "../screens/Login";
+import TeamAbsences from "../screens/TeamAbsences";
 import Timesheet from "../screens/Timesheet";
 import AbsenceDetail from "../screens/AbsenceDetail";
+import ExpenseDetail from "../screens/ExpenseDetail";
 import TimesheetDetail from "../screens/TimesheetDetail";
 import User from "../screens/User";
 import Approval from "../screens/Approval";
 import Help from "../screens/Help";
+import RequestQueue from "../screens/RequestQueue";
 
 import CustomImagePicker from "../components/CustomImagePicker";
 import Filters from "../components/filters/Filters";
 
 import { useThemeStyles } from "../theme/useThemeStyles";
+import { openTimesheetReminder } from "../utils/ReminderUtils";
+import { navigationRef } from "./NavigationService";
 
 const Stack = createNativeStackNavigator();
 
@@ -37,6 +47,30 @@ const MainNavigator = () => {
     };
   }, []);
 
+  // useEffect hook to show the timesheet reminders while the app is open and to open the timesheet of a tapped reminder,
+  // including the one the app was started with.
+  useEffect(() => {
+    Notifications.setNotificationHandler({
+      handleNotification: async () => ({
+        shouldShowAlert: true,
+        shouldPlaySound: false,
+        shouldSetBadge: false,
+      }),
+    });
+
+    Notifications.getLastNotificationResponseAsync()
+      .then(openTimesheetReminder)
+      .catch((error) =>
+        console.error("Error reading the last notification response:", error)
+      );
+
+    const subscription = Notifications.addNotificationResponseReceivedListener(
+      openTimesheetReminder
+    );
+
+    return () => subscription.remove();
+  }, []);
+
   /**
    * Error handler for catching navigation-related errors.
    * This function will be invoked if any error occurs within the navigation context.
@@ -53,6 +87,7 @@ const MainNavigator = () => {
     // The accessibilityRole and accessibilityLabel props are used to improve accessibility
     // and facilitate testing by providing a role and label that can be queried in tests.
     <NavigationContainer
+      ref={navigationRef}
       onError={handleError}
       accessibilityRole="container"
       accessibilityLabel="navigation-container"
@@ -86,11 +121,27 @@ const MainNavigator = () => {
         <Stack.Screen name="Timesheet" component={Timesheet} />
         <Stack.Screen name="TimesheetDetail" component={TimesheetDetail} />
         <Stack.Screen name="Expense" component={Expense} />
+        <Stack.Screen name="ExpenseDetail" component={ExpenseDetail} />
         <Stack.Screen name="Absence" component={Absence} />
         <Stack.Screen name="AbsenceDetail" component={AbsenceDetail} />
         <Stack.Screen name="User" component={User} />
         <Stack.Screen name="Approval" component={Approval} />
 
+        {/* Month calendar of the timesheets, absences and holidays */}
+        <Stack.Screen name="Calendar" component={Calendar} />
+
+        {/* Leave balances of the absence types */}
+        <Stack.Screen name="LeaveBalances" component={LeaveBalances} />
+
+        {/* What-if planner of tentative absences */}
+        <Stack.Screen name="LeavePlanner" component={LeavePlanner} />
+
+        {/* Recurring absences created as a linked series */}
+        <Stack.Screen name="AbsenceSeries" component={AbsenceSeries} />
+
+        {/* Absences of the colleagues or of the employees of the approval inbox */}
+        <Stack.Screen name="TeamAbsences" component={TeamAbsences} />
+
         {/* CustomImagePicker screen with custom header options */}
         <Stack.Screen
           name="CustomImagePicker"
@@ -102,6 +153,9 @@ const MainNavigator = () => {
         <Stack.Screen name="Filters" component={Filters} />
 
         <Stack.Screen name="Help" component={Help} />
+
+        {/* Requests queued while the device was offline */}
+        <Stack.Screen name="RequestQueue" component={RequestQueue} />
       </Stack.Navigator>
     </NavigationContainer>
   );
@@ -0,0 +1,23 @@
+import { createNavigationContainerRef } from "@react-navigation/native";
+
+/**
+ * Reference to the app's navigation container.
+ * Allows navigating from components that are rendered outside of the navigator (e.g., the offline notice).
+ */
+export const navigationRef = createNavigationContainerRef();
+
+/**
+ * Navigates to a screen through the navigation container reference.
+ * Does nothing if the navigation container is not mounted yet.
+ * @param {string} name - The name of the target route.
+ * @param {Object} [params] - The params passed to the target route.
+ */
+export const navigate = (name, params) => {
+  if (navigationRef.isReady()) {
+    navigationRef.navigate(name, params);
+  } else {
+    console.log(
+      `Navigation container not ready, unable to navigate to ${name}`
+    );
+  }
+};
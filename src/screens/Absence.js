@@ -15,6 +15,8 @@ import { useTranslation } from "react-i18next";
 
 import { format, isValid } from "date-fns";
 
+import { MaterialCommunityIcons } from "@expo/vector-icons";
+
 // Constants
 import {
   APP,
@@ -30,18 +32,27 @@ import {
   fetchAbsenceTypes,
   formatLeaveDuration,
 } from "../utils/AbsenceUtils";
-import { fetchBusObjCatData, loadMoreData } from "../utils/APIUtils";
+import {
+  fetchBusObjCatData,
+  getCachedBusObjCatData,
+  loadMoreData,
+} from "../utils/APIUtils";
 import { convertToFilterScreenFormat, filtersMap } from "../utils/FilterUtils";
 import { convertToDateFNSFormat } from "../utils/FormatUtils";
+import { chooseExportFormat, exportAbsences } from "../utils/ExportUtils";
 import { showToast } from "../utils/MessageUtils";
 
 // Custom components
 import CustomButton from "../components/CustomButton";
 import Loader from "../components/Loader";
+import SelectionBar from "../components/SelectionBar";
 import Sort from "../components/filters/Sort";
 import CustomBackButton from "../components/CustomBackButton";
+import BulkStatusDialog from "../components/dialogs/BulkStatusDialog";
+import LastSyncedBanner from "../components/offline/LastSyncedBanner";
 
 // Context
+import { useConnectivityContext } from "../../context/ConnectivityContext";
 import { useAbsenceForceRefresh } from "../../context/ForceRefreshContext";
 import { screenDimension } from "../utils/ScreenUtils";
 
@@ -61,6 +72,8 @@ const Absence = ({ route, navigation }) => {
   // which is accessing the AbsenceForceRefreshContext.
   const { forceRefresh, updateForceRefresh } = useAbsenceForceRefresh();
 
+  const { isConnected } = useConnectivityContext();
+
   // State variables
   const [refreshing, setRefreshing] = useState(false);
   const [isFetchingMore, setIsFetchingMore] = useState(false);
@@ -76,7 +89,13 @@ const Absence = ({ route, navigation }) => {
   const [lastPress, setLastPress] = useState(0);
   const [isSortModalVisible, setIsSortModalVisible] = useState(false);
   const [totalCount, setTotalCount] = useState(0);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null); // Set while the list shows cached data
   const [absenceTypeMap, setAbsenceTypeMap] = useState({});
+  const [isSelectionMode, setIsSelectionMode] = useState(false);
+  const [selectedDocuments, setSelectedDocuments] = useState([]); // Absences selected for a bulk status change
+  const [isBulkStatusDialogVisible, setIsBulkStatusDialogVisible] =
+    useState(false);
+  const [isExporting, setIsExporting] = useState(false);
 
   const openAbsenceDetail = () => {
     navigation.navigate("AbsenceDetail", {});
@@ -88,6 +107,7 @@ const Absence = ({ route, navigation }) => {
    * the absence screen mounts for the first time. It fetches absence data from
    * the first page, resets the current page to 1, and updates the absences state
    * with the new data.
+   * If the data cannot be fetched, the last synced data is shown instead.
    *
    * @async
    * @function onRefresh
@@ -117,6 +137,7 @@ const Absence = ({ route, navigation }) => {
         // Update absences state with new data if response is not null
         setAbsences(response?.data || []);
         setTotalCount(response?.totalCount || 0);
+        setLastSyncedAt(response?.fromCache ? response.syncedAt : null);
       }
     } catch (error) {
       console.error("Error refreshing data:", error);
@@ -126,6 +147,35 @@ const Absence = ({ route, navigation }) => {
     }
   }, [setAbsences, whereConditions, orConditions, sortConditions, limit]);
 
+  /**
+   * Function to show the last synced data of the first page without going to the network.
+   * Used on mount, as the query may take long on a poor connection.
+   *
+   * @async
+   * @function showCachedAbsences
+   * @returns {Promise<void>} A Promise that resolves when the cached data is shown.
+   */
+  const showCachedAbsences = async () => {
+    try {
+      const cachedResponse = await getCachedBusObjCatData(
+        BUSOBJCAT.ABSENCE,
+        1,
+        limit,
+        null,
+        whereConditions,
+        orConditions,
+        sortConditions
+      );
+      if (cachedResponse) {
+        setAbsences(cachedResponse.data || []);
+        setTotalCount(cachedResponse.totalCount || 0);
+        setLastSyncedAt(cachedResponse.syncedAt);
+      }
+    } catch (error) {
+      console.error("Error reading cached data:", error);
+    }
+  };
+
   /**
    * Function to handle loading more data when the end of the list is reached.
    * This function is triggered to load additional data when the end of the list is reached during scrolling.
@@ -186,10 +236,19 @@ const Absence = ({ route, navigation }) => {
 
   useEffect(() => {
     setPage(1);
-    // Trigger refresh when the component mounts
-    onRefresh();
+    // Show the cached data first and trigger refresh when the component mounts
+    showCachedAbsences().finally(onRefresh);
   }, [whereConditions, orConditions, sortConditions]);
 
+  /**
+   * Effect to replace the cached data with the current data in the background once the device is back online.
+   */
+  useEffect(() => {
+    if (isConnected && lastSyncedAt) {
+      onRefresh();
+    }
+  }, [isConnected]);
+
   /**
    * Effect to ensure that the absence component's data is refreshed whenever changes occur in other parts of the application
    * that affect the absence list. These changes may include updates to absence details, deletions of absences, or any other relevant modifications.
@@ -203,6 +262,65 @@ const Absence = ({ route, navigation }) => {
     }
   }, [forceRefresh]);
 
+  /**
+   * Adds an absence to the selection for a bulk status change, or removes it if it is selected already.
+   * @param {string} absenceId - The ID of the absence.
+   * @param {string} label - The text the absence is shown with in the summary of the status change.
+   */
+  const toggleSelection = (absenceId, label) => {
+    setIsSelectionMode(true);
+    setSelectedDocuments((prevDocuments) =>
+      prevDocuments.some((document) => document.id === absenceId)
+        ? prevDocuments.filter((document) => document.id !== absenceId)
+        : [...prevDocuments, { id: absenceId, label }]
+    );
+  };
+
+  /**
+   * Leaves the selection mode and clears the selected absences.
+   */
+  const clearSelection = () => {
+    setIsSelectionMode(false);
+    setSelectedDocuments([]);
+  };
+
+  /**
+   * Closes the bulk status dialog and, if any status was changed, leaves the selection mode and refreshes the list.
+   * @param {boolean} statusChanged - Whether the status of any absence was changed.
+   */
+  const handleBulkStatusDialogClose = (statusChanged) => {
+    setIsBulkStatusDialogVisible(false);
+
+    if (statusChanged) {
+      clearSelection();
+      onRefresh();
+    }
+  };
+
+  /**
+   * Exports the absences matching the filters of the list to CSV or PDF, in the format chosen by the user, and shares the file.
+   */
+  const handleExport = async () => {
+    const exportFormat = await chooseExportFormat(t);
+    if (!exportFormat) {
+      return;
+    }
+
+    setIsExporting(true);
+    try {
+      await exportAbsences(
+        exportFormat,
+        whereConditions,
+        orConditions,
+        sortConditions,
+        `absences_${format(new Date(), "yyyyMMdd")}`,
+        t
+      );
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   /**
    * Navigate to the filters screen with initial filter settings.
    */
@@ -322,6 +440,42 @@ const Absence = ({ route, navigation }) => {
           }}
           disabled={refreshing}
         />
+        {/* Button for opening the month calendar */}
+        <CustomButton
+          onPress={() => navigation.navigate("Calendar")}
+          label=""
+          icon={{
+            name: "calendar-month",
+            library: "MaterialCommunityIcons",
+            size: 30,
+            color: "white",
+          }}
+          disabled={refreshing}
+        />
+        {/* Button for opening the leave balances */}
+        <CustomButton
+          onPress={() => navigation.navigate("LeaveBalances")}
+          label=""
+          icon={{
+            name: "scale-balance",
+            library: "MaterialCommunityIcons",
+            size: 30,
+            color: "white",
+          }}
+          disabled={refreshing}
+        />
+        {/* Button for exporting the filtered absences */}
+        <CustomButton
+          onPress={handleExport}
+          label=""
+          icon={{
+            name: "file-export-outline",
+            library: "MaterialCommunityIcons",
+            size: 30,
+            color: "white",
+          }}
+          disabled={refreshing || isExporting}
+        />
         <View style={styles.headerIconsContainer}>
           {/* Button for applying filters */}
           <CustomButton
@@ -369,7 +523,14 @@ const Absence = ({ route, navigation }) => {
       </View>
     );
     // Dependencies: re-render only when appliedFiltersCount or sortConditions changes
-  }, [appliedFiltersCount, sortConditions, refreshing]);
+  }, [
+    appliedFiltersCount,
+    sortConditions,
+    refreshing,
+    isExporting,
+    whereConditions,
+    orConditions,
+  ]);
 
   /**
    * useEffect hook to set the header options (left and right components) when the component is mounted
@@ -400,6 +561,8 @@ const Absence = ({ route, navigation }) => {
         // component mount for iOS.
       }
       {Platform.OS === "ios" && refreshing && <Loader />}
+      {isExporting && <Loader />}
+      <LastSyncedBanner syncedAt={lastSyncedAt} />
       <FlatList
         data={absences}
         keyExtractor={(item) => item["Absence-id"]}
@@ -450,16 +613,30 @@ const Absence = ({ route, navigation }) => {
               adjustAbsence
             );
 
+            const isSelected = selectedDocuments.some(
+              (document) => document.id === absenceId
+            );
+
             const itemStyle = {
               backgroundColor:
                 formattedStartDate.includes("Invalid") ||
                 formattedEndDate.includes("Invalid") ||
                 statusLabel.includes("Invalid")
                   ? "lightcoral"
+                  : isSelected
+                  ? "#e6f0fa"
                   : "white",
             };
 
+            const selectionLabel = `${absenceType} ${formattedStartDate} - ${formattedEndDate}`;
+
             const handlePress = () => {
+              // While selecting, a tap selects or deselects the absence instead of opening it
+              if (isSelectionMode) {
+                toggleSelection(absenceId, selectionLabel);
+                return;
+              }
+
               const currentTime = new Date().getTime();
               const delta = currentTime - lastPress;
 
@@ -477,8 +654,27 @@ const Absence = ({ route, navigation }) => {
             };
 
             return (
-              <TouchableOpacity onPress={handlePress}>
+              <TouchableOpacity
+                onPress={handlePress}
+                onLongPress={() => toggleSelection(absenceId, selectionLabel)}
+                accessibilityState={
+                  isSelectionMode ? { selected: isSelected } : undefined
+                }
+              >
                 <View style={[styles.row, itemStyle]}>
+                  {isSelectionMode && (
+                    <View style={styles.selectionColumn}>
+                      <MaterialCommunityIcons
+                        name={
+                          isSelected
+                            ? "checkbox-marked"
+                            : "checkbox-blank-outline"
+                        }
+                        size={24}
+                        color="#005eb8"
+                      />
+                    </View>
+                  )}
                   <View style={styles.firstColumn}>
                     <Text
                       style={styles.firstColumnText}
@@ -572,6 +768,23 @@ const Absence = ({ route, navigation }) => {
           previousSortRows={sortConditions}
         />
       )}
+      {isSelectionMode && (
+        <SelectionBar
+          count={selectedDocuments.length}
+          actionLabel={t("bulk_status_change")}
+          onAction={() => setIsBulkStatusDialogVisible(true)}
+          onCancel={clearSelection}
+          disabled={!isConnected}
+        />
+      )}
+      {isBulkStatusDialogVisible && (
+        <BulkStatusDialog
+          isVisible={isBulkStatusDialogVisible}
+          busObjCat={BUSOBJCAT.ABSENCE}
+          documents={selectedDocuments}
+          onClose={handleBulkStatusDialogClose}
+        />
+      )}
     </SafeAreaView>
   );
 };
@@ -586,6 +799,10 @@ const styles = StyleSheet.create({
     borderColor: "#ccc",
     padding: 12,
   },
+  selectionColumn: {
+    justifyContent: "center",
+    marginRight: 8,
+  },
   firstColumn: {
     flex: 2,
   },
@@ -620,11 +837,11 @@ const styles = StyleSheet.create({
     justifyContent: "flex-start",
   },
   headerRightContainer: {
-    maxWidth: screenDimension.width / 2,
+    maxWidth: screenDimension.width * 0.65,
     flexDirection: "row",
     alignItems: "center",
     justifyContent: "flex-end",
-    columnGap: 18,
+    columnGap: 12,
   },
   headerIconsContainer: {
     position: "relative",
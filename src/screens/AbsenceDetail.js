@@ -22,6 +22,7 @@ import {
   BUSOBJCATMAP,
   INTSTATUS,
   PREFERRED_LANGUAGES,
+  TEAM_ABSENCES,
   TEST_MODE,
 } from "../constants";
 
@@ -35,6 +36,15 @@ import {
   getAppNameByCategory,
   isDoNotReplaceAnyList,
 } from "../utils/APIUtils";
+import {
+  addAbsenceToCalendar,
+  refreshAbsenceCalendarEvent,
+  removeAbsenceFromCalendar,
+  shareAbsencesAsIcs,
+} from "../utils/AbsenceCalendarUtils";
+import { findAbsenceSeries } from "../utils/AbsenceSeriesUtils";
+import { fetchQueryWithCache } from "../utils/CacheUtils";
+import { saveDocumentSnapshot } from "../utils/ConflictUtils";
 import {
   convertToDateFNSFormat,
   getRemarkText,
@@ -44,6 +54,11 @@ import {
 import { setOrClearLock } from "../utils/LockUtils";
 import { showToast } from "../utils/MessageUtils";
 import { screenDimension } from "../utils/ScreenUtils";
+import {
+  fetchEmployeeTeamId,
+  fetchTeamAbsences,
+  findOverlappingTeammates,
+} from "../utils/TeamAbsenceUtils";
 import updateFields from "../utils/UpdateUtils";
 import { documentStatusCheck } from "../utils/WorkflowUtils";
 
@@ -62,7 +77,7 @@ import {
   isTimeOffOnHoliday,
   validateAbsenceOnSaveWithAdjustment,
 } from "../utils/AbsenceUtils";
-import { format } from "date-fns";
+import { endOfDay, format, startOfDay } from "date-fns";
 
 const Tab = createMaterialTopTabNavigator();
 
@@ -146,6 +161,7 @@ const AbsenceDetail = ({ route, navigation }) => {
   const [isAddToBalance, setIsAddToBalance] = useState(true);
   const [processTemplate, setProcessTemplate] = useState(null);
   const [employeeAbsences, setEmployeeAbsences] = useState([]);
+  const [absenceSeries, setAbsenceSeries] = useState(null);
 
   const [kpiValues, setKPIValues] = useState({
     balanceBefore: "-",
@@ -217,6 +233,9 @@ const AbsenceDetail = ({ route, navigation }) => {
   const handleReload = (idToReload = null) => {
     const reloadData = () => {
       fetchAbsenceAndAuxiliaryData(true, idToReload);
+
+      // Keep the event of the absence in the device calendar in line with its changes and workflow status
+      refreshAbsenceCalendarEvent(absenceId || idToReload, employeeInfo);
     };
 
     hasUnsavedChanges() ? showUnsavedChangesAlert(reloadData) : reloadData();
@@ -269,6 +288,8 @@ const AbsenceDetail = ({ route, navigation }) => {
                     showToast(t("delete_success"));
                   }
 
+                  removeAbsenceFromCalendar(absenceId);
+
                   updateForceRefresh(true);
 
                   // Go back to the previous screen (absence list)
@@ -292,6 +313,38 @@ const AbsenceDetail = ({ route, navigation }) => {
     }
   };
 
+  /**
+   * Handles adding the absence to a calendar.
+   * Lets the user choose between the calendar of the device and an .ics file for other calendar apps.
+   */
+  const handleAddToCalendar = () => {
+    Alert.alert(
+      t("absence_calendar_add_title"),
+      t("absence_calendar_add_message"),
+      [
+        {
+          text: t("absence_calendar_device"),
+          onPress: () => addAbsenceToCalendar(absenceId, employeeInfo, t),
+        },
+        {
+          text: t("absence_calendar_ics"),
+          onPress: () =>
+            shareAbsencesAsIcs(
+              absenceId,
+              employeeInfo,
+              `absence-${absenceId}`,
+              t
+            ),
+        },
+        {
+          text: t("cancel"),
+          style: "cancel",
+        },
+      ],
+      { cancelable: true }
+    );
+  };
+
   /**
    * Checks if there are unsaved changes by verifying if the `updatedValuesRef` object has any keys.
    * Uses the `useCallback` hook to ensure the function is only recreated when necessary, optimizing performance.
@@ -442,15 +495,80 @@ const AbsenceDetail = ({ route, navigation }) => {
     }
   };
 
+  /**
+   * Finds the teammates absent during the period of a leave request of the user, when the period is new or changed.
+   * The teammates are the employees of the same team as the employee requesting the leave. The request can still be
+   * saved if the absences of the team cannot be loaded; the user is told that they were not checked.
+   *
+   * @returns {Promise<Array<string>>} The names of the absent teammates.
+   */
+  const fetchOverlappingTeammates = async () => {
+    if (
+      openedFromApproval ||
+      (isEditMode &&
+        updatedValues.start === undefined &&
+        updatedValues.end === undefined)
+    ) {
+      return [];
+    }
+
+    try {
+      const start = startOfDay(new Date(absenceStart));
+      const end = endOfDay(new Date(absenceEnd));
+
+      const teamAbsences = await fetchTeamAbsences(start, end, {
+        teamId: await fetchEmployeeTeamId(absenceEmployeeId),
+      });
+
+      return findOverlappingTeammates(
+        start,
+        end,
+        teamAbsences,
+        absenceEmployeeId,
+        t
+      );
+    } catch (error) {
+      console.error("Error checking the absences of the team:", error);
+      showToast(t("team_absences_overlap_check_failed"), "warning");
+      return [];
+    }
+  };
+
   /**
    * Handles saving the absence details.
    * Validates the absence details and updates the absence record if valid.
+   * If more teammates than the threshold are absent in the period, the user is asked to confirm the request.
    */
   const handleSave = async () => {
     try {
       const { isValid, isNegativeBalance = false } = validateAbsenceOnSave();
 
       if (isValid) {
+        const overlappingTeammates = await fetchOverlappingTeammates();
+
+        if (
+          overlappingTeammates.length > TEAM_ABSENCES.OVERLAP_WARNING_THRESHOLD
+        ) {
+          Alert.alert(
+            t("team_absences_overlap_title"),
+            t("team_absences_overlap_message", {
+              number: overlappingTeammates.length,
+              names: overlappingTeammates.join(", "),
+            }),
+            [
+              {
+                text: t("cancel"),
+                style: "cancel",
+              },
+              {
+                text: t("team_absences_request_anyway"),
+                onPress: () => updateAbsence(updatedValues, isNegativeBalance),
+              },
+            ]
+          );
+          return;
+        }
+
         await updateAbsence(updatedValues, isNegativeBalance);
       }
     } catch (error) {
@@ -950,13 +1068,19 @@ const AbsenceDetail = ({ route, navigation }) => {
         ...commonQueryParams,
       };
 
-      const response = await fetchData(
-        API_ENDPOINTS.QUERY,
-        "POST",
-        {
-          "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
-        },
-        new URLSearchParams(formData).toString()
+      // Fall back to the last synced copy of the document if it cannot be loaded
+      const response = await fetchQueryWithCache(
+        BUSOBJCAT.ABSENCE,
+        formData,
+        () =>
+          fetchData(
+            API_ENDPOINTS.QUERY,
+            "POST",
+            {
+              "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+            },
+            new URLSearchParams(formData).toString()
+          )
       );
 
       if (
@@ -967,6 +1091,26 @@ const AbsenceDetail = ({ route, navigation }) => {
       ) {
         const data = response.data[0];
 
+        if (response.fromCache) {
+          showToast(
+            t("showing_cached_data", {
+              syncedAt: format(
+                new Date(response.syncedAt),
+                convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT, true)
+              ),
+            }),
+            "warning"
+          );
+        }
+
+        // Remember the loaded server state to detect conflicts of changes queued while offline
+        saveDocumentSnapshot(
+          BUSOBJCATMAP[BUSOBJCAT.ABSENCE],
+          idToFetch,
+          queryFields.fields,
+          data
+        );
+
         let employeeId = data[`${BUSOBJCATMAP[BUSOBJCAT.ABSENCE]}-employeeID`];
         employeeIDRef.current = employeeId;
 
@@ -1239,11 +1383,40 @@ const AbsenceDetail = ({ route, navigation }) => {
 
   /**
    * Memoized function to render the headerRight with multiple buttons.
-   * The function re-renders only when `isEditMode`, `isLocked`, `loading` or `updatedValues` change.
+   * The function re-renders only when `isEditMode`, `isLocked`, `loading`, `updatedValues` or the series of the
+   * absence change.
    */
   const headerRight = useCallback(() => {
     return (
       <View style={styles.headerRightContainer}>
+        {(!isEditMode || absenceSeries) && (
+          <CustomButton
+            onPress={() =>
+              navigation.navigate("AbsenceSeries", { absenceType })
+            }
+            label=""
+            icon={{
+              name: "calendar-sync",
+              library: "MaterialCommunityIcons",
+              size: 24,
+            }}
+            accessibilityLabel={t("absence_series")}
+            disabled={loading}
+          />
+        )}
+        {isEditMode && !openedFromApproval && (
+          <CustomButton
+            onPress={handleAddToCalendar}
+            label=""
+            icon={{
+              name: "calendar-plus",
+              library: "MaterialCommunityIcons",
+              size: 24,
+            }}
+            accessibilityLabel={t("absence_calendar_add_title")}
+            disabled={loading}
+          />
+        )}
         <CustomButton
           onPress={handleLock}
           label=""
@@ -1291,7 +1464,16 @@ const AbsenceDetail = ({ route, navigation }) => {
         />
       </View>
     );
-  }, [isEditMode, isLocked, loading, isKPIUpdating, updatedValues]);
+  }, [
+    isEditMode,
+    isLocked,
+    loading,
+    isKPIUpdating,
+    updatedValues,
+    absenceSeries,
+    absenceType,
+    employeeInfo,
+  ]);
 
   /**
    * Sets the header options for the screen, including the custom headerLeft and headerRight components.
@@ -1305,6 +1487,15 @@ const AbsenceDetail = ({ route, navigation }) => {
     });
   }, [headerLeft, headerRight, navigation]);
 
+  /**
+   * Effect to find the recurring series the absence belongs to, whose absences can be cancelled together.
+   */
+  useEffect(() => {
+    if (isEditMode && absenceId) {
+      findAbsenceSeries(absenceId).then(setAbsenceSeries);
+    }
+  }, [isEditMode, absenceId]);
+
   /**
    * This effect is responsible for fetching absence details when the component is mounted.
    * It also ensures that any lock is cleared if the user is in edit mode when the component unmounts or re-renders.
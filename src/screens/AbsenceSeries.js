@@ -0,0 +1,584 @@
+import React, { useEffect, useState } from "react";
+import {
+  Alert,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { useTranslation } from "react-i18next";
+
+import { MaterialCommunityIcons } from "@expo/vector-icons";
+import { format } from "date-fns";
+
+import { ABSENCE_SERIES, APP } from "../constants";
+
+import { useConnectivityContext } from "../../context/ConnectivityContext";
+import { useAbsenceForceRefresh } from "../../context/ForceRefreshContext";
+
+import {
+  fetchAbsenceTypes,
+  fetchEligibleAbsenceTypes,
+  fetchEmployeeAbsences,
+  fetchListData,
+  mergeAbsenceData,
+} from "../utils/AbsenceUtils";
+import {
+  OCCURRENCE_STATUS,
+  RECURRENCE_FREQUENCY,
+  cancelAbsenceSeries,
+  createAbsenceSeries,
+  createRecurrenceRule,
+  describeRecurrence,
+  getAbsenceSeries,
+  previewAbsenceSeries,
+} from "../utils/AbsenceSeriesUtils";
+import { convertToDateFNSFormat } from "../utils/FormatUtils";
+import { showToast } from "../utils/MessageUtils";
+
+import CustomBackButton from "../components/CustomBackButton";
+import CustomButton from "../components/CustomButton";
+import CustomDateTimePicker from "../components/CustomDateTimePicker";
+import CustomPicker from "../components/CustomPicker";
+import Loader from "../components/Loader";
+
+import useEmployeeInfo from "../hooks/useEmployeeInfo";
+
+/**
+ * Icons and colors of the states of an occurrence in the preview.
+ */
+const OCCURRENCE_STATUS_ICONS = {
+  [OCCURRENCE_STATUS.VALID]: { name: "check-circle-outline", color: "green" },
+  [OCCURRENCE_STATUS.CREATED]: { name: "check-circle", color: "green" },
+  [OCCURRENCE_STATUS.SKIPPED]: {
+    name: "skip-next-circle-outline",
+    color: "darkorange",
+  },
+  [OCCURRENCE_STATUS.FAILED]: {
+    name: "alert-circle-outline",
+    color: "#d9534f",
+  },
+};
+
+/**
+ * AbsenceSeries component lets the user request recurring absences, e.g., every Friday afternoon for 12 weeks or the
+ * first Monday of each month. The recurrence rule is expanded into one absence per occurrence; the preview shows
+ * which occurrences are skipped because they fall on holidays or non-working days, and which are not valid, before
+ * the absences are created as a linked series. The series created by the user are listed and can be cancelled as a
+ * whole.
+ *
+ * @param {Object} navigation - The navigation object provided by React Navigation.
+ * @param {Object} route - The route object, whose optional `absenceType` param preselects the absence type.
+ * @returns {JSX.Element} - Rendered component.
+ */
+const AbsenceSeries = ({ navigation, route }) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  const employeeInfo = useEmployeeInfo();
+
+  const { updateForceRefresh } = useAbsenceForceRefresh();
+
+  const { isConnected } = useConnectivityContext();
+
+  // State variables
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [absenceTypes, setAbsenceTypes] = useState({});
+  const [dayFractionOptions, setDayFractionOptions] = useState([]);
+  const [employeeAbsences, setEmployeeAbsences] = useState([]);
+  const [rule, setRule] = useState(null);
+  const [occurrences, setOccurrences] = useState([]);
+  const [seriesList, setSeriesList] = useState([]);
+
+  // Find the minimum fraction value from dayFractionOptions
+  const getMinFraction = (options) =>
+    options.reduce((min, option) => {
+      const fractionValue = parseFloat(option.value);
+      return fractionValue < min ? fractionValue : min;
+    }, 1);
+
+  /**
+   * Previews the occurrences of a rule.
+   * @param {Object} ruleToPreview - The recurrence rule.
+   * @param {Object} [types=absenceTypes] - The eligible absence types.
+   * @param {Array<Object>} [absences=employeeAbsences] - The absences of the user.
+   * @param {Array<Object>} [fractions=dayFractionOptions] - The day fraction options.
+   */
+  const previewRule = (
+    ruleToPreview,
+    types = absenceTypes,
+    absences = employeeAbsences,
+    fractions = dayFractionOptions
+  ) => {
+    const absenceTypeData = types[ruleToPreview.absenceType];
+
+    setOccurrences(
+      absenceTypeData
+        ? previewAbsenceSeries(
+            ruleToPreview,
+            absenceTypeData,
+            employeeInfo,
+            absences,
+            getMinFraction(fractions),
+            t
+          )
+        : []
+    );
+  };
+
+  /**
+   * Loads the eligible absence types, the day fractions, the absences of the user and the series they created.
+   */
+  const loadSeriesData = async () => {
+    setIsLoading(true);
+
+    try {
+      const [
+        absenceTypesMap,
+        eligibleAbsenceTypes,
+        dayFractionsMap,
+        absences,
+        storedSeries,
+      ] = await Promise.all([
+        fetchAbsenceTypes(),
+        fetchEligibleAbsenceTypes(APP.LOGIN_USER_EMPLOYEE_ID, false, t),
+        fetchListData("DayFraction"),
+        fetchEmployeeAbsences(APP.LOGIN_USER_EMPLOYEE_ID),
+        getAbsenceSeries(),
+      ]);
+
+      const eligibleTypes = Object.fromEntries(
+        mergeAbsenceData(absenceTypesMap, eligibleAbsenceTypes).filter(
+          ([key]) => eligibleAbsenceTypes[key]
+        )
+      );
+      const fractions = Object.entries(dayFractionsMap).map(([key, value]) => ({
+        label: value,
+        value: key,
+      }));
+
+      setAbsenceTypes(eligibleTypes);
+      setDayFractionOptions(fractions);
+      setEmployeeAbsences(absences);
+      setSeriesList(storedSeries);
+
+      const initialType = eligibleTypes[route?.params?.absenceType]
+        ? route.params.absenceType
+        : Object.keys(eligibleTypes)[0];
+
+      if (initialType) {
+        const initialRule = createRecurrenceRule(initialType);
+        setRule(initialRule);
+        previewRule(initialRule, eligibleTypes, absences, fractions);
+      }
+    } catch (error) {
+      console.error("Error loading the absence series:", error);
+      showToast(t("error_fetching_absence_data"), "error");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Changes the rule and previews it again.
+   * @param {Object} changes - The changed fields of the rule.
+   */
+  const handleRuleChange = (changes) => {
+    const updatedRule = { ...rule, ...changes };
+
+    setRule(updatedRule);
+    previewRule(updatedRule);
+  };
+
+  /**
+   * Creates the absences of the valid occurrences after the user confirmed the series.
+   */
+  const handleCreate = () => {
+    // The series is linked by the IDs of its absences, which are only known once they are created on the server
+    if (!isConnected) {
+      showToast(t("absence_series_offline_message"), "warning");
+      return;
+    }
+
+    const validCount = occurrences.filter(
+      (occurrence) => occurrence.status === OCCURRENCE_STATUS.VALID
+    ).length;
+
+    if (validCount === 0) {
+      showToast(t("absence_series_nothing_to_create"), "warning");
+      return;
+    }
+
+    Alert.alert(
+      t("absence_series_create_title"),
+      t("absence_series_create_message", {
+        number: validCount,
+        notCreated: occurrences.length - validCount,
+      }),
+      [
+        {
+          text: t("cancel"),
+          style: "cancel",
+        },
+        {
+          text: t("confirm"),
+          onPress: async () => {
+            setIsSaving(true);
+
+            try {
+              const { series, occurrences: results } =
+                await createAbsenceSeries(
+                  rule,
+                  occurrences,
+                  absenceTypes[rule.absenceType],
+                  employeeInfo,
+                  t
+                );
+
+              setOccurrences(results);
+
+              if (series) {
+                setSeriesList((prevSeriesList) => [...prevSeriesList, series]);
+                updateForceRefresh(true);
+                setEmployeeAbsences(
+                  await fetchEmployeeAbsences(APP.LOGIN_USER_EMPLOYEE_ID)
+                );
+              }
+
+              const failedCount = results.filter(
+                (result) => result.status === OCCURRENCE_STATUS.FAILED
+              ).length;
+
+              showToast(
+                t("absence_series_created", {
+                  number: series ? series.absences.length : 0,
+                  failed: failedCount,
+                }),
+                failedCount > 0 ? "warning" : "information"
+              );
+            } catch (error) {
+              console.error("Error creating the absence series:", error);
+              showToast(t("unexpected_error"), "error");
+            } finally {
+              setIsSaving(false);
+            }
+          },
+        },
+      ],
+      { cancelable: true }
+    );
+  };
+
+  /**
+   * Cancels a series after the user confirmed it, deleting all of its absences.
+   * @param {Object} series - The series to cancel.
+   */
+  const handleCancelSeries = (series) => {
+    Alert.alert(
+      t("absence_series_cancel_title"),
+      t("absence_series_cancel_message", { number: series.absences.length }),
+      [
+        {
+          text: t("cancel"),
+          style: "cancel",
+        },
+        {
+          text: t("confirm"),
+          onPress: async () => {
+            setIsSaving(true);
+
+            try {
+              const { deleted, failed } = await cancelAbsenceSeries(series);
+
+              setSeriesList(await getAbsenceSeries());
+              updateForceRefresh(true);
+
+              if (failed.length > 0) {
+                showToast(
+                  t("absence_series_cancel_partial", {
+                    deleted,
+                    failed: failed.length,
+                  }),
+                  "warning"
+                );
+              } else {
+                showToast(t("absence_series_cancelled", { number: deleted }));
+              }
+            } catch (error) {
+              console.error("Error cancelling the absence series:", error);
+              showToast(t("unexpected_error"), "error");
+            } finally {
+              setIsSaving(false);
+            }
+          },
+        },
+      ],
+      { cancelable: true }
+    );
+  };
+
+  useEffect(() => {
+    loadSeriesData();
+  }, []);
+
+  useEffect(() => {
+    navigation.setOptions({
+      headerTitle: t("absence_series"),
+      headerLeft: () => <CustomBackButton navigation={navigation} t={t} />,
+      headerRight: () => (
+        <CustomButton
+          onPress={handleCreate}
+          label=""
+          icon={{
+            name: "content-save",
+            library: "MaterialCommunityIcons",
+            size: 30,
+            color: "white",
+          }}
+          accessibilityLabel={t("absence_series_create_title")}
+          disabled={isLoading || isSaving || !rule}
+        />
+      ),
+    });
+  }, [navigation, t, isLoading, isSaving, rule, occurrences, isConnected]);
+
+  const dateFormat = convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT);
+
+  const absenceTypeOptions = Object.entries(absenceTypes).map(
+    ([key, value]) => ({
+      label: `${value["AbsenceType-name"]} (${value["AbsenceType-projectedNextYear"]})`,
+      value: key,
+    })
+  );
+
+  const frequencyOptions = [
+    {
+      label: t("absence_series_weekly"),
+      value: RECURRENCE_FREQUENCY.WEEKLY,
+    },
+    {
+      label: t("absence_series_monthly"),
+      value: RECURRENCE_FREQUENCY.MONTHLY,
+    },
+  ];
+
+  const intervalOptions = [1, 2, 3, 4].map((interval) => ({
+    label: t("absence_series_every_weeks", { number: interval }),
+    value: interval,
+  }));
+
+  const renderOccurrence = (occurrence) => {
+    const icon = OCCURRENCE_STATUS_ICONS[occurrence.status];
+
+    return (
+      <View key={occurrence.date.toISOString()} style={styles.occurrenceRow}>
+        <MaterialCommunityIcons name={icon.name} size={20} color={icon.color} />
+        <Text style={styles.occurrenceDate}>
+          {format(occurrence.date, `EEE ${dateFormat}`)}
+        </Text>
+        <Text style={[styles.occurrenceStatus, { color: icon.color }]}>
+          {occurrence.reason
+            ? t(occurrence.reason)
+            : t(`absence_series_status_${occurrence.status}`)}
+        </Text>
+      </View>
+    );
+  };
+
+  const renderSeries = (series) => (
+    <View key={series.id} style={styles.seriesCard}>
+      <View style={styles.seriesText}>
+        <Text style={styles.seriesTitle}>{series.absenceTypeName}</Text>
+        <Text>{describeRecurrence(series.rule, t)}</Text>
+        <Text style={styles.seriesInfo}>
+          {t("absence_series_absence_count", {
+            number: series.absences.length,
+          })}
+        </Text>
+      </View>
+      <CustomButton
+        onPress={() => handleCancelSeries(series)}
+        label=""
+        icon={{
+          name: "calendar-remove",
+          library: "MaterialCommunityIcons",
+          size: 24,
+          color: "#d9534f",
+        }}
+        backgroundColor={false}
+        accessibilityLabel={t("absence_series_cancel_title")}
+        disabled={isSaving}
+      />
+    </View>
+  );
+
+  if (isLoading) {
+    return <Loader />;
+  }
+
+  const fractionsDisabled =
+    !!absenceTypes[rule?.absenceType]?.["AbsenceType-halfDaysNotAllowed"];
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {isSaving && <Loader size={"small"} />}
+      {rule ? (
+        <>
+          <Text style={styles.label}>{t("absence_type")}</Text>
+          <CustomPicker
+            items={absenceTypeOptions}
+            initialValue={rule.absenceType}
+            onFilter={(value) => handleRuleChange({ absenceType: value })}
+            hideSearchInput={true}
+          />
+          <Text style={styles.label}>
+            {t("absence_series_first_occurrence")}
+          </Text>
+          <CustomDateTimePicker
+            placeholder={""}
+            value={rule.start}
+            isTimePickerVisible={false}
+            showClearButton={false}
+            onFilter={(date) => date && handleRuleChange({ start: date })}
+          />
+          <CustomPicker
+            items={dayFractionOptions}
+            initialValue={rule.dayFraction}
+            onFilter={(value) => handleRuleChange({ dayFraction: value })}
+            hideSearchInput={true}
+            disabled={fractionsDisabled}
+          />
+          <Text style={styles.label}>{t("absence_series_repeat")}</Text>
+          <CustomPicker
+            items={frequencyOptions}
+            initialValue={rule.frequency}
+            onFilter={(value) => handleRuleChange({ frequency: value })}
+            hideSearchInput={true}
+          />
+          {rule.frequency === RECURRENCE_FREQUENCY.WEEKLY && (
+            <CustomPicker
+              items={intervalOptions}
+              initialValue={rule.interval}
+              onFilter={(value) => handleRuleChange({ interval: value })}
+              hideSearchInput={true}
+            />
+          )}
+          <Text style={styles.label}>
+            {t("absence_series_occurrences", {
+              max: ABSENCE_SERIES.MAX_OCCURRENCES,
+            })}
+          </Text>
+          <TextInput
+            style={styles.input}
+            value={String(rule.count)}
+            onChangeText={(value) =>
+              handleRuleChange({ count: value.replace(/[^0-9]/g, "") })
+            }
+            keyboardType="number-pad"
+            maxLength={2}
+          />
+          <Text style={styles.label}>{t("remark")}</Text>
+          <TextInput
+            style={styles.input}
+            value={rule.remark}
+            onChangeText={(value) => setRule({ ...rule, remark: value })}
+          />
+          <Text style={styles.description}>{describeRecurrence(rule, t)}</Text>
+          {occurrences.map(renderOccurrence)}
+        </>
+      ) : (
+        <Text style={styles.emptyText}>
+          {t("no_eligible_absence_types_found")}
+        </Text>
+      )}
+      <Text style={styles.sectionTitle}>{t("absence_series_existing")}</Text>
+      <Text style={styles.note}>{t("absence_series_note")}</Text>
+      {seriesList.length > 0 ? (
+        seriesList.map(renderSeries)
+      ) : (
+        <Text style={styles.emptyText}>{t("absence_series_none")}</Text>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
+  content: {
+    padding: "4%",
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "bold",
+    marginTop: "3%",
+    marginBottom: 5,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: "#ccc",
+    borderRadius: 5,
+    padding: 8,
+  },
+  description: {
+    fontSize: 16,
+    fontWeight: "bold",
+    color: "#005eb8",
+    marginVertical: "4%",
+  },
+  occurrenceRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    columnGap: 8,
+    paddingVertical: 6,
+    borderTopWidth: 1,
+    borderColor: "#eee",
+  },
+  occurrenceDate: {
+    width: "40%",
+  },
+  occurrenceStatus: {
+    flex: 1,
+    fontSize: 12,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: "bold",
+    marginTop: "6%",
+  },
+  note: {
+    fontSize: 12,
+    color: "#00f",
+    marginVertical: 5,
+  },
+  seriesCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: "3%",
+    marginTop: "2%",
+    borderWidth: 1,
+    borderColor: "#ccc",
+    borderRadius: 8,
+  },
+  seriesText: {
+    flex: 1,
+  },
+  seriesTitle: {
+    fontWeight: "bold",
+  },
+  seriesInfo: {
+    fontSize: 12,
+    color: "#808080",
+  },
+  emptyText: {
+    marginTop: "3%",
+    textAlign: "center",
+    color: "#808080",
+  },
+});
+
+export default AbsenceSeries;
@@ -35,6 +35,7 @@ import {
 } from "../utils/ApprovalUtils";
 import { convertToFilterScreenFormat, filtersMap } from "../utils/FilterUtils";
 import { showToast } from "../utils/MessageUtils";
+import { TEAM_SCOPE } from "../utils/TeamAbsenceUtils";
 
 // Custom Components
 import Loader from "../components/Loader";
@@ -61,9 +62,11 @@ import { ApprovalUserInfoContext } from "../../context/ApprovalUserInfoContext";
 const Approval = ({ route, navigation }) => {
   const { t } = useTranslation();
 
-  const { approvalUserInfo = {}, setApprovalUserInfo } = useContext(
-    ApprovalUserInfoContext
-  );
+  const {
+    approvalUserInfo = {},
+    setApprovalUserInfo,
+    setApprovalDocuments,
+  } = useContext(ApprovalUserInfoContext);
 
   // Component State
   const [data, setData] = useState([]);
@@ -462,6 +465,23 @@ const Approval = ({ route, navigation }) => {
             testID="unread-toggle-switch"
           />
         </GestureHandlerRootView>
+        {/* Button for opening the absence calendar of the employees of the inbox */}
+        <CustomButton
+          onPress={() =>
+            navigation.navigate("TeamAbsences", {
+              scope: TEAM_SCOPE.APPROVALS,
+            })
+          }
+          label=""
+          icon={{
+            name: "account-group",
+            library: "MaterialCommunityIcons",
+            size: 30,
+            color: "white",
+          }}
+          accessibilityLabel={t("team_absences")}
+          disabled={loading}
+        />
         <>
           <CustomButton
             onPress={navigateToFilters}
@@ -485,7 +505,7 @@ const Approval = ({ route, navigation }) => {
         </>
       </View>
     );
-  }, [isRead, t, toggleReadStatus, appliedFiltersCount, loading]);
+  }, [navigation, isRead, t, toggleReadStatus, appliedFiltersCount, loading]);
 
   /**
    * useEffect hook to set the navigation header options whenever the 'data' or
@@ -597,6 +617,21 @@ const Approval = ({ route, navigation }) => {
     loadDataAndApplyFilters();
   }, [isRead, refreshKey, appliedFilters]);
 
+  /**
+   * useEffect hook to share the documents of the inbox that can be opened, whose employees form the team shown by
+   * the team absence calendar of the approver.
+   */
+  useEffect(() => {
+    setApprovalDocuments(
+      data
+        .filter((item) => componentMap[item.busObjCat])
+        .map((item) => ({
+          documentId: item.iD,
+          documentCategory: item.busObjCat,
+        }))
+    );
+  }, [data]);
+
   /**
    * Render a single message item for the FlatList.
    */
@@ -839,7 +874,7 @@ const styles = StyleSheet.create({
     justifyContent: "flex-start",
   },
   headerRightContainer: {
-    maxWidth: screenDimension.width / 3,
+    maxWidth: screenDimension.width / 2,
     flexDirection: "row",
     alignItems: "center",
     justifyContent: "flex-end",
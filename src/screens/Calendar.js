@@ -0,0 +1,630 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  RefreshControl,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { useTranslation } from "react-i18next";
+
+import { MaterialCommunityIcons } from "@expo/vector-icons";
+import { addMonths, format, startOfMonth } from "date-fns";
+
+import { APP } from "../constants";
+
+import {
+  shareAbsencesAsIcs,
+  syncAbsencesToCalendar,
+} from "../utils/AbsenceCalendarUtils";
+import { fetchWorkCalendar } from "../utils/AbsenceUtils";
+import {
+  buildCalendarDays,
+  fetchCalendarAbsences,
+  fetchCalendarTimesheets,
+} from "../utils/CalendarUtils";
+import {
+  convertMillisecondsToDuration,
+  convertToDateFNSFormat,
+} from "../utils/FormatUtils";
+import { showToast } from "../utils/MessageUtils";
+import { checkTimesheetExistsForDate } from "../utils/TimesheetUtils";
+
+import CustomBackButton from "../components/CustomBackButton";
+import CustomButton from "../components/CustomButton";
+import Loader from "../components/Loader";
+
+import { useConnectivityContext } from "../../context/ConnectivityContext";
+import useEmployeeInfo from "../hooks/useEmployeeInfo";
+
+/**
+ * Formats a duration in milliseconds in hours, leaving out days without time.
+ * @param {number} milliseconds - The duration in milliseconds.
+ * @returns {string} - The formatted duration.
+ */
+const formatHours = (milliseconds) =>
+  milliseconds ? convertMillisecondsToDuration(milliseconds) : "0";
+
+/**
+ * Calendar component shows a month with, per day, the logged hours of the timesheets against the scheduled hours of
+ * the work schedule, the approved and pending absences, and the holidays of the work calendar. Days of the past that
+ * are not completely covered by logged time and absences are highlighted as gaps.
+ * Tapping a day opens the timesheet of that day or starts its creation, and tapping an absence opens it.
+ * The approved absences can be synchronized with the calendar of the device or exported as an .ics file.
+ * The absences of the colleagues can be opened from the header.
+ *
+ * @param {Object} navigation - The navigation object provided by React Navigation.
+ * @returns {JSX.Element} - Rendered component.
+ */
+const Calendar = ({ navigation }) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  const { isConnected } = useConnectivityContext();
+
+  const employeeInfo = useEmployeeInfo();
+  const { calendarExtId, nonWorkingDates } = employeeInfo;
+
+  // State variables
+  const [month, setMonth] = useState(startOfMonth(new Date()));
+  const [days, setDays] = useState([]);
+  const [holidays, setHolidays] = useState(null); // Loaded once, as they do not depend on the month
+  const [refreshing, setRefreshing] = useState(false);
+  const [isOpeningTimesheet, setIsOpeningTimesheet] = useState(false);
+  const [isSyncingAbsences, setIsSyncingAbsences] = useState(false);
+
+  /**
+   * Loads the holidays of the work calendar. The non-working dates of the logged in employee are used if they are
+   * known, otherwise they are fetched for the calendar of the employee.
+   * @returns {Promise<Array<Object>>} - A promise resolving to the holidays.
+   */
+  const loadHolidays = async () => {
+    if (holidays) {
+      return holidays;
+    }
+
+    const loadedHolidays =
+      nonWorkingDates?.length > 0 || !calendarExtId
+        ? nonWorkingDates || []
+        : await fetchWorkCalendar(calendarExtId);
+
+    setHolidays(loadedHolidays);
+    return loadedHolidays;
+  };
+
+  /**
+   * Loads the timesheets, absences and holidays of the shown month and builds its days.
+   */
+  const loadMonth = useCallback(async () => {
+    setRefreshing(true);
+
+    try {
+      // The shown days include the weeks the first and last day of the month are in
+      const from = addMonths(month, -1);
+      const to = addMonths(month, 2);
+
+      const [timesheets, absences, loadedHolidays] = await Promise.all([
+        fetchCalendarTimesheets(from, to),
+        fetchCalendarAbsences(from, to),
+        loadHolidays(),
+      ]);
+
+      setDays(
+        buildCalendarDays(
+          month,
+          timesheets,
+          absences,
+          loadedHolidays,
+          employeeInfo
+        )
+      );
+    } catch (error) {
+      console.error("Error loading the calendar:", error);
+      showToast(t("calendar_load_failed"), "error");
+    } finally {
+      setRefreshing(false);
+    }
+  }, [month, employeeInfo, holidays]);
+
+  useEffect(() => {
+    loadMonth();
+  }, [month]);
+
+  /**
+   * Effect to load the month again when the user returns from a timesheet or absence, which may have been changed.
+   */
+  useEffect(() => {
+    const unsubscribe = navigation.addListener("focus", () => {
+      if (days.length > 0) {
+        loadMonth();
+      }
+    });
+
+    return unsubscribe;
+  }, [navigation, loadMonth, days.length]);
+
+  /**
+   * Opens the timesheet covering a day, or starts the creation of a timesheet for it if there is none.
+   * @param {Object} day - The tapped day.
+   */
+  const handleDayPress = async (day) => {
+    setIsOpeningTimesheet(true);
+
+    try {
+      const response = await checkTimesheetExistsForDate(day.date);
+
+      if (response.exists) {
+        navigation.navigate("TimesheetDetail", {
+          timesheetId: response.data[0].id,
+          statusTemplateExtId: response.data[0].statusTemplateExtId,
+        });
+      } else {
+        navigation.navigate("TimesheetDetail", {
+          selectedDate: day.date.toISOString(),
+        });
+      }
+    } catch (error) {
+      console.error("Error checking timesheet existence:", error);
+
+      // While offline, the timesheet is drafted on the device and created once back online
+      if (!isConnected) {
+        navigation.navigate("TimesheetDetail", {
+          selectedDate: day.date.toISOString(),
+        });
+      } else {
+        showToast(t("error_checking_timesheet"), "error");
+      }
+    } finally {
+      setIsOpeningTimesheet(false);
+    }
+  };
+
+  /**
+   * Opens an absence.
+   * @param {Object} absence - The absence of a day.
+   */
+  const handleAbsencePress = (absence) => {
+    navigation.navigate("AbsenceDetail", {
+      absenceId: absence.id,
+      statusTemplateExtId: absence.statusTemplateExtId,
+    });
+  };
+
+  /**
+   * Writes the approved absences into the calendar of the device and removes the events of cancelled ones.
+   */
+  const handleSyncAbsences = async () => {
+    setIsSyncingAbsences(true);
+
+    const result = await syncAbsencesToCalendar(employeeInfo, t);
+    if (result) {
+      showToast(t("absence_calendar_synced", result));
+    }
+
+    setIsSyncingAbsences(false);
+  };
+
+  /**
+   * Exports the approved absences as an .ics file for other calendar apps.
+   */
+  const handleExportAbsences = async () => {
+    setIsSyncingAbsences(true);
+
+    await shareAbsencesAsIcs(null, employeeInfo, "absences", t);
+
+    setIsSyncingAbsences(false);
+  };
+
+  useEffect(() => {
+    navigation.setOptions({
+      headerTitle: t("calendar"),
+      headerLeft: () => <CustomBackButton navigation={navigation} t={t} />,
+      headerRight: () => (
+        <View style={styles.headerRightContainer}>
+          {/* Button for synchronizing the approved absences with the device calendar */}
+          <CustomButton
+            onPress={handleSyncAbsences}
+            label=""
+            icon={{
+              name: "calendar-refresh",
+              library: "MaterialCommunityIcons",
+              size: 30,
+              color: "white",
+            }}
+            accessibilityLabel={t("absence_calendar_sync")}
+            disabled={isSyncingAbsences || !isConnected}
+          />
+          {/* Button for exporting the approved absences as an .ics file */}
+          <CustomButton
+            onPress={handleExportAbsences}
+            label=""
+            icon={{
+              name: "calendar-export",
+              library: "MaterialCommunityIcons",
+              size: 30,
+              color: "white",
+            }}
+            accessibilityLabel={t("absence_calendar_ics")}
+            disabled={isSyncingAbsences || !isConnected}
+          />
+          {/* Button for opening the absences of the colleagues */}
+          <CustomButton
+            onPress={() => navigation.navigate("TeamAbsences")}
+            label=""
+            icon={{
+              name: "account-group",
+              library: "MaterialCommunityIcons",
+              size: 30,
+              color: "white",
+            }}
+            accessibilityLabel={t("team_absences")}
+          />
+        </View>
+      ),
+    });
+  }, [navigation, t, isSyncingAbsences, isConnected, employeeInfo]);
+
+  const monthDays = days.filter((day) => day.isInMonth);
+  const loggedTotal = monthDays.reduce((sum, day) => sum + day.loggedTime, 0);
+  const scheduledTotal = monthDays.reduce(
+    (sum, day) => sum + day.scheduledTime,
+    0
+  );
+  const gapCount = monthDays.filter((day) => day.hasGap).length;
+
+  // The absences of the month, each with the days of the month it covers
+  const monthAbsences = [];
+  monthDays.forEach((day) => {
+    day.absences.forEach((absence) => {
+      const monthAbsence = monthAbsences.find((item) => item.id === absence.id);
+
+      if (monthAbsence) {
+        monthAbsence.lastDate = day.date;
+      } else {
+        monthAbsences.push({
+          ...absence,
+          firstDate: day.date,
+          lastDate: day.date,
+        });
+      }
+    });
+  });
+
+  const dateFormat = convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT);
+
+  const getDayStyle = (day) => {
+    if (day.hasGap) {
+      return styles.gapDay;
+    }
+    if (day.holidayName) {
+      return styles.holidayDay;
+    }
+    if (day.absences.length > 0) {
+      return styles.absenceDay;
+    }
+    if (!day.scheduledTime) {
+      return styles.nonWorkingDay;
+    }
+
+    return null;
+  };
+
+  const renderDay = (day) => (
+    <TouchableOpacity
+      key={day.key}
+      style={[styles.day, getDayStyle(day), !day.isInMonth && styles.otherDay]}
+      onPress={() => handleDayPress(day)}
+      disabled={isOpeningTimesheet}
+      accessibilityLabel={format(day.date, dateFormat)}
+      accessibilityRole="button"
+      testID={`calendar-day-${day.key}`}
+    >
+      <Text style={styles.dayNumber}>{format(day.date, "d")}</Text>
+      {(day.scheduledTime > 0 || day.loggedTime > 0) && (
+        <Text style={styles.dayHours} numberOfLines={1}>
+          {`${formatHours(day.loggedTime)}/${formatHours(day.scheduledTime)}`}
+        </Text>
+      )}
+      <View style={styles.absenceMarkers}>
+        {day.absences.map((absence) => (
+          <View
+            key={absence.id}
+            style={[
+              styles.absenceMarker,
+              absence.approvalState === "approved"
+                ? styles.approvedMarker
+                : styles.pendingMarker,
+            ]}
+          />
+        ))}
+      </View>
+    </TouchableOpacity>
+  );
+
+  const weeks = [];
+  for (let i = 0; i < days.length; i += 7) {
+    weeks.push(days.slice(i, i + 7));
+  }
+
+  return (
+    <View style={styles.container}>
+      {isOpeningTimesheet && <Loader />}
+      <View style={styles.monthHeader}>
+        <TouchableOpacity
+          onPress={() => setMonth(addMonths(month, -1))}
+          accessibilityLabel={t("previous_month")}
+          accessibilityRole="button"
+        >
+          <MaterialCommunityIcons
+            name="chevron-left"
+            size={32}
+            color="#005eb8"
+          />
+        </TouchableOpacity>
+        <Text style={styles.monthTitle}>{format(month, "MMMM yyyy")}</Text>
+        <TouchableOpacity
+          onPress={() => setMonth(addMonths(month, 1))}
+          accessibilityLabel={t("next_month")}
+          accessibilityRole="button"
+        >
+          <MaterialCommunityIcons
+            name="chevron-right"
+            size={32}
+            color="#005eb8"
+          />
+        </TouchableOpacity>
+      </View>
+      <ScrollView
+        contentContainerStyle={styles.content}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            tintColor="#0000ff"
+            title={t("pull_to_refresh")}
+            titleColor="#0000ff"
+            colors={["#0000ff"]}
+            onRefresh={loadMonth}
+          />
+        }
+      >
+        <View style={styles.week}>
+          {(weeks[0] || []).map((day) => (
+            <Text key={day.key} style={styles.weekdayText}>
+              {format(day.date, "EEE")}
+            </Text>
+          ))}
+        </View>
+        {weeks.map((week) => (
+          <View key={week[0].key} style={styles.week}>
+            {week.map(renderDay)}
+          </View>
+        ))}
+
+        <View style={styles.legend}>
+          <View style={styles.legendItem}>
+            <View style={[styles.legendSwatch, styles.gapDay]} />
+            <Text style={styles.legendText}>{t("calendar_gap")}</Text>
+          </View>
+          <View style={styles.legendItem}>
+            <View style={[styles.legendSwatch, styles.holidayDay]} />
+            <Text style={styles.legendText}>{t("holiday")}</Text>
+          </View>
+          <View style={styles.legendItem}>
+            <View style={[styles.absenceMarker, styles.approvedMarker]} />
+            <Text style={styles.legendText}>{t("calendar_approved")}</Text>
+          </View>
+          <View style={styles.legendItem}>
+            <View style={[styles.absenceMarker, styles.pendingMarker]} />
+            <Text style={styles.legendText}>{t("calendar_pending")}</Text>
+          </View>
+        </View>
+
+        <View style={styles.summary}>
+          <Text style={styles.summaryText}>
+            {t("calendar_logged_of_scheduled", {
+              logged: formatHours(loggedTotal),
+              scheduled: formatHours(scheduledTotal),
+            })}
+          </Text>
+          <Text style={[styles.summaryText, gapCount > 0 && styles.gapText]}>
+            {gapCount > 0
+              ? t("calendar_gap_days", { count: gapCount })
+              : t("calendar_complete")}
+          </Text>
+        </View>
+
+        {monthDays
+          .filter((day) => day.holidayName)
+          .map((day) => (
+            <Text key={day.key} style={styles.holidayText}>
+              {`${format(day.date, dateFormat)}: ${day.holidayName}`}
+            </Text>
+          ))}
+
+        {monthAbsences.length > 0 && (
+          <Text style={styles.sectionTitle}>{t("calendar_absences")}</Text>
+        )}
+        {monthAbsences.map((absence) => (
+          <TouchableOpacity
+            key={absence.id}
+            style={styles.absenceRow}
+            onPress={() => handleAbsencePress(absence)}
+            accessibilityLabel={absence.name}
+            accessibilityRole="button"
+            testID={`calendar-absence-${absence.id}`}
+          >
+            <View
+              style={[
+                styles.absenceMarker,
+                absence.approvalState === "approved"
+                  ? styles.approvedMarker
+                  : styles.pendingMarker,
+              ]}
+            />
+            <View style={styles.absenceRowText}>
+              <Text style={styles.absenceName}>{absence.name}</Text>
+              <Text>
+                {`${format(absence.firstDate, dateFormat)} - ${format(
+                  absence.lastDate,
+                  dateFormat
+                )}`}
+              </Text>
+            </View>
+            <MaterialCommunityIcons
+              name="chevron-right"
+              size={22}
+              color="#808080"
+            />
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
+  headerRightContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    columnGap: 12,
+  },
+  content: {
+    padding: "2%",
+  },
+  monthHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    padding: "2%",
+    borderBottomWidth: 1,
+    borderBottomColor: "#ccc",
+  },
+  monthTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+  },
+  week: {
+    flexDirection: "row",
+  },
+  weekdayText: {
+    flex: 1,
+    textAlign: "center",
+    fontSize: 12,
+    fontWeight: "bold",
+    paddingVertical: 4,
+  },
+  day: {
+    flex: 1,
+    minHeight: 64,
+    margin: 1,
+    padding: 2,
+    borderWidth: 1,
+    borderColor: "#ccc",
+    borderRadius: 4,
+    alignItems: "center",
+  },
+  otherDay: {
+    opacity: 0.4,
+  },
+  nonWorkingDay: {
+    backgroundColor: "#d3d3d3",
+  },
+  holidayDay: {
+    backgroundColor: "#aaf0c9",
+  },
+  absenceDay: {
+    backgroundColor: "#fff3cd",
+  },
+  gapDay: {
+    backgroundColor: "#ffcccb",
+    borderColor: "#d9534f",
+  },
+  dayNumber: {
+    fontWeight: "bold",
+  },
+  dayHours: {
+    fontSize: 10,
+  },
+  absenceMarkers: {
+    flexDirection: "row",
+    columnGap: 2,
+    marginTop: 2,
+  },
+  absenceMarker: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: "#f0ad4e",
+  },
+  approvedMarker: {
+    backgroundColor: "#f0ad4e",
+  },
+  pendingMarker: {
+    backgroundColor: "#fff",
+  },
+  legend: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    columnGap: 12,
+    rowGap: 4,
+    marginTop: "3%",
+  },
+  legendItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    columnGap: 4,
+  },
+  legendSwatch: {
+    width: 14,
+    height: 14,
+    borderWidth: 1,
+    borderColor: "#ccc",
+  },
+  legendText: {
+    fontSize: 12,
+  },
+  summary: {
+    marginTop: "4%",
+    padding: "3%",
+    borderRadius: 8,
+    backgroundColor: "#f0f0f0",
+  },
+  summaryText: {
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  gapText: {
+    color: "#d9534f",
+  },
+  holidayText: {
+    marginTop: "2%",
+    color: "#2f4F4f",
+  },
+  sectionTitle: {
+    marginTop: "4%",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  absenceRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    columnGap: 8,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderColor: "#ccc",
+  },
+  absenceRowText: {
+    flex: 1,
+  },
+  absenceName: {
+    fontWeight: "bold",
+  },
+});
+
+export default Calendar;
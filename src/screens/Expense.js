@@ -1,4 +1,4 @@
-import React, { useCallback, useEffect, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
 import {
   FlatList,
   RefreshControl,
@@ -8,29 +8,61 @@ import {
   View,
 } from "react-native";
 
+import { useTranslation } from "react-i18next";
 import { format, isValid } from "date-fns";
 
-import { Ionicons } from "@expo/vector-icons";
-
-import { fetchBusObjCatData, loadMoreData } from "../utils/APIUtils";
+import {
+  fetchBusObjCatData,
+  getCachedBusObjCatData,
+  loadMoreData,
+} from "../utils/APIUtils";
+import {
+  calculateTotalInCurrency,
+  getExchangeRates,
+  getPredominantCurrency,
+  isAmountInRange,
+  syncExchangeRates,
+} from "../utils/CurrencyUtils";
+import { fetchCurrencies, fetchExpenseTypes } from "../utils/ExpenseUtils";
+import { convertToFilterScreenFormat, filtersMap } from "../utils/FilterUtils";
 import {
   convertAmountToDisplayFormat,
   convertToDateFNSFormat,
 } from "../utils/FormatUtils";
 
-import { APP, BUSOBJCAT, PAGE_SIZE } from "../constants";
+import {
+  APP,
+  BUSOBJCAT,
+  BUSOBJCATMAP,
+  DOUBLE_CLICK_DELTA,
+  PAGE_SIZE,
+} from "../constants";
 
+import CustomButton from "../components/CustomButton";
 import Loader from "../components/Loader";
+import Sort from "../components/filters/Sort";
+import LastSyncedBanner from "../components/offline/LastSyncedBanner";
+
+import { useConnectivityContext } from "../../context/ConnectivityContext";
+import { useExpenseForceRefresh } from "../../context/ForceRefreshContext";
 
 /**
- * Expense component displays a list of expenses with the ability to refresh
- * and load more data using pagination.
+ * Expense component displays a list of expenses with the ability to refresh,
+ * filter, sort and load more data using pagination.
  *
  * @param {Object} route - The route object provided by React Navigation.
  * @param {Object} navigation - The navigation object provided by React Navigation.
  * @returns {JSX.Element} - Rendered component.
  */
-const Expense = ({ navigation }) => {
+const Expense = ({ route, navigation }) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  const { isConnected } = useConnectivityContext();
+
+  // Access the force refresh state, which is set when an expense claim was saved or deleted
+  const { forceRefresh, updateForceRefresh } = useExpenseForceRefresh();
+
   // State variables
   const [refreshing, setRefreshing] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
@@ -39,19 +71,51 @@ const Expense = ({ navigation }) => {
   const [expenses, setExpenses] = useState([]);
   const [page, setPage] = useState(1);
   const [limit, setLimit] = useState(PAGE_SIZE);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null); // Set while the list shows cached data
+  const [lastPress, setLastPress] = useState(0);
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [whereConditions, setWhereConditions] = useState([]);
+  const [orConditions, setOrConditions] = useState([]);
+  const [sortConditions, setSortConditions] = useState([]);
+  const [appliedFilters, setAppliedFilters] = useState({});
+  const [appliedFiltersCount, setAppliedFiltersCount] = useState(0);
+  const [isSortModalVisible, setIsSortModalVisible] = useState(false);
+  const [expenseTypeOptions, setExpenseTypeOptions] = useState([]);
+  const [currencyOptions, setCurrencyOptions] = useState([]);
+
+  /**
+   * Function to navigate to the expense detail screen for creating a new expense claim.
+   */
+  const openExpenseDetail = () => {
+    navigation.navigate("ExpenseDetail", {});
+  };
 
   /**
    * Function to handle data refreshing.
+   * If the data cannot be fetched, the last synced data is shown instead.
    */
   const onRefresh = useCallback(async () => {
     setRefreshing(true);
 
+    // Reset page to 1 for refreshing
+    setPage(1);
+
     try {
-      // Fetch Expense data
-      const response = await fetchBusObjCatData(BUSOBJCAT.EXPENSE, page, limit);
+      // Fetch Expense data for the first page
+      const response = await fetchBusObjCatData(
+        BUSOBJCAT.EXPENSE,
+        1,
+        limit,
+        null,
+        whereConditions,
+        orConditions,
+        sortConditions
+      );
       if (!response.error) {
         // Update expenses state with new data
         setExpenses(response.data);
+        setLastSyncedAt(response.fromCache ? response.syncedAt : null);
+        setExchangeRates(await syncExchangeRates());
       } else {
         console.error("Error refreshing data:", response.error);
       }
@@ -60,7 +124,7 @@ const Expense = ({ navigation }) => {
     } finally {
       setRefreshing(false);
     }
-  }, [setExpenses]);
+  }, [setExpenses, whereConditions, orConditions, sortConditions, limit]);
 
   /**
    * Function to handle loading more data.
@@ -75,6 +139,10 @@ const Expense = ({ navigation }) => {
         BUSOBJCAT.EXPENSE,
         page + 1, // Increment page for the next set of data
         limit,
+        null,
+        whereConditions,
+        orConditions,
+        sortConditions,
         setExpenses,
         setIsLoading,
         setError
@@ -84,22 +152,213 @@ const Expense = ({ navigation }) => {
       });
       setPage(page + 1); // Update page for the next load
     }
-  }, [page, limit, setExpenses, setError, error, isLoadingMore]);
+  }, [
+    page,
+    limit,
+    setExpenses,
+    setError,
+    error,
+    isLoadingMore,
+    whereConditions,
+    orConditions,
+    sortConditions,
+  ]);
+
+  /**
+   * Function to show the last synced expenses without going to the network.
+   */
+  const showCachedExpenses = async () => {
+    try {
+      const cachedResponse = await getCachedBusObjCatData(
+        BUSOBJCAT.EXPENSE,
+        1,
+        limit,
+        null,
+        whereConditions,
+        orConditions,
+        sortConditions
+      );
+      if (cachedResponse) {
+        setExpenses(cachedResponse.data);
+        setLastSyncedAt(cachedResponse.syncedAt);
+      }
+    } catch (error) {
+      console.error("Error reading cached data:", error);
+    }
+  };
+
+  /**
+   * Loads the expense types and currencies offered by the expense type and amount filters.
+   */
+  const loadFilterOptions = async () => {
+    try {
+      const [expenseTypesMap, currencies] = await Promise.all([
+        fetchExpenseTypes(),
+        fetchCurrencies(),
+      ]);
+
+      setExpenseTypeOptions(
+        Object.entries(expenseTypesMap).map(([key, value]) => ({
+          label: value["ExpenseType-name"] || key,
+          value: key,
+        }))
+      );
+      setCurrencyOptions(
+        currencies.map((currency) => ({ label: currency, value: currency }))
+      );
+    } catch (error) {
+      console.error("Error in loading the expense filter options:", error);
+    }
+  };
 
   useEffect(() => {
-    // Trigger refresh when the component mounts
-    onRefresh();
+    getExchangeRates().then(setExchangeRates);
+    loadFilterOptions();
   }, []);
 
+  useEffect(() => {
+    // Update whereConditions when route params change
+    setWhereConditions(route?.params?.whereConditions ?? []);
+    // Update orConditions when route params change
+    setOrConditions(route?.params?.orConditions ?? []);
+  }, [route?.params?.whereConditions, route?.params?.orConditions]);
+
+  useEffect(() => {
+    // Update applied filters when route params change
+    const newAppliedFilters = route?.params?.convertedAppliedFilters ?? {};
+    setAppliedFilters(newAppliedFilters);
+    // Update applied filters count when route params change
+    setAppliedFiltersCount(Object.keys(newAppliedFilters).length);
+  }, [route?.params?.convertedAppliedFilters]);
+
+  useEffect(() => {
+    setPage(1);
+    // Show the cached data first and trigger refresh when the component mounts or the conditions change
+    showCachedExpenses().finally(onRefresh);
+  }, [whereConditions, orConditions, sortConditions]);
+
+  useEffect(() => {
+    // Replace the cached data in the background once the device is back online
+    if (isConnected && lastSyncedAt) {
+      onRefresh();
+    }
+  }, [isConnected]);
+
+  useEffect(() => {
+    // Reload the list once an expense claim was saved or deleted in the detail screen
+    if (forceRefresh) {
+      onRefresh();
+      updateForceRefresh(false);
+    }
+  }, [forceRefresh]);
+
+  /**
+   * The expense claims shown in the list. The amount filter is applied here rather than in the query,
+   * since the claims can be in different currencies (see `convertFiltersToWhereConditions`).
+   */
+  const listedExpenses = useMemo(() => {
+    const amountFilter = appliedFilters?.amount;
+    if (!amountFilter) {
+      return expenses;
+    }
+
+    return expenses.filter((item) =>
+      isAmountInRange(
+        item?.["ExpenseClaim-amountBU"],
+        amountFilter,
+        exchangeRates,
+        item?.["ExpenseClaim-date"]
+      )
+    );
+  }, [expenses, appliedFilters, exchangeRates]);
+
+  /**
+   * Rendered total of the listed expense claims. Only the claims loaded so far are added up, which the label says.
+   * Claims in other currencies are converted into the currency most of the claims are in, and claims without a known
+   * exchange rate are left out.
+   */
+  const renderListTotal = () => {
+    const listAmounts = listedExpenses.map((item) => ({
+      ...(item?.["ExpenseClaim-amountBU"] || {}),
+      date: item?.["ExpenseClaim-date"],
+    }));
+
+    const listCurrency = getPredominantCurrency(listAmounts);
+    if (!listCurrency) {
+      return null;
+    }
+
+    const listTotal = calculateTotalInCurrency(
+      listAmounts,
+      listCurrency,
+      exchangeRates
+    );
+
+    return (
+      <View style={styles.totalRow}>
+        <Text style={styles.totalText}>
+          {`${t("expense_loaded_total", {
+            count: listedExpenses.length,
+          })}: ${convertAmountToDisplayFormat(listTotal)}`}
+        </Text>
+        {listTotal.missingCurrencies.length > 0 && (
+          <Text style={styles.missingRateText}>
+            {t("exchange_rate_excluded_message", {
+              currencies: listTotal.missingCurrencies.join(", "),
+            })}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  /**
+   * Navigate to the filters screen with initial filter settings.
+   */
   const navigateToFilters = () => {
-    navigation.navigate("Filters");
+    const initialFilters = convertToFilterScreenFormat(
+      appliedFilters,
+      filtersMap[BUSOBJCAT.EXPENSE],
+      BUSOBJCAT.EXPENSE
+    );
+
+    const pickerOptions = {
+      expenseTypeOptions,
+      currencyOptions,
+    };
+
+    navigation.navigate("Filters", {
+      busObjCatFilters: filtersMap[BUSOBJCAT.EXPENSE],
+      busObjCat: BUSOBJCAT.EXPENSE,
+      initialFilters: initialFilters,
+      pickerOptions: pickerOptions,
+    });
+  };
+
+  /**
+   * Opens the sort modal.
+   */
+  const openSortingModal = () => {
+    setIsSortModalVisible(true);
+  };
+
+  /**
+   * Closes the sort modal and sets the sorting conditions.
+   *
+   * @param {Array} sortedArray - Array of sorted conditions.
+   */
+  const closeSortingModal = (sortedArray) => {
+    if (sortedArray) {
+      setSortConditions(sortedArray);
+    }
+    setIsSortModalVisible(false);
   };
 
   /**
    * Rendered component for the left side of the header.
    */
   const headerLeft = () => {
-    let recordCount = expenses.length;
+    let recordCount = listedExpenses.length;
     return (
       <View>
         <Text style={styles.recordCountText}>
@@ -116,10 +375,63 @@ const Expense = ({ navigation }) => {
    */
   const headerRight = () => {
     return (
-      <View>
-        <TouchableOpacity onPress={navigateToFilters}>
-          <Ionicons name="filter" size={30} color="white" />
-        </TouchableOpacity>
+      <View style={styles.headerRightContainer}>
+        {/* Button for creating a new expense claim */}
+        <CustomButton
+          onPress={openExpenseDetail}
+          label=""
+          icon={{
+            name: "add-circle-sharp",
+            library: "Ionicons",
+            size: 30,
+            color: "white",
+          }}
+          disabled={refreshing}
+        />
+        <View style={styles.headerIconsContainer}>
+          {/* Button for applying filters */}
+          <CustomButton
+            onPress={navigateToFilters}
+            label=""
+            icon={{
+              name: "filter",
+              library: "FontAwesome",
+              size: 30,
+              color: "white",
+            }}
+            disabled={refreshing}
+          />
+          {/* Show filter count if filters are applied */}
+          {appliedFiltersCount > 0 && (
+            <View style={styles.headerIconsCountContainer}>
+              <Text style={styles.headerIconsCountText}>
+                {appliedFiltersCount}
+              </Text>
+            </View>
+          )}
+        </View>
+        <View style={styles.headerIconsContainer}>
+          {/* Button for sorting expense claims */}
+          <CustomButton
+            onPress={openSortingModal}
+            label=""
+            icon={{
+              name: "sort",
+              library: "FontAwesome",
+              size: 30,
+              color: "white",
+            }}
+            disabled={refreshing}
+          />
+          {/* Show the number of sort conditions applied */}
+          {sortConditions.length > 0 && (
+            <View style={styles.headerIconsCountContainer}>
+              <Text style={styles.headerIconsCountText}>
+                {sortConditions.length}
+              </Text>
+            </View>
+          )}
+        </View>
       </View>
     );
   };
@@ -130,12 +442,21 @@ const Expense = ({ navigation }) => {
       headerTitle: headerLeft,
       headerRight: headerRight,
     });
-  }, [expenses]);
+  }, [
+    listedExpenses,
+    refreshing,
+    appliedFiltersCount,
+    sortConditions,
+    expenseTypeOptions,
+    currencyOptions,
+  ]);
 
   return (
     <View style={styles.container}>
+      <LastSyncedBanner syncedAt={lastSyncedAt} />
+      {renderListTotal()}
       <FlatList
-        data={expenses}
+        data={listedExpenses}
         keyExtractor={(item) => item["ExpenseClaim-id"]}
         renderItem={({ item }) => {
           try {
@@ -157,6 +478,10 @@ const Expense = ({ navigation }) => {
 
             const extID = item?.["ExpenseClaim-extID"] || "";
 
+            const expenseId = item?.["ExpenseClaim-id"];
+            const statusTemplateExtId =
+              item?.["ExpenseClaim-extStatus-processTemplateID"] || "";
+
             const amountBUObj = item?.["ExpenseClaim-amountBU"] ?? {
               amount: 0,
               currency: null,
@@ -172,45 +497,62 @@ const Expense = ({ navigation }) => {
                   : "white",
             };
 
+            const handlePress = () => {
+              const currentTime = new Date().getTime();
+              const delta = currentTime - lastPress;
+
+              if (delta < DOUBLE_CLICK_DELTA) {
+                // Double click detected, navigate to the expense detail screen
+                navigation.navigate("ExpenseDetail", {
+                  expenseId,
+                  statusTemplateExtId,
+                });
+              }
+
+              setLastPress(currentTime);
+            };
+
             return (
-              <View style={[styles.row, itemStyle]}>
-                <View style={styles.firstColumn}>
-                  <Text
-                    style={styles.firstColumnText}
-                    numberOfLines={2}
-                    ellipsizeMode="tail"
-                  >
-                    {statusLabel}
-                  </Text>
-                </View>
-                <View style={styles.secondColumn}>
-                  <Text style={styles.secondColumnFirstRowText}>
-                    {formattedExpenseDate}
-                  </Text>
-                  <Text style={styles.secondColumnFirstRowText}>{extID}</Text>
-                  <Text
-                    style={styles.secondColumnSecondRowText}
-                    numberOfLines={1}
-                    ellipsizeMode="tail"
-                  >
-                    {remark}
-                  </Text>
+              <TouchableOpacity onPress={handlePress}>
+                <View style={[styles.row, itemStyle]}>
+                  <View style={styles.firstColumn}>
+                    <Text
+                      style={styles.firstColumnText}
+                      numberOfLines={2}
+                      ellipsizeMode="tail"
+                    >
+                      {statusLabel}
+                    </Text>
+                  </View>
+                  <View style={styles.secondColumn}>
+                    <Text style={styles.secondColumnFirstRowText}>
+                      {formattedExpenseDate}
+                    </Text>
+                    <Text style={styles.secondColumnFirstRowText}>{extID}</Text>
+                    <Text
+                      style={styles.secondColumnSecondRowText}
+                      numberOfLines={1}
+                      ellipsizeMode="tail"
+                    >
+                      {remark}
+                    </Text>
+                  </View>
+                  <View style={styles.thirdColumn}>
+                    <Text
+                      style={[
+                        styles.thirdColumnText,
+                        {
+                          color: amountBUObj.amount === 0 ? "red" : "green",
+                        },
+                      ]}
+                      numberOfLines={2}
+                      ellipsizeMode="tail"
+                    >
+                      {convertedAmount}
+                    </Text>
+                  </View>
                 </View>
-                <View style={styles.thirdColumn}>
-                  <Text
-                    style={[
-                      styles.thirdColumnText,
-                      {
-                        color: amountBUObj.amount === 0 ? "red" : "green",
-                      },
-                    ]}
-                    numberOfLines={2}
-                    ellipsizeMode="tail"
-                  >
-                    {convertedAmount}
-                  </Text>
-                </View>
-              </View>
+              </TouchableOpacity>
             );
           } catch (error) {
             console.error("Error rendering item:", error);
@@ -229,6 +571,20 @@ const Expense = ({ navigation }) => {
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
         }
       />
+      {isSortModalVisible && (
+        <Sort
+          isModalVisible={isSortModalVisible}
+          onClose={closeSortingModal}
+          busObjCat={BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}
+          allFields={[
+            { propertyLabel: "Created On", propertyValue: "createdOn" },
+            { propertyLabel: "Changed On", propertyValue: "changedOn" },
+            { propertyLabel: "Claim Date", propertyValue: "date" },
+            { propertyLabel: "Claim Number", propertyValue: "extID" },
+          ]}
+          previousSortRows={sortConditions}
+        />
+      )}
     </View>
   );
 };
@@ -242,6 +598,54 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
   },
+  headerRightContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "flex-end",
+    columnGap: 18,
+  },
+  headerIconsContainer: {
+    position: "relative",
+  },
+  headerIconsCountContainer: {
+    position: "absolute",
+    bottom: 0,
+    right: 0,
+    backgroundColor: "#ffd33d",
+    borderRadius: 9,
+    width: 18,
+    height: 18,
+    justifyContent: "center",
+    alignItems: "center",
+    zIndex: 1,
+    pointerEvents: "none",
+  },
+  headerIconsCountText: {
+    color: "black",
+    fontSize: 12,
+    fontWeight: "bold",
+  },
+  totalRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "flex-end",
+    alignItems: "center",
+    columnGap: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderColor: "#ccc",
+    backgroundColor: "#e5eef7",
+  },
+  totalText: {
+    fontSize: 16,
+    fontWeight: "bold",
+    color: "green",
+  },
+  missingRateText: {
+    fontSize: 12,
+    color: "#d9534f",
+  },
   row: {
     flexDirection: "row",
     borderBottomWidth: 1,
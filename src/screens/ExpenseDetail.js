@@ -0,0 +1,1067 @@
+import React, { useCallback, useEffect, useState, useRef } from "react";
+import { Alert, StyleSheet, Text, View } from "react-native";
+import { createMaterialTopTabNavigator } from "@react-navigation/material-top-tabs";
+import { GestureHandlerRootView } from "react-native-gesture-handler";
+import { useTranslation } from "react-i18next";
+
+import CustomButton from "../components/CustomButton";
+import CustomBackButton from "../components/CustomBackButton";
+import Loader from "../components/Loader";
+
+import ExpenseDetailGeneral from "./ExpenseDetailGeneral";
+import File from "./File";
+import Comment from "./Comment";
+import History from "./History";
+
+import {
+  API_ENDPOINTS,
+  APP,
+  APP_ACTIVITY_ID,
+  APP_NAME,
+  BUSOBJCAT,
+  BUSOBJCATMAP,
+  INTSTATUS,
+  PREFERRED_LANGUAGES,
+  TEST_MODE,
+} from "../constants";
+
+import useEmployeeInfo from "../hooks/useEmployeeInfo";
+
+import { useExpenseForceRefresh } from "../../context/ForceRefreshContext";
+import { useExpenseSave } from "../../context/SaveContext";
+
+import {
+  fetchData,
+  getAppNameByCategory,
+  isDoNotReplaceAnyList,
+} from "../utils/APIUtils";
+import {
+  fetchProcessTemplate,
+  updateFieldInState,
+} from "../utils/AbsenceUtils";
+import { fetchQueryWithCache } from "../utils/CacheUtils";
+import { saveDocumentSnapshot } from "../utils/ConflictUtils";
+import {
+  saveUserExchangeRate,
+  syncExchangeRates,
+} from "../utils/CurrencyUtils";
+import {
+  calculateExpenseTotals,
+  convertExpensesToItems,
+  convertItemsToExpenses,
+  fetchCurrencies,
+  fetchExpenseClaimTypes,
+  fetchExpenseTypes,
+  getExpenseFields,
+} from "../utils/ExpenseUtils";
+import {
+  convertToDateFNSFormat,
+  getRemarkText,
+  isEqual,
+  normalizeDateToUTC,
+} from "../utils/FormatUtils";
+import { setOrClearLock } from "../utils/LockUtils";
+import { showToast } from "../utils/MessageUtils";
+import { attachReceipts } from "../utils/ReceiptUtils";
+import { screenDimension } from "../utils/ScreenUtils";
+import updateFields from "../utils/UpdateUtils";
+import { documentStatusCheck } from "../utils/WorkflowUtils";
+
+import { format } from "date-fns";
+
+const Tab = createMaterialTopTabNavigator();
+
+/**
+ * ExpenseDetail component handles the detailed view of an expense claim.
+ * It allows users to view, edit, create, and delete expense claims and their line items.
+ * The component uses multiple tabs to organize the expense details, files (receipts), comments, and history.
+ *
+ * @param {Object} props - The component props.
+ * @param {Object} props.route - The route object containing navigation parameters.
+ * @param {Object} props.navigation - The navigation object for navigating between screens.
+ *
+ * @returns {JSX.Element} The rendered component.
+ */
+const ExpenseDetail = ({ route, navigation }) => {
+  const { t, i18n } = useTranslation();
+  const lang = i18n.language;
+
+  const { updateForceRefresh } = useExpenseForceRefresh();
+
+  const { notifySave } = useExpenseSave();
+
+  const updatedValuesRef = useRef({});
+
+  const statusTemplateExtId = route?.params?.statusTemplateExtId;
+
+  const [expenseId, setExpenseId] = useState(route?.params?.expenseId);
+  // Determine if the component is in edit mode (if an expense id is provided)
+  // True if editing an existing expense claim, false if creating a new one
+  const [isEditMode, setIsEditMode] = useState(!!expenseId);
+  const [itemStatusIDMap, setItemStatusIDMap] = useState(null);
+  const [claimTypeOptions, setClaimTypeOptions] = useState(null);
+  const [expenseTypeOptions, setExpenseTypeOptions] = useState([]);
+  const [currencyOptions, setCurrencyOptions] = useState([]);
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [currentStatus, setCurrentStatus] = useState({});
+  const [listOfNextStatus, setListOfNextStatus] = useState([]);
+  const [isLocked, setIsLocked] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [updatedValues, setUpdatedValues] = useState({});
+
+  const [expenseFiles, setExpenseFiles] = useState([]);
+  const [expenseComments, setExpenseComments] = useState([]);
+  const [expenseExtId, setExpenseExtId] = useState("");
+  const [expenseType, setExpenseType] = useState("");
+  const [expenseEmployeeName, setExpenseEmployeeName] = useState("");
+  const [expenseDate, setExpenseDate] = useState(null);
+  const [expenseExtStatus, setExpenseExtStatus] = useState({});
+  const [expenseRemark, setExpenseRemark] = useState("");
+  const [expenseReimbursementCurrency, setExpenseReimbursementCurrency] =
+    useState("");
+  const [expenseItems, setExpenseItems] = useState([]);
+
+  const employeeInfo = useEmployeeInfo();
+
+  /**
+   * Handles locking or unlocking the expense claim.
+   * Only proceeds if the component is in edit mode.
+   */
+  const handleLock = async () => {
+    if (isEditMode) {
+      /**
+       * Check if changes are allowed based on the document's current status.
+       */
+      const { changeAllowed } = await documentStatusCheck(
+        t,
+        APP_ACTIVITY_ID.EXPENSE,
+        BUSOBJCATMAP[BUSOBJCAT.EXPENSE],
+        expenseId,
+        expenseType,
+        expenseExtStatus,
+        setCurrentStatus,
+        setListOfNextStatus
+      );
+
+      if (!changeAllowed) {
+        return;
+      }
+
+      /**
+       * Determine whether to lock or unlock based on the current 'isLocked' state.
+       * If 'isLocked' is true, action will be 'set' (lock). Otherwise, it will be 'clear' (unlock).
+       */
+      const action = isLocked ? "set" : "clear";
+
+      setOrClearLock(
+        action,
+        BUSOBJCATMAP[BUSOBJCAT.EXPENSE],
+        expenseId,
+        setIsLocked,
+        setLoading
+      );
+    }
+  };
+
+  /**
+   * Handles reloading the expense claim.
+   * Fetches the latest expense claim if there are no unsaved changes.
+   * Shows an alert to confirm discarding unsaved changes before fetching data.
+   * @param {string|null} idToReload - The specific ID to reload, bypassing the state.
+   */
+  const handleReload = (idToReload = null) => {
+    const reloadData = () => {
+      fetchExpenseAndAuxiliaryData(true, idToReload);
+    };
+
+    hasUnsavedChanges() ? showUnsavedChangesAlert(reloadData) : reloadData();
+  };
+
+  /**
+   * Handles deleting the expense claim.
+   * Shows a confirmation alert before deleting the record.
+   */
+  const handleDelete = () => {
+    if (isEditMode) {
+      Alert.alert(
+        t("confirm_deletion_title"),
+        t("confirm_deletion_message"),
+        [
+          {
+            text: t("cancel"),
+            style: "cancel",
+          },
+          {
+            text: t("confirm"),
+            onPress: async () => {
+              try {
+                const formData = {
+                  data: {
+                    [`${
+                      BUSOBJCATMAP[BUSOBJCAT.EXPENSE]
+                    }-component`]: `Client-${APP.LOGIN_USER_CLIENT}-all`,
+                    [`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-extID`]: "",
+                    [`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-id`]: expenseId,
+                    [`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-intStatus`]: 3,
+                  },
+                };
+
+                const queryStringParams = {
+                  language: APP.LOGIN_USER_LANGUAGE,
+                  userID: APP.LOGIN_USER_ID,
+                  appName: APP_NAME.EXPENSE,
+                  client: APP.LOGIN_USER_CLIENT,
+                };
+
+                const updateResponse = await updateFields(
+                  formData,
+                  queryStringParams
+                );
+
+                // Check if update was successful
+                if (updateResponse.success) {
+                  if (i18n.language !== "en") {
+                    showToast(t("delete_success"));
+                  }
+
+                  updateForceRefresh(true);
+
+                  // Go back to the previous screen (expense list)
+                  navigation.goBack();
+                } else {
+                  showToast(t("delete_failure"), "error");
+                }
+
+                if (updateResponse.message) {
+                  showToast(updateResponse.message);
+                }
+              } catch (error) {
+                console.error("Error in handleDelete of ExpenseDetail", error);
+                showToast(t("unexpected_error"), "error");
+              }
+            },
+          },
+        ],
+        { cancelable: true } // Allow the dialog to be canceled by tapping outside of it
+      );
+    }
+  };
+
+  /**
+   * Checks if there are unsaved changes by verifying if the `updatedValuesRef` object has any keys.
+   *
+   * @returns {boolean} - Returns `true` if there are unsaved changes, otherwise `false`.
+   */
+  const hasUnsavedChanges = useCallback(() => {
+    return Object.keys(updatedValuesRef.current).length > 0;
+  }, [updatedValuesRef]);
+
+  /**
+   * Shows an alert to confirm discarding unsaved changes.
+   *
+   * @param {Function} onDiscard - The function to call if the user confirms discarding changes.
+   */
+  const showUnsavedChangesAlert = (onDiscard) => {
+    Alert.alert(
+      t("unsaved_changes_title"),
+      t("unsaved_changes_message"),
+      [
+        {
+          text: t("cancel"),
+          style: "cancel",
+        },
+        {
+          text: t("discard"),
+          style: "destructive",
+          onPress: () => {
+            // Reset updatedValuesRef.current and call onDiscard
+            updatedValuesRef.current = {};
+            setUpdatedValues({});
+            onDiscard();
+          },
+        },
+      ],
+      { cancelable: false }
+    );
+  };
+
+  /**
+   * Updates the expense claim with the provided updated values.
+   * It handles the response, updates the state, and shows appropriate messages based on the result.
+   *
+   * @param {Object} updatedValues - The updated values for the expense claim fields.
+   */
+  const updateExpense = async (updatedValues = {}) => {
+    try {
+      // Prefix the updated values with the expense claim category prefix
+      const prefixedUpdatedValues = {};
+      for (const key in updatedValues) {
+        prefixedUpdatedValues[`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-${key}`] =
+          updatedValues[key];
+      }
+
+      const formData = {
+        data: {
+          [`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-id`]: expenseId,
+          ...prefixedUpdatedValues,
+        },
+      };
+
+      const queryStringParams = {
+        userID: APP.LOGIN_USER_ID,
+        client: APP.LOGIN_USER_CLIENT,
+        language: APP.LOGIN_USER_LANGUAGE,
+        testMode: TEST_MODE,
+        component: "platform",
+        doNotReplaceAnyList: isDoNotReplaceAnyList(BUSOBJCAT.EXPENSE),
+        appName: JSON.stringify(getAppNameByCategory(BUSOBJCAT.EXPENSE)),
+      };
+
+      const updateResponse = await updateFields(formData, queryStringParams);
+
+      if (!updateResponse.success) {
+        showToast(t("update_failure"), "error");
+        return;
+      }
+
+      // Check if any detail object in the response has success: false
+      const details = updateResponse?.response?.details || [];
+      const hasFailure = details.some((detail) => detail.success === false);
+
+      if (hasFailure) {
+        const errorMessages = details.flatMap(
+          (detail) =>
+            detail.messages?.filter((msg) => msg.message_type === "error") || []
+        );
+
+        if (errorMessages.length > 0) {
+          // Not showing toast message here as it has been done centrally in fetchData
+          return;
+        }
+      }
+
+      // Extract the new ID from the response and update the expenseId state
+      const newId = updateResponse.response?.details[0]?.data?.ids?.[0];
+      if (newId) {
+        setExpenseId(newId);
+        setIsEditMode(true);
+      }
+
+      // Attach the photos of the scanned receipts once the claim they belong to is saved
+      try {
+        await attachReceipts(newId || expenseId, expenseItems);
+        setExpenseItems((items) =>
+          items.map((item) => {
+            const savedItem = { ...item };
+            delete savedItem.receiptUri;
+            return savedItem;
+          })
+        );
+      } catch (error) {
+        console.error("Error in attaching the scanned receipts:", error);
+        showToast(t("receipt_attach_failed"), "error");
+      }
+
+      // Clear the updated values reference and state
+      updatedValuesRef.current = {};
+      setUpdatedValues({});
+
+      // Force refresh the expense data on the list screen
+      updateForceRefresh(true);
+
+      // Notify that the save action was clicked
+      notifySave();
+
+      if (lang !== "en") {
+        showToast(t("update_success"));
+      }
+
+      if (updateResponse.message) {
+        showToast(updateResponse.message);
+      }
+
+      // Reload the expense claim after saving, passing the new ID to ensure fresh data is fetched.
+      handleReload(newId || expenseId);
+    } catch (error) {
+      console.error("Error in updateExpense of ExpenseDetail", error);
+      showToast(t("unexpected_error"), "error");
+    }
+  };
+
+  /**
+   * Validates the expense claim before saving.
+   * Checks if the required header fields are provided and if the claim has at least one line item.
+   *
+   * @returns {boolean} - Returns `true` if the expense claim can be saved, otherwise `false`.
+   */
+  const validateExpenseOnSave = () => {
+    if (!expenseType) {
+      showToast(t("type_required_message"), "error");
+      return false;
+    }
+
+    if (!expenseDate) {
+      showToast(t("date_cannot_be_empty"), "error");
+      return false;
+    }
+
+    if (expenseItems.length === 0) {
+      showToast(t("expense_items_required_message"), "error");
+      return false;
+    }
+
+    return true;
+  };
+
+  /**
+   * Handles saving the expense claim.
+   */
+  const handleSave = async () => {
+    try {
+      if (validateExpenseOnSave()) {
+        await updateExpense(updatedValues);
+      }
+    } catch (error) {
+      console.error("Error in saving expense", error);
+    }
+  };
+
+  /**
+   * Handles changes in the expense details.
+   * Updates the state and reference object with the new values.
+   *
+   * @param {Object} values - The updated values for the expense details.
+   */
+  const handleExpenseDetailChange = (values) => {
+    console.log(
+      `Received updated values in Expense Detail: ${JSON.stringify(values)}`
+    );
+
+    const updatedChanges = { ...updatedValuesRef.current };
+    const newValues = { ...values }; // Avoid mutating original values
+
+    if (newValues.expenseDate) {
+      newValues.expenseDate = normalizeDateToUTC(newValues.expenseDate);
+    }
+
+    updateFieldInState(
+      newValues,
+      "expenseType",
+      expenseType,
+      setExpenseType,
+      updatedChanges,
+      "type"
+    );
+    updateFieldInState(
+      newValues,
+      "expenseDate",
+      expenseDate,
+      setExpenseDate,
+      updatedChanges,
+      "date"
+    );
+    updateFieldInState(
+      newValues,
+      "expenseFiles",
+      expenseFiles,
+      setExpenseFiles,
+      updatedChanges,
+      "files"
+    );
+    updateFieldInState(
+      newValues,
+      "expenseComments",
+      expenseComments,
+      setExpenseComments,
+      updatedChanges,
+      "comments"
+    );
+
+    // The line items are sent as a whole, in the format expected by the server
+    if (
+      newValues.expenseItems !== undefined &&
+      !isEqual(newValues.expenseItems, expenseItems)
+    ) {
+      setExpenseItems(newValues.expenseItems);
+      updatedChanges["expenses"] = convertItemsToExpenses(
+        newValues.expenseItems
+      );
+    }
+
+    // Special handling for remark
+    if (
+      newValues.expenseRemark !== undefined &&
+      !isEqual(newValues.expenseRemark, expenseRemark)
+    ) {
+      setExpenseRemark(newValues.expenseRemark);
+      updatedChanges["remark:text"] = getRemarkText(
+        newValues.expenseRemark,
+        lang,
+        PREFERRED_LANGUAGES
+      );
+    }
+
+    updatedValuesRef.current = updatedChanges;
+    setUpdatedValues(updatedChanges);
+
+    console.log(
+      `Updated changes after processing (for saving): ${JSON.stringify(
+        updatedChanges
+      )}`
+    );
+  };
+
+  /**
+   * Loads the initial details for creating a new expense claim.
+   */
+  const loadExpenseCreateDetail = async () => {
+    try {
+      const updatedChanges = { ...updatedValues };
+
+      const normalizedDate = normalizeDateToUTC(new Date());
+
+      setExpenseDate(normalizedDate);
+      setExpenseItems([]);
+
+      updatedChanges["employeeID"] = APP.LOGIN_USER_EMPLOYEE_ID;
+      updatedChanges["date"] = normalizedDate;
+
+      updatedValuesRef.current = updatedChanges;
+      setUpdatedValues(updatedChanges);
+
+      // The status check is not required in create mode, as there's no need to verify
+      // if the document can be modified. However, since this operation also sets the
+      // current status and next possible statuses, enabling the customStatus component
+      // to display the workflow status, we are calling it here.
+      await documentStatusCheck(
+        t,
+        APP_ACTIVITY_ID.EXPENSE,
+        BUSOBJCATMAP[BUSOBJCAT.EXPENSE],
+        expenseId,
+        expenseType,
+        null, // Expense claim extStatus
+        setCurrentStatus,
+        setListOfNextStatus
+      );
+    } catch (error) {
+      console.error("Error in loading expense create detail: ", error);
+    }
+  };
+
+  /**
+   * Loads the details of an existing expense claim.
+   * @param {string|null} idToLoad - The specific ID to load, bypassing the state.
+   */
+  const loadExpenseDetail = async (idToLoad = null) => {
+    const idToFetch = idToLoad || expenseId;
+    if (!idToFetch) {
+      return;
+    }
+
+    try {
+      const queryFields = {
+        fields: getExpenseFields(),
+        where: [
+          {
+            fieldName: `${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-id`,
+            operator: "=",
+            value: idToFetch,
+          },
+        ],
+      };
+
+      const commonQueryParams = {
+        testMode: TEST_MODE,
+        client: parseInt(APP.LOGIN_USER_CLIENT),
+        user: APP.LOGIN_USER_ID,
+        userID: APP.LOGIN_USER_ID,
+        language: APP.LOGIN_USER_LANGUAGE,
+        intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
+      };
+
+      const formData = {
+        query: JSON.stringify(queryFields),
+        ...commonQueryParams,
+      };
+
+      // Fall back to the last synced copy of the document if it cannot be loaded
+      const response = await fetchQueryWithCache(
+        BUSOBJCAT.EXPENSE,
+        formData,
+        () =>
+          fetchData(
+            API_ENDPOINTS.QUERY,
+            "POST",
+            {
+              "Content-Type":
+                "application/x-www-form-urlencoded; charset=UTF-8",
+            },
+            new URLSearchParams(formData).toString()
+          )
+      );
+
+      if (
+        response.success === true &&
+        response.data &&
+        response.data instanceof Array &&
+        response.data.length > 0
+      ) {
+        const data = response.data[0];
+
+        if (response.fromCache) {
+          showToast(
+            t("showing_cached_data", {
+              syncedAt: format(
+                new Date(response.syncedAt),
+                convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT, true)
+              ),
+            }),
+            "warning"
+          );
+        }
+
+        // Remember the loaded server state to detect conflicts of changes queued while offline
+        saveDocumentSnapshot(
+          BUSOBJCATMAP[BUSOBJCAT.EXPENSE],
+          idToFetch,
+          queryFields.fields,
+          data
+        );
+
+        setExpenseFiles(data[`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-files`]);
+        setExpenseComments(data[`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-comments`]);
+        setExpenseExtId(data[`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-extID`] || "");
+        setExpenseEmployeeName(
+          data[
+            `${
+              BUSOBJCATMAP[BUSOBJCAT.EXPENSE]
+            }-employeeID:Resource-core-name-knownAs`
+          ]
+        );
+        setExpenseDate(data[`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-date`]);
+        setExpenseRemark(data[`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-remark`]);
+        // The claim is reimbursed in the currency of the business unit
+        setExpenseReimbursementCurrency(
+          data[`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-amountBU`]?.currency || ""
+        );
+        setExpenseItems(
+          convertExpensesToItems(
+            data[`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-expenses`]
+          )
+        );
+
+        const fetchedExpenseExtStatus =
+          data[`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-extStatus`] || {};
+        setExpenseExtStatus(fetchedExpenseExtStatus);
+
+        const fetchedExpenseType =
+          data[`${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-type`] || "";
+        setExpenseType(fetchedExpenseType);
+
+        const { changeAllowed } = await documentStatusCheck(
+          t,
+          APP_ACTIVITY_ID.EXPENSE,
+          BUSOBJCATMAP[BUSOBJCAT.EXPENSE],
+          idToFetch,
+          fetchedExpenseType,
+          fetchedExpenseExtStatus,
+          setCurrentStatus,
+          setListOfNextStatus
+        );
+
+        if (!changeAllowed) {
+          setIsLocked(true);
+        } else {
+          setOrClearLock(
+            "set",
+            BUSOBJCATMAP[BUSOBJCAT.EXPENSE],
+            idToFetch,
+            setIsLocked,
+            setLoading
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Error in loading expense detail: ", error);
+    }
+  };
+
+  /**
+   * Fetches the expense claim and related auxiliary data (process template, claim types, expense types, currencies
+   * and exchange rates).
+   * This function handles both the "create" and "edit" modes and loads the corresponding expense details first
+   * before fetching auxiliary data concurrently.
+   *
+   * @param {boolean} forceLoadExpenseDetail - Ensures `loadExpenseDetail` is always called when true,
+   * especially when the function is triggered from `handleReload` in "edit" mode.
+   * @param {string|null} idToLoad - The specific ID to load, bypassing the state.
+   */
+  const fetchExpenseAndAuxiliaryData = async (
+    forceLoadExpenseDetail = false,
+    idToLoad = null
+  ) => {
+    setLoading(true);
+
+    try {
+      if (isEditMode || forceLoadExpenseDetail) {
+        await loadExpenseDetail(idToLoad);
+      } else {
+        await loadExpenseCreateDetail();
+      }
+
+      // Fetch all auxiliary data concurrently
+      const [
+        processTemplate,
+        claimTypesMap,
+        expenseTypesMap,
+        currencies,
+        rates,
+      ] = await Promise.all([
+        fetchProcessTemplate(statusTemplateExtId),
+        fetchExpenseClaimTypes(),
+        fetchExpenseTypes(),
+        fetchCurrencies(),
+        syncExchangeRates(),
+      ]);
+
+      setItemStatusIDMap(processTemplate || {});
+      setClaimTypeOptions(
+        Object.entries(claimTypesMap).map(([key, value]) => ({
+          label: value["ExpenseClaimType-name"] || key,
+          value: key,
+        }))
+      );
+      setExpenseTypeOptions(
+        Object.entries(expenseTypesMap).map(([key, value]) => ({
+          label: value["ExpenseType-name"] || key,
+          value: key,
+          currency: value["ExpenseType-currency"] || "",
+        }))
+      );
+      setCurrencyOptions(
+        currencies.map((currency) => ({ label: currency, value: currency }))
+      );
+      setExchangeRates(rates);
+    } catch (error) {
+      console.error(
+        "Error fetching expense data or related auxiliary data: ",
+        error
+      );
+      showToast(t("error_fetching_expense_data"), "error");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Memoized function to render the headerLeft with CustomBackButton and title text.
+   */
+  const headerLeft = useCallback(() => {
+    return (
+      <View style={styles.headerLeftContainer}>
+        <CustomBackButton
+          navigation={navigation}
+          hasUnsavedChanges={hasUnsavedChanges()}
+          t={t}
+        />
+        <Text
+          style={styles.headerLeftText}
+          numberOfLines={1}
+          ellipsizeMode="tail"
+        >
+          {isEditMode ? t("expense_edit") : t("expense_create")}
+        </Text>
+      </View>
+    );
+  }, [hasUnsavedChanges, isEditMode, t]);
+
+  /**
+   * Memoized function to render the headerRight with multiple buttons.
+   * The function re-renders only when `isEditMode`, `isLocked`, `loading` or `updatedValues` change.
+   */
+  const headerRight = useCallback(() => {
+    return (
+      <View style={styles.headerRightContainer}>
+        <CustomButton
+          onPress={handleLock}
+          label=""
+          icon={{
+            name: isLocked ? "lock" : "lock-open-variant",
+            library: "MaterialCommunityIcons",
+            size: 24,
+          }}
+          disabled={!isEditMode || loading}
+        />
+        <CustomButton
+          onPress={handleReload}
+          label=""
+          icon={{
+            name: "refresh-circle",
+            library: "MaterialCommunityIcons",
+            size: 24,
+          }}
+          disabled={!isEditMode || loading}
+        />
+        <CustomButton
+          onPress={handleDelete}
+          label=""
+          icon={{
+            name: "delete",
+            library: "MaterialCommunityIcons",
+            size: 24,
+          }}
+          disabled={!isEditMode || loading || isLocked}
+        />
+        <CustomButton
+          onPress={handleSave}
+          label=""
+          icon={{
+            name: "content-save",
+            library: "MaterialCommunityIcons",
+            size: 24,
+          }}
+          disabled={
+            loading || isLocked || Object.keys(updatedValues)?.length === 0
+          }
+        />
+      </View>
+    );
+  }, [isEditMode, isLocked, loading, updatedValues]);
+
+  /**
+   * Stores an exchange rate entered by the user, so that the line items in its currency can be converted.
+   * @param {Object} exchangeRate - The exchange rate ({ fromCurrency, toCurrency, rate, date }).
+   */
+  const handleExchangeRateSave = async (exchangeRate) => {
+    const updatedRates = await saveUserExchangeRate(exchangeRate);
+    setExchangeRates(updatedRates);
+  };
+
+  /**
+   * Opens the receipt capture mode of the image picker.
+   * The values read from the receipt are passed back as the `scannedReceipt` route parameter.
+   */
+  const handleScanReceipt = () => {
+    navigation.navigate("CustomImagePicker", {
+      captureMode: "receipt",
+      returnScreen: "ExpenseDetail",
+      knownCurrencies: currencyOptions.map((option) => option.value),
+    });
+  };
+
+  /**
+   * Clears the scanned receipt once its line item is opened, so that it is not opened again.
+   */
+  const handleScannedReceiptHandled = () => {
+    navigation.setParams({ scannedReceipt: undefined });
+  };
+
+  /**
+   * Sets the header options for the screen, including the custom headerLeft and headerRight components.
+   */
+  useEffect(() => {
+    navigation.setOptions({
+      headerTitle: "",
+      headerLeft: headerLeft,
+      headerRight: headerRight,
+    });
+  }, [headerLeft, headerRight, navigation]);
+
+  /**
+   * This effect is responsible for fetching the expense claim when the component is mounted.
+   * It also ensures that any lock is cleared if the user is in edit mode when the component unmounts.
+   */
+  useEffect(() => {
+    fetchExpenseAndAuxiliaryData();
+
+    return () => {
+      if (isEditMode) {
+        setOrClearLock(
+          "clear",
+          BUSOBJCATMAP[BUSOBJCAT.EXPENSE],
+          expenseId,
+          setIsLocked,
+          setLoading
+        );
+      }
+    };
+  }, []);
+
+  return (
+    <View style={styles.container}>
+      {loading ? (
+        <Loader />
+      ) : (
+        /*
+        The state updates of a loaded expense claim are applied asynchronously,
+        so the tabs are only rendered once the claim type and the status map are available.
+        */
+        (isEditMode ? expenseType : true) &&
+        itemStatusIDMap && (
+          <>
+            <Tab.Navigator screenOptions={{ swipeEnabled: false }}>
+              <Tab.Screen
+                name={t("general")}
+                options={{
+                  tabBarLabel: ({ color }) => (
+                    <Text
+                      numberOfLines={1}
+                      ellipsizeMode="tail"
+                      style={{
+                        color,
+                        fontSize: 14,
+                        textTransform: "uppercase",
+                      }}
+                    >
+                      {t("general")}
+                    </Text>
+                  ),
+                }}
+              >
+                {() => (
+                  <GestureHandlerRootView>
+                    <ExpenseDetailGeneral
+                      busObjCat={BUSOBJCAT.EXPENSE}
+                      busObjId={expenseId}
+                      isParentLocked={isLocked}
+                      isEditMode={isEditMode}
+                      currentStatus={currentStatus}
+                      listOfNextStatus={listOfNextStatus}
+                      handleReload={handleReload}
+                      loading={loading}
+                      onExpenseDetailChange={handleExpenseDetailChange}
+                      employeeInfo={employeeInfo}
+                      scannedReceipt={route?.params?.scannedReceipt}
+                      onScanReceipt={handleScanReceipt}
+                      onScannedReceiptHandled={handleScannedReceiptHandled}
+                      exchangeRates={exchangeRates}
+                      onExchangeRateSave={handleExchangeRateSave}
+                      pickerOptions={{
+                        claimTypeOptions,
+                        expenseTypeOptions,
+                        currencyOptions,
+                      }}
+                      expenseDetails={{
+                        expenseExtId,
+                        expenseType,
+                        expenseEmployeeName,
+                        expenseDate,
+                        expenseExtStatus,
+                        expenseRemark,
+                        expenseItems,
+                        expenseReimbursementCurrency,
+                        expenseTotals: calculateExpenseTotals(expenseItems),
+                      }}
+                    />
+                  </GestureHandlerRootView>
+                )}
+              </Tab.Screen>
+              <Tab.Screen
+                name={t("files")}
+                options={{
+                  tabBarLabel: ({ color }) => (
+                    <Text
+                      numberOfLines={1}
+                      ellipsizeMode="tail"
+                      style={{
+                        color,
+                        fontSize: 14,
+                        textTransform: "uppercase",
+                      }}
+                    >
+                      {t("files")}
+                    </Text>
+                  ),
+                }}
+              >
+                {() => (
+                  <File
+                    busObjCat={BUSOBJCAT.EXPENSE}
+                    busObjId={expenseId}
+                    initialFilesIdList={expenseFiles}
+                    isParentLocked={isLocked}
+                  />
+                )}
+              </Tab.Screen>
+              <Tab.Screen
+                name={t("comments")}
+                options={{
+                  tabBarLabel: ({ color }) => (
+                    <Text
+                      numberOfLines={1}
+                      ellipsizeMode="tail"
+                      style={{
+                        color,
+                        fontSize: 14,
+                        textTransform: "uppercase",
+                      }}
+                    >
+                      {t("comments")}
+                    </Text>
+                  ),
+                }}
+              >
+                {() => (
+                  <Comment
+                    busObjCat={BUSOBJCAT.EXPENSE}
+                    busObjId={expenseId}
+                    initialComments={expenseComments}
+                    isParentLocked={isLocked}
+                  />
+                )}
+              </Tab.Screen>
+              <Tab.Screen
+                name={t("history")}
+                options={{
+                  tabBarLabel: ({ color }) => (
+                    <Text
+                      numberOfLines={1}
+                      ellipsizeMode="tail"
+                      style={{
+                        color,
+                        fontSize: 14,
+                        textTransform: "uppercase",
+                      }}
+                    >
+                      {t("history")}
+                    </Text>
+                  ),
+                }}
+              >
+                {() => (
+                  <History busObjCat={BUSOBJCAT.EXPENSE} busObjID={expenseId} />
+                )}
+              </Tab.Screen>
+            </Tab.Navigator>
+          </>
+        )
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  headerLeftContainer: {
+    maxWidth: screenDimension.width / 2,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "flex-start",
+  },
+  headerLeftText: {
+    fontSize: screenDimension.width > 400 ? 18 : 16,
+    fontWeight: "bold",
+    color: "white",
+  },
+  headerRightContainer: {
+    maxWidth: screenDimension.width / 2,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "flex-end",
+    columnGap: 8,
+  },
+});
+
+export default ExpenseDetail;
@@ -0,0 +1,832 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  Alert,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+
+import { useTranslation } from "react-i18next";
+import { format, isValid, parseISO } from "date-fns";
+
+import CustomButton from "../components/CustomButton";
+import CustomStatus from "../components/CustomStatus";
+import CustomPicker from "../components/CustomPicker";
+import CustomDateTimePicker from "../components/CustomDateTimePicker";
+import CustomTextInput from "../components/CustomTextInput";
+import EditDialog from "../components/dialogs/EditDialog";
+
+import ExpenseDetailItemEditor from "./ExpenseDetailItemEditor";
+
+import { APP, BUSOBJCATMAP, PREFERRED_LANGUAGES } from "../constants";
+import {
+  calculateTotalInCurrency,
+  convertAmount,
+  getPredominantCurrency,
+} from "../utils/CurrencyUtils";
+import { createExpenseItem } from "../utils/ExpenseUtils";
+import { convertReceiptToExpenseItem } from "../utils/ReceiptUtils";
+import {
+  convertAmountToDisplayFormat,
+  convertToDateFNSFormat,
+  getRemarkText,
+  setRemarkText,
+} from "../utils/FormatUtils";
+import { screenDimension } from "../utils/ScreenUtils";
+
+/**
+ * ExpenseDetailGeneral - A component for displaying and editing the header and the line items of an expense claim.
+ *
+ * @param {Object} props - The props passed to the component.
+ * @param {string} props.busObjCat - The business object category.
+ * @param {string} props.busObjId - The business object ID.
+ * @param {boolean} props.isParentLocked - Determines if the parent fields are locked.
+ * @param {boolean} props.isEditMode - Flag indicating if the form is in edit mode.
+ * @param {Object} props.currentStatus - The current status of the expense claim.
+ * @param {Array} props.listOfNextStatus - List of next possible statuses.
+ * @param {Function} props.handleReload - Callback function to reload data.
+ * @param {boolean} props.loading - Flag indicating if data is loading.
+ * @param {Function} props.onExpenseDetailChange - Callback function to handle updates to the expense details.
+ *   It accepts an object containing the field name and its new value.
+ * @param {Object} props.employeeInfo - The employee information, used to offer the projects assigned to the employee.
+ * @param {Object} props.scannedReceipt - The values read from a scanned receipt, used to prefill a new line item.
+ * @param {Function} props.onScanReceipt - Callback function to open the receipt capture mode.
+ * @param {Function} props.onScannedReceiptHandled - Callback function called once the scanned receipt is opened as a line item.
+ * @param {Array<Object>} props.exchangeRates - The exchange rate table, used to convert the line items into the reimbursement currency.
+ * @param {Function} props.onExchangeRateSave - Callback function to store an exchange rate entered by the user.
+ * @param {Object} props.pickerOptions - Picker options for claim types, expense types and currencies.
+ * @param {Object} props.expenseDetails - The details of the expense claim.
+ * @returns {JSX.Element} - The rendered component.
+ */
+const ExpenseDetailGeneral = ({
+  busObjCat,
+  busObjId,
+  isParentLocked,
+  isEditMode,
+  currentStatus,
+  listOfNextStatus,
+  handleReload,
+  loading,
+  onExpenseDetailChange,
+  employeeInfo,
+  scannedReceipt,
+  onScanReceipt,
+  onScannedReceiptHandled,
+  exchangeRates = [],
+  onExchangeRateSave,
+  pickerOptions,
+  expenseDetails,
+}) => {
+  const { t, i18n } = useTranslation();
+  const lang = i18n.language;
+
+  const {
+    expenseExtId,
+    expenseType,
+    expenseEmployeeName,
+    expenseDate,
+    expenseExtStatus,
+    expenseRemark,
+    expenseItems,
+    expenseReimbursementCurrency,
+    expenseTotals,
+  } = expenseDetails;
+
+  const {
+    claimTypeOptions = [],
+    expenseTypeOptions = [],
+    currencyOptions = [],
+  } = pickerOptions;
+
+  const [localExpenseType, setLocalExpenseType] = useState(expenseType);
+  const [localExpenseDate, setLocalExpenseDate] = useState(
+    expenseDate ? new Date(expenseDate) : new Date()
+  );
+  const [localRemark, setLocalRemark] = useState(
+    getRemarkText(expenseRemark, lang, PREFERRED_LANGUAGES)
+  );
+  const [isEditingItem, setIsEditingItem] = useState(false);
+  const [isItemEditMode, setIsItemEditMode] = useState(false);
+  const [currentItem, setCurrentItem] = useState({});
+  const [currentItemIndex, setCurrentItemIndex] = useState(-1);
+  const [isReceiptItem, setIsReceiptItem] = useState(false);
+  const [exchangeRateRequest, setExchangeRateRequest] = useState(null);
+
+  // A new claim has no reimbursement currency yet, so its line items are converted into their most frequent currency
+  const reimbursementCurrency =
+    expenseReimbursementCurrency || getPredominantCurrency(expenseItems);
+
+  // The total in the reimbursement currency is only shown if some line items are in another currency
+  const reimbursementTotal = expenseItems.some(
+    (item) => item.currency && item.currency !== reimbursementCurrency
+  )
+    ? calculateTotalInCurrency(
+        expenseItems,
+        reimbursementCurrency,
+        exchangeRates
+      )
+    : null;
+
+  /**
+   * Formats a date in the date format of the user.
+   *
+   * @param {Date|string} date - The date to format.
+   * @returns {string} - The formatted date, or an empty string for an invalid date.
+   */
+  const formatDate = useCallback((date) => {
+    const dateToFormat = new Date(date);
+
+    return isValid(dateToFormat)
+      ? format(dateToFormat, convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT))
+      : "";
+  }, []);
+
+  /**
+   * Formats an amount with its currency.
+   *
+   * @param {string|number} amount - The amount to format.
+   * @param {string} currency - The currency code (e.g., "USD").
+   * @returns {string} - The formatted amount.
+   */
+  const formatAmount = (amount, currency) =>
+    convertAmountToDisplayFormat({ amount: parseFloat(amount) || 0, currency });
+
+  /**
+   * Inputs of the dialog to enter an exchange rate. Memoized, as the dialog resets its values whenever they change.
+   */
+  const exchangeRateInputsConfigs = useMemo(
+    () => [
+      {
+        id: "rate",
+        type: "text",
+        keyboardType: "decimal-pad",
+        placeholder: "1.0000",
+        initialValue: exchangeRateRequest?.rate
+          ? String(exchangeRateRequest.rate)
+          : "",
+        validateInput: ({ rate }) =>
+          parseFloat(rate.replace(",", ".")) > 0
+            ? null
+            : t("exchange_rate_invalid_message"),
+      },
+    ],
+    [exchangeRateRequest, t]
+  );
+
+  const handleExchangeRateConfirm = ({ rate }) => {
+    const { fromCurrency, toCurrency, date } = exchangeRateRequest;
+
+    onExchangeRateSave({
+      fromCurrency,
+      toCurrency,
+      rate: parseFloat(rate.replace(",", ".")),
+      date,
+    });
+  };
+
+  /**
+   * Renders the amount of a line item in the reimbursement currency, together with the applied rate and its date.
+   * Pressing it opens the dialog to enter the rate of the day of the line item.
+   *
+   * @param {Object} item - The line item.
+   * @returns {JSX.Element|null} - The converted amount, or null if the line item is in the reimbursement currency.
+   */
+  const renderConvertedAmount = (item) => {
+    if (
+      !reimbursementCurrency ||
+      !item.currency ||
+      item.currency === reimbursementCurrency
+    ) {
+      return null;
+    }
+
+    const convertedAmount = convertAmount(
+      item,
+      reimbursementCurrency,
+      exchangeRates,
+      item.date
+    );
+
+    const openExchangeRateDialog = () =>
+      setExchangeRateRequest({
+        fromCurrency: item.currency,
+        toCurrency: reimbursementCurrency,
+        date: item.date,
+        rate: convertedAmount?.rate,
+      });
+
+    return (
+      <TouchableOpacity onPress={openExchangeRateDialog}>
+        {convertedAmount ? (
+          <Text style={styles.convertedAmountText}>
+            {t("exchange_rate_info", {
+              amount: formatAmount(
+                convertedAmount.amount,
+                reimbursementCurrency
+              ),
+              rate: convertedAmount.rate.toFixed(4),
+              date: convertedAmount.rateDate
+                ? formatDate(parseISO(convertedAmount.rateDate))
+                : "-",
+            })}
+          </Text>
+        ) : (
+          <Text style={styles.missingRateText}>
+            {t("exchange_rate_missing_message", {
+              fromCurrency: item.currency,
+              toCurrency: reimbursementCurrency,
+            })}
+          </Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  /**
+   * Propagates a changed field to the parent.
+   *
+   * @param {string} field - The name of the field.
+   * @param {*} value - The new value of the field.
+   */
+  const handleFieldChange = useCallback(
+    (field, value) => {
+      onExpenseDetailChange({ [field]: value });
+    },
+    [onExpenseDetailChange]
+  );
+
+  const handleExpenseTypeChange = (value) => {
+    setLocalExpenseType(value);
+    handleFieldChange("expenseType", value);
+  };
+
+  const handleExpenseDateChange = (date) => {
+    setLocalExpenseDate(date);
+    handleFieldChange("expenseDate", date);
+  };
+
+  const handleRemarkChange = useCallback(
+    (value) => {
+      setLocalRemark(value);
+      const updatedExpenseRemark = setRemarkText(expenseRemark, lang, value);
+      handleFieldChange("expenseRemark", updatedExpenseRemark);
+    },
+    [expenseRemark, lang, handleFieldChange]
+  );
+
+  const handleCreateItemClick = () => {
+    // Default to the claim date and the currency of the last line item
+    const lastItem = expenseItems[expenseItems.length - 1];
+
+    setIsItemEditMode(false);
+    setIsReceiptItem(false);
+    setCurrentItemIndex(-1);
+    setCurrentItem(createExpenseItem(localExpenseDate, lastItem?.currency));
+    setIsEditingItem(true);
+  };
+
+  const handleEditItemClick = (item, index) => {
+    setIsItemEditMode(true);
+    setIsReceiptItem(false);
+    setCurrentItemIndex(index);
+    setCurrentItem(item);
+    setIsEditingItem(true);
+  };
+
+  const handleDeleteItemClick = (item, index) => {
+    Alert.alert(
+      t("delete_item"),
+      t("delete_expense_item_confirmation", {
+        expenseType: item.expenseTypeText || "",
+      }),
+      [
+        {
+          text: t("cancel"),
+          style: "cancel",
+        },
+        {
+          text: t("confirm"),
+          onPress: () =>
+            handleFieldChange(
+              "expenseItems",
+              expenseItems.filter((_, itemIndex) => itemIndex !== index)
+            ),
+        },
+      ],
+      { cancelable: false }
+    );
+  };
+
+  /**
+   * Opens a new line item prefilled with the values of a scanned receipt, so that the user can check and confirm them.
+   */
+  useEffect(() => {
+    if (!scannedReceipt) {
+      return;
+    }
+
+    const lastItem = expenseItems[expenseItems.length - 1];
+
+    setIsItemEditMode(false);
+    setIsReceiptItem(true);
+    setCurrentItemIndex(-1);
+    setCurrentItem(
+      convertReceiptToExpenseItem(
+        scannedReceipt,
+        localExpenseDate,
+        lastItem?.currency,
+        lang
+      )
+    );
+    setIsEditingItem(true);
+
+    onScannedReceiptHandled();
+  }, [scannedReceipt]);
+
+  const handleCancelEditItem = () => {
+    setIsEditingItem(false);
+    setCurrentItem({});
+  };
+
+  /**
+   * Adds the confirmed line item to the expense claim, or replaces the edited one.
+   *
+   * @param {Object} editedItem - The line item with updated values.
+   */
+  const handleConfirmCreateOrEditItem = (editedItem) => {
+    const items = [...expenseItems];
+
+    if (currentItemIndex !== -1) {
+      items[currentItemIndex] = editedItem;
+    } else {
+      items.push(editedItem);
+    }
+
+    handleFieldChange("expenseItems", items);
+
+    setIsEditingItem(false);
+    setCurrentItem({});
+  };
+
+  /**
+   * Renders the line items of the expense claim as cards.
+   *
+   * @returns {JSX.Element} - The rendered line items, or a message if there are none.
+   */
+  const renderExpenseItems = () => {
+    if (expenseItems.length === 0) {
+      return (
+        <View style={styles.emptyMessageContainer}>
+          <Text style={styles.emptyMessageText}>
+            {t("no_expense_items_found")}
+          </Text>
+        </View>
+      );
+    }
+
+    return expenseItems.map((item, index) => (
+      <View key={index} style={styles.itemsCardContainer}>
+        <View style={styles.itemsCardHeader}>
+          <View style={styles.remarkContainer}>
+            <Text
+              style={styles.itemsCardTitle}
+              numberOfLines={1}
+              ellipsizeMode="tail"
+            >
+              {item.expenseTypeText || item.expenseTypeId}
+            </Text>
+          </View>
+
+          <View style={styles.itemButtonContainer}>
+            <View style={styles.editButtonContainer}>
+              <CustomButton
+                onPress={() => handleEditItemClick(item, index)}
+                label=""
+                icon={{
+                  name: !isParentLocked ? "square-edit-outline" : "eye-outline",
+                  library: "MaterialCommunityIcons",
+                  size: 24,
+                  color: "#005eb8",
+                }}
+                backgroundColor={false}
+                style={{ paddingHorizontal: 0, paddingVertical: 0 }}
+              />
+            </View>
+            {!isParentLocked && (
+              <View style={styles.deleteButtonContainer}>
+                <CustomButton
+                  onPress={() => handleDeleteItemClick(item, index)}
+                  label=""
+                  icon={{
+                    name: "trash-can-outline",
+                    library: "MaterialCommunityIcons",
+                    size: 24,
+                    color: "#d9534f",
+                  }}
+                  backgroundColor={false}
+                  style={{ paddingHorizontal: 0, paddingVertical: 0 }}
+                />
+              </View>
+            )}
+          </View>
+        </View>
+        <View style={styles.itemsCardSeparator} />
+        <View style={styles.itemsCardFirstRow}>
+          <View>
+            <Text style={styles.itemsCardFirstRowLabel}>{t("date")}</Text>
+            <Text>{formatDate(item.date)}</Text>
+          </View>
+          {item.projectExtId ? (
+            <View style={styles.projectContainer}>
+              <Text style={styles.itemsCardFirstRowLabel}>
+                {t("project")} ID
+              </Text>
+              <Text numberOfLines={1} ellipsizeMode="tail">
+                {item.projectExtId}
+              </Text>
+            </View>
+          ) : null}
+          <View style={styles.amountContainer}>
+            <Text style={styles.itemsCardFirstRowLabel}>{t("amount")}</Text>
+            <Text style={styles.amountText}>
+              {formatAmount(item.amount, item.currency)}
+            </Text>
+          </View>
+        </View>
+        {renderConvertedAmount(item)}
+        <Text style={styles.itemRemark} numberOfLines={1} ellipsizeMode="tail">
+          {getRemarkText(item.remark, lang, PREFERRED_LANGUAGES) ||
+            `${t("no_remarks_available")}...`}
+        </Text>
+      </View>
+    ));
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        {/* Horizontal ScrollView for the total and status section */}
+        <ScrollView
+          horizontal
+          contentContainerStyle={styles.horizontalScrollContent}
+        >
+          <View style={styles.totalContainer}>
+            <Text style={styles.totalLabel}>{t("total")}:</Text>
+            <Text style={styles.totalValue}>
+              {expenseTotals.length > 0
+                ? expenseTotals
+                    .map(({ amount, currency }) =>
+                      formatAmount(amount, currency)
+                    )
+                    .join(" + ")
+                : "-"}
+            </Text>
+          </View>
+          {reimbursementTotal && (
+            <View style={styles.totalContainer}>
+              <Text style={styles.totalLabel}>{t("reimbursement_total")}:</Text>
+              <Text style={styles.totalValue}>
+                {formatAmount(
+                  reimbursementTotal.amount,
+                  reimbursementTotal.currency
+                )}
+              </Text>
+              {reimbursementTotal.missingCurrencies.length > 0 && (
+                <Text style={styles.missingRateText}>
+                  {" "}
+                  {t("exchange_rate_excluded_message", {
+                    currencies: reimbursementTotal.missingCurrencies.join(", "),
+                  })}
+                </Text>
+              )}
+            </View>
+          )}
+          <View style={styles.statusContainer}>
+            <CustomStatus
+              busObjCat={BUSOBJCATMAP[busObjCat]}
+              busObjId={busObjId}
+              busObjType={expenseType}
+              busObjExtStatus={expenseExtStatus}
+              isParentLocked={isParentLocked}
+              isEditMode={isEditMode}
+              currentStatus={currentStatus}
+              listOfNextStatus={listOfNextStatus}
+              handleReload={handleReload}
+              loading={loading}
+            />
+          </View>
+        </ScrollView>
+      </View>
+
+      {(expenseExtId || expenseEmployeeName) && (
+        /* Claim number and employee name */
+        <Text style={styles.topRow} numberOfLines={1} ellipsizeMode="tail">
+          {[expenseExtId, expenseEmployeeName].filter(Boolean).join(" - ")}
+        </Text>
+      )}
+
+      <ScrollView contentContainerStyle={styles.detailContainer}>
+        <View style={styles.row}>
+          {/* Claim Type */}
+          <View style={styles.firstColumn}>
+            <Text style={styles.label} numberOfLines={1} ellipsizeMode="tail">
+              {t("expense_claim_type")}
+            </Text>
+            {claimTypeOptions?.length > 0 && (
+              <CustomPicker
+                containerStyle={styles.inputBorder}
+                items={claimTypeOptions}
+                initialValue={localExpenseType}
+                onFilter={handleExpenseTypeChange}
+                hideSearchInput={true}
+                disabled={isParentLocked || isEditMode}
+                accessibilityLabel="Expense claim type picker"
+                accessibilityRole="dropdownlist"
+                testID="expense-claim-type-picker"
+              />
+            )}
+          </View>
+          {/* Claim Date */}
+          <View style={styles.secondColumn}>
+            <Text style={styles.label}>{t("date")}</Text>
+            <CustomDateTimePicker
+              placeholder={""}
+              value={localExpenseDate}
+              isTimePickerVisible={false}
+              showClearButton={false}
+              isDisabled={isParentLocked}
+              onFilter={handleExpenseDateChange}
+              style={{ pickerContainer: styles.pickerContainer }}
+            />
+          </View>
+        </View>
+
+        {/* Remark */}
+        <View style={styles.detailItem}>
+          <Text style={styles.label}>{t("remark")}</Text>
+          <CustomTextInput
+            value={localRemark}
+            placeholder={""}
+            onChangeText={handleRemarkChange}
+            containerStyle={[styles.inputBorder, styles.inputBorderRadius]}
+            editable={!isParentLocked}
+          />
+        </View>
+
+        {/* Line Items */}
+        <View style={styles.itemsHeader}>
+          <Text style={styles.label}>
+            {t("expense_items")} ({expenseItems.length})
+          </Text>
+          <View style={styles.itemsHeaderButtons}>
+            <CustomButton
+              onPress={onScanReceipt}
+              label=""
+              icon={{
+                name: "receipt",
+                library: "MaterialCommunityIcons",
+                size: 24,
+                color: "#fff",
+              }}
+              disabled={isParentLocked}
+              style={styles.addItemButton}
+              accessibilityLabel={t("scan_receipt")}
+            />
+            <CustomButton
+              onPress={handleCreateItemClick}
+              label=""
+              icon={{
+                name: "plus",
+                library: "MaterialCommunityIcons",
+                size: 24,
+                color: "#fff",
+              }}
+              disabled={isParentLocked}
+              style={styles.addItemButton}
+              accessibilityLabel={t("add_expense_item")}
+            />
+          </View>
+        </View>
+        {renderExpenseItems()}
+      </ScrollView>
+
+      <EditDialog
+        isVisible={!!exchangeRateRequest}
+        onClose={() => setExchangeRateRequest(null)}
+        onConfirm={handleExchangeRateConfirm}
+        title={t("enter_exchange_rate", {
+          fromCurrency: exchangeRateRequest?.fromCurrency,
+          toCurrency: exchangeRateRequest?.toCurrency,
+        })}
+        inputsConfigs={exchangeRateInputsConfigs}
+      />
+
+      {isEditingItem && (
+        <ExpenseDetailItemEditor
+          item={currentItem}
+          expenseTypeOptions={expenseTypeOptions}
+          currencyOptions={currencyOptions}
+          onConfirm={handleConfirmCreateOrEditItem}
+          onCancel={handleCancelEditItem}
+          isItemEditMode={isItemEditMode}
+          isReceiptItem={isReceiptItem}
+          isParentLocked={isParentLocked}
+          employeeInfo={employeeInfo}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#e5eef7",
+  },
+  header: {
+    padding: "2%",
+    borderBottomWidth: 1,
+    borderBottomColor: "#ccc",
+    backgroundColor: "#fff",
+    elevation: 5,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.6,
+    shadowRadius: 2,
+  },
+  topRow: {
+    flexDirection: "row",
+    textAlign: "center",
+    fontWeight: "bold",
+    marginTop: "2%",
+    paddingVertical: "1%",
+    backgroundColor: "#fff",
+  },
+  horizontalScrollContent: {
+    flexGrow: 1,
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  totalContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginRight: 10,
+  },
+  totalLabel: {
+    fontWeight: "bold",
+    marginRight: 5,
+  },
+  totalValue: {
+    color: "green",
+    fontWeight: "bold",
+  },
+  statusContainer: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    alignItems: "center",
+  },
+  detailContainer: {
+    padding: "2%",
+    marginTop: "2%",
+    backgroundColor: "#fff",
+    paddingBottom: screenDimension.height / 4,
+  },
+  detailItem: {
+    marginBottom: "2%",
+  },
+  label: {
+    color: "#333",
+    fontSize: 14,
+    fontWeight: "bold",
+    marginBottom: 5,
+  },
+  row: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginBottom: 12,
+    columnGap: 16,
+  },
+  firstColumn: { flex: 6 },
+  secondColumn: { flex: 4 },
+  inputBorder: {
+    borderWidth: 0.5,
+    borderColor: "lightgray",
+  },
+  inputBorderRadius: {
+    borderRadius: 8,
+  },
+  pickerContainer: {
+    borderWidth: 0.5,
+    padding: "2%",
+    borderColor: "lightgray",
+  },
+  itemsHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginTop: 12,
+  },
+  convertedAmountText: {
+    color: "#34495e",
+    fontSize: 12,
+    textAlign: "right",
+    marginTop: 4,
+  },
+  missingRateText: {
+    color: "#d9534f",
+    fontSize: 12,
+    textAlign: "right",
+    marginTop: 4,
+  },
+  itemsHeaderButtons: {
+    flexDirection: "row",
+    alignItems: "center",
+    columnGap: 8,
+  },
+  addItemButton: {
+    paddingHorizontal: 6,
+    paddingVertical: 6,
+    borderRadius: 8,
+    backgroundColor: "#005eb8",
+  },
+  itemsCardContainer: {
+    width: "100%",
+    backgroundColor: "#fff",
+    borderWidth: 0.5,
+    borderRadius: 5,
+    paddingVertical: "2%",
+    paddingHorizontal: "4%",
+    marginVertical: 8,
+    elevation: 5,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.6,
+    shadowRadius: 2,
+  },
+  itemsCardHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  itemsCardTitle: {
+    fontWeight: "bold",
+  },
+  remarkContainer: {
+    flex: 1,
+    marginRight: 10,
+  },
+  itemButtonContainer: {
+    flexDirection: "row",
+  },
+  editButtonContainer: {
+    width: 35,
+    alignItems: "flex-end",
+  },
+  deleteButtonContainer: {
+    width: 35,
+    alignItems: "flex-end",
+  },
+  itemsCardSeparator: {
+    borderBottomColor: "#ccc",
+    borderBottomWidth: 1,
+    marginVertical: "2%",
+  },
+  itemsCardFirstRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  itemsCardFirstRowLabel: {
+    fontWeight: "bold",
+  },
+  projectContainer: {
+    flexShrink: 1,
+    marginHorizontal: 8,
+  },
+  amountContainer: {
+    alignItems: "flex-end",
+  },
+  amountText: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "green",
+  },
+  itemRemark: {
+    marginTop: "2%",
+    color: "#666",
+  },
+  emptyMessageContainer: {
+    justifyContent: "flex-start",
+    alignItems: "center",
+    padding: "4%",
+  },
+  emptyMessageText: {
+    fontSize: 16,
+    color: "#666",
+    textAlign: "center",
+  },
+});
+
+export default ExpenseDetailGeneral;
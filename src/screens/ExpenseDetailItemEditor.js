@@ -0,0 +1,363 @@
+import React, { useState } from "react";
+import {
+  Alert,
+  Button,
+  Modal,
+  SafeAreaView,
+  StyleSheet,
+  Text,
+  View,
+} from "react-native";
+import { useTranslation } from "react-i18next";
+import { ScrollView } from "react-native-gesture-handler";
+
+import CustomDateTimePicker from "../components/CustomDateTimePicker";
+import CustomPicker from "../components/CustomPicker";
+import CustomRemotePicker from "../components/CustomRemotePicker";
+import CustomTextInput from "../components/CustomTextInput";
+
+import { APP, APP_NAME, INTSTATUS, PREFERRED_LANGUAGES } from "../constants";
+import { validateExpenseItem } from "../utils/ExpenseUtils";
+import {
+  getRemarkText,
+  isEqual,
+  normalizeDateToUTC,
+  setRemarkText,
+} from "../utils/FormatUtils";
+
+/**
+ * ExpenseDetailItemEditor - A modal for creating or editing a line item of an expense claim.
+ *
+ * @param {Object} props - The props passed to the component.
+ * @param {Object} props.item - The line item to edit.
+ * @param {Array<Object>} props.expenseTypeOptions - The selectable expense types ({ label, value, currency }).
+ * @param {Array<Object>} props.currencyOptions - The selectable currencies ({ label, value }).
+ * @param {Function} props.onConfirm - Callback function called with the edited line item.
+ * @param {Function} props.onCancel - Callback function called when editing is cancelled.
+ * @param {boolean} props.isItemEditMode - Flag indicating if an existing line item is edited.
+ * @param {boolean} props.isReceiptItem - Flag indicating if the line item is prefilled from a scanned receipt.
+ * @param {boolean} props.isParentLocked - Determines if the line item is read-only.
+ * @param {Object} props.employeeInfo - The employee information, used to offer the projects assigned to the employee.
+ * @returns {JSX.Element} - The rendered component.
+ */
+const ExpenseDetailItemEditor = ({
+  item,
+  expenseTypeOptions,
+  currencyOptions,
+  onConfirm,
+  onCancel,
+  isItemEditMode,
+  isReceiptItem,
+  isParentLocked,
+  employeeInfo,
+}) => {
+  const { t, i18n } = useTranslation();
+  const lang = i18n.language;
+
+  const { personId } = employeeInfo;
+
+  const [editedItem, setEditedItem] = useState({ ...item });
+  const [initialItem] = useState({ ...item });
+
+  const handleDateChange = (date) => {
+    setEditedItem({ ...editedItem, date: normalizeDateToUTC(date) });
+  };
+
+  const handleExpenseTypeChange = (value) => {
+    const expenseTypeOption = expenseTypeOptions.find(
+      (option) => option.value === value
+    );
+
+    setEditedItem({
+      ...editedItem,
+      expenseTypeId: value ?? "",
+      expenseTypeText: expenseTypeOption?.label ?? "",
+      // Preset the default currency of the expense type if none was chosen yet
+      currency: editedItem.currency || expenseTypeOption?.currency || "",
+    });
+  };
+
+  const handleAmountChange = (value) => {
+    // Accept a comma as decimal separator as well
+    setEditedItem({ ...editedItem, amount: value.replace(",", ".") });
+  };
+
+  const handleCurrencyChange = (value) => {
+    setEditedItem({ ...editedItem, currency: value ?? "" });
+  };
+
+  const handleProjectChange = ({ value, label, additionalData }) => {
+    setEditedItem({
+      ...editedItem,
+      projectId: value ?? "",
+      projectText: label ?? "",
+      projectExtId: additionalData?.extID ?? "",
+    });
+  };
+
+  const handleRemarkChange = (text) => {
+    const updatedRemark = setRemarkText(editedItem.remark, lang, text);
+    setEditedItem({ ...editedItem, remark: updatedRemark });
+  };
+
+  const remarkText = getRemarkText(
+    editedItem.remark,
+    lang,
+    PREFERRED_LANGUAGES
+  );
+
+  const handleConfirm = () => {
+    if (!validateExpenseItem(editedItem, t)) {
+      return;
+    }
+
+    onConfirm(editedItem);
+  };
+
+  const handleCancel = () => {
+    if (!isEqual(editedItem, initialItem)) {
+      Alert.alert(
+        t("unsaved_changes_title"),
+        t("unsaved_changes_message"),
+        [
+          {
+            text: t("cancel"),
+            style: "cancel",
+          },
+          {
+            text: t("discard"),
+            style: "destructive",
+            onPress: onCancel,
+          },
+        ],
+        { cancelable: false }
+      );
+    } else {
+      // No changes, directly cancel
+      onCancel();
+    }
+  };
+
+  const commonQueryParams = {
+    filterQueryValue: "",
+    userID: APP.LOGIN_USER_ID,
+    client: parseInt(APP.LOGIN_USER_CLIENT),
+    language: APP.LOGIN_USER_LANGUAGE,
+    testMode: "",
+    appName: APP_NAME.EXPENSE,
+    intStatus: JSON.stringify([INTSTATUS.ACTIVE, 1]),
+    page: 1,
+    start: 0,
+    limit: 20,
+  };
+
+  const projectQueryParams = {
+    fields: [
+      "ProjectWBS-id",
+      "ProjectWBS-extID",
+      "ProjectWBS-text",
+      "ProjectWBS-text:text",
+      "ProjectWBS-text-text",
+      "ProjectWBS-assigned",
+      "ProjectWBS-percentComplete",
+    ],
+    where: [
+      {
+        fieldName: "ProjectWBS-assigned",
+        operator: "in",
+        value: personId,
+      },
+      { fieldName: "ProjectWBS-percentComplete", operator: "!=", value: 100 },
+    ],
+    sort: [
+      {
+        property: "ProjectWBS-changedOn",
+        direction: "DESC",
+      },
+      {
+        property: "ProjectWBS-text:text",
+        direction: "ASC",
+      },
+    ],
+  };
+
+  return (
+    <Modal
+      visible={true}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onCancel}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <Text style={styles.modalTitle} numberOfLines={1} ellipsizeMode="tail">
+          {isItemEditMode ? t("expense_edit_item") : t("expense_create_item")}
+        </Text>
+        <ScrollView contentContainerStyle={styles.modalContent}>
+          {isReceiptItem && (
+            <Text style={styles.receiptHint}>{t("receipt_prefill_hint")}</Text>
+          )}
+          <View style={styles.modalInputContainer}>
+            <Text style={styles.modalInputLabel}>{t("date")}</Text>
+            <CustomDateTimePicker
+              placeholder={""}
+              value={editedItem.date ? new Date(editedItem.date) : new Date()}
+              isTimePickerVisible={false}
+              showClearButton={false}
+              isDisabled={isParentLocked}
+              onFilter={handleDateChange}
+              style={{ pickerContainer: styles.pickerContainer }}
+            />
+          </View>
+          <View style={styles.modalInputContainer}>
+            <Text style={styles.modalInputLabel}>{t("expense_type")}</Text>
+            <CustomPicker
+              containerStyle={styles.pickerContainer}
+              items={expenseTypeOptions}
+              initialValue={editedItem.expenseTypeId}
+              onFilter={handleExpenseTypeChange}
+              disabled={isParentLocked}
+              accessibilityLabel="Expense type picker"
+              accessibilityRole="dropdownlist"
+              testID="expense-type-picker"
+            />
+          </View>
+          <View style={styles.rowContainer}>
+            <View style={[styles.modalInputContainer, styles.amountContainer]}>
+              <Text style={styles.modalInputLabel}>{t("amount")}</Text>
+              <CustomTextInput
+                value={editedItem.amount}
+                placeholder={"0.00"}
+                onChangeText={handleAmountChange}
+                showClearButton={false}
+                keyboardType="decimal-pad"
+                containerStyle={styles.modalInput}
+                editable={!isParentLocked}
+              />
+            </View>
+            <View
+              style={[styles.modalInputContainer, styles.currencyContainer]}
+            >
+              <Text style={styles.modalInputLabel}>{t("currency")}</Text>
+              <CustomPicker
+                containerStyle={styles.pickerContainer}
+                items={currencyOptions}
+                initialValue={editedItem.currency}
+                onFilter={handleCurrencyChange}
+                disabled={isParentLocked}
+                accessibilityLabel="Currency picker"
+                accessibilityRole="dropdownlist"
+                testID="currency-picker"
+              />
+            </View>
+          </View>
+          <View style={styles.modalInputContainer}>
+            <CustomRemotePicker
+              queryParams={{
+                queryFields: projectQueryParams,
+                commonQueryParams: commonQueryParams,
+              }}
+              pickerLabel={t("project")}
+              initialAdditionalLabel={editedItem.projectExtId}
+              initialItemLabel={editedItem.projectText}
+              initialItemValue={editedItem.projectId}
+              labelItemField={"ProjectWBS-text:text"}
+              valueItemField={"ProjectWBS-id"}
+              additionalFields={[{ extID: "ProjectWBS-extID" }]}
+              searchFields={["ProjectWBS-text-text", "ProjectWBS-extID"]}
+              multiline={true}
+              onValueChange={handleProjectChange}
+              disabled={isParentLocked}
+            />
+          </View>
+          <View style={styles.modalInputContainer}>
+            <Text style={styles.modalInputLabel}>{t("remark")}</Text>
+            <CustomTextInput
+              value={remarkText}
+              onChangeText={handleRemarkChange}
+              placeholder={`${t("placeholder_remark")}...`}
+              multiline={true}
+              editable={!isParentLocked}
+            />
+          </View>
+        </ScrollView>
+        <View style={styles.modalButtonsContainer}>
+          <Button
+            title={t("confirm")}
+            onPress={handleConfirm}
+            disabled={isParentLocked}
+          />
+          <Button onPress={handleCancel} title={t("cancel")} />
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalContainer: {
+    flex: 1,
+    padding: "4%",
+    justifyContent: "center",
+    backgroundColor: "rgba(0, 0, 0, 0.85)",
+  },
+  modalContent: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: "4%",
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 6,
+  },
+  modalTitle: {
+    color: "#fff",
+    fontSize: 18,
+    fontWeight: "bold",
+    marginBottom: "4%",
+    textAlign: "center",
+  },
+  receiptHint: {
+    color: "#005eb8",
+    fontStyle: "italic",
+    marginBottom: "5%",
+  },
+  modalInputContainer: {
+    marginBottom: "5%",
+  },
+  modalInputLabel: {
+    fontSize: 14,
+    marginBottom: 5,
+    fontWeight: "bold",
+  },
+  modalInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+  },
+  pickerContainer: {
+    borderWidth: 1,
+    borderRadius: 8,
+  },
+  rowContainer: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    columnGap: 16,
+  },
+  amountContainer: {
+    flex: 6,
+  },
+  currencyContainer: {
+    flex: 4,
+  },
+  modalButtonsContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-around",
+    paddingVertical: 20,
+  },
+});
+
+export default ExpenseDetailItemEditor;
@@ -16,12 +16,17 @@ import {
   isDoNotReplaceAnyList,
   uploadBinaryResource,
 } from "../utils/APIUtils";
+import { isLocalId } from "../utils/DraftUtils";
 import { handleDownload, handlePreview } from "../utils/FileUtils";
 import {
   convertBytesToMegaBytes,
   convertToDateFNSFormat,
 } from "../utils/FormatUtils";
 import { showToast } from "../utils/MessageUtils";
+import {
+  checkNetworkConnectivity,
+  queueFileUpload,
+} from "../utils/OfflineUtils";
 import updateFields from "../utils/UpdateUtils";
 
 import {
@@ -95,7 +100,44 @@ const File = ({
       try {
         setIsUpdating(true);
 
-        if (file.isNewlyAdded) {
+        if (
+          file.isNewlyAdded &&
+          (isLocalId(busObjId) || !(await checkNetworkConnectivity()))
+        ) {
+          // Files of documents created offline or picked while offline are uploaded once the connection is restored
+          await queueFileUpload(
+            {
+              busObjCat: BUSOBJCATMAP[busObjCat],
+              busObjId,
+              file: {
+                uri: file.newlyAddedFileLocalUri,
+                name: file.name,
+                mimeType: file.mimeType,
+                attachmentType: file.attachmentType,
+              },
+            },
+            {
+              userID: APP.LOGIN_USER_ID,
+              client: APP.LOGIN_USER_CLIENT,
+              language: APP.LOGIN_USER_LANGUAGE,
+              testMode: TEST_MODE,
+              component: "platform",
+              doNotReplaceAnyList: isDoNotReplaceAnyList(busObjCat),
+              appName: JSON.stringify(getAppNameByCategory(busObjCat)),
+            }
+          );
+
+          // The queued file has no attachment ID yet, it is added to the files of the document by the replay
+          setFiles((prevFiles) =>
+            prevFiles.map((f) =>
+              f.id === file.id
+                ? { ...f, isNewlyAdded: false, isQueued: true }
+                : f
+            )
+          );
+
+          showToast(t("offline_retry_message"), "warning");
+        } else if (file.isNewlyAdded) {
           // Upload newly added files
           const newlyAddedAttachment = await uploadBinaryResource(
             file.newlyAddedFileLocalUri,
@@ -257,8 +299,10 @@ const File = ({
    */
   const updateBusObjCat = async () => {
     try {
-      // Collect file IDs into an array. Defaults to an empty array if no files are provided.
-      const fileIds = files.length > 0 ? files.map((file) => file.id) : [];
+      // Collect file IDs into an array. Queued uploads have no ID yet, the replay adds them to the document.
+      const fileIds = files
+        .filter((file) => !file.isQueued)
+        .map((file) => file.id);
 
       // Prepare form data for the update request.
       let formData = {
@@ -675,8 +719,9 @@ const File = ({
       <View
         style={[
           styles.fileItem,
-          item.hasOwnProperty("isNewlyAdded") &&
-            item["isNewlyAdded"] === true &&
+          ((item.hasOwnProperty("isNewlyAdded") &&
+            item["isNewlyAdded"] === true) ||
+            item.isQueued) &&
             styles.newlyAddedItem,
         ]}
       >
@@ -14,11 +14,16 @@ import {
 import { useTranslation } from "react-i18next";
 
 import { fetchAndCacheResource } from "../utils/APIUtils";
+import {
+  openPendingTimesheetReminder,
+  scheduleTimesheetReminders,
+} from "../utils/ReminderUtils";
 import { screenDimension } from "../utils/ScreenUtils";
 
 import { useCommonStyles } from "../styles/common";
 import { useClientPaths } from "../../context/ClientPathsContext";
 import { useThemeStyles } from "../theme/useThemeStyles";
+import useEmployeeInfo from "../hooks/useEmployeeInfo";
 
 const Home = ({ route, navigation }) => {
   const { t } = useTranslation();
@@ -28,6 +33,8 @@ const Home = ({ route, navigation }) => {
 
   const logoDimension = useMemo(() => screenDimension.width / 2, []);
 
+  const employeeInfo = useEmployeeInfo();
+
   /**
    * Retrieves the client image paths from the ClientPaths context.
    * This includes the paths for the client logo, user photo, and user thumbnail.
@@ -110,6 +117,15 @@ const Home = ({ route, navigation }) => {
     fetchClientDataConcurrently(authenticationResult);
   }, [authenticationResult, fetchClientDataConcurrently]);
 
+  /**
+   * Schedules the timesheet reminders for the logged in user once the home screen is shown after the login,
+   * and opens the timesheet of a reminder that was tapped before the login.
+   */
+  useEffect(() => {
+    scheduleTimesheetReminders(employeeInfo, t);
+    openPendingTimesheetReminder();
+  }, []);
+
   /**
    * Gets the source object for the user image.
    * This function checks the `clientPaths` state for the available user images.
@@ -182,6 +198,16 @@ const Home = ({ route, navigation }) => {
       ),
       headerRight: () => (
         <View style={styles.headerRight}>
+          <TouchableOpacity
+            onPress={() => navigation.navigate("LeaveBalances")}
+            accessibilityLabel={t("navigate_to_leave_balances")}
+          >
+            <MaterialCommunityIcons
+              name="scale-balance"
+              size={30}
+              color="#fff"
+            />
+          </TouchableOpacity>
           <TouchableOpacity
             onPress={() => navigation.navigate("Help")}
             accessibilityLabel={t("navigate_to_help")}
@@ -0,0 +1,396 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  RefreshControl,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { useTranslation } from "react-i18next";
+
+import { MaterialCommunityIcons } from "@expo/vector-icons";
+import { format } from "date-fns";
+
+import { APP } from "../constants";
+
+import {
+  fetchAbsenceTypes,
+  fetchEligibleAbsenceTypes,
+  formatLeaveDuration,
+} from "../utils/AbsenceUtils";
+import { convertToDateFNSFormat } from "../utils/FormatUtils";
+import {
+  BALANCE_DATE,
+  buildLeaveBalances,
+  fetchBalanceAbsences,
+  getBalanceDate,
+} from "../utils/LeaveBalanceUtils";
+import { showToast } from "../utils/MessageUtils";
+
+import CustomBackButton from "../components/CustomBackButton";
+import CustomButton from "../components/CustomButton";
+
+/**
+ * Formats a balance in the unit of its absence type, rounded to two decimals.
+ * @param {number} value - The balance.
+ * @param {boolean} hourly - Whether the absence type is measured in hours.
+ * @returns {string} - The formatted balance.
+ */
+const formatBalance = (value, hourly) =>
+  formatLeaveDuration(Math.round(value * 100) / 100, hourly);
+
+/**
+ * LeaveBalances component shows, for every absence type the user is eligible for, the derived entitlement, the time
+ * taken, the time planned or pending approval, and the remaining balance, as of today or projected to the end of the
+ * year.
+ * Tapping an absence type lists the absences consuming its balance, which can be opened.
+ *
+ * @param {Object} navigation - The navigation object provided by React Navigation.
+ * @returns {JSX.Element} - Rendered component.
+ */
+const LeaveBalances = ({ navigation }) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  // State variables
+  const [balanceDate, setBalanceDate] = useState(BALANCE_DATE.TODAY);
+  const [balances, setBalances] = useState([]);
+  const [expandedExtId, setExpandedExtId] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+
+  /**
+   * Loads the balances of the eligible absence types on the selected date and the absences consuming them.
+   */
+  const loadBalances = useCallback(async () => {
+    setRefreshing(true);
+
+    try {
+      const date = getBalanceDate(balanceDate);
+
+      const [absenceTypesMap, balancesMap, absences] = await Promise.all([
+        fetchAbsenceTypes(),
+        fetchEligibleAbsenceTypes(APP.LOGIN_USER_EMPLOYEE_ID, false, t, date),
+        fetchBalanceAbsences(APP.LOGIN_USER_EMPLOYEE_ID),
+      ]);
+
+      setBalances(
+        buildLeaveBalances(absenceTypesMap, balancesMap, absences, date)
+      );
+    } catch (error) {
+      console.error("Error loading the leave balances:", error);
+      showToast(t("leave_balances_load_failed"), "error");
+    } finally {
+      setRefreshing(false);
+    }
+  }, [balanceDate]);
+
+  useEffect(() => {
+    loadBalances();
+  }, [balanceDate]);
+
+  /**
+   * Effect to load the balances again when the user returns from an absence, which may have been changed.
+   */
+  useEffect(() => {
+    const unsubscribe = navigation.addListener("focus", () => {
+      if (balances.length > 0) {
+        loadBalances();
+      }
+    });
+
+    return unsubscribe;
+  }, [navigation, loadBalances, balances.length]);
+
+  useEffect(() => {
+    navigation.setOptions({
+      headerTitle: t("leave_balances"),
+      headerLeft: () => <CustomBackButton navigation={navigation} t={t} />,
+      headerRight: () => (
+        <CustomButton
+          onPress={() => navigation.navigate("LeavePlanner")}
+          label=""
+          icon={{
+            name: "calendar-question",
+            library: "MaterialCommunityIcons",
+            size: 30,
+            color: "white",
+          }}
+          accessibilityLabel={t("leave_planner")}
+        />
+      ),
+    });
+  }, [navigation, t]);
+
+  const handleAbsencePress = (absence) => {
+    navigation.navigate("AbsenceDetail", {
+      absenceId: absence.id,
+      statusTemplateExtId: absence.statusTemplateExtId,
+    });
+  };
+
+  const dateFormat = convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT);
+
+  const balanceDateOptions = [
+    { label: t("leave_balances_today"), value: BALANCE_DATE.TODAY },
+    { label: t("leave_balances_year_end"), value: BALANCE_DATE.YEAR_END },
+  ];
+
+  const renderFigure = (label, value, hourly, valueStyle) => (
+    <View style={styles.figure}>
+      <Text style={styles.figureLabel} numberOfLines={1}>
+        {label}
+      </Text>
+      <Text style={[styles.figureValue, valueStyle]}>
+        {formatBalance(value, hourly)}
+      </Text>
+    </View>
+  );
+
+  const renderAbsence = (absence, hourly) => (
+    <TouchableOpacity
+      key={absence.id}
+      style={styles.absenceRow}
+      onPress={() => handleAbsencePress(absence)}
+      accessibilityRole="button"
+      testID={`leave-balance-absence-${absence.id}`}
+    >
+      <View style={styles.absenceRowText}>
+        <Text>
+          {`${format(absence.start, dateFormat)} - ${format(
+            absence.end,
+            dateFormat
+          )}`}
+        </Text>
+        <Text style={styles.absenceState}>
+          {absence.taken
+            ? t("leave_balances_taken")
+            : absence.approvalState === "approved"
+            ? t("leave_balances_planned")
+            : t("calendar_pending")}
+        </Text>
+      </View>
+      <Text style={styles.absenceDuration}>
+        {formatBalance(absence.plannedDays, hourly)}
+      </Text>
+      <MaterialCommunityIcons name="chevron-right" size={22} color="#808080" />
+    </TouchableOpacity>
+  );
+
+  const renderBalance = (balance) => {
+    const isExpanded = expandedExtId === balance.extId;
+
+    return (
+      <View key={balance.extId} style={styles.card}>
+        <TouchableOpacity
+          style={styles.cardHeader}
+          onPress={() => setExpandedExtId(isExpanded ? null : balance.extId)}
+          accessibilityRole="button"
+          accessibilityState={{ expanded: isExpanded }}
+          testID={`leave-balance-${balance.extId}`}
+        >
+          <Text style={styles.typeName} numberOfLines={1} ellipsizeMode="tail">
+            {balance.name}
+          </Text>
+          <MaterialCommunityIcons
+            name={isExpanded ? "chevron-up" : "chevron-down"}
+            size={24}
+            color="#005eb8"
+          />
+        </TouchableOpacity>
+        <View style={styles.figures}>
+          {renderFigure(
+            t("leave_balances_derived_entitlement"),
+            balance.derivedEntitlement,
+            balance.hourly
+          )}
+          {renderFigure(
+            t("leave_balances_taken"),
+            balance.taken,
+            balance.hourly
+          )}
+          {renderFigure(
+            t("leave_balances_planned_pending"),
+            balance.planned,
+            balance.hourly
+          )}
+          {renderFigure(
+            t("leave_balances_remaining"),
+            balance.remaining,
+            balance.hourly,
+            balance.remaining < 0 ? styles.negativeValue : styles.remainingValue
+          )}
+        </View>
+        {isExpanded &&
+          (balance.absences.length > 0 ? (
+            balance.absences.map((absence) =>
+              renderAbsence(absence, balance.hourly)
+            )
+          ) : (
+            <Text style={styles.noAbsencesText}>
+              {t("leave_balances_no_absences")}
+            </Text>
+          ))}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.balanceDateContainer}>
+        {balanceDateOptions.map((option) => (
+          <TouchableOpacity
+            key={option.value}
+            style={[
+              styles.balanceDateOption,
+              balanceDate === option.value && styles.selectedBalanceDateOption,
+            ]}
+            onPress={() => setBalanceDate(option.value)}
+            disabled={refreshing}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: balanceDate === option.value }}
+          >
+            <Text
+              style={[
+                styles.balanceDateText,
+                balanceDate === option.value && styles.selectedBalanceDateText,
+              ]}
+            >
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <ScrollView
+        contentContainerStyle={styles.content}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            tintColor="#0000ff"
+            title={t("pull_to_refresh")}
+            titleColor="#0000ff"
+            colors={["#0000ff"]}
+            onRefresh={loadBalances}
+          />
+        }
+      >
+        {balances.length > 0 && (
+          <Text style={styles.hintText}>
+            {t("leave_balances_derived_entitlement_hint")}
+          </Text>
+        )}
+        {balances.map(renderBalance)}
+        {!refreshing && balances.length === 0 && (
+          <Text style={styles.noAbsencesText}>
+            {t("no_eligible_absence_types_found")}
+          </Text>
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
+  content: {
+    padding: "2%",
+  },
+  balanceDateContainer: {
+    flexDirection: "row",
+    padding: "2%",
+    columnGap: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: "#ccc",
+  },
+  balanceDateOption: {
+    flex: 1,
+    padding: 8,
+    borderWidth: 1,
+    borderColor: "#005eb8",
+    borderRadius: 5,
+    alignItems: "center",
+  },
+  selectedBalanceDateOption: {
+    backgroundColor: "#005eb8",
+  },
+  balanceDateText: {
+    color: "#005eb8",
+    fontWeight: "bold",
+  },
+  selectedBalanceDateText: {
+    color: "#fff",
+  },
+  card: {
+    marginBottom: "3%",
+    padding: "3%",
+    borderWidth: 1,
+    borderColor: "#ccc",
+    borderRadius: 8,
+  },
+  cardHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  typeName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  figures: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: "3%",
+  },
+  figure: {
+    flex: 1,
+    alignItems: "center",
+  },
+  figureLabel: {
+    fontSize: 12,
+    color: "#808080",
+  },
+  figureValue: {
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  remainingValue: {
+    color: "green",
+  },
+  negativeValue: {
+    color: "#d9534f",
+  },
+  absenceRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    columnGap: 8,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderColor: "#ccc",
+  },
+  absenceRowText: {
+    flex: 1,
+  },
+  absenceState: {
+    fontSize: 12,
+    color: "#808080",
+  },
+  absenceDuration: {
+    fontWeight: "bold",
+  },
+  noAbsencesText: {
+    marginTop: "3%",
+    textAlign: "center",
+    color: "#808080",
+  },
+  hintText: {
+    marginBottom: "2%",
+    fontSize: 12,
+    color: "#808080",
+  },
+});
+
+export default LeaveBalances;
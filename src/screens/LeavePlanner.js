@@ -0,0 +1,482 @@
+import React, { useEffect, useRef, useState } from "react";
+import { ScrollView, StyleSheet, Text, View } from "react-native";
+import { useTranslation } from "react-i18next";
+
+import { format, isSameDay } from "date-fns";
+
+import { APP } from "../constants";
+
+import {
+  fetchAbsenceTypes,
+  fetchEligibleAbsenceTypes,
+  fetchEmployeeAbsences,
+  fetchListData,
+  formatLeaveDuration,
+  mergeAbsenceData,
+} from "../utils/AbsenceUtils";
+import { convertToDateFNSFormat } from "../utils/FormatUtils";
+import {
+  createLeaveScenario,
+  evaluateLeaveScenario,
+} from "../utils/LeavePlannerUtils";
+import { showToast } from "../utils/MessageUtils";
+import { screenDimension } from "../utils/ScreenUtils";
+
+import CustomBackButton from "../components/CustomBackButton";
+import CustomButton from "../components/CustomButton";
+import CustomDateTimePicker from "../components/CustomDateTimePicker";
+import CustomPicker from "../components/CustomPicker";
+import Loader from "../components/Loader";
+
+import useEmployeeInfo from "../hooks/useEmployeeInfo";
+
+/**
+ * LeavePlanner component lets the user try out tentative absences before requesting them. Each scenario has an
+ * absence type, a start and end date and day fractions; the planner shows its duration on the work calendar, the
+ * balance after the leave, and whether it falls on holidays, overlaps existing absences or is not allowed in the
+ * employment period. No absence is created. Several scenarios are shown side by side to compare them.
+ *
+ * @param {Object} navigation - The navigation object provided by React Navigation.
+ * @returns {JSX.Element} - Rendered component.
+ */
+const LeavePlanner = ({ navigation }) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  const employeeInfo = useEmployeeInfo();
+
+  // State variables
+  const [isLoading, setIsLoading] = useState(false);
+  const [absenceTypes, setAbsenceTypes] = useState({});
+  const [dayFractionOptions, setDayFractionOptions] = useState([]);
+  const [employeeAbsences, setEmployeeAbsences] = useState([]);
+  const [scenarios, setScenarios] = useState([]);
+  const [results, setResults] = useState({});
+
+  // The ID of the next scenario
+  const nextScenarioIdRef = useRef(1);
+
+  /**
+   * Loads the eligible absence types with their balances, the day fractions and the absences of the user.
+   */
+  const loadPlannerData = async () => {
+    setIsLoading(true);
+
+    try {
+      const [absenceTypesMap, eligibleAbsenceTypes, dayFractionsMap, absences] =
+        await Promise.all([
+          fetchAbsenceTypes(),
+          fetchEligibleAbsenceTypes(APP.LOGIN_USER_EMPLOYEE_ID, false, t),
+          fetchListData("DayFraction"),
+          fetchEmployeeAbsences(APP.LOGIN_USER_EMPLOYEE_ID),
+        ]);
+
+      const eligibleTypes = Object.fromEntries(
+        mergeAbsenceData(absenceTypesMap, eligibleAbsenceTypes).filter(
+          ([key]) => eligibleAbsenceTypes[key]
+        )
+      );
+
+      setAbsenceTypes(eligibleTypes);
+      setDayFractionOptions(
+        Object.entries(dayFractionsMap).map(([key, value]) => ({
+          label: value,
+          value: key,
+        }))
+      );
+      setEmployeeAbsences(absences);
+
+      const firstType = Object.keys(eligibleTypes)[0];
+      if (firstType) {
+        addScenario(firstType, eligibleTypes, absences);
+      }
+    } catch (error) {
+      console.error("Error loading the leave planner:", error);
+      showToast(t("error_fetching_absence_data"), "error");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Evaluates a scenario and stores its result. The balances after the leave are stored once they are read.
+   * @param {Object} scenario - The scenario to evaluate.
+   * @param {Object} [types=absenceTypes] - The eligible absence types.
+   * @param {Array<Object>} [absences=employeeAbsences] - The absences of the user.
+   */
+  const evaluateScenario = (
+    scenario,
+    types = absenceTypes,
+    absences = employeeAbsences
+  ) => {
+    const updateResult = (changes) =>
+      setResults((prevResults) => ({
+        ...prevResults,
+        [scenario.id]: { ...prevResults[scenario.id], ...changes },
+      }));
+
+    const absenceTypeData = types[scenario.absenceType];
+    if (!absenceTypeData) {
+      updateResult({ evaluation: null });
+      return;
+    }
+
+    const evaluation = evaluateLeaveScenario(
+      scenario,
+      absenceTypeData,
+      employeeInfo,
+      absences,
+      t,
+      (kpis) => updateResult({ kpis }),
+      (isKPIUpdating) => updateResult({ isKPIUpdating })
+    );
+
+    updateResult({ evaluation });
+  };
+
+  const addScenario = (
+    absenceType,
+    types = absenceTypes,
+    absences = employeeAbsences
+  ) => {
+    const scenario = createLeaveScenario(
+      nextScenarioIdRef.current++,
+      absenceType
+    );
+
+    setScenarios((prevScenarios) => [...prevScenarios, scenario]);
+    evaluateScenario(scenario, types, absences);
+  };
+
+  const removeScenario = (id) => {
+    setScenarios((prevScenarios) =>
+      prevScenarios.filter((scenario) => scenario.id !== id)
+    );
+    setResults((prevResults) => {
+      const updatedResults = { ...prevResults };
+      delete updatedResults[id];
+      return updatedResults;
+    });
+  };
+
+  /**
+   * Changes a scenario and evaluates it again. The end date follows the start date if it would be before it, and
+   * the end day fraction only applies to absences over several days.
+   * @param {Object} scenario - The scenario to change.
+   * @param {Object} changes - The changed fields of the scenario.
+   */
+  const handleScenarioChange = (scenario, changes) => {
+    const updatedScenario = { ...scenario, ...changes };
+
+    if (updatedScenario.end < updatedScenario.start) {
+      updatedScenario.end = updatedScenario.start;
+    }
+    if (isSameDay(updatedScenario.start, updatedScenario.end)) {
+      updatedScenario.endDayFraction = null;
+    } else if (!updatedScenario.endDayFraction) {
+      updatedScenario.endDayFraction = "1";
+    }
+
+    setScenarios((prevScenarios) =>
+      prevScenarios.map((item) =>
+        item.id === scenario.id ? updatedScenario : item
+      )
+    );
+    evaluateScenario(updatedScenario);
+  };
+
+  useEffect(() => {
+    loadPlannerData();
+  }, []);
+
+  useEffect(() => {
+    navigation.setOptions({
+      headerTitle: t("leave_planner"),
+      headerLeft: () => <CustomBackButton navigation={navigation} t={t} />,
+      headerRight: () => (
+        <CustomButton
+          onPress={() => addScenario(Object.keys(absenceTypes)[0])}
+          label=""
+          icon={{
+            name: "plus-box-multiple-outline",
+            library: "MaterialCommunityIcons",
+            size: 30,
+            color: "white",
+          }}
+          accessibilityLabel={t("leave_planner_add_scenario")}
+          disabled={isLoading || Object.keys(absenceTypes).length === 0}
+        />
+      ),
+    });
+  }, [navigation, t, isLoading, absenceTypes, employeeAbsences]);
+
+  const dateFormat = convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT);
+
+  const absenceTypeOptions = Object.entries(absenceTypes).map(
+    ([key, value]) => ({
+      label: `${value["AbsenceType-name"]} (${value["AbsenceType-projectedNextYear"]})`,
+      value: key,
+    })
+  );
+
+  /**
+   * Formats a balance of the scenario, which is "-" while it is not known.
+   * @param {number|string} value - The balance.
+   * @param {boolean} hourly - Whether the absence type is measured in hours.
+   * @returns {string} - The formatted balance.
+   */
+  const formatBalance = (value, hourly) =>
+    typeof value === "number" && !isNaN(value)
+      ? formatLeaveDuration(Math.round(value * 100) / 100, hourly)
+      : "-";
+
+  const renderResultRow = (label, value, valueStyle) => (
+    <View style={styles.resultRow}>
+      <Text style={styles.resultLabel}>{label}</Text>
+      <Text style={[styles.resultValue, valueStyle]}>{value}</Text>
+    </View>
+  );
+
+  const renderWarning = (message) => (
+    <Text key={message} style={styles.warningText}>
+      {`• ${message}`}
+    </Text>
+  );
+
+  const renderResult = (scenario, absenceTypeData) => {
+    const { evaluation, kpis, isKPIUpdating } = results[scenario.id] || {};
+
+    if (!evaluation) {
+      return (
+        <Text style={styles.warningText}>{t("leave_planner_invalid")}</Text>
+      );
+    }
+
+    const hourly =
+      !!absenceTypeData["AbsenceType-hourlyLeave"] ||
+      !!absenceTypeData["AbsenceType-displayInHours"];
+    const yearEndAfterLeave =
+      typeof kpis?.projectedBalance === "number"
+        ? kpis.projectedBalance - evaluation.duration
+        : null;
+
+    const warnings = [];
+    if (evaluation.workingDays === 0) {
+      warnings.push(t("leave_planner_no_working_days"));
+    }
+    evaluation.holidays.forEach((holiday) =>
+      warnings.push(
+        t("leave_planner_holiday", {
+          date: format(new Date(holiday.date), dateFormat),
+          name: holiday.name,
+        })
+      )
+    );
+    evaluation.overlappingAbsences.forEach((absence) =>
+      warnings.push(
+        t("absence_exists_for_period", {
+          start: format(new Date(absence["Absence-start"]), dateFormat),
+          end: format(new Date(absence["Absence-end"]), dateFormat),
+        })
+      )
+    );
+    if (!evaluation.allowedInEmploymentPeriod) {
+      warnings.push(t("leave_planner_employment_period"));
+    }
+
+    return (
+      <>
+        {renderResultRow(
+          t("leave_planner_duration"),
+          formatLeaveDuration(evaluation.duration, hourly)
+        )}
+        {renderResultRow(
+          t("leave_planner_working_days"),
+          evaluation.workingDays
+        )}
+        {isKPIUpdating ? (
+          <Loader size={"small"} />
+        ) : (
+          <>
+            {renderResultRow(
+              t("leave_planner_balance_before"),
+              formatBalance(kpis?.balanceBefore, hourly)
+            )}
+            {renderResultRow(
+              t("leave_planner_balance_after"),
+              formatBalance(kpis?.balanceAfter, hourly),
+              kpis?.balanceAfter < 0 && styles.negativeValue
+            )}
+            {renderResultRow(
+              t("leave_planner_year_end_after"),
+              formatBalance(yearEndAfterLeave, hourly),
+              yearEndAfterLeave < 0 && styles.negativeValue
+            )}
+          </>
+        )}
+        {warnings.length > 0 ? (
+          warnings.map(renderWarning)
+        ) : (
+          <Text style={styles.okText}>{t("leave_planner_no_conflicts")}</Text>
+        )}
+      </>
+    );
+  };
+
+  const renderScenario = (scenario, index) => {
+    const absenceTypeData = absenceTypes[scenario.absenceType] || {};
+    const fractionsDisabled =
+      !!absenceTypeData["AbsenceType-halfDaysNotAllowed"];
+
+    return (
+      <View key={scenario.id} style={styles.card}>
+        <View style={styles.cardHeader}>
+          <Text style={styles.cardTitle}>
+            {t("leave_planner_scenario", { number: index + 1 })}
+          </Text>
+          <CustomButton
+            onPress={() => removeScenario(scenario.id)}
+            label=""
+            icon={{
+              name: "close-circle-outline",
+              library: "MaterialCommunityIcons",
+              size: 24,
+              color: "#d9534f",
+            }}
+            backgroundColor={false}
+            accessibilityLabel={t("leave_planner_remove_scenario")}
+          />
+        </View>
+        <Text style={styles.label}>{t("absence_type")}</Text>
+        <CustomPicker
+          items={absenceTypeOptions}
+          initialValue={scenario.absenceType}
+          onFilter={(value) =>
+            handleScenarioChange(scenario, { absenceType: value })
+          }
+          hideSearchInput={true}
+        />
+        <Text style={styles.label}>{t("start")}</Text>
+        <CustomDateTimePicker
+          placeholder={""}
+          value={scenario.start}
+          isTimePickerVisible={false}
+          showClearButton={false}
+          onFilter={(date) => handleScenarioChange(scenario, { start: date })}
+        />
+        <CustomPicker
+          items={dayFractionOptions}
+          initialValue={scenario.startDayFraction}
+          onFilter={(value) =>
+            handleScenarioChange(scenario, { startDayFraction: value })
+          }
+          hideSearchInput={true}
+          disabled={fractionsDisabled}
+        />
+        <Text style={styles.label}>{t("end")}</Text>
+        <CustomDateTimePicker
+          placeholder={""}
+          value={scenario.end}
+          isTimePickerVisible={false}
+          showClearButton={false}
+          onFilter={(date) => handleScenarioChange(scenario, { end: date })}
+        />
+        {scenario.endDayFraction !== null && (
+          <CustomPicker
+            items={dayFractionOptions}
+            initialValue={scenario.endDayFraction}
+            onFilter={(value) =>
+              handleScenarioChange(scenario, { endDayFraction: value })
+            }
+            hideSearchInput={true}
+            disabled={fractionsDisabled}
+          />
+        )}
+        <View style={styles.separator} />
+        {renderResult(scenario, absenceTypeData)}
+      </View>
+    );
+  };
+
+  if (isLoading) {
+    return <Loader />;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.note}>{t("leave_planner_note")}</Text>
+      <ScrollView horizontal={true} contentContainerStyle={styles.content}>
+        {scenarios.map(renderScenario)}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
+  content: {
+    padding: "2%",
+    columnGap: 10,
+    alignItems: "flex-start",
+  },
+  note: {
+    fontSize: 12,
+    color: "#00f",
+    paddingHorizontal: "3%",
+    paddingTop: "2%",
+  },
+  card: {
+    width: screenDimension.width * 0.8,
+    padding: "3%",
+    borderWidth: 1,
+    borderColor: "#ccc",
+    borderRadius: 8,
+  },
+  cardHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "bold",
+    marginTop: "3%",
+    marginBottom: 5,
+  },
+  separator: {
+    height: 1,
+    backgroundColor: "#ccc",
+    marginVertical: "4%",
+  },
+  resultRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 2,
+  },
+  resultLabel: {
+    color: "#808080",
+  },
+  resultValue: {
+    fontWeight: "bold",
+  },
+  negativeValue: {
+    color: "#d9534f",
+  },
+  warningText: {
+    marginTop: 4,
+    color: "#d9534f",
+  },
+  okText: {
+    marginTop: 4,
+    color: "green",
+  },
+});
+
+export default LeavePlanner;
@@ -0,0 +1,380 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Alert, FlatList, StyleSheet, Text, View } from "react-native";
+
+import { useTranslation } from "react-i18next";
+
+import { format, isValid } from "date-fns";
+
+import {
+  APP,
+  BUSOBJCAT,
+  BUSOBJCATMAP,
+  REQUEST_QUEUE,
+  REQUEST_QUEUE_ACTION,
+} from "../constants";
+
+import { convertToDateFNSFormat } from "../utils/FormatUtils";
+import { showToast } from "../utils/MessageUtils";
+
+import CustomBackButton from "../components/CustomBackButton";
+import CustomButton from "../components/CustomButton";
+import Loader from "../components/Loader";
+import ConflictDialog from "../components/dialogs/ConflictDialog";
+
+import { useConnectivityContext } from "../../context/ConnectivityContext";
+import { useRequestQueueContext } from "../../context/RequestQueueContext";
+
+/**
+ * Detail screens that can be opened for a queued request, keyed by the business object category of the request.
+ * @constant
+ * @type {Object}
+ */
+const DOCUMENT_SCREENS = {
+  [BUSOBJCATMAP[BUSOBJCAT.TIMESHEET]]: {
+    screen: "TimesheetDetail",
+    idParam: "timesheetId",
+  },
+  [BUSOBJCATMAP[BUSOBJCAT.ABSENCE]]: {
+    screen: "AbsenceDetail",
+    idParam: "absenceId",
+  },
+  [BUSOBJCATMAP[BUSOBJCAT.EXPENSE]]: {
+    screen: "ExpenseDetail",
+    idParam: "expenseId",
+  },
+};
+
+/**
+ * RequestQueue component lists the requests that were queued while the device was offline
+ * and lets the user retry, discard or open the target document of each of them.
+ * Requests that conflict with changes made on the server in the meantime are resolved through the ConflictDialog.
+ *
+ * @param {Object} navigation - The navigation object provided by React Navigation.
+ * @returns {JSX.Element} - Rendered component.
+ */
+const RequestQueue = ({ navigation }) => {
+  const { t } = useTranslation();
+
+  const { isConnected } = useConnectivityContext();
+  const {
+    requestQueue = [],
+    isReplaying,
+    replayRequestQueue,
+    discardQueuedRequest,
+    resolveConflict,
+  } = useRequestQueueContext();
+
+  // The queued request whose conflict is being resolved
+  const [conflictRequest, setConflictRequest] = useState(null);
+
+  /**
+   * Returns the translated name of the module a queued request belongs to.
+   * @param {string} busObjCat - The business object category of the request (e.g., "TimeConfirmation").
+   * @returns {string} - The module name, or the category itself if it is not mapped.
+   */
+  const getModuleName = (busObjCat) => {
+    const moduleKey = Object.keys(BUSOBJCATMAP).find(
+      (key) => BUSOBJCATMAP[key] === busObjCat
+    );
+    return moduleKey ? t(moduleKey.toLowerCase()) : busObjCat || "-";
+  };
+
+  /**
+   * Formats the time at which a request was queued in the user's date format.
+   * @param {string} queuedAt - The ISO timestamp of the request.
+   * @returns {string} - The formatted timestamp.
+   */
+  const formatQueuedAt = (queuedAt) => {
+    const queuedDate = new Date(queuedAt);
+    return isValid(queuedDate)
+      ? format(
+          queuedDate,
+          `${convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT)} HH:mm`
+        )
+      : "-";
+  };
+
+  /**
+   * Replays the given requests immediately, ignoring their backoff.
+   * @param {Array<string>} [requestIds] - The IDs of the requests to retry. All requests when omitted.
+   */
+  const handleRetry = useCallback(
+    async (requestIds) => {
+      if (!isConnected) {
+        showToast(t("offline_message"), "warning");
+        return;
+      }
+
+      const summary = await replayRequestQueue({ force: true, requestIds });
+
+      if (summary.failed > 0) {
+        showToast(t("request_queue_retry_failed"), "error");
+      }
+    },
+    [isConnected, replayRequestQueue, t]
+  );
+
+  /**
+   * Asks for confirmation and removes the request from the queue without sending it.
+   * Discarding the creation of a document drafted offline also discards the draft and its other queued changes.
+   * @param {Object} request - The queued request.
+   */
+  const handleDiscard = (request) => {
+    Alert.alert(
+      t("request_queue_discard"),
+      t(
+        request.localId
+          ? "request_queue_discard_draft_confirmation"
+          : "request_queue_discard_confirmation"
+      ),
+      [
+        {
+          text: t("cancel"),
+          style: "cancel",
+        },
+        {
+          text: t("request_queue_discard"),
+          style: "destructive",
+          onPress: () => discardQueuedRequest(request),
+        },
+      ],
+      { cancelable: true }
+    );
+  };
+
+  /**
+   * Opens the detail screen of the document the request belongs to.
+   * @param {Object} request - The queued request.
+   */
+  const handleOpenDocument = (request) => {
+    const documentScreen = DOCUMENT_SCREENS[request.busObjCat];
+    if (!documentScreen || !request.busObjId) {
+      return;
+    }
+
+    navigation.navigate(documentScreen.screen, {
+      [documentScreen.idParam]: request.busObjId,
+    });
+  };
+
+  /**
+   * Applies the user's decision on a conflict and sends the remaining change right away.
+   * @param {string} resolution - One of CONFLICT_RESOLUTION.
+   * @param {Object} [choices] - For a merge, the chosen version per conflicting field.
+   */
+  const handleResolveConflict = async (resolution, choices) => {
+    const requestId = conflictRequest.id;
+    setConflictRequest(null);
+
+    const updatedQueue = await resolveConflict(requestId, resolution, choices);
+
+    // The request is gone if the server copy was kept
+    if (updatedQueue.some((request) => request.id === requestId)) {
+      await handleRetry([requestId]);
+    }
+  };
+
+  useEffect(() => {
+    navigation.setOptions({
+      headerTitle: `${t("request_queue")}: ${requestQueue.length}`,
+      headerLeft: () => <CustomBackButton navigation={navigation} t={t} />,
+      headerRight: () => (
+        <CustomButton
+          onPress={() => handleRetry()}
+          label=""
+          icon={{
+            name: "sync",
+            library: "MaterialIcons",
+            size: 30,
+            color: "white",
+          }}
+          disabled={isReplaying || requestQueue.length === 0}
+          accessibilityLabel={t("request_queue_retry_all")}
+          accessibilityRole="button"
+          testID="request-queue-retry-all-button"
+        />
+      ),
+    });
+  }, [navigation, requestQueue, isReplaying, handleRetry, t]);
+
+  /**
+   * Renders a single queued request.
+   * @param {Object} param0 - The FlatList render item.
+   * @param {Object} param0.item - The queued request.
+   * @returns {JSX.Element} - The rendered row.
+   */
+  const renderRequest = ({ item }) => {
+    const canOpenDocument =
+      !!DOCUMENT_SCREENS[item.busObjCat] &&
+      !!item.busObjId &&
+      item.actionType !== REQUEST_QUEUE_ACTION.DELETE;
+    const isWaitingForManualRetry =
+      item.retryCount >= REQUEST_QUEUE.MAX_RETRIES;
+
+    return (
+      <View style={styles.row} testID={`request-queue-item-${item.id}`}>
+        <View style={styles.rowHeader}>
+          <Text style={styles.moduleText}>{getModuleName(item.busObjCat)}</Text>
+          <Text style={styles.actionText}>
+            {t(`request_queue_action_${item.actionType}`)}
+          </Text>
+        </View>
+        <Text style={styles.documentText} numberOfLines={1}>
+          {item.busObjId || t("request_queue_new_document")}
+        </Text>
+        {item.fileName && (
+          <Text style={styles.detailText} numberOfLines={1}>
+            {`${t("request_queue_file")}: ${item.fileName}`}
+          </Text>
+        )}
+        <Text style={styles.detailText}>
+          {`${t("request_queue_queued_at")}: ${formatQueuedAt(item.queuedAt)}`}
+        </Text>
+        {item.retryCount > 0 && (
+          <Text style={styles.detailText}>
+            {`${t("request_queue_attempts")}: ${item.retryCount}`}
+          </Text>
+        )}
+        {item.lastError && (
+          <Text style={styles.errorText} numberOfLines={3}>
+            {`${t("request_queue_last_error")}: ${item.lastError}`}
+          </Text>
+        )}
+        {item.conflict && (
+          <Text style={styles.errorText}>
+            {t("request_queue_conflict_detected")}
+          </Text>
+        )}
+        {isWaitingForManualRetry && (
+          <Text style={styles.errorText}>
+            {t("request_queue_manual_retry_required")}
+          </Text>
+        )}
+        <View style={styles.actionsContainer}>
+          {item.conflict ? (
+            <CustomButton
+              onPress={() => setConflictRequest(item)}
+              label={t("request_queue_resolve_conflict")}
+              icon={{
+                name: "call-merge",
+                library: "MaterialIcons",
+                color: "#005eb8",
+              }}
+              backgroundColor={false}
+              disabled={isReplaying}
+              accessibilityLabel={t("request_queue_resolve_conflict")}
+              accessibilityRole="button"
+              testID={`request-queue-resolve-${item.id}`}
+            />
+          ) : (
+            <CustomButton
+              onPress={() => handleRetry([item.id])}
+              label={t("request_queue_retry")}
+              icon={{
+                name: "refresh",
+                library: "MaterialIcons",
+                color: "#005eb8",
+              }}
+              backgroundColor={false}
+              disabled={isReplaying}
+              accessibilityLabel={t("request_queue_retry")}
+              accessibilityRole="button"
+              testID={`request-queue-retry-${item.id}`}
+            />
+          )}
+          <CustomButton
+            onPress={() => handleDiscard(item)}
+            label={t("request_queue_discard")}
+            icon={{ name: "delete", library: "MaterialIcons", color: "red" }}
+            backgroundColor={false}
+            disabled={isReplaying}
+            accessibilityLabel={t("request_queue_discard")}
+            accessibilityRole="button"
+            testID={`request-queue-discard-${item.id}`}
+          />
+          <CustomButton
+            onPress={() => handleOpenDocument(item)}
+            label={t("request_queue_open_document")}
+            icon={{
+              name: "open-in-new",
+              library: "MaterialIcons",
+              color: "#005eb8",
+            }}
+            backgroundColor={false}
+            disabled={!canOpenDocument}
+            accessibilityLabel={t("request_queue_open_document")}
+            accessibilityRole="button"
+            testID={`request-queue-open-${item.id}`}
+          />
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {isReplaying && <Loader />}
+      <FlatList
+        data={requestQueue}
+        keyExtractor={(item) => item.id}
+        renderItem={renderRequest}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>{t("request_queue_empty")}</Text>
+        }
+      />
+      <ConflictDialog
+        isVisible={!!conflictRequest}
+        conflicts={conflictRequest?.conflict?.fields}
+        onClose={() => setConflictRequest(null)}
+        onResolve={handleResolveConflict}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  row: {
+    borderBottomWidth: 1,
+    borderColor: "#ccc",
+    padding: 12,
+    backgroundColor: "white",
+  },
+  rowHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  moduleText: {
+    fontWeight: "bold",
+    fontSize: 16,
+  },
+  actionText: {
+    fontWeight: "bold",
+    color: "#005eb8",
+  },
+  documentText: {
+    color: "#34495e",
+    marginVertical: 2,
+  },
+  detailText: {
+    fontSize: 13,
+  },
+  errorText: {
+    fontSize: 13,
+    color: "red",
+  },
+  actionsContainer: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  emptyText: {
+    textAlign: "center",
+    marginTop: 20,
+    fontSize: 16,
+  },
+});
+
+export default RequestQueue;
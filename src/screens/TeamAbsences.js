@@ -0,0 +1,420 @@
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+import {
+  RefreshControl,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { useTranslation } from "react-i18next";
+
+import { MaterialCommunityIcons } from "@expo/vector-icons";
+import { addDays, addWeeks, format, startOfWeek } from "date-fns";
+
+import { APP, TEAM_ABSENCES } from "../constants";
+
+import { convertToDateFNSFormat } from "../utils/FormatUtils";
+import { showToast } from "../utils/MessageUtils";
+import {
+  TEAM_SCOPE,
+  buildTeamAbsenceRows,
+  fetchApprovalEmployeeIds,
+  fetchEmployeeTeamId,
+  fetchTeamAbsences,
+} from "../utils/TeamAbsenceUtils";
+
+import CustomBackButton from "../components/CustomBackButton";
+
+import { ApprovalUserInfoContext } from "../../context/ApprovalUserInfoContext";
+import useEmployeeInfo from "../hooks/useEmployeeInfo";
+
+/**
+ * TeamAbsences component shows who of the team is absent, as a strip per person across a few weeks with the approved
+ * and pending absences. The team is either the colleagues of the user, i.e. the employees of the same team
+ * (department), or the employees whose documents wait in the approval inbox of the user.
+ *
+ * @param {Object} route - The route object provided by React Navigation, with the `scope` of the team.
+ * @param {Object} navigation - The navigation object provided by React Navigation.
+ * @returns {JSX.Element} - Rendered component.
+ */
+const TeamAbsences = ({ route, navigation }) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  const employeeInfo = useEmployeeInfo();
+  const { approvalDocuments } = useContext(ApprovalUserInfoContext);
+
+  // State variables
+  const [scope, setScope] = useState(
+    route?.params?.scope || TEAM_SCOPE.COLLEAGUES
+  );
+  const [weekStart, setWeekStart] = useState(
+    startOfWeek(new Date(), { weekStartsOn: 1 })
+  );
+  const [rows, setRows] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+
+  // Team of the user, resolved once
+  const teamIdRef = useRef(undefined);
+
+  // Employees of the approval inbox, resolved once per inbox
+  const approvalEmployeeIdsRef = useRef(null);
+
+  const numberOfDays = TEAM_ABSENCES.WEEKS * 7;
+
+  useEffect(() => {
+    approvalEmployeeIdsRef.current = null;
+  }, [approvalDocuments]);
+
+  /**
+   * Loads the absences of the team in the shown weeks.
+   */
+  const loadAbsences = useCallback(async () => {
+    setRefreshing(true);
+
+    try {
+      let team;
+
+      if (scope === TEAM_SCOPE.APPROVALS) {
+        if (!approvalEmployeeIdsRef.current) {
+          approvalEmployeeIdsRef.current =
+            await fetchApprovalEmployeeIds(approvalDocuments);
+        }
+
+        team = { employeeIds: approvalEmployeeIdsRef.current };
+      } else {
+        if (teamIdRef.current === undefined) {
+          teamIdRef.current = await fetchEmployeeTeamId(
+            APP.LOGIN_USER_EMPLOYEE_ID
+          );
+        }
+
+        team = { teamId: teamIdRef.current };
+      }
+
+      const absences = await fetchTeamAbsences(
+        weekStart,
+        addDays(weekStart, numberOfDays - 1),
+        team
+      );
+
+      setRows(
+        buildTeamAbsenceRows(absences, weekStart, numberOfDays, employeeInfo)
+      );
+    } catch (error) {
+      console.error("Error loading the team absences:", error);
+      showToast(t("team_absences_load_failed"), "error");
+    } finally {
+      setRefreshing(false);
+    }
+  }, [scope, weekStart, approvalDocuments, employeeInfo]);
+
+  useEffect(() => {
+    loadAbsences();
+  }, [scope, weekStart]);
+
+  useEffect(() => {
+    navigation.setOptions({
+      headerTitle: t("team_absences"),
+      headerLeft: () => <CustomBackButton navigation={navigation} t={t} />,
+    });
+  }, [navigation, t]);
+
+  const dateFormat = convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT);
+
+  const days = Array.from({ length: numberOfDays }, (_, index) =>
+    addDays(weekStart, index)
+  );
+
+  const scopeOptions = [
+    { label: t("team_absences_colleagues"), value: TEAM_SCOPE.COLLEAGUES },
+    { label: t("team_absences_approvals"), value: TEAM_SCOPE.APPROVALS },
+  ];
+
+  const renderDay = (day, index) => (
+    <View
+      key={index}
+      style={[
+        styles.cell,
+        index % 7 === 0 && styles.weekStartCell,
+        day.isNonWorkingDay && styles.nonWorkingCell,
+        day.approvalState === "approved" && styles.approvedCell,
+        day.approvalState === "pending" && styles.pendingCell,
+      ]}
+      accessibilityLabel={
+        day.absenceId
+          ? `${format(day.date, dateFormat)}: ${day.absenceTypeName} (${
+              day.approvalState === "approved"
+                ? t("calendar_approved")
+                : t("calendar_pending")
+            })`
+          : undefined
+      }
+    />
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.scopeContainer}>
+        {scopeOptions.map((option) => (
+          <TouchableOpacity
+            key={option.value}
+            style={[
+              styles.scopeOption,
+              scope === option.value && styles.selectedScopeOption,
+            ]}
+            onPress={() => setScope(option.value)}
+            disabled={refreshing}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: scope === option.value }}
+          >
+            <Text
+              style={[
+                styles.scopeText,
+                scope === option.value && styles.selectedScopeText,
+              ]}
+            >
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <View style={styles.periodHeader}>
+        <TouchableOpacity
+          onPress={() => setWeekStart(addWeeks(weekStart, -1))}
+          accessibilityLabel={t("previous_week")}
+          accessibilityRole="button"
+        >
+          <MaterialCommunityIcons
+            name="chevron-left"
+            size={32}
+            color="#005eb8"
+          />
+        </TouchableOpacity>
+        <Text style={styles.periodTitle}>
+          {`${format(weekStart, dateFormat)} - ${format(
+            days[days.length - 1],
+            dateFormat
+          )}`}
+        </Text>
+        <TouchableOpacity
+          onPress={() => setWeekStart(addWeeks(weekStart, 1))}
+          accessibilityLabel={t("next_week")}
+          accessibilityRole="button"
+        >
+          <MaterialCommunityIcons
+            name="chevron-right"
+            size={32}
+            color="#005eb8"
+          />
+        </TouchableOpacity>
+      </View>
+      <ScrollView
+        contentContainerStyle={styles.content}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            tintColor="#0000ff"
+            title={t("pull_to_refresh")}
+            titleColor="#0000ff"
+            colors={["#0000ff"]}
+            onRefresh={loadAbsences}
+          />
+        }
+      >
+        {rows.length > 0 && (
+          <View style={styles.chart}>
+            <View style={styles.nameColumn}>
+              <View style={styles.dayHeader} />
+              {rows.map((row) => (
+                <Text
+                  key={row.employeeId}
+                  style={styles.name}
+                  numberOfLines={1}
+                  ellipsizeMode="tail"
+                >
+                  {row.name}
+                </Text>
+              ))}
+            </View>
+            <ScrollView horizontal>
+              <View>
+                <View style={[styles.strip, styles.dayHeader]}>
+                  {days.map((date, index) => (
+                    <Text
+                      key={index}
+                      style={[
+                        styles.cell,
+                        styles.dayHeaderText,
+                        index % 7 === 0 && styles.weekStartCell,
+                      ]}
+                    >
+                      {format(date, "d")}
+                    </Text>
+                  ))}
+                </View>
+                {rows.map((row) => (
+                  <View
+                    key={row.employeeId}
+                    style={styles.strip}
+                    testID={`team-absence-row-${row.employeeId}`}
+                  >
+                    {row.days.map(renderDay)}
+                  </View>
+                ))}
+              </View>
+            </ScrollView>
+          </View>
+        )}
+        {!refreshing && rows.length === 0 && (
+          <Text style={styles.noAbsencesText}>
+            {scope === TEAM_SCOPE.APPROVALS && !approvalDocuments?.length
+              ? t("team_absences_no_approvals")
+              : t("team_absences_none")}
+          </Text>
+        )}
+        <View style={styles.legend}>
+          <View style={styles.legendItem}>
+            <View style={[styles.legendSwatch, styles.approvedCell]} />
+            <Text style={styles.legendText}>{t("calendar_approved")}</Text>
+          </View>
+          <View style={styles.legendItem}>
+            <View style={[styles.legendSwatch, styles.pendingCell]} />
+            <Text style={styles.legendText}>{t("calendar_pending")}</Text>
+          </View>
+          <View style={styles.legendItem}>
+            <View style={[styles.legendSwatch, styles.nonWorkingCell]} />
+            <Text style={styles.legendText}>{t("non_working_day")}</Text>
+          </View>
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
+  content: {
+    padding: "2%",
+  },
+  scopeContainer: {
+    flexDirection: "row",
+    padding: "2%",
+    columnGap: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: "#ccc",
+  },
+  scopeOption: {
+    flex: 1,
+    padding: 8,
+    borderWidth: 1,
+    borderColor: "#005eb8",
+    borderRadius: 5,
+    alignItems: "center",
+  },
+  selectedScopeOption: {
+    backgroundColor: "#005eb8",
+  },
+  scopeText: {
+    color: "#005eb8",
+    fontWeight: "bold",
+  },
+  selectedScopeText: {
+    color: "#fff",
+  },
+  periodHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    padding: "2%",
+    borderBottomWidth: 1,
+    borderBottomColor: "#ccc",
+  },
+  periodTitle: {
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  chart: {
+    flexDirection: "row",
+  },
+  nameColumn: {
+    width: 110,
+    marginRight: 4,
+  },
+  name: {
+    height: 28,
+    lineHeight: 28,
+  },
+  dayHeader: {
+    height: 24,
+  },
+  dayHeaderText: {
+    fontSize: 11,
+    textAlign: "center",
+    borderWidth: 0,
+  },
+  strip: {
+    flexDirection: "row",
+    height: 28,
+    alignItems: "center",
+  },
+  cell: {
+    width: 22,
+    height: 22,
+    marginHorizontal: 1,
+    borderWidth: 1,
+    borderColor: "#eee",
+  },
+  weekStartCell: {
+    marginLeft: 4,
+  },
+  nonWorkingCell: {
+    backgroundColor: "#d3d3d3",
+  },
+  approvedCell: {
+    backgroundColor: "#f0ad4e",
+    borderColor: "#f0ad4e",
+  },
+  pendingCell: {
+    backgroundColor: "#fff3cd",
+    borderColor: "#f0ad4e",
+  },
+  noAbsencesText: {
+    marginTop: "3%",
+    textAlign: "center",
+    color: "#808080",
+  },
+  legend: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    columnGap: 12,
+    rowGap: 4,
+    marginTop: "4%",
+  },
+  legendItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    columnGap: 4,
+  },
+  legendSwatch: {
+    width: 14,
+    height: 14,
+    borderWidth: 1,
+    borderColor: "#ccc",
+  },
+  legendText: {
+    fontSize: 12,
+  },
+});
+
+export default TeamAbsences;
@@ -8,6 +8,7 @@ import {
   RefreshControl,
   SafeAreaView,
   StyleSheet,
+  Switch,
   Text,
   TouchableOpacity,
   View,
@@ -17,6 +18,8 @@ import { useTranslation } from "react-i18next";
 
 import { format, isValid } from "date-fns";
 
+import { MaterialCommunityIcons } from "@expo/vector-icons";
+
 import {
   APP,
   BUSOBJCAT,
@@ -25,23 +28,45 @@ import {
   PAGE_SIZE,
 } from "../constants";
 
-import { fetchBusObjCatData, loadMoreData } from "../utils/APIUtils";
+import {
+  fetchBusObjCatData,
+  getCachedBusObjCatData,
+  loadMoreData,
+} from "../utils/APIUtils";
+import {
+  getLocalDrafts,
+  isLocalId,
+  subscribeToDraftPromotion,
+} from "../utils/DraftUtils";
 import { convertToFilterScreenFormat, filtersMap } from "../utils/FilterUtils";
-import { checkTimesheetExistsForDate } from "../utils/TimesheetUtils";
+import {
+  checkTimesheetExistsForDate,
+  prefetchTimesheetCreateData,
+} from "../utils/TimesheetUtils";
 import {
   convertMillisecondsToUnit,
   convertToDateFNSFormat,
 } from "../utils/FormatUtils";
+import { chooseExportFormat, exportTimesheets } from "../utils/ExportUtils";
 import { showToast } from "../utils/MessageUtils";
+import { scheduleTimesheetReminders } from "../utils/ReminderUtils";
+import { convertTimerToTimesheetItem } from "../utils/TimerUtils";
 import { screenDimension } from "../utils/ScreenUtils";
 
 import CustomButton from "../components/CustomButton";
 import CustomDateTimePicker from "../components/CustomDateTimePicker";
+import CustomPicker from "../components/CustomPicker";
 import Loader from "../components/Loader";
+import SelectionBar from "../components/SelectionBar";
 
+import { useConnectivityContext } from "../../context/ConnectivityContext";
 import { useTimesheetForceRefresh } from "../../context/ForceRefreshContext";
 import Sort from "../components/filters/Sort";
 import CustomBackButton from "../components/CustomBackButton";
+import BulkStatusDialog from "../components/dialogs/BulkStatusDialog";
+import LastSyncedBanner from "../components/offline/LastSyncedBanner";
+import TimesheetTimer from "../components/timer/TimesheetTimer";
+import useEmployeeInfo from "../hooks/useEmployeeInfo";
 
 /**
  * Timesheet component displays a list of timesheets with the ability to refresh
@@ -59,6 +84,11 @@ const Timesheet = ({ route, navigation }) => {
   // which is accessing the TimesheetForceRefreshContext.
   const { forceRefresh, updateForceRefresh } = useTimesheetForceRefresh();
 
+  const { isConnected } = useConnectivityContext();
+
+  const employeeInfo = useEmployeeInfo();
+  const { timeConfirmationType } = employeeInfo;
+
   const navigationTimeoutRef = useRef(null); // Ref to store the timeout ID
 
   // State variables
@@ -67,6 +97,7 @@ const Timesheet = ({ route, navigation }) => {
   const [isLoadingInCreate, setIsLoadingInCreate] = useState(false);
   const [error, setError] = useState(null);
   const [timesheets, setTimesheets] = useState([]);
+  const [localDrafts, setLocalDrafts] = useState([]); // Timesheets drafted offline, not yet created on the server
   const [expandedItems, setExpandedItems] = useState({});
   const [additionalData, setAdditionalData] = useState({});
   const [page, setPage] = useState(1);
@@ -79,16 +110,59 @@ const Timesheet = ({ route, navigation }) => {
   const [lastPress, setLastPress] = useState(0);
   const [isSortModalVisible, setIsSortModalVisible] = useState(false);
   const [totalCount, setTotalCount] = useState(0);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null); // Set while the list shows cached data
   const [isModalVisibleInCreate, setModalVisibleInCreate] = useState(false);
   const [selectedDateInCreate, setSelectedDateInCreate] = useState(new Date());
   const [errorMessageInCreate, setErrorMessageInCreate] = useState(null);
   const [infoMessageInCreate, setInfoMessageInCreate] = useState(null);
+  const [copyOptionsInCreate, setCopyOptionsInCreate] = useState([]); // Earlier timesheets to copy the tasks from
+  const [copyFromIdInCreate, setCopyFromIdInCreate] = useState("");
+  const [copyHoursInCreate, setCopyHoursInCreate] = useState(false);
+  const [copyRemarksInCreate, setCopyRemarksInCreate] = useState(false);
+  const [isSelectionMode, setIsSelectionMode] = useState(false);
+  const [selectedDocuments, setSelectedDocuments] = useState([]); // Timesheets selected for a bulk status change
+  const [isBulkStatusDialogVisible, setIsBulkStatusDialogVisible] =
+    useState(false);
+  const [isExporting, setIsExporting] = useState(false);
 
   /**
    * Opens the modal for creating a timesheet entry.
    */
   const showCreateTimesheetPopup = () => {
     setModalVisibleInCreate(true);
+    loadCopyOptionsInCreate();
+  };
+
+  /**
+   * Loads the earlier timesheets of the user, of which the tasks can be copied into the new timesheet.
+   */
+  const loadCopyOptionsInCreate = async () => {
+    if (!isConnected) {
+      setCopyOptionsInCreate([]);
+      return;
+    }
+
+    const response = await fetchBusObjCatData(
+      BUSOBJCAT.TIMESHEET,
+      1,
+      PAGE_SIZE,
+      null,
+      [],
+      [],
+      [{ property: "TimeConfirmation-start", direction: "DESC" }]
+    );
+
+    const dateFormat = convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT);
+
+    setCopyOptionsInCreate(
+      (response?.data || []).map((timesheet) => ({
+        label: `${format(
+          new Date(timesheet["TimeConfirmation-start"]),
+          dateFormat
+        )} - ${format(new Date(timesheet["TimeConfirmation-end"]), dateFormat)}`,
+        value: timesheet["TimeConfirmation-id"],
+      }))
+    );
   };
 
   /**
@@ -149,12 +223,23 @@ const Timesheet = ({ route, navigation }) => {
         } else {
           navigation.navigate("TimesheetDetail", {
             selectedDate: selectedDateInCreate.toISOString(),
+            ...(copyFromIdInCreate && {
+              copyFrom: {
+                timesheetId: copyFromIdInCreate,
+                copyHours: copyHoursInCreate,
+                copyRemarks: copyRemarksInCreate,
+              },
+            }),
           });
         }
       };
 
       if (response.exists) {
-        showInfoInCreate(t("info_timesheet_exists"));
+        showInfoInCreate(
+          copyFromIdInCreate
+            ? t("info_timesheet_exists_not_copied")
+            : t("info_timesheet_exists")
+        );
       } else {
         showInfoInCreate(t("info_timesheet_not_exists"));
       }
@@ -162,12 +247,74 @@ const Timesheet = ({ route, navigation }) => {
       // Set a timeout for 3 seconds before navigating
       navigationTimeoutRef.current = setTimeout(handleNavigation, 3000);
     } catch (error) {
-      setIsLoadingInCreate(false);
       console.error("Error checking timesheet existence:", error);
+
+      // While offline, the timesheet is drafted on the device and created once back online
+      if (!isConnected) {
+        showInfoInCreate(t("info_timesheet_draft_offline"));
+
+        navigationTimeoutRef.current = setTimeout(() => {
+          setIsLoadingInCreate(false);
+          handleCloseModalInCreate();
+          navigation.navigate("TimesheetDetail", {
+            selectedDate: selectedDateInCreate.toISOString(),
+          });
+        }, 3000);
+        return;
+      }
+
+      setIsLoadingInCreate(false);
       showErrorInCreate(t("error_checking_timesheet"));
     }
   };
 
+  /**
+   * Handles the stop of the time tracking timer.
+   * Opens the timesheet of the day the timer was started with the recorded time as a new item, creating the
+   * timesheet through the same flow as a manually created one if it does not exist yet. The timer stays stored
+   * until the timesheet is saved with the item.
+   * @param {Object} timer - The stopped timer.
+   */
+  const handleTimerStop = async (timer) => {
+    const timerItem = convertTimerToTimesheetItem(timer);
+    const { date } = timerItem;
+
+    try {
+      const response = await checkTimesheetExistsForDate(
+        new Date(date),
+        null,
+        t
+      );
+
+      if (response.exists) {
+        navigation.navigate("TimesheetDetail", {
+          timesheetId: response.data[0].id,
+          statusTemplateExtId: response.data[0].statusTemplateExtId,
+          timerItem,
+        });
+      } else {
+        navigation.navigate("TimesheetDetail", {
+          selectedDate: date,
+          timerItem,
+        });
+      }
+    } catch (error) {
+      console.error("Error checking timesheet existence:", error);
+
+      // While offline, the timesheet is drafted on the device and created once back online
+      if (!isConnected) {
+        showToast(t("info_timesheet_draft_offline"), "warning");
+        navigation.navigate("TimesheetDetail", {
+          selectedDate: date,
+          timerItem,
+        });
+        return;
+      }
+
+      showToast(t("error_checking_timesheet"), "error");
+    }
+  };
+
   /**
    * Closes the modal and clears any displayed messages.
    */
@@ -177,6 +324,9 @@ const Timesheet = ({ route, navigation }) => {
     setInfoMessageInCreate(null); // Clear informational message
     setSelectedDateInCreate(new Date()); // Reset selected date
     setIsLoadingInCreate(false); // Reset loading state when closing the modal
+    setCopyFromIdInCreate(""); // Reset the timesheet to copy from
+    setCopyHoursInCreate(false);
+    setCopyRemarksInCreate(false);
 
     if (navigationTimeoutRef.current) {
       clearTimeout(navigationTimeoutRef.current); // Clear the timeout if it exists
@@ -206,7 +356,7 @@ const Timesheet = ({ route, navigation }) => {
       // If expanding, update additional data state
       if (!prevExpandedItems[itemId]) {
         // Retrieve additional data for the item from timesheets
-        const item = timesheets.find(
+        const item = [...localDrafts, ...timesheets].find(
           (item) => item["TimeConfirmation-id"] === itemId
         );
 
@@ -253,6 +403,7 @@ const Timesheet = ({ route, navigation }) => {
    * the timesheet screen mounts for the first time. It fetches timesheet data from
    * the first page, resets the current page to 1, and updates the timesheets state
    * with the new data.
+   * If the data cannot be fetched, the last synced data is shown instead.
    *
    * @async
    * @function onRefresh
@@ -266,6 +417,8 @@ const Timesheet = ({ route, navigation }) => {
     setPage(1);
 
     try {
+      setLocalDrafts(await getLocalDrafts(BUSOBJCATMAP[BUSOBJCAT.TIMESHEET]));
+
       // Fetch timesheet data for the first page
       const response = await fetchBusObjCatData(
         BUSOBJCAT.TIMESHEET,
@@ -282,6 +435,12 @@ const Timesheet = ({ route, navigation }) => {
         // Update timesheets state with new data if response is not null
         setTimesheets(response?.data || []);
         setTotalCount(response?.totalCount || 0);
+        setLastSyncedAt(response?.fromCache ? response.syncedAt : null);
+
+        // The statuses of the timesheets may have changed since the reminders were scheduled
+        if (!response?.fromCache) {
+          scheduleTimesheetReminders(employeeInfo, t);
+        }
       }
     } catch (error) {
       console.error("Error refreshing data:", error);
@@ -289,7 +448,15 @@ const Timesheet = ({ route, navigation }) => {
       // Set refreshing state back to false after data refreshing is complete
       setRefreshing(false);
     }
-  }, [setTimesheets, whereConditions, orConditions, sortConditions, limit]);
+  }, [
+    setTimesheets,
+    whereConditions,
+    orConditions,
+    sortConditions,
+    limit,
+    employeeInfo,
+    t,
+  ]);
 
   useEffect(() => {
     // Update whereConditions when route params change
@@ -308,10 +475,37 @@ const Timesheet = ({ route, navigation }) => {
 
   useEffect(() => {
     setPage(1);
-    // Trigger refresh when the component mounts
-    onRefresh();
+    // Show the cached data first and trigger refresh when the component mounts
+    showCachedTimesheets().finally(onRefresh);
   }, [whereConditions, orConditions, sortConditions]);
 
+  /**
+   * Effect to replace the cached data with the current data in the background once the device is back online.
+   */
+  useEffect(() => {
+    if (isConnected && lastSyncedAt) {
+      onRefresh();
+    }
+  }, [isConnected]);
+
+  /**
+   * Effect to load the data needed to create a timesheet into the cache while online,
+   * so that a new timesheet can also be drafted offline.
+   */
+  useEffect(() => {
+    if (isConnected) {
+      prefetchTimesheetCreateData(timeConfirmationType);
+    }
+  }, [isConnected, timeConfirmationType]);
+
+  /**
+   * Effect to refresh the list once a timesheet drafted offline was created on the server.
+   */
+  useEffect(
+    () => subscribeToDraftPromotion(() => updateForceRefresh(true)),
+    []
+  );
+
   /**
    * Effect to ensure that the Timesheet component's data is refreshed whenever changes occur in other parts of the application
    * that affect the timesheet list. These changes may include updates to timesheet details, deletions of timesheets, or any other relevant modifications.
@@ -325,6 +519,37 @@ const Timesheet = ({ route, navigation }) => {
     }
   }, [forceRefresh]);
 
+  /**
+   * Function to show the last synced data of the first page without going to the network.
+   * Used on mount, as the query may take long on a poor connection.
+   *
+   * @async
+   * @function showCachedTimesheets
+   * @returns {Promise<void>} A Promise that resolves when the cached data is shown.
+   */
+  const showCachedTimesheets = async () => {
+    try {
+      setLocalDrafts(await getLocalDrafts(BUSOBJCATMAP[BUSOBJCAT.TIMESHEET]));
+
+      const cachedResponse = await getCachedBusObjCatData(
+        BUSOBJCAT.TIMESHEET,
+        1,
+        limit,
+        null,
+        whereConditions,
+        orConditions,
+        sortConditions
+      );
+      if (cachedResponse) {
+        setTimesheets(cachedResponse.data || []);
+        setTotalCount(cachedResponse.totalCount || 0);
+        setLastSyncedAt(cachedResponse.syncedAt);
+      }
+    } catch (error) {
+      console.error("Error reading cached data:", error);
+    }
+  };
+
   /**
    * Function to handle loading more data when the end of the list is reached.
    * This function is triggered to load additional data when the end of the list is reached during scrolling.
@@ -368,6 +593,71 @@ const Timesheet = ({ route, navigation }) => {
     sortConditions,
   ]);
 
+  /**
+   * Adds a timesheet to the selection for a bulk status change, or removes it if it is selected already.
+   * Timesheets drafted offline have no workflow status yet and cannot be selected.
+   * @param {string} timesheetId - The ID of the timesheet.
+   * @param {string} label - The text the timesheet is shown with in the summary of the status change.
+   */
+  const toggleSelection = (timesheetId, label) => {
+    if (isLocalId(timesheetId)) {
+      showToast(t("bulk_status_local_draft"), "warning");
+      return;
+    }
+
+    setIsSelectionMode(true);
+    setSelectedDocuments((prevDocuments) =>
+      prevDocuments.some((document) => document.id === timesheetId)
+        ? prevDocuments.filter((document) => document.id !== timesheetId)
+        : [...prevDocuments, { id: timesheetId, label }]
+    );
+  };
+
+  /**
+   * Leaves the selection mode and clears the selected timesheets.
+   */
+  const clearSelection = () => {
+    setIsSelectionMode(false);
+    setSelectedDocuments([]);
+  };
+
+  /**
+   * Closes the bulk status dialog and, if any status was changed, leaves the selection mode and refreshes the list.
+   * @param {boolean} statusChanged - Whether the status of any timesheet was changed.
+   */
+  const handleBulkStatusDialogClose = (statusChanged) => {
+    setIsBulkStatusDialogVisible(false);
+
+    if (statusChanged) {
+      clearSelection();
+      onRefresh();
+    }
+  };
+
+  /**
+   * Exports the timesheets matching the filters of the list to CSV or PDF, in the format chosen by the user, and shares the file.
+   */
+  const handleExport = async () => {
+    const exportFormat = await chooseExportFormat(t);
+    if (!exportFormat) {
+      return;
+    }
+
+    setIsExporting(true);
+    try {
+      await exportTimesheets(
+        exportFormat,
+        whereConditions,
+        orConditions,
+        sortConditions,
+        `timesheets_${format(new Date(), "yyyyMMdd")}`,
+        t
+      );
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   /**
    * Navigate to the filters screen with initial filter settings.
    */
@@ -449,6 +739,30 @@ const Timesheet = ({ route, navigation }) => {
           }}
           disabled={refreshing}
         />
+        {/* Button for opening the month calendar */}
+        <CustomButton
+          onPress={() => navigation.navigate("Calendar")}
+          label=""
+          icon={{
+            name: "calendar-month",
+            library: "MaterialCommunityIcons",
+            size: 30,
+            color: "white",
+          }}
+          disabled={refreshing}
+        />
+        {/* Button for exporting the filtered timesheets */}
+        <CustomButton
+          onPress={handleExport}
+          label=""
+          icon={{
+            name: "file-export-outline",
+            library: "MaterialCommunityIcons",
+            size: 30,
+            color: "white",
+          }}
+          disabled={refreshing || isExporting}
+        />
         <View style={styles.headerIconsContainer}>
           {/* Button for applying filters */}
           <CustomButton
@@ -496,7 +810,14 @@ const Timesheet = ({ route, navigation }) => {
       </View>
     );
     // Dependencies: re-render only when appliedFiltersCount or sortConditions changes
-  }, [appliedFiltersCount, sortConditions, refreshing]);
+  }, [
+    appliedFiltersCount,
+    sortConditions,
+    refreshing,
+    isExporting,
+    whereConditions,
+    orConditions,
+  ]);
 
   /**
    * useEffect hook to set the header options (left and right components) when the component is mounted
@@ -527,8 +848,15 @@ const Timesheet = ({ route, navigation }) => {
         // component mount for iOS.
       }
       {Platform.OS === "ios" && refreshing && <Loader />}
+      {isExporting && <Loader />}
+      <LastSyncedBanner syncedAt={lastSyncedAt} />
+      <TimesheetTimer
+        navigation={navigation}
+        employeeInfo={employeeInfo}
+        onStop={handleTimerStop}
+      />
       <FlatList
-        data={timesheets}
+        data={[...localDrafts, ...timesheets]}
         keyExtractor={(item) => item["TimeConfirmation-id"]}
         renderItem={({ item, index }) => {
           try {
@@ -567,7 +895,12 @@ const Timesheet = ({ route, navigation }) => {
                 ? statusSteps.find((step) => step.extID === statusExtId)
                 : null;
 
-            const statusLabel = matchingStep ? matchingStep.statusLabel : "";
+            let statusLabel = matchingStep ? matchingStep.statusLabel : "";
+
+            // Drafts created offline have no workflow status yet
+            if (isLocalId(timesheetId)) {
+              statusLabel = t("draft");
+            }
 
             let remark = item?.["TimeConfirmation-remark:text"] || "";
 
@@ -578,16 +911,30 @@ const Timesheet = ({ route, navigation }) => {
                 totalTime >= 3600000 ? "hours" : "minutes"
               )?.displayTime || "";
 
+            const isSelected = selectedDocuments.some(
+              (document) => document.id === timesheetId
+            );
+
             const itemStyle = {
               backgroundColor:
                 formattedStartDate.includes("Invalid") ||
                 formattedEndDate.includes("Invalid") ||
                 statusLabel.includes("Invalid")
                   ? "lightcoral"
+                  : isSelected
+                  ? "#e6f0fa"
                   : "white",
             };
 
+            const selectionLabel = `${formattedStartDate} - ${formattedEndDate}`;
+
             const handlePress = () => {
+              // While selecting, a tap selects or deselects the timesheet instead of opening it
+              if (isSelectionMode) {
+                toggleSelection(timesheetId, selectionLabel);
+                return;
+              }
+
               const currentTime = new Date().getTime();
               const delta = currentTime - lastPress;
 
@@ -605,8 +952,27 @@ const Timesheet = ({ route, navigation }) => {
             };
 
             return (
-              <TouchableOpacity onPress={handlePress}>
+              <TouchableOpacity
+                onPress={handlePress}
+                onLongPress={() => toggleSelection(timesheetId, selectionLabel)}
+                accessibilityState={
+                  isSelectionMode ? { selected: isSelected } : undefined
+                }
+              >
                 <View style={[styles.row, itemStyle]}>
+                  {isSelectionMode && (
+                    <View style={styles.selectionColumn}>
+                      <MaterialCommunityIcons
+                        name={
+                          isSelected
+                            ? "checkbox-marked"
+                            : "checkbox-blank-outline"
+                        }
+                        size={24}
+                        color={isLocalId(timesheetId) ? "#ccc" : "#005eb8"}
+                      />
+                    </View>
+                  )}
                   <View style={styles.firstColumn}>
                     <Text
                       style={styles.firstColumnText}
@@ -770,6 +1136,44 @@ const Timesheet = ({ route, navigation }) => {
               isDisabled={false}
               showClearButton={false}
             />
+            {copyOptionsInCreate.length > 0 && (
+              <View style={styles.copyContainerInCreate}>
+                <Text style={styles.copyLabelInCreate}>
+                  {t("copy_from_previous_timesheet")}
+                </Text>
+                <CustomPicker
+                  placeholder={t("do_not_copy")}
+                  items={copyOptionsInCreate}
+                  initialValue={copyFromIdInCreate}
+                  onFilter={(value) => setCopyFromIdInCreate(value ?? "")}
+                  accessibilityLabel={t("copy_from_previous_timesheet")}
+                  accessibilityRole="dropdownlist"
+                  testID="copy-timesheet-picker"
+                />
+                {!!copyFromIdInCreate && (
+                  <>
+                    <View style={styles.copySwitchRowInCreate}>
+                      <Text>{t("copy_hours")}</Text>
+                      <Switch
+                        trackColor={{ false: "#d3d3d3", true: "#81b0ff" }}
+                        thumbColor={copyHoursInCreate ? "#ffffff" : "#a0a0a0"}
+                        value={copyHoursInCreate}
+                        onValueChange={setCopyHoursInCreate}
+                      />
+                    </View>
+                    <View style={styles.copySwitchRowInCreate}>
+                      <Text>{t("copy_remarks")}</Text>
+                      <Switch
+                        trackColor={{ false: "#d3d3d3", true: "#81b0ff" }}
+                        thumbColor={copyRemarksInCreate ? "#ffffff" : "#a0a0a0"}
+                        value={copyRemarksInCreate}
+                        onValueChange={setCopyRemarksInCreate}
+                      />
+                    </View>
+                  </>
+                )}
+              </View>
+            )}
             {errorMessageInCreate && (
               <Text style={styles.errorMessageInCreate}>
                 {errorMessageInCreate}
@@ -809,6 +1213,23 @@ const Timesheet = ({ route, navigation }) => {
           previousSortRows={sortConditions}
         />
       )}
+      {isSelectionMode && (
+        <SelectionBar
+          count={selectedDocuments.length}
+          actionLabel={t("bulk_status_change")}
+          onAction={() => setIsBulkStatusDialogVisible(true)}
+          onCancel={clearSelection}
+          disabled={!isConnected}
+        />
+      )}
+      {isBulkStatusDialogVisible && (
+        <BulkStatusDialog
+          isVisible={isBulkStatusDialogVisible}
+          busObjCat={BUSOBJCAT.TIMESHEET}
+          documents={selectedDocuments}
+          onClose={handleBulkStatusDialogClose}
+        />
+      )}
     </SafeAreaView>
   );
 };
@@ -823,6 +1244,10 @@ const styles = StyleSheet.create({
     borderColor: "#ccc",
     padding: 12,
   },
+  selectionColumn: {
+    justifyContent: "center",
+    marginRight: 8,
+  },
   firstColumn: {
     flex: 2,
   },
@@ -862,7 +1287,7 @@ const styles = StyleSheet.create({
     justifyContent: "flex-start",
   },
   headerRightContainer: {
-    maxWidth: screenDimension.width / 2,
+    maxWidth: screenDimension.width * 0.6,
     flexDirection: "row",
     alignItems: "center",
     justifyContent: "flex-end",
@@ -958,6 +1383,21 @@ const styles = StyleSheet.create({
     fontSize: 16,
     textAlign: "center",
   },
+  copyContainerInCreate: {
+    width: "100%",
+    marginTop: "6%",
+  },
+  copyLabelInCreate: {
+    fontSize: 16,
+    fontWeight: "bold",
+    marginBottom: "2%",
+  },
+  copySwitchRowInCreate: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginTop: "2%",
+  },
 });
 
 export default Timesheet;
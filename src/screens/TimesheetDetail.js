@@ -17,6 +17,7 @@ import {
 } from "../constants";
 
 import CustomButton from "../components/CustomButton";
+import ValidationReportDialog from "../components/dialogs/ValidationReportDialog";
 
 import TimesheetDetailGeneral from "./TimesheetDetailGeneral";
 import File from "./File";
@@ -29,6 +30,14 @@ import {
   getAppNameByCategory,
   isDoNotReplaceAnyList,
 } from "../utils/APIUtils";
+import { fetchQueryWithCache } from "../utils/CacheUtils";
+import { saveDocumentSnapshot } from "../utils/ConflictUtils";
+import {
+  getLocalDraft,
+  isLocalId,
+  saveLocalDraft,
+  subscribeToDraftPromotion,
+} from "../utils/DraftUtils";
 import {
   changeDateToAPIFormat,
   convertToDateFNSFormat,
@@ -38,8 +47,17 @@ import {
   setRemarkText,
 } from "../utils/FormatUtils";
 import { setOrClearLock } from "../utils/LockUtils";
+import { chooseExportFormat, exportTimesheets } from "../utils/ExportUtils";
 import { showToast } from "../utils/MessageUtils";
+import { checkNetworkConnectivity } from "../utils/OfflineUtils";
 import { screenDimension } from "../utils/ScreenUtils";
+import { completeTimer } from "../utils/TimerUtils";
+import {
+  copyTimesheetTasks,
+  fetchPeriodSchedule,
+  fetchTimesheetTypes,
+} from "../utils/TimesheetUtils";
+import { buildTimesheetValidationReport } from "../utils/TimesheetValidationUtils";
 import updateFields from "../utils/UpdateUtils";
 import { documentStatusCheck } from "../utils/WorkflowUtils";
 
@@ -63,10 +81,14 @@ const TimesheetDetail = ({ route, navigation }) => {
   const { notifySave } = useTimesheetSave();
 
   const updatedValuesRef = useRef({});
+  const validationResolveRef = useRef(null); // Completes the validation pending on the validation report
+  const confirmedTimerItemRef = useRef(null); // Time of the timer added to the timesheet, removed from the timer on save
 
   const statusTemplateExtId = route?.params?.statusTemplateExtId;
   const selectedDate = route?.params?.selectedDate;
   const openedFromApproval = route?.params?.openedFromApproval;
+  const timerItem = route?.params?.timerItem; // Time recorded by the timer, to be booked as an item
+  const copyFrom = route?.params?.copyFrom; // Earlier timesheet to copy the tasks from on create
 
   const [timesheetId, setTimesheetId] = useState(route?.params?.timesheetId);
   // Determine if the component is in edit mode (if a timesheet ID is provided)
@@ -95,6 +117,8 @@ const TimesheetDetail = ({ route, navigation }) => {
   const [timesheetEmployeeId, setTimesheetEmployeeId] = useState("");
   const [leaveDates, setLeaveDates] = useState([]);
   const [absenceDateHoursMap, setAbsenceDateHoursMap] = useState({});
+  const [validationReport, setValidationReport] = useState(null);
+  const [validationFocus, setValidationFocus] = useState(null);
   const [timesheetTypeDetails, setTimesheetTypeDetails] = useState({
     defaultAsHomeDefault: "",
     defaultInputDays: "",
@@ -118,11 +142,6 @@ const TimesheetDetail = ({ route, navigation }) => {
     workScheduleExtId,
     companyId,
     personId,
-    patterns,
-    minWorkHours,
-    maxWorkHours,
-    workHoursInterval,
-    dailyStdHours,
     nonWorkingDates,
   } = employeeInfo;
 
@@ -142,319 +161,6 @@ const TimesheetDetail = ({ route, navigation }) => {
     setAbsenceDateHoursMap(absenceDateHoursMap);
   };
 
-  /**
-   * Validates the total actual hours worked on each day against the standard work hours defined in the patterns.
-   * This function accumulates the total actual hours for each day from the timesheet tasks and compares them
-   * with the corresponding standard work hours from the patterns. It returns `true` if the actual hours are
-   * greater than or equal to the standard work hours, or if validation is configured to suppress warnings/errors.
-   * Otherwise, it returns `false` and shows an error or warning based on the configuration.
-   *
-   * @param {string} validateWorkSchedule - Configuration for validation behavior:
-   *   - `"E"`: Show an error and return `false` if actual hours are less than standard work hours.
-   *   - `"W"`: Show a warning if actual hours are less than standard work hours, but return `true`.
-   *   - Any other value: No warning or error is shown, and `true` is returned.
-   *
-   * @returns {boolean} - Returns `true` if validation passes or if configured not to show warnings/errors, otherwise `false`.
-   */
-  const validateTimesheetHoursWithPatterns = (validateWorkSchedule) => {
-    const daySeqMap = new Map();
-
-    // Populate the map with standard work hours from valid pattern details.
-    patterns?.forEach((pattern) => {
-      if (pattern.intStatus === 3) return; // Skip patterns marked with intStatus 3.
-
-      pattern.details.forEach((detail) => {
-        if (detail.intStatus !== 3) {
-          daySeqMap.set(detail.daySeq, detail.stdWorkHours);
-        }
-      });
-    });
-
-    const millisecondsToHours = (ms) => ms / 3600000; // Utility function to convert milliseconds to hours.
-
-    // Map to accumulate total actual hours per day and store date for each day.
-    const totalHoursPerDay = new Map();
-
-    // Accumulate actual hours for each day by looping through the timesheet tasks.
-    timesheetTasks?.forEach((task) => {
-      task.items.forEach((item) => {
-        const actualDate = new Date(item.start);
-        const daySeq = actualDate.getUTCDay(); // Get day sequence as a number (0 = Sunday, 1 = Monday, etc.).
-        const formattedDate = actualDate.toDateString();
-
-        let actualHours = millisecondsToHours(item.actualTime);
-
-        // Check if the date is a leave date
-        if (leaveDates.includes(formattedDate)) {
-          const absenceHours = absenceDateHoursMap[formattedDate];
-
-          if (absenceHours) {
-            // If absence hours exist, convert them to hours and add to the actual hours.
-            actualHours += millisecondsToHours(absenceHours);
-          } else {
-            // If it's a holiday, use the daily standard hours.
-            actualHours += millisecondsToHours(dailyStdHours);
-          }
-        }
-
-        // Accumulate hours and store the date.
-        if (!totalHoursPerDay.has(daySeq)) {
-          totalHoursPerDay.set(daySeq, { hours: 0, date: actualDate });
-        }
-        totalHoursPerDay.get(daySeq).hours += actualHours;
-      });
-    });
-
-    // Compare the total actual hours with standard work hours for each day.
-    for (const [
-      daySeq,
-      { hours: totalActualHours, date },
-    ] of totalHoursPerDay.entries()) {
-      const stdWorkHours = daySeqMap.get(daySeq); // Get the standard work hours for the day.
-
-      // Proceed with validation only if standard work hours are defined for that day.
-      if (stdWorkHours !== undefined) {
-        const stdHours = millisecondsToHours(stdWorkHours);
-
-        // If actual hours are less than the standard work hours, handle based on the configuration.
-        if (totalActualHours < stdHours) {
-          const formattedDate = date.toDateString();
-
-          const message = t("timesheet_patterns_validation_message", {
-            actual: totalActualHours,
-            standard: stdHours,
-            date: formattedDate,
-          });
-
-          if (validateWorkSchedule === "E") {
-            // If configured to show an error, display it and return false.
-            showToast(message, "error");
-            return false;
-          } else if (validateWorkSchedule === "W") {
-            // If configured to show a warning, display it.
-            showToast(message, "warning");
-          }
-        }
-      }
-    }
-
-    return true; // Return true if validation passes or if configured not to show warnings/errors.
-  };
-
-  /**
-   * Validates the total actual hours worked on each day against the defined minimum and maximum hours.
-   * This function accumulates the total actual hours for each day from the timesheet tasks and compares them
-   * with the corresponding minimum and maximum hours. If the actual hours are within the allowed range,
-   * or if the validation is configured to suppress warnings/errors, the function returns `true`. Otherwise,
-   * it returns `false` and displays an error or warning based on the configuration.
-   *
-   * @param {string} validateWorkSchedule - Configuration for validation behavior:
-   *   - `"E"`: Show an error and return `false` if actual hours are outside the min/max range.
-   *   - `"W"`: Show a warning if actual hours are outside the min/max range, but return `true`.
-   *   - Any other value: No warning or error is shown, and `true` is returned.
-   *
-   * @returns {boolean} - Returns `true` if validation passes or if configured not to show warnings/errors, otherwise `false`.
-   */
-  const validateTimesheetDayHoursWithMinMax = (validateWorkSchedule) => {
-    const millisecondsToHours = (ms) => ms / 3600000; // Utility function to convert milliseconds to hours.
-
-    // Map to accumulate total actual hours per day and store date for each day.
-    const totalHoursPerDay = new Map();
-
-    // Accumulate actual hours for each day by looping through the timesheet tasks.
-    timesheetTasks?.forEach((task) => {
-      task.items.forEach((item) => {
-        const actualDate = new Date(item.start);
-        const daySeq = actualDate.getUTCDay(); // Get day sequence as a number (0 = Sunday, 1 = Monday, etc.).
-        const formattedDate = actualDate.toDateString();
-
-        // Initialize actual hours with the item's actual time converted to hours.
-        let actualHours = millisecondsToHours(item.actualTime);
-
-        // If the date is a leave date, check if it is in the absence map.
-        if (leaveDates.includes(formattedDate)) {
-          const absenceHours = absenceDateHoursMap[formattedDate];
-
-          if (absenceHours) {
-            // If absence hours exist, convert them to hours and add to the actual hours.
-            actualHours += millisecondsToHours(absenceHours);
-          } else {
-            // If it's a holiday (in leaveDates but not in absenceDateHoursMap), skip further validation for this day.
-            return;
-          }
-        }
-
-        // Accumulate hours and store the date.
-        if (!totalHoursPerDay.has(daySeq)) {
-          totalHoursPerDay.set(daySeq, { hours: 0, date: actualDate });
-        }
-        totalHoursPerDay.get(daySeq).hours += actualHours;
-      });
-    });
-
-    // Compare the total actual hours with the min/max hours for each day.
-    for (const [
-      daySeq,
-      { hours: totalActualHours, date },
-    ] of totalHoursPerDay.entries()) {
-      const formattedDate = date.toDateString();
-
-      const minHours = millisecondsToHours(minWorkHours);
-      const maxHours = millisecondsToHours(maxWorkHours);
-
-      if (totalActualHours < minHours) {
-        // If total hours are less than minimum hours, show message
-        const message = t("timesheet_min_hours_day_validation_message", {
-          actual: totalActualHours,
-          min: minHours,
-          date: formattedDate,
-        });
-
-        if (validateWorkSchedule === "E") {
-          showToast(message, "error");
-          return false;
-        } else if (validateWorkSchedule === "W") {
-          showToast(message, "warning");
-        }
-      }
-
-      if (totalActualHours > maxHours) {
-        // If total hours are more than maximum hours, show message
-        const message = t("timesheet_max_hours_day_validation_message", {
-          actual: totalActualHours,
-          max: maxHours,
-          date: formattedDate,
-        });
-
-        if (validateWorkSchedule === "E") {
-          showToast(message, "error");
-          return false;
-        } else if (validateWorkSchedule === "W") {
-          showToast(message, "warning");
-        }
-      }
-    }
-
-    return true; // Return true if validation passes or if configured not to show warnings/errors.
-  };
-
-  /**
-   * Validates the total actual hours worked in each period (week, bi-week, etc.) against the defined minimum and maximum hours.
-   * Accumulates the total actual hours for each period from the timesheet tasks and compares them
-   * with the corresponding minimum and maximum hours. Shows an error or warning if the total hours
-   * are outside the specified range, based on the configuration.
-   *
-   * @param {string} validateWorkSchedule - Configuration for validation behavior:
-   *   - `"E"`: Show an error and return `false` if actual hours are outside the min/max range.
-   *   - `"W"`: Show a warning if actual hours are outside the min/max range, but return `true`.
-   *   - Any other value: No warning or error is shown, and `true` is returned.
-   * @param {string} period - The period in days to validate (e.g., 7 for weekly, 14 for bi-weekly).
-   * @returns {boolean} - Returns `true` if validation passes or if configured not to show warnings/errors, otherwise `false`.
-   */
-  const validatePeriodTimesheetHours = (validateWorkSchedule, period) => {
-    const millisecondsToHours = (ms) => ms / 3600000; // Utility function to convert milliseconds to hours.
-    const periodMap = new Map(); // Map to accumulate total actual hours per date
-
-    // Convert timesheet start and end date strings to Date objects
-    const start = new Date(timesheetStart);
-    const end = new Date(timesheetEnd);
-
-    // Initialize periodMap with all dates between start and end, setting hours to 0 initially
-    for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-      const dateKey = d.toDateString();
-      periodMap.set(dateKey, 0); // Initialize hours to 0 for each date
-    }
-
-    // Update periodMap based on leaveDates
-    leaveDates.forEach((leaveDate) => {
-      const formattedDate = new Date(leaveDate).toDateString();
-      const absenceHours = absenceDateHoursMap[formattedDate];
-
-      if (periodMap.has(formattedDate)) {
-        // If it's an absence date, set the corresponding absence hours
-        if (absenceHours) {
-          periodMap.set(formattedDate, millisecondsToHours(absenceHours));
-        } else {
-          // If it's a holiday, set the daily standard hours
-          periodMap.set(formattedDate, millisecondsToHours(dailyStdHours));
-        }
-      }
-    });
-
-    // Accumulate actual hours for each day by looping through the timesheet tasks
-    timesheetTasks?.forEach((task) => {
-      task.items.forEach((item) => {
-        const actualDate = new Date(item.start);
-        const actualHours = millisecondsToHours(item.actualTime);
-        const dateKey = actualDate.toDateString();
-
-        // Update periodMap if the date exists in the map
-        if (periodMap.has(dateKey)) {
-          periodMap.set(dateKey, periodMap.get(dateKey) + actualHours);
-        }
-      });
-    });
-
-    // Convert min and max work hours from milliseconds to hours
-    const minHours = millisecondsToHours(minWorkHours);
-    const maxHours = millisecondsToHours(maxWorkHours);
-
-    // Validate the accumulated hours for each period
-    let periodStart = new Date(start); // Initialize period start date
-
-    while (periodStart <= end) {
-      let periodHours = 0; // Initialize period hours to 0
-
-      // Accumulate hours for the current period
-      for (let i = 0; i < period; i++) {
-        const currentDay = new Date(periodStart);
-        currentDay.setDate(periodStart.getDate() + i);
-        if (currentDay > end) break;
-
-        const dateKey = currentDay.toDateString();
-        periodHours += periodMap.get(dateKey) || 0;
-      }
-
-      // Calculate the formatted periodStartDate for the current period
-      const periodStartDate = periodStart.toDateString();
-
-      // Check if the period hours are within the min and max range
-      if (periodHours < minHours || periodHours > maxHours) {
-        let message;
-        if (periodHours < minHours) {
-          message = t("timesheet_min_hours_period_validation_message", {
-            actual: periodHours,
-            min: minHours,
-            periodName: workHoursInterval,
-            periodStartDate,
-          });
-        } else if (periodHours > maxHours) {
-          message = t("timesheet_max_hours_period_validation_message", {
-            actual: periodHours,
-            max: maxHours,
-            periodName: workHoursInterval,
-            periodStartDate,
-          });
-        }
-
-        // Show error or warning based on the validateWorkSchedule configuration
-        if (message) {
-          if (validateWorkSchedule === "E") {
-            showToast(message, "error");
-            return false;
-          } else if (validateWorkSchedule === "W") {
-            showToast(message, "warning");
-          }
-        }
-      }
-
-      // Move to the next period
-      periodStart.setDate(periodStart.getDate() + period);
-    }
-
-    return true; // Return true if validation passes or if configured not to show warnings/errors
-  };
-
   /**
    * Fetches the selected date period from the timesheet type based on its external ID.
    *
@@ -470,55 +176,8 @@ const TimesheetDetail = ({ route, navigation }) => {
     timesheetTypeExtId
   ) => {
     try {
-      // Define the fields and conditions for the query
-      const queryFields = {
-        fields: [
-          `TimeConfType-extID`,
-          `TimeConfType-defaultAsHomeDefault`,
-          `TimeConfType-defaultInputDays`,
-          `TimeConfType-headerCommentRequired`,
-          `TimeConfType-itemCommentRequired`,
-          `TimeConfType-maxTasksPreload`,
-          `TimeConfType-minTimeIncrement`,
-          `TimeConfType-nonBillableComments`,
-          `TimeConfType-overtimeAllowed`,
-          `TimeConfType-validateWorkSchedule`,
-          `TimeConfType-periodSchedules`,
-        ],
-        where: [
-          {
-            fieldName: "TimeConfType-busObjCat",
-            operator: "=",
-            value: "TimeConfirmationType",
-          },
-        ],
-      };
-
-      // Define common query parameters
-      const commonQueryParams = {
-        testMode: TEST_MODE,
-        client: parseInt(APP.LOGIN_USER_CLIENT),
-        user: APP.LOGIN_USER_ID,
-        userID: APP.LOGIN_USER_ID,
-        language: APP.LOGIN_USER_LANGUAGE,
-        intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
-      };
-
-      // Prepare form data for the API request
-      const formData = {
-        query: JSON.stringify(queryFields),
-        ...commonQueryParams,
-      };
-
-      // Fetch data from the API
-      const response = await fetchData(
-        API_ENDPOINTS.QUERY,
-        "POST",
-        {
-          "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
-        },
-        new URLSearchParams(formData).toString()
-      );
+      // Fetch the timesheet types (the last synced ones when offline)
+      const response = await fetchTimesheetTypes();
 
       // Check if the response is successful and contains valid data
       if (
@@ -657,44 +316,9 @@ const TimesheetDetail = ({ route, navigation }) => {
   };
 
   const getValidPeriodDatesFromPeriodSchedule = async (periodScheduleId) => {
-    const queryFields = {
-      fields: [
-        `PeriodSchedule-id`,
-        `PeriodSchedule-extID`,
-        `PeriodSchedule-periods`,
-      ],
-      where: [
-        {
-          fieldName: "PeriodSchedule-extID",
-          operator: "=",
-          value: periodScheduleId,
-        },
-      ],
-    };
-
-    const commonQueryParams = {
-      testMode: TEST_MODE,
-      client: parseInt(APP.LOGIN_USER_CLIENT),
-      user: APP.LOGIN_USER_ID,
-      userID: APP.LOGIN_USER_ID,
-      language: APP.LOGIN_USER_LANGUAGE,
-      intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
-    };
-
-    const formData = {
-      query: JSON.stringify(queryFields),
-      ...commonQueryParams,
-    };
-
     try {
-      const response = await fetchData(
-        API_ENDPOINTS.QUERY,
-        "POST",
-        {
-          "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
-        },
-        new URLSearchParams(formData).toString()
-      );
+      // Fetch the period schedule (the last synced one when offline)
+      const response = await fetchPeriodSchedule(periodScheduleId);
 
       if (
         response.success === true &&
@@ -871,11 +495,14 @@ const TimesheetDetail = ({ route, navigation }) => {
     setUpdatedValues(updatedChanges);
   };
 
+  /**
+   * Validates the timesheet before saving it or changing its status. Missing header fields are reported right away.
+   * All other violations are collected in a validation report, which is shown if there are any.
+   *
+   * @returns {Promise<boolean>|boolean} - Whether saving or changing the status can proceed. If the report is shown,
+   *   a promise resolving once the user continues despite the warnings (true) or closes the report (false).
+   */
   const validateTimesheetOnSave = () => {
-    // Destructure the headerCommentRequired property from the timesheetTypeDetails object
-    const { headerCommentRequired, validateWorkSchedule } =
-      timesheetTypeDetails;
-
     // Check if the timesheet start date is provided
     if (!timesheetStart) {
       // Show an alert indicating that the start date is required
@@ -924,87 +551,59 @@ const TimesheetDetail = ({ route, navigation }) => {
       return false; // Return false to prevent saving
     }
 
-    // Get the header remark text based on the provided timesheet remark and language settings
-    const headerRemarkText = getRemarkText(
-      timesheetRemark,
+    // Collect the violations of the timesheet type settings and the work schedule in one report
+    const violations = buildTimesheetValidationReport(
+      {
+        start: timesheetStart,
+        end: timesheetEnd,
+        remark: timesheetRemark,
+        tasks: timesheetTasks,
+      },
+      timesheetTypeDetails,
+      employeeInfo,
+      leaveDates,
+      absenceDateHoursMap,
       lang,
-      PREFERRED_LANGUAGES
+      t
     );
 
-    // Check if the header remark is required but missing
-    if (!headerRemarkText) {
-      if (headerCommentRequired === "E") {
-        // "E" stands for "Error"
-        // Show an alert indicating that the header remark is required
-        Alert.alert(
-          t("validation_error"),
-          t("timesheet_header_remark_required_message"),
-          [{ text: t("ok"), style: "cancel" }],
-          { cancelable: false }
-        );
-        return false; // Return false to prevent saving
-      }
-      if (headerCommentRequired === "W") {
-        // "W" stands for "Warning"
-        // Show a warning toast indicating that the header remark is recommended
-        showToast(t("timesheet_header_remark_recommended_message"), "warning");
-      }
+    if (violations.length === 0) {
+      return true;
     }
 
-    if (validateWorkSchedule) {
-      console.log("Validation work schedule is enabled:", validateWorkSchedule);
-
-      // Validate timesheet hours with patterns if patterns exist
-      if (patterns?.length > 0) {
-        console.log(
-          "Patterns exist. Validating timesheet hours with patterns..."
-        );
-        const isValid =
-          validateTimesheetHoursWithPatterns(validateWorkSchedule);
-
-        if (!isValid) {
-          console.log("Timesheet hours validation with patterns failed.");
-          return false; // Return false if validation fails
-        } else {
-          console.log("Timesheet hours validation with patterns passed.");
-        }
-      } else {
-        console.log(
-          "No patterns found. Proceeding to validate with min/max hours..."
-        );
-
-        if (workHoursInterval === "day") {
-          console.log(
-            "Work hours interval is set to 'day'. Validating day hours with min/max..."
-          );
-          const isValid =
-            validateTimesheetDayHoursWithMinMax(validateWorkSchedule);
+    // Show the report and wait until the user continues despite the warnings or closes it
+    return new Promise((resolve) => {
+      validationResolveRef.current = resolve;
+      setValidationReport(violations);
+    });
+  };
 
-          if (!isValid) {
-            console.log("Day hours validation with min/max failed.");
-            return false; // Return false if validation fails
-          } else {
-            console.log("Day hours validation with min/max passed.");
-          }
-        } else if (workHoursInterval === "week") {
-          console.log(
-            "Work hours interval is set to 'week'. Validating week hours with min/max..."
-          );
-          // Validate the timesheet hours for a weekly period (7 days)
-          const isValid = validatePeriodTimesheetHours(validateWorkSchedule, 7);
+  /**
+   * Closes the validation report and completes the pending validation.
+   * @param {boolean} isValid - Whether saving or changing the status can proceed.
+   */
+  const closeValidationReport = (isValid) => {
+    setValidationReport(null);
 
-          if (!isValid) {
-            console.log("Week hours validation with min/max failed.");
-            return false; // Return false if validation fails
-          } else {
-            console.log("Week hours validation with min/max passed.");
-          }
-        }
-      }
+    if (validationResolveRef.current) {
+      validationResolveRef.current(isValid);
+      validationResolveRef.current = null;
     }
+  };
 
-    // If all validations pass, return true to proceed with saving
-    return true;
+  /**
+   * Leads to the day or item of a violation tapped in the validation report.
+   * @param {Object} violation - The violation.
+   */
+  const handleValidationViolationSelect = (violation) => {
+    closeValidationReport(false);
+
+    navigation.navigate(t("general"));
+    setValidationFocus({
+      date: violation.date,
+      item: violation.item,
+      headerRemark: violation.headerRemark || false,
+    });
   };
 
   /**
@@ -1055,7 +654,7 @@ const TimesheetDetail = ({ route, navigation }) => {
         return;
       }
 
-      const isValidTimesheet = validateTimesheetOnSave();
+      const isValidTimesheet = await validateTimesheetOnSave();
 
       if (isValidTimesheet) {
         await updateTimesheet(updatedValues);
@@ -1133,6 +732,28 @@ const TimesheetDetail = ({ route, navigation }) => {
         setIsEditMode(true);
       }
 
+      // Keep the settings of the timesheet type with a draft created offline, as a queried timesheet carries them
+      if (isLocalId(newId)) {
+        await saveLocalDraft(
+          BUSOBJCATMAP[BUSOBJCAT.TIMESHEET],
+          newId,
+          Object.fromEntries(
+            Object.entries(timesheetTypeDetails)
+              .filter(([key]) => key !== "periodSchedules")
+              .map(([key, value]) => [
+                `${BUSOBJCATMAP[BUSOBJCAT.TIMESHEET]}-type:TimeConfType-${key}`,
+                value,
+              ])
+          )
+        );
+      }
+
+      // The time of the timer is saved now, so the timer is no longer needed
+      if (confirmedTimerItemRef.current) {
+        await completeTimer(confirmedTimerItemRef.current.date);
+        confirmedTimerItemRef.current = null;
+      }
+
       // Clear the updated values reference and state
       updatedValuesRef.current = {};
       setUpdatedValues({});
@@ -1163,7 +784,8 @@ const TimesheetDetail = ({ route, navigation }) => {
   };
 
   const handleLock = async () => {
-    if (isEditMode) {
+    // Drafts created offline cannot be locked before they exist on the server
+    if (isEditMode && !isLocalId(timesheetId)) {
       const { changeAllowed } = await documentStatusCheck(
         t,
         APP_ACTIVITY_ID.TIMESHEET,
@@ -1203,6 +825,41 @@ const TimesheetDetail = ({ route, navigation }) => {
     hasUnsavedChanges() ? showUnsavedChangesAlert(reloadData) : reloadData();
   };
 
+  /**
+   * Exports the timesheet to CSV or PDF, in the format chosen by the user, and shares the file.
+   * The saved timesheet is exported, without the changes that are not saved yet.
+   */
+  const handleExport = async () => {
+    const exportFormat = await chooseExportFormat(t);
+    if (!exportFormat) {
+      return;
+    }
+
+    if (hasUnsavedChanges()) {
+      showToast(t("export_unsaved_changes"), "warning");
+    }
+
+    setLoading(true);
+    try {
+      await exportTimesheets(
+        exportFormat,
+        [
+          {
+            fieldName: `${BUSOBJCATMAP[BUSOBJCAT.TIMESHEET]}-id`,
+            operator: "=",
+            value: timesheetId,
+          },
+        ],
+        [],
+        [],
+        `timesheet_${format(new Date(timesheetStart), "yyyyMMdd")}`,
+        t
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleDelete = () => {
     if (isEditMode) {
       Alert.alert(
@@ -1360,6 +1017,77 @@ const TimesheetDetail = ({ route, navigation }) => {
     ...getTimesheetTypeFields(), // Include the TimeConfType fields
   ];
 
+  /**
+   * Copies the tasks of the earlier timesheet selected on create into the new timesheet.
+   * Skipped and no longer billable tasks and items without a matching day in the new period are reported to the user.
+   *
+   * @param {{start: Date, end: Date}} period - The period of the new timesheet.
+   * @param {Object} updatedChanges - The changes of the new timesheet, to which the copied tasks are added.
+   */
+  const copyTasksFromTimesheet = async (period, updatedChanges) => {
+    try {
+      const {
+        tasks,
+        totalTime,
+        billableTime,
+        skippedTasks,
+        unbillableTasks,
+        droppedItems,
+      } = await copyTimesheetTasks(copyFrom.timesheetId, period, personId, {
+        copyHours: copyFrom.copyHours,
+        copyRemarks: copyFrom.copyRemarks,
+      });
+
+      setTimesheetTasks(tasks);
+      setTimesheetTotalTime(totalTime);
+      setTimesheetBillableTime(billableTime);
+
+      updatedChanges["tasks"] = tasks;
+      updatedChanges["totalTime"] = totalTime;
+      updatedChanges["billableTime"] = billableTime;
+
+      const messages = [];
+      if (skippedTasks.length > 0) {
+        messages.push(
+          t("copy_timesheet_tasks_skipped", {
+            tasks: skippedTasks.join(", "),
+          })
+        );
+      }
+      if (unbillableTasks.length > 0) {
+        messages.push(
+          t("copy_timesheet_tasks_unbillable", {
+            tasks: unbillableTasks.join(", "),
+          })
+        );
+      }
+      if (droppedItems.length > 0) {
+        messages.push(
+          t("copy_timesheet_items_dropped", {
+            items: droppedItems
+              .map(
+                ({ task, day }) =>
+                  `${task} (${format(
+                    day,
+                    convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT)
+                  )})`
+              )
+              .join(", "),
+          })
+        );
+      }
+
+      if (messages.length > 0) {
+        Alert.alert(t("copy_timesheet_review_title"), messages.join("\n\n"), [
+          { text: "OK" },
+        ]);
+      }
+    } catch (error) {
+      console.error("Error copying timesheet tasks: ", error);
+      showToast(t("copy_timesheet_error"), "error");
+    }
+  };
+
   const loadTimesheetCreateDetail = async () => {
     try {
       if (!selectedDate) {
@@ -1421,6 +1149,10 @@ const TimesheetDetail = ({ route, navigation }) => {
         updatedChanges["responsible"] = personId;
         updatedChanges["remark:text"] = defaultTimesheetRemark;
 
+        if (copyFrom?.timesheetId) {
+          await copyTasksFromTimesheet(validPeriodDates, updatedChanges);
+        }
+
         // Update the ref
         updatedValuesRef.current = updatedChanges;
         // Update the changes state
@@ -1431,6 +1163,11 @@ const TimesheetDetail = ({ route, navigation }) => {
       // if the document can be modified. However, since this operation also sets the
       // current status and next possible statuses, enabling the customStatus component
       // to display the workflow status, we are calling it here.
+      // It is skipped while offline, as a draft has no workflow status yet.
+      if (!(await checkNetworkConnectivity())) {
+        return;
+      }
+
       await documentStatusCheck(
         t,
         APP_ACTIVITY_ID.TIMESHEET,
@@ -1474,14 +1211,29 @@ const TimesheetDetail = ({ route, navigation }) => {
         ...commonQueryParams,
       };
 
-      const response = await fetchData(
-        API_ENDPOINTS.QUERY,
-        "POST",
-        {
-          "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
-        },
-        new URLSearchParams(formData).toString()
-      );
+      // Drafts created offline are read from the device, other documents fall back
+      // to their last synced copy if they cannot be loaded
+      const response = isLocalId(timesheetId)
+        ? {
+            success: true,
+            data: [
+              await getLocalDraft(
+                BUSOBJCATMAP[BUSOBJCAT.TIMESHEET],
+                timesheetId
+              ),
+            ].filter(Boolean),
+          }
+        : await fetchQueryWithCache(BUSOBJCAT.TIMESHEET, formData, () =>
+            fetchData(
+              API_ENDPOINTS.QUERY,
+              "POST",
+              {
+                "Content-Type":
+                  "application/x-www-form-urlencoded; charset=UTF-8",
+              },
+              new URLSearchParams(formData).toString()
+            )
+          );
 
       if (
         response.success === true &&
@@ -1491,6 +1243,28 @@ const TimesheetDetail = ({ route, navigation }) => {
       ) {
         const data = response.data[0];
 
+        if (response.fromCache) {
+          showToast(
+            t("showing_cached_data", {
+              syncedAt: format(
+                new Date(response.syncedAt),
+                convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT, true)
+              ),
+            }),
+            "warning"
+          );
+        }
+
+        // Remember the loaded server state to detect conflicts of changes queued while offline
+        if (!isLocalId(timesheetId)) {
+          saveDocumentSnapshot(
+            BUSOBJCATMAP[BUSOBJCAT.TIMESHEET],
+            timesheetId,
+            queryFields.fields,
+            data
+          );
+        }
+
         setTimesheetFiles(data[`${BUSOBJCATMAP[BUSOBJCAT.TIMESHEET]}-files`]);
         setTimesheetComments(
           data[`${BUSOBJCATMAP[BUSOBJCAT.TIMESHEET]}-comments`]
@@ -1592,6 +1366,12 @@ const TimesheetDetail = ({ route, navigation }) => {
             ] || "",
         });
 
+        // Drafts created offline have no workflow status and no lock yet
+        if (isLocalId(timesheetId)) {
+          setIsLocked(false);
+          return;
+        }
+
         const { changeAllowed } = await documentStatusCheck(
           t,
           APP_ACTIVITY_ID.TIMESHEET,
@@ -1670,13 +1450,20 @@ const TimesheetDetail = ({ route, navigation }) => {
         ...commonQueryParams,
       };
 
-      const response = await fetchData(
-        API_ENDPOINTS.QUERY,
-        "POST",
-        {
-          "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
-        },
-        new URLSearchParams(formData).toString()
+      // Fall back to the last synced absences, so that a timesheet can also be drafted offline
+      const response = await fetchQueryWithCache(
+        BUSOBJCAT.ABSENCE,
+        formData,
+        () =>
+          fetchData(
+            API_ENDPOINTS.QUERY,
+            "POST",
+            {
+              "Content-Type":
+                "application/x-www-form-urlencoded; charset=UTF-8",
+            },
+            new URLSearchParams(formData).toString()
+          )
       );
 
       if (response.success === true) {
@@ -1782,9 +1569,14 @@ const TimesheetDetail = ({ route, navigation }) => {
 
   /**
    * Memoized function to render the headerLeft with CustomBackButton and title text.
-   * The function re-renders only when `hasUnsavedChanges`, `isEditMode`, or `t` changes.
+   * The function re-renders only when `hasUnsavedChanges`, `isEditMode`, `timesheetId`, or `t` changes.
    */
   const headerLeft = useCallback(() => {
+    let title = isEditMode ? t("timesheet_edit") : t("timesheet_create");
+    if (isLocalId(timesheetId)) {
+      title = t("timesheet_draft");
+    }
+
     return (
       <View style={styles.headerLeftContainer}>
         <CustomBackButton
@@ -1797,15 +1589,15 @@ const TimesheetDetail = ({ route, navigation }) => {
           numberOfLines={1}
           ellipsizeMode="tail"
         >
-          {isEditMode ? t("timesheet_edit") : t("timesheet_create")}
+          {title}
         </Text>
       </View>
     );
-  }, [hasUnsavedChanges, isEditMode, t]);
+  }, [hasUnsavedChanges, isEditMode, timesheetId, t]);
 
   /**
    * Memoized function to render the headerRight with multiple buttons.
-   * The function re-renders only when `isEditMode`, `isLocked`, `loading`, `updatedValues`, or `timesheetTasks` change.
+   * The function re-renders only when `isEditMode`, `isLocked`, `loading`, `updatedValues`, `timesheetTasks`, or `timesheetId` change.
    */
   const headerRight = useCallback(() => {
     return (
@@ -1818,7 +1610,7 @@ const TimesheetDetail = ({ route, navigation }) => {
             library: "MaterialCommunityIcons",
             size: 24,
           }}
-          disabled={!isEditMode || loading}
+          disabled={!isEditMode || isLocalId(timesheetId) || loading}
         />
         <CustomButton
           onPress={handleReload}
@@ -1830,6 +1622,18 @@ const TimesheetDetail = ({ route, navigation }) => {
           }}
           disabled={!isEditMode || loading}
         />
+        <CustomButton
+          onPress={handleExport}
+          label=""
+          icon={{
+            name: "file-export-outline",
+            library: "MaterialCommunityIcons",
+            size: 24,
+          }}
+          disabled={
+            !isEditMode || isLocalId(timesheetId) || loading || !timesheetStart
+          }
+        />
         <CustomButton
           onPress={handleDelete}
           label=""
@@ -1854,7 +1658,15 @@ const TimesheetDetail = ({ route, navigation }) => {
         />
       </View>
     );
-  }, [isEditMode, isLocked, loading, updatedValues, timesheetTasks]);
+  }, [
+    isEditMode,
+    isLocked,
+    loading,
+    updatedValues,
+    timesheetTasks,
+    timesheetId,
+    timesheetStart,
+  ]);
 
   /**
    * Sets the header options for the screen, including the custom headerLeft and headerRight components.
@@ -1877,7 +1689,7 @@ const TimesheetDetail = ({ route, navigation }) => {
     fetchTimeAndAbsence();
 
     return () => {
-      if (isEditMode) {
+      if (isEditMode && !isLocalId(timesheetId)) {
         setOrClearLock(
           "clear",
           BUSOBJCATMAP[BUSOBJCAT.TIMESHEET],
@@ -1889,6 +1701,22 @@ const TimesheetDetail = ({ route, navigation }) => {
     };
   }, []);
 
+  /**
+   * Switches to the created timesheet once a draft created offline was synced with the server.
+   */
+  useEffect(() => {
+    if (!isLocalId(timesheetId)) {
+      return;
+    }
+
+    return subscribeToDraftPromotion((localId, serverId) => {
+      if (localId === timesheetId) {
+        setTimesheetId(serverId);
+        showToast(t("draft_synced"));
+      }
+    });
+  }, [timesheetId]);
+
   return (
     <View style={styles.container}>
       {loading ? (
@@ -1960,6 +1788,16 @@ const TimesheetDetail = ({ route, navigation }) => {
                         timesheetAbsences,
                         itemStatusIDMap,
                       }}
+                      timerItem={timerItem}
+                      onTimerItemHandled={() =>
+                        navigation.setParams({ timerItem: undefined })
+                      }
+                      onTimerItemConfirmed={(confirmedTimerItem) => {
+                        confirmedTimerItemRef.current = confirmedTimerItem;
+                      }}
+                      validateStatusChange={validateTimesheetOnSave}
+                      validationFocus={validationFocus}
+                      onValidationFocusHandled={() => setValidationFocus(null)}
                     />
                   </GestureHandlerRootView>
                 )}
@@ -2044,6 +1882,15 @@ const TimesheetDetail = ({ route, navigation }) => {
                 )}
               </Tab.Screen>
             </Tab.Navigator>
+            {validationReport && (
+              <ValidationReportDialog
+                isVisible={!!validationReport}
+                violations={validationReport}
+                onSelect={handleValidationViolationSelect}
+                onClose={() => closeValidationReport(false)}
+                onContinue={() => closeValidationReport(true)}
+              />
+            )}
           </>
         )
       )}
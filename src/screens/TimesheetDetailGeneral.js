@@ -15,11 +15,13 @@ import { addDays, format, eachDayOfInterval, isValid, parse } from "date-fns";
 import { MaterialCommunityIcons } from "@expo/vector-icons";
 
 import TimesheetDetailItemEditor from "./TimesheetDetailItemEditor";
+import TimesheetDetailWeekGrid from "./TimesheetDetailWeekGrid";
 
 import CollapsiblePanel from "../components/CollapsiblePanel";
 import CustomButton from "../components/CustomButton";
 import CustomStatus from "../components/CustomStatus";
 import CustomTextInput from "../components/CustomTextInput";
+import AutoFillDialog from "../components/dialogs/AutoFillDialog";
 
 import {
   convertMillisecondsToDuration,
@@ -29,8 +31,13 @@ import {
   normalizeDateToUTC,
   setRemarkText,
 } from "../utils/FormatUtils";
+import { isClockEntry } from "../utils/ClockEntryUtils";
 import { screenDimension } from "../utils/ScreenUtils";
-import { checkTimesheetExistsForDate } from "../utils/TimesheetUtils";
+import { addRecentTaskCombination } from "../utils/TaskCombinationUtils";
+import {
+  autoFillTimesheetItems,
+  checkTimesheetExistsForDate,
+} from "../utils/TimesheetUtils";
 import {
   APP,
   BUSOBJCAT,
@@ -56,11 +63,18 @@ const TimesheetDetailGeneral = ({
   timesheetTypeDetails,
   employeeInfo,
   timesheetDetail,
+  timerItem,
+  onTimerItemHandled,
+  onTimerItemConfirmed,
+  validateStatusChange,
+  validationFocus,
+  onValidationFocusHandled,
 }) => {
   const { t, i18n } = useTranslation();
   const lang = i18n.language;
 
   const {
+    personId,
     hireDate,
     termDate,
     nonWorkingDates,
@@ -79,6 +93,7 @@ const TimesheetDetailGeneral = ({
   );
 
   const dateListRef = useRef(null);
+  const openedTimerItemRef = useRef(null); // The timer item shown in the item editor, until confirmed or cancelled
   const timesheetItemsRef = useRef(null);
 
   const {
@@ -133,6 +148,8 @@ const TimesheetDetailGeneral = ({
   const [isEditingHeaderRemark, setIsEditingHeaderRemark] = useState(false);
   const [timesheetDateRange, setTimesheetDateRange] = useState([]);
   const [isOverviewCollapsed, setIsOverviewCollapsed] = useState(true);
+  const [isGridMode, setIsGridMode] = useState(false);
+  const [isAutoFillVisible, setIsAutoFillVisible] = useState(false);
 
   /**
    * Handles the collapse state change for the overview panel.
@@ -1176,8 +1193,8 @@ const TimesheetDetailGeneral = ({
     return daySeqMap;
   };
 
-  const validateItemCreateOrEdit = () => {
-    if (hireDate && selectedDate.getTime() < new Date(hireDate).getTime()) {
+  const validateItemCreateOrEdit = (date = selectedDate) => {
+    if (hireDate && date.getTime() < new Date(hireDate).getTime()) {
       showToast(
         t("error_hire_date", {
           date: format(
@@ -1190,7 +1207,7 @@ const TimesheetDetailGeneral = ({
       return false;
     }
 
-    if (termDate && selectedDate.getTime() > new Date(termDate).getTime()) {
+    if (termDate && date.getTime() > new Date(termDate).getTime()) {
       showToast(
         t("error_term_date", {
           date: format(
@@ -1253,6 +1270,90 @@ const TimesheetDetailGeneral = ({
     setIsEditingItem(true);
   };
 
+  /**
+   * Opens the item editor with the time recorded by the timer, on the day the timer was started.
+   * The time is rounded up to the minimum time increment of the timesheet type. If the task is already
+   * booked on that day, the time is added to the existing item instead of creating a new one.
+   *
+   * @param {Object} timerItem - The day and the item converted from the stopped timer (see `convertTimerToTimesheetItem`).
+   */
+  const openTimerItem = ({ date, item }) => {
+    if (isParentLocked) {
+      showToast(t("timer_timesheet_locked"), "error");
+      return;
+    }
+
+    const timerDate = new Date(date);
+    const timerDateFormatted = format(timerDate, "yyyy-MM-dd");
+
+    const minIncr =
+      (parseInt(timesheetTypeDetails.minTimeIncrement, 10) || 0) * 60000; // 60000 ms = 1 minute
+    const actualTime =
+      minIncr > 0
+        ? Math.ceil(item.actualTime / minIncr) * minIncr
+        : item.actualTime;
+
+    // The items map is built from the tasks, which may not have been mapped yet when the screen opens
+    const existingItem = (
+      generateTimesheetItemsMap(tasks).get(timerDateFormatted) || []
+    ).find(
+      (existing) => existing.taskId === item.taskId && !existing.departmentId
+    );
+
+    setSelectedDate(timerDate);
+
+    if (existingItem) {
+      setIsItemEditMode(true);
+      setCurrentItem({
+        ...existingItem,
+        actualTime: (existingItem.actualTime || 0) + actualTime,
+      });
+    } else {
+      setIsItemEditMode(false);
+      setCurrentItem({ ...item, actualTime });
+    }
+
+    openedTimerItemRef.current = { date, item };
+    setIsEditingItem(true);
+  };
+
+  /**
+   * Leads to the header remark, day or item a violation of the validation report refers to.
+   * The item is opened in the item editor.
+   *
+   * @param {Object} focus - The `date` ("yyyy-MM-dd") and `item` (`{ taskId, departmentId }`) of the violation,
+   *   or `headerRemark` if it refers to the header remark.
+   */
+  const focusValidationViolation = ({ date, item, headerRemark }) => {
+    if (headerRemark) {
+      setIsOverviewCollapsed(false);
+      setIsEditingHeaderRemark(!isParentLocked);
+      return;
+    }
+
+    if (!date) {
+      return;
+    }
+
+    setIsOverviewCollapsed(true);
+    setIsGridMode(false);
+    setSelectedDate(new Date(`${date}T00:00:00`));
+
+    const focusedItem =
+      item &&
+      (timesheetItemsMap.get(date) || []).find(
+        (existing) =>
+          existing.taskId === item.taskId &&
+          existing.departmentId === item.departmentId
+      );
+
+    if (focusedItem) {
+      setIsItemEditMode(true);
+      setCurrentItem(focusedItem);
+      setIsEditingItem(true);
+    }
+  };
+
   const handleDeleteItemClick = (item) => {
     const taskNameWithExtId = item.taskExtId
       ? `${item.taskText} (${item.taskExtId})`
@@ -1311,9 +1412,166 @@ const TimesheetDetailGeneral = ({
     }
   };
 
+  /**
+   * Handles the change of a cell in the week grid. The time of the item of the row on that day is replaced,
+   * a new item is added for the row if there is none yet, and the item is removed if the time was cleared.
+   * The minimum time increment of the timesheet type is checked like in the item editor.
+   *
+   * @param {string} date - The day of the cell, formatted as "yyyy-MM-dd".
+   * @param {Object} rowItem - An item of the row, providing the customer, project, task and department.
+   * @param {number} actualTime - The entered time in milliseconds.
+   */
+  const handleGridCellChange = (date, rowItem, actualTime) => {
+    if (!validateItemCreateOrEdit(new Date(`${date}T00:00:00`))) {
+      return;
+    }
+
+    const minIncr = parseInt(timesheetTypeDetails.minTimeIncrement, 10) || 0;
+    if (minIncr > 0 && actualTime % (minIncr * 60000) !== 0) {
+      if (timesheetTypeDetails.validateIncrement === "E") {
+        showToast(t("validation_error_min_increment", { minIncr }), "error");
+        return;
+      } else if (timesheetTypeDetails.validateIncrement === "W") {
+        showToast(
+          t("validation_warning_min_increment", { minIncr }),
+          "warning"
+        );
+      }
+    }
+
+    const generateUniqueKey = (item) =>
+      `${item.departmentId || ""}${item.taskId || ""}`;
+
+    const items = [...(timesheetItemsMap.get(date) || [])];
+    const index = items.findIndex(
+      (item) => generateUniqueKey(item) === generateUniqueKey(rowItem)
+    );
+
+    if (actualTime === 0) {
+      if (index !== -1) {
+        items.splice(index, 1);
+      }
+    } else {
+      // A new item takes the task details of the row, but none of the values booked on other days
+      const item =
+        index !== -1
+          ? items[index]
+          : {
+              ...rowItem,
+              start: "",
+              end: "",
+              actualQuantity: { quantity: 0, unit: "" },
+              remark: [],
+              remarkText: "",
+              extStatus: {},
+              statusLabel: "",
+            };
+
+      const updatedItem = {
+        ...item,
+        actualTime,
+        billableTime: item.billable ? actualTime : 0,
+        isDirty: true,
+      };
+
+      if (index !== -1) {
+        items[index] = updatedItem;
+      } else {
+        items.push(updatedItem);
+      }
+    }
+
+    const updatedTimesheetItemsMap = new Map(timesheetItemsMap);
+    if (items.length === 0) {
+      updatedTimesheetItemsMap.delete(date);
+    } else {
+      updatedTimesheetItemsMap.set(date, items);
+    }
+
+    setTimesheetItemsMap(updatedTimesheetItemsMap);
+    SetTasks(convertTimesheetItemsMapToTasks(updatedTimesheetItemsMap));
+  };
+
+  /**
+   * Fills every working day of the period with the selected task (see `autoFillTimesheetItems`). Non-working days,
+   * holidays and days outside the employment are skipped.
+   *
+   * @param {Object} selection - The customer, project, task and department to book the time on.
+   */
+  const handleAutoFill = (selection) => {
+    setIsAutoFillVisible(false);
+
+    const daySeqMap = patterns.length > 0 ? createDaySeqMap(patterns) : null;
+
+    const getScheduledTime = (date) => {
+      if (
+        isWeekendOnDate(date).isWeekend ||
+        isHolidayOnDate(date).isHoliday ||
+        (hireDate && date.getTime() < new Date(hireDate).getTime()) ||
+        (termDate && date.getTime() > new Date(termDate).getTime())
+      ) {
+        return 0;
+      }
+
+      return daySeqMap ? daySeqMap.get(date.getDay()) || 0 : dailyStdHours;
+    };
+
+    const {
+      timesheetItemsMap: updatedTimesheetItemsMap,
+      filledDays,
+      filledTime,
+    } = autoFillTimesheetItems(
+      timesheetItemsMap,
+      timesheetDateRange,
+      selection,
+      getScheduledTime,
+      absenceDayTotalMap,
+      timesheetTypeDetails.minTimeIncrement
+    );
+
+    if (filledDays === 0) {
+      showToast(t("auto_fill_nothing_to_fill"), "warning");
+      return;
+    }
+
+    setTimesheetItemsMap(updatedTimesheetItemsMap);
+    SetTasks(convertTimesheetItemsMapToTasks(updatedTimesheetItemsMap));
+    addRecentTaskCombination(selection);
+
+    showToast(
+      t("auto_fill_done", {
+        hours: convertMillisecondsToDuration(filledTime),
+        days: filledDays,
+      })
+    );
+  };
+
   const handleCancelEditItem = () => {
     setIsEditingItem(false);
     setCurrentItem({});
+    openedTimerItemRef.current = null;
+  };
+
+  /**
+   * Gets the items on the selected date other than the item being edited, e.g., to detect overlapping clock entries.
+   *
+   * @returns {Array<Object>} - The other items of the selected date.
+   */
+  const getOtherItemsOnSelectedDate = () => {
+    if (!selectedDate) {
+      return [];
+    }
+
+    const items =
+      timesheetItemsMap.get(format(new Date(selectedDate), "yyyy-MM-dd")) || [];
+    const currentItemKey = `${currentItem.departmentId || ""}${
+      currentItem.taskId || ""
+    }`;
+
+    return items.filter(
+      (item) =>
+        `${item.departmentId || ""}${item.taskId || ""}` !== currentItemKey
+    );
   };
 
   /**
@@ -1389,6 +1647,12 @@ const TimesheetDetailGeneral = ({
     setIsEditingItem(false);
 
     SetTasks(convertTimesheetItemsMapToTasks(updatedTimesheetItemsMap));
+
+    // The timer is removed once the timesheet is saved with its time
+    if (openedTimerItemRef.current && onTimerItemConfirmed) {
+      onTimerItemConfirmed(openedTimerItemRef.current);
+    }
+    openedTimerItemRef.current = null;
   };
 
   const renderTimesheetItems = () => {
@@ -1561,6 +1825,14 @@ const TimesheetDetailGeneral = ({
                       ? ` (Qty: ${item.actualQuantity?.quantity} ${item.actualQuantity?.unit})`
                       : ""}
                   </Text>
+                  {isClockEntry(item) && (
+                    <Text>
+                      {`${format(new Date(item.start), "HH:mm")}\u2013${format(
+                        new Date(item.end),
+                        "HH:mm"
+                      )}`}
+                    </Text>
+                  )}
                 </View>
                 <View>
                   <Text style={styles.itemsCardFirstRowLabel}>
@@ -1750,6 +2022,32 @@ const TimesheetDetailGeneral = ({
     }
   }, []);
 
+  useEffect(() => {
+    // Book the time of a stopped timer passed on opening the screen
+    if (!timerItem) {
+      return;
+    }
+
+    openTimerItem(timerItem);
+
+    if (onTimerItemHandled) {
+      onTimerItemHandled();
+    }
+  }, [timerItem]);
+
+  useEffect(() => {
+    // Lead to the violation tapped in the validation report
+    if (!validationFocus) {
+      return;
+    }
+
+    focusValidationViolation(validationFocus);
+
+    if (onValidationFocusHandled) {
+      onValidationFocusHandled();
+    }
+  }, [validationFocus]);
+
   useEffect(() => {
     const formattedDate = selectedDate
       ? format(new Date(selectedDate), "yyyy-MM-dd")
@@ -2165,6 +2463,33 @@ const TimesheetDetailGeneral = ({
                   {convertMillisecondsToDuration(totalTimesheetTime)} h)
                 </Text>
               </View>
+              <Pressable
+                style={styles.viewModeButton}
+                onPress={() => setIsAutoFillVisible(true)}
+                disabled={isParentLocked}
+                accessibilityLabel={t("auto_fill")}
+                accessibilityRole="button"
+                testID="timesheet-auto-fill-button"
+              >
+                <MaterialCommunityIcons
+                  name="auto-fix"
+                  size={28}
+                  color={isParentLocked ? "#808080" : "#005eb8"}
+                />
+              </Pressable>
+              <Pressable
+                style={styles.viewModeButton}
+                onPress={() => setIsGridMode(!isGridMode)}
+                accessibilityLabel={isGridMode ? t("day_view") : t("week_grid")}
+                accessibilityRole="button"
+                testID="timesheet-view-mode-button"
+              >
+                <MaterialCommunityIcons
+                  name={isGridMode ? "view-day-outline" : "table-large"}
+                  size={28}
+                  color="#005eb8"
+                />
+              </Pressable>
               <View style={styles.statusContainer}>
                 <CustomStatus
                   busObjCat={BUSOBJCATMAP[busObjCat]}
@@ -2177,38 +2502,58 @@ const TimesheetDetailGeneral = ({
                   listOfNextStatus={listOfNextStatus}
                   handleReload={handleReload}
                   loading={loading}
+                  validate={validateStatusChange}
                 />
               </View>
             </ScrollView>
           </View>
-          <View style={styles.dateListContainer}>
-            <Pressable style={styles.dateArrow} onPress={fetchPreviousDates}>
-              <MaterialCommunityIcons
-                name="chevron-left"
-                size={36}
-                color="#005eb8"
-              />
-            </Pressable>
-            <FlatList
-              ref={dateListRef}
-              getItemLayout={getDateListItemLayout}
-              onScrollToIndexFailed={handleDateListScrollToIndexFailed}
-              data={visibleDates}
-              renderItem={renderDateItem}
-              keyExtractor={(item, index) => index.toString()}
-              horizontal
-              showsHorizontalScrollIndicator={false}
-              contentContainerStyle={styles.dateList}
+          {isGridMode ? (
+            <TimesheetDetailWeekGrid
+              dates={timesheetDateRange}
+              timesheetItemsMap={timesheetItemsMap}
+              dayTotalMap={dayTotalMap}
+              totalTime={totalTimesheetTime}
+              isHolidayOnDate={isHolidayOnDate}
+              isAbsenceOnDate={isAbsenceOnDate}
+              isWeekendOnDate={isWeekendOnDate}
+              onCellChange={handleGridCellChange}
+              isParentLocked={isParentLocked}
             />
-            <Pressable style={styles.dateArrow} onPress={fetchNextDates}>
-              <MaterialCommunityIcons
-                name="chevron-right"
-                size={36}
-                color="#005eb8"
-              />
-            </Pressable>
-          </View>
-          {renderTimesheetItems()}
+          ) : (
+            <>
+              <View style={styles.dateListContainer}>
+                <Pressable
+                  style={styles.dateArrow}
+                  onPress={fetchPreviousDates}
+                >
+                  <MaterialCommunityIcons
+                    name="chevron-left"
+                    size={36}
+                    color="#005eb8"
+                  />
+                </Pressable>
+                <FlatList
+                  ref={dateListRef}
+                  getItemLayout={getDateListItemLayout}
+                  onScrollToIndexFailed={handleDateListScrollToIndexFailed}
+                  data={visibleDates}
+                  renderItem={renderDateItem}
+                  keyExtractor={(item, index) => index.toString()}
+                  horizontal
+                  showsHorizontalScrollIndicator={false}
+                  contentContainerStyle={styles.dateList}
+                />
+                <Pressable style={styles.dateArrow} onPress={fetchNextDates}>
+                  <MaterialCommunityIcons
+                    name="chevron-right"
+                    size={36}
+                    color="#005eb8"
+                  />
+                </Pressable>
+              </View>
+              {renderTimesheetItems()}
+            </>
+          )}
           {!loading && !keyboardShown && (
             <View style={styles.floatingContainer}>
               <CustomButton
@@ -2225,6 +2570,15 @@ const TimesheetDetailGeneral = ({
               />
             </View>
           )}
+          {isAutoFillVisible && (
+            <AutoFillDialog
+              isVisible={isAutoFillVisible}
+              personId={personId}
+              date={start}
+              onClose={() => setIsAutoFillVisible(false)}
+              onConfirm={handleAutoFill}
+            />
+          )}
           {isEditingItem && (
             <TimesheetDetailItemEditor
               item={currentItem}
@@ -2238,6 +2592,7 @@ const TimesheetDetailGeneral = ({
               isItemEditMode={isItemEditMode}
               isParentLocked={isParentLocked}
               employeeInfo={employeeInfo}
+              dayItems={getOtherItemsOnSelectedDate()}
             />
           )}
         </>
@@ -2275,6 +2630,10 @@ const styles = StyleSheet.create({
     justifyContent: "flex-start",
     alignItems: "center",
   },
+  viewModeButton: {
+    justifyContent: "center",
+    marginLeft: 20,
+  },
   statusContainer: {
     flexDirection: "row",
     justifyContent: "flex-end",
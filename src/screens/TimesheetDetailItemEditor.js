@@ -12,20 +12,36 @@ import {
 } from "react-native";
 import { useTranslation } from "react-i18next";
 import { ScrollView } from "react-native-gesture-handler";
+import CustomButton from "../components/CustomButton";
 import CustomRemotePicker from "../components/CustomRemotePicker";
 import CustomPicker from "../components/CustomPicker";
 import CustomTextInput from "../components/CustomTextInput";
+import TaskCombinations from "../components/favorites/TaskCombinations";
 import {
   API_ENDPOINTS,
   APP,
-  APP_NAME,
   INTSTATUS,
   PREFERRED_LANGUAGES,
   TEST_MODE,
 } from "../constants";
+import {
+  TIME_ENTRY_MODE,
+  calculateClockEntry,
+  findOverlappingClockEntries,
+  getClockEntry,
+  isClockEntry,
+} from "../utils/ClockEntryUtils";
 import { getRemarkText, setRemarkText } from "../utils/FormatUtils";
 import { showToast } from "../utils/MessageUtils";
 import { fetchData } from "../utils/APIUtils";
+import { addRecentTaskCombination } from "../utils/TaskCombinationUtils";
+import {
+  customerPickerAdditionalFields,
+  getItemPickerQueryParams,
+  projectPickerAdditionalFields,
+  retrieveBillableStatus,
+  taskPickerAdditionalFields,
+} from "../utils/TimesheetUtils";
 import clientOverrides from "../config/clientOverrides";
 
 const TimesheetDetailItemEditor = ({
@@ -37,6 +53,7 @@ const TimesheetDetailItemEditor = ({
   isItemEditMode,
   isParentLocked,
   employeeInfo,
+  dayItems = [],
 }) => {
   const { t, i18n } = useTranslation();
   const lang = i18n.language;
@@ -80,11 +97,27 @@ const TimesheetDetailItemEditor = ({
   const [clearDepartmentSearchData, setClearDepartmentSearchData] =
     useState(false);
 
+  const [entryMode, setEntryMode] = useState(
+    isClockEntry(item) ? TIME_ENTRY_MODE.CLOCK : TIME_ENTRY_MODE.DURATION
+  );
+  const [clockEntry, setClockEntry] = useState(getClockEntry(item));
+
+  // The day the clock entry is recorded on
+  const entryDate =
+    timesheetDetail.selectedDate ||
+    timesheetDetail.timesheetStart ||
+    new Date();
+
   const timeUnitOptions = [
     { label: "hour(s)", value: "hours" },
     { label: "minute(s)", value: "minutes" },
   ];
 
+  const entryModeOptions = [
+    { label: t("time_entry_duration"), value: TIME_ENTRY_MODE.DURATION },
+    { label: t("time_entry_clock"), value: TIME_ENTRY_MODE.CLOCK },
+  ];
+
   /**
    * Fetches initial task details based on the provided task item.
    *
@@ -339,6 +372,71 @@ const TimesheetDetailItemEditor = ({
     }));
   };
 
+  /**
+   * Updates the clock entry and, once it is valid, the start, end and actual time of the item computed from it.
+   * The breaks are kept in the item so that they can be edited again until the timesheet is saved.
+   *
+   * @param {Object} changes - The changed `startTime`, `endTime` or `breaks` of the clock entry.
+   */
+  const handleClockEntryChange = (changes) => {
+    const updatedClockEntry = { ...clockEntry, ...changes };
+    setClockEntry(updatedClockEntry);
+
+    const { start, end, actualTime, error } = calculateClockEntry(
+      entryDate,
+      updatedClockEntry.startTime,
+      updatedClockEntry.endTime,
+      updatedClockEntry.breaks
+    );
+
+    // Incomplete entries are reported on confirm
+    if (error) {
+      return;
+    }
+
+    updateInitialTimeValues({ actualTime });
+    setEditedItem((prevItem) => ({
+      ...prevItem,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      actualTime,
+      breaks: updatedClockEntry.breaks,
+    }));
+  };
+
+  const handleBreakChange = (index, text) => {
+    const breaks = [...clockEntry.breaks];
+    breaks[index] = text;
+    handleClockEntryChange({ breaks });
+  };
+
+  const handleAddBreak = () => {
+    handleClockEntryChange({ breaks: [...clockEntry.breaks, ""] });
+  };
+
+  const handleRemoveBreak = (index) => {
+    handleClockEntryChange({
+      breaks: clockEntry.breaks.filter((_, i) => i !== index),
+    });
+  };
+
+  const handleEntryModeChange = (value) => {
+    setEntryMode(value);
+
+    if (value === TIME_ENTRY_MODE.CLOCK) {
+      handleClockEntryChange({});
+      return;
+    }
+
+    // Keep the computed time as the duration and drop the times of day
+    setEditedItem((prevItem) => ({
+      ...prevItem,
+      breaks: undefined,
+      start: isClockEntry(initialItem) ? "" : initialItem.start,
+      end: isClockEntry(initialItem) ? "" : initialItem.end,
+    }));
+  };
+
   const handleRemarkChange = (text) => {
     const updatedRemark = setRemarkText(editedItem.remark, lang, text);
     setEditedItem({ ...editedItem, remark: updatedRemark });
@@ -440,6 +538,46 @@ const TimesheetDetailItemEditor = ({
       return false;
     }
 
+    // Check the clock entry and that it does not overlap other entries of the day
+    if (entryMode === TIME_ENTRY_MODE.CLOCK && !isQuantityAllowedTask) {
+      const { start, end, error } = calculateClockEntry(
+        entryDate,
+        clockEntry.startTime,
+        clockEntry.endTime,
+        clockEntry.breaks
+      );
+
+      if (error) {
+        Alert.alert(
+          t("validation_error"),
+          t(error),
+          [{ text: t("ok"), style: "cancel" }],
+          { cancelable: false }
+        );
+        return false;
+      }
+
+      const overlappingItems = findOverlappingClockEntries(
+        start,
+        end,
+        dayItems
+      );
+
+      if (overlappingItems.length > 0) {
+        Alert.alert(
+          t("validation_error"),
+          t("clock_entry_overlap", {
+            items: overlappingItems
+              .map((item) => item.taskText || item.departmentText)
+              .join(", "),
+          }),
+          [{ text: t("ok"), style: "cancel" }],
+          { cancelable: false }
+        );
+        return false;
+      }
+    }
+
     // Check for time requirement
     if (!editedItem.actualTime && !isQuantityAllowedTask) {
       Alert.alert(
@@ -523,6 +661,9 @@ const TimesheetDetailItemEditor = ({
     setEditedItem(updatedItem);
     onConfirm(updatedItem);
 
+    // Offer the combination of the item for the next items
+    addRecentTaskCombination(updatedItem);
+
     console.log(`After edit item: ${JSON.stringify(updatedItem)}`);
   };
 
@@ -554,180 +695,18 @@ const TimesheetDetailItemEditor = ({
     return JSON.stringify(obj1) === JSON.stringify(obj2);
   }
 
-  const commonQueryParams = {
-    filterQueryValue: "",
-    userID: APP.LOGIN_USER_ID,
-    client: parseInt(APP.LOGIN_USER_CLIENT),
-    language: APP.LOGIN_USER_LANGUAGE,
-    testMode: "",
-    appName: APP_NAME.TIMESHEET,
-    intStatus: JSON.stringify([INTSTATUS.ACTIVE, 1]),
-    page: 1,
-    start: 0,
-    limit: 20,
-  };
-
-  const customerQueryParams = {
-    fields: [
-      "Customer-id",
-      "Customer-extID",
-      "Customer-type",
-      "Customer-text",
-      "Customer-name",
-      "Customer-name:text",
-    ],
-    sort: [
-      {
-        property: "Customer-changedOn",
-        direction: "DESC",
-      },
-      {
-        property: "Customer-name-text",
-        direction: "ASC",
-      },
-    ],
-  };
-
-  const projectQueryParams = {
-    fields: [
-      "ProjectWBS-id",
-      "ProjectWBS-extID",
-      "ProjectWBS-type",
-      "ProjectWBS-text",
-      "ProjectWBS-text:text",
-      "ProjectWBS-remark:text",
-      "ProjectWBS-text-text",
-      "ProjectWBS-financeData-companyID",
-      "ProjectWBS-financeData-companyID:BusUnit-name-text",
-      "ProjectWBS-responsible",
-      "ProjectWBS-responsible:Person-name-knownAs",
-      "ProjectWBS-customerID",
-      "ProjectWBS-customerID:Customer-extID",
-      "ProjectWBS-customerID:Customer-name-text",
-      "ProjectWBS-assigned",
-      "ProjectWBS-percentComplete",
-    ],
-    where: [
-      {
-        fieldName: "ProjectWBS-assigned",
-        operator: "in",
-        value: personId,
-      },
-      { fieldName: "ProjectWBS-percentComplete", operator: "!=", value: 100 },
-    ],
-    sort: [
-      {
-        property: "ProjectWBS-changedOn",
-        direction: "DESC",
-      },
-      {
-        property: "ProjectWBS-text:text",
-        direction: "ASC",
-      },
-    ],
-  };
-
-  if (editedItem.customerId) {
-    projectQueryParams.where.push({
-      fieldName: "ProjectWBS-customerID",
-      operator: "=",
-      value: editedItem.customerId,
-    });
-  }
-
-  const taskQueryParams = {
-    fields: [
-      "Task-id",
-      "Task-extID",
-      "Task-type",
-      "Task-text",
-      "Task-text:text",
-      "Task-remark:text",
-      "Task-text-text",
-      "Task-customerID",
-      "Task-customerID:Customer-extID",
-      "Task-customerID:Customer-name-text",
-      "Task-projectWbsID",
-      "Task-projectWbsID:ProjectWBS-extID",
-      "Task-projectWbsID:ProjectWBS-text-text",
-      "Task-allResources",
-      "Task-timeConfAllowed",
-      "Task-percentComplete",
-      "Task-client",
-      "Task-assigned",
-      "Task-dates-actualFinish",
-      "Task-type:TaskType-timeConfAllowed",
-      "Task-type:TaskType-doNotAllowExpenses",
-      "Task-type:TaskType-quantityAllowed",
-      "Task-quantities-plannedQuantity",
-      "Task-quantities-plannedQuantity-unit:Unit-decimals",
-      "Task-quantities-plannedQuantity-unit:Unit-name",
-      "Task-quantities-actualQuantity",
-      "Task-quantities-actualQuantity-unit:Unit-decimals",
-      "Task-quantities-actualQuantity-unit:Unit-name",
-      "Task-quantities-unitTime",
-      "Task-billable",
-      "Task-resources-personID",
-      "Task-resources-billable",
-      "Task-resources-intStatus",
-      "Task-resources-percentComplete",
-      "Task-dates-actualStart",
-      "Task-duration",
-      "Task-timeItemTypes",
-      "Task-timeItemTypes[0]:TimeItemType-id",
-      "Task-timeItemTypes[0]:TimeItemType-name",
-      "Task-timeItemTypeNonEditable",
-      "Task-intStatus",
-    ],
-    where: [
-      {
-        fieldName: "Task-type:TaskType-timeConfAllowed",
-        operator: "=",
-        value: true,
-      },
-      {
-        fieldName: "Task-client",
-        operator: "=",
-        value: parseInt(APP.LOGIN_USER_CLIENT),
-        or: true,
-        nestedConditions: [
-          {
-            fieldName: "Task-assigned",
-            operator: "in",
-            value: personId,
-          },
-          { fieldName: "Task-allResources", operator: "=", value: true },
-        ],
-      },
-      {
-        fieldName: "Task-intStatus",
-        operator: "in",
-        value: ["0", "1", "2", null],
-        or: true,
-        nestedConditions: [
-          { fieldName: "Task-percentComplete", operator: "!=", value: 100 },
-          {
-            fieldName: "Task-dates-actualFinish",
-            operator: ">=",
-            value:
-              timesheetDetail.selectedDate ?? // Use `selectedDate` if it's available
-              timesheetDetail.timesheetStart ?? // Otherwise, use `timesheetStart`
-              new Date(), // Fall back to the current date and time if both are unavailable
-          },
-        ],
-      },
-    ],
-    sort: [
-      {
-        property: "Task-changedOn",
-        direction: "DESC",
-      },
-      {
-        property: "Task-text:text",
-        direction: "ASC",
-      },
-    ],
-  };
+  const {
+    commonQueryParams,
+    customerQueryParams,
+    projectQueryParams,
+    taskQueryParams,
+  } = getItemPickerQueryParams(
+    personId,
+    editedItem,
+    timesheetDetail.selectedDate ?? // Use `selectedDate` if it's available
+      timesheetDetail.timesheetStart ?? // Otherwise, use `timesheetStart`
+      new Date() // Fall back to the current date and time if both are unavailable
+  );
 
   const busUnitQueryParams = {
     fields: [
@@ -772,22 +751,6 @@ const TimesheetDetailItemEditor = ({
     ],
   };
 
-  if (editedItem.customerId) {
-    taskQueryParams.where.push({
-      fieldName: "Task-customerID",
-      operator: "=",
-      value: editedItem.customerId,
-    });
-  }
-
-  if (editedItem.projectId) {
-    taskQueryParams.where.push({
-      fieldName: "Task-projectWbsID",
-      operator: "=",
-      value: editedItem.projectId,
-    });
-  }
-
   const handleCustomerChange = ({ value, label, additionalData }) => {
     console.log(
       `Additonal data in customer: ${JSON.stringify(additionalData)}`
@@ -895,7 +858,8 @@ const TimesheetDetailItemEditor = ({
       billable: retrieveBillableStatus(
         taskBillable,
         taskQuantityAllowed,
-        taskResources
+        taskResources,
+        personId
       ),
       taskId: value,
       taskText: label,
@@ -962,43 +926,6 @@ const TimesheetDetailItemEditor = ({
     setClearDepartmentSearchData([]);
   };
 
-  /**
-   * Retrieves the billable status of a task based on its properties and resources.
-   *
-   * @param {boolean} taskBillable - Indicates if the task is generally billable.
-   * @param {Array} taskResources - List of resources associated with the task. Each resource should have `personID` and `billable` properties.
-   * @param {boolean} taskQuantityAllowed - Flag indicating whether the task is quantity-based, which automatically makes it billable.
-   * @returns {boolean} - Returns `true` if the task is billable based on its properties and resources; otherwise, returns `false`.
-   */
-  const retrieveBillableStatus = (
-    taskBillable,
-    taskQuantityAllowed,
-    taskResources
-  ) => {
-    // Return true if the task is quantity-based and allowed.
-    if (taskQuantityAllowed) {
-      console.log("Task is quantity allowed, so booked time is billable.");
-      return true;
-    }
-
-    // If the task is not billable by default, return false.
-    if (!taskBillable) {
-      console.log("Task is not billable by default.");
-      return false;
-    }
-
-    // Log the task resources for debugging purposes.
-    console.log("Checking task resources:", taskResources);
-
-    // Find the resource matching the logged-in person.
-    const resource = taskResources?.find(
-      (resource) => resource.personID === personId
-    );
-
-    // Return the billable status of the matched resource, or false if no resource is found.
-    return resource ? resource.billable : false;
-  };
-
   const handleDepartmentChange = ({ value, label, additionalData }) => {
     console.log(
       `Additonal data in department: ${JSON.stringify(additionalData)}`
@@ -1041,6 +968,53 @@ const TimesheetDetailItemEditor = ({
     setClearTaskSearchData([]);
   };
 
+  /**
+   * Fills the customer, project, task, department and time type of the item from a favorite or recently used
+   * combination, and loads the settings of its task.
+   *
+   * @param {Object} selection - The selection.
+   * @param {Object} selection.combination - The task combination.
+   * @param {boolean} [selection.billable] - Whether time booked on the task is billable, if it is known.
+   */
+  const handleTaskCombinationSelect = ({ combination, billable }) => {
+    setEditedItem({
+      ...editedItem,
+      customerId: combination.customerId,
+      customerText: combination.customerText,
+      customerExtId: combination.customerExtId,
+      projectId: combination.projectId,
+      projectText: combination.projectText,
+      projectExtId: combination.projectExtId,
+      taskId: combination.taskId,
+      taskText: combination.taskText,
+      taskExtId: combination.taskExtId,
+      departmentId: combination.departmentId,
+      departmentText: combination.departmentText,
+      departmentExtId: combination.departmentExtId,
+      timeItemTypeId: combination.timeItemTypeId,
+      timeItemTypeText: combination.timeItemTypeText,
+      timeItemTypeExtId: combination.timeItemTypeExtId,
+      billable: !combination.departmentId && (billable ?? false),
+      actualQuantity: { quantity: 0, unit: "" },
+    });
+
+    setIsQuantityAllowedTask(false);
+    setQuantityToTimeUnit(3600000);
+    setQuantityUnit("ea");
+    setQuantityUnitName("Each");
+    setDecimalsAllowedInUnit(0);
+    setTaskTimeItemTypes([]);
+    setTaskTimeItemTypeNonEditable(false);
+    setTaskBillable(false);
+
+    fetchInitialTaskDetails(combination);
+
+    setClearCustomerSearchData([]);
+    setClearProjectSearchData([]);
+    setClearTaskSearchData([]);
+    setClearDepartmentSearchData([]);
+  };
+
   const handleTimeTypeChange = ({ value, label, additionalData }) => {
     const extID = additionalData.extID ?? "";
 
@@ -1105,6 +1079,20 @@ const TimesheetDetailItemEditor = ({
             : t("timesheet_create_item")}
         </Text>
         <ScrollView contentContainerStyle={styles.modalContent}>
+          {!isItemEditMode &&
+            !isParentLocked &&
+            defaultAsHomeDefault !== "*" && (
+              <TaskCombinations
+                personId={personId}
+                date={
+                  timesheetDetail.selectedDate ??
+                  timesheetDetail.timesheetStart ??
+                  new Date()
+                }
+                onSelect={handleTaskCombinationSelect}
+                disabled={initialTaskLoading}
+              />
+            )}
           {defaultAsHomeDefault !== "*" && (
             <View style={styles.modalInputContainer}>
               <CustomRemotePicker
@@ -1118,7 +1106,7 @@ const TimesheetDetailItemEditor = ({
                 initialItemValue={editedItem.customerId}
                 labelItemField={"Customer-name:text"}
                 valueItemField={"Customer-id"}
-                additionalFields={[{ extID: "Customer-extID" }]}
+                additionalFields={customerPickerAdditionalFields}
                 searchFields={["Customer-name-text", "Customer-extID"]}
                 multiline={true}
                 onValueChange={handleCustomerChange}
@@ -1140,20 +1128,7 @@ const TimesheetDetailItemEditor = ({
                 initialItemValue={editedItem.projectId}
                 labelItemField={"ProjectWBS-text:text"}
                 valueItemField={"ProjectWBS-id"}
-                additionalFields={[
-                  {
-                    extID: "ProjectWBS-extID",
-                  },
-                  { projectCustomerId: "ProjectWBS-customerID" },
-                  {
-                    projectCustomerExtId:
-                      "ProjectWBS-customerID:Customer-extID",
-                  },
-                  {
-                    projectCustomerText:
-                      "ProjectWBS-customerID:Customer-name-text",
-                  },
-                ]}
+                additionalFields={projectPickerAdditionalFields}
                 searchFields={["ProjectWBS-text-text", "ProjectWBS-extID"]}
                 multiline={true}
                 onValueChange={handleProjectChange}
@@ -1175,51 +1150,7 @@ const TimesheetDetailItemEditor = ({
                 initialItemValue={editedItem.taskId}
                 labelItemField={"Task-text:text"}
                 valueItemField={"Task-id"}
-                additionalFields={[
-                  { extID: "Task-extID" },
-                  { taskBillable: "Task-billable" },
-                  { taskResources: "Task-resources" },
-                  { taskTimeItemTypes: "Task-timeItemTypes" },
-                  {
-                    taskTimeItemTypeId: "Task-timeItemTypes[0]:TimeItemType-id",
-                  },
-                  {
-                    taskTimeItemTypeText:
-                      "Task-timeItemTypes[0]:TimeItemType-name",
-                  },
-                  {
-                    taskTimeItemTypeNonEditable: "Task-timeItemTypeNonEditable",
-                  },
-                  { taskQuantityAllowed: "Task-type:TaskType-quantityAllowed" },
-                  { taskUnitTime: "Task-quantities-unitTime" },
-                  { taskPlannedQuantity: "Task-quantities-plannedQuantity" },
-                  { taskActualQuantity: "Task-quantities-actualQuantity" },
-                  {
-                    taskPlannedQuantityUnitDecimals:
-                      "Task-quantities-plannedQuantity-unit:Unit-decimals",
-                  },
-                  {
-                    taskActualQuantityUnitDecimals:
-                      "Task-quantities-actualQuantity-unit:Unit-decimals",
-                  },
-                  {
-                    taskPlannedQuantityUnitName:
-                      "Task-quantities-plannedQuantity-unit:Unit-name",
-                  },
-                  {
-                    taskActualQuantityUnitName:
-                      "Task-quantities-actualQuantity-unit:Unit-name",
-                  },
-                  { taskCustomerId: "Task-customerID" },
-                  { taskCustomerExtId: "Task-customerID:Customer-extID" },
-                  { taskCustomerText: "Task-customerID:Customer-name-text" },
-                  { taskProjectWBSId: "Task-projectWbsID" },
-                  { taskProjectWBSExtId: "Task-projectWbsID:ProjectWBS-extID" },
-                  {
-                    taskProjectWBSText:
-                      "Task-projectWbsID:ProjectWBS-text-text",
-                  },
-                ]}
+                additionalFields={taskPickerAdditionalFields}
                 searchFields={["Task-text-text", "Task-extID"]}
                 multiline={true}
                 onValueChange={handleTaskChange}
@@ -1291,6 +1222,95 @@ const TimesheetDetailItemEditor = ({
               />
             </View>
           )}
+          {!initialTaskLoading && !isQuantityAllowedTask && (
+            <View style={styles.modalInputContainer}>
+              <Text style={styles.modalInputLabel}>{t("time_entry_mode")}</Text>
+              <CustomPicker
+                items={entryModeOptions}
+                initialValue={entryMode}
+                onFilter={handleEntryModeChange}
+                hideSearchInput={true}
+                disabled={isParentLocked}
+              />
+              {entryMode === TIME_ENTRY_MODE.CLOCK && (
+                <>
+                  <View style={styles.clockTimesContainer}>
+                    <View style={styles.clockTimeContainer}>
+                      <Text style={styles.modalInputLabel}>
+                        {t("clock_entry_start")}
+                      </Text>
+                      <CustomTextInput
+                        value={clockEntry.startTime}
+                        placeholder={"HH:mm"}
+                        onChangeText={(text) =>
+                          handleClockEntryChange({ startTime: text })
+                        }
+                        showClearButton={false}
+                        keyboardType="numbers-and-punctuation"
+                        editable={!isParentLocked}
+                      />
+                    </View>
+                    <View style={styles.clockTimeContainer}>
+                      <Text style={styles.modalInputLabel}>
+                        {t("clock_entry_end")}
+                      </Text>
+                      <CustomTextInput
+                        value={clockEntry.endTime}
+                        placeholder={"HH:mm"}
+                        onChangeText={(text) =>
+                          handleClockEntryChange({ endTime: text })
+                        }
+                        showClearButton={false}
+                        keyboardType="numbers-and-punctuation"
+                        editable={!isParentLocked}
+                      />
+                    </View>
+                  </View>
+                  {clockEntry.breaks.map((breakMinutes, index) => (
+                    <View key={index} style={styles.breakRow}>
+                      <Text style={styles.breakLabel}>
+                        {t("clock_entry_break", { number: index + 1 })}
+                      </Text>
+                      <CustomTextInput
+                        value={breakMinutes}
+                        placeholder={"0"}
+                        onChangeText={(text) => handleBreakChange(index, text)}
+                        showClearButton={false}
+                        keyboardType="numeric"
+                        containerStyle={styles.breakInput}
+                        editable={!isParentLocked}
+                      />
+                      <CustomButton
+                        onPress={() => handleRemoveBreak(index)}
+                        label=""
+                        icon={{
+                          name: "minus-circle-outline",
+                          library: "MaterialCommunityIcons",
+                          size: 24,
+                          color: "#d9534f",
+                        }}
+                        backgroundColor={false}
+                        disabled={isParentLocked}
+                        accessibilityLabel={t("clock_entry_remove_break")}
+                      />
+                    </View>
+                  ))}
+                  <CustomButton
+                    onPress={handleAddBreak}
+                    label={t("clock_entry_add_break")}
+                    icon={{
+                      name: "coffee-outline",
+                      library: "MaterialCommunityIcons",
+                      size: 20,
+                      color: "white",
+                    }}
+                    disabled={isParentLocked}
+                    style={styles.addBreakButton}
+                  />
+                </>
+              )}
+            </View>
+          )}
           <View style={styles.rowContainer}>
             {defaultAsHomeDefault !== "*" && (
               <View>
@@ -1329,7 +1349,10 @@ const TimesheetDetailItemEditor = ({
                           showClearButton={false}
                           keyboardType="numeric"
                           containerStyle={styles.hourInput}
-                          editable={!isParentLocked}
+                          editable={
+                            !isParentLocked &&
+                            entryMode === TIME_ENTRY_MODE.DURATION
+                          }
                         />
                         <CustomPicker
                           items={timeUnitOptions}
@@ -1337,7 +1360,10 @@ const TimesheetDetailItemEditor = ({
                           onFilter={handleTimeUnitChange}
                           hideSearchInput={true}
                           containerStyle={styles.unitPickerContainer}
-                          disabled={isParentLocked}
+                          disabled={
+                            isParentLocked ||
+                            entryMode === TIME_ENTRY_MODE.CLOCK
+                          }
                         />
                       </View>
                     </View>
@@ -1521,6 +1547,30 @@ const styles = StyleSheet.create({
     borderBottomStartRadius: 0,
     marginBottom: 0,
   },
+  clockTimesContainer: {
+    flexDirection: "row",
+    columnGap: 10,
+    marginTop: "4%",
+  },
+  clockTimeContainer: {
+    flex: 1,
+  },
+  breakRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    columnGap: 10,
+    marginTop: "2%",
+  },
+  breakLabel: {
+    flex: 1,
+  },
+  breakInput: {
+    flex: 1,
+  },
+  addBreakButton: {
+    alignSelf: "flex-start",
+    marginTop: "4%",
+  },
   modalButtonsContainer: {
     flexDirection: "row",
     alignItems: "center",
@@ -0,0 +1,389 @@
+import React, { useState } from "react";
+import { ScrollView, StyleSheet, Text, TextInput, View } from "react-native";
+import { useTranslation } from "react-i18next";
+
+import { convertMillisecondsToDuration } from "../utils/FormatUtils";
+import { showToast } from "../utils/MessageUtils";
+
+/**
+ * Builds the key identifying a row of the grid, which is unique per department and task like the items of a day.
+ * @param {Object} item - A timesheet item.
+ * @returns {string} - The key of the row.
+ */
+const getRowKey = (item) => `${item.departmentId || ""}${item.taskId || ""}`;
+
+/**
+ * Parses a duration entered in a cell, either as decimal hours (e.g., "7.5" or "7,5") or as hours and minutes
+ * (e.g., "7:30").
+ * @param {string} text - The entered text.
+ * @returns {number|null} - The duration in milliseconds, 0 for an empty cell, or null if the text is not a duration.
+ */
+const parseCellDuration = (text) => {
+  const trimmedText = (text || "").trim();
+
+  if (trimmedText === "") {
+    return 0;
+  }
+
+  const hoursAndMinutes = trimmedText.match(/^(\d{1,2}):([0-5]\d)$/);
+  if (hoursAndMinutes) {
+    return (
+      parseInt(hoursAndMinutes[1], 10) * 3600000 +
+      parseInt(hoursAndMinutes[2], 10) * 60000
+    );
+  }
+
+  if (!/^\d+([.,]\d+)?$/.test(trimmedText)) {
+    return null;
+  }
+
+  // Round to full minutes, as the time is booked in minutes
+  return Math.round(parseFloat(trimmedText.replace(",", ".")) * 60) * 60000;
+};
+
+/**
+ * Formats a duration in milliseconds for a cell, leaving cells without time empty.
+ * @param {number} milliseconds - The duration in milliseconds.
+ * @returns {string} - The formatted duration in hours.
+ */
+const formatCellDuration = (milliseconds) =>
+  milliseconds ? convertMillisecondsToDuration(milliseconds) : "";
+
+/**
+ * TimesheetDetailWeekGrid component shows the items of a timesheet as a grid, with a row per task and a column per
+ * day of the period, so that the hours of a whole period can be entered without opening the item editor for every
+ * day. Holidays, absences and non-working days are shaded like in the date strip.
+ *
+ * @param {Object} props - Component props.
+ * @param {Array<string>} props.dates - The days of the period, formatted as "yyyy-MM-dd".
+ * @param {Map<string, Array<Object>>} props.timesheetItemsMap - The items of the timesheet by day.
+ * @param {Map<string, number>} props.dayTotalMap - The total time of every day in milliseconds, including holidays and absences.
+ * @param {number} props.totalTime - The total time of the timesheet in milliseconds, including holidays and absences.
+ * @param {Function} props.isHolidayOnDate - Function returning whether a date is a holiday (`{ isHoliday }`).
+ * @param {Function} props.isAbsenceOnDate - Function returning whether a date is an absence day (`{ isAbsence }`).
+ * @param {Function} props.isWeekendOnDate - Function returning whether a date is a non-working day (`{ isWeekend }`).
+ * @param {Function} props.onCellChange - Callback function called with the day, an item of the row and the new time in
+ *   milliseconds when a cell was changed. A time of 0 removes the item.
+ * @param {boolean} props.isParentLocked - Boolean indicating whether the timesheet is locked for editing.
+ * @returns {JSX.Element} - Rendered component.
+ */
+const TimesheetDetailWeekGrid = ({
+  dates,
+  timesheetItemsMap,
+  dayTotalMap,
+  totalTime,
+  isHolidayOnDate,
+  isAbsenceOnDate,
+  isWeekendOnDate,
+  onCellChange,
+  isParentLocked,
+}) => {
+  // Initialize useTranslation hook
+  const { t } = useTranslation();
+
+  // Texts of the cells being edited, by row key and day
+  const [cellTexts, setCellTexts] = useState({});
+
+  // Collect the rows with the first item found for each of them, which provides the task details
+  const rows = [];
+  const rowItemsByKey = new Map();
+
+  dates.forEach((date) => {
+    (timesheetItemsMap.get(date) || []).forEach((item) => {
+      const key = getRowKey(item);
+
+      if (!rowItemsByKey.has(key)) {
+        rowItemsByKey.set(key, new Map());
+        rows.push({ key, item });
+      }
+
+      rowItemsByKey.get(key).set(date, item);
+    });
+  });
+
+  const getCellKey = (rowKey, date) => `${rowKey}|${date}`;
+
+  const handleCellTextChange = (rowKey, date, text) => {
+    setCellTexts((prevCellTexts) => ({
+      ...prevCellTexts,
+      [getCellKey(rowKey, date)]: text,
+    }));
+  };
+
+  const handleCellEndEditing = (row, date) => {
+    const cellKey = getCellKey(row.key, date);
+    const text = cellTexts[cellKey];
+
+    // The cell was not changed
+    if (text === undefined) {
+      return;
+    }
+
+    const actualTime = parseCellDuration(text);
+    const currentActualTime = rowItemsByKey.get(row.key).get(date)?.actualTime;
+
+    if (actualTime === null) {
+      showToast(t("week_grid_invalid_duration"), "error");
+    } else if (actualTime !== (currentActualTime || 0)) {
+      onCellChange(date, row.item, actualTime);
+    }
+
+    // Show the time of the item again, which is the entered time unless the change was rejected
+    setCellTexts((prevCellTexts) => {
+      const remainingCellTexts = { ...prevCellTexts };
+      delete remainingCellTexts[cellKey];
+      return remainingCellTexts;
+    });
+  };
+
+  const getDayStyle = (date) => {
+    const fullDate = new Date(`${date}T00:00:00`);
+
+    if (isHolidayOnDate(fullDate).isHoliday) {
+      return styles.holidayCell;
+    }
+    if (isAbsenceOnDate(fullDate).isAbsence) {
+      return styles.absenceCell;
+    }
+    if (isWeekendOnDate(fullDate).isWeekend) {
+      return styles.weekendCell;
+    }
+
+    return null;
+  };
+
+  const getRowTotal = (row) => {
+    let rowTotal = 0;
+    rowItemsByKey.get(row.key).forEach((item) => {
+      rowTotal += item.actualTime || 0;
+    });
+    return rowTotal;
+  };
+
+  const renderRowTitle = (item) => {
+    const title = item.taskText || item.departmentText || "";
+    const subtitle = item.projectText || item.customerText || "";
+
+    return (
+      <View style={styles.fixedColumn}>
+        <Text style={styles.rowTitle} numberOfLines={1} ellipsizeMode="tail">
+          {title}
+        </Text>
+        {!!subtitle && (
+          <Text
+            style={styles.rowSubtitle}
+            numberOfLines={1}
+            ellipsizeMode="tail"
+          >
+            {subtitle}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderCell = (row, date) => {
+    const item = rowItemsByKey.get(row.key).get(date);
+    const cellKey = getCellKey(row.key, date);
+
+    // Quantities are converted into time by the item editor, so rows booked as quantities are not edited in the grid
+    const isQuantityItem = !!(item || row.item).actualQuantity?.quantity;
+
+    return (
+      <View key={date} style={[styles.cell, getDayStyle(date)]}>
+        <TextInput
+          style={[
+            styles.cellInput,
+            item?.isDirty && styles.dirtyCellInput,
+            (isParentLocked || isQuantityItem) && styles.readOnlyCellInput,
+          ]}
+          value={cellTexts[cellKey] ?? formatCellDuration(item?.actualTime)}
+          onChangeText={(text) => handleCellTextChange(row.key, date, text)}
+          onEndEditing={() => handleCellEndEditing(row, date)}
+          editable={!isParentLocked && !isQuantityItem}
+          keyboardType="decimal-pad"
+          returnKeyType="done"
+          selectTextOnFocus={true}
+          accessibilityLabel={`${row.item.taskText || row.item.departmentText} ${date}`}
+          testID={`week-grid-cell-${cellKey}`}
+        />
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <View style={styles.tableContent}>
+        {/* Fixed Part: Task Column */}
+        <View>
+          <View style={[styles.headerRow, styles.fixedColumn]}>
+            <Text style={styles.headerText}>{t("task")}</Text>
+          </View>
+          {rows.map((row) => (
+            <View key={row.key} style={styles.row}>
+              {renderRowTitle(row.item)}
+            </View>
+          ))}
+          <View style={[styles.row, styles.fixedColumn, styles.totalRow]}>
+            <Text style={styles.headerText}>{t("total")}</Text>
+          </View>
+        </View>
+
+        {/* Scrollable Part: Days and Totals */}
+        <ScrollView horizontal showsHorizontalScrollIndicator={true}>
+          <View>
+            <View style={styles.headerRow}>
+              {dates.map((date) => {
+                const fullDate = new Date(`${date}T00:00:00`);
+
+                return (
+                  <View
+                    key={date}
+                    style={[styles.cell, styles.headerCell, getDayStyle(date)]}
+                  >
+                    <Text style={styles.headerText}>
+                      {fullDate.toLocaleDateString("en-US", {
+                        weekday: "short",
+                      })}
+                    </Text>
+                    <Text style={styles.headerText}>
+                      {fullDate.toLocaleDateString("en-US", {
+                        month: "2-digit",
+                        day: "2-digit",
+                      })}
+                    </Text>
+                  </View>
+                );
+              })}
+              <View style={[styles.cell, styles.headerCell]}>
+                <Text style={styles.headerText}>{t("total")}</Text>
+              </View>
+            </View>
+            {rows.map((row) => (
+              <View key={row.key} style={styles.row}>
+                {dates.map((date) => renderCell(row, date))}
+                <View style={styles.cell}>
+                  <Text style={styles.totalText}>
+                    {formatCellDuration(getRowTotal(row))}
+                  </Text>
+                </View>
+              </View>
+            ))}
+            <View style={[styles.row, styles.totalRow]}>
+              {dates.map((date) => (
+                <View key={date} style={[styles.cell, getDayStyle(date)]}>
+                  <Text style={styles.totalText}>
+                    {formatCellDuration(dayTotalMap.get(date))}
+                  </Text>
+                </View>
+              ))}
+              <View style={styles.cell}>
+                <Text style={styles.totalText}>
+                  {formatCellDuration(totalTime)}
+                </Text>
+              </View>
+            </View>
+          </View>
+        </ScrollView>
+      </View>
+      {rows.length === 0 && (
+        <Text style={styles.emptyMessageText}>{t("week_grid_empty")}</Text>
+      )}
+      <Text style={styles.note}>{`${t("note")}: ${t("week_grid_note")}`}</Text>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: "2%",
+    paddingBottom: 100, // Keep the last row clear of the floating button
+  },
+  tableContent: {
+    flexDirection: "row",
+    backgroundColor: "#fff",
+  },
+  headerRow: {
+    flexDirection: "row",
+    backgroundColor: "#f0f0f0",
+    borderBottomWidth: 1,
+    borderBottomColor: "#ccc",
+    height: 50,
+  },
+  row: {
+    flexDirection: "row",
+    borderBottomWidth: 1,
+    borderBottomColor: "#ccc",
+    height: 48,
+  },
+  totalRow: {
+    backgroundColor: "#f0f0f0",
+  },
+  fixedColumn: {
+    width: 120,
+    justifyContent: "center",
+    borderRightWidth: 1,
+    borderRightColor: "#ccc",
+    paddingHorizontal: 5,
+  },
+  rowTitle: {
+    fontSize: 12,
+    fontWeight: "bold",
+  },
+  rowSubtitle: {
+    fontSize: 11,
+    color: "#808080",
+  },
+  cell: {
+    width: 56,
+    justifyContent: "center",
+    alignItems: "center",
+    borderRightWidth: 1,
+    borderRightColor: "#ccc",
+  },
+  headerCell: {
+    height: "100%",
+  },
+  headerText: {
+    fontSize: 12,
+    fontWeight: "bold",
+  },
+  totalText: {
+    fontSize: 12,
+    fontWeight: "bold",
+  },
+  cellInput: {
+    width: "100%",
+    height: "100%",
+    textAlign: "center",
+    fontSize: 13,
+    color: "#005eb8",
+  },
+  dirtyCellInput: {
+    fontWeight: "bold",
+  },
+  readOnlyCellInput: {
+    color: "#808080",
+  },
+  weekendCell: {
+    backgroundColor: "#d3d3d3",
+  },
+  holidayCell: {
+    backgroundColor: "#aaf0c9",
+  },
+  absenceCell: {
+    backgroundColor: "#ffcccb",
+  },
+  emptyMessageText: {
+    marginTop: "4%",
+    textAlign: "center",
+    color: "#808080",
+  },
+  note: {
+    marginTop: "4%",
+    fontSize: 12,
+    fontStyle: "italic",
+  },
+});
+
+export default TimesheetDetailWeekGrid;
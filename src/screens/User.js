@@ -10,7 +10,7 @@ import { Alert, ScrollView, Switch, Text, View } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import * as SecureStore from "expo-secure-store";
 import { useTranslation } from "react-i18next";
-import { format } from "date-fns";
+import { addDays, format } from "date-fns";
 
 import CustomButton from "../components/CustomButton";
 import CustomBackButton from "../components/CustomBackButton";
@@ -19,9 +19,16 @@ import CustomPicker from "../components/CustomPicker";
 import { fetchData } from "../utils/APIUtils";
 import { convertToDateFNSFormat } from "../utils/FormatUtils";
 import { showToast } from "../utils/MessageUtils";
+import {
+  cancelTimesheetReminders,
+  getTimesheetReminderSettings,
+  requestReminderPermission,
+  saveTimesheetReminderSettings,
+  scheduleTimesheetReminders,
+} from "../utils/ReminderUtils";
 import { parseUserComms } from "../utils/UserUtils";
 
-import { API_ENDPOINTS, APP } from "../constants";
+import { API_ENDPOINTS, APP, TIMESHEET_REMINDERS } from "../constants";
 import { LoggedInUserInfoContext } from "../../context/LoggedInUserInfoContext";
 import { useRequestQueueContext } from "../../context/RequestQueueContext";
 import { ThemeContext } from "../theme/ThemeContext";
@@ -52,12 +59,22 @@ const User = ({ route, navigation }) => {
   const [initialSelectedTheme, setInitialSelectedTheme] =
     useState("Blue-White");
 
+  const [initialReminderSettings, setInitialReminderSettings] = useState(
+    TIMESHEET_REMINDERS.DEFAULT_SETTINGS
+  );
+
   const [selectedLanguage, setSelectedLanguage] = useState(null);
   const [selectedTheme, setSelectedTheme] = useState(themeName);
+  const [reminderSettings, setReminderSettings] = useState(
+    TIMESHEET_REMINDERS.DEFAULT_SETTINGS
+  );
 
   // Use the custom hook to access the request queue context
-  const { isRequestQueueEnabled, setIsRequestQueueEnabled } =
-    useRequestQueueContext(); // Provides access to request queue context for managing request queue feature.
+  const {
+    isRequestQueueEnabled,
+    setIsRequestQueueEnabled,
+    requestQueue = [],
+  } = useRequestQueueContext(); // Provides access to request queue context for managing request queue feature.
 
   const [changes, setChanges] = useState([]); // Track changes made to user preferences.
 
@@ -74,6 +91,35 @@ const User = ({ route, navigation }) => {
     { label: "Yellow-Black", value: "Yellow-Black" },
   ];
 
+  // Day options for the timesheet reminders, the weekdays in the order of the user's week.
+  const reminderDays = [
+    {
+      label: t("timesheet_reminder_last_working_day"),
+      value: TIMESHEET_REMINDERS.LAST_WORKING_DAY,
+    },
+    ...Array.from({ length: 7 }, (_, index) => {
+      const weekday = ((loggedInUserInfo?.startOfWeek ?? 1) + index) % 7;
+
+      return {
+        // 7 January 2024 was a Sunday
+        label: addDays(new Date(2024, 0, 7), weekday).toLocaleDateString(
+          i18n.language,
+          { weekday: "long" }
+        ),
+        value: String(weekday),
+      };
+    }),
+  ];
+
+  // Time options for the timesheet reminders, every half hour from 06:00 to 22:00.
+  const reminderTimes = Array.from({ length: 33 }, (_, index) => {
+    const time = `${String(6 + Math.floor(index / 2)).padStart(2, "0")}:${
+      index % 2 ? "30" : "00"
+    }`;
+
+    return { label: time, value: time };
+  });
+
   // Check if any preferences have been changed.
   const saveDisabled = useMemo(() => {
     console.log("Current state of changes array:", changes);
@@ -133,6 +179,25 @@ const User = ({ route, navigation }) => {
     updateChangeTracking("requestQueue", value, initialIsRequestQueueEnabled);
   };
 
+  /**
+   * Handle changes of the timesheet reminder preferences and track modifications.
+   * @param {string} field - The changed preference ("enabled", "day" or "time").
+   * @param {boolean|string} value - The new value of the preference.
+   */
+  const handleReminderChange = (field, value) => {
+    console.log(`Timesheet reminder ${field} changed to:`, value);
+    setReminderSettings((prevSettings) => ({
+      ...prevSettings,
+      [field]: value,
+    }));
+
+    updateChangeTracking(
+      `reminder-${field}`,
+      value,
+      initialReminderSettings[field]
+    );
+  };
+
   /**
    * Clear all data from AsyncStorage.
    * @async
@@ -186,6 +251,9 @@ const User = ({ route, navigation }) => {
             try {
               console.log("Logging out...");
 
+              // Cancel the timesheet reminders of the user
+              await cancelTimesheetReminders();
+
               // Clear AsyncStorage (non-sensitive data)
               await clearAllAsyncStorage();
               console.log("AsyncStorage cleared.");
@@ -223,8 +291,9 @@ const User = ({ route, navigation }) => {
   };
 
   /**
-   * Saves the user preferences (language and request queue settings) to AsyncStorage.
-   * This method also changes the app's language and displays a success toast upon saving.
+   * Saves the user preferences (language, request queue, theme and timesheet reminder settings) to AsyncStorage.
+   * This method also changes the app's language, schedules the timesheet reminders again and displays a success
+   * toast upon saving.
    * If the preferences have not changed, it simply clears the change-tracking state.
    *
    * @async
@@ -239,7 +308,9 @@ const User = ({ route, navigation }) => {
         "Request queue enabled:",
         isRequestQueueEnabled,
         "Selected theme:",
-        selectedTheme
+        selectedTheme,
+        "Timesheet reminders:",
+        reminderSettings
       );
 
       // Save selected language in AsyncStorage or remove if null.
@@ -263,10 +334,23 @@ const User = ({ route, navigation }) => {
       // Save selected theme in AsyncStorage.
       await AsyncStorage.setItem("preferredTheme", selectedTheme);
 
+      // Reminders can only be enabled if the user allows notifications.
+      let savedReminderSettings = reminderSettings;
+      if (reminderSettings.enabled && !(await requestReminderPermission())) {
+        savedReminderSettings = { ...reminderSettings, enabled: false };
+        setReminderSettings(savedReminderSettings);
+        showToast(t("timesheet_reminders_permission_denied"), "warning");
+      }
+
+      // Save the timesheet reminder settings and schedule the reminders accordingly.
+      await saveTimesheetReminderSettings(savedReminderSettings);
+      scheduleTimesheetReminders(loggedInUserInfo, t);
+
       // Update the initial values after saving.
       setInitialSelectedLanguage(selectedLanguage);
       setInitialIsRequestQueueEnabled(isRequestQueueEnabled);
       setInitialSelectedTheme(selectedTheme);
+      setInitialReminderSettings(savedReminderSettings);
 
       updateTheme(selectedTheme);
 
@@ -281,7 +365,13 @@ const User = ({ route, navigation }) => {
       // Display an alert to the user indicating that saving failed.
       Alert.alert(t("error"), t("save_preferences_failed"));
     }
-  }, [selectedLanguage, isRequestQueueEnabled, selectedTheme, changes]);
+  }, [
+    selectedLanguage,
+    isRequestQueueEnabled,
+    selectedTheme,
+    reminderSettings,
+    changes,
+  ]);
 
   /**
    * Calls the logout API to log the user out from the backend.
@@ -329,8 +419,13 @@ const User = ({ route, navigation }) => {
   const handleDiscardChanges = useCallback(() => {
     setIsRequestQueueEnabled(initialIsRequestQueueEnabled);
     setSelectedLanguage(initialSelectedLanguage);
+    setReminderSettings(initialReminderSettings);
     setChanges([]); // Clear any tracked changes after reverting
-  }, [initialIsRequestQueueEnabled, initialSelectedLanguage]);
+  }, [
+    initialIsRequestQueueEnabled,
+    initialSelectedLanguage,
+    initialReminderSettings,
+  ]);
 
   /**
    * Determines if there are any unsaved changes in user preferences by checking if any field
@@ -350,12 +445,17 @@ const User = ({ route, navigation }) => {
   useEffect(() => {
     const fetchDataFromStorage = async () => {
       try {
-        const [preferredLanguage, isQueueEnabled, preferredTheme] =
-          await Promise.all([
-            AsyncStorage.getItem("preferredLanguage"),
-            AsyncStorage.getItem("isRequestQueueEnabled"),
-            AsyncStorage.getItem("preferredTheme"),
-          ]);
+        const [
+          preferredLanguage,
+          isQueueEnabled,
+          preferredTheme,
+          storedReminderSettings,
+        ] = await Promise.all([
+          AsyncStorage.getItem("preferredLanguage"),
+          AsyncStorage.getItem("isRequestQueueEnabled"),
+          AsyncStorage.getItem("preferredTheme"),
+          getTimesheetReminderSettings(),
+        ]);
         if (preferredLanguage) {
           setSelectedLanguage(preferredLanguage);
           setInitialSelectedLanguage(preferredLanguage);
@@ -368,6 +468,8 @@ const User = ({ route, navigation }) => {
           setSelectedTheme(preferredTheme);
           setInitialSelectedTheme(preferredTheme);
         }
+        setReminderSettings(storedReminderSettings);
+        setInitialReminderSettings(storedReminderSettings);
       } catch (error) {
         console.error("Error fetching data from AsyncStorage:", error);
       }
@@ -543,6 +645,26 @@ const User = ({ route, navigation }) => {
               accessibilityState={{ checked: isRequestQueueEnabled }}
             />
           </View>
+          {(isRequestQueueEnabled || requestQueue.length > 0) && (
+            <CustomButton
+              onPress={() => navigation.navigate("RequestQueue")}
+              label={t("request_queue_view", { count: requestQueue.length })}
+              icon={{
+                name: "playlist-check",
+                library: "MaterialCommunityIcons",
+                size: 24,
+                color: "#005eb8",
+              }}
+              backgroundColor={false}
+              style={styles.requestQueueButton}
+              labelStyle={styles.requestQueueButtonText}
+              accessibilityLabel={t("request_queue_view", {
+                count: requestQueue.length,
+              })}
+              accessibilityRole="button"
+              testID="request-queue-button"
+            />
+          )}
           <Text
             style={styles.pickerLabel}
             accessibilityLabel="Select theme"
@@ -579,6 +701,69 @@ const User = ({ route, navigation }) => {
           />
           <Text style={styles.note}>Note: {t("cache_reset_message")}</Text>
         </View>
+        {/* Container for the timesheet reminder settings */}
+        <View style={styles.sectionContainer}>
+          <View style={styles.toggleContainer}>
+            <Text
+              style={styles.toggleLabel}
+              accessibilityLabel="Enable timesheet reminders label"
+              accessibilityRole="text"
+            >
+              {t("timesheet_reminders")}
+            </Text>
+            <Switch
+              trackColor={{ false: "#767577", true: "#005eb8" }}
+              thumbColor={reminderSettings.enabled ? "#f5dd4b" : "#f4f3f4"}
+              ios_backgroundColor="#3e3e3e"
+              onValueChange={(value) => handleReminderChange("enabled", value)}
+              value={reminderSettings.enabled}
+              accessibilityLabel="Enable timesheet reminders toggle"
+              accessibilityRole="switch"
+              accessibilityState={{ checked: reminderSettings.enabled }}
+            />
+          </View>
+          {reminderSettings.enabled && (
+            <>
+              <Text
+                style={styles.pickerLabel}
+                accessibilityLabel="Select reminder day"
+                accessibilityRole="text"
+              >
+                {t("timesheet_reminder_day")}
+              </Text>
+              <CustomPicker
+                items={reminderDays}
+                initialValue={reminderSettings.day}
+                onFilter={(day) => handleReminderChange("day", day)}
+                useModalInIOS={false}
+                hideSearchInput={true}
+                accessibilityLabel="Reminder day picker"
+                accessibilityRole="dropdownlist"
+                testID="reminder-day-picker"
+              />
+              <Text
+                style={styles.pickerLabel}
+                accessibilityLabel="Select reminder time"
+                accessibilityRole="text"
+              >
+                {t("timesheet_reminder_time")}
+              </Text>
+              <CustomPicker
+                items={reminderTimes}
+                initialValue={reminderSettings.time}
+                onFilter={(time) => handleReminderChange("time", time)}
+                useModalInIOS={false}
+                hideSearchInput={true}
+                accessibilityLabel="Reminder time picker"
+                accessibilityRole="dropdownlist"
+                testID="reminder-time-picker"
+              />
+            </>
+          )}
+          <Text style={styles.note}>
+            Note: {t("timesheet_reminders_message")}
+          </Text>
+        </View>
         {/* Logout button */}
         <CustomButton
           onPress={onPressLogout}
@@ -41,6 +41,9 @@ export const useThemeStyles = () => {
         paddingVertical: 8,
       },
       headerRight: {
+        flexDirection: "row",
+        alignItems: "center",
+        columnGap: 12,
         paddingVertical: 8,
       },
       userPhoto: {
@@ -147,6 +150,17 @@ export const useThemeStyles = () => {
       toggleLabel: {
         fontSize: 16,
       },
+      requestQueueButton: {
+        justifyContent: "flex-start",
+        paddingVertical: "2%",
+        paddingHorizontal: 0,
+        marginBottom: "2%",
+      },
+      requestQueueButtonText: {
+        color: theme.secondary,
+        textDecorationLine: "underline",
+        fontSize: 14,
+      },
       userInfoContainer: {
         flexDirection: "row",
         alignItems: "center",
@@ -11,6 +11,7 @@ import {
   TEST_MODE,
 } from "../constants";
 
+import { fetchQueryWithCache, getCachedQuery } from "./CacheUtils";
 import { showToast } from "../utils/MessageUtils";
 
 /**
@@ -291,6 +292,7 @@ const getQueryFields = (busObjCat, extraFields = []) => {
           "ExpenseClaim-remark:text",
           "ExpenseClaim-amountBU",
           "ExpenseClaim-date",
+          "ExpenseClaim-extStatus-processTemplateID",
           "ExpenseClaim-extStatus-processTemplateID:ProcessTemplate-steps",
           ...extraFields,
         ],
@@ -365,8 +367,82 @@ const getSortConditions = (busObjCat) => {
   }
 };
 
+/**
+ * Builds the parameters of a query for the specified business object category.
+ * @param {string} busObjCat - The business object category for which data is to be fetched.
+ * @param {number} page - The page number for pagination, or null to fetch all records.
+ * @param {number} limit - The limit of items per page.
+ * @param {Object} queryFields - Query fields configuration object. The fields of the category are used if empty.
+ * @param {Array<Object>} whereConditions - Array of where conditions for the query.
+ * @param {Array<Object>} orConditions - Array of OR conditions for the query.
+ * @param {Array<Object>} sortConditions - Array of sort conditions for the query.
+ * @returns {Object} - The query parameters to be sent as form data.
+ */
+const buildBusObjCatQueryData = (
+  busObjCat,
+  page,
+  limit,
+  queryFields,
+  whereConditions,
+  orConditions,
+  sortConditions
+) => {
+  // If query fields are not provided, get them based on the business object category
+  if (!queryFields || Object.keys(queryFields).length === 0) {
+    queryFields = getQueryFields(busObjCat);
+  }
+
+  // Add where conditions to the query fields if whereConditions is provided.
+  // A copy is made, as the same query fields may be used for the cached and the fetched data.
+  if (whereConditions && whereConditions.length > 0) {
+    queryFields = {
+      ...queryFields,
+      where: [...(queryFields.where || []), ...whereConditions],
+    };
+  }
+
+  // Add OR conditions to the query fields if orConditions is provided
+  if (orConditions && orConditions.length > 0) {
+    queryFields = {
+      ...queryFields,
+      or: [...(queryFields.or || []), ...orConditions],
+    };
+  }
+
+  // Common query data for the API request
+  const commonQueryData = {
+    userID: APP.LOGIN_USER_ID,
+    client: parseInt(APP.LOGIN_USER_CLIENT),
+    language: APP.LOGIN_USER_LANGUAGE,
+    query: JSON.stringify(queryFields),
+    testMode: TEST_MODE,
+    appName: JSON.stringify(getAppNameByCategory(busObjCat)),
+    intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
+  };
+
+  // Add optional parameters if any
+  if (page !== null) {
+    commonQueryData.page = page;
+    if (limit !== null && page >= 1) {
+      commonQueryData.limit = limit;
+      commonQueryData.start = (page - 1) * limit;
+    }
+  }
+
+  // Use sortConditions if provided or fallback to getSortConditions
+  if (sortConditions && sortConditions.length > 0) {
+    commonQueryData.sort = JSON.stringify(sortConditions);
+  } else if (getSortConditions(busObjCat)) {
+    commonQueryData.sort = JSON.stringify(getSortConditions(busObjCat));
+  }
+
+  return commonQueryData;
+};
+
 /**
  * Fetches data for the specified business object category using a query with optional pagination, query fields, and conditions.
+ * The result is cached locally. If the query cannot be sent (e.g., because the device is offline),
+ * the result of the last successful sync of the same query is returned instead.
  * @param {string} busObjCat - The business object category for which data is to be fetched.
  * @param {number} [page=1] - The page number for pagination (default is 1).
  * @param {number} [limit=PAGE_SIZE] - The limit of items per page (default is PAGE_SIZE).
@@ -375,6 +451,7 @@ const getSortConditions = (busObjCat) => {
  * @param {Array<Object>} [orConditions=[]] - (Optional) Array of OR conditions for the query.
  * @param {Array<Object>} [sortConditions=[]] - (Optional) Array of sort conditions for the query.
  * @returns {Promise<Object>} - A promise that resolves to an object containing the fetched data, page number, limit, and total record count.
+ *                             Cached data is flagged with `fromCache` and the time of the last sync in `syncedAt`.
  *                             If an error occurs during the API request, it resolves to an object containing an error message.
  */
 const fetchBusObjCatData = async (
@@ -387,59 +464,15 @@ const fetchBusObjCatData = async (
   sortConditions = []
 ) => {
   try {
-    // If query fields are not provided, get them based on the business object category
-    if (!queryFields || Object.keys(queryFields).length === 0) {
-      queryFields = getQueryFields(busObjCat);
-    }
-
-    // Add where conditions to the query fields if whereConditions is provided
-    if (whereConditions && whereConditions.length > 0) {
-      // Initialize queryFields.where as an array if it's undefined
-      if (!queryFields.where) {
-        queryFields.where = [];
-      }
-      whereConditions.forEach((whereCondition) => {
-        queryFields.where.push(whereCondition);
-      });
-    }
-
-    // Add OR conditions to the query fields if orConditions is provided
-    if (orConditions && orConditions.length > 0) {
-      // Initialize queryFields.where as an array if it's undefined
-      if (!queryFields.or) {
-        queryFields.or = [];
-      }
-      orConditions.forEach((orCondition) => {
-        queryFields.or.push(orCondition);
-      });
-    }
-
-    // Common query data for the API request
-    const commonQueryData = {
-      userID: APP.LOGIN_USER_ID,
-      client: parseInt(APP.LOGIN_USER_CLIENT),
-      language: APP.LOGIN_USER_LANGUAGE,
-      query: JSON.stringify(queryFields),
-      testMode: TEST_MODE,
-      appName: JSON.stringify(getAppNameByCategory(busObjCat)),
-      intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
-    };
-
-    // Add optional parameters if any
-    if (page !== null) {
-      commonQueryData.page = page;
-      if (limit !== null && page >= 1) {
-        commonQueryData.limit = limit;
-        commonQueryData.start = (page - 1) * limit;
-      }
-    }
-
-    // Use sortConditions if provided or fallback to getSortConditions
-    if (sortConditions.length > 0) {
-      commonQueryData.sort = JSON.stringify(sortConditions);
-    } else if (getSortConditions(busObjCat)) {
-      commonQueryData.sort = JSON.stringify(getSortConditions(busObjCat));
-    }
+    const commonQueryData = buildBusObjCatQueryData(
+      busObjCat,
+      page,
+      limit,
+      queryFields,
+      whereConditions,
+      orConditions,
+      sortConditions
+    );
 
     console.log(
       `Query data for ${busObjCat}: ${JSON.stringify(commonQueryData)}`
@@ -448,14 +481,19 @@ const fetchBusObjCatData = async (
     // Convert common query data to URLSearchParams
     const formData = new URLSearchParams(commonQueryData);
 
-    // Fetch data using the fetchData function
-    const busObjCatData = await fetchData(
-      API_ENDPOINTS.QUERY,
-      "POST",
-      {
-        "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
-      },
-      formData.toString()
+    // Fetch data using the fetchData function, falling back to the cached result
+    const busObjCatData = await fetchQueryWithCache(
+      busObjCat,
+      commonQueryData,
+      () =>
+        fetchData(
+          API_ENDPOINTS.QUERY,
+          "POST",
+          {
+            "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+          },
+          formData.toString()
+        )
     );
 
     // Handle errors if present in the response
@@ -474,12 +512,63 @@ const fetchBusObjCatData = async (
       page: page,
       limit: limit,
       totalCount: busObjCatData?.["TOTAL_RECORD_COUNT"],
+      fromCache: !!busObjCatData.fromCache,
+      syncedAt: busObjCatData.syncedAt,
     };
   } catch (error) {
     console.error("Error: fetching " + busObjCat + " data: ", error);
   }
 };
 
+/**
+ * Returns the locally cached data of a business object category query without going to the network.
+ * Takes the same parameters as fetchBusObjCatData, so that a screen can show the cached data while the query is running.
+ * @param {string} busObjCat - The business object category.
+ * @param {number} [page=1] - The page number for pagination (default is 1).
+ * @param {number} [limit=PAGE_SIZE] - The limit of items per page (default is PAGE_SIZE).
+ * @param {Object} [queryFields={}] - (Optional) Query fields configuration object.
+ * @param {Array<Object>} [whereConditions=[]] - (Optional) Array of where conditions for the query.
+ * @param {Array<Object>} [orConditions=[]] - (Optional) Array of OR conditions for the query.
+ * @param {Array<Object>} [sortConditions=[]] - (Optional) Array of sort conditions for the query.
+ * @returns {Promise<Object|null>} - A promise that resolves to an object containing the cached data, total record count
+ *                                  and the time of the last sync (`syncedAt`), or null if the query was never cached.
+ */
+const getCachedBusObjCatData = async (
+  busObjCat,
+  page = 1,
+  limit = PAGE_SIZE,
+  queryFields = {},
+  whereConditions = [],
+  orConditions = [],
+  sortConditions = []
+) => {
+  const cachedQuery = await getCachedQuery(
+    busObjCat,
+    buildBusObjCatQueryData(
+      busObjCat,
+      page,
+      limit,
+      queryFields,
+      whereConditions,
+      orConditions,
+      sortConditions
+    )
+  );
+
+  if (!cachedQuery) {
+    return null;
+  }
+
+  return {
+    data: cachedQuery.data,
+    page: page,
+    limit: limit,
+    totalCount: cachedQuery.totalCount,
+    fromCache: true,
+    syncedAt: cachedQuery.syncedAt,
+  };
+};
+
 /**
  * Returns the application app path name based on the specified business object category.
  * @param {string} busObjCat - The business object category.
@@ -777,6 +866,8 @@ export {
   fetchBusObjCatData,
   getAppNameByCategory,
   getAppNameByDocumentCategory,
+  getCachedBusObjCatData,
+  getQueryFields,
   isDoNotReplaceAnyList,
   loadMoreData,
   uploadBinaryResource,
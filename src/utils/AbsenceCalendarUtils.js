@@ -0,0 +1,651 @@
+import { Platform } from "react-native";
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as Calendar from "expo-calendar";
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import { addDays, addHours, format, isSameDay, startOfDay } from "date-fns";
+
+import {
+  ABSENCE_CALENDAR,
+  API_ENDPOINTS,
+  APP,
+  APP_NAME,
+  BUSOBJCAT,
+  BUSOBJCATMAP,
+  INTSTATUS,
+  TEST_MODE,
+} from "../constants";
+
+import { fetchData } from "./APIUtils";
+import { getAbsenceApprovalState } from "./CalendarUtils";
+import { showToast } from "./MessageUtils";
+
+/**
+ * Reads the calendar the absences are written into and the events of the absences, keyed by the absence ID.
+ * @returns {Promise<Object>} - A promise resolving to the `calendarId` and the `events` (each with its `eventId` and
+ *   the `end` of the absence).
+ */
+const getStoredCalendar = async () => {
+  try {
+    const value = await AsyncStorage.getItem(ABSENCE_CALENDAR.STORAGE_KEY);
+    return value ? JSON.parse(value) : { calendarId: null, events: {} };
+  } catch (error) {
+    console.error("Error reading the absence calendar:", error);
+    return { calendarId: null, events: {} };
+  }
+};
+
+/**
+ * Writes the calendar the absences are written into and the events of the absences to storage.
+ * @param {Object} storedCalendar - The `calendarId` and the `events`.
+ * @returns {Promise<void>}
+ */
+const setStoredCalendar = async (storedCalendar) => {
+  try {
+    await AsyncStorage.setItem(
+      ABSENCE_CALENDAR.STORAGE_KEY,
+      JSON.stringify(storedCalendar)
+    );
+  } catch (error) {
+    console.error("Error saving the absence calendar:", error);
+  }
+};
+
+/**
+ * Returns the calendar of the device the absences are written into, creating it the first time. The user is asked
+ * for the calendar permission if it was not granted yet.
+ * @param {Object} storedCalendar - The stored calendar, whose `calendarId` is set if the calendar is created.
+ * @param {Function} t - Translation function used to show localized messages.
+ * @returns {Promise<string|null>} - A promise resolving to the ID of the calendar, or null if the permission was
+ *   denied.
+ */
+const getAbsenceCalendarId = async (storedCalendar, t) => {
+  const { status } = await Calendar.requestCalendarPermissionsAsync();
+  if (status !== "granted") {
+    showToast(t("absence_calendar_permission_denied"), "warning");
+    return null;
+  }
+
+  const calendars = await Calendar.getCalendarsAsync(
+    Calendar.EntityTypes.EVENT
+  );
+
+  // The calendar may have been deleted by the user in the calendar app
+  if (calendars.some((calendar) => calendar.id === storedCalendar.calendarId)) {
+    return storedCalendar.calendarId;
+  }
+
+  const source =
+    Platform.OS === "ios"
+      ? (await Calendar.getDefaultCalendarAsync()).source
+      : { isLocalAccount: true, name: t("absence_calendar_title") };
+
+  storedCalendar.calendarId = await Calendar.createCalendarAsync({
+    title: t("absence_calendar_title"),
+    name: t("absence_calendar_title"),
+    color: ABSENCE_CALENDAR.COLOR,
+    entityType: Calendar.EntityTypes.EVENT,
+    sourceId: source.id,
+    source,
+    ownerAccount: "personal",
+    accessLevel: Calendar.CalendarAccessLevel.OWNER,
+  });
+  // The events of the previous calendar are gone with it
+  storedCalendar.events = {};
+
+  return storedCalendar.calendarId;
+};
+
+/**
+ * Fetches the approved absences of an employee to write into a calendar: one absence, or all absences ending in the
+ * current year or later.
+ * @param {string} employeeId - The ID of the employee.
+ * @param {string|null} [absenceId=null] - The ID of the absence to fetch, or null to fetch all of them.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the approved absences.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const fetchApprovedAbsences = async (employeeId, absenceId = null) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+
+  const queryFields = {
+    fields: [
+      `${absenceCat}-id`,
+      `${absenceCat}-type:AbsenceType-name`,
+      `${absenceCat}-type:AbsenceType-hourlyLeave`,
+      `${absenceCat}-start`,
+      `${absenceCat}-end`,
+      `${absenceCat}-startHalfDay`,
+      `${absenceCat}-endHalfDay`,
+      `${absenceCat}-plannedDays`,
+      `${absenceCat}-remark:text`,
+      `${absenceCat}-extStatus-statusID`,
+      `${absenceCat}-extStatus-processTemplateID:ProcessTemplate-steps`,
+    ],
+    where: [
+      {
+        fieldName: `${absenceCat}-employeeID`,
+        operator: "=",
+        value: employeeId,
+      },
+      {
+        fieldName: `${absenceCat}-adjustAbsence`,
+        operator: "=",
+        value: false,
+      },
+      {
+        fieldName: `${absenceCat}-redemption`,
+        operator: "=",
+        value: false,
+      },
+      {
+        fieldName: `${absenceCat}-submittedOn`,
+        operator: "!=",
+        value: null,
+      },
+      absenceId
+        ? {
+            fieldName: `${absenceCat}-id`,
+            operator: "=",
+            value: absenceId,
+          }
+        : {
+            fieldName: `${absenceCat}-end`,
+            operator: ">=",
+            value: new Date(new Date().getFullYear(), 0, 1).toISOString(),
+          },
+    ],
+    sort: [{ property: `${absenceCat}-start`, direction: "ASC" }],
+  };
+
+  const formData = {
+    query: JSON.stringify(queryFields),
+    testMode: TEST_MODE,
+    client: parseInt(APP.LOGIN_USER_CLIENT, 10),
+    user: APP.LOGIN_USER_ID,
+    userID: APP.LOGIN_USER_ID,
+    appName: APP_NAME.ABSENCE,
+    language: APP.LOGIN_USER_LANGUAGE,
+    intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
+  };
+
+  const response = await fetchData(
+    API_ENDPOINTS.QUERY,
+    "POST",
+    { "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8" },
+    new URLSearchParams(formData).toString()
+  );
+
+  if (!response?.success) {
+    throw new Error("Failed to fetch the absences for the calendar.");
+  }
+
+  return (response.data || []).filter(
+    (absence) => getAbsenceApprovalState(absence) === "approved"
+  );
+};
+
+/**
+ * Returns the times of the event of an absence. Absences of whole days are all-day events. Hourly leaves and
+ * absences starting or ending with part of a day are timed events placed in the working day: an absence using part
+ * of its first day starts later in that day, and one using part of its last day ends earlier in it.
+ * @param {Object} absence - The absence, as fetched by `fetchApprovedAbsences`.
+ * @param {Object} employeeInfo - The work schedule of the employee.
+ * @returns {Object} - Whether the event is `allDay`, its `startDate`, and its `endDate` (for all-day events, the last
+ *   day of the absence).
+ */
+const getAbsenceEventTimes = (absence, employeeInfo) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+  const hoursPerDay = employeeInfo?.dailyStdHours
+    ? employeeInfo.dailyStdHours / 3600000
+    : 8;
+
+  const firstDay = startOfDay(new Date(absence[`${absenceCat}-start`]));
+  const lastDay = startOfDay(new Date(absence[`${absenceCat}-end`]));
+  const isSingleDay = isSameDay(firstDay, lastDay);
+
+  // The working day of a date starts at the same hour every day
+  const getWorkdayStart = (day) =>
+    addHours(day, ABSENCE_CALENDAR.WORKDAY_START_HOUR);
+
+  if (absence[`${absenceCat}-type:AbsenceType-hourlyLeave`] && isSingleDay) {
+    const startDate = getWorkdayStart(firstDay);
+    return {
+      allDay: false,
+      startDate,
+      endDate: addHours(startDate, absence[`${absenceCat}-plannedDays`] || 0),
+    };
+  }
+
+  // A missing fraction, or no end fraction on an absence of a single day, stands for the whole day
+  const parseFraction = (value) => {
+    const fraction = parseFloat(value);
+    return fraction > 0 && fraction < 1 ? fraction : 1;
+  };
+  const startFraction = parseFraction(absence[`${absenceCat}-startHalfDay`]);
+  const endFraction = isSingleDay
+    ? 1
+    : parseFraction(absence[`${absenceCat}-endHalfDay`]);
+
+  if (startFraction === 1 && endFraction === 1) {
+    return { allDay: true, startDate: firstDay, endDate: lastDay };
+  }
+
+  return {
+    allDay: false,
+    startDate: addHours(
+      getWorkdayStart(firstDay),
+      (1 - startFraction) * hoursPerDay
+    ),
+    endDate: addHours(getWorkdayStart(lastDay), endFraction * hoursPerDay),
+  };
+};
+
+/**
+ * Builds the event of an absence in the calendar of the device, with the absence type as title and the remark as
+ * notes.
+ * @param {Object} absence - The absence, as fetched by `fetchApprovedAbsences`.
+ * @param {Object} employeeInfo - The work schedule of the employee.
+ * @returns {Object} - The details of the event.
+ */
+const buildCalendarEvent = (absence, employeeInfo) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+  const { allDay, startDate, endDate } = getAbsenceEventTimes(
+    absence,
+    employeeInfo
+  );
+
+  return {
+    title: absence[`${absenceCat}-type:AbsenceType-name`] || "",
+    notes: absence[`${absenceCat}-remark:text`] || "",
+    allDay,
+    startDate,
+    // Android expects all-day events to end on the day after their last day
+    endDate:
+      allDay && Platform.OS === "android" ? addDays(endDate, 1) : endDate,
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    availability: Calendar.Availability.BUSY,
+  };
+};
+
+/**
+ * Writes the event of an absence into the calendar, updating the event written before if it still exists.
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {Object} absence - The absence, as fetched by `fetchApprovedAbsences`.
+ * @param {Object} employeeInfo - The work schedule of the employee.
+ * @param {Object} events - The events of the absences, updated with the event of the absence.
+ * @returns {Promise<void>}
+ */
+const writeAbsenceEvent = async (calendarId, absence, employeeInfo, events) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+  const absenceId = absence[`${absenceCat}-id`];
+  const eventDetails = buildCalendarEvent(absence, employeeInfo);
+
+  let eventId = events[absenceId]?.eventId;
+
+  if (eventId) {
+    try {
+      await Calendar.updateEventAsync(eventId, eventDetails);
+    } catch (error) {
+      // The event was deleted in the calendar app, so it is written again
+      console.log("Event of the absence not found, creating it again:", error);
+      eventId = null;
+    }
+  }
+
+  if (!eventId) {
+    eventId = await Calendar.createEventAsync(calendarId, eventDetails);
+  }
+
+  events[absenceId] = { eventId, end: absence[`${absenceCat}-end`] };
+};
+
+/**
+ * Deletes the event of an absence from the calendar. An event already deleted in the calendar app is ignored.
+ * @param {string} eventId - The ID of the event.
+ * @returns {Promise<void>}
+ */
+const deleteAbsenceEvent = async (eventId) => {
+  try {
+    await Calendar.deleteEventAsync(eventId);
+  } catch (error) {
+    console.log("Event of the absence could not be deleted:", error);
+  }
+};
+
+/**
+ * Adds an absence of the logged-in user to the calendar of the device, or updates its event if it was added before.
+ * Only approved absences are added.
+ * @param {string} absenceId - The ID of the absence.
+ * @param {Object} employeeInfo - The work schedule of the employee.
+ * @param {Function} t - Translation function used to show localized messages.
+ * @returns {Promise<boolean>} - A promise resolving to true if the absence is in the calendar.
+ */
+const addAbsenceToCalendar = async (absenceId, employeeInfo, t) => {
+  try {
+    const [absence] = await fetchApprovedAbsences(
+      APP.LOGIN_USER_EMPLOYEE_ID,
+      absenceId
+    );
+
+    if (!absence) {
+      showToast(t("absence_calendar_not_approved"), "warning");
+      return false;
+    }
+
+    const storedCalendar = await getStoredCalendar();
+    const calendarId = await getAbsenceCalendarId(storedCalendar, t);
+    if (!calendarId) {
+      return false;
+    }
+
+    await writeAbsenceEvent(
+      calendarId,
+      absence,
+      employeeInfo,
+      storedCalendar.events
+    );
+    await setStoredCalendar(storedCalendar);
+
+    showToast(t("absence_calendar_added"));
+    return true;
+  } catch (error) {
+    console.error("Error adding the absence to the calendar:", error);
+    showToast(t("absence_calendar_error"), "error");
+    return false;
+  }
+};
+
+/**
+ * Synchronizes the approved absences of the logged-in user ending in the current year or later with the calendar of
+ * the device: their events are written or updated, and the events of absences that were cancelled, deleted or are no
+ * longer approved are removed.
+ * @param {Object} employeeInfo - The work schedule of the employee.
+ * @param {Function} t - Translation function used to show localized messages.
+ * @returns {Promise<Object|null>} - A promise resolving to the number of `synced` and `removed` absences, or null if
+ *   the absences could not be synchronized.
+ */
+const syncAbsencesToCalendar = async (employeeInfo, t) => {
+  try {
+    const absences = await fetchApprovedAbsences(APP.LOGIN_USER_EMPLOYEE_ID);
+
+    const storedCalendar = await getStoredCalendar();
+    const calendarId = await getAbsenceCalendarId(storedCalendar, t);
+    if (!calendarId) {
+      return null;
+    }
+
+    const { events } = storedCalendar;
+    // The events are keyed by the absence IDs as strings
+    const absenceIds = absences.map((absence) =>
+      String(absence[`${BUSOBJCATMAP[BUSOBJCAT.ABSENCE]}-id`])
+    );
+
+    // The absences ending before the current year were not fetched, so their events are kept
+    const startOfYear = new Date(new Date().getFullYear(), 0, 1);
+    const removedIds = Object.keys(events).filter(
+      (absenceId) =>
+        !absenceIds.includes(absenceId) &&
+        new Date(events[absenceId].end) >= startOfYear
+    );
+
+    for (const absenceId of removedIds) {
+      await deleteAbsenceEvent(events[absenceId].eventId);
+      delete events[absenceId];
+    }
+
+    for (const absence of absences) {
+      await writeAbsenceEvent(calendarId, absence, employeeInfo, events);
+    }
+
+    await setStoredCalendar(storedCalendar);
+
+    return { synced: absences.length, removed: removedIds.length };
+  } catch (error) {
+    console.error("Error synchronizing the absences with the calendar:", error);
+    showToast(t("absence_calendar_error"), "error");
+    return null;
+  }
+};
+
+/**
+ * Updates the event of an absence after the absence was changed, or removes it if the absence is no longer approved.
+ * Absences that were not added to the calendar are ignored.
+ * @param {string} absenceId - The ID of the absence.
+ * @param {Object} employeeInfo - The work schedule of the employee.
+ * @returns {Promise<void>}
+ */
+const refreshAbsenceCalendarEvent = async (absenceId, employeeInfo) => {
+  try {
+    const storedCalendar = await getStoredCalendar();
+    if (!storedCalendar.events[absenceId]) {
+      return;
+    }
+
+    // The permission was granted when the absence was added; it is not asked for again in the background
+    const { status } = await Calendar.getCalendarPermissionsAsync();
+    if (status !== "granted") {
+      return;
+    }
+
+    const [absence] = await fetchApprovedAbsences(
+      APP.LOGIN_USER_EMPLOYEE_ID,
+      absenceId
+    );
+
+    if (absence) {
+      await writeAbsenceEvent(
+        storedCalendar.calendarId,
+        absence,
+        employeeInfo,
+        storedCalendar.events
+      );
+    } else {
+      await deleteAbsenceEvent(storedCalendar.events[absenceId].eventId);
+      delete storedCalendar.events[absenceId];
+    }
+
+    await setStoredCalendar(storedCalendar);
+  } catch (error) {
+    console.error("Error updating the event of the absence:", error);
+  }
+};
+
+/**
+ * Removes the event of a deleted absence from the calendar of the device, if it was added.
+ * @param {string} absenceId - The ID of the absence.
+ * @returns {Promise<void>}
+ */
+const removeAbsenceFromCalendar = async (absenceId) => {
+  try {
+    const storedCalendar = await getStoredCalendar();
+    const event = storedCalendar.events[absenceId];
+    if (!event) {
+      return;
+    }
+
+    const { status } = await Calendar.getCalendarPermissionsAsync();
+    if (status === "granted") {
+      await deleteAbsenceEvent(event.eventId);
+    }
+
+    delete storedCalendar.events[absenceId];
+    await setStoredCalendar(storedCalendar);
+  } catch (error) {
+    console.error("Error removing the event of the absence:", error);
+  }
+};
+
+/**
+ * Escapes a text value of an iCalendar property (RFC 5545, section 3.3.11).
+ * @param {string} value - The text.
+ * @returns {string} - The escaped text.
+ */
+const escapeIcsText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Folds an iCalendar content line into lines of at most 75 octets, continued by a space (RFC 5545, section 3.1).
+ * @param {string} line - The content line.
+ * @returns {string} - The folded line.
+ */
+const foldIcsLine = (line) => {
+  const parts = [];
+  let part = "";
+  let octets = 0;
+
+  for (const character of line) {
+    const codePoint = character.codePointAt(0);
+    const characterOctets =
+      codePoint < 0x80
+        ? 1
+        : codePoint < 0x800
+        ? 2
+        : codePoint < 0x10000
+        ? 3
+        : 4;
+
+    // Continuation lines start with a space, which counts towards their length
+    if (octets + characterOctets > (parts.length === 0 ? 75 : 74)) {
+      parts.push(part);
+      part = "";
+      octets = 0;
+    }
+
+    part += character;
+    octets += characterOctets;
+  }
+  parts.push(part);
+
+  return parts.join("\r\n ");
+};
+
+/**
+ * Formats a date-time of an iCalendar event in UTC, e.g., "20261019T090000Z".
+ * @param {Date} date - The date-time.
+ * @returns {string} - The formatted date-time.
+ */
+const formatIcsDateTime = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+/**
+ * Builds the iCalendar (RFC 5545) document of absences, with an event per absence.
+ * @param {Array<Object>} absences - The absences, as fetched by `fetchApprovedAbsences`.
+ * @param {Object} employeeInfo - The work schedule of the employee.
+ * @returns {string} - The iCalendar document.
+ */
+const buildIcs = (absences, employeeInfo) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+  const timestamp = formatIcsDateTime(new Date());
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ABSENCE_CALENDAR.ICS_PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+
+  absences.forEach((absence) => {
+    const { allDay, startDate, endDate } = getAbsenceEventTimes(
+      absence,
+      employeeInfo
+    );
+    const remark = absence[`${absenceCat}-remark:text`];
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:absence-${absence[`${absenceCat}-id`]}@ibe-mobile`,
+      `DTSTAMP:${timestamp}`,
+      // The end of all-day events is the day after their last day
+      ...(allDay
+        ? [
+            `DTSTART;VALUE=DATE:${format(startDate, "yyyyMMdd")}`,
+            `DTEND;VALUE=DATE:${format(addDays(endDate, 1), "yyyyMMdd")}`,
+          ]
+        : [
+            `DTSTART:${formatIcsDateTime(startDate)}`,
+            `DTEND:${formatIcsDateTime(endDate)}`,
+          ]),
+      `SUMMARY:${escapeIcsText(
+        absence[`${absenceCat}-type:AbsenceType-name`]
+      )}`,
+      ...(remark ? [`DESCRIPTION:${escapeIcsText(remark)}`] : []),
+      "TRANSP:OPAQUE",
+      "END:VEVENT"
+    );
+  });
+
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+};
+
+/**
+ * Exports approved absences of the logged-in user as an .ics file and hands it to the share sheet, so it can be
+ * opened in other calendar apps. The file is deleted afterwards.
+ * @param {string|null} absenceId - The ID of the absence to export, or null to export the absences ending in the
+ *   current year or later.
+ * @param {Object} employeeInfo - The work schedule of the employee.
+ * @param {string} fileName - The name of the file, without extension.
+ * @param {Function} t - Translation function used to show localized messages.
+ * @returns {Promise<boolean>} - A promise resolving to true if the file was shared.
+ */
+const shareAbsencesAsIcs = async (absenceId, employeeInfo, fileName, t) => {
+  const filePath = `${FileSystem.cacheDirectory}${fileName}.ics`;
+
+  try {
+    const absences = await fetchApprovedAbsences(
+      APP.LOGIN_USER_EMPLOYEE_ID,
+      absenceId
+    );
+
+    if (absences.length === 0) {
+      showToast(
+        t(absenceId ? "absence_calendar_not_approved" : "export_no_data"),
+        "warning"
+      );
+      return false;
+    }
+
+    if (!(await Sharing.isAvailableAsync())) {
+      console.log("Sharing is not available on this device");
+      return false;
+    }
+
+    await FileSystem.writeAsStringAsync(
+      filePath,
+      buildIcs(absences, employeeInfo),
+      { encoding: FileSystem.EncodingType.UTF8 }
+    );
+
+    await Sharing.shareAsync(filePath, {
+      mimeType: "text/calendar",
+      UTI: "com.apple.ical.ics",
+      dialogTitle: t("choose_destination"),
+    });
+
+    return true;
+  } catch (error) {
+    console.error("Error exporting the absences as .ics:", error);
+    showToast(t("export_error"), "error");
+    return false;
+  } finally {
+    await FileSystem.deleteAsync(filePath, { idempotent: true });
+  }
+};
+
+export {
+  addAbsenceToCalendar,
+  refreshAbsenceCalendarEvent,
+  removeAbsenceFromCalendar,
+  shareAbsencesAsIcs,
+  syncAbsencesToCalendar,
+};
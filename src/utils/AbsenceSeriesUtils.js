@@ -0,0 +1,559 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  addMonths,
+  addWeeks,
+  endOfMonth,
+  format,
+  startOfDay,
+  startOfMonth,
+} from "date-fns";
+
+import {
+  ABSENCE_SERIES,
+  API_ENDPOINTS,
+  APP,
+  APP_NAME,
+  BUSOBJCAT,
+  BUSOBJCATMAP,
+  TEST_MODE,
+} from "../constants";
+
+import { removeAbsenceFromCalendar } from "./AbsenceCalendarUtils";
+import {
+  isAbsencesOverlap,
+  isNonWorkingDay,
+  isTimeOffOnHoliday,
+  validateDuration,
+} from "./AbsenceUtils";
+import {
+  convertToQueryString,
+  fetchData,
+  getAppNameByCategory,
+  isDoNotReplaceAnyList,
+} from "./APIUtils";
+import { normalizeDateToUTC } from "./FormatUtils";
+import { checkNetworkConnectivity } from "./OfflineUtils";
+import updateFields from "./UpdateUtils";
+
+/**
+ * Frequencies of a recurrence rule.
+ * @enum {string}
+ */
+const RECURRENCE_FREQUENCY = {
+  /** On the weekday of the first occurrence, every given number of weeks. */
+  WEEKLY: "weekly",
+  /** On the same weekday of the same week of the month as the first occurrence, e.g., the first Monday. */
+  MONTHLY: "monthly",
+};
+
+/**
+ * States of an occurrence of a series.
+ * @enum {string}
+ */
+const OCCURRENCE_STATUS = {
+  /** The absence of the occurrence can be created. */
+  VALID: "valid",
+  /** The occurrence falls on a holiday or non-working day; no absence is created for it. */
+  SKIPPED: "skipped",
+  /** The absence of the occurrence is not valid or could not be created. */
+  FAILED: "failed",
+  /** The absence of the occurrence was created. */
+  CREATED: "created",
+};
+
+/**
+ * Creates a recurrence rule of the given absence type, starting today.
+ * @param {string} absenceType - The extID of the absence type of the series.
+ * @returns {Object} - The rule with its `absenceType`, `frequency`, `start` (the first occurrence), `interval` (in
+ *   weeks, for weekly rules), `count` of occurrences, `dayFraction` and `remark`.
+ */
+const createRecurrenceRule = (absenceType) => ({
+  absenceType,
+  frequency: RECURRENCE_FREQUENCY.WEEKLY,
+  start: startOfDay(new Date()),
+  interval: 1,
+  count: 12,
+  dayFraction: "1",
+  remark: "",
+});
+
+/**
+ * Returns the week of the month of a date, from 1 to 5. The fifth week only exists in some months, so it stands
+ * for the last week of the month.
+ * @param {Date} date - The date.
+ * @returns {number} - The week of the month.
+ */
+const getWeekOfMonth = (date) => Math.ceil(date.getDate() / 7);
+
+/**
+ * Returns the weekday of the given week in a month, e.g., the first Monday. The fifth week is the last one.
+ * @param {Date} month - A date in the month.
+ * @param {number} weekday - The weekday (0 for Sunday to 6 for Saturday).
+ * @param {number} weekOfMonth - The week of the month, from 1 to 5.
+ * @returns {Date} - The date of the weekday.
+ */
+const getWeekdayOfMonth = (month, weekday, weekOfMonth) => {
+  if (weekOfMonth === 5) {
+    const lastDay = startOfDay(endOfMonth(month));
+    lastDay.setDate(lastDay.getDate() - ((lastDay.getDay() - weekday + 7) % 7));
+    return lastDay;
+  }
+
+  const firstDay = startOfMonth(month);
+  firstDay.setDate(
+    1 + ((weekday - firstDay.getDay() + 7) % 7) + (weekOfMonth - 1) * 7
+  );
+  return firstDay;
+};
+
+/**
+ * Expands a recurrence rule into the dates of its occurrences.
+ * @param {Object} rule - The recurrence rule, as created by `createRecurrenceRule`.
+ * @returns {Array<Date>} - The dates of the occurrences, at most `ABSENCE_SERIES.MAX_OCCURRENCES`.
+ */
+const expandRecurrence = (rule) => {
+  const start = startOfDay(new Date(rule.start));
+  const count = Math.min(
+    Math.max(parseInt(rule.count, 10) || 0, 0),
+    ABSENCE_SERIES.MAX_OCCURRENCES
+  );
+
+  if (isNaN(start) || count === 0) {
+    return [];
+  }
+
+  if (rule.frequency === RECURRENCE_FREQUENCY.MONTHLY) {
+    const weekOfMonth = getWeekOfMonth(start);
+
+    return Array.from({ length: count }, (_, index) =>
+      getWeekdayOfMonth(addMonths(start, index), start.getDay(), weekOfMonth)
+    );
+  }
+
+  const interval = Math.max(parseInt(rule.interval, 10) || 1, 1);
+
+  return Array.from({ length: count }, (_, index) =>
+    addWeeks(start, index * interval)
+  );
+};
+
+/**
+ * Describes a recurrence rule, e.g., "Every Friday for 12 weeks" or "Every first Monday of the month, 6 times".
+ * @param {Object} rule - The recurrence rule.
+ * @param {Function} t - Translation function used to describe the rule.
+ * @returns {string} - The description of the rule.
+ */
+const describeRecurrence = (rule, t) => {
+  const start = new Date(rule.start);
+  const weekday = format(start, "EEEE");
+
+  if (rule.frequency === RECURRENCE_FREQUENCY.MONTHLY) {
+    return t("absence_series_monthly_description", {
+      week: t(`absence_series_week_${getWeekOfMonth(start)}`),
+      weekday,
+      occurrences: rule.count,
+    });
+  }
+
+  return t("absence_series_weekly_description", {
+    weekday,
+    interval: rule.interval,
+    occurrences: rule.count,
+  });
+};
+
+/**
+ * Returns the duration of each absence of a series in the unit of its absence type.
+ * @param {Object} rule - The recurrence rule.
+ * @param {Object} absenceTypeData - The absence type of the series.
+ * @param {number} hoursPerDay - The number of working hours per day.
+ * @returns {number} - The planned days, or hours for absence types measured in hours.
+ */
+const getOccurrenceDuration = (rule, absenceTypeData, hoursPerDay) => {
+  const fraction = parseFloat(rule.dayFraction) || 1;
+
+  return absenceTypeData["AbsenceType-hourlyLeave"] ||
+    absenceTypeData["AbsenceType-displayInHours"]
+    ? fraction * hoursPerDay
+    : fraction;
+};
+
+/**
+ * Previews the occurrences of a series before they are created. Each absence of the series lasts the same part of a
+ * day, so its duration is validated once for the whole series; each occurrence is then checked against the work
+ * calendar and the existing absences:
+ * - occurrences on a holiday or non-working day are skipped,
+ * - occurrences with an invalid duration or overlapping an existing absence fail.
+ * @param {Object} rule - The recurrence rule.
+ * @param {Object} absenceTypeData - The absence type of the series, as fetched by `fetchAbsenceTypes`.
+ * @param {Object} employeeInfo - The work schedule and calendar of the employee.
+ * @param {Array<Object>} employeeAbsences - The absences of the employee, as fetched by `fetchEmployeeAbsences`.
+ * @param {number} minFraction - The smallest day fraction an absence can have.
+ * @param {Function} t - Translation function used to show localized messages.
+ * @returns {Array<Object>} - Per occurrence, its `date`, `status` (an `OCCURRENCE_STATUS`) and the translation key of
+ *   the `reason` it is skipped or fails.
+ */
+const previewAbsenceSeries = (
+  rule,
+  absenceTypeData,
+  employeeInfo,
+  employeeAbsences,
+  minFraction,
+  t
+) => {
+  const hoursPerDay = employeeInfo?.dailyStdHours
+    ? employeeInfo.dailyStdHours / 3600000
+    : 8;
+
+  const dates = expandRecurrence(rule);
+  if (dates.length === 0) {
+    return [];
+  }
+
+  const isDurationValid = validateDuration(
+    getOccurrenceDuration(rule, absenceTypeData, hoursPerDay),
+    absenceTypeData["AbsenceType-minRequest"],
+    absenceTypeData["AbsenceType-maxRequest"],
+    absenceTypeData["AbsenceType-halfDaysNotAllowed"],
+    absenceTypeData["AbsenceType-hourlyLeave"],
+    absenceTypeData["AbsenceType-displayInHours"],
+    hoursPerDay,
+    t,
+    minFraction,
+    true
+  );
+
+  return dates.map((date) => {
+    // isNonWorkingDay resets the time of the date it is given
+    if (isNonWorkingDay(new Date(date), employeeInfo)) {
+      return {
+        date,
+        status: OCCURRENCE_STATUS.SKIPPED,
+        reason: "absence_series_non_working_day",
+      };
+    }
+
+    if (!isDurationValid) {
+      return {
+        date,
+        status: OCCURRENCE_STATUS.FAILED,
+        reason: "absence_series_invalid_duration",
+      };
+    }
+
+    const overlapsAbsence = employeeAbsences.some(
+      (absence) =>
+        absence["Absence-start"] &&
+        absence["Absence-end"] &&
+        isAbsencesOverlap(
+          date,
+          date,
+          startOfDay(new Date(absence["Absence-start"])),
+          startOfDay(new Date(absence["Absence-end"])),
+          t
+        )
+    );
+
+    if (overlapsAbsence) {
+      return {
+        date,
+        status: OCCURRENCE_STATUS.FAILED,
+        reason: "absence_series_overlap",
+      };
+    }
+
+    return { date, status: OCCURRENCE_STATUS.VALID, reason: null };
+  });
+};
+
+/**
+ * Reads the series created by the user.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the series (see `createAbsenceSeries`).
+ */
+const getAbsenceSeries = async () => {
+  try {
+    const value = await AsyncStorage.getItem(ABSENCE_SERIES.STORAGE_KEY);
+    return value ? JSON.parse(value) : [];
+  } catch (error) {
+    console.error("Error reading absence series:", error);
+    return [];
+  }
+};
+
+/**
+ * Writes the series created by the user to storage.
+ * @param {Array<Object>} seriesList - The series.
+ * @returns {Promise<void>}
+ */
+const setStoredAbsenceSeries = async (seriesList) => {
+  try {
+    await AsyncStorage.setItem(
+      ABSENCE_SERIES.STORAGE_KEY,
+      JSON.stringify(seriesList)
+    );
+  } catch (error) {
+    console.error("Error saving absence series:", error);
+  }
+};
+
+/**
+ * Finds the series an absence belongs to.
+ * @param {string} absenceId - The ID of the absence.
+ * @returns {Promise<Object|null>} - A promise resolving to the series, or null if the absence is not part of one.
+ */
+const findAbsenceSeries = async (absenceId) => {
+  const seriesList = await getAbsenceSeries();
+
+  return (
+    seriesList.find((series) =>
+      series.absences.some((absence) => absence.id === absenceId)
+    ) || null
+  );
+};
+
+/**
+ * Creates the absence of an occurrence of a series, with the same fields as an absence created in the absence
+ * detail. The request is sent directly rather than through `updateFields`, so it is never queued: a queued absence
+ * would be created on the server later, outside the series.
+ * @param {Date} date - The date of the occurrence.
+ * @param {Object} rule - The recurrence rule.
+ * @param {number} plannedDays - The duration of the absence.
+ * @returns {Promise<string|null>} - A promise resolving to the ID of the created absence, or null if it was not
+ *   created.
+ * @throws {Error} - Throws an error if the request fails, e.g., because the connection was lost.
+ */
+const createOccurrenceAbsence = async (date, rule, plannedDays) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+  const normalizedDate = normalizeDateToUTC(date);
+
+  const formData = {
+    data: {
+      [`${absenceCat}-id`]: null,
+      [`${absenceCat}-employeeID`]: APP.LOGIN_USER_EMPLOYEE_ID,
+      [`${absenceCat}-type`]: rule.absenceType,
+      [`${absenceCat}-adjustAbsence`]: false,
+      [`${absenceCat}-adjustTaken`]: false,
+      [`${absenceCat}-start`]: normalizedDate,
+      [`${absenceCat}-end`]: normalizedDate,
+      [`${absenceCat}-startHalfDay`]: rule.dayFraction,
+      [`${absenceCat}-endHalfDay`]: "0",
+      [`${absenceCat}-plannedDays`]: plannedDays,
+      [`${absenceCat}-negative`]: false,
+      [`${absenceCat}-remark`]: rule.remark || "",
+    },
+  };
+
+  const queryStringParams = {
+    userID: APP.LOGIN_USER_ID,
+    client: APP.LOGIN_USER_CLIENT,
+    language: APP.LOGIN_USER_LANGUAGE,
+    testMode: TEST_MODE,
+    component: "platform",
+    doNotReplaceAnyList: isDoNotReplaceAnyList(BUSOBJCAT.ABSENCE),
+    appName: JSON.stringify(getAppNameByCategory(BUSOBJCAT.ABSENCE)),
+  };
+
+  const updateResponse = await fetchData(
+    `${API_ENDPOINTS.UPDATE_FIELDS}?${convertToQueryString(queryStringParams)}`,
+    "POST",
+    {
+      "Content-Type": "application/json",
+    },
+    JSON.stringify(formData)
+  );
+  const details = updateResponse?.details || [];
+
+  if (
+    !updateResponse?.success ||
+    details.some((detail) => detail.success === false)
+  ) {
+    return null;
+  }
+
+  return details[0]?.data?.ids?.[0] || null;
+};
+
+/**
+ * Creates the absences of the valid occurrences of a series and stores them as a linked series, so they can be
+ * cancelled together. Each occurrence is checked against the holidays again before its absence is created.
+ * The link between the absences is kept on the device, so it needs the IDs of the created absences: the absences are
+ * only created while online and never queued. Occurrences whose creation fails because the connection was lost are
+ * reported as failed.
+ * @param {Object} rule - The recurrence rule.
+ * @param {Array<Object>} occurrences - The occurrences, as previewed by `previewAbsenceSeries`.
+ * @param {Object} absenceTypeData - The absence type of the series.
+ * @param {Object} employeeInfo - The work schedule and calendar of the employee.
+ * @param {Function} t - Translation function used to show localized messages.
+ * @returns {Promise<Object>} - A promise resolving to the stored `series` (null if no absence was created), with its
+ *   `id`, `rule`, `absenceTypeName`, `createdOn` and `absences` (each with `id` and `start`), and the `occurrences`
+ *   with their final status.
+ */
+const createAbsenceSeries = async (
+  rule,
+  occurrences,
+  absenceTypeData,
+  employeeInfo,
+  t
+) => {
+  const hoursPerDay = employeeInfo?.dailyStdHours
+    ? employeeInfo.dailyStdHours / 3600000
+    : 8;
+  const plannedDays = getOccurrenceDuration(rule, absenceTypeData, hoursPerDay);
+
+  const results = [];
+
+  // The absences are created one after the other, so a failure does not stop the rest of the series
+  for (const occurrence of occurrences) {
+    if (occurrence.status !== OCCURRENCE_STATUS.VALID) {
+      results.push(occurrence);
+      continue;
+    }
+
+    if (
+      !isTimeOffOnHoliday(
+        occurrence.date,
+        occurrence.date,
+        t,
+        employeeInfo,
+        "error"
+      )
+    ) {
+      results.push({
+        ...occurrence,
+        status: OCCURRENCE_STATUS.SKIPPED,
+        reason: "absence_series_non_working_day",
+      });
+      continue;
+    }
+
+    // The connection is checked for each occurrence, as it can be lost while the series is created
+    if (!(await checkNetworkConnectivity())) {
+      results.push({
+        ...occurrence,
+        status: OCCURRENCE_STATUS.FAILED,
+        reason: "absence_series_offline",
+      });
+      continue;
+    }
+
+    try {
+      const absenceId = await createOccurrenceAbsence(
+        occurrence.date,
+        rule,
+        plannedDays
+      );
+
+      if (absenceId) {
+        results.push({
+          ...occurrence,
+          status: OCCURRENCE_STATUS.CREATED,
+          absenceId,
+        });
+      } else {
+        results.push({
+          ...occurrence,
+          status: OCCURRENCE_STATUS.FAILED,
+          reason: "absence_series_create_failed",
+        });
+      }
+    } catch (error) {
+      console.error("Error creating an absence of the series:", error);
+      results.push({
+        ...occurrence,
+        status: OCCURRENCE_STATUS.FAILED,
+        reason: "absence_series_create_failed",
+      });
+    }
+  }
+
+  const absences = results
+    .filter((result) => result.status === OCCURRENCE_STATUS.CREATED)
+    .map((result) => ({
+      id: result.absenceId,
+      start: result.date.toISOString(),
+    }));
+
+  if (absences.length === 0) {
+    return { series: null, occurrences: results };
+  }
+
+  const series = {
+    id: Date.now().toString(),
+    rule: { ...rule, start: new Date(rule.start).toISOString() },
+    absenceTypeName: absenceTypeData["AbsenceType-name"] || rule.absenceType,
+    createdOn: new Date().toISOString(),
+    absences,
+  };
+
+  const seriesList = await getAbsenceSeries();
+  await setStoredAbsenceSeries([...seriesList, series]);
+
+  return { series, occurrences: results };
+};
+
+/**
+ * Cancels a series by deleting all of its absences. The absences that could not be deleted stay in the series, so
+ * cancelling it can be retried; the series is removed once all of its absences are deleted.
+ * @param {Object} series - The series to cancel.
+ * @returns {Promise<Object>} - A promise resolving to the number of `deleted` absences and the `failed` ones.
+ */
+const cancelAbsenceSeries = async (series) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+
+  const queryStringParams = {
+    language: APP.LOGIN_USER_LANGUAGE,
+    userID: APP.LOGIN_USER_ID,
+    appName: APP_NAME.ABSENCE,
+    client: APP.LOGIN_USER_CLIENT,
+  };
+
+  const failed = [];
+
+  for (const absence of series.absences) {
+    const formData = {
+      data: {
+        [`${absenceCat}-component`]: `Client-${APP.LOGIN_USER_CLIENT}-all`,
+        [`${absenceCat}-extID`]: "",
+        [`${absenceCat}-id`]: absence.id,
+        [`${absenceCat}-intStatus`]: 3,
+      },
+    };
+
+    try {
+      const updateResponse = await updateFields(formData, queryStringParams);
+
+      if (updateResponse.success) {
+        await removeAbsenceFromCalendar(absence.id);
+      } else {
+        failed.push(absence);
+      }
+    } catch (error) {
+      console.error("Error deleting an absence of the series:", error);
+      failed.push(absence);
+    }
+  }
+
+  const seriesList = await getAbsenceSeries();
+  await setStoredAbsenceSeries(
+    failed.length > 0
+      ? seriesList.map((item) =>
+          item.id === series.id ? { ...item, absences: failed } : item
+        )
+      : seriesList.filter((item) => item.id !== series.id)
+  );
+
+  return { deleted: series.absences.length - failed.length, failed };
+};
+
+export {
+  OCCURRENCE_STATUS,
+  RECURRENCE_FREQUENCY,
+  cancelAbsenceSeries,
+  createAbsenceSeries,
+  createRecurrenceRule,
+  describeRecurrence,
+  expandRecurrence,
+  findAbsenceSeries,
+  getAbsenceSeries,
+  previewAbsenceSeries,
+};
@@ -384,15 +384,17 @@ const createExtIdStatusLabelMap = (data) => {
  * @param {boolean} hideZeroBalances - Flag indicating whether absence types with zero balances should be hidden.
  *                                      Defaults to `false`.
  * @param {Function} t - Translation function used to show localized messages.
+ * @param {Date} [balanceDate=new Date()] - The date the balances of the absence types are read on. Defaults to today.
  * @returns {Promise<Object>} A promise that resolves to a map of eligible absence types, or an empty object if no data is found or an error occurs.
  */
 const fetchEligibleAbsenceTypes = async (
   employeeId,
   hideZeroBalances = false,
-  t
+  t,
+  balanceDate = new Date()
 ) => {
   try {
-    const normalizedDate = normalizeDateToUTC(new Date());
+    const normalizedDate = normalizeDateToUTC(balanceDate);
     const balanceCheckOnDate = sprintf(
       "%d-%02d-%02dT%02d:%02d:%02d-0000",
       normalizedDate.getUTCFullYear(),
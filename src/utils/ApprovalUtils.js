@@ -642,6 +642,7 @@ export {
   componentMap,
   detailScreenParamsMap,
   fetchEmployeeDetails,
+  fetchEmployeeID,
   fetchMessageTypeData,
   fetchBusObjCatData,
   formatDateToISOString,
@@ -0,0 +1,158 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+import { QUERY_CACHE } from "../constants";
+
+/**
+ * Computes a short, stable hash of a string (djb2), used to keep the storage keys of cached queries short.
+ * @param {string} value - The string to hash.
+ * @returns {string} - The hash in base 36.
+ */
+const hashString = (value) => {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Returns the AsyncStorage key under which the result of a query is cached.
+ * @param {string} busObjCat - The business object category (e.g., "Timesheet").
+ * @param {string} query - The serialized query parameters.
+ * @returns {string} - The storage key.
+ */
+const getQueryCacheKey = (busObjCat, query) =>
+  `${QUERY_CACHE.STORAGE_KEY_PREFIX}${busObjCat}:${hashString(query)}`;
+
+/**
+ * Reads the index of cached queries.
+ * @returns {Promise<Object>} - A promise resolving to the sync time of each cached query, keyed by storage key.
+ */
+const getQueryCacheIndex = async () => {
+  try {
+    const value = await AsyncStorage.getItem(QUERY_CACHE.INDEX_STORAGE_KEY);
+    return value ? JSON.parse(value) : {};
+  } catch (error) {
+    console.error("Error reading query cache index:", error);
+    return {};
+  }
+};
+
+/**
+ * Returns the cached result of a query.
+ * @param {string} busObjCat - The business object category (e.g., "Timesheet").
+ * @param {Object} queryData - The parameters the query is sent with.
+ * @returns {Promise<Object|null>} - A promise resolving to the cached result ({ data, totalCount, syncedAt }),
+ *                                   or null if the query was never cached.
+ */
+const getCachedQuery = async (busObjCat, queryData) => {
+  try {
+    const query = JSON.stringify(queryData);
+    const value = await AsyncStorage.getItem(
+      getQueryCacheKey(busObjCat, query)
+    );
+    const cachedQuery = value ? JSON.parse(value) : null;
+
+    // Guard against hash collisions
+    return cachedQuery?.query === query ? cachedQuery : null;
+  } catch (error) {
+    console.error(`Error reading cached ${busObjCat} query:`, error);
+    return null;
+  }
+};
+
+/**
+ * Caches the result of a query.
+ * Only the most recently synced QUERY_CACHE.MAX_ENTRIES results are kept.
+ * @param {string} busObjCat - The business object category (e.g., "Timesheet").
+ * @param {Object} queryData - The parameters the query was sent with.
+ * @param {Array} data - The records returned by the query.
+ * @param {number} [totalCount] - The total number of records matching the query.
+ * @returns {Promise<void>}
+ */
+const saveCachedQuery = async (busObjCat, queryData, data, totalCount) => {
+  try {
+    const query = JSON.stringify(queryData);
+    const cacheKey = getQueryCacheKey(busObjCat, query);
+    const syncedAt = new Date().toISOString();
+
+    await AsyncStorage.setItem(
+      cacheKey,
+      JSON.stringify({ query, data, totalCount, syncedAt })
+    );
+
+    const index = await getQueryCacheIndex();
+    index[cacheKey] = syncedAt;
+
+    // Drop the least recently synced results once the limit is exceeded
+    const expiredKeys = Object.keys(index)
+      .sort((a, b) => index[a].localeCompare(index[b]))
+      .slice(
+        0,
+        Math.max(Object.keys(index).length - QUERY_CACHE.MAX_ENTRIES, 0)
+      );
+
+    if (expiredKeys.length > 0) {
+      await AsyncStorage.multiRemove(expiredKeys);
+      expiredKeys.forEach((key) => delete index[key]);
+    }
+
+    await AsyncStorage.setItem(
+      QUERY_CACHE.INDEX_STORAGE_KEY,
+      JSON.stringify(index)
+    );
+  } catch (error) {
+    console.error(`Error caching ${busObjCat} query:`, error);
+  }
+};
+
+/**
+ * Sends a query and caches its result. If the query cannot be sent (e.g., because the device is offline),
+ * the cached result of the same query is returned instead.
+ * @param {string} busObjCat - The business object category (e.g., "Timesheet").
+ * @param {Object} queryData - The parameters the query is sent with. Used as the cache key.
+ * @param {Function} fetchQuery - Function sending the query, resolving to the query response.
+ * @returns {Promise<Object>} - A promise resolving to the query response. A cached response carries
+ *                              `fromCache: true` and the time of the last sync in `syncedAt`.
+ * @throws {Error} - Throws the error of the query if there is no cached result to fall back to.
+ */
+const fetchQueryWithCache = async (busObjCat, queryData, fetchQuery) => {
+  try {
+    const response = await fetchQuery();
+
+    if (
+      response &&
+      response.success !== false &&
+      Array.isArray(response.data)
+    ) {
+      await saveCachedQuery(
+        busObjCat,
+        queryData,
+        response.data,
+        response.TOTAL_RECORD_COUNT
+      );
+    }
+
+    return response;
+  } catch (error) {
+    const cachedQuery = await getCachedQuery(busObjCat, queryData);
+
+    if (!cachedQuery) {
+      throw error;
+    }
+
+    console.log(
+      `Query for ${busObjCat} failed, using the result synced at ${cachedQuery.syncedAt}`
+    );
+
+    return {
+      success: true,
+      data: cachedQuery.data,
+      TOTAL_RECORD_COUNT: cachedQuery.totalCount,
+      fromCache: true,
+      syncedAt: cachedQuery.syncedAt,
+    };
+  }
+};
+
+export { fetchQueryWithCache, getCachedQuery, saveCachedQuery };
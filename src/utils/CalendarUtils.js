@@ -0,0 +1,334 @@
+import {
+  addDays,
+  eachDayOfInterval,
+  endOfMonth,
+  endOfWeek,
+  format,
+  isSameMonth,
+  startOfDay,
+  startOfMonth,
+  startOfWeek,
+} from "date-fns";
+
+import {
+  API_ENDPOINTS,
+  APP,
+  APP_NAME,
+  BUSOBJCAT,
+  BUSOBJCATMAP,
+  INTSTATUS,
+  TEST_MODE,
+} from "../constants";
+
+import { isNonWorkingDay } from "./AbsenceUtils";
+import { fetchData, getAppNameByCategory } from "./APIUtils";
+import { fetchQueryWithCache } from "./CacheUtils";
+
+/**
+ * Sends a query of the calendar, falling back to the last synced result while offline.
+ * @param {string} busObjCat - The business object category of the query.
+ * @param {Object} queryFields - The fields and conditions of the query.
+ * @param {string} appName - The app the query is sent for.
+ * @param {number} [limit] - The maximum number of records to read, or all records if not given.
+ * @returns {Promise<Object>} - A promise resolving to the query response.
+ */
+const fetchCalendarQuery = (busObjCat, queryFields, appName, limit) => {
+  const formData = {
+    query: JSON.stringify(queryFields),
+    testMode: TEST_MODE,
+    client: parseInt(APP.LOGIN_USER_CLIENT),
+    user: APP.LOGIN_USER_ID,
+    userID: APP.LOGIN_USER_ID,
+    appName,
+    language: APP.LOGIN_USER_LANGUAGE,
+    intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
+    ...(limit && { page: 1, start: 0, limit }),
+  };
+
+  return fetchQueryWithCache(busObjCat, formData, () =>
+    fetchData(
+      API_ENDPOINTS.QUERY,
+      "POST",
+      {
+        "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+      },
+      new URLSearchParams(formData).toString()
+    )
+  );
+};
+
+/**
+ * Fetches the timesheets of the user overlapping a date range, with their items.
+ * @param {Date} from - The first day of the range.
+ * @param {Date} to - The last day of the range.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the timesheets.
+ * @throws {Error} - Throws an error if the query fails and there is no cached result.
+ */
+const fetchCalendarTimesheets = async (from, to) => {
+  const timesheetCat = BUSOBJCATMAP[BUSOBJCAT.TIMESHEET];
+
+  const response = await fetchCalendarQuery(
+    BUSOBJCAT.TIMESHEET,
+    {
+      fields: [
+        `${timesheetCat}-id`,
+        `${timesheetCat}-start`,
+        `${timesheetCat}-end`,
+        `${timesheetCat}-extStatus-processTemplateID`,
+        `${timesheetCat}-tasks-items`,
+      ],
+      where: [
+        {
+          fieldName: `${timesheetCat}-employeeID`,
+          operator: "=",
+          value: APP.LOGIN_USER_EMPLOYEE_ID,
+        },
+        {
+          fieldName: `${timesheetCat}-start`,
+          operator: "<=",
+          value: to.toISOString(),
+        },
+        {
+          fieldName: `${timesheetCat}-end`,
+          operator: ">=",
+          value: from.toISOString(),
+        },
+      ],
+    },
+    JSON.stringify(getAppNameByCategory(BUSOBJCAT.TIMESHEET))
+  );
+
+  return response?.success ? response.data || [] : [];
+};
+
+/**
+ * Fetches the requested absences of the user overlapping a date range, with their hours by day and status.
+ * @param {Date} from - The first day of the range.
+ * @param {Date} to - The last day of the range.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the absences.
+ * @throws {Error} - Throws an error if the query fails and there is no cached result.
+ */
+const fetchCalendarAbsences = async (from, to) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+
+  const response = await fetchCalendarQuery(
+    BUSOBJCAT.ABSENCE,
+    {
+      fields: [
+        `${absenceCat}-id`,
+        `${absenceCat}-type:AbsenceType-name`,
+        `${absenceCat}-start`,
+        `${absenceCat}-end`,
+        `${absenceCat}-hoursByDay`,
+        `${absenceCat}-extStatus-processTemplateID`,
+        `${absenceCat}-extStatus-statusID`,
+        `${absenceCat}-extStatus-processTemplateID:ProcessTemplate-steps`,
+      ],
+      where: [
+        {
+          fieldName: `${absenceCat}-employeeID`,
+          operator: "=",
+          value: APP.LOGIN_USER_EMPLOYEE_ID,
+        },
+        {
+          fieldName: `${absenceCat}-adjustAbsence`,
+          operator: "=",
+          value: false,
+        },
+        {
+          fieldName: `${absenceCat}-redemption`,
+          operator: "=",
+          value: false,
+        },
+        {
+          fieldName: `${absenceCat}-submittedOn`,
+          operator: "!=",
+          value: null,
+        },
+        {
+          fieldName: `${absenceCat}-start`,
+          operator: "<=",
+          value: to.toISOString(),
+        },
+        {
+          fieldName: `${absenceCat}-end`,
+          operator: ">=",
+          value: from.toISOString(),
+        },
+      ],
+    },
+    APP_NAME.ABSENCE
+  );
+
+  return response?.success ? response.data || [] : [];
+};
+
+/**
+ * Determines the approval state of a requested absence from its workflow. The last step of the workflow, not counting
+ * the steps reached by cancelling the submission, is taken as the approval.
+ * @param {Object} absence - The absence as queried by `fetchCalendarAbsences`.
+ * @returns {string|null} - "approved", "pending", or null if the submission was cancelled.
+ */
+const getAbsenceApprovalState = (absence) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+  const statusExtId = absence[`${absenceCat}-extStatus-statusID`];
+  const steps =
+    absence[`${absenceCat}-extStatus-processTemplateID:ProcessTemplate-steps`];
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return "pending";
+  }
+
+  const currentStep = steps.find((step) => step.extID === statusExtId);
+  if (currentStep?.eventID === "SUBMISSIONCANCELLEDAPI") {
+    return null;
+  }
+
+  const approvalSteps = steps.filter(
+    (step) => step.eventID !== "SUBMISSIONCANCELLEDAPI"
+  );
+
+  return approvalSteps[approvalSteps.length - 1]?.extID === statusExtId
+    ? "approved"
+    : "pending";
+};
+
+/**
+ * Returns the scheduled working time of a day from the work schedule of the employee: the standard hours of the
+ * patterns, or the daily standard hours on working days if there are no patterns. Holidays are not scheduled.
+ * @param {Date} date - The day.
+ * @param {Object} employeeInfo - The work schedule and calendar of the employee.
+ * @returns {number} - The scheduled time in milliseconds.
+ */
+const getScheduledTime = (date, employeeInfo) => {
+  const { patterns = [], dailyStdHours = 0 } = employeeInfo;
+
+  // isNonWorkingDay resets the time of the date it is passed
+  if (isNonWorkingDay(new Date(date), employeeInfo)) {
+    return 0;
+  }
+
+  const activePatterns = patterns.filter((pattern) => pattern.intStatus !== 3);
+  if (activePatterns.length === 0) {
+    return dailyStdHours;
+  }
+
+  let scheduledTime = 0;
+  activePatterns.forEach((pattern) => {
+    pattern.details.forEach((detail) => {
+      if (detail.intStatus !== 3 && detail.daySeq === date.getDay()) {
+        scheduledTime = detail.stdWorkHours || 0;
+      }
+    });
+  });
+
+  return scheduledTime;
+};
+
+/**
+ * Builds the days shown in the calendar of a month, from the first day of the week of the first of the month to the
+ * last day of the week of the end of the month.
+ * A day has a gap if it is scheduled, has passed, and its logged and absence time do not cover the scheduled time.
+ *
+ * @param {Date} month - A day of the month.
+ * @param {Array<Object>} timesheets - The timesheets overlapping the shown days (see `fetchCalendarTimesheets`).
+ * @param {Array<Object>} absences - The absences overlapping the shown days (see `fetchCalendarAbsences`).
+ * @param {Array<Object>} nonWorkingDates - The holidays of the work calendar, with their `date` and `name`.
+ * @param {Object} employeeInfo - The work schedule and calendar of the employee.
+ * @returns {Array<Object>} - The days, each with its `date`, `key` ("yyyy-MM-dd"), whether it `isInMonth`, the
+ *   `loggedTime`, `scheduledTime` and `absenceTime` in milliseconds, the `holidayName`, the `absences` on it (`id`,
+ *   `name`, `approvalState` and `statusTemplateExtId`) and whether it `hasGap`.
+ */
+const buildCalendarDays = (
+  month,
+  timesheets,
+  absences,
+  nonWorkingDates,
+  employeeInfo
+) => {
+  const timesheetCat = BUSOBJCATMAP[BUSOBJCAT.TIMESHEET];
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+  const weekStartsOn = employeeInfo.startOfWeek ?? 1;
+  const today = startOfDay(new Date());
+
+  const loggedTimeMap = new Map();
+  timesheets.forEach((timesheet) => {
+    (timesheet[`${timesheetCat}-tasks`] || []).forEach((task) => {
+      (task.items || []).forEach((item) => {
+        const key = format(new Date(item.start), "yyyy-MM-dd");
+        loggedTimeMap.set(
+          key,
+          (loggedTimeMap.get(key) || 0) + (item.actualTime || 0)
+        );
+      });
+    });
+  });
+
+  const absenceMap = new Map();
+  absences.forEach((absence) => {
+    const approvalState = getAbsenceApprovalState(absence);
+    if (!approvalState) {
+      return;
+    }
+
+    (absence[`${absenceCat}-hoursByDay`] || []).forEach((dayRecord) => {
+      const key = format(new Date(dayRecord.splitDate), "yyyy-MM-dd");
+      const dayAbsences = absenceMap.get(key) || [];
+
+      dayAbsences.push({
+        id: absence[`${absenceCat}-id`],
+        name: absence[`${absenceCat}-type:AbsenceType-name`] || "",
+        approvalState,
+        statusTemplateExtId:
+          absence[`${absenceCat}-extStatus-processTemplateID`] || "",
+        hours: dayRecord.hours || 0,
+      });
+      absenceMap.set(key, dayAbsences);
+    });
+  });
+
+  const holidayMap = new Map(
+    (nonWorkingDates || []).map((holiday) => [
+      format(new Date(holiday.date), "yyyy-MM-dd"),
+      holiday.name || "",
+    ])
+  );
+
+  return eachDayOfInterval({
+    start: startOfWeek(startOfMonth(month), { weekStartsOn }),
+    end: endOfWeek(endOfMonth(month), { weekStartsOn }),
+  }).map((date) => {
+    const key = format(date, "yyyy-MM-dd");
+    const dayAbsences = absenceMap.get(key) || [];
+    const loggedTime = loggedTimeMap.get(key) || 0;
+    const absenceTime = dayAbsences.reduce(
+      (sum, absence) => sum + absence.hours,
+      0
+    );
+    const isHoliday = holidayMap.has(key);
+    const scheduledTime = isHoliday ? 0 : getScheduledTime(date, employeeInfo);
+
+    return {
+      date,
+      key,
+      isInMonth: isSameMonth(date, month),
+      loggedTime,
+      scheduledTime,
+      absenceTime,
+      holidayName: isHoliday ? holidayMap.get(key) : null,
+      absences: dayAbsences,
+      hasGap:
+        scheduledTime > 0 &&
+        addDays(date, 1) <= today &&
+        loggedTime + absenceTime < scheduledTime,
+    };
+  });
+};
+
+export {
+  buildCalendarDays,
+  fetchCalendarAbsences,
+  fetchCalendarQuery,
+  fetchCalendarTimesheets,
+  getAbsenceApprovalState,
+};
@@ -0,0 +1,134 @@
+import { format, isValid } from "date-fns";
+
+/**
+ * Entry modes of the time of a timesheet item.
+ * @enum {string}
+ */
+const TIME_ENTRY_MODE = {
+  /** The time is entered as a duration. */
+  DURATION: "duration",
+  /** The time is computed from the start and end time and the breaks. */
+  CLOCK: "clock",
+};
+
+/**
+ * Checks whether an item was recorded as a clock entry, i.e., with the times of day it started and ended.
+ * Items recorded as a duration start and end at the same time, at the beginning of their day.
+ * @param {Object} item - The timesheet item.
+ * @returns {boolean} - True if the end of the item is after its start.
+ */
+const isClockEntry = (item) => {
+  const start = item?.start ? new Date(item.start) : null;
+  const end = item?.end ? new Date(item.end) : null;
+
+  return !!start && !!end && isValid(start) && isValid(end) && end > start;
+};
+
+/**
+ * Reads the clock entry of an item. The start and end are stored in the item; the breaks are only kept while the
+ * timesheet is edited, so the breaks of a loaded item are rebuilt as one break lasting the time between start and
+ * end that was not booked.
+ * @param {Object} item - The timesheet item.
+ * @returns {Object} - The `startTime` and `endTime` ("HH:mm", empty if the item is not a clock entry) and the
+ *   `breaks` (durations in minutes, as strings for editing).
+ */
+const getClockEntry = (item) => {
+  if (!isClockEntry(item)) {
+    return { startTime: "", endTime: "", breaks: [] };
+  }
+
+  const start = new Date(item.start);
+  const end = new Date(item.end);
+
+  let breaks = item.breaks;
+  if (!Array.isArray(breaks)) {
+    const breakMinutes = Math.round(
+      (end - start - (item.actualTime || 0)) / 60000
+    );
+    breaks = breakMinutes > 0 ? [String(breakMinutes)] : [];
+  }
+
+  return {
+    startTime: format(start, "HH:mm"),
+    endTime: format(end, "HH:mm"),
+    breaks,
+  };
+};
+
+/**
+ * Parses a time of day entered as "H:mm" or "HH:mm".
+ * @param {string} time - The entered time.
+ * @returns {Object|null} - The `hours` and `minutes`, or null if the time is not valid.
+ */
+const parseTimeOfDay = (time) => {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec((time || "").trim());
+
+  return match ? { hours: Number(match[1]), minutes: Number(match[2]) } : null;
+};
+
+/**
+ * Computes the start, end and actual time of a clock entry on a day: the time between start and end minus the
+ * breaks.
+ * @param {Date|string} date - The day of the item.
+ * @param {string} startTime - The start time ("HH:mm").
+ * @param {string} endTime - The end time ("HH:mm"), on the same day.
+ * @param {Array<string|number>} breaks - The durations of the breaks in minutes.
+ * @returns {Object} - The `start` and `end` dates and the `actualTime` in milliseconds, or the translation key of
+ *   the `error` if the entry is not valid.
+ */
+const calculateClockEntry = (date, startTime, endTime, breaks) => {
+  const parsedStart = parseTimeOfDay(startTime);
+  const parsedEnd = parseTimeOfDay(endTime);
+
+  if (!parsedStart || !parsedEnd) {
+    return { error: "clock_entry_invalid_time" };
+  }
+
+  const start = new Date(date);
+  start.setHours(parsedStart.hours, parsedStart.minutes, 0, 0);
+  const end = new Date(date);
+  end.setHours(parsedEnd.hours, parsedEnd.minutes, 0, 0);
+
+  if (end <= start) {
+    return { error: "clock_entry_end_before_start" };
+  }
+
+  const breakMinutes = breaks.map((value) => Number(value));
+  if (breakMinutes.some((value) => isNaN(value) || value <= 0)) {
+    return { error: "clock_entry_invalid_break" };
+  }
+
+  const breakTime = breakMinutes.reduce((sum, value) => sum + value, 0) * 60000;
+  if (breakTime >= end - start) {
+    return { error: "clock_entry_breaks_exceed" };
+  }
+
+  return { start, end, actualTime: end - start - breakTime };
+};
+
+/**
+ * Finds the clock entries of a day that overlap the time between a start and an end.
+ * @param {Date|string} start - The start of the entry.
+ * @param {Date|string} end - The end of the entry.
+ * @param {Array<Object>} items - The other items of the day.
+ * @returns {Array<Object>} - The overlapping items.
+ */
+const findOverlappingClockEntries = (start, end, items) => {
+  const entryStart = new Date(start);
+  const entryEnd = new Date(end);
+
+  return items.filter(
+    (item) =>
+      isClockEntry(item) &&
+      new Date(item.start) < entryEnd &&
+      entryStart < new Date(item.end)
+  );
+};
+
+export {
+  TIME_ENTRY_MODE,
+  calculateClockEntry,
+  findOverlappingClockEntries,
+  getClockEntry,
+  isClockEntry,
+};
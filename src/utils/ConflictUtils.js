@@ -0,0 +1,307 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+import {
+  API_ENDPOINTS,
+  APP,
+  BUSOBJCAT,
+  BUSOBJCATMAP,
+  INTSTATUS,
+  PREFERRED_LANGUAGES,
+  REQUEST_QUEUE,
+  TEST_MODE,
+} from "../constants";
+
+import { fetchData } from "./APIUtils";
+import { getRemarkText, isEqual } from "./FormatUtils";
+
+/**
+ * Checks whether the queued saves of a business object category are checked for conflicting server changes before
+ * they are replayed.
+ * @param {string} busObjCat - The business object category (e.g., "TimeConfirmation").
+ * @returns {boolean} - True if conflicts are checked for the category.
+ */
+const isConflictChecked = (busObjCat) =>
+  [
+    BUSOBJCATMAP[BUSOBJCAT.TIMESHEET],
+    BUSOBJCATMAP[BUSOBJCAT.ABSENCE],
+    BUSOBJCATMAP[BUSOBJCAT.EXPENSE],
+  ].includes(busObjCat);
+
+/**
+ * Ways in which the user can resolve a conflict between a queued save and the server copy.
+ * @constant
+ * @enum {string}
+ */
+const CONFLICT_RESOLUTION = {
+  /** Send the queued change as it is and overwrite the server changes. */
+  MINE: "mine",
+  /** Keep the server copy and drop the queued change. */
+  THEIRS: "theirs",
+  /** Decide per field which version wins. */
+  MERGE: "merge",
+};
+
+/**
+ * Returns the field name without its sub-path, e.g. "TimeConfirmation-remark:text" becomes "TimeConfirmation-remark".
+ * @param {string} fieldName - The field name as used in an updateFields payload.
+ * @returns {string} - The base field name.
+ */
+const getBaseFieldName = (fieldName) => fieldName.split(":")[0];
+
+/**
+ * Returns the field of a snapshot that a key of a queued save is compared with. This is the full key if the snapshot
+ * holds it, e.g. "Absence-remark:text", otherwise its base field, e.g. "TimeConfirmation-remark" for
+ * "TimeConfirmation-remark:text".
+ * @param {string} key - The field name as used in an updateFields payload.
+ * @param {Array<string>} snapshotFields - The fields of the snapshot.
+ * @returns {string} - The compared field name.
+ */
+const getComparedFieldName = (key, snapshotFields) =>
+  snapshotFields.includes(key) ? key : getBaseFieldName(key);
+
+/**
+ * Reads all stored document snapshots.
+ * @returns {Promise<Object>} - A promise resolving to the snapshots keyed by "<busObjCat>-<busObjId>".
+ */
+const getDocumentSnapshots = async () => {
+  try {
+    const value = await AsyncStorage.getItem(
+      REQUEST_QUEUE.SNAPSHOT_STORAGE_KEY
+    );
+    return value ? JSON.parse(value) : {};
+  } catch (error) {
+    console.error("Error reading document snapshots:", error);
+    return {};
+  }
+};
+
+/**
+ * Stores the server state of a document as it was loaded into a detail screen.
+ * A save queued while offline carries this snapshot, so that changes made on the server in the meantime can be detected.
+ * Only the most recently loaded REQUEST_QUEUE.MAX_SNAPSHOTS documents are kept.
+ * @param {string} busObjCat - The business object category (e.g., "TimeConfirmation").
+ * @param {string} busObjId - The ID of the document.
+ * @param {Array<string>} fields - The fields the document was queried with.
+ * @param {Object} data - The queried document.
+ * @returns {Promise<void>}
+ */
+const saveDocumentSnapshot = async (busObjCat, busObjId, fields, data) => {
+  if (!isConflictChecked(busObjCat) || !busObjId) {
+    return;
+  }
+
+  try {
+    const snapshots = await getDocumentSnapshots();
+    snapshots[`${busObjCat}-${busObjId}`] = {
+      fields,
+      data,
+      savedAt: new Date().toISOString(),
+    };
+
+    // Drop the oldest snapshots once the limit is exceeded
+    const keys = Object.keys(snapshots).sort((a, b) =>
+      snapshots[a].savedAt.localeCompare(snapshots[b].savedAt)
+    );
+    keys
+      .slice(0, Math.max(keys.length - REQUEST_QUEUE.MAX_SNAPSHOTS, 0))
+      .forEach((key) => delete snapshots[key]);
+
+    await AsyncStorage.setItem(
+      REQUEST_QUEUE.SNAPSHOT_STORAGE_KEY,
+      JSON.stringify(snapshots)
+    );
+  } catch (error) {
+    console.error("Error saving document snapshot:", error);
+  }
+};
+
+/**
+ * Returns the stored snapshot of a document.
+ * @param {string} busObjCat - The business object category (e.g., "TimeConfirmation").
+ * @param {string} busObjId - The ID of the document.
+ * @returns {Promise<Object|null>} - A promise resolving to the snapshot ({ fields, data, savedAt }) or null.
+ */
+const getDocumentSnapshot = async (busObjCat, busObjId) => {
+  if (!isConflictChecked(busObjCat) || !busObjId) {
+    return null;
+  }
+
+  const snapshots = await getDocumentSnapshots();
+  return snapshots[`${busObjCat}-${busObjId}`] || null;
+};
+
+/**
+ * Queries the current server state of a document.
+ * @param {string} busObjCat - The business object category (e.g., "TimeConfirmation").
+ * @param {string} busObjId - The ID of the document.
+ * @param {Array<string>} fields - The fields to query.
+ * @returns {Promise<Object|null>} - A promise resolving to the document, or null if it no longer exists.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const fetchServerDocument = async (busObjCat, busObjId, fields) => {
+  const queryFields = {
+    fields,
+    where: [
+      {
+        fieldName: `${busObjCat}-id`,
+        operator: "=",
+        value: busObjId,
+      },
+    ],
+  };
+
+  const formData = {
+    query: JSON.stringify(queryFields),
+    testMode: TEST_MODE,
+    client: parseInt(APP.LOGIN_USER_CLIENT),
+    user: APP.LOGIN_USER_ID,
+    userID: APP.LOGIN_USER_ID,
+    language: APP.LOGIN_USER_LANGUAGE,
+    intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
+  };
+
+  const response = await fetchData(
+    API_ENDPOINTS.QUERY,
+    "POST",
+    {
+      "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+    },
+    new URLSearchParams(formData).toString()
+  );
+
+  if (!response || response.success === false) {
+    throw new Error(`Failed to query ${busObjCat} ${busObjId}`);
+  }
+
+  return response.data?.[0] || null;
+};
+
+/**
+ * Compares the server copy of a document with the snapshot captured when a save was queued.
+ * Only the fields touched by the queued save and the workflow status are compared, as changes
+ * to other fields do not collide with the queued change.
+ * @param {Object} request - The queued request, carrying the snapshot in `baseline`.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the conflicting fields
+ *                                     ({ field, baseline, theirs, mine, isQueued }). Empty if there is no conflict.
+ * @throws {Error} - Throws an error if the server copy cannot be queried.
+ */
+const detectConflicts = async (request) => {
+  const { busObjCat, busObjId, baseline } = request;
+
+  if (!baseline || !isConflictChecked(busObjCat)) {
+    return [];
+  }
+
+  const payload = JSON.parse(request.body)?.data || {};
+  const serverData = await fetchServerDocument(
+    busObjCat,
+    busObjId,
+    baseline.fields
+  );
+
+  // The document was deleted on the server in the meantime
+  if (!serverData) {
+    return [
+      {
+        field: `${busObjCat}-intStatus`,
+        baseline: INTSTATUS.ACTIVE,
+        theirs: INTSTATUS.DELETED,
+        mine: INTSTATUS.ACTIVE,
+        isQueued: false,
+      },
+    ];
+  }
+
+  const comparedFields = new Set([
+    `${busObjCat}-extStatus`,
+    ...Object.keys(payload).map((key) =>
+      getComparedFieldName(key, baseline.fields)
+    ),
+  ]);
+  comparedFields.delete(`${busObjCat}-id`);
+
+  return [...comparedFields]
+    .filter((field) => baseline.fields.includes(field))
+    .filter((field) => !isEqual(baseline.data[field], serverData[field]))
+    .map((field) => {
+      const queuedKeys = Object.keys(payload).filter(
+        (key) => getComparedFieldName(key, baseline.fields) === field
+      );
+
+      return {
+        field,
+        baseline: baseline.data[field],
+        theirs: serverData[field],
+        mine:
+          queuedKeys.length === 1
+            ? payload[queuedKeys[0]]
+            : Object.fromEntries(queuedKeys.map((key) => [key, payload[key]])),
+        isQueued: queuedKeys.length > 0,
+      };
+    });
+};
+
+/**
+ * Builds the request body of a queued save after a per-field merge.
+ * Fields for which the server version was chosen are removed from the payload, so the server keeps its value.
+ * @param {Object} request - The queued request.
+ * @param {Object} choices - The chosen version per conflicting field ({ [field]: CONFLICT_RESOLUTION.MINE | CONFLICT_RESOLUTION.THEIRS }).
+ * @returns {string|null} - The new serialized body, or null if nothing of the queued change is left to send.
+ */
+const buildMergedRequestBody = (request, choices) => {
+  const formData = JSON.parse(request.body);
+  const idKey = `${request.busObjCat}-id`;
+  const snapshotFields = request.baseline?.fields || [];
+
+  const data = Object.fromEntries(
+    Object.entries(formData.data || {}).filter(
+      ([key]) =>
+        key === idKey ||
+        choices[getComparedFieldName(key, snapshotFields)] !==
+          CONFLICT_RESOLUTION.THEIRS
+    )
+  );
+
+  if (Object.keys(data).every((key) => key === idKey)) {
+    return null;
+  }
+
+  return JSON.stringify({ ...formData, data });
+};
+
+/**
+ * Converts a field value of a conflict into a short text for display.
+ * @param {*} value - The field value.
+ * @returns {string} - The display text.
+ */
+const formatConflictValue = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return "-";
+  }
+
+  // Multilingual texts (e.g., remarks)
+  if (Array.isArray(value) && value.every((entry) => entry?.language)) {
+    return (
+      getRemarkText(value, APP.LOGIN_USER_LANGUAGE, PREFERRED_LANGUAGES) || "-"
+    );
+  }
+
+  // Workflow status
+  if (typeof value === "object" && value.statusID !== undefined) {
+    return String(value.statusID);
+  }
+
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+};
+
+export {
+  CONFLICT_RESOLUTION,
+  buildMergedRequestBody,
+  detectConflicts,
+  fetchServerDocument,
+  formatConflictValue,
+  getDocumentSnapshot,
+  saveDocumentSnapshot,
+};
@@ -0,0 +1,380 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+import {
+  API_ENDPOINTS,
+  APP,
+  EXCHANGE_RATES,
+  INTSTATUS,
+  TEST_MODE,
+} from "../constants";
+import { fetchData } from "./APIUtils";
+
+/**
+ * Converts a date into the day key used by the exchange rate table.
+ * @param {Date|string} date - The date to convert.
+ * @returns {string|null} - The day in the format "yyyy-MM-dd", or null for an invalid date.
+ */
+const toRateDay = (date) => {
+  const dateToConvert = new Date(date);
+  return isNaN(dateToConvert) ? null : dateToConvert.toISOString().slice(0, 10);
+};
+
+/**
+ * Reads the locally stored exchange rate table.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the exchange rates
+ *   ({ fromCurrency, toCurrency, rate, date, source }).
+ */
+const getExchangeRates = async () => {
+  try {
+    const value = await AsyncStorage.getItem(EXCHANGE_RATES.STORAGE_KEY);
+    return value ? JSON.parse(value) : [];
+  } catch (error) {
+    console.error("Error reading exchange rates:", error);
+    return [];
+  }
+};
+
+/**
+ * Writes the exchange rate table to storage.
+ * @param {Array<Object>} rates - The exchange rates.
+ * @returns {Promise<void>}
+ */
+const setStoredExchangeRates = async (rates) => {
+  try {
+    await AsyncStorage.setItem(
+      EXCHANGE_RATES.STORAGE_KEY,
+      JSON.stringify(rates)
+    );
+  } catch (error) {
+    console.error("Error saving exchange rates:", error);
+  }
+};
+
+/**
+ * Fetches the exchange rates maintained in the backend for the last EXCHANGE_RATES.HISTORY_DAYS days, newest first.
+ * The rates are fetched page by page and only one rate per currency pair and day is kept, up to
+ * EXCHANGE_RATES.MAX_RATES rates.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the exchange rates of the backend.
+ * @throws {Error} - If the rates could not be fetched.
+ */
+const fetchExchangeRates = async () => {
+  const fromDate = new Date();
+  fromDate.setDate(fromDate.getDate() - EXCHANGE_RATES.HISTORY_DAYS);
+
+  const queryFields = {
+    fields: [
+      "ExchangeRate-fromCurrency",
+      "ExchangeRate-toCurrency",
+      "ExchangeRate-rate",
+      "ExchangeRate-date",
+    ],
+    where: [
+      {
+        fieldName: "ExchangeRate-date",
+        operator: ">=",
+        value: fromDate.toISOString(),
+      },
+    ],
+    sort: [{ property: "ExchangeRate-date", direction: "DESC" }],
+  };
+
+  const rates = new Map();
+
+  for (let page = 1; rates.size < EXCHANGE_RATES.MAX_RATES; page++) {
+    const formData = {
+      query: JSON.stringify(queryFields),
+      testMode: TEST_MODE,
+      client: parseInt(APP.LOGIN_USER_CLIENT, 10),
+      user: APP.LOGIN_USER_ID,
+      userID: APP.LOGIN_USER_ID,
+      language: APP.LOGIN_USER_LANGUAGE,
+      intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
+      page,
+      limit: EXCHANGE_RATES.PAGE_SIZE,
+      start: (page - 1) * EXCHANGE_RATES.PAGE_SIZE,
+    };
+
+    const response = await fetchData(
+      API_ENDPOINTS.QUERY,
+      "POST",
+      { "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8" },
+      new URLSearchParams(formData).toString()
+    );
+
+    if (!response.success || !Array.isArray(response.data)) {
+      throw new Error("Unexpected response format for exchange rates.");
+    }
+
+    response.data
+      .map((record) => ({
+        fromCurrency: record["ExchangeRate-fromCurrency"],
+        toCurrency: record["ExchangeRate-toCurrency"],
+        rate: parseFloat(record["ExchangeRate-rate"]),
+        date: toRateDay(record["ExchangeRate-date"]),
+        source: EXCHANGE_RATES.SOURCE_BACKEND,
+      }))
+      .filter(
+        ({ fromCurrency, toCurrency, rate, date }) =>
+          fromCurrency && toCurrency && rate > 0 && date
+      )
+      .forEach((rate) => {
+        const key = `${rate.fromCurrency}-${rate.toCurrency}-${rate.date}`;
+        if (!rates.has(key) && rates.size < EXCHANGE_RATES.MAX_RATES) {
+          rates.set(key, rate);
+        }
+      });
+
+    if (response.data.length < EXCHANGE_RATES.PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return [...rates.values()];
+};
+
+/**
+ * Replaces the backend rates of the local table with the current rates of the backend.
+ * The rates entered by the user are kept. If the backend cannot be reached, the stored table is returned unchanged,
+ * so that amounts can also be converted while offline.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the exchange rate table.
+ */
+const syncExchangeRates = async () => {
+  const storedRates = await getExchangeRates();
+
+  try {
+    const backendRates = await fetchExchangeRates();
+    const userRates = storedRates.filter(
+      (rate) => rate.source === EXCHANGE_RATES.SOURCE_USER
+    );
+    const rates = [...backendRates, ...userRates];
+
+    await setStoredExchangeRates(rates);
+    return rates;
+  } catch (error) {
+    console.error("Error in syncing exchange rates:", error);
+    return storedRates;
+  }
+};
+
+/**
+ * Stores an exchange rate entered by the user. A previous rate of the user for the same currencies and day is replaced.
+ * @param {Object} exchangeRate - The exchange rate.
+ * @param {string} exchangeRate.fromCurrency - The currency converted from (e.g., "USD").
+ * @param {string} exchangeRate.toCurrency - The currency converted to (e.g., "EUR").
+ * @param {number} exchangeRate.rate - The amount of `toCurrency` for one unit of `fromCurrency`.
+ * @param {Date|string} exchangeRate.date - The day the rate applies from.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the updated exchange rate table.
+ */
+const saveUserExchangeRate = async ({
+  fromCurrency,
+  toCurrency,
+  rate,
+  date,
+}) => {
+  const day = toRateDay(date);
+  const storedRates = await getExchangeRates();
+
+  const rates = [
+    ...storedRates.filter(
+      (storedRate) =>
+        storedRate.source !== EXCHANGE_RATES.SOURCE_USER ||
+        storedRate.fromCurrency !== fromCurrency ||
+        storedRate.toCurrency !== toCurrency ||
+        storedRate.date !== day
+    ),
+    {
+      fromCurrency,
+      toCurrency,
+      rate,
+      date: day,
+      source: EXCHANGE_RATES.SOURCE_USER,
+    },
+  ];
+
+  await setStoredExchangeRates(rates);
+  return rates;
+};
+
+/**
+ * Finds the exchange rate to convert between two currencies on a given day.
+ * The latest rate on or before the day is taken, or the earliest later rate if there is none.
+ * Inverse rates are used if only the opposite direction is known, and rates of the user win over rates
+ * of the backend of the same day.
+ * @param {Array<Object>} rates - The exchange rate table.
+ * @param {string} fromCurrency - The currency converted from.
+ * @param {string} toCurrency - The currency converted to.
+ * @param {Date|string} date - The day of the amount to convert.
+ * @returns {{rate: number, date: string|null, source: string|null}|null} - The rate, or null if none is known.
+ */
+const findExchangeRate = (
+  rates,
+  fromCurrency,
+  toCurrency,
+  date = new Date()
+) => {
+  if (fromCurrency === toCurrency) {
+    return { rate: 1, date: null, source: null };
+  }
+
+  const day = toRateDay(date) || toRateDay(new Date());
+
+  const candidates = rates
+    .map((entry) => {
+      if (
+        entry.fromCurrency === fromCurrency &&
+        entry.toCurrency === toCurrency
+      ) {
+        return { rate: entry.rate, date: entry.date, source: entry.source };
+      }
+      if (
+        entry.fromCurrency === toCurrency &&
+        entry.toCurrency === fromCurrency
+      ) {
+        return { rate: 1 / entry.rate, date: entry.date, source: entry.source };
+      }
+      return null;
+    })
+    .filter((candidate) => candidate && candidate.rate > 0);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const isUserRate = (candidate) =>
+    candidate.source === EXCHANGE_RATES.SOURCE_USER ? 1 : 0;
+
+  const earlierRates = candidates
+    .filter((candidate) => candidate.date <= day)
+    .sort(
+      (a, b) => b.date.localeCompare(a.date) || isUserRate(b) - isUserRate(a)
+    );
+  if (earlierRates.length > 0) {
+    return earlierRates[0];
+  }
+
+  return candidates.sort(
+    (a, b) => a.date.localeCompare(b.date) || isUserRate(b) - isUserRate(a)
+  )[0];
+};
+
+/**
+ * Converts an amount into another currency.
+ * @param {Object} amountObj - An object containing amount and currency.
+ * @param {string} toCurrency - The currency to convert to (e.g., the reimbursement currency of the claim).
+ * @param {Array<Object>} rates - The exchange rate table.
+ * @param {Date|string} date - The day of the amount, used to select the rate.
+ * @returns {{amount: number, currency: string, rate: number, rateDate: string|null}|null} - The converted amount,
+ *   or null if no exchange rate is known.
+ */
+const convertAmount = (amountObj, toCurrency, rates, date) => {
+  const { amount, currency } = amountObj;
+
+  const exchangeRate = findExchangeRate(rates, currency, toCurrency, date);
+  if (!exchangeRate) {
+    return null;
+  }
+
+  return {
+    amount: (parseFloat(amount) || 0) * exchangeRate.rate,
+    currency: toCurrency,
+    rate: exchangeRate.rate,
+    rateDate: exchangeRate.date,
+  };
+};
+
+/**
+ * Sums up amounts of different currencies in one currency.
+ * @param {Array<{amount: number|string, currency: string, date: Date|string}>} amounts - The amounts to sum up.
+ * @param {string} toCurrency - The currency of the total.
+ * @param {Array<Object>} rates - The exchange rate table.
+ * @returns {{amount: number, currency: string, missingCurrencies: Array<string>}} - The total. Amounts of currencies
+ *   without a known exchange rate are left out and their currencies listed in `missingCurrencies`.
+ */
+const calculateTotalInCurrency = (amounts, toCurrency, rates) =>
+  amounts.reduce(
+    (total, { amount, currency, date }) => {
+      if (!currency) {
+        return total;
+      }
+
+      const convertedAmount = convertAmount(
+        { amount, currency },
+        toCurrency,
+        rates,
+        date
+      );
+
+      if (convertedAmount) {
+        total.amount += convertedAmount.amount;
+      } else if (!total.missingCurrencies.includes(currency)) {
+        total.missingCurrencies.push(currency);
+      }
+
+      return total;
+    },
+    { amount: 0, currency: toCurrency, missingCurrencies: [] }
+  );
+
+/**
+ * Determines the currency most of the amounts are in, e.g. to show the total of a list in it.
+ * @param {Array<{currency: string}>} amounts - The amounts.
+ * @returns {string} - The most frequent currency, or an empty string if no amount has a currency.
+ */
+const getPredominantCurrency = (amounts) => {
+  const counts = amounts.reduce((acc, { currency }) => {
+    if (currency) acc[currency] = (acc[currency] || 0) + 1;
+    return acc;
+  }, {});
+
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || "";
+};
+
+/**
+ * Checks whether an amount lies within an amount range, e.g. of the amount filter.
+ * If the range has a currency, the amount is converted into it before comparing. A range with a currency but without
+ * bounds only keeps the amounts in that currency.
+ * @param {Object} amountObj - An object containing amount and currency.
+ * @param {Object} range - The amount range.
+ * @param {number|null} [range.greaterThanValue] - The lower bound of the range (inclusive).
+ * @param {number|null} [range.lessThanValue] - The upper bound of the range (inclusive).
+ * @param {string} [range.currency] - The currency of the bounds.
+ * @param {Array<Object>} rates - The exchange rate table.
+ * @param {Date|string} date - The day of the amount, used to select the rate.
+ * @returns {boolean} - True if the amount lies within the range. Amounts that cannot be converted are not excluded.
+ */
+const isAmountInRange = (amountObj, range, rates, date) => {
+  const { greaterThanValue, lessThanValue, currency } = range;
+
+  if (
+    currency &&
+    !Number.isFinite(greaterThanValue) &&
+    !Number.isFinite(lessThanValue)
+  ) {
+    return amountObj?.currency === currency;
+  }
+
+  let amount = parseFloat(amountObj?.amount) || 0;
+  if (currency && amountObj?.currency && amountObj.currency !== currency) {
+    const convertedAmount = convertAmount(amountObj, currency, rates, date);
+    if (!convertedAmount) {
+      return true;
+    }
+    amount = convertedAmount.amount;
+  }
+
+  return (
+    (!Number.isFinite(greaterThanValue) || amount >= greaterThanValue) &&
+    (!Number.isFinite(lessThanValue) || amount <= lessThanValue)
+  );
+};
+
+export {
+  calculateTotalInCurrency,
+  convertAmount,
+  findExchangeRate,
+  getExchangeRates,
+  getPredominantCurrency,
+  isAmountInRange,
+  saveUserExchangeRate,
+  syncExchangeRates,
+};
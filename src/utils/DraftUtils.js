@@ -0,0 +1,183 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+import { APP, BUSOBJCAT, BUSOBJCATMAP, REQUEST_QUEUE } from "../constants";
+
+import { setRemarkText } from "./FormatUtils";
+
+// Listeners notified when a draft created offline received its server ID
+const draftPromotionListeners = new Set();
+
+/**
+ * Generates a temporary ID for a document created while offline.
+ * @returns {string} - The temporary ID, starting with REQUEST_QUEUE.LOCAL_ID_PREFIX.
+ */
+const createLocalId = () =>
+  `${REQUEST_QUEUE.LOCAL_ID_PREFIX}${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 10)}`;
+
+/**
+ * Checks whether new documents of a business object category can be drafted while offline.
+ * @param {string} busObjCat - The business object category (e.g., "TimeConfirmation").
+ * @returns {boolean} - True if a new document gets a temporary ID while offline.
+ */
+const supportsLocalDrafts = (busObjCat) =>
+  busObjCat === BUSOBJCATMAP[BUSOBJCAT.TIMESHEET];
+
+/**
+ * Checks whether an ID is a temporary ID of a document created while offline.
+ * @param {string} id - The ID to check.
+ * @returns {boolean} - True if the document does not exist on the server yet.
+ */
+const isLocalId = (id) =>
+  typeof id === "string" && id.startsWith(REQUEST_QUEUE.LOCAL_ID_PREFIX);
+
+/**
+ * Returns the temporary IDs referenced in a text, e.g. in the body of a queued request.
+ * @param {string} text - The text to search.
+ * @returns {Array<string>} - The temporary IDs found in the text.
+ */
+const findLocalIds = (text) =>
+  typeof text === "string"
+    ? text.match(
+        new RegExp(`${REQUEST_QUEUE.LOCAL_ID_PREFIX}[a-z0-9]+-[a-z0-9]+`, "g")
+      ) || []
+    : [];
+
+/**
+ * Reads all stored drafts.
+ * @returns {Promise<Object>} - A promise resolving to the drafts keyed by their temporary ID.
+ */
+const getStoredDrafts = async () => {
+  try {
+    const value = await AsyncStorage.getItem(REQUEST_QUEUE.DRAFT_STORAGE_KEY);
+    return value ? JSON.parse(value) : {};
+  } catch (error) {
+    console.error("Error reading local drafts:", error);
+    return {};
+  }
+};
+
+/**
+ * Writes all drafts to storage.
+ * @param {Object} drafts - The drafts keyed by their temporary ID.
+ * @returns {Promise<void>}
+ */
+const setStoredDrafts = async (drafts) => {
+  try {
+    await AsyncStorage.setItem(
+      REQUEST_QUEUE.DRAFT_STORAGE_KEY,
+      JSON.stringify(drafts)
+    );
+  } catch (error) {
+    console.error("Error saving local drafts:", error);
+  }
+};
+
+/**
+ * Returns a draft created while offline, in the same shape as a queried document.
+ * @param {string} busObjCat - The business object category (e.g., "TimeConfirmation").
+ * @param {string} localId - The temporary ID of the draft.
+ * @returns {Promise<Object|null>} - A promise resolving to the draft, or null if there is none.
+ */
+const getLocalDraft = async (busObjCat, localId) => {
+  const draft = (await getStoredDrafts())[localId];
+  return draft?.busObjCat === busObjCat ? draft.data : null;
+};
+
+/**
+ * Returns all drafts of a business object category, most recently changed first.
+ * @param {string} busObjCat - The business object category (e.g., "TimeConfirmation").
+ * @returns {Promise<Array<Object>>} - A promise resolving to the drafts, in the same shape as queried documents.
+ */
+const getLocalDrafts = async (busObjCat) =>
+  Object.values(await getStoredDrafts())
+    .filter((draft) => draft.busObjCat === busObjCat)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map((draft) => draft.data);
+
+/**
+ * Applies the payload of an update to a draft.
+ * Multilingual texts (e.g., "TimeConfirmation-remark:text") are additionally stored
+ * under their base field in the language of the user, as a queried document holds them.
+ * @param {string} busObjCat - The business object category (e.g., "TimeConfirmation").
+ * @param {string} localId - The temporary ID of the draft.
+ * @param {Object} payload - The data of the update, keyed by field name.
+ * @returns {Promise<void>}
+ */
+const saveLocalDraft = async (busObjCat, localId, payload = {}) => {
+  const drafts = await getStoredDrafts();
+  const data = { ...drafts[localId]?.data };
+
+  Object.entries(payload).forEach(([key, value]) => {
+    data[key] = value;
+
+    if (key.endsWith(":text")) {
+      const baseKey = key.slice(0, -":text".length);
+      data[baseKey] = setRemarkText(
+        data[baseKey],
+        APP.LOGIN_USER_LANGUAGE,
+        value
+      );
+    }
+  });
+  data[`${busObjCat}-id`] = localId;
+
+  drafts[localId] = {
+    busObjCat,
+    data,
+    updatedAt: new Date().toISOString(),
+  };
+
+  await setStoredDrafts(drafts);
+};
+
+/**
+ * Removes a draft, e.g. because it was deleted before it reached the server.
+ * @param {string} localId - The temporary ID of the draft.
+ * @returns {Promise<void>}
+ */
+const removeLocalDraft = async (localId) => {
+  const drafts = await getStoredDrafts();
+
+  if (drafts[localId]) {
+    delete drafts[localId];
+    await setStoredDrafts(drafts);
+  }
+};
+
+/**
+ * Removes a draft once it was created on the server and notifies the listeners about its server ID.
+ * @param {string} localId - The temporary ID of the draft.
+ * @param {string} serverId - The ID assigned by the server.
+ * @returns {Promise<void>}
+ */
+const promoteLocalDraft = async (localId, serverId) => {
+  console.log(`Local draft ${localId} was created as ${serverId}`);
+
+  await removeLocalDraft(localId);
+  draftPromotionListeners.forEach((listener) => listener(localId, serverId));
+};
+
+/**
+ * Subscribes to drafts receiving their server ID, so that screens showing a draft can switch to the created document.
+ * @param {Function} listener - Function called with the temporary ID and the server ID.
+ * @returns {Function} - Function to unsubscribe the listener.
+ */
+const subscribeToDraftPromotion = (listener) => {
+  draftPromotionListeners.add(listener);
+  return () => draftPromotionListeners.delete(listener);
+};
+
+export {
+  createLocalId,
+  findLocalIds,
+  getLocalDraft,
+  getLocalDrafts,
+  isLocalId,
+  promoteLocalDraft,
+  removeLocalDraft,
+  saveLocalDraft,
+  subscribeToDraftPromotion,
+  supportsLocalDrafts,
+};
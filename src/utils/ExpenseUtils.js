@@ -0,0 +1,299 @@
+import {
+  API_ENDPOINTS,
+  APP,
+  BUSOBJCAT,
+  BUSOBJCATMAP,
+  INTSTATUS,
+  TEST_MODE,
+} from "../constants";
+import { fetchData } from "./APIUtils";
+import { fetchQueryWithCache } from "./CacheUtils";
+import { normalizeDateToUTC } from "./FormatUtils";
+import { showToast } from "./MessageUtils";
+
+/**
+ * Returns an array of expense claim fields.
+ * These fields represent the header of an expense claim (type, date, status, remark, files and comments)
+ * and its line items (`expenses`), including the names of the referenced expense types and projects.
+ *
+ * @returns {string[]} Array of expense claim field keys
+ */
+const getExpenseFields = () => {
+  const expenseClaimPrefix = `${BUSOBJCATMAP[BUSOBJCAT.EXPENSE]}-`;
+
+  return [
+    // Expense claim ID field
+    `${expenseClaimPrefix}id`,
+    // External ID (claim number)
+    `${expenseClaimPrefix}extID`,
+    // Expense claim type field
+    `${expenseClaimPrefix}type`,
+    `${expenseClaimPrefix}type:ExpenseClaimType-name`,
+    // Employee ID field associated with the expense claim
+    `${expenseClaimPrefix}employeeID`,
+    `${expenseClaimPrefix}employeeID:Resource-core-name-knownAs`,
+    // Date of the expense claim
+    `${expenseClaimPrefix}date`,
+    // Total amount in the currency of the business unit (calculated by the server)
+    `${expenseClaimPrefix}amountBU`,
+    // Additional remarks for the expense claim
+    `${expenseClaimPrefix}remark`,
+    // External status of the expense claim
+    `${expenseClaimPrefix}extStatus`,
+    // Associated files (receipts) and comments
+    `${expenseClaimPrefix}files`,
+    `${expenseClaimPrefix}comments`,
+    // Line items
+    `${expenseClaimPrefix}expenses-subID`,
+    `${expenseClaimPrefix}expenses-date`,
+    `${expenseClaimPrefix}expenses-expenseType`,
+    `${expenseClaimPrefix}expenses-expenseType:ExpenseType-name`,
+    `${expenseClaimPrefix}expenses-amount`,
+    `${expenseClaimPrefix}expenses-projectWbsID`,
+    `${expenseClaimPrefix}expenses-projectWbsID:ProjectWBS-extID`,
+    `${expenseClaimPrefix}expenses-projectWbsID:ProjectWBS-text-text`,
+    `${expenseClaimPrefix}expenses-remark`,
+  ];
+};
+
+/**
+ * Sends a query for master data of the expense module. The result is cached,
+ * so that the pickers of an expense claim can also be filled while offline.
+ *
+ * @param {string} busObjCat - The business object category of the master data (e.g., "ExpenseType").
+ * @param {Object} queryFields - The fields and conditions of the query.
+ * @returns {Promise<Array<Object>>} - A Promise resolving to the queried records. Empty if the query fails.
+ */
+const fetchExpenseMasterData = async (busObjCat, queryFields) => {
+  const formData = {
+    query: JSON.stringify(queryFields),
+    testMode: TEST_MODE,
+    client: parseInt(APP.LOGIN_USER_CLIENT, 10),
+    user: APP.LOGIN_USER_ID,
+    userID: APP.LOGIN_USER_ID,
+    language: APP.LOGIN_USER_LANGUAGE,
+    intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
+  };
+
+  try {
+    const response = await fetchQueryWithCache(busObjCat, formData, () =>
+      fetchData(
+        API_ENDPOINTS.QUERY,
+        "POST",
+        { "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8" },
+        new URLSearchParams(formData).toString()
+      )
+    );
+
+    if (response.success && Array.isArray(response.data)) {
+      return response.data;
+    }
+
+    console.error(`Unexpected response format for ${busObjCat}.`);
+    return [];
+  } catch (error) {
+    console.error(`Error in fetching ${busObjCat} data:`, error);
+    return [];
+  }
+};
+
+/**
+ * Creates a map of records keyed by their external ID.
+ *
+ * @param {Array<Object>} records - The queried records.
+ * @param {string} extIdField - The field holding the external ID (e.g., "ExpenseType-extID").
+ * @returns {Object} - Map with the external ID as the key and the record as the value.
+ */
+const mapByExtId = (records, extIdField) =>
+  records.reduce((acc, record) => {
+    const extID = record[extIdField];
+    if (extID) acc[extID] = record;
+    return acc;
+  }, {});
+
+/**
+ * Fetches the expense claim types that can be used for expense claims of employees.
+ * Single vendor and cash advance claim types are excluded, like in the expense list.
+ *
+ * @returns {Promise<Object>} - A Promise resolving to a map with `extID` as the key and the claim type as the value.
+ */
+const fetchExpenseClaimTypes = async () => {
+  const records = await fetchExpenseMasterData("ExpenseClaimType", {
+    fields: [
+      "ExpenseClaimType-extID",
+      "ExpenseClaimType-name",
+      "ExpenseClaimType-singleVendor",
+    ],
+    where: [
+      {
+        fieldName: "ExpenseClaimType-singleVendor",
+        operator: "=",
+        value: false,
+      },
+      {
+        fieldName: "ExpenseClaimType-extID",
+        operator: "!=",
+        value: "CASH_ADVANCE",
+      },
+    ],
+  });
+
+  return mapByExtId(records, "ExpenseClaimType-extID");
+};
+
+/**
+ * Fetches the expense types that can be selected for a line item (e.g., hotel, meals, mileage).
+ *
+ * @returns {Promise<Object>} - A Promise resolving to a map with `extID` as the key and the expense type as the value.
+ */
+const fetchExpenseTypes = async () => {
+  const records = await fetchExpenseMasterData("ExpenseType", {
+    fields: ["ExpenseType-extID", "ExpenseType-name", "ExpenseType-currency"],
+  });
+
+  return mapByExtId(records, "ExpenseType-extID");
+};
+
+/**
+ * Fetches the currencies that can be selected for a line item.
+ *
+ * @returns {Promise<Array<string>>} - A Promise resolving to the currency codes (e.g., "USD"), sorted alphabetically.
+ */
+const fetchCurrencies = async () => {
+  const records = await fetchExpenseMasterData("Currency", {
+    fields: ["Currency-extID"],
+  });
+
+  return records
+    .map((record) => record["Currency-extID"])
+    .filter(Boolean)
+    .sort();
+};
+
+/**
+ * Creates a new, empty line item.
+ *
+ * @param {Date|string} date - The date of the expense.
+ * @param {string} currency - The currency of the expense, e.g. the one of the previous line item.
+ * @returns {Object} - The line item in the format used by the expense detail screens.
+ */
+const createExpenseItem = (date, currency = "") => ({
+  subID: null,
+  date: normalizeDateToUTC(new Date(date)),
+  expenseTypeId: "",
+  expenseTypeText: "",
+  amount: "",
+  currency,
+  projectId: "",
+  projectExtId: "",
+  projectText: "",
+  remark: [],
+});
+
+/**
+ * Converts the line items of a queried expense claim into the format used by the expense detail screens.
+ *
+ * @param {Array<Object>} expenses - The line items as returned by the server (`ExpenseClaim-expenses`).
+ * @returns {Array<Object>} - The line items.
+ */
+const convertExpensesToItems = (expenses = []) =>
+  (expenses || []).map((expense) => ({
+    subID: expense.subID || null,
+    date: expense.date || null,
+    expenseTypeId: expense.expenseType || "",
+    expenseTypeText: expense["expenseType:ExpenseType-name"] || "",
+    amount:
+      expense.amount?.amount !== undefined ? String(expense.amount.amount) : "",
+    currency: expense.amount?.currency || "",
+    projectId: expense.projectWbsID || "",
+    projectExtId: expense["projectWbsID:ProjectWBS-extID"] || "",
+    projectText: expense["projectWbsID:ProjectWBS-text-text"] || "",
+    remark: expense.remark || [],
+  }));
+
+/**
+ * Converts the line items of the expense detail screens into the format expected by the server.
+ *
+ * @param {Array<Object>} items - The line items.
+ * @returns {Array<Object>} - The line items for `ExpenseClaim-expenses`.
+ */
+const convertItemsToExpenses = (items = []) =>
+  items.map((item) => ({
+    ...(item.subID && { subID: item.subID }),
+    date: item.date,
+    expenseType: item.expenseTypeId,
+    amount: {
+      amount: parseFloat(item.amount) || 0,
+      currency: item.currency,
+    },
+    projectWbsID: item.projectId || null,
+    remark: item.remark || [],
+  }));
+
+/**
+ * Sums up the amounts of the line items per currency.
+ *
+ * @param {Array<Object>} items - The line items.
+ * @returns {Array<{amount: number, currency: string}>} - The total per currency, in the order the currencies first appear.
+ */
+const calculateExpenseTotals = (items = []) => {
+  const totals = new Map();
+
+  items.forEach(({ amount, currency }) => {
+    if (!currency) {
+      return;
+    }
+
+    totals.set(
+      currency,
+      (totals.get(currency) || 0) + (parseFloat(amount) || 0)
+    );
+  });
+
+  return Array.from(totals, ([currency, amount]) => ({ amount, currency }));
+};
+
+/**
+ * Validates a line item before it is added to the expense claim.
+ * Shows a toast message for the first invalid field.
+ *
+ * @param {Object} item - The line item to validate.
+ * @param {Function} t - The translation function.
+ * @returns {boolean} - True if the line item is valid, otherwise false.
+ */
+const validateExpenseItem = (item, t) => {
+  if (!item.date) {
+    showToast(t("date_cannot_be_empty"), "error");
+    return false;
+  }
+
+  if (!item.expenseTypeId) {
+    showToast(t("expense_type_required_message"), "error");
+    return false;
+  }
+
+  const amount = parseFloat(item.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    showToast(t("expense_amount_invalid_message"), "error");
+    return false;
+  }
+
+  if (!item.currency) {
+    showToast(t("expense_currency_required_message"), "error");
+    return false;
+  }
+
+  return true;
+};
+
+export {
+  calculateExpenseTotals,
+  convertExpensesToItems,
+  convertItemsToExpenses,
+  createExpenseItem,
+  fetchCurrencies,
+  fetchExpenseClaimTypes,
+  fetchExpenseTypes,
+  getExpenseFields,
+  validateExpenseItem,
+};
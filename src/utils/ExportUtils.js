@@ -0,0 +1,516 @@
+import { Alert } from "react-native";
+
+import * as FileSystem from "expo-file-system";
+import * as Print from "expo-print";
+import { format, isValid } from "date-fns";
+
+import { APP, BUSOBJCAT, BUSOBJCATMAP, EXPORT_FORMAT } from "../constants";
+
+import { formatLeaveDuration } from "./AbsenceUtils";
+import { fetchBusObjCatData, getQueryFields } from "./APIUtils";
+import { shareAndDelete } from "./FileUtils";
+import { convertToDateFNSFormat } from "./FormatUtils";
+import { showToast } from "./MessageUtils";
+
+/**
+ * Fields of the timesheet tasks queried in addition to the fields of the timesheet list.
+ */
+const TIMESHEET_EXPORT_FIELDS = [
+  "TimeConfirmation-tasks-customerID:Customer-name-text",
+  "TimeConfirmation-tasks-projectWbsID:ProjectWBS-text-text",
+  "TimeConfirmation-tasks-taskID:Task-text-text",
+  "TimeConfirmation-tasks-billable",
+  "TimeConfirmation-tasks-items",
+];
+
+/**
+ * MIME types of the export formats, as passed to the share sheet.
+ */
+const EXPORT_MIME_TYPES = {
+  [EXPORT_FORMAT.CSV]: "text/csv",
+  [EXPORT_FORMAT.PDF]: "application/pdf",
+};
+
+/**
+ * Asks the user which format to export to.
+ * @param {Function} translation - The translation function.
+ * @returns {Promise<string|null>} - A promise resolving to the chosen `EXPORT_FORMAT`, or null if cancelled.
+ */
+const chooseExportFormat = (translation) =>
+  new Promise((resolve) => {
+    Alert.alert(
+      translation("export"),
+      translation("export_choose_format"),
+      [
+        { text: "CSV", onPress: () => resolve(EXPORT_FORMAT.CSV) },
+        { text: "PDF", onPress: () => resolve(EXPORT_FORMAT.PDF) },
+        {
+          text: translation("cancel"),
+          style: "cancel",
+          onPress: () => resolve(null),
+        },
+      ],
+      { cancelable: true, onDismiss: () => resolve(null) }
+    );
+  });
+
+/**
+ * Formats a date of an exported document in the date format of the user.
+ * @param {string|Date} value - The date.
+ * @returns {string} - The formatted date, or an empty string if there is no valid date.
+ */
+const formatExportDate = (value) => {
+  const date = value ? new Date(value) : null;
+
+  return date && isValid(date)
+    ? format(date, convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT))
+    : "";
+};
+
+/**
+ * Formats a time in milliseconds as decimal hours, which spreadsheets can sum up.
+ * @param {number} milliseconds - The time.
+ * @returns {string} - The hours with two decimals.
+ */
+const formatExportHours = (milliseconds) =>
+  ((milliseconds || 0) / 3600000).toFixed(2);
+
+/**
+ * Returns the label of the workflow status of a queried document.
+ * @param {Object} document - The document as queried for its list.
+ * @param {string} busObjCat - The category of the business object.
+ * @returns {string} - The status label, or an empty string if the document has no status.
+ */
+const getExportStatusLabel = (document, busObjCat) => {
+  const statusExtId = document[`${busObjCat}-extStatus-statusID`];
+  const steps =
+    document[`${busObjCat}-extStatus-processTemplateID:ProcessTemplate-steps`];
+
+  if (!statusExtId || !Array.isArray(steps)) {
+    return "";
+  }
+
+  return steps.find((step) => step.extID === statusExtId)?.statusLabel || "";
+};
+
+/**
+ * Builds the content of a timesheet export. Every timesheet is a section listing the time recorded per day and task,
+ * followed by its totals.
+ * @param {Array<Object>} timesheets - The timesheets, queried with their tasks.
+ * @param {Function} translation - The translation function.
+ * @returns {Object} - The `title`, the column `headers` and the `sections` of the export, each with its `heading`,
+ *   its `rows` and its `totals`. In CSV, the `sectionHeaders` columns hold the `sectionValues` (period and status) of
+ *   the section every row belongs to.
+ */
+const buildTimesheetExport = (timesheets, translation) => {
+  const timesheetCat = BUSOBJCATMAP[BUSOBJCAT.TIMESHEET];
+
+  const sections = timesheets.map((timesheet) => {
+    const period = `${formatExportDate(
+      timesheet[`${timesheetCat}-start`]
+    )} - ${formatExportDate(timesheet[`${timesheetCat}-end`])}`;
+    const status = getExportStatusLabel(timesheet, timesheetCat);
+
+    const rows = [];
+    (timesheet[`${timesheetCat}-tasks`] || []).forEach((task) => {
+      (task.items || []).forEach((item) => {
+        const actualTime = item.actualTime || 0;
+        const billableTime =
+          item.billableTime ?? (task.billable ? actualTime : 0);
+
+        rows.push({
+          start: new Date(item.start),
+          values: [
+            formatExportDate(item.start),
+            task["customerID:Customer-name-text"] || "",
+            task["projectWbsID:ProjectWBS-text-text"] || "",
+            task["taskID:Task-text-text"] || "",
+            formatExportHours(actualTime),
+            formatExportHours(billableTime),
+            formatExportHours(actualTime - billableTime),
+            item["remark:text"] || "",
+          ],
+        });
+      });
+    });
+
+    rows.sort((a, b) => a.start - b.start);
+
+    const totalTime = timesheet[`${timesheetCat}-totalTime`] || 0;
+    const billableTime = timesheet[`${timesheetCat}-billableTime`] || 0;
+
+    return {
+      heading: status ? `${period} (${status})` : period,
+      sectionValues: [period, status],
+      rows: rows.map((row) => row.values),
+      totals: [
+        translation("total"),
+        "",
+        "",
+        "",
+        formatExportHours(totalTime),
+        formatExportHours(billableTime),
+        formatExportHours(totalTime - billableTime),
+        translation("export_overtime", {
+          hours: formatExportHours(timesheet[`${timesheetCat}-totalOvertime`]),
+        }),
+      ],
+    };
+  });
+
+  return {
+    title: translation("timesheet"),
+    sectionHeaders: [translation("export_period"), translation("status")],
+    headers: [
+      translation("date"),
+      translation("customer"),
+      translation("project"),
+      translation("task"),
+      translation("export_hours"),
+      translation("export_billable_hours"),
+      translation("export_non_billable_hours"),
+      translation("remark"),
+    ],
+    sections,
+  };
+};
+
+/**
+ * Builds the content of an absence export, a single section listing the absences followed by the total of the days
+ * and of the hours.
+ * @param {Array<Object>} absences - The absences as queried for the absence list.
+ * @param {Function} translation - The translation function.
+ * @returns {Object} - The `title`, the column `headers` and the `sections` of the export (see
+ *   `buildTimesheetExport`).
+ */
+const buildAbsenceExport = (absences, translation) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+  let totalDays = 0;
+  let totalHours = 0;
+
+  const rows = absences.map((absence) => {
+    const plannedDays = absence[`${absenceCat}-plannedDays`] || 0;
+    const isHourly =
+      absence[`${absenceCat}-type:AbsenceType-hourlyLeave`] ||
+      absence[`${absenceCat}-type:AbsenceType-displayInHours`];
+
+    if (isHourly) {
+      totalHours += plannedDays;
+    } else {
+      totalDays += plannedDays;
+    }
+
+    return [
+      absence[`${absenceCat}-type:AbsenceType-name`] || "",
+      formatExportDate(absence[`${absenceCat}-start`]),
+      formatExportDate(absence[`${absenceCat}-end`]),
+      formatLeaveDuration(
+        plannedDays,
+        absence[`${absenceCat}-type:AbsenceType-hourlyLeave`],
+        absence[`${absenceCat}-type:AbsenceType-displayInHours`],
+        absence[`${absenceCat}-adjustAbsence`]
+      ),
+      getExportStatusLabel(absence, absenceCat),
+      absence[`${absenceCat}-remark:text`] || "",
+    ];
+  });
+
+  return {
+    title: translation("absence"),
+    headers: [
+      translation("absence_type"),
+      translation("start"),
+      translation("end"),
+      translation("duration"),
+      translation("status"),
+      translation("remark"),
+    ],
+    sections: [
+      {
+        heading: "",
+        rows,
+        totals: [
+          translation("total"),
+          "",
+          "",
+          `${formatLeaveDuration(totalDays)}, ${formatLeaveDuration(
+            totalHours,
+            true
+          )}`,
+          "",
+          "",
+        ],
+      },
+    ],
+  };
+};
+
+/**
+ * Quotes a value of a CSV file if it contains a separator, a quote or a line break.
+ * @param {string} value - The value.
+ * @returns {string} - The value as written to the CSV file.
+ */
+const escapeCsvValue = (value) => {
+  const text = String(value ?? "");
+
+  return /[",\r\n]/.test(text)
+    ? `"${text.replace(/"/g, (quote) => quote + quote)}"`
+    : text;
+};
+
+/**
+ * Writes the content of an export as CSV, flattening the sections into one table.
+ * @param {Object} content - The content of the export.
+ * @returns {string} - The CSV text, with a byte order mark so that spreadsheets detect UTF-8.
+ */
+const buildCsv = ({ headers, sectionHeaders = [], sections }) => {
+  const lines = [[...sectionHeaders, ...headers]];
+
+  sections.forEach((section) => {
+    const sectionValues = section.sectionValues || [];
+
+    section.rows.forEach((row) => lines.push([...sectionValues, ...row]));
+    lines.push([...sectionValues, ...section.totals]);
+  });
+
+  return (
+    "\uFEFF" +
+    lines.map((line) => line.map(escapeCsvValue).join(",")).join("\r\n")
+  );
+};
+
+/**
+ * Escapes a value placed in the HTML of a PDF export.
+ * @param {string} value - The value.
+ * @returns {string} - The escaped value.
+ */
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Writes the content of an export as the HTML the PDF is printed from, with a table per section.
+ * @param {Object} content - The content of the export.
+ * @param {Function} translation - The translation function.
+ * @returns {string} - The HTML document.
+ */
+const buildHtml = ({ title, headers, sections }, translation) => {
+  const headerCells = headers
+    .map((header) => `<th>${escapeHtml(header)}</th>`)
+    .join("");
+
+  const tables = sections
+    .map((section) => {
+      const rows = section.rows
+        .map(
+          (row) =>
+            `<tr>${row
+              .map((value) => `<td>${escapeHtml(value)}</td>`)
+              .join("")}</tr>`
+        )
+        .join("");
+      const totals = section.totals
+        .map((value) => `<td>${escapeHtml(value)}</td>`)
+        .join("");
+
+      return `${
+        section.heading ? `<h2>${escapeHtml(section.heading)}</h2>` : ""
+      }<table><thead><tr>${headerCells}</tr></thead><tbody>${rows}<tr class="total">${totals}</tr></tbody></table>`;
+    })
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<style>
+body { font-family: Helvetica, Arial, sans-serif; font-size: 11px; color: #333; }
+h1 { font-size: 18px; color: #005eb8; }
+h2 { font-size: 14px; margin-top: 18px; }
+table { width: 100%; border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 4px; text-align: left; }
+th { background-color: #005eb8; color: #fff; }
+tr.total td { font-weight: bold; background-color: #f5f5f5; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(
+    translation("export_generated_on", {
+      date: formatExportDate(new Date()),
+    })
+  )}</p>
+${tables}
+</body>
+</html>`;
+};
+
+/**
+ * Generates the export file on the device and hands it to the share sheet, deleting it afterwards.
+ * @param {Object} content - The content of the export.
+ * @param {string} exportFormat - The `EXPORT_FORMAT` to generate.
+ * @param {string} fileName - The name of the file, without extension.
+ * @param {Function} translation - The translation function.
+ * @returns {Promise<boolean>} - A promise resolving to the result of `shareAndDelete`: true if the file was shared,
+ *   false if sharing is not available or failed.
+ */
+const shareExport = async (content, exportFormat, fileName, translation) => {
+  const name = `${fileName}.${exportFormat}`;
+  const filePath = `${FileSystem.cacheDirectory}${name}`;
+
+  if (exportFormat === EXPORT_FORMAT.PDF) {
+    const { uri } = await Print.printToFileAsync({
+      html: buildHtml(content, translation),
+    });
+
+    // The printed file has a generated name, which would be the name of the shared file
+    await FileSystem.moveAsync({ from: uri, to: filePath });
+  } else {
+    await FileSystem.writeAsStringAsync(filePath, buildCsv(content), {
+      encoding: FileSystem.EncodingType.UTF8,
+    });
+  }
+
+  return shareAndDelete(
+    filePath,
+    { name, mimeType: EXPORT_MIME_TYPES[exportFormat] },
+    translation
+  );
+};
+
+/**
+ * Queries all documents matching the conditions of a list, without paging.
+ * @param {string} busObjCat - The business object category.
+ * @param {Object} queryFields - The fields and base conditions of the query.
+ * @param {Array<Object>} whereConditions - The filter conditions of the list.
+ * @param {Array<Object>} orConditions - The OR conditions of the list.
+ * @param {Array<Object>} sortConditions - The sort conditions of the list.
+ * @returns {Promise<Array<Object>|null>} - A promise resolving to the documents, or null if the query failed.
+ */
+const fetchExportData = async (
+  busObjCat,
+  queryFields,
+  whereConditions,
+  orConditions,
+  sortConditions
+) => {
+  const response = await fetchBusObjCatData(
+    busObjCat,
+    null,
+    null,
+    queryFields,
+    whereConditions,
+    orConditions,
+    sortConditions
+  );
+
+  return response?.error ? null : response?.data || [];
+};
+
+/**
+ * Exports the timesheets matching the conditions of the timesheet list, or a single timesheet, to CSV or PDF and
+ * hands the file to the share sheet. The export covers the period, the time recorded per day and task with its
+ * billable and non-billable part, the totals and the status of every timesheet. Timesheets drafted offline are not
+ * exported, as they are not on the server yet.
+ *
+ * @param {string} exportFormat - The `EXPORT_FORMAT` to generate.
+ * @param {Array<Object>} whereConditions - The filter conditions of the list, or the ID condition of a timesheet.
+ * @param {Array<Object>} orConditions - The OR conditions of the list.
+ * @param {Array<Object>} sortConditions - The sort conditions of the list.
+ * @param {string} fileName - The name of the file, without extension.
+ * @param {Function} translation - The translation function.
+ * @returns {Promise<boolean>} - A promise resolving to true if the file was shared.
+ */
+const exportTimesheets = async (
+  exportFormat,
+  whereConditions,
+  orConditions,
+  sortConditions,
+  fileName,
+  translation
+) => {
+  try {
+    const timesheets = await fetchExportData(
+      BUSOBJCAT.TIMESHEET,
+      getQueryFields(BUSOBJCAT.TIMESHEET, TIMESHEET_EXPORT_FIELDS),
+      whereConditions,
+      orConditions,
+      sortConditions
+    );
+
+    if (!timesheets || timesheets.length === 0) {
+      showToast(translation("export_no_data"), "warning");
+      return false;
+    }
+
+    return await shareExport(
+      buildTimesheetExport(timesheets, translation),
+      exportFormat,
+      fileName,
+      translation
+    );
+  } catch (error) {
+    console.error("Error exporting timesheets:", error);
+    showToast(translation("export_error"), "error");
+    return false;
+  }
+};
+
+/**
+ * Exports the absences matching the conditions of the absence list to CSV or PDF and hands the file to the share
+ * sheet. The export covers the type, period, duration, status and remark of every absence, and the totals.
+ *
+ * @param {string} exportFormat - The `EXPORT_FORMAT` to generate.
+ * @param {Array<Object>} whereConditions - The filter conditions of the list.
+ * @param {Array<Object>} orConditions - The OR conditions of the list.
+ * @param {Array<Object>} sortConditions - The sort conditions of the list.
+ * @param {string} fileName - The name of the file, without extension.
+ * @param {Function} translation - The translation function.
+ * @returns {Promise<boolean>} - A promise resolving to true if the file was shared.
+ */
+const exportAbsences = async (
+  exportFormat,
+  whereConditions,
+  orConditions,
+  sortConditions,
+  fileName,
+  translation
+) => {
+  try {
+    const absences = await fetchExportData(
+      BUSOBJCAT.ABSENCE,
+      getQueryFields(BUSOBJCAT.ABSENCE),
+      whereConditions,
+      orConditions,
+      sortConditions
+    );
+
+    if (!absences || absences.length === 0) {
+      showToast(translation("export_no_data"), "warning");
+      return false;
+    }
+
+    return await shareExport(
+      buildAbsenceExport(absences, translation),
+      exportFormat,
+      fileName,
+      translation
+    );
+  } catch (error) {
+    console.error("Error exporting absences:", error);
+    showToast(translation("export_error"), "error");
+    return false;
+  }
+};
+
+export {
+  buildAbsenceExport,
+  buildCsv,
+  buildTimesheetExport,
+  chooseExportFormat,
+  exportAbsences,
+  exportTimesheets,
+};
@@ -394,4 +394,4 @@ const handlePreview = async (
   }
 };
 
-export { handleDownload, handlePreview };
+export { handleDownload, handlePreview, shareAndDelete };
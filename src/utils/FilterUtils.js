@@ -154,12 +154,71 @@ const messageLogFilters = [
   },
 ];
 
+/**
+ * Represents the filters available for expense claims.
+ * Each filter object contains an id, label, type, fieldName, and fieldValue.
+ * - id: Unique identifier for the filter.
+ * - label: Display label for the filter.
+ * - type: Type of the filter (e.g., text, amount, date, status, picker).
+ * - fieldName: Field name corresponding to the filter in the data.
+ * - fieldValue: Field value to filter with.
+ * - option (optional): The key representing the corresponding options for the filter
+ *   (e.g., "expenseTypeOptions", "currencyOptions").
+ */
+const expenseFilters = [
+  {
+    id: "date",
+    label: "date",
+    type: "date",
+    fieldName: "ExpenseClaim-date",
+    fieldValue: "",
+  },
+  {
+    id: "amount",
+    label: "amount",
+    type: "amount",
+    fieldName: "ExpenseClaim-amountBU",
+    fieldValue: "",
+    option: "currencyOptions",
+  },
+  {
+    id: "workflowStatus",
+    label: "status",
+    type: "status",
+    fieldName: "ExpenseClaim-extStatus-processTemplateID",
+    fieldValue: "",
+  },
+  {
+    id: "expenseType",
+    label: "expense_type",
+    type: "picker",
+    fieldName: "ExpenseClaim-expenses-expenseType",
+    fieldValue: "",
+    option: "expenseTypeOptions",
+  },
+  {
+    id: "project",
+    label: "project",
+    type: "text",
+    fieldName: "ExpenseClaim-expenses-projectWbsID:ProjectWBS-text-text",
+    fieldValue: "",
+  },
+  {
+    id: "remark",
+    label: "remark",
+    type: "text",
+    fieldName: "ExpenseClaim-remark-text",
+    fieldValue: "",
+  },
+];
+
 /**
  *An object mapping busObjCat values to their respective filters
  */
 const filtersMap = {
   [BUSOBJCAT.TIMESHEET]: timesheetFilters,
   [BUSOBJCAT.ABSENCE]: absenceFilters,
+  [BUSOBJCAT.EXPENSE]: expenseFilters,
   [BUSOBJCAT.MESSAGELOG]: messageLogFilters,
 };
 
@@ -305,6 +364,10 @@ const convertFiltersToWhereConditions = (
             }
           }
           break;
+        case "amount":
+          // Amount filters are not added to the where condition, since the amounts of the records can be in different
+          // currencies. They are applied on the device instead (see `isAmountInRange` in CurrencyUtils).
+          break;
         case "picker":
           // For picker filters, add to where condition if the value is an array or a single value
           const pickerValue = appliedFilters[filterId];
@@ -395,6 +458,10 @@ const convertToFilterScreenFormat = (
                 appliedFilterValue.lessThanDate;
             }
             break;
+          case "amount":
+            // For amount filters, directly assign the object with greaterThanValue, lessThanValue, and currency
+            formattedFilters[key] = appliedFilterValue;
+            break;
           case "status":
             // For status filters, directly assign the value
             formattedFilters[key] = appliedFilterValue;
@@ -478,6 +545,10 @@ const convertToBusObjCatFormat = (
                 appliedFilterValue.lessThanDate;
             }
             break;
+          case "amount":
+            // For amount filters, directly assign the object with greaterThanValue, lessThanValue, and currency
+            formattedFilters[key] = appliedFilterValue;
+            break;
           case "status":
             // For status filters, directly assign the value
             formattedFilters[key] = appliedFilterValue;
@@ -577,6 +648,52 @@ const handleDurationFilter = (
   }));
 };
 
+/**
+ * Handles changes to an amount filter.
+ *
+ * @param {string} filterId - The identifier for the filter.
+ * @param {Object} value - The amount range ({ greaterThanValue, lessThanValue, currency }).
+ * @param {Object} initialFilters - The initial set of filters.
+ * @param {Object} appliedFilters - The currently applied filters.
+ * @param {Function} setAppliedFilters - Function to update the applied filters.
+ * @param {Function} setUnsavedChanges - Function to update the unsaved changes state.
+ */
+const handleAmountFilter = (
+  filterId,
+  { greaterThanValue, lessThanValue, currency },
+  initialFilters,
+  appliedFilters,
+  setAppliedFilters,
+  setUnsavedChanges
+) => {
+  // Keep the filter if a bound or the currency is set, otherwise remove it from the appliedFilters object
+  if (greaterThanValue !== null || lessThanValue !== null || currency) {
+    setAppliedFilters((prevAppliedFilters) => {
+      return {
+        ...prevAppliedFilters,
+        [filterId]: { greaterThanValue, lessThanValue, currency },
+      };
+    });
+  } else {
+    // If nothing is set, remove the filter with the label from appliedFilters
+    setAppliedFilters((prevAppliedFilters) => {
+      const remainingFilters = { ...prevAppliedFilters };
+      delete remainingFilters[filterId];
+      return remainingFilters;
+    });
+  }
+
+  const filterChanged =
+    (initialFilters[filterId]?.greaterThanValue ?? null) !== greaterThanValue ||
+    (initialFilters[filterId]?.lessThanValue ?? null) !== lessThanValue ||
+    (initialFilters[filterId]?.currency ?? "") !== currency;
+
+  setUnsavedChanges((prevUnsavedChanges) => ({
+    ...prevUnsavedChanges,
+    [filterId]: filterChanged,
+  }));
+};
+
 const handleDateFilter = (
   filterId,
   { greaterThanDate, lessThanDate },
@@ -768,6 +885,21 @@ const validateAppliedFilters = (
           }
         }
       }
+      // Handle amount type filters the same way
+      if (busObjCatFilter.type === "amount") {
+        if (
+          appliedFilters[filterId] &&
+          appliedFilters[filterId].greaterThanValue !== null &&
+          appliedFilters[filterId].lessThanValue !== null &&
+          appliedFilters[filterId].lessThanValue <
+            appliedFilters[filterId].greaterThanValue
+        ) {
+          validationResult.isValid = false;
+          validationResult.message = translation(
+            "less_than_greater_than_amount_error"
+          );
+        }
+      }
     }
   });
 
@@ -781,6 +913,7 @@ export {
   convertToBusObjCatFormat,
   convertToFilterScreenFormat,
   filtersMap,
+  handleAmountFilter,
   handleDateFilter,
   handleDurationFilter,
   handlePickerFilter,
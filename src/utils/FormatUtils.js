@@ -19,6 +19,7 @@ const changeDateToAPIFormat = (date) => {
 
 /**
  * Convert amount and currency to a displayable format.
+ * Amounts without a currency are shown as plain numbers, since the currency format requires a currency code.
  * @param {Object} amountObj - An object containing amount and currency.
  * @param {number} amountObj.amount - The amount to be formatted.
  * @param {string} amountObj.currency - The currency code.
@@ -27,6 +28,10 @@ const changeDateToAPIFormat = (date) => {
 const convertAmountToDisplayFormat = (amountObj) => {
   const { amount, currency } = amountObj;
 
+  if (!currency) {
+    return (parseFloat(amount) || 0).toFixed(2);
+  }
+
   const formattedAmount = new Intl.NumberFormat("en-US", {
     style: "currency",
     currency,
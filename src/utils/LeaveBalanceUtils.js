@@ -0,0 +1,194 @@
+import { endOfYear, startOfDay, startOfYear } from "date-fns";
+
+import {
+  API_ENDPOINTS,
+  APP,
+  APP_NAME,
+  BUSOBJCAT,
+  BUSOBJCATMAP,
+  INTSTATUS,
+  TEST_MODE,
+} from "../constants";
+
+import { fetchData } from "./APIUtils";
+import { getAbsenceApprovalState } from "./CalendarUtils";
+
+/**
+ * Dates the leave balances can be shown as of.
+ * @enum {string}
+ */
+const BALANCE_DATE = {
+  /** The balances as of today. */
+  TODAY: "today",
+  /** The balances projected to the end of the year. */
+  YEAR_END: "yearEnd",
+};
+
+/**
+ * Returns the date the balances are read on.
+ * @param {string} balanceDate - The `BALANCE_DATE` the balances are shown as of.
+ * @returns {Date} - Today, or the last day of the current year.
+ */
+const getBalanceDate = (balanceDate) =>
+  balanceDate === BALANCE_DATE.YEAR_END
+    ? startOfDay(endOfYear(new Date()))
+    : startOfDay(new Date());
+
+/**
+ * Fetches the submitted absences of an employee in the current year that consume a balance, i.e., without the
+ * adjustments of the balances.
+ * @param {string} employeeId - The ID of the employee.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the absences.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const fetchBalanceAbsences = async (employeeId) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+  const now = new Date();
+
+  const queryFields = {
+    fields: [
+      `${absenceCat}-id`,
+      `${absenceCat}-type:AbsenceType-extID`,
+      `${absenceCat}-start`,
+      `${absenceCat}-end`,
+      `${absenceCat}-plannedDays`,
+      `${absenceCat}-extStatus-processTemplateID`,
+      `${absenceCat}-extStatus-statusID`,
+      `${absenceCat}-extStatus-processTemplateID:ProcessTemplate-steps`,
+    ],
+    where: [
+      {
+        fieldName: `${absenceCat}-employeeID`,
+        operator: "=",
+        value: employeeId,
+      },
+      {
+        fieldName: `${absenceCat}-adjustAbsence`,
+        operator: "=",
+        value: false,
+      },
+      {
+        fieldName: `${absenceCat}-submittedOn`,
+        operator: "!=",
+        value: null,
+      },
+      {
+        fieldName: `${absenceCat}-start`,
+        operator: "<=",
+        value: endOfYear(now).toISOString(),
+      },
+      {
+        fieldName: `${absenceCat}-end`,
+        operator: ">=",
+        value: startOfYear(now).toISOString(),
+      },
+    ],
+    sort: [{ property: `${absenceCat}-start`, direction: "ASC" }],
+  };
+
+  const formData = {
+    query: JSON.stringify(queryFields),
+    testMode: TEST_MODE,
+    client: parseInt(APP.LOGIN_USER_CLIENT, 10),
+    user: APP.LOGIN_USER_ID,
+    userID: APP.LOGIN_USER_ID,
+    appName: APP_NAME.ABSENCE,
+    language: APP.LOGIN_USER_LANGUAGE,
+    intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
+  };
+
+  const response = await fetchData(
+    API_ENDPOINTS.QUERY,
+    "POST",
+    { "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8" },
+    new URLSearchParams(formData).toString()
+  );
+
+  if (!response?.success) {
+    throw new Error("Failed to fetch the absences consuming the balances.");
+  }
+
+  return response.data || [];
+};
+
+/**
+ * Builds the leave balance of each eligible absence type as of a date. The remaining balance is the projected balance
+ * read from the balances, which already deducts the planned absences; the absences of the year consume it:
+ * - taken: approved absences starting on or before the date,
+ * - planned: approved absences starting after the date, and absences pending approval.
+ * The balances hold no entitlement, so it is derived as what the absences consume plus what remains and shown as
+ * such. It is only an estimate, e.g. if the projected balance does not deduct absences pending approval.
+ * @param {Object} absenceTypesMap - The absence types, keyed by their extID, as fetched by `fetchAbsenceTypes`.
+ * @param {Object} balancesMap - The eligible absence types with their balances on the date, keyed by their extID, as
+ *   fetched by `fetchEligibleAbsenceTypes`.
+ * @param {Array<Object>} absences - The absences of the year, as fetched by `fetchBalanceAbsences`.
+ * @param {Date} balanceDate - The date the balances are read on.
+ * @returns {Array<Object>} - Per absence type, its `extId`, `name`, whether it is `hourly`, the `derivedEntitlement`,
+ *   the `taken`, `planned` and `remaining` balance, and its `absences` (each with `id`, `start`, `end`, `plannedDays`,
+ *   `approvalState`, `statusTemplateExtId` and whether it is `taken`).
+ */
+const buildLeaveBalances = (
+  absenceTypesMap,
+  balancesMap,
+  absences,
+  balanceDate
+) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+
+  return Object.entries(balancesMap).map(([extId, balance]) => {
+    const absenceType = absenceTypesMap[extId] || {};
+
+    const typeAbsences = absences
+      .filter(
+        (absence) => absence[`${absenceCat}-type:AbsenceType-extID`] === extId
+      )
+      .map((absence) => {
+        const approvalState = getAbsenceApprovalState(absence);
+        const start = new Date(absence[`${absenceCat}-start`]);
+
+        return {
+          id: absence[`${absenceCat}-id`],
+          start,
+          end: new Date(absence[`${absenceCat}-end`]),
+          plannedDays: absence[`${absenceCat}-plannedDays`] || 0,
+          approvalState,
+          statusTemplateExtId:
+            absence[`${absenceCat}-extStatus-processTemplateID`] || "",
+          taken: approvalState === "approved" && start <= balanceDate,
+        };
+      })
+      // Absences whose submission was cancelled do not consume the balance
+      .filter((absence) => absence.approvalState);
+
+    const sumPlannedDays = (items) =>
+      items.reduce((sum, absence) => sum + absence.plannedDays, 0);
+
+    const taken = sumPlannedDays(
+      typeAbsences.filter((absence) => absence.taken)
+    );
+    const planned = sumPlannedDays(
+      typeAbsences.filter((absence) => !absence.taken)
+    );
+    const remaining = balance.projectedNextYear || 0;
+
+    return {
+      extId,
+      name: absenceType["AbsenceType-name"] || extId,
+      hourly:
+        !!absenceType["AbsenceType-hourlyLeave"] ||
+        !!absenceType["AbsenceType-displayInHours"],
+      derivedEntitlement: taken + planned + remaining,
+      taken,
+      planned,
+      remaining,
+      absences: typeAbsences,
+    };
+  });
+};
+
+export {
+  BALANCE_DATE,
+  buildLeaveBalances,
+  fetchBalanceAbsences,
+  getBalanceDate,
+};
@@ -0,0 +1,120 @@
+import { startOfDay } from "date-fns";
+
+import { APP } from "../constants";
+
+import {
+  calculateDuration,
+  calculateValidDaysCount,
+  isAbsencesOverlap,
+  isLeaveAllowedInEmploymentPeriod,
+} from "./AbsenceUtils";
+
+/**
+ * Creates a scenario of the leave planner, starting and ending today.
+ * @param {number} id - The ID of the scenario.
+ * @param {string} absenceType - The extID of the absence type of the scenario.
+ * @returns {Object} - The scenario with its `id`, `absenceType`, `start`, `end`, `startDayFraction` and
+ *   `endDayFraction`.
+ */
+const createLeaveScenario = (id, absenceType) => ({
+  id,
+  absenceType,
+  start: startOfDay(new Date()),
+  end: startOfDay(new Date()),
+  startDayFraction: "1",
+  endDayFraction: null,
+});
+
+/**
+ * Evaluates a scenario of the leave planner without creating an absence: computes its duration on the work calendar
+ * of the employee and checks it against the holidays, the existing absences and the employment period.
+ * The balance after the leave is read like for an absence being edited, so `updateKPIs` is called once the balances
+ * are read.
+ * @param {Object} scenario - The scenario, as created by `createLeaveScenario`.
+ * @param {Object} absenceTypeData - The absence type of the scenario, merged with its balance by `mergeAbsenceData`.
+ * @param {Object} employeeInfo - The work schedule, calendar and employment dates of the employee.
+ * @param {Array<Object>} employeeAbsences - The absences of the employee, as fetched by `fetchEmployeeAbsences`.
+ * @param {Function} t - Translation function used to show localized messages.
+ * @param {Function} updateKPIs - Callback function receiving the balances before and after the leave.
+ * @param {Function} setIsKPIUpdating - Callback function to set whether the balances are being read.
+ * @returns {Object|null} - The `duration` (in the unit of the absence type), the number of `workingDays`, the
+ *   `holidays` in the period, the `overlappingAbsences` and whether the leave is `allowedInEmploymentPeriod`, or null
+ *   if the period is not valid.
+ */
+const evaluateLeaveScenario = (
+  scenario,
+  absenceTypeData,
+  employeeInfo,
+  employeeAbsences,
+  t,
+  updateKPIs,
+  setIsKPIUpdating
+) => {
+  const { absenceType, start, end, startDayFraction, endDayFraction } =
+    scenario;
+
+  const hoursPerDay = employeeInfo?.dailyStdHours
+    ? employeeInfo.dailyStdHours / 3600000
+    : 8;
+
+  const duration = calculateDuration(
+    start,
+    end,
+    employeeInfo,
+    startDayFraction,
+    endDayFraction,
+    {
+      absenceType,
+      absenceEmployeeId: APP.LOGIN_USER_EMPLOYEE_ID,
+      absenceEnd: end,
+    },
+    updateKPIs,
+    setIsKPIUpdating,
+    t,
+    absenceTypeData["AbsenceType-displayInHours"],
+    absenceTypeData["AbsenceType-hourlyLeave"],
+    hoursPerDay
+  );
+
+  if (duration === undefined) {
+    return null;
+  }
+
+  const firstDay = startOfDay(start);
+  const lastDay = startOfDay(end);
+
+  const holidays = (employeeInfo.nonWorkingDates || []).filter((holiday) => {
+    const date = startOfDay(new Date(holiday.date));
+    return date >= firstDay && date <= lastDay;
+  });
+
+  const overlappingAbsences = employeeAbsences.filter(
+    (absence) =>
+      absence["Absence-start"] &&
+      absence["Absence-end"] &&
+      isAbsencesOverlap(
+        start,
+        end,
+        absence["Absence-start"],
+        absence["Absence-end"],
+        t
+      )
+  );
+
+  return {
+    duration: parseFloat(duration),
+    workingDays: calculateValidDaysCount(start, end, employeeInfo),
+    holidays,
+    overlappingAbsences,
+    allowedInEmploymentPeriod: isLeaveAllowedInEmploymentPeriod(
+      employeeInfo,
+      absenceTypeData["AbsenceType-allowedInProbation"],
+      absenceTypeData["AbsenceType-allowedInTermination"],
+      start,
+      end,
+      t
+    ),
+  };
+};
+
+export { createLeaveScenario, evaluateLeaveScenario };
@@ -168,4 +168,4 @@ const setOrClearLock = async (
   }
 };
 
-export { setOrClearLock };
+export { clearLock, setLock, setOrClearLock };
@@ -1,27 +1,213 @@
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import NetInfo from "@react-native-community/netinfo";
 
+import {
+  API_ENDPOINTS,
+  APP,
+  INTSTATUS,
+  REQUEST_QUEUE,
+  REQUEST_QUEUE_ACTION,
+} from "../constants";
+
+import {
+  convertToQueryString,
+  fetchData,
+  uploadBinaryResource,
+} from "./APIUtils";
+import {
+  CONFLICT_RESOLUTION,
+  buildMergedRequestBody,
+  detectConflicts,
+  fetchServerDocument,
+} from "./ConflictUtils";
+import {
+  findLocalIds,
+  promoteLocalDraft,
+  removeLocalDraft,
+} from "./DraftUtils";
+
+// The running replay. Replays never run at the same time (e.g. reconnect and retry timer firing together)
+let queueReplay = null;
+
+// Listeners notified whenever the stored request queue changes
+const requestQueueListeners = new Set();
+
+// Listeners asked to replay the queue, i.e. the RequestQueueContext, which schedules retries and reports the result
+const replayRequestListeners = new Set();
+
+// The last pending change of the stored queue. Changes are chained so that none of them works on a stale queue
+let requestQueueUpdate = Promise.resolve();
+
+/**
+ * Subscribes to changes of the stored request queue.
+ * @param {Function} listener - Called with the updated queue after every change.
+ * @returns {Function} - A function that removes the subscription.
+ */
+const subscribeToRequestQueue = (listener) => {
+  requestQueueListeners.add(listener);
+  return () => requestQueueListeners.delete(listener);
+};
+
+/**
+ * Subscribes to requests for a replay of the queue, e.g. after a change was queued while the device is online.
+ * @param {Function} listener - Called whenever a replay is requested.
+ * @returns {Function} - A function that removes the subscription.
+ */
+const subscribeToReplayRequests = (listener) => {
+  replayRequestListeners.add(listener);
+  return () => replayRequestListeners.delete(listener);
+};
+
+/**
+ * Asks the subscribed listeners to replay the queue, so that the replay is scheduled and reported
+ * like the replays started when the device comes back online.
+ */
+const requestQueueReplay = () => {
+  replayRequestListeners.forEach((listener) => listener());
+};
+
+/**
+ * Reads the stored request queue.
+ * @returns {Promise<Array>} - A promise resolving to the queued requests, oldest first.
+ * @throws {Error} - Throws an error if the queue cannot be read.
+ */
+const readRequestQueue = async () => {
+  const value = await AsyncStorage.getItem(REQUEST_QUEUE.STORAGE_KEY);
+  const queue = value ? JSON.parse(value) : [];
+  return Array.isArray(queue) ? queue : [];
+};
+
+/**
+ * Reads the request queue from AsyncStorage.
+ * @returns {Promise<Array>} - A promise resolving to the queued requests, oldest first.
+ */
+const getRequestQueue = async () => {
+  try {
+    return await readRequestQueue();
+  } catch (error) {
+    console.error("Error reading request queue:", error);
+    return [];
+  }
+};
+
+/**
+ * Applies a change to the stored request queue.
+ * Changes are applied one after the other, each re-reading the queue written by the previous one, so that requests
+ * added or updated while a replay is running are not lost. A queue that cannot be read is not overwritten.
+ * @param {Function} updater - Receives the current queue and returns the new queue.
+ * @returns {Promise<Array>} - A promise resolving to the updated queue.
+ * @throws {Error} - Throws an error if the queue cannot be stored.
+ */
+const updateRequestQueue = (updater) => {
+  const update = requestQueueUpdate.then(async () => {
+    const queue = updater(await readRequestQueue());
+    await AsyncStorage.setItem(
+      REQUEST_QUEUE.STORAGE_KEY,
+      JSON.stringify(queue)
+    );
+    requestQueueListeners.forEach((listener) => listener(queue));
+    return queue;
+  });
+
+  // A failed change is reported to its caller only, the following changes still run
+  requestQueueUpdate = update.catch(() => {});
+
+  return update;
+};
+
 /**
  * Add a new request to the queue
  * @param {Object} requestData - The data of the request to be added to the queue.
- * @param {Array} requestQueue - The current request queue. Default is an empty array.
- * @returns {Promise<void>} - A promise indicating the completion of adding the request to the queue.
+ * @param {string} requestData.endpoint - The URL endpoint of the request.
+ * @param {string} requestData.method - The HTTP method of the request.
+ * @param {Object} [requestData.headers] - The request headers.
+ * @param {string} [requestData.body] - The serialized request body.
+ * @param {string} [requestData.busObjCat] - The business object category of the target document (e.g., "TimeConfirmation").
+ * @param {string} [requestData.busObjId] - The ID of the target document.
+ * @param {string} [requestData.actionType] - One of REQUEST_QUEUE_ACTION.
+ * @param {string} [requestData.fileName] - For uploads, the name of the uploaded file, shown in the queue.
+ * @returns {Promise<boolean>} - A promise resolving to true once the request is stored in the queue.
+ * @throws {Error} - Throws an error if the request cannot be stored, so that the change is not reported as saved.
  */
-export const addToRequestQueue = async (requestData, requestQueue = []) => {
+export const addToRequestQueue = async (requestData) => {
   try {
+    const queuedRequest = {
+      actionType: REQUEST_QUEUE_ACTION.SAVE,
+      headers: {},
+      body: {},
+      ...requestData,
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+      queuedAt: new Date().toISOString(),
+      retryCount: 0,
+      nextAttemptAt: null,
+      lastError: null,
+    };
+
     console.log(
-      `Adding request to the queue: ${JSON.stringify(requestData)}`
+      `Adding request to the queue: ${JSON.stringify(queuedRequest)}`
     );
 
-    // Add the request to the queue
-    const queue = [...requestQueue, requestData];
-    await AsyncStorage.setItem("requestQueue", JSON.stringify(queue));
+    // Add the request to the end of the queue so that requests are replayed in the order they were made
+    const queue = await updateRequestQueue((storedQueue) => [
+      ...storedQueue,
+      queuedRequest,
+    ]);
 
-    console.log(`After addition queue: ${JSON.stringify(queue)}`);
+    console.log(`After addition queue length: ${queue.length}`);
     return true;
   } catch (error) {
     console.error("Error adding to request queue:", error);
+    throw error;
+  }
+};
+
+/**
+ * Applies changes to a single queued request.
+ * @param {string} requestId - The ID of the queued request.
+ * @param {Object} changes - The properties to merge into the request.
+ * @returns {Promise<Array>} - A promise resolving to the updated queue.
+ */
+const updateQueuedRequest = async (requestId, changes) =>
+  updateRequestQueue((queue) =>
+    queue.map((request) =>
+      request.id === requestId ? { ...request, ...changes } : request
+    )
+  );
+
+/**
+ * Removes a request from the queue without sending it.
+ * @param {string} requestId - The ID of the queued request.
+ * @returns {Promise<Array>} - A promise resolving to the remaining queue.
+ */
+const removeFromRequestQueue = async (requestId) => {
+  console.log(`Removing request ${requestId} from the queue`);
+  return updateRequestQueue((queue) =>
+    queue.filter((request) => request.id !== requestId)
+  );
+};
+
+/**
+ * Derives the target document and the kind of action from an updateFields payload,
+ * so that queued requests can be ordered per document and shown to the user.
+ * @param {Object} formData - The updateFields payload ({ data: { "<busObjCat>-id": ..., ... } }).
+ * @returns {Object} - An object containing busObjCat, busObjId and actionType.
+ */
+const describeUpdateFieldsRequest = (formData) => {
+  const data = formData?.data || {};
+  const idKey = Object.keys(data).find((key) => key.endsWith("-id")) || "";
+  // Payloads of new documents may come without an ID field, the category is then taken from any other field
+  const busObjCat = idKey
+    ? idKey.slice(0, -"-id".length)
+    : Object.keys(data)[0]?.split("-")[0] || "";
+
+  let actionType = REQUEST_QUEUE_ACTION.SAVE;
+  if (data[`${busObjCat}-intStatus`] === INTSTATUS.DELETED) {
+    actionType = REQUEST_QUEUE_ACTION.DELETE;
+  } else if (data[`${busObjCat}-extStatus`] && Object.keys(data).length === 2) {
+    actionType = REQUEST_QUEUE_ACTION.STATUS_CHANGE;
   }
+
+  return { busObjCat, busObjId: data[idKey] || "", actionType };
 };
 
 /**
@@ -80,43 +266,464 @@ const handleOfflineRequest = async (requestData, isRequestQueueEnabled) => {
   }
 };
 
+/**
+ * Queues the upload of a file attached to a document, to be replayed once the device is online again.
+ * The target document is part of the request body, so that the upload waits for a document created offline
+ * and is attached to its server ID.
+ * @param {Object} upload - The file upload.
+ * @param {string} upload.busObjCat - The business object category of the document (e.g., "TimeConfirmation").
+ * @param {string} upload.busObjId - The ID of the document, possibly a temporary ID.
+ * @param {Object} upload.file - The picked file ({ uri, name, mimeType, attachmentType }).
+ * @param {Object} queryStringParams - The query string parameters of the requests storing the attachment.
+ * @returns {Promise<boolean>} - A promise resolving to true once the upload is stored in the queue.
+ * @throws {Error} - Throws an error if the request queue mechanism is not enabled or the upload cannot be stored.
+ */
+const queueFileUpload = async (
+  { busObjCat, busObjId, file },
+  queryStringParams
+) =>
+  handleOfflineRequest(
+    {
+      endpoint: `${API_ENDPOINTS.UPDATE_FIELDS}?${convertToQueryString(
+        queryStringParams
+      )}`,
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ busObjCat, busObjId, file }),
+      busObjCat,
+      busObjId,
+      actionType: REQUEST_QUEUE_ACTION.UPLOAD,
+      fileName: file.name,
+    },
+    await getIsRequestQueueEnabled()
+  );
+
+/**
+ * Calculates the delay before the next automatic retry of a failed request.
+ * The delay doubles with every failure and is capped at REQUEST_QUEUE.MAX_RETRY_DELAY.
+ * @param {number} retryCount - The number of failed attempts so far.
+ * @returns {number} - The delay in milliseconds.
+ */
+const getRetryDelay = (retryCount) =>
+  Math.min(
+    REQUEST_QUEUE.BASE_RETRY_DELAY * 2 ** Math.max(retryCount - 1, 0),
+    REQUEST_QUEUE.MAX_RETRY_DELAY
+  );
+
+/**
+ * Checks whether a queued request is due for an automatic replay.
+ * Requests that exhausted REQUEST_QUEUE.MAX_RETRIES wait for a manual retry.
+ * @param {Object} request - The queued request.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {boolean} - True if the request should be sent now.
+ */
+const isRequestDue = (request, now) =>
+  request.retryCount < REQUEST_QUEUE.MAX_RETRIES &&
+  (!request.nextAttemptAt || new Date(request.nextAttemptAt).getTime() <= now);
+
+/**
+ * Returns the key used to keep requests of the same document in order.
+ * Requests without a document ID (e.g. creations) are independent of each other.
+ * @param {Object} request - The queued request.
+ * @returns {string} - The ordering key.
+ */
+const getDocumentKey = (request) =>
+  request.busObjId ? `${request.busObjCat}-${request.busObjId}` : request.id;
+
 /**
  * Function to process a single request
+ * Re-issues the stored request through fetchData and treats a negative server response as a failure.
  * @param {Object} request - The request to be processed.
- * @returns {Promise<void>} - A promise indicating the completion of the request processing.
+ * @returns {Promise<Object>} - A promise resolving to the server response.
+ * @throws {Error} - Throws an error if the request fails or the server rejects it.
  */
 const processRequest = async (request) => {
-  // Process the request (e.g., send it to the server)
-  console.log("Processing request:", request);
+  console.log(`Processing queued request ${request.id}:`, request.endpoint);
+
+  const response = await fetchData(
+    request.endpoint,
+    request.method,
+    request.headers,
+    request.body
+  );
+
+  if (
+    !response ||
+    response.success === false ||
+    response.details?.some((detail) => detail.success === false)
+  ) {
+    const messageText = response?.details
+      ?.flatMap((detail) => detail.messages || [])
+      .find((msg) => msg.message_type === "error")?.message_text;
+
+    throw new Error(
+      messageText ||
+        response?.errorMessage ||
+        "The server rejected the queued request."
+    );
+  }
+
+  console.log(`Queued request ${request.id} processed successfully`);
+  return response;
+};
+
+/**
+ * Replays a queued file upload: uploads the file, stores it as attachment of the document
+ * and adds it to the files of the document, like the upload in the File screen does.
+ * @param {Object} request - The queued upload.
+ * @returns {Promise<Object>} - A promise resolving to the server response of the last step.
+ * @throws {Error} - Throws an error if any of the steps fails.
+ */
+const processUploadRequest = async (request) => {
+  const { busObjCat, busObjId, file } = JSON.parse(request.body);
+
+  const { attachmentId, thumbId } = await uploadBinaryResource(
+    file.uri,
+    false,
+    {
+      name: file.name,
+      tHeight: 175,
+      tWidth: 250,
+      ocrCheck: file.mimeType,
+    },
+    {
+      client: APP.LOGIN_USER_CLIENT,
+      user: APP.LOGIN_USER_ID,
+    }
+  );
+
+  await processRequest({
+    ...request,
+    body: JSON.stringify({
+      data: {
+        "Attachment-id": attachmentId,
+        "Attachment-thumbnail": thumbId,
+        "Attachment-busObjs": { busObjCat, iD: busObjId },
+        "Attachment-createdOn": request.queuedAt,
+        "Attachment-intStatus": INTSTATUS.ACTIVE,
+        ...(file.mimeType && { "Attachment-mIMEtype": file.mimeType }),
+        "Attachment-sourceFile": file.name,
+        "Attachment-text:text": file.name,
+        ...(file.attachmentType && { "Attachment-type": file.attachmentType }),
+        isLinked: true,
+      },
+    }),
+  });
+
+  // The files of the document may have changed since the upload was queued, the new file is added to the current ones
+  const document = await fetchServerDocument(busObjCat, busObjId, [
+    `${busObjCat}-files`,
+  ]);
+
+  return processRequest({
+    ...request,
+    body: JSON.stringify({
+      data: {
+        [`${busObjCat}-id`]: busObjId,
+        [`${busObjCat}-files`]: [
+          ...(document?.[`${busObjCat}-files`] || []),
+          attachmentId,
+        ],
+      },
+    }),
+  });
+};
+
+/**
+ * Replaces the temporary ID of a document created while offline by its server ID in all queued requests,
+ * e.g. in later saves of the document or in comments and files attached to it.
+ * @param {string} localId - The temporary ID of the document.
+ * @param {string} serverId - The ID assigned by the server.
+ * @returns {Promise<void>}
+ */
+const promoteLocalDocument = async (localId, serverId) => {
+  await updateRequestQueue((queue) =>
+    queue.map((request) => ({
+      ...request,
+      busObjId: request.busObjId === localId ? serverId : request.busObjId,
+      body:
+        typeof request.body === "string"
+          ? request.body.split(localId).join(serverId)
+          : request.body,
+    }))
+  );
+
+  await promoteLocalDraft(localId, serverId);
+};
+
+/**
+ * Discards a document created while offline before it reached the server,
+ * together with all queued requests that target or reference it.
+ * @param {string} localId - The temporary ID of the document.
+ * @returns {Promise<Array>} - A promise resolving to the remaining queue.
+ */
+const discardLocalDocument = async (localId) => {
+  console.log(`Discarding local document ${localId}`);
+
+  const queue = await updateRequestQueue((storedQueue) =>
+    storedQueue.filter(
+      (request) =>
+        request.localId !== localId &&
+        request.busObjId !== localId &&
+        !findLocalIds(request.body).includes(localId)
+    )
+  );
+
+  await removeLocalDraft(localId);
+  return queue;
+};
+
+/**
+ * Updates the snapshots of the remaining queued saves of a document after one of its saves was replayed.
+ * Otherwise the replayed change itself would be reported as a conflicting server change.
+ * @param {Object} request - The request that was replayed successfully.
+ * @returns {Promise<void>}
+ */
+const refreshQueuedBaselines = async (request) => {
+  const documentKey = getDocumentKey(request);
+  const followingRequests = (await getRequestQueue()).filter(
+    (queuedRequest) =>
+      queuedRequest.baseline && getDocumentKey(queuedRequest) === documentKey
+  );
+
+  for (const followingRequest of followingRequests) {
+    try {
+      const serverData = await fetchServerDocument(
+        followingRequest.busObjCat,
+        followingRequest.busObjId,
+        followingRequest.baseline.fields
+      );
+
+      if (serverData) {
+        await updateQueuedRequest(followingRequest.id, {
+          baseline: { ...followingRequest.baseline, data: serverData },
+        });
+      }
+    } catch (error) {
+      console.error(
+        `Error refreshing the snapshot of queued request ${followingRequest.id}:`,
+        error
+      );
+    }
+  }
+};
+
+/**
+ * Resolves the conflict of a queued save.
+ * - CONFLICT_RESOLUTION.MINE sends the queued change unchanged.
+ * - CONFLICT_RESOLUTION.THEIRS keeps the server copy and removes the queued change.
+ * - CONFLICT_RESOLUTION.MERGE sends only the fields for which the queued version was chosen.
+ * The request is sent with the next replay without checking for conflicts again.
+ * @param {string} requestId - The ID of the queued request.
+ * @param {string} resolution - One of CONFLICT_RESOLUTION.
+ * @param {Object} [choices] - For a merge, the chosen version per conflicting field.
+ * @returns {Promise<Array>} - A promise resolving to the updated queue.
+ */
+const resolveRequestConflict = async (requestId, resolution, choices = {}) => {
+  console.log(`Resolving conflict of queued request ${requestId}:`, resolution);
+
+  const request = (await getRequestQueue()).find(
+    (queuedRequest) => queuedRequest.id === requestId
+  );
+
+  if (!request || resolution === CONFLICT_RESOLUTION.THEIRS) {
+    return removeFromRequestQueue(requestId);
+  }
+
+  let body = request.body;
+  if (resolution === CONFLICT_RESOLUTION.MERGE) {
+    body = buildMergedRequestBody(request, choices);
+
+    // Nothing of the queued change is left, the server copy wins entirely
+    if (body === null) {
+      return removeFromRequestQueue(requestId);
+    }
+  }
+
+  return updateQueuedRequest(requestId, {
+    body,
+    conflict: null,
+    skipConflictCheck: true,
+    nextAttemptAt: null,
+  });
+};
+
+/**
+ * Replays the queued requests in the order they were added. Successful requests are removed from the queue,
+ * failed ones stay in it with an increased retry count and a backoff before the next automatic attempt.
+ * Once a request of a document fails, later requests of the same document are held back to keep their order.
+ * Saves whose document changed on the server since they were queued are not sent but marked with a conflict.
+ * @param {Object} options - Replay options, see processRequestQueue.
+ * @returns {Promise<Object>} - A promise resolving to the replay summary.
+ */
+const replayQueuedRequests = async ({ force = false, requestIds }) => {
+  const summary = {
+    succeeded: 0,
+    failed: 0,
+    conflicts: 0,
+    remaining: 0,
+    nextAttemptAt: null,
+  };
+
   try {
-    // Simulate sending request to the server
-    await new Promise((resolve) => setTimeout(resolve, 2000));
-    console.log("Request processed successfully");
+    const requestQueue = await getRequestQueue();
+
+    // Process requests if the device is online and there are pending requests
+    if (requestQueue.length > 0 && (await checkNetworkConnectivity())) {
+      const blockedDocuments = new Set();
+
+      for (const { id: requestId } of requestQueue) {
+        // Read the request again, as earlier replays may have updated it (e.g. its snapshot or a temporary ID)
+        const request = (await getRequestQueue()).find(
+          (queuedRequest) => queuedRequest.id === requestId
+        );
+        if (!request) {
+          continue;
+        }
+
+        const documentKey = getDocumentKey(request);
+        const isSelected = !requestIds || requestIds.includes(request.id);
+
+        // Unresolved conflicts hold back the document until the user decides how to proceed.
+        // Requests referencing a document created offline wait until the document exists on the server.
+        if (
+          request.conflict ||
+          findLocalIds(request.body).length > 0 ||
+          blockedDocuments.has(documentKey) ||
+          !isSelected ||
+          (!force && !isRequestDue(request, Date.now()))
+        ) {
+          blockedDocuments.add(documentKey);
+          continue;
+        }
+
+        try {
+          // Compare the server copy with the state the change was based on, to avoid blind overwrites
+          if (request.baseline && !request.skipConflictCheck) {
+            const conflictingFields = await detectConflicts(request);
+
+            if (conflictingFields.length > 0) {
+              console.log(
+                `Queued request ${request.id} conflicts with server changes:`,
+                conflictingFields.map((conflict) => conflict.field)
+              );
+
+              await updateQueuedRequest(request.id, {
+                conflict: {
+                  fields: conflictingFields,
+                  detectedAt: new Date().toISOString(),
+                },
+              });
+
+              blockedDocuments.add(documentKey);
+              summary.conflicts += 1;
+              continue;
+            }
+          }
+
+          const response =
+            request.actionType === REQUEST_QUEUE_ACTION.UPLOAD
+              ? await processUploadRequest(request)
+              : await processRequest(request);
+          await removeFromRequestQueue(request.id);
+
+          // A document created offline now has its server ID
+          const createdId = response.details?.[0]?.data?.ids?.[0];
+          if (request.localId && createdId) {
+            await promoteLocalDocument(request.localId, createdId);
+          }
+
+          await refreshQueuedBaselines(request);
+          summary.succeeded += 1;
+        } catch (error) {
+          console.error(
+            `Error processing queued request ${request.id}:`,
+            error
+          );
+
+          const retryCount = (request.retryCount || 0) + 1;
+          const nextAttemptAt = new Date(
+            Date.now() + getRetryDelay(retryCount)
+          ).toISOString();
+
+          await updateQueuedRequest(request.id, {
+            retryCount,
+            nextAttemptAt,
+            lastError: error.message,
+            lastAttemptAt: new Date().toISOString(),
+          });
+
+          blockedDocuments.add(documentKey);
+          summary.failed += 1;
+
+          // Stop the replay when the connection dropped again, the remaining requests would fail as well
+          if (!(await checkNetworkConnectivity())) {
+            break;
+          }
+        }
+      }
+    }
+
+    // Report when the next automatic attempt is due, so that the caller can schedule it
+    const remainingQueue = await getRequestQueue();
+    const pendingAttempts = remainingQueue
+      .filter(
+        (request) =>
+          request.nextAttemptAt &&
+          !request.conflict &&
+          request.retryCount < REQUEST_QUEUE.MAX_RETRIES
+      )
+      .map((request) => new Date(request.nextAttemptAt).getTime());
+
+    summary.remaining = remainingQueue.length;
+    summary.nextAttemptAt =
+      pendingAttempts.length > 0 ? Math.min(...pendingAttempts) : null;
+
+    console.log("Request queue processed:", JSON.stringify(summary));
   } catch (error) {
-    console.error("Error processing request:", error);
+    console.error("Error processing request queue:", error);
   }
+
+  return summary;
 };
 
 /**
  * Function to process the request queue
- * @param {Array} requestQueue - The request queue to be processed.
- * @returns {Promise<void>} - A promise indicating the completion of the request queue processing.
- */
-const processRequestQueue = async (requestQueue) => {
-  // Process requests if the device is online and there are pending requests
-  if (requestQueue.length > 0) {
-    // Process requests
-    for (const request of requestQueue) {
-      await processRequest(request);
-    }
-    // Clear request queue after processing
-    await AsyncStorage.removeItem("requestQueue");
+ * Replays the queued requests, see replayQueuedRequests. A call made while a replay is running waits for it and
+ * replays the queue again afterwards, so that requests queued in the meantime are sent and their retry is scheduled.
+ * @param {Object} [options] - Replay options.
+ * @param {boolean} [options.force=false] - Ignore the backoff and the retry limit (used for manual retries).
+ * @param {Array<string>} [options.requestIds] - Only replay the requests with these IDs.
+ * @returns {Promise<Object>} - A promise resolving to the replay summary
+ *                              ({ succeeded, failed, conflicts, remaining, nextAttemptAt }).
+ */
+const processRequestQueue = (options = {}) => {
+  if (queueReplay) {
+    console.log("Request queue is already being processed, waiting for it");
+    return queueReplay.then(() => processRequestQueue(options));
   }
+
+  queueReplay = replayQueuedRequests(options).finally(() => {
+    queueReplay = null;
+  });
+
+  return queueReplay;
 };
 
 export {
   checkNetworkConnectivity,
+  describeUpdateFieldsRequest,
+  discardLocalDocument,
   getIsRequestQueueEnabled,
+  getRequestQueue,
   handleOfflineRequest,
   processRequestQueue,
+  queueFileUpload,
+  removeFromRequestQueue,
+  requestQueueReplay,
+  resolveRequestConflict,
+  subscribeToReplayRequests,
+  subscribeToRequestQueue,
 };
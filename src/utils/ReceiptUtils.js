@@ -0,0 +1,332 @@
+import TextRecognition from "@react-native-ml-kit/text-recognition";
+
+import { APP, BUSOBJCAT, BUSOBJCATMAP, TEST_MODE } from "../constants";
+import { getAppNameByCategory, isDoNotReplaceAnyList } from "./APIUtils";
+import { normalizeDateToUTC, setRemarkText } from "./FormatUtils";
+import { createExpenseItem } from "./ExpenseUtils";
+import {
+  checkNetworkConnectivity,
+  queueFileUpload,
+  requestQueueReplay,
+} from "./OfflineUtils";
+
+/**
+ * Keywords of the receipt lines that hold the total amount (English, Spanish and German receipts).
+ */
+const TOTAL_KEYWORDS = [
+  "total",
+  "amount due",
+  "balance due",
+  "to pay",
+  "importe",
+  "a pagar",
+  "gesamt",
+  "summe",
+  "betrag",
+];
+
+/**
+ * Keywords of the receipt lines that hold partial amounts and must not be taken as the total.
+ * Tax lines are not excluded, as the total is often labelled with its tax (e.g., "Total incl. tax").
+ */
+const PARTIAL_AMOUNT_KEYWORDS = ["subtotal", "sub-total", "sub total"];
+
+/**
+ * Currency symbols and the currency codes they usually stand for.
+ */
+const CURRENCY_SYMBOLS = {
+  "€": "EUR",
+  "£": "GBP",
+  "¥": "JPY",
+  "₹": "INR",
+  $: "USD",
+};
+
+/**
+ * Matches amounts with two decimals, with or without thousands separators (e.g., "1,234.56", "1.234,56", "12,50").
+ * Requiring the decimals avoids taking dates, phone numbers or quantities as amounts.
+ */
+const AMOUNT_PATTERN = /(\d{1,3}(?:[.,]\d{3})+|\d+)[.,](\d{2})(?![\d.,])/g;
+
+/**
+ * Matches dates with the year first (e.g., "2024-03-15", "2024/03/15").
+ */
+const YEAR_FIRST_DATE_PATTERN = /\b(\d{4})[-./](\d{1,2})[-./](\d{1,2})\b/;
+
+/**
+ * Matches dates with the year last (e.g., "15.03.2024", "03/15/24").
+ */
+const YEAR_LAST_DATE_PATTERN = /\b(\d{1,2})[-./](\d{1,2})[-./](\d{4}|\d{2})\b/;
+
+/**
+ * Runs the on-device text recognition on a receipt photo.
+ * No cloud service is involved, so receipts can also be scanned while offline.
+ *
+ * @param {string} uri - The URI of the receipt photo.
+ * @returns {Promise<string>} - A Promise resolving to the recognized text. Empty if the recognition fails.
+ */
+const recognizeReceiptText = async (uri) => {
+  try {
+    const result = await TextRecognition.recognize(uri);
+    return result?.text || "";
+  } catch (error) {
+    console.error("Error in recognizing the receipt text:", error);
+    return "";
+  }
+};
+
+/**
+ * Extracts all amounts of a line of the receipt.
+ *
+ * @param {string} line - A line of the receipt.
+ * @returns {Array<number>} - The amounts in the order they appear on the line.
+ */
+const extractAmounts = (line) =>
+  Array.from(line.matchAll(AMOUNT_PATTERN), ([, integerPart, decimals]) =>
+    parseFloat(`${integerPart.replace(/[.,]/g, "")}.${decimals}`)
+  ).filter((amount) => Number.isFinite(amount));
+
+/**
+ * Determines the total amount of a receipt. The highest amount on a line with a total keyword is taken,
+ * since tax and discount lines may share the keyword. Without such a line, the highest amount of the receipt is taken.
+ *
+ * @param {Array<string>} lines - The lines of the receipt.
+ * @returns {number|null} - The total amount, or null if the receipt contains no amount.
+ */
+const parseTotalAmount = (lines) => {
+  const totalLineAmounts = [];
+
+  lines.forEach((line, index) => {
+    const lowerCaseLine = line.toLowerCase();
+
+    if (
+      !TOTAL_KEYWORDS.some((keyword) => lowerCaseLine.includes(keyword)) ||
+      PARTIAL_AMOUNT_KEYWORDS.some((keyword) => lowerCaseLine.includes(keyword))
+    ) {
+      return;
+    }
+
+    // The amount is often recognized as a separate line below its label
+    const amounts = extractAmounts(line);
+    totalLineAmounts.push(
+      ...(amounts.length > 0 ? amounts : extractAmounts(lines[index + 1] || ""))
+    );
+  });
+
+  const amounts =
+    totalLineAmounts.length > 0
+      ? totalLineAmounts
+      : lines.flatMap(extractAmounts);
+
+  return amounts.length > 0 ? Math.max(...amounts) : null;
+};
+
+/**
+ * Determines the date of a receipt. Dates without the year first are read in the order of day and month
+ * of the user's date format, unless the day or month can be told apart by its value.
+ *
+ * @param {Array<string>} lines - The lines of the receipt.
+ * @param {boolean} monthFirst - Whether ambiguous dates are read with the month first (e.g., "MM/dd/yyyy").
+ * @returns {string|null} - The date of the receipt as an ISO string, or null if no valid date is found.
+ */
+const parseReceiptDate = (lines, monthFirst) => {
+  for (const line of lines) {
+    let year, month, day;
+
+    const yearFirstMatch = line.match(YEAR_FIRST_DATE_PATTERN);
+    const yearLastMatch = line.match(YEAR_LAST_DATE_PATTERN);
+
+    if (yearFirstMatch) {
+      [, year, month, day] = yearFirstMatch.map(Number);
+    } else if (yearLastMatch) {
+      const [, first, second, lastPart] = yearLastMatch;
+      year = Number(lastPart.length === 2 ? `20${lastPart}` : lastPart);
+
+      if (Number(first) > 12 || (!monthFirst && Number(second) <= 12)) {
+        [day, month] = [Number(first), Number(second)];
+      } else {
+        [month, day] = [Number(first), Number(second)];
+      }
+    } else {
+      continue;
+    }
+
+    const date = new Date(year, month - 1, day);
+
+    // Skip values that only look like dates (e.g., "31.02.2024")
+    if (date.getMonth() === month - 1 && date.getDate() === day) {
+      return normalizeDateToUTC(date).toISOString();
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Determines the currency of a receipt, either by its currency code or by its currency symbol.
+ *
+ * @param {string} text - The recognized text of the receipt.
+ * @param {Array<string>} knownCurrencies - The currency codes that can be selected (e.g., "USD").
+ * @returns {string} - The currency code, or an empty string if none of the known currencies is found.
+ */
+const parseReceiptCurrency = (text, knownCurrencies) => {
+  const upperCaseText = text.toUpperCase();
+
+  const currencyCode = knownCurrencies.find((currency) =>
+    new RegExp(`\\b${currency}\\b`).test(upperCaseText)
+  );
+  if (currencyCode) {
+    return currencyCode;
+  }
+
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find((currencySymbol) =>
+    text.includes(currencySymbol)
+  );
+  const symbolCurrency = symbol ? CURRENCY_SYMBOLS[symbol] : "";
+
+  return knownCurrencies.length === 0 ||
+    knownCurrencies.includes(symbolCurrency)
+    ? symbolCurrency
+    : "";
+};
+
+/**
+ * Determines the merchant of a receipt, which is usually printed in the first line that consists mainly of letters.
+ *
+ * @param {Array<string>} lines - The lines of the receipt.
+ * @returns {string} - The merchant, or an empty string if none is found.
+ */
+const parseMerchant = (lines) =>
+  lines.find((line) => {
+    const letterCount = (line.match(/\p{L}/gu) || []).length;
+    const digitCount = (line.match(/\d/g) || []).length;
+
+    return letterCount >= 3 && letterCount > digitCount;
+  }) || "";
+
+/**
+ * Proposes the merchant, date, total amount and currency of a receipt from its recognized text.
+ *
+ * @param {string} text - The recognized text of the receipt.
+ * @param {Array<string>} knownCurrencies - The currency codes that can be selected (e.g., "USD").
+ * @returns {{merchant: string, date: string|null, amount: string, currency: string}} - The proposed values, with
+ *   the date as an ISO string so that they can be passed as route parameters. Values that could not be read are
+ *   empty.
+ */
+const parseReceiptText = (text = "", knownCurrencies = []) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const monthFirst = (APP.LOGIN_USER_DATE_FORMAT || "")
+    .toLowerCase()
+    .startsWith("m");
+
+  const amount = parseTotalAmount(lines);
+
+  return {
+    merchant: parseMerchant(lines),
+    date: parseReceiptDate(lines, monthFirst),
+    amount: amount !== null ? amount.toFixed(2) : "",
+    currency: parseReceiptCurrency(text, knownCurrencies),
+  };
+};
+
+/**
+ * Reads a receipt photo and proposes the values of an expense line item.
+ *
+ * @param {string} uri - The URI of the receipt photo.
+ * @param {Array<string>} knownCurrencies - The currency codes that can be selected (e.g., "USD").
+ * @returns {Promise<Object|null>} - A Promise resolving to the proposed values (see `parseReceiptText`) and the
+ *   `imageUri` of the photo, or null if neither a date, an amount nor a currency could be read.
+ */
+const scanReceipt = async (uri, knownCurrencies = []) => {
+  const text = await recognizeReceiptText(uri);
+  const receipt = parseReceiptText(text, knownCurrencies);
+
+  return receipt.date || receipt.amount || receipt.currency
+    ? { ...receipt, imageUri: uri }
+    : null;
+};
+
+/**
+ * Creates a new line item prefilled with the values read from a receipt.
+ * The merchant is put into the remark of the line item, and the photo of the receipt is kept as `receiptUri`
+ * until it is attached by `attachReceipts`.
+ *
+ * @param {Object} receipt - The values read from the receipt (see `parseReceiptText`).
+ * @param {Date|string} defaultDate - The date used if the receipt has none, e.g. the claim date.
+ * @param {string} defaultCurrency - The currency used if the receipt has none, e.g. the one of the previous line item.
+ * @param {string} language - The language of the remark.
+ * @returns {Object} - The line item in the format used by the expense detail screens.
+ */
+const convertReceiptToExpenseItem = (
+  receipt,
+  defaultDate,
+  defaultCurrency,
+  language
+) => ({
+  ...createExpenseItem(
+    receipt.date || defaultDate,
+    receipt.currency || defaultCurrency
+  ),
+  amount: receipt.amount || "",
+  remark: receipt.merchant ? setRemarkText([], language, receipt.merchant) : [],
+  receiptUri: receipt.imageUri || null,
+});
+
+/**
+ * Attaches the photos of the scanned receipts of the line items to the files of a saved expense claim.
+ * The uploads go through the request queue, so that they wait for a claim created offline and are sent once the
+ * device is online.
+ *
+ * @param {string} busObjId - The ID of the expense claim, possibly a temporary ID.
+ * @param {Array<Object>} items - The line items of the claim.
+ * @returns {Promise<number>} - A Promise resolving to the number of attached receipts.
+ * @throws {Error} - Throws an error if an upload cannot be queued, e.g., if the request queue is disabled.
+ */
+const attachReceipts = async (busObjId, items = []) => {
+  const receiptUris = items.map((item) => item.receiptUri).filter(Boolean);
+
+  for (const uri of receiptUris) {
+    const name = uri.split("/").pop();
+
+    await queueFileUpload(
+      {
+        busObjCat: BUSOBJCATMAP[BUSOBJCAT.EXPENSE],
+        busObjId,
+        file: {
+          uri,
+          name,
+          mimeType: name.toLowerCase().endsWith(".png")
+            ? "image/png"
+            : "image/jpeg",
+        },
+      },
+      {
+        userID: APP.LOGIN_USER_ID,
+        client: APP.LOGIN_USER_CLIENT,
+        language: APP.LOGIN_USER_LANGUAGE,
+        testMode: TEST_MODE,
+        component: "platform",
+        doNotReplaceAnyList: isDoNotReplaceAnyList(BUSOBJCAT.EXPENSE),
+        appName: JSON.stringify(getAppNameByCategory(BUSOBJCAT.EXPENSE)),
+      }
+    );
+  }
+
+  if (receiptUris.length > 0 && (await checkNetworkConnectivity())) {
+    requestQueueReplay();
+  }
+
+  return receiptUris.length;
+};
+
+export {
+  attachReceipts,
+  convertReceiptToExpenseItem,
+  parseReceiptText,
+  recognizeReceiptText,
+  scanReceipt,
+};
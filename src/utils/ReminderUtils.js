@@ -0,0 +1,361 @@
+import { Platform } from "react-native";
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as Notifications from "expo-notifications";
+import { addDays, format, startOfWeek } from "date-fns";
+
+import {
+  APP,
+  BUSOBJCAT,
+  BUSOBJCATMAP,
+  PAGE_SIZE,
+  TIMESHEET_REMINDERS,
+} from "../constants";
+import { navigate } from "../navigation/NavigationService";
+
+import { isNonWorkingDay } from "./AbsenceUtils";
+import { fetchBusObjCatData } from "./APIUtils";
+import { getLocalDrafts, isLocalId } from "./DraftUtils";
+import { convertToDateFNSFormat } from "./FormatUtils";
+
+// Timesheet to open once the user has logged in, if the app was started by tapping a reminder
+let pendingReminderTarget = null;
+
+/**
+ * Reads the reminder preferences of the user.
+ * @returns {Promise<Object>} - A promise resolving to the preferences: whether reminders are `enabled`, the `day` they
+ *   are shown on (a weekday from 0 for Sunday to 6, or `TIMESHEET_REMINDERS.LAST_WORKING_DAY`) and the `time`
+ *   ("HH:mm").
+ */
+const getTimesheetReminderSettings = async () => {
+  try {
+    const value = await AsyncStorage.getItem(TIMESHEET_REMINDERS.STORAGE_KEY);
+
+    return {
+      ...TIMESHEET_REMINDERS.DEFAULT_SETTINGS,
+      ...(value ? JSON.parse(value) : {}),
+    };
+  } catch (error) {
+    console.error("Error reading timesheet reminder settings:", error);
+    return { ...TIMESHEET_REMINDERS.DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Stores the reminder preferences of the user.
+ * @param {Object} settings - The preferences (see `getTimesheetReminderSettings`).
+ * @returns {Promise<void>}
+ */
+const saveTimesheetReminderSettings = async (settings) => {
+  await AsyncStorage.setItem(
+    TIMESHEET_REMINDERS.STORAGE_KEY,
+    JSON.stringify(settings)
+  );
+};
+
+/**
+ * Asks the user for the permission to show notifications, unless it was already granted.
+ * @returns {Promise<boolean>} - A promise resolving to true if notifications may be shown.
+ */
+const requestReminderPermission = async () => {
+  try {
+    const { granted } = await Notifications.getPermissionsAsync();
+    if (granted) {
+      return true;
+    }
+
+    const result = await Notifications.requestPermissionsAsync();
+    return result.granted;
+  } catch (error) {
+    console.error("Error requesting the notification permission:", error);
+    return false;
+  }
+};
+
+/**
+ * Determines the working days of the week starting on the given day. Without work schedule patterns, the non-working
+ * days and dates of the work calendar are excluded; with patterns, only the days of the patterns are working days.
+ * @param {Date} weekStart - The first day of the week.
+ * @param {Object} employeeInfo - The work schedule and calendar of the employee.
+ * @returns {Array<Date>} - The working days of the week, in order.
+ */
+const getWorkingDaysOfWeek = (weekStart, employeeInfo) => {
+  const { patterns = [] } = employeeInfo;
+  const patternDays = new Set();
+
+  patterns.forEach((pattern) => {
+    if (pattern.intStatus === 3) return; // Skip patterns marked with intStatus 3.
+
+    pattern.details.forEach((detail) => {
+      if (detail.intStatus !== 3) {
+        patternDays.add(detail.daySeq);
+      }
+    });
+  });
+
+  const workingDays = [];
+
+  for (let i = 0; i < 7; i++) {
+    const date = addDays(weekStart, i);
+
+    if (patternDays.size > 0 && !patternDays.has(date.getDay())) {
+      continue;
+    }
+
+    // isNonWorkingDay resets the time of the date it is passed
+    if (!isNonWorkingDay(new Date(date), employeeInfo)) {
+      workingDays.push(date);
+    }
+  }
+
+  return workingDays;
+};
+
+/**
+ * Determines when the reminder of a week is shown.
+ * @param {Date} weekStart - The first day of the week.
+ * @param {Object} settings - The reminder preferences of the user.
+ * @param {Object} employeeInfo - The work schedule and calendar of the employee.
+ * @returns {Date|null} - The time of the reminder, or null if the week has no working days.
+ */
+const getReminderDateOfWeek = (weekStart, settings, employeeInfo) => {
+  let reminderDay = null;
+
+  if (settings.day === TIMESHEET_REMINDERS.LAST_WORKING_DAY) {
+    const workingDays = getWorkingDaysOfWeek(weekStart, employeeInfo);
+    reminderDay = workingDays[workingDays.length - 1] ?? null;
+  } else {
+    const offset = (Number(settings.day) - weekStart.getDay() + 7) % 7;
+    reminderDay = addDays(weekStart, offset);
+  }
+
+  if (!reminderDay) {
+    return null;
+  }
+
+  const [hours, minutes] = settings.time.split(":").map(Number);
+  const reminderDate = new Date(reminderDay);
+  reminderDate.setHours(hours, minutes, 0, 0);
+
+  return reminderDate;
+};
+
+/**
+ * Checks whether a timesheet is still in draft, i.e., was drafted offline, has no status yet or is in the first step
+ * of its workflow.
+ * @param {Object} timesheet - The timesheet as queried for the timesheet list.
+ * @returns {boolean} - True if the timesheet has not been submitted yet.
+ */
+const isDraftTimesheet = (timesheet) => {
+  const statusExtId = timesheet["TimeConfirmation-extStatus-statusID"];
+  const steps =
+    timesheet[
+      "TimeConfirmation-extStatus-processTemplateID:ProcessTemplate-steps"
+    ];
+
+  if (isLocalId(timesheet["TimeConfirmation-id"]) || !statusExtId) {
+    return true;
+  }
+
+  return Array.isArray(steps) && steps[0]?.extID === statusExtId;
+};
+
+/**
+ * Cancels all scheduled timesheet reminders.
+ * @returns {Promise<void>}
+ */
+const cancelTimesheetReminders = async () => {
+  try {
+    const scheduledNotifications =
+      await Notifications.getAllScheduledNotificationsAsync();
+
+    await Promise.all(
+      scheduledNotifications
+        .filter(
+          (notification) =>
+            notification.content.data?.type ===
+            TIMESHEET_REMINDERS.NOTIFICATION_TYPE
+        )
+        .map((notification) =>
+          Notifications.cancelScheduledNotificationAsync(
+            notification.identifier
+          )
+        )
+    );
+  } catch (error) {
+    console.error("Error cancelling timesheet reminders:", error);
+  }
+};
+
+/**
+ * Schedules the timesheet reminders of the current and the upcoming weeks again, replacing the ones scheduled before.
+ * A week gets a reminder if no timesheet covers its reminder day, or if the timesheet covering it is still in draft.
+ * The reminders are computed from the latest timesheets of the user, so they are scheduled again after every sync
+ * and whenever the preferences change. Nothing is scheduled if the user disabled the reminders or did not allow
+ * notifications.
+ *
+ * @param {Object} employeeInfo - The work schedule and calendar of the employee (`startOfWeek`, `patterns`,
+ *   `nonWorkingDays` and `nonWorkingDates`).
+ * @param {Function} t - The translation function.
+ * @returns {Promise<void>}
+ */
+const scheduleTimesheetReminders = async (employeeInfo, t) => {
+  try {
+    await cancelTimesheetReminders();
+
+    const settings = await getTimesheetReminderSettings();
+    if (!settings.enabled || !employeeInfo) {
+      return;
+    }
+
+    const { granted } = await Notifications.getPermissionsAsync();
+    if (!granted) {
+      console.log("Timesheet reminders not scheduled, permission not granted");
+      return;
+    }
+
+    if (Platform.OS === "android") {
+      await Notifications.setNotificationChannelAsync(
+        TIMESHEET_REMINDERS.CHANNEL_ID,
+        {
+          name: t("timesheet_reminders"),
+          importance: Notifications.AndroidImportance.DEFAULT,
+        }
+      );
+    }
+
+    const firstWeekStart = startOfWeek(new Date(), {
+      weekStartsOn: employeeInfo.startOfWeek ?? 1,
+    });
+
+    // The latest timesheets, which include every timesheet of the weeks reminded of
+    const response = await fetchBusObjCatData(
+      BUSOBJCAT.TIMESHEET,
+      1,
+      PAGE_SIZE,
+      null,
+      [
+        {
+          fieldName: "TimeConfirmation-end",
+          operator: ">=",
+          value: firstWeekStart.toISOString(),
+        },
+      ],
+      [],
+      [{ property: "TimeConfirmation-start", direction: "DESC" }]
+    );
+
+    if (response?.error) {
+      console.error("Error fetching timesheets for reminders:", response.error);
+      return;
+    }
+
+    const timesheets = [
+      ...(await getLocalDrafts(BUSOBJCATMAP[BUSOBJCAT.TIMESHEET])),
+      ...(response?.data || []),
+    ];
+    const dateFormat = convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT);
+    const now = new Date();
+
+    for (let week = 0; week < TIMESHEET_REMINDERS.WEEKS_AHEAD; week++) {
+      const weekStart = addDays(firstWeekStart, week * 7);
+      const reminderDate = getReminderDateOfWeek(
+        weekStart,
+        settings,
+        employeeInfo
+      );
+
+      if (!reminderDate || reminderDate <= now) {
+        continue;
+      }
+
+      const reminderDay = format(reminderDate, "yyyy-MM-dd");
+      const timesheet = timesheets.find(
+        (item) =>
+          format(new Date(item["TimeConfirmation-start"]), "yyyy-MM-dd") <=
+            reminderDay &&
+          format(new Date(item["TimeConfirmation-end"]), "yyyy-MM-dd") >=
+            reminderDay
+      );
+
+      if (timesheet && !isDraftTimesheet(timesheet)) {
+        continue;
+      }
+
+      const weekText = format(weekStart, dateFormat);
+
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title: t("timesheet_reminders"),
+          body: timesheet
+            ? t("timesheet_reminder_draft", { date: weekText })
+            : t("timesheet_reminder_missing", { date: weekText }),
+          data: {
+            type: TIMESHEET_REMINDERS.NOTIFICATION_TYPE,
+            timesheetId: timesheet?.["TimeConfirmation-id"] ?? null,
+            statusTemplateExtId:
+              timesheet?.["TimeConfirmation-extStatus-processTemplateID"] ?? "",
+            date: reminderDate.toISOString(),
+          },
+        },
+        trigger: {
+          date: reminderDate,
+          channelId: TIMESHEET_REMINDERS.CHANNEL_ID,
+        },
+      });
+
+      console.log(`Timesheet reminder scheduled for ${reminderDate}`);
+    }
+  } catch (error) {
+    console.error("Error scheduling timesheet reminders:", error);
+  }
+};
+
+/**
+ * Opens the timesheet a tapped reminder refers to, or the creation of a timesheet for its day if the timesheet was
+ * missing. If the user is not logged in yet, the timesheet is opened after the login (see
+ * `openPendingTimesheetReminder`).
+ * @param {Object} response - The notification response received when the user tapped a notification.
+ */
+const openTimesheetReminder = (response) => {
+  const data = response?.notification?.request?.content?.data;
+
+  if (data?.type !== TIMESHEET_REMINDERS.NOTIFICATION_TYPE) {
+    return;
+  }
+
+  const params = data.timesheetId
+    ? {
+        timesheetId: data.timesheetId,
+        statusTemplateExtId: data.statusTemplateExtId,
+      }
+    : { selectedDate: data.date };
+
+  if (APP.LOGIN_USER_ID) {
+    navigate("TimesheetDetail", params);
+  } else {
+    pendingReminderTarget = params;
+  }
+};
+
+/**
+ * Opens the timesheet of a reminder that was tapped before the user logged in.
+ */
+const openPendingTimesheetReminder = () => {
+  if (pendingReminderTarget) {
+    const params = pendingReminderTarget;
+    pendingReminderTarget = null;
+
+    navigate("TimesheetDetail", params);
+  }
+};
+
+export {
+  cancelTimesheetReminders,
+  getTimesheetReminderSettings,
+  openPendingTimesheetReminder,
+  openTimesheetReminder,
+  requestReminderPermission,
+  saveTimesheetReminderSettings,
+  scheduleTimesheetReminders,
+};
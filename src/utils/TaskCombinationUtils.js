@@ -0,0 +1,179 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+import { TASK_COMBINATIONS } from "../constants";
+
+// The last pending change of the stored combinations. Changes are chained so that none of them works on stale combinations
+let taskCombinationsUpdate = Promise.resolve();
+
+/**
+ * Fields of a timesheet item that make up a task combination.
+ */
+const combinationFields = [
+  "customerId",
+  "customerText",
+  "customerExtId",
+  "projectId",
+  "projectText",
+  "projectExtId",
+  "taskId",
+  "taskText",
+  "taskExtId",
+  "departmentId",
+  "departmentText",
+  "departmentExtId",
+  "timeItemTypeId",
+  "timeItemTypeText",
+  "timeItemTypeExtId",
+];
+
+/**
+ * Builds the key identifying a task combination.
+ * @param {Object} item - A timesheet item or task combination.
+ * @returns {string} - The key of the combination.
+ */
+const getTaskCombinationKey = (item) =>
+  [
+    item.customerId,
+    item.projectId,
+    item.taskId,
+    item.departmentId,
+    item.timeItemTypeExtId,
+  ]
+    .map((value) => value || "")
+    .join("|");
+
+/**
+ * Reads the stored task combinations.
+ * A task combination holds the customer, project, task, department and time type of a timesheet item, as well as
+ * whether it was starred by the user (`favorite`) and when it was used last (`lastUsedOn`).
+ * @returns {Promise<Array<Object>>} - A promise resolving to the combinations, favorites first and then by last use.
+ */
+const getTaskCombinations = async () => {
+  try {
+    const value = await AsyncStorage.getItem(TASK_COMBINATIONS.STORAGE_KEY);
+    const combinations = value ? JSON.parse(value) : [];
+
+    return combinations.sort(
+      (a, b) =>
+        Number(b.favorite) - Number(a.favorite) ||
+        (b.lastUsedOn || "").localeCompare(a.lastUsedOn || "")
+    );
+  } catch (error) {
+    console.error("Error reading task combinations:", error);
+    return [];
+  }
+};
+
+/**
+ * Writes the task combinations to storage. Only the most recently used combinations that are not favorites are kept.
+ * @param {Array<Object>} combinations - The combinations.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the stored combinations.
+ */
+const setStoredTaskCombinations = async (combinations) => {
+  const sortedCombinations = [...combinations].sort((a, b) =>
+    (b.lastUsedOn || "").localeCompare(a.lastUsedOn || "")
+  );
+
+  const favorites = sortedCombinations.filter(
+    (combination) => combination.favorite
+  );
+  const recent = sortedCombinations
+    .filter((combination) => !combination.favorite)
+    .slice(0, TASK_COMBINATIONS.MAX_RECENT);
+
+  try {
+    await AsyncStorage.setItem(
+      TASK_COMBINATIONS.STORAGE_KEY,
+      JSON.stringify([...favorites, ...recent])
+    );
+  } catch (error) {
+    console.error("Error saving task combinations:", error);
+  }
+
+  return getTaskCombinations();
+};
+
+/**
+ * Changes the stored task combinations.
+ * Changes are applied one after the other, each re-reading the combinations written by the previous one, so that
+ * combinations recorded in quick succession are not lost.
+ * @param {Function} updater - Receives the current combinations and returns the new combinations.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the stored combinations.
+ */
+const updateTaskCombinations = (updater) => {
+  const update = taskCombinationsUpdate.then(async () =>
+    setStoredTaskCombinations(updater(await getTaskCombinations()))
+  );
+
+  // A failed change is reported to its caller only, the following changes still run
+  taskCombinationsUpdate = update.catch(() => {});
+
+  return update;
+};
+
+/**
+ * Records the combination of a timesheet item as recently used.
+ * Items without a task or department are ignored.
+ * @param {Object} item - The timesheet item.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the updated combinations.
+ */
+const addRecentTaskCombination = async (item) => {
+  if (!item?.taskId && !item?.departmentId) {
+    return getTaskCombinations();
+  }
+
+  const key = getTaskCombinationKey(item);
+  const lastUsedOn = new Date().toISOString();
+
+  return updateTaskCombinations((combinations) => {
+    const existingCombination = combinations.find(
+      (combination) => combination.key === key
+    );
+
+    const combination = combinationFields.reduce(
+      (result, field) => ({ ...result, [field]: item[field] || "" }),
+      {
+        key,
+        favorite: existingCombination?.favorite || false,
+        lastUsedOn,
+      }
+    );
+
+    return [
+      combination,
+      ...combinations.filter((combination) => combination.key !== key),
+    ];
+  });
+};
+
+/**
+ * Stars or unstars a task combination. Favorites are kept regardless of when they were used last.
+ * @param {string} key - The key of the combination.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the updated combinations.
+ */
+const toggleFavoriteTaskCombination = (key) =>
+  updateTaskCombinations((combinations) =>
+    combinations.map((combination) =>
+      combination.key === key
+        ? { ...combination, favorite: !combination.favorite }
+        : combination
+    )
+  );
+
+/**
+ * Removes a task combination.
+ * @param {string} key - The key of the combination.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the updated combinations.
+ */
+const removeTaskCombination = (key) =>
+  updateTaskCombinations((combinations) =>
+    combinations.filter((combination) => combination.key !== key)
+  );
+
+export {
+  addRecentTaskCombination,
+  getTaskCombinationKey,
+  getTaskCombinations,
+  removeTaskCombination,
+  toggleFavoriteTaskCombination,
+};
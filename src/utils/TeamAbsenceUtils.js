@@ -0,0 +1,263 @@
+import { addDays, startOfDay } from "date-fns";
+
+import { APP_NAME, BUSOBJCAT, BUSOBJCATMAP, TEAM_ABSENCES } from "../constants";
+
+import { fetchEmployeeID } from "./ApprovalUtils";
+import { isAbsencesOverlap, isNonWorkingDay } from "./AbsenceUtils";
+import { fetchCalendarQuery, getAbsenceApprovalState } from "./CalendarUtils";
+
+/**
+ * Enum for the teams whose absences can be shown.
+ * COLLEAGUES are the employees of the team of the user, APPROVALS the employees whose documents the user approves.
+ * @readonly
+ * @enum {string}
+ */
+const TEAM_SCOPE = {
+  COLLEAGUES: "colleagues",
+  APPROVALS: "approvals",
+};
+
+/**
+ * Resolves the employees of the documents waiting in the approval inbox, each employee once.
+ * @param {Array<Object>} approvalDocuments - The `documentId` and `documentCategory` of the documents.
+ * @returns {Promise<Array<string>>} - A promise resolving to the IDs of the employees.
+ */
+const fetchApprovalEmployeeIds = async (approvalDocuments) => {
+  const uniqueDocuments = [
+    ...new Map(
+      (approvalDocuments || []).map((document) => [
+        `${document.documentCategory}-${document.documentId}`,
+        document,
+      ])
+    ).values(),
+  ];
+
+  const employeeIds = await Promise.all(
+    uniqueDocuments.map((document) =>
+      fetchEmployeeID(document.documentCategory, document.documentId)
+    )
+  );
+
+  return [...new Set(employeeIds.filter(Boolean))];
+};
+
+/**
+ * Fetches the team an employee belongs to.
+ * @param {string} employeeId - The ID of the employee.
+ * @returns {Promise<string|null>} - A promise resolving to the ID of the team, or null if the employee has no team.
+ * @throws {Error} - Throws an error if the query fails and there is no cached result.
+ */
+const fetchEmployeeTeamId = async (employeeId) => {
+  const employeeCat = BUSOBJCATMAP[BUSOBJCAT.EMPLOYEE];
+
+  const response = await fetchCalendarQuery(
+    BUSOBJCAT.EMPLOYEE,
+    {
+      fields: [`${employeeCat}-id`, TEAM_ABSENCES.TEAM_FIELD],
+      where: [
+        {
+          fieldName: `${employeeCat}-id`,
+          operator: "=",
+          value: employeeId,
+        },
+      ],
+    },
+    APP_NAME.EMPLOYEE
+  );
+
+  if (!response?.success) {
+    throw new Error("Failed to fetch the team of the employee.");
+  }
+
+  return response.data?.[0]?.[TEAM_ABSENCES.TEAM_FIELD] || null;
+};
+
+/**
+ * Fetches the requested absences of a team overlapping a date range, with the name of the employee and the status.
+ * The team is either the employees of a team, as fetched by `fetchEmployeeTeamId`, or a list of employees. At most
+ * `TEAM_ABSENCES.MAX_ABSENCES` absences are read, the earliest first.
+ * @param {Date} from - The first day of the range.
+ * @param {Date} to - The last day of the range.
+ * @param {Object} team - The `teamId` of the team, or the `employeeIds` of its members.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the absences.
+ * @throws {Error} - Throws an error if the query fails and there is no cached result.
+ */
+const fetchTeamAbsences = async (from, to, { teamId, employeeIds }) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+
+  if (!teamId && !employeeIds?.length) {
+    return [];
+  }
+
+  const teamCondition = teamId
+    ? {
+        fieldName: `${absenceCat}-employeeID:${TEAM_ABSENCES.TEAM_FIELD}`,
+        operator: "=",
+        value: teamId,
+      }
+    : {
+        fieldName: `${absenceCat}-employeeID`,
+        operator: "in",
+        value: employeeIds,
+      };
+
+  const response = await fetchCalendarQuery(
+    BUSOBJCAT.ABSENCE,
+    {
+      fields: [
+        `${absenceCat}-id`,
+        `${absenceCat}-employeeID`,
+        `${absenceCat}-employeeID:Resource-core-name-knownAs`,
+        `${absenceCat}-type:AbsenceType-name`,
+        `${absenceCat}-start`,
+        `${absenceCat}-end`,
+        `${absenceCat}-extStatus-statusID`,
+        `${absenceCat}-extStatus-processTemplateID:ProcessTemplate-steps`,
+      ],
+      where: [
+        teamCondition,
+        {
+          fieldName: `${absenceCat}-adjustAbsence`,
+          operator: "=",
+          value: false,
+        },
+        {
+          fieldName: `${absenceCat}-redemption`,
+          operator: "=",
+          value: false,
+        },
+        {
+          fieldName: `${absenceCat}-submittedOn`,
+          operator: "!=",
+          value: null,
+        },
+        {
+          fieldName: `${absenceCat}-start`,
+          operator: "<=",
+          value: to.toISOString(),
+        },
+        {
+          fieldName: `${absenceCat}-end`,
+          operator: ">=",
+          value: from.toISOString(),
+        },
+      ],
+      sort: [{ property: `${absenceCat}-start`, direction: "ASC" }],
+    },
+    APP_NAME.ABSENCE,
+    TEAM_ABSENCES.MAX_ABSENCES
+  );
+
+  if (!response?.success) {
+    throw new Error("Failed to fetch the absences of the team.");
+  }
+
+  // Absences whose submission was cancelled are not taken
+  return (response.data || []).filter((absence) =>
+    getAbsenceApprovalState(absence)
+  );
+};
+
+/**
+ * Builds the rows of the team absence calendar: one row per employee with an absence, sorted by name, with a cell per
+ * day of the shown weeks. A cell holds the absence of the employee on that day and whether it is approved.
+ * @param {Array<Object>} absences - The absences of the team, as fetched by `fetchTeamAbsences`.
+ * @param {Date} from - The first day shown.
+ * @param {number} numberOfDays - The number of days shown.
+ * @param {Object} employeeInfo - The work calendar the non-working days are shaded with.
+ * @returns {Array<Object>} - The rows with the `employeeId`, `name` and `days` of every employee.
+ */
+const buildTeamAbsenceRows = (absences, from, numberOfDays, employeeInfo) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+  const calendar = {
+    nonWorkingDates: employeeInfo?.nonWorkingDates || [],
+    nonWorkingDays: employeeInfo?.nonWorkingDays || [],
+  };
+
+  const dates = Array.from({ length: numberOfDays }, (_, index) =>
+    addDays(startOfDay(from), index)
+  );
+
+  const absencesByEmployee = new Map();
+  absences.forEach((absence) => {
+    const employeeId = absence[`${absenceCat}-employeeID`];
+    if (!absencesByEmployee.has(employeeId)) {
+      absencesByEmployee.set(employeeId, {
+        employeeId,
+        name:
+          absence[`${absenceCat}-employeeID:Resource-core-name-knownAs`] ||
+          employeeId,
+        absences: [],
+      });
+    }
+    absencesByEmployee.get(employeeId).absences.push(absence);
+  });
+
+  return [...absencesByEmployee.values()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ employeeId, name, absences: employeeAbsences }) => ({
+      employeeId,
+      name,
+      days: dates.map((date) => {
+        const absence = employeeAbsences.find(
+          (item) =>
+            startOfDay(new Date(item[`${absenceCat}-start`])) <= date &&
+            startOfDay(new Date(item[`${absenceCat}-end`])) >= date
+        );
+
+        return {
+          date,
+          isNonWorkingDay: isNonWorkingDay(new Date(date), calendar),
+          absenceId: absence?.[`${absenceCat}-id`] || null,
+          absenceTypeName: absence?.[`${absenceCat}-type:AbsenceType-name`],
+          approvalState: absence ? getAbsenceApprovalState(absence) : null,
+        };
+      }),
+    }));
+};
+
+/**
+ * Finds the teammates absent during a period, leaving out the employee requesting the leave.
+ * @param {Date} start - The start of the period.
+ * @param {Date} end - The end of the period.
+ * @param {Array<Object>} absences - The absences of the team, as fetched by `fetchTeamAbsences`.
+ * @param {string} employeeId - The ID of the employee requesting the leave.
+ * @param {Function} t - Translation function used to show localized messages.
+ * @returns {Array<string>} - The names of the absent teammates, each teammate once.
+ */
+const findOverlappingTeammates = (start, end, absences, employeeId, t) => {
+  const absenceCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+
+  const teammates = new Map();
+  absences.forEach((absence) => {
+    const teammateId = absence[`${absenceCat}-employeeID`];
+    if (
+      teammateId !== employeeId &&
+      !teammates.has(teammateId) &&
+      isAbsencesOverlap(
+        start,
+        end,
+        absence[`${absenceCat}-start`],
+        absence[`${absenceCat}-end`],
+        t
+      )
+    ) {
+      teammates.set(
+        teammateId,
+        absence[`${absenceCat}-employeeID:Resource-core-name-knownAs`] ||
+          teammateId
+      );
+    }
+  });
+
+  return [...teammates.values()];
+};
+
+export {
+  TEAM_SCOPE,
+  buildTeamAbsenceRows,
+  fetchApprovalEmployeeIds,
+  fetchEmployeeTeamId,
+  fetchTeamAbsences,
+  findOverlappingTeammates,
+};
@@ -0,0 +1,210 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+import { TIMESHEET_TIMER } from "../constants";
+
+/**
+ * Reads the stored timer.
+ * The timer holds the selected customer, project and task, the time it was started first (`startedOn`),
+ * the time it was started or resumed last (`runningSince`, null while paused) and the time recorded
+ * before that (`recordedTime`). Keeping timestamps instead of a counter lets the timer survive app restarts.
+ * A stopped timer additionally holds the time it was stopped (`stoppedOn`) and is kept until its time is booked.
+ * @returns {Promise<Object|null>} - A promise resolving to the timer, or null if there is none.
+ */
+const getTimer = async () => {
+  try {
+    const value = await AsyncStorage.getItem(TIMESHEET_TIMER.STORAGE_KEY);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    console.error("Error reading timer:", error);
+    return null;
+  }
+};
+
+/**
+ * Writes the timer to storage.
+ * @param {Object} timer - The timer.
+ * @returns {Promise<Object>} - A promise resolving to the stored timer.
+ */
+const setStoredTimer = async (timer) => {
+  try {
+    await AsyncStorage.setItem(
+      TIMESHEET_TIMER.STORAGE_KEY,
+      JSON.stringify(timer)
+    );
+  } catch (error) {
+    console.error("Error saving timer:", error);
+  }
+  return timer;
+};
+
+/**
+ * Removes the stored timer.
+ * @returns {Promise<void>}
+ */
+const discardTimer = async () => {
+  try {
+    await AsyncStorage.removeItem(TIMESHEET_TIMER.STORAGE_KEY);
+  } catch (error) {
+    console.error("Error removing timer:", error);
+  }
+};
+
+/**
+ * Calculates the time recorded by a timer.
+ * @param {Object} timer - The timer.
+ * @param {Date} now - The current time.
+ * @returns {number} - The recorded time in milliseconds.
+ */
+const getElapsedTime = (timer, now = new Date()) => {
+  if (!timer) {
+    return 0;
+  }
+
+  const runningTime = timer.runningSince
+    ? Math.max(now.getTime() - new Date(timer.runningSince).getTime(), 0)
+    : 0;
+
+  return (timer.recordedTime || 0) + runningTime;
+};
+
+/**
+ * Starts a new timer, replacing a previous one.
+ * @param {Object} selection - The customer, project and task the time is recorded for, with their IDs, texts
+ *   and external IDs as held by a timesheet item (e.g., `taskId`, `taskText`, `taskExtId`), as well as the
+ *   billable flag and time type of the task.
+ * @returns {Promise<Object>} - A promise resolving to the started timer.
+ */
+const startTimer = (selection) => {
+  const now = new Date().toISOString();
+
+  return setStoredTimer({
+    ...selection,
+    startedOn: now,
+    runningSince: now,
+    recordedTime: 0,
+  });
+};
+
+/**
+ * Pauses the stored timer. The time recorded so far is kept.
+ * @returns {Promise<Object|null>} - A promise resolving to the paused timer, or null if there is none.
+ */
+const pauseTimer = async () => {
+  const timer = await getTimer();
+  if (!timer?.runningSince) {
+    return timer;
+  }
+
+  return setStoredTimer({
+    ...timer,
+    recordedTime: getElapsedTime(timer),
+    runningSince: null,
+  });
+};
+
+/**
+ * Resumes the stored timer after a pause.
+ * @returns {Promise<Object|null>} - A promise resolving to the running timer, or null if there is none.
+ */
+const resumeTimer = async () => {
+  const timer = await getTimer();
+  if (!timer || timer.runningSince) {
+    return timer;
+  }
+
+  return setStoredTimer({
+    ...timer,
+    runningSince: new Date().toISOString(),
+  });
+};
+
+/**
+ * Stops the stored timer. The stopped timer stays stored until its time is booked (see `completeTimer`)
+ * or the timer is discarded, so that the recorded time is not lost if booking fails.
+ * @returns {Promise<Object|null>} - A promise resolving to the stopped timer with its final `recordedTime`,
+ *   or null if there is none.
+ */
+const stopTimer = async () => {
+  const timer = await getTimer();
+  if (!timer || timer.stoppedOn) {
+    return timer;
+  }
+
+  return setStoredTimer({
+    ...timer,
+    recordedTime: getElapsedTime(timer),
+    runningSince: null,
+    stoppedOn: new Date().toISOString(),
+  });
+};
+
+/**
+ * Removes the stored timer once its time was saved in a timesheet.
+ * A timer started since then is kept.
+ * @param {string} startedOn - The time the booked timer was started first, as held by the timer.
+ * @returns {Promise<void>}
+ */
+const completeTimer = async (startedOn) => {
+  const timer = await getTimer();
+  if (timer?.startedOn === startedOn) {
+    await discardTimer();
+  }
+};
+
+/**
+ * Converts a stopped timer into a timesheet item. The recorded time is rounded to full minutes,
+ * at least one minute, and booked on the day the timer was started.
+ * @param {Object} timer - The stopped timer.
+ * @returns {{date: string, item: Object}} - The day of the item in ISO format and the item in the format
+ *   used by the timesheet detail screens.
+ */
+const convertTimerToTimesheetItem = (timer) => {
+  const minute = 60 * 1000;
+  const actualTime = Math.max(
+    Math.round((timer.recordedTime || 0) / minute),
+    1
+  );
+
+  return {
+    date: timer.startedOn,
+    item: {
+      customerId: timer.customerId || "",
+      customerText: timer.customerText || "",
+      customerExtId: timer.customerExtId || "",
+      projectId: timer.projectId || "",
+      projectExtId: timer.projectExtId || "",
+      projectText: timer.projectText || "",
+      taskId: timer.taskId || "",
+      taskExtId: timer.taskExtId || "",
+      taskText: timer.taskText || "",
+      departmentId: "",
+      departmentExtId: "",
+      departmentText: "",
+      billable: timer.billable || false,
+      productive: false,
+      billableTime: 0,
+      start: "",
+      end: "",
+      actualTime: actualTime * minute,
+      actualQuantity: { quantity: 0, unit: "" },
+      remark: [],
+      extStatus: {},
+      statusLabel: "",
+      timeItemTypeExtId: timer.timeItemTypeExtId || "",
+      timeItemTypeId: timer.timeItemTypeId || "",
+      timeItemTypeText: timer.timeItemTypeText || "",
+    },
+  };
+};
+
+export {
+  completeTimer,
+  convertTimerToTimesheetItem,
+  discardTimer,
+  getElapsedTime,
+  getTimer,
+  pauseTimer,
+  resumeTimer,
+  startTimer,
+  stopTimer,
+};
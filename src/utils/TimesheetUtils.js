@@ -1,8 +1,130 @@
-import { API_ENDPOINTS, APP, BUSOBJCAT, TEST_MODE } from "../constants";
+import { addDays, differenceInCalendarDays, getDay } from "date-fns";
+
+import {
+  API_ENDPOINTS,
+  APP,
+  APP_NAME,
+  BUSOBJCAT,
+  BUSOBJCATMAP,
+  INTSTATUS,
+  TEST_MODE,
+} from "../constants";
 
 import { fetchData, getAppNameByCategory } from "../utils/APIUtils";
+import { fetchQueryWithCache } from "./CacheUtils";
+import { getLocalDrafts } from "./DraftUtils";
 import { normalizeDateToUTC } from "./FormatUtils";
 
+/**
+ * Sends a query for master data needed to create a timesheet. The result is cached,
+ * so that timesheets can also be created while offline.
+ * @param {string} busObjCat - The business object category of the master data (e.g., "PeriodSchedule").
+ * @param {Object} queryFields - The fields and conditions of the query.
+ * @returns {Promise<Object>} - A promise resolving to the query response.
+ * @throws {Error} - Throws an error if the query fails and there is no cached result.
+ */
+const fetchTimesheetMasterData = (busObjCat, queryFields) => {
+  const formData = {
+    query: JSON.stringify(queryFields),
+    testMode: TEST_MODE,
+    client: parseInt(APP.LOGIN_USER_CLIENT),
+    user: APP.LOGIN_USER_ID,
+    userID: APP.LOGIN_USER_ID,
+    language: APP.LOGIN_USER_LANGUAGE,
+    intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
+  };
+
+  return fetchQueryWithCache(busObjCat, formData, () =>
+    fetchData(
+      API_ENDPOINTS.QUERY,
+      "POST",
+      {
+        "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+      },
+      new URLSearchParams(formData).toString()
+    )
+  );
+};
+
+/**
+ * Fetches the timesheet types with their settings and period schedules.
+ * @returns {Promise<Object>} - A promise resolving to the query response.
+ * @throws {Error} - Throws an error if the query fails and there is no cached result.
+ */
+const fetchTimesheetTypes = () =>
+  fetchTimesheetMasterData("TimeConfType", {
+    fields: [
+      "TimeConfType-extID",
+      "TimeConfType-defaultAsHomeDefault",
+      "TimeConfType-defaultInputDays",
+      "TimeConfType-headerCommentRequired",
+      "TimeConfType-itemCommentRequired",
+      "TimeConfType-maxTasksPreload",
+      "TimeConfType-minTimeIncrement",
+      "TimeConfType-nonBillableComments",
+      "TimeConfType-overtimeAllowed",
+      "TimeConfType-validateWorkSchedule",
+      "TimeConfType-periodSchedules",
+    ],
+    where: [
+      {
+        fieldName: "TimeConfType-busObjCat",
+        operator: "=",
+        value: "TimeConfirmationType",
+      },
+    ],
+  });
+
+/**
+ * Fetches a period schedule with its periods.
+ * @param {string} periodScheduleId - The external ID of the period schedule.
+ * @returns {Promise<Object>} - A promise resolving to the query response.
+ * @throws {Error} - Throws an error if the query fails and there is no cached result.
+ */
+const fetchPeriodSchedule = (periodScheduleId) =>
+  fetchTimesheetMasterData("PeriodSchedule", {
+    fields: [
+      "PeriodSchedule-id",
+      "PeriodSchedule-extID",
+      "PeriodSchedule-periods",
+    ],
+    where: [
+      {
+        fieldName: "PeriodSchedule-extID",
+        operator: "=",
+        value: periodScheduleId,
+      },
+    ],
+  });
+
+/**
+ * Loads the timesheet type of the user and its period schedules into the cache,
+ * so that a new timesheet can be drafted later while offline.
+ * @param {string} timesheetTypeExtId - The external ID of the timesheet type of the user.
+ * @returns {Promise<void>}
+ */
+const prefetchTimesheetCreateData = async (timesheetTypeExtId) => {
+  if (!timesheetTypeExtId) {
+    return;
+  }
+
+  try {
+    const response = await fetchTimesheetTypes();
+    const timesheetType = (response?.data || []).find(
+      (item) => item["TimeConfType-extID"] === timesheetTypeExtId
+    );
+    const periodScheduleIds = (
+      timesheetType?.["TimeConfType-periodSchedules"] || []
+    )
+      .map((record) => record.periodSchedule)
+      .filter(Boolean);
+
+    await Promise.all(periodScheduleIds.map(fetchPeriodSchedule));
+  } catch (error) {
+    console.error("Error prefetching timesheet create data:", error);
+  }
+};
+
 /**
  * Checks if a timesheet exists for the given date.
  * @param {Date} date - The date to check.
@@ -15,6 +137,34 @@ const checkTimesheetExistsForDate = async (date, showInfoInCreate, t) => {
 
   const formattedDate = normalizeDateToUTC(date)?.toISOString();
 
+  // Timesheets drafted offline are not known to the server yet
+  const localDraft = (
+    await getLocalDrafts(BUSOBJCATMAP[BUSOBJCAT.TIMESHEET])
+  ).find(
+    (draft) =>
+      draft["TimeConfirmation-start"] <= formattedDate &&
+      draft["TimeConfirmation-end"] >= formattedDate
+  );
+
+  if (localDraft) {
+    if (showInfoInCreate) {
+      showInfoInCreate(null);
+    }
+
+    return {
+      exists: true,
+      data: [
+        {
+          id: localDraft["TimeConfirmation-id"],
+          start: localDraft["TimeConfirmation-start"],
+          end: localDraft["TimeConfirmation-end"],
+          employeeID: localDraft["TimeConfirmation-employeeID"],
+          statusTemplateExtId: "",
+        },
+      ],
+    };
+  }
+
   // Define query fields to fetch time confirmation data
   const queryFields = {
     fields: [
@@ -110,4 +260,783 @@ const checkTimesheetExistsForDate = async (date, showInfoInCreate, t) => {
   }
 };
 
-export { checkTimesheetExistsForDate };
+/**
+ * Empty selection of the customer, project and task of a timesheet item, as made with the item pickers.
+ */
+const emptyTaskSelection = {
+  customerId: "",
+  customerText: "",
+  customerExtId: "",
+  projectId: "",
+  projectText: "",
+  projectExtId: "",
+  taskId: "",
+  taskText: "",
+  taskExtId: "",
+  billable: false,
+  timeItemTypeExtId: "",
+  timeItemTypeId: "",
+  timeItemTypeText: "",
+};
+
+/**
+ * Additional fields read from a selected customer by the customer picker of a timesheet item.
+ */
+const customerPickerAdditionalFields = [{ extID: "Customer-extID" }];
+
+/**
+ * Additional fields read from a selected project by the project picker of a timesheet item.
+ */
+const projectPickerAdditionalFields = [
+  {
+    extID: "ProjectWBS-extID",
+  },
+  { projectCustomerId: "ProjectWBS-customerID" },
+  {
+    projectCustomerExtId: "ProjectWBS-customerID:Customer-extID",
+  },
+  {
+    projectCustomerText: "ProjectWBS-customerID:Customer-name-text",
+  },
+];
+
+/**
+ * Additional fields read from a selected task by the task picker of a timesheet item.
+ */
+const taskPickerAdditionalFields = [
+  { extID: "Task-extID" },
+  { taskBillable: "Task-billable" },
+  { taskResources: "Task-resources" },
+  { taskTimeItemTypes: "Task-timeItemTypes" },
+  {
+    taskTimeItemTypeId: "Task-timeItemTypes[0]:TimeItemType-id",
+  },
+  {
+    taskTimeItemTypeText: "Task-timeItemTypes[0]:TimeItemType-name",
+  },
+  {
+    taskTimeItemTypeNonEditable: "Task-timeItemTypeNonEditable",
+  },
+  { taskQuantityAllowed: "Task-type:TaskType-quantityAllowed" },
+  { taskUnitTime: "Task-quantities-unitTime" },
+  { taskPlannedQuantity: "Task-quantities-plannedQuantity" },
+  { taskActualQuantity: "Task-quantities-actualQuantity" },
+  {
+    taskPlannedQuantityUnitDecimals:
+      "Task-quantities-plannedQuantity-unit:Unit-decimals",
+  },
+  {
+    taskActualQuantityUnitDecimals:
+      "Task-quantities-actualQuantity-unit:Unit-decimals",
+  },
+  {
+    taskPlannedQuantityUnitName:
+      "Task-quantities-plannedQuantity-unit:Unit-name",
+  },
+  {
+    taskActualQuantityUnitName: "Task-quantities-actualQuantity-unit:Unit-name",
+  },
+  { taskCustomerId: "Task-customerID" },
+  { taskCustomerExtId: "Task-customerID:Customer-extID" },
+  { taskCustomerText: "Task-customerID:Customer-name-text" },
+  { taskProjectWBSId: "Task-projectWbsID" },
+  { taskProjectWBSExtId: "Task-projectWbsID:ProjectWBS-extID" },
+  {
+    taskProjectWBSText: "Task-projectWbsID:ProjectWBS-text-text",
+  },
+];
+
+/**
+ * Builds the queries of the customer, project and task pickers of a timesheet item.
+ * The projects and tasks are limited to the ones assigned to the person and, once selected, to the customer and project.
+ * @param {string} personId - The ID of the person the time is recorded for.
+ * @param {Object} selection - The current selection of the item.
+ * @param {string} [selection.customerId] - The ID of the selected customer.
+ * @param {string} [selection.projectId] - The ID of the selected project.
+ * @param {Date|string} date - The date of the item. Tasks finished before this date are excluded.
+ * @returns {Object} - The common query parameters and the query fields of the customer, project and task pickers.
+ */
+const getItemPickerQueryParams = (
+  personId,
+  { customerId, projectId } = {},
+  date = new Date()
+) => {
+  const commonQueryParams = {
+    filterQueryValue: "",
+    userID: APP.LOGIN_USER_ID,
+    client: parseInt(APP.LOGIN_USER_CLIENT),
+    language: APP.LOGIN_USER_LANGUAGE,
+    testMode: "",
+    appName: APP_NAME.TIMESHEET,
+    intStatus: JSON.stringify([INTSTATUS.ACTIVE, 1]),
+    page: 1,
+    start: 0,
+    limit: 20,
+  };
+
+  const customerQueryParams = {
+    fields: [
+      "Customer-id",
+      "Customer-extID",
+      "Customer-type",
+      "Customer-text",
+      "Customer-name",
+      "Customer-name:text",
+    ],
+    sort: [
+      {
+        property: "Customer-changedOn",
+        direction: "DESC",
+      },
+      {
+        property: "Customer-name-text",
+        direction: "ASC",
+      },
+    ],
+  };
+
+  const projectQueryParams = {
+    fields: [
+      "ProjectWBS-id",
+      "ProjectWBS-extID",
+      "ProjectWBS-type",
+      "ProjectWBS-text",
+      "ProjectWBS-text:text",
+      "ProjectWBS-remark:text",
+      "ProjectWBS-text-text",
+      "ProjectWBS-financeData-companyID",
+      "ProjectWBS-financeData-companyID:BusUnit-name-text",
+      "ProjectWBS-responsible",
+      "ProjectWBS-responsible:Person-name-knownAs",
+      "ProjectWBS-customerID",
+      "ProjectWBS-customerID:Customer-extID",
+      "ProjectWBS-customerID:Customer-name-text",
+      "ProjectWBS-assigned",
+      "ProjectWBS-percentComplete",
+    ],
+    where: [
+      {
+        fieldName: "ProjectWBS-assigned",
+        operator: "in",
+        value: personId,
+      },
+      { fieldName: "ProjectWBS-percentComplete", operator: "!=", value: 100 },
+    ],
+    sort: [
+      {
+        property: "ProjectWBS-changedOn",
+        direction: "DESC",
+      },
+      {
+        property: "ProjectWBS-text:text",
+        direction: "ASC",
+      },
+    ],
+  };
+
+  if (customerId) {
+    projectQueryParams.where.push({
+      fieldName: "ProjectWBS-customerID",
+      operator: "=",
+      value: customerId,
+    });
+  }
+
+  const taskQueryParams = {
+    fields: [
+      "Task-id",
+      "Task-extID",
+      "Task-type",
+      "Task-text",
+      "Task-text:text",
+      "Task-remark:text",
+      "Task-text-text",
+      "Task-customerID",
+      "Task-customerID:Customer-extID",
+      "Task-customerID:Customer-name-text",
+      "Task-projectWbsID",
+      "Task-projectWbsID:ProjectWBS-extID",
+      "Task-projectWbsID:ProjectWBS-text-text",
+      "Task-allResources",
+      "Task-timeConfAllowed",
+      "Task-percentComplete",
+      "Task-client",
+      "Task-assigned",
+      "Task-dates-actualFinish",
+      "Task-type:TaskType-timeConfAllowed",
+      "Task-type:TaskType-doNotAllowExpenses",
+      "Task-type:TaskType-quantityAllowed",
+      "Task-quantities-plannedQuantity",
+      "Task-quantities-plannedQuantity-unit:Unit-decimals",
+      "Task-quantities-plannedQuantity-unit:Unit-name",
+      "Task-quantities-actualQuantity",
+      "Task-quantities-actualQuantity-unit:Unit-decimals",
+      "Task-quantities-actualQuantity-unit:Unit-name",
+      "Task-quantities-unitTime",
+      "Task-billable",
+      "Task-resources-personID",
+      "Task-resources-billable",
+      "Task-resources-intStatus",
+      "Task-resources-percentComplete",
+      "Task-dates-actualStart",
+      "Task-duration",
+      "Task-timeItemTypes",
+      "Task-timeItemTypes[0]:TimeItemType-id",
+      "Task-timeItemTypes[0]:TimeItemType-name",
+      "Task-timeItemTypeNonEditable",
+      "Task-intStatus",
+    ],
+    where: [
+      {
+        fieldName: "Task-type:TaskType-timeConfAllowed",
+        operator: "=",
+        value: true,
+      },
+      {
+        fieldName: "Task-client",
+        operator: "=",
+        value: parseInt(APP.LOGIN_USER_CLIENT),
+        or: true,
+        nestedConditions: [
+          {
+            fieldName: "Task-assigned",
+            operator: "in",
+            value: personId,
+          },
+          { fieldName: "Task-allResources", operator: "=", value: true },
+        ],
+      },
+      {
+        fieldName: "Task-intStatus",
+        operator: "in",
+        value: ["0", "1", "2", null],
+        or: true,
+        nestedConditions: [
+          { fieldName: "Task-percentComplete", operator: "!=", value: 100 },
+          {
+            fieldName: "Task-dates-actualFinish",
+            operator: ">=",
+            value: date,
+          },
+        ],
+      },
+    ],
+    sort: [
+      {
+        property: "Task-changedOn",
+        direction: "DESC",
+      },
+      {
+        property: "Task-text:text",
+        direction: "ASC",
+      },
+    ],
+  };
+
+  if (customerId) {
+    taskQueryParams.where.push({
+      fieldName: "Task-customerID",
+      operator: "=",
+      value: customerId,
+    });
+  }
+
+  if (projectId) {
+    taskQueryParams.where.push({
+      fieldName: "Task-projectWbsID",
+      operator: "=",
+      value: projectId,
+    });
+  }
+
+  return {
+    commonQueryParams,
+    customerQueryParams,
+    projectQueryParams,
+    taskQueryParams,
+  };
+};
+
+/**
+ * Fetches the tasks of a timesheet, with the fields needed to copy them into another timesheet.
+ * @param {string} timesheetId - The ID of the timesheet.
+ * @returns {Promise<Object|null>} - A promise resolving to the timesheet with its start and tasks, or null if it was not found.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const fetchTimesheetTasksForCopy = async (timesheetId) => {
+  const queryFields = {
+    fields: [
+      "TimeConfirmation-id",
+      "TimeConfirmation-start",
+      "TimeConfirmation-end",
+      "TimeConfirmation-tasks-customerID",
+      "TimeConfirmation-tasks-customerID:Customer-extID",
+      "TimeConfirmation-tasks-customerID:Customer-name-text",
+      "TimeConfirmation-tasks-projectWbsID",
+      "TimeConfirmation-tasks-projectWbsID:ProjectWBS-extID",
+      "TimeConfirmation-tasks-projectWbsID:ProjectWBS-text-text",
+      "TimeConfirmation-tasks-taskID",
+      "TimeConfirmation-tasks-taskID:Task-extID",
+      "TimeConfirmation-tasks-taskID:Task-text-text",
+      "TimeConfirmation-tasks-department",
+      "TimeConfirmation-tasks-department:BusUnit-extID",
+      "TimeConfirmation-tasks-department:BusUnit-name-text",
+      "TimeConfirmation-tasks-billable",
+      "TimeConfirmation-tasks-timeType",
+      "TimeConfirmation-tasks-timeType:TimeItemType-id",
+      "TimeConfirmation-tasks-timeType:TimeItemType-name",
+      "TimeConfirmation-tasks-items",
+    ],
+    where: [
+      {
+        fieldName: "TimeConfirmation-id",
+        operator: "=",
+        value: timesheetId,
+      },
+    ],
+  };
+
+  const formData = {
+    query: JSON.stringify(queryFields),
+    testMode: TEST_MODE,
+    client: parseInt(APP.LOGIN_USER_CLIENT),
+    user: APP.LOGIN_USER_ID,
+    userID: APP.LOGIN_USER_ID,
+    appName: JSON.stringify(getAppNameByCategory(BUSOBJCAT.TIMESHEET)),
+    language: APP.LOGIN_USER_LANGUAGE,
+    intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
+  };
+
+  const response = await fetchData(
+    API_ENDPOINTS.QUERY,
+    "POST",
+    {
+      "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+    },
+    new URLSearchParams(formData).toString()
+  );
+
+  if (!response?.success || !response.data?.length) {
+    return null;
+  }
+
+  const data = response.data[0];
+
+  return {
+    start: data["TimeConfirmation-start"],
+    end: data["TimeConfirmation-end"],
+    tasks: data["TimeConfirmation-tasks"] || [],
+  };
+};
+
+/**
+ * Fetches the current state of tasks, to check whether time can still be booked on them and whether it is billable.
+ * @param {Array<string>} taskIds - The IDs of the tasks.
+ * @returns {Promise<Map<string, Object>>} - A promise resolving to the tasks by their ID.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const fetchTaskStates = async (taskIds) => {
+  const taskStates = new Map();
+
+  if (taskIds.length === 0) {
+    return taskStates;
+  }
+
+  const queryFields = {
+    fields: [
+      "Task-id",
+      "Task-intStatus",
+      "Task-percentComplete",
+      "Task-dates-actualFinish",
+      "Task-billable",
+      "Task-type:TaskType-quantityAllowed",
+      "Task-resources-personID",
+      "Task-resources-billable",
+    ],
+    where: [
+      {
+        fieldName: "Task-id",
+        operator: "in",
+        value: taskIds,
+      },
+    ],
+  };
+
+  const formData = {
+    query: JSON.stringify(queryFields),
+    testMode: TEST_MODE,
+    client: parseInt(APP.LOGIN_USER_CLIENT),
+    user: APP.LOGIN_USER_ID,
+    userID: APP.LOGIN_USER_ID,
+    appName: APP_NAME.TIMESHEET,
+    language: APP.LOGIN_USER_LANGUAGE,
+    intStatus: JSON.stringify([INTSTATUS.ACTIVE, 1]),
+  };
+
+  const response = await fetchData(
+    API_ENDPOINTS.QUERY,
+    "POST",
+    {
+      "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+    },
+    new URLSearchParams(formData).toString()
+  );
+
+  (response?.data || []).forEach((task) => {
+    taskStates.set(task["Task-id"], task);
+  });
+
+  return taskStates;
+};
+
+/**
+ * Checks whether time can no longer be booked on a task at the given date.
+ * @param {Object|undefined} taskState - The task as returned by `fetchTaskStates`. Tasks that are not returned anymore
+ *   were deleted or deactivated, and are closed.
+ * @param {Date} date - The date the time is booked on.
+ * @returns {boolean} - True if the task is closed.
+ */
+const isTaskClosed = (taskState, date) => {
+  if (!taskState) {
+    return true;
+  }
+
+  const intStatus = taskState["Task-intStatus"];
+  const actualFinish = taskState["Task-dates-actualFinish"];
+
+  return (
+    (intStatus != null && ![0, 1, 2].includes(parseInt(intStatus, 10))) ||
+    (taskState["Task-percentComplete"] === 100 &&
+      (!actualFinish || new Date(actualFinish) < new Date(date)))
+  );
+};
+
+/**
+ * Moves a day of a period to the same weekday of another period, e.g. from the second Tuesday of a monthly period
+ * to the second Tuesday of the next one.
+ *
+ * @param {Date} day - The day to move.
+ * @param {Date} sourceStart - The first day of the period of the day.
+ * @param {Date} periodStart - The first day of the target period.
+ * @param {Date} periodEnd - The last day of the target period.
+ * @returns {Date|null} - The day in the target period, or null if the target period has no such day.
+ */
+const moveDayToPeriod = (day, sourceStart, periodStart, periodEnd) => {
+  const weekInPeriod = Math.floor(
+    differenceInCalendarDays(day, sourceStart) / 7
+  );
+  const firstWeekday = addDays(
+    periodStart,
+    (getDay(day) - getDay(periodStart) + 7) % 7
+  );
+  const movedDay = addDays(firstWeekday, weekInPeriod * 7);
+
+  return weekInPeriod >= 0 && differenceInCalendarDays(periodEnd, movedDay) >= 0
+    ? movedDay
+    : null;
+};
+
+/**
+ * Copies the tasks of an earlier timesheet into a new timesheet period.
+ *
+ * The customer, project, task, department, time type and billable flag of every task are copied. Every item is moved
+ * to the same weekday of the same week of the new period, which also works for monthly periods of different length.
+ * Items without such a day in the new period (e.g. on the fifth Tuesday of a month) are dropped and reported.
+ * Hours and remarks are only copied on request, otherwise the items are created empty, so that the tasks are listed
+ * on the same days and just the hours need to be entered.
+ *
+ * Tasks that were closed in the meantime are skipped. Tasks that were billable but are not anymore are copied as
+ * non-billable and reported, so that the user can review them.
+ *
+ * @param {string} timesheetId - The ID of the timesheet to copy from.
+ * @param {{start: Date, end: Date}} period - The period of the new timesheet.
+ * @param {string} personId - The ID of the person the timesheet is created for.
+ * @param {Object} [options] - Copy options.
+ * @param {boolean} [options.copyHours=false] - Whether to copy the booked hours.
+ * @param {boolean} [options.copyRemarks=false] - Whether to copy the remarks of the items.
+ * @returns {Promise<{tasks: Array<Object>, totalTime: number, billableTime: number, skippedTasks: Array<string>, unbillableTasks: Array<string>, droppedItems: Array<{task: string, day: Date}>}>} -
+ *   A promise resolving to the copied tasks in the format of the timesheet tasks, their total and billable time, the names
+ *   of the skipped and no longer billable tasks, and the task name and day of the dropped items.
+ * @throws {Error} - Throws an error if the timesheet or its tasks cannot be loaded.
+ */
+const copyTimesheetTasks = async (
+  timesheetId,
+  period,
+  personId,
+  { copyHours = false, copyRemarks = false } = {}
+) => {
+  const sourceTimesheet = await fetchTimesheetTasksForCopy(timesheetId);
+  if (!sourceTimesheet) {
+    throw new Error(`Timesheet ${timesheetId} to copy from was not found.`);
+  }
+
+  const periodStart = new Date(period.start);
+  const periodEnd = new Date(period.end);
+  const sourceStart = new Date(sourceTimesheet.start);
+
+  const taskStates = await fetchTaskStates([
+    ...new Set(
+      sourceTimesheet.tasks.map((task) => task.taskID).filter(Boolean)
+    ),
+  ]);
+
+  const tasks = [];
+  const skippedTasks = [];
+  const unbillableTasks = [];
+  const droppedItems = [];
+  let totalTime = 0;
+  let billableTime = 0;
+
+  sourceTimesheet.tasks.forEach((sourceTask) => {
+    const taskName = sourceTask["taskID:Task-extID"]
+      ? `${sourceTask["taskID:Task-text-text"]} (${sourceTask["taskID:Task-extID"]})`
+      : sourceTask["taskID:Task-text-text"] ||
+        sourceTask["department:BusUnit-name-text"] ||
+        "";
+
+    let billable = sourceTask.billable || false;
+
+    // Items booked on a department only have no task to check
+    if (sourceTask.taskID) {
+      const taskState = taskStates.get(sourceTask.taskID);
+
+      if (isTaskClosed(taskState, periodStart)) {
+        skippedTasks.push(taskName);
+        return;
+      }
+
+      const isBillable = retrieveBillableStatus(
+        taskState["Task-billable"] || false,
+        taskState["Task-type:TaskType-quantityAllowed"] || false,
+        taskState["Task-resources"] || [],
+        personId
+      );
+
+      if (billable && !isBillable) {
+        unbillableTasks.push(taskName);
+        billable = false;
+      }
+    }
+
+    const items = (sourceTask.items || [])
+      .map((item) => {
+        const day = moveDayToPeriod(
+          new Date(item.start),
+          sourceStart,
+          periodStart,
+          periodEnd
+        );
+
+        if (!day) {
+          droppedItems.push({ task: taskName, day: new Date(item.start) });
+          return null;
+        }
+
+        const shiftInDays = differenceInCalendarDays(day, new Date(item.start));
+
+        const actualTime = copyHours ? item.actualTime || 0 : 0;
+        const itemBillableTime = billable ? actualTime : 0;
+
+        totalTime += actualTime;
+        billableTime += itemBillableTime;
+
+        return {
+          actualTime,
+          billableTime: itemBillableTime,
+          productive: item.productive || false,
+          // Start and end hold the booked times of day, which are only meaningful together with the hours
+          start:
+            copyHours && item.start
+              ? addDays(new Date(item.start), shiftInDays)
+              : normalizeDateToUTC(day),
+          end:
+            copyHours && item.end
+              ? addDays(new Date(item.end), shiftInDays)
+              : normalizeDateToUTC(day),
+          "remark:text": copyRemarks ? item["remark:text"] || "" : "",
+        };
+      })
+      .filter(Boolean);
+
+    if (items.length === 0) {
+      return;
+    }
+
+    tasks.push({
+      customerID: sourceTask.customerID,
+      "customerID:Customer-extID": sourceTask["customerID:Customer-extID"],
+      "customerID:Customer-name-text":
+        sourceTask["customerID:Customer-name-text"],
+      projectWbsID: sourceTask.projectWbsID,
+      "projectWbsID:ProjectWBS-extID":
+        sourceTask["projectWbsID:ProjectWBS-extID"],
+      "projectWbsID:ProjectWBS-text-text":
+        sourceTask["projectWbsID:ProjectWBS-text-text"],
+      taskID: sourceTask.taskID,
+      "taskID:Task-extID": sourceTask["taskID:Task-extID"],
+      "taskID:Task-text-text": sourceTask["taskID:Task-text-text"],
+      department: sourceTask.department,
+      "department:BusUnit-extID": sourceTask["department:BusUnit-extID"],
+      "department:BusUnit-name-text":
+        sourceTask["department:BusUnit-name-text"],
+      billable,
+      timeType: sourceTask.timeType,
+      "timeType:TimeItemType-id": sourceTask["timeType:TimeItemType-id"],
+      "timeType:TimeItemType-name": sourceTask["timeType:TimeItemType-name"],
+      items,
+    });
+  });
+
+  return {
+    tasks,
+    totalTime,
+    billableTime,
+    skippedTasks,
+    unbillableTasks,
+    droppedItems,
+  };
+};
+
+/**
+ * Fills the days of a timesheet with a task, up to the time scheduled for each day. The absence hours and the time
+ * already booked on a day are left out, and the time is rounded down to the minimum time increment. The time is added
+ * to the item of the task on the day if there is one, otherwise a new item is added.
+ *
+ * @param {Map<string, Array<Object>>} timesheetItemsMap - The items of the timesheet by date ("yyyy-MM-dd").
+ * @param {Array<string>} dates - The dates of the period ("yyyy-MM-dd").
+ * @param {Object} selection - The customer, project, task and department to book the time on.
+ * @param {Function} getScheduledTime - Returns the time in milliseconds scheduled for a day, 0 for days not to fill.
+ * @param {Map<string, number>} absenceDayTotalMap - The absence hours in milliseconds by date ("yyyy-MM-dd").
+ * @param {string|number} [minTimeIncrement] - The minimum time increment in minutes.
+ * @returns {{timesheetItemsMap: Map<string, Array<Object>>, filledDays: number, filledTime: number}} - The updated
+ *   items, the number of days filled and the time added in milliseconds.
+ */
+const autoFillTimesheetItems = (
+  timesheetItemsMap,
+  dates,
+  selection,
+  getScheduledTime,
+  absenceDayTotalMap,
+  minTimeIncrement
+) => {
+  const minIncr = (parseInt(minTimeIncrement, 10) || 0) * 60000; // 60000 ms = 1 minute
+
+  const generateUniqueKey = (item) =>
+    `${item.departmentId || ""}${item.taskId || ""}`;
+  const selectionKey = generateUniqueKey(selection);
+
+  const updatedTimesheetItemsMap = new Map(timesheetItemsMap);
+  let filledDays = 0;
+  let filledTime = 0;
+
+  dates.forEach((date) => {
+    const scheduledTime = getScheduledTime(new Date(`${date}T00:00:00`));
+
+    const items = [...(updatedTimesheetItemsMap.get(date) || [])];
+    const bookedTime = items.reduce(
+      (total, item) => total + (item.actualTime || 0),
+      absenceDayTotalMap.get(date) || 0
+    );
+
+    let remainingTime = scheduledTime - bookedTime;
+    if (minIncr > 0) {
+      remainingTime = Math.floor(remainingTime / minIncr) * minIncr;
+    }
+
+    if (remainingTime <= 0) {
+      return;
+    }
+
+    const index = items.findIndex(
+      (item) => generateUniqueKey(item) === selectionKey
+    );
+    const item =
+      index !== -1
+        ? items[index]
+        : {
+            ...selection,
+            productive: false,
+            start: "",
+            end: "",
+            actualTime: 0,
+            actualQuantity: { quantity: 0, unit: "" },
+            remark: [],
+            extStatus: {},
+            statusLabel: "",
+          };
+    const actualTime = (item.actualTime || 0) + remainingTime;
+    const updatedItem = {
+      ...item,
+      actualTime,
+      billableTime: item.billable ? actualTime : 0,
+      isDirty: true,
+    };
+
+    if (index !== -1) {
+      items[index] = updatedItem;
+    } else {
+      items.push(updatedItem);
+    }
+
+    updatedTimesheetItemsMap.set(date, items);
+    filledDays++;
+    filledTime += remainingTime;
+  });
+
+  return {
+    timesheetItemsMap: updatedTimesheetItemsMap,
+    filledDays,
+    filledTime,
+  };
+};
+
+/**
+ * Retrieves the billable status of a task based on its properties and resources.
+ *
+ * @param {boolean} taskBillable - Indicates if the task is generally billable.
+ * @param {boolean} taskQuantityAllowed - Flag indicating whether the task is quantity-based, which automatically makes it billable.
+ * @param {Array} taskResources - List of resources associated with the task. Each resource should have `personID` and `billable` properties.
+ * @param {string} personId - The ID of the person the time is recorded for.
+ * @returns {boolean} - Returns `true` if the task is billable based on its properties and resources; otherwise, returns `false`.
+ */
+const retrieveBillableStatus = (
+  taskBillable,
+  taskQuantityAllowed,
+  taskResources,
+  personId
+) => {
+  // Return true if the task is quantity-based and allowed.
+  if (taskQuantityAllowed) {
+    return true;
+  }
+
+  // If the task is not billable by default, return false.
+  if (!taskBillable) {
+    return false;
+  }
+
+  // Find the resource matching the logged-in person.
+  const resource = taskResources?.find(
+    (resource) => resource.personID === personId
+  );
+
+  // Return the billable status of the matched resource, or false if no resource is found.
+  return resource ? resource.billable : false;
+};
+
+export {
+  autoFillTimesheetItems,
+  checkTimesheetExistsForDate,
+  copyTimesheetTasks,
+  customerPickerAdditionalFields,
+  emptyTaskSelection,
+  fetchPeriodSchedule,
+  fetchTaskStates,
+  fetchTimesheetTypes,
+  getItemPickerQueryParams,
+  isTaskClosed,
+  prefetchTimesheetCreateData,
+  projectPickerAdditionalFields,
+  retrieveBillableStatus,
+  taskPickerAdditionalFields,
+};
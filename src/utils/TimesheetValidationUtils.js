@@ -0,0 +1,385 @@
+import { addDays, format } from "date-fns";
+
+import {
+  APP,
+  BUSOBJCAT,
+  BUSOBJCATMAP,
+  PREFERRED_LANGUAGES,
+} from "../constants";
+
+import {
+  convertMillisecondsToDuration,
+  convertToDateFNSFormat,
+  getRemarkText,
+} from "./FormatUtils";
+
+/**
+ * Severities of the violations in a validation report, matching the validation settings of the timesheet type.
+ */
+const VALIDATION_SEVERITY = {
+  ERROR: "E",
+  WARNING: "W",
+};
+
+/**
+ * Checks whether a validation setting of the timesheet type reports violations ("E" or "W").
+ * @param {string} setting - The validation setting.
+ * @returns {boolean} - True if violations are reported.
+ */
+const isReportedSeverity = (setting) =>
+  setting === VALIDATION_SEVERITY.ERROR ||
+  setting === VALIDATION_SEVERITY.WARNING;
+
+/**
+ * Formats the label of the task or department of a timesheet task, e.g., "Design (T-1)".
+ * @param {Object} task - The timesheet task.
+ * @returns {string} - The label.
+ */
+const getTaskLabel = (task) => {
+  const taskText = task["taskID:Task-text-text"];
+  const taskExtId = task["taskID:Task-extID"];
+
+  if (taskText) {
+    return taskExtId ? `${taskText} (${taskExtId})` : taskText;
+  }
+
+  return task["department:BusUnit-name-text"] || "";
+};
+
+/**
+ * Builds the validation report of a timesheet. Unlike a validation that stops at the first failure, every violation
+ * of the settings of the timesheet type and the work schedule of the employee is collected:
+ * - a missing header comment,
+ * - missing item comments, and missing comments on non-billable items,
+ * - times that are not a multiple of the minimum time increment,
+ * - days below the standard hours of the work schedule patterns or, without patterns, days or weeks below the
+ *   minimum or above the maximum work hours.
+ * Holidays count with the daily standard hours and absences with their hours, like in the timesheet totals.
+ *
+ * @param {Object} timesheet - The timesheet to validate.
+ * @param {Date|string} timesheet.start - The start of the period.
+ * @param {Date|string} timesheet.end - The end of the period.
+ * @param {Array<Object>} timesheet.remark - The header remarks.
+ * @param {Array<Object>} timesheet.tasks - The tasks with their items.
+ * @param {Object} timesheetTypeDetails - The validation settings of the timesheet type.
+ * @param {Object} employeeInfo - The work schedule of the employee (`patterns`, `dailyStdHours`, `minWorkHours`,
+ *   `maxWorkHours` and `workHoursInterval`).
+ * @param {Array<string>} leaveDates - The holidays and absence days of the period, as date strings.
+ * @param {Object} absenceDateHoursMap - The absence hours in milliseconds by date string.
+ * @param {string} lang - The language of the user, to read the remarks.
+ * @param {Function} t - The translation function.
+ * @returns {Array<Object>} - The violations, errors first and then by day. Each violation has a `key`, a `severity`
+ *   (see `VALIDATION_SEVERITY`), a `subject` and a `message`, as well as the `date` ("yyyy-MM-dd") and `item`
+ *   (`{ taskId, departmentId }`) it refers to, or `headerRemark` if it refers to the header comment.
+ */
+const buildTimesheetValidationReport = (
+  timesheet,
+  timesheetTypeDetails,
+  employeeInfo,
+  leaveDates,
+  absenceDateHoursMap,
+  lang,
+  t
+) => {
+  const {
+    headerCommentRequired,
+    itemCommentRequired,
+    nonBillableComments,
+    minTimeIncrement,
+    validateIncrement,
+    validateWorkSchedule,
+  } = timesheetTypeDetails;
+  const {
+    patterns,
+    dailyStdHours,
+    minWorkHours,
+    maxWorkHours,
+    workHoursInterval,
+  } = employeeInfo;
+
+  const violations = [];
+  const formatDate = (date) =>
+    format(date, convertToDateFNSFormat(APP.LOGIN_USER_DATE_FORMAT));
+
+  // Header comment
+  if (
+    isReportedSeverity(headerCommentRequired) &&
+    !getRemarkText(timesheet.remark, lang, PREFERRED_LANGUAGES)
+  ) {
+    violations.push({
+      key: "header-remark",
+      severity: headerCommentRequired,
+      subject: t("remark"),
+      message:
+        headerCommentRequired === VALIDATION_SEVERITY.ERROR
+          ? t("timesheet_header_remark_required_message")
+          : t("timesheet_header_remark_recommended_message"),
+      date: null,
+      item: null,
+      headerRemark: true,
+    });
+  }
+
+  // Items, while collecting the time booked on every day
+  const minIncr = (parseInt(minTimeIncrement, 10) || 0) * 60000; // 60000 ms = 1 minute
+  const dayTotals = new Map();
+
+  (timesheet.tasks || []).forEach((task) => {
+    task.items.forEach((item) => {
+      const itemDate = new Date(item.start);
+      const date = format(itemDate, "yyyy-MM-dd");
+      const itemRef = {
+        taskId: task.taskID || "",
+        departmentId: task.department || "",
+      };
+      const subject = `${getTaskLabel(task)} · ${formatDate(itemDate)}`;
+      const remarkText =
+        item["remark:text"] ||
+        getRemarkText(item.remark, lang, PREFERRED_LANGUAGES);
+
+      dayTotals.set(date, (dayTotals.get(date) || 0) + (item.actualTime || 0));
+
+      const addItemViolation = (type, severity, message) =>
+        violations.push({
+          key: `${type}-${date}-${itemRef.departmentId}${itemRef.taskId}`,
+          severity,
+          subject,
+          message,
+          date,
+          item: itemRef,
+        });
+
+      if (!remarkText) {
+        if (nonBillableComments && !task.billable) {
+          addItemViolation(
+            "non-billable-remark",
+            VALIDATION_SEVERITY.ERROR,
+            t("non_billable_remark_required_message")
+          );
+        } else if (isReportedSeverity(itemCommentRequired)) {
+          addItemViolation(
+            "remark",
+            itemCommentRequired,
+            itemCommentRequired === VALIDATION_SEVERITY.ERROR
+              ? t("remark_required_message")
+              : t("remark_recommended_message")
+          );
+        }
+      }
+
+      if (
+        isReportedSeverity(validateIncrement) &&
+        minIncr > 0 &&
+        (item.actualTime || 0) % minIncr !== 0
+      ) {
+        addItemViolation(
+          "increment",
+          validateIncrement,
+          validateIncrement === VALIDATION_SEVERITY.ERROR
+            ? t("validation_error_min_increment", { minIncr: minIncr / 60000 })
+            : t("validation_warning_min_increment", {
+                minIncr: minIncr / 60000,
+              })
+        );
+      }
+    });
+  });
+
+  // Work schedule
+  if (isReportedSeverity(validateWorkSchedule)) {
+    const getLeaveTime = (date) => {
+      const dateString = date.toDateString();
+      if (!leaveDates.includes(dateString)) {
+        return 0;
+      }
+
+      // Absences count with their hours, holidays with the daily standard hours
+      return absenceDateHoursMap[dateString] || dailyStdHours || 0;
+    };
+
+    const addDayViolation = (date, message) =>
+      violations.push({
+        key: `schedule-${format(date, "yyyy-MM-dd")}`,
+        severity: validateWorkSchedule,
+        subject: formatDate(date),
+        message,
+        date: format(date, "yyyy-MM-dd"),
+        item: null,
+      });
+
+    if (patterns?.length > 0) {
+      const daySeqMap = new Map();
+
+      patterns.forEach((pattern) => {
+        if (pattern.intStatus === 3) return; // Skip patterns marked with intStatus 3.
+
+        pattern.details.forEach((detail) => {
+          if (detail.intStatus !== 3) {
+            daySeqMap.set(detail.daySeq, detail.stdWorkHours);
+          }
+        });
+      });
+
+      // Only days with booked time are checked, so that a timesheet can be saved while the period is in progress
+      dayTotals.forEach((bookedTime, dateKey) => {
+        const date = new Date(`${dateKey}T00:00:00`);
+        const stdWorkHours = daySeqMap.get(date.getDay());
+        const totalTime = bookedTime + getLeaveTime(date);
+
+        if (stdWorkHours !== undefined && totalTime < stdWorkHours) {
+          addDayViolation(
+            date,
+            t("timesheet_patterns_validation_message", {
+              actual: convertMillisecondsToDuration(totalTime),
+              standard: convertMillisecondsToDuration(stdWorkHours),
+              date: formatDate(date),
+            })
+          );
+        }
+      });
+    } else if (workHoursInterval === "day") {
+      dayTotals.forEach((bookedTime, dateKey) => {
+        const date = new Date(`${dateKey}T00:00:00`);
+        const dateString = date.toDateString();
+
+        // Holidays without absence hours are not checked
+        if (
+          leaveDates.includes(dateString) &&
+          !absenceDateHoursMap[dateString]
+        ) {
+          return;
+        }
+
+        const totalTime = bookedTime + getLeaveTime(date);
+
+        if (totalTime < minWorkHours) {
+          addDayViolation(
+            date,
+            t("timesheet_min_hours_day_validation_message", {
+              actual: convertMillisecondsToDuration(totalTime),
+              min: convertMillisecondsToDuration(minWorkHours),
+              date: formatDate(date),
+            })
+          );
+        } else if (totalTime > maxWorkHours) {
+          addDayViolation(
+            date,
+            t("timesheet_max_hours_day_validation_message", {
+              actual: convertMillisecondsToDuration(totalTime),
+              max: convertMillisecondsToDuration(maxWorkHours),
+              date: formatDate(date),
+            })
+          );
+        }
+      });
+    } else if (workHoursInterval === "week") {
+      const start = new Date(timesheet.start);
+      const end = new Date(timesheet.end);
+
+      for (
+        let periodStart = start;
+        periodStart <= end;
+        periodStart = addDays(periodStart, 7)
+      ) {
+        let periodTime = 0;
+
+        for (let i = 0; i < 7; i++) {
+          const date = addDays(periodStart, i);
+          if (date > end) break;
+
+          periodTime +=
+            (dayTotals.get(format(date, "yyyy-MM-dd")) || 0) +
+            getLeaveTime(date);
+        }
+
+        const messageValues = {
+          actual: convertMillisecondsToDuration(periodTime),
+          periodName: workHoursInterval,
+          periodStartDate: formatDate(periodStart),
+        };
+
+        if (periodTime < minWorkHours) {
+          addDayViolation(
+            periodStart,
+            t("timesheet_min_hours_period_validation_message", {
+              ...messageValues,
+              min: convertMillisecondsToDuration(minWorkHours),
+            })
+          );
+        } else if (periodTime > maxWorkHours) {
+          addDayViolation(
+            periodStart,
+            t("timesheet_max_hours_period_validation_message", {
+              ...messageValues,
+              max: convertMillisecondsToDuration(maxWorkHours),
+            })
+          );
+        }
+      }
+    }
+  }
+
+  return violations.sort(
+    (a, b) =>
+      Number(b.severity === VALIDATION_SEVERITY.ERROR) -
+        Number(a.severity === VALIDATION_SEVERITY.ERROR) ||
+      (a.date || "").localeCompare(b.date || "")
+  );
+};
+
+/**
+ * Collects the holidays and absence days of a period, in the shape expected by `buildTimesheetValidationReport`.
+ *
+ * @param {Array<Object>} nonWorkingDates - The non-working dates of the work calendar of the employee (`{ date }`).
+ * @param {Array<Object>} absences - The absences of the employee, with their hours by day.
+ * @param {Date|string} start - The start of the period.
+ * @param {Date|string} end - The end of the period.
+ * @returns {{ leaveDates: Array<string>, absenceDateHoursMap: Object }} - The holidays and absence days of the period as
+ *   date strings, and the absence hours in milliseconds by date string.
+ */
+const buildLeaveDays = (nonWorkingDates, absences, start, end) => {
+  const periodStart = new Date(start);
+  const periodEnd = new Date(end);
+  const isInPeriod = (date) => date >= periodStart && date <= periodEnd;
+
+  const holidayDates = (nonWorkingDates || [])
+    .map((nonWorkingDate) => new Date(nonWorkingDate.date))
+    .filter(isInPeriod)
+    .map((date) => date.toDateString());
+
+  const absenceDateHoursMap = {};
+  (absences || []).forEach((absence) => {
+    (absence[`${BUSOBJCATMAP[BUSOBJCAT.ABSENCE]}-hoursByDay`] || []).forEach(
+      (dayRecord) => {
+        const date = new Date(dayRecord.splitDate);
+        if (isInPeriod(date)) {
+          absenceDateHoursMap[date.toDateString()] = dayRecord.hours;
+        }
+      }
+    );
+  });
+
+  return {
+    leaveDates: [
+      ...new Set([...holidayDates, ...Object.keys(absenceDateHoursMap)]),
+    ],
+    absenceDateHoursMap,
+  };
+};
+
+/**
+ * Checks whether a validation report contains errors, which prevent saving the timesheet or changing its status.
+ * @param {Array<Object>} violations - The violations of the report.
+ * @returns {boolean} - True if at least one violation is an error.
+ */
+const hasValidationErrors = (violations) =>
+  violations.some(
+    (violation) => violation.severity === VALIDATION_SEVERITY.ERROR
+  );
+
+export {
+  VALIDATION_SEVERITY,
+  buildLeaveDays,
+  buildTimesheetValidationReport,
+  hasValidationErrors,
+};
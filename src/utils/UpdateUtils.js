@@ -1,13 +1,31 @@
-import { API_ENDPOINTS } from "../constants";
+import { API_ENDPOINTS, REQUEST_QUEUE_ACTION } from "../constants";
+import i18n from "../i18n";
 
 import { convertToQueryString, fetchData } from "./APIUtils";
+import { getDocumentSnapshot } from "./ConflictUtils";
+import {
+  createLocalId,
+  isLocalId,
+  saveLocalDraft,
+  supportsLocalDrafts,
+} from "./DraftUtils";
 import { showToast } from "./MessageUtils";
+import {
+  checkNetworkConnectivity,
+  describeUpdateFieldsRequest,
+  discardLocalDocument,
+  getIsRequestQueueEnabled,
+  handleOfflineRequest,
+  requestQueueReplay,
+} from "./OfflineUtils";
 
 /**
  * Updates fields with the provided form data on the server.
  * @param {Object} formData - The form data to be updated.
  * @param {Object} queryStringParams - (Optional) Additional query string parameters.
  * @returns {Object} An object containing the success status and message of the update.
+ *                   When the device is offline and the request was queued, `queued` is set to true.
+ *                   A document created while offline gets a temporary ID, returned like the ID of a created document.
  */
 const updateFields = async (formData, queryStringParams) => {
   try {
@@ -19,14 +37,84 @@ const updateFields = async (formData, queryStringParams) => {
       queryString = `?${convertToQueryString(queryStringParams)}`;
     }
 
-    // Send update request to the server
-    const updateResponse = await fetchData(
-      `${API_ENDPOINTS.UPDATE_FIELDS}${queryString}`,
-      "POST",
-      {
+    const requestData = {
+      endpoint: `${API_ENDPOINTS.UPDATE_FIELDS}${queryString}`,
+      method: "POST",
+      headers: {
         "Content-Type": "application/json",
       },
-      JSON.stringify(formData)
+      body: JSON.stringify(formData),
+    };
+
+    const requestTarget = describeUpdateFieldsRequest(formData);
+
+    // Changes to a document created offline are queued behind its creation, even when the device is back online
+    const isLocalDocument = isLocalId(requestTarget.busObjId);
+    const isOnline = await checkNetworkConnectivity();
+
+    // When offline, queue the update for replay once the connection is restored (if offline mode is enabled)
+    if (isLocalDocument || !isOnline) {
+      // A document that never reached the server is simply dropped together with its queued changes
+      if (
+        isLocalDocument &&
+        requestTarget.actionType === REQUEST_QUEUE_ACTION.DELETE
+      ) {
+        await discardLocalDocument(requestTarget.busObjId);
+        return { success: true, queued: true, response: { details: [] } };
+      }
+
+      // New documents get a temporary ID, which is replaced by the server ID once the creation is replayed
+      const localId =
+        !requestTarget.busObjId &&
+        requestTarget.actionType === REQUEST_QUEUE_ACTION.SAVE &&
+        supportsLocalDrafts(requestTarget.busObjCat)
+          ? createLocalId()
+          : null;
+
+      await handleOfflineRequest(
+        {
+          ...requestData,
+          ...requestTarget,
+          ...(localId && { busObjId: localId, localId }),
+          // The last known server state, used to detect conflicting changes before the request is replayed
+          baseline: await getDocumentSnapshot(
+            requestTarget.busObjCat,
+            requestTarget.busObjId
+          ),
+        },
+        await getIsRequestQueueEnabled()
+      );
+
+      // Keep a local copy of the new document, so that it can be opened before it exists on the server
+      if (localId || isLocalDocument) {
+        await saveLocalDraft(
+          requestTarget.busObjCat,
+          localId || requestTarget.busObjId,
+          formData.data
+        );
+      }
+
+      if (isOnline) {
+        requestQueueReplay();
+      } else {
+        showToast(i18n.t("offline_retry_message"), "warning");
+      }
+
+      return {
+        success: true,
+        queued: true,
+        response: {
+          details: localId ? [{ success: true, data: { ids: [localId] } }] : [],
+        },
+      };
+    }
+
+    // Send update request to the server
+    const updateResponse = await fetchData(
+      requestData.endpoint,
+      requestData.method,
+      requestData.headers,
+      requestData.body
     );
 
     console.log("Response from updateFields:", JSON.stringify(updateResponse));
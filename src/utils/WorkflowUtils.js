@@ -1,6 +1,41 @@
-import { API_ENDPOINTS, APP } from "../constants";
-import { fetchData } from "./APIUtils";
+import {
+  API_ENDPOINTS,
+  APP,
+  APP_ACTIVITY_ID,
+  APP_NAME,
+  BUSOBJCAT,
+  BUSOBJCATMAP,
+  INTSTATUS,
+  TEST_MODE,
+} from "../constants";
+import { fetchData, getAppNameByCategory } from "./APIUtils";
+import { clearLock, setLock } from "./LockUtils";
 import { showToast } from "./MessageUtils";
+import {
+  VALIDATION_SEVERITY,
+  buildLeaveDays,
+  buildTimesheetValidationReport,
+} from "./TimesheetValidationUtils";
+
+/**
+ * Activity IDs of the business object categories whose documents can change their status in bulk.
+ */
+const BULK_STATUS_ACTIVITY_IDS = {
+  [BUSOBJCAT.TIMESHEET]: APP_ACTIVITY_ID.TIMESHEET,
+  [BUSOBJCAT.ABSENCE]: APP_ACTIVITY_ID.ABSENCE,
+};
+
+/**
+ * Validation settings of the timesheet type, read to validate timesheets before their status is changed in bulk.
+ */
+const TIMESHEET_VALIDATION_SETTINGS = [
+  "headerCommentRequired",
+  "itemCommentRequired",
+  "minTimeIncrement",
+  "nonBillableComments",
+  "validateIncrement",
+  "validateWorkSchedule",
+];
 
 /**
  * Checks the status of a document based on various business object parameters
@@ -116,4 +151,403 @@ const documentStatusCheck = async (
   }
 };
 
-export { documentStatusCheck };
+/**
+ * Changes the workflow status of a document with the setDocStatus API.
+ *
+ * @param {string} busObjCat - The category of the business object.
+ * @param {string} busObjId - The ID of the business object.
+ * @param {string} busObjType - The type of the business object.
+ * @param {string} sourceRefId - The external status ID of the current status.
+ * @param {string} nextStateId - The ID of the next status to transition to.
+ * @param {string} [remark=""] - An optional comment for the status change.
+ * @returns {Promise<Object|null>} - A promise resolving to the API response, or null if there was none.
+ */
+const setDocumentStatus = async (
+  busObjCat,
+  busObjId,
+  busObjType,
+  sourceRefId,
+  nextStateId,
+  remark = ""
+) => {
+  const payload = {
+    statusUIData: JSON.stringify({
+      busObjCat,
+      busObjID: busObjId,
+      busObjType,
+      subID: null,
+      multiSubProcessField: "",
+      sourceRefID: sourceRefId,
+      userID: APP.LOGIN_USER_ID,
+      client: parseInt(APP.LOGIN_USER_CLIENT),
+      recepientsOverride: [],
+      extStatusIDs: null,
+      openPreviousGateways: null,
+      languageID: APP.LOGIN_USER_LANGUAGE,
+      extStatus: { statusID: nextStateId },
+      remark: remark,
+      messageLogID: "",
+    }),
+  };
+
+  const formData = new URLSearchParams(payload);
+
+  const response = await fetchData(
+    API_ENDPOINTS.SET_DOCUMENT_STATUS,
+    "POST",
+    {
+      "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+    },
+    formData.toString()
+  );
+
+  return response || null;
+};
+
+/**
+ * Loads the absences of the logged-in employee, which count towards the work schedule when validating timesheets.
+ * The same absences as in the timesheet detail are loaded.
+ *
+ * @returns {Promise<Array<Object>>} - A promise resolving to the absences with their hours by day.
+ * @throws {Error} - Throws an error if the absences cannot be loaded.
+ */
+const fetchEmployeeAbsences = async () => {
+  const busObjCat = BUSOBJCATMAP[BUSOBJCAT.ABSENCE];
+
+  const queryFields = {
+    fields: [`${busObjCat}-id`, `${busObjCat}-hoursByDay`],
+    where: [
+      {
+        fieldName: `${busObjCat}-employeeID`,
+        operator: "=",
+        value: APP.LOGIN_USER_EMPLOYEE_ID,
+      },
+      {
+        fieldName: `${busObjCat}-adjustAbsence`,
+        operator: "=",
+        value: false,
+      },
+      {
+        fieldName: `${busObjCat}-redemption`,
+        operator: "=",
+        value: false,
+      },
+      {
+        fieldName: `${busObjCat}-submittedOn`,
+        operator: "!=",
+        value: null,
+      },
+    ],
+  };
+
+  const formData = {
+    query: JSON.stringify(queryFields),
+    appName: APP_NAME.ABSENCE,
+    client: parseInt(APP.LOGIN_USER_CLIENT),
+    user: APP.LOGIN_USER_ID,
+    userID: APP.LOGIN_USER_ID,
+    language: APP.LOGIN_USER_LANGUAGE,
+    intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
+  };
+
+  const response = await fetchData(
+    API_ENDPOINTS.QUERY,
+    "POST",
+    {
+      "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+    },
+    new URLSearchParams(formData).toString()
+  );
+
+  if (!response?.success) {
+    throw new Error("Failed to load the absences to validate the timesheets");
+  }
+
+  return response.data || [];
+};
+
+/**
+ * Validates a timesheet with `buildTimesheetValidationReport`, like the timesheet detail does before its status is
+ * changed.
+ *
+ * @param {Object} data - The timesheet as loaded by `prepareBulkStatusChange`.
+ * @param {Object} employeeInfo - The work schedule and work calendar of the employee.
+ * @param {Array<Object>} absences - The absences of the employee.
+ * @param {Function} translation - The translation function.
+ * @returns {Array<Object>} - The violations of the timesheet.
+ */
+const validateTimesheet = (data, employeeInfo, absences, translation) => {
+  const busObjCat = BUSOBJCATMAP[BUSOBJCAT.TIMESHEET];
+  const start = data[`${busObjCat}-start`];
+  const end = data[`${busObjCat}-end`];
+
+  const { leaveDates, absenceDateHoursMap } = buildLeaveDays(
+    employeeInfo.nonWorkingDates,
+    absences,
+    start,
+    end
+  );
+
+  return buildTimesheetValidationReport(
+    {
+      start,
+      end,
+      remark: data[`${busObjCat}-remark`],
+      tasks: data[`${busObjCat}-tasks`] || [],
+    },
+    Object.fromEntries(
+      TIMESHEET_VALIDATION_SETTINGS.map((setting) => [
+        setting,
+        data[`${busObjCat}-type:TimeConfType-${setting}`] || "",
+      ])
+    ),
+    employeeInfo,
+    leaveDates,
+    absenceDateHoursMap,
+    APP.LOGIN_USER_LANGUAGE,
+    translation
+  );
+};
+
+/**
+ * Prepares a status change of several documents at once. The type and status of every document are loaded and
+ * checked with `documentStatusCheck`, and the next statuses that all changeable documents have in common are
+ * determined. Timesheets are validated like in the timesheet detail as well, timesheets with validation errors
+ * cannot change their status.
+ *
+ * @param {Function} translation - The translation function.
+ * @param {string} busObjCatKey - The business object category (`BUSOBJCAT.TIMESHEET` or `BUSOBJCAT.ABSENCE`).
+ * @param {Array<string>} busObjIds - The IDs of the documents.
+ * @param {Object} [employeeInfo={}] - The work schedule and work calendar of the employee, to validate timesheets.
+ * @returns {Promise<{ documents: Array<Object>, commonNextStatuses: Array<Object> }>} - The checked documents, each
+ *   with its `id`, `type`, `currentStatus` and `nextStatuses`, or an `error` message if its status cannot be changed,
+ *   and the next statuses offered for all of them.
+ */
+const prepareBulkStatusChange = async (
+  translation,
+  busObjCatKey,
+  busObjIds,
+  employeeInfo = {}
+) => {
+  const busObjCat = BUSOBJCATMAP[busObjCatKey];
+  const isTimesheet = busObjCatKey === BUSOBJCAT.TIMESHEET;
+
+  const queryFields = {
+    fields: [
+      `${busObjCat}-id`,
+      `${busObjCat}-type`,
+      `${busObjCat}-extStatus`,
+      ...(isTimesheet
+        ? [
+            `${busObjCat}-start`,
+            `${busObjCat}-end`,
+            `${busObjCat}-remark`,
+            `${busObjCat}-tasks`,
+            ...TIMESHEET_VALIDATION_SETTINGS.map(
+              (setting) => `${busObjCat}-type:TimeConfType-${setting}`
+            ),
+          ]
+        : []),
+    ],
+    where: [
+      {
+        fieldName: `${busObjCat}-id`,
+        operator: "in",
+        value: busObjIds,
+      },
+    ],
+  };
+
+  const formData = {
+    query: JSON.stringify(queryFields),
+    testMode: TEST_MODE,
+    client: parseInt(APP.LOGIN_USER_CLIENT),
+    user: APP.LOGIN_USER_ID,
+    userID: APP.LOGIN_USER_ID,
+    appName: JSON.stringify(getAppNameByCategory(busObjCatKey)),
+    language: APP.LOGIN_USER_LANGUAGE,
+    intStatus: JSON.stringify([INTSTATUS.ACTIVE]),
+  };
+
+  const response = await fetchData(
+    API_ENDPOINTS.QUERY,
+    "POST",
+    {
+      "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+    },
+    new URLSearchParams(formData).toString()
+  );
+
+  const loadedDocuments = response?.success ? response.data || [] : [];
+  const documents = [];
+
+  const absences =
+    isTimesheet && loadedDocuments.length > 0
+      ? await fetchEmployeeAbsences()
+      : [];
+
+  // The documents are checked one after the other, as they are locked and changed one after the other as well
+  for (const busObjId of busObjIds) {
+    const data = loadedDocuments.find(
+      (item) => item[`${busObjCat}-id`] === busObjId
+    );
+
+    if (!data) {
+      documents.push({
+        id: busObjId,
+        error: translation("bulk_status_document_not_found"),
+      });
+      continue;
+    }
+
+    const document = {
+      id: busObjId,
+      type: data[`${busObjCat}-type`] || "",
+      currentStatus: {},
+      nextStatuses: [],
+    };
+
+    const { changeAllowed, displayCustomStatus } = await documentStatusCheck(
+      translation,
+      BULK_STATUS_ACTIVITY_IDS[busObjCatKey],
+      busObjCat,
+      busObjId,
+      document.type,
+      data[`${busObjCat}-extStatus`] || {},
+      (currentStatus) => (document.currentStatus = currentStatus),
+      (nextStatuses) => (document.nextStatuses = nextStatuses)
+    );
+
+    if (!changeAllowed) {
+      document.error = translation("workflow_status_not_allow_activity");
+    } else if (!displayCustomStatus || document.nextStatuses.length === 0) {
+      document.error = translation("bulk_status_no_next_status");
+    } else if (isTimesheet) {
+      const errors = validateTimesheet(
+        data,
+        employeeInfo,
+        absences,
+        translation
+      ).filter((violation) => violation.severity === VALIDATION_SEVERITY.ERROR);
+
+      if (errors.length > 0) {
+        document.error = translation("bulk_status_validation_errors", {
+          count: errors.length,
+          message: errors[0].message,
+        });
+      }
+    }
+
+    documents.push(document);
+  }
+
+  const changeableDocuments = documents.filter((document) => !document.error);
+  const commonNextStatuses =
+    changeableDocuments.length > 0
+      ? changeableDocuments[0].nextStatuses.filter((status) =>
+          changeableDocuments.every((document) =>
+            document.nextStatuses.some(
+              (nextStatus) => nextStatus.extStatusID === status.extStatusID
+            )
+          )
+        )
+      : [];
+
+  return { documents, commonNextStatuses };
+};
+
+/**
+ * Changes the status of the documents prepared by `prepareBulkStatusChange`. Every document is locked while its status
+ * is changed, so that the status is not changed while the document is being edited, and unlocked afterwards.
+ * Documents that cannot be locked are reported in the results rather than one by one.
+ *
+ * @param {Function} translation - The translation function.
+ * @param {string} busObjCatKey - The business object category (`BUSOBJCAT.TIMESHEET` or `BUSOBJCAT.ABSENCE`).
+ * @param {Array<Object>} documents - The documents prepared by `prepareBulkStatusChange`.
+ * @param {Object} status - The next status to change the documents to, one of the common next statuses.
+ * @param {string} [remark=""] - The comment of the status change, if the status requires one.
+ * @returns {Promise<Array<Object>>} - A promise resolving to the result of every document, with its `id`, whether it
+ *   was changed (`success`) and a `message`.
+ */
+const applyBulkStatusChange = async (
+  translation,
+  busObjCatKey,
+  documents,
+  status,
+  remark = ""
+) => {
+  const busObjCat = BUSOBJCATMAP[busObjCatKey];
+  const results = [];
+
+  for (const document of documents) {
+    if (document.error) {
+      results.push({
+        id: document.id,
+        success: false,
+        message: document.error,
+      });
+      continue;
+    }
+
+    let lockResponse = null;
+    try {
+      lockResponse = await setLock(busObjCat, document.id);
+    } catch (error) {
+      console.error(`Error in locking ${document.id}:`, error);
+    }
+
+    if (!lockResponse?.success) {
+      results.push({
+        id: document.id,
+        success: false,
+        message: lockResponse?.msg || translation("bulk_status_locked"),
+      });
+      continue;
+    }
+
+    try {
+      const response = await setDocumentStatus(
+        busObjCat,
+        document.id,
+        document.type,
+        document.currentStatus.extStatusID,
+        status.extStatusID,
+        remark
+      );
+
+      results.push({
+        id: document.id,
+        success: !!response?.success,
+        message: response?.success
+          ? status.response
+          : response?.message ||
+            translation("failed_to_update_document_status"),
+      });
+    } catch (error) {
+      console.error(
+        `Error in updating document status of ${document.id}:`,
+        error
+      );
+      results.push({
+        id: document.id,
+        success: false,
+        message: translation("error_in_update_document_status"),
+      });
+    } finally {
+      try {
+        await clearLock(busObjCat, document.id);
+      } catch (error) {
+        console.error(`Error in unlocking ${document.id}:`, error);
+      }
+    }
+  }
+
+  return results;
+};
+
+export {
+  applyBulkStatusChange,
+  documentStatusCheck,
+  prepareBulkStatusChange,
+  setDocumentStatus,
+};